@@ -99,8 +99,11 @@ module.exports = {
         'snapshotAt=',                           // example query string
         'stellar_public_key',                    // example placeholder
         'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',      // RFC 4648 base32 alphabet
+        'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',      // fundraiser code alphabet
         '^eyJ',                                  // example JWT (OpenAPI docs)
         '014_webhook_tls_skip_verify',           // migration name
+        '042_webhook_payload_version',           // migration name
+        '043_webhook_delivery_attempts',         // migration name
         'obj<<',                                 // embedded PDF template
       ],
     }],
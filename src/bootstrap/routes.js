@@ -53,6 +53,13 @@ const V1_ROUTES = [
   ['/transactions',                   require('../routes/transaction')],
   ['/claimable-balances',             require('../routes/claimableBalances')],
   ['/liquidity-pools',                require('../routes/liquidity-pools')],
+  ['/payment-requests',               require('../routes/paymentRequests')],
+  ['/quotes',                         require('../routes/quotes')],
+  ['/anchor-deposits',                require('../routes/anchorDeposits')],
+  ['/kyc',                            require('../routes/kyc')],
+  ['/me',                             require('../routes/me')],
+  ['/teams',                          require('../routes/teams')],
+  ['/quadratic-funding',              require('../routes/quadraticFunding')],
 ];
 
 // ── Admin routes ──────────────────────────────────────────────────────────────
@@ -63,8 +70,15 @@ const ADMIN_ROUTES = [
   ['/admin/retention',                require('../routes/admin/retention')],
   ['/admin/scheduler',                require('../routes/admin/scheduler')],
   ['/admin/pledges',                  require('../routes/admin/pledges')],
+  ['/admin/kyc-holds',                require('../routes/admin/kycHolds')],
+  ['/admin/tax-statements',           require('../routes/admin/taxStatements')],
+  ['/admin/gift-aid',                 require('../routes/admin/giftAid')],
+  ['/admin/organizations',            require('../routes/admin/organizations')],
+  ['/admin/quadratic-funding',        require('../routes/admin/quadraticFunding')],
+  ['/admin/screening',                require('../routes/admin/screening')],
   ['/admin/disputes',                 require('../routes/disputes')],
   ['/admin/geo-rules',                require('../routes/admin/geoRules')],
+  ['/admin/graphql/persisted-queries', require('../routes/admin/graphqlPersistedQueries')],
   ['/admin/payment-channels',         require('../routes/admin/paymentChannels')],
   ['/admin/system-info',              require('../routes/admin/systemInfo')],
   ['/admin/feature-flags',            require('../routes/admin/featureFlags')],
@@ -232,6 +246,10 @@ function mountRoutes(app, services = {}) {
     if (signingKey) {
       tomlContents.push(`SIGNING_KEY = "${StellarSdk.Keypair.fromSecret(signingKey).publicKey()}"`);
     }
+    // SEP-7 payment request URIs are signed with the service key (PaymentRequestService)
+    if (process.env.SERVICE_SECRET_KEY) {
+      tomlContents.push(`URI_REQUEST_SIGNING_KEY = "${StellarSdk.Keypair.fromSecret(process.env.SERVICE_SECRET_KEY).publicKey()}"`);
+    }
     res.type('text/plain').send(tomlContents.join('\n'));
   });
 
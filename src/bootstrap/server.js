@@ -179,6 +179,13 @@ async function startServer(app, overrideServices = {}) {
           server.stopQuotaResetJob = stopQuotaResetJob;
 
           require('../workers/expiryWorker').start();
+          require('../workers/outboxRelayWorker').start();
+          require('../workers/webhookRetryWorker').start();
+          require('../workers/disputeSlaWorker').start();
+          require('../workers/signatureExpiryWorker').start();
+          require('../workers/anchorDepositPollWorker').start();
+          require('../workers/rateHistoryWorker').start();
+          require('../workers/campaignLifecycleWorker').start();
           recurringDonationScheduler.start();
           reconciliationService.start();
           auditLogRetentionService.start();
@@ -339,6 +346,13 @@ async function startServer(app, overrideServices = {}) {
         retentionService.stop();
         transactionSyncScheduler.stop();
         require('../workers/expiryWorker').stop();
+        require('../workers/outboxRelayWorker').stop();
+        require('../workers/webhookRetryWorker').stop();
+        require('../workers/disputeSlaWorker').stop();
+        require('../workers/signatureExpiryWorker').stop();
+        require('../workers/anchorDepositPollWorker').stop();
+        require('../workers/rateHistoryWorker').stop();
+        require('../workers/campaignLifecycleWorker').stop();
 
         if (server.stopQuotaResetJob) {
           server.stopQuotaResetJob();
@@ -0,0 +1,102 @@
+/**
+ * Dunning Policy - Recurring Donation Failure Configuration
+ *
+ * RESPONSIBILITY: Group Stellar failure codes into failure classes and define how
+ *                 a failed recurring donation is retried for each class
+ * OWNER: Backend Team
+ * DEPENDENCIES: None
+ *
+ * When every in-cycle attempt of a scheduled donation fails, the schedule enters
+ * dunning: it is retried after each delay in `retryDelaysHours` in turn, and is
+ * suspended once the list is exhausted. `retryInCycle` controls whether the
+ * scheduler's immediate backoff retries are used at all — they help with network
+ * blips but cannot fix an underfunded wallet. `notifyDonor` sends the donor a
+ * webhook/email between attempts so they can top up or add a trustline.
+ *
+ * Override any part of the defaults with DUNNING_POLICY, a JSON object keyed by
+ * failure class, e.g. {"insufficient_funds":{"retryDelaysHours":[12,48]}}.
+ */
+
+'use strict';
+
+/** Failure classes, derived from StellarErrorHandler.classify() codes. */
+const FAILURE_CLASSES = Object.freeze({
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  MISSING_TRUSTLINE: 'missing_trustline',
+  RECIPIENT_UNAVAILABLE: 'recipient_unavailable',
+  NETWORK: 'network',
+  PERMANENT: 'permanent',
+});
+
+/** StellarErrorHandler code → failure class. Unlisted codes are treated as network failures. */
+const CODE_TO_CLASS = Object.freeze({
+  INSUFFICIENT_BALANCE: FAILURE_CLASSES.INSUFFICIENT_FUNDS,
+  NO_TRUSTLINE: FAILURE_CLASSES.MISSING_TRUSTLINE,
+  ACCOUNT_NOT_FUNDED: FAILURE_CLASSES.RECIPIENT_UNAVAILABLE,
+  INVALID_DESTINATION: FAILURE_CLASSES.RECIPIENT_UNAVAILABLE,
+  NETWORK_ERROR: FAILURE_CLASSES.NETWORK,
+  NETWORK_TIMEOUT: FAILURE_CLASSES.NETWORK,
+  TRANSACTION_FAILED: FAILURE_CLASSES.NETWORK,
+  STELLAR_ERROR: FAILURE_CLASSES.NETWORK,
+  INVALID_CREDENTIALS: FAILURE_CLASSES.PERMANENT,
+  WALLET_NOT_FOUND: FAILURE_CLASSES.PERMANENT,
+  INVALID_TRANSACTION: FAILURE_CLASSES.PERMANENT,
+});
+
+const DEFAULT_DUNNING_POLICY = Object.freeze({
+  [FAILURE_CLASSES.INSUFFICIENT_FUNDS]: { retryInCycle: false, retryDelaysHours: [24, 72, 168], notifyDonor: true },
+  [FAILURE_CLASSES.MISSING_TRUSTLINE]: { retryInCycle: false, retryDelaysHours: [24, 72], notifyDonor: true },
+  [FAILURE_CLASSES.RECIPIENT_UNAVAILABLE]: { retryInCycle: false, retryDelaysHours: [24, 72], notifyDonor: true },
+  [FAILURE_CLASSES.NETWORK]: { retryInCycle: true, retryDelaysHours: [1, 6, 24], notifyDonor: false },
+  [FAILURE_CLASSES.PERMANENT]: { retryInCycle: false, retryDelaysHours: [], notifyDonor: true },
+});
+
+/**
+ * Merge a JSON override onto the default policy. Unknown classes and
+ * malformed fields are ignored so a typo cannot disable dunning.
+ *
+ * @param {string} [raw] - JSON text (defaults to process.env.DUNNING_POLICY)
+ * @returns {Object<string, { retryInCycle: boolean, retryDelaysHours: number[], notifyDonor: boolean }>}
+ * @throws {Error} When raw is not a JSON object
+ */
+function loadDunningPolicy(raw = process.env.DUNNING_POLICY) {
+  const policy = {};
+  for (const [failureClass, entry] of Object.entries(DEFAULT_DUNNING_POLICY)) {
+    policy[failureClass] = { ...entry, retryDelaysHours: [...entry.retryDelaysHours] };
+  }
+  if (!raw) return policy;
+
+  const override = JSON.parse(raw);
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    throw new Error('DUNNING_POLICY must be a JSON object keyed by failure class');
+  }
+
+  for (const [failureClass, entry] of Object.entries(override)) {
+    const target = policy[failureClass];
+    if (!target || !entry || typeof entry !== 'object') continue;
+    if (typeof entry.retryInCycle === 'boolean') target.retryInCycle = entry.retryInCycle;
+    if (typeof entry.notifyDonor === 'boolean') target.notifyDonor = entry.notifyDonor;
+    if (Array.isArray(entry.retryDelaysHours)
+      && entry.retryDelaysHours.every((h) => typeof h === 'number' && h > 0)) {
+      target.retryDelaysHours = [...entry.retryDelaysHours];
+    }
+  }
+  return policy;
+}
+
+/**
+ * Failure class for a StellarErrorHandler code.
+ * @param {string} code
+ * @returns {string}
+ */
+function failureClassFor(code) {
+  return CODE_TO_CLASS[code] || FAILURE_CLASSES.NETWORK;
+}
+
+module.exports = {
+  FAILURE_CLASSES,
+  CODE_TO_CLASS,
+  DEFAULT_DUNNING_POLICY,
+  loadDunningPolicy,
+  failureClassFor,
+};
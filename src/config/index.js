@@ -453,6 +453,9 @@ const buildConfig = (env, isProduction, isTest) => {
     phone: process.env.ORGANIZATION_PHONE || null,
     email: process.env.ORGANIZATION_EMAIL || null,
     website: process.env.ORGANIZATION_WEBSITE || null,
+    ukCharityNumber: process.env.ORGANIZATION_UK_CHARITY_NUMBER || null,
+    caRegistrationNumber: process.env.ORGANIZATION_CA_REGISTRATION_NUMBER || null,
+    statementJurisdiction: (process.env.TAX_STATEMENT_JURISDICTION || 'US').toUpperCase(),
     isConfigured: !!(process.env.ORGANIZATION_EIN && process.env.ORGANIZATION_LEGAL_NAME),
   };
 
@@ -0,0 +1,84 @@
+/**
+ * KYC Threshold Configuration
+ *
+ * RESPONSIBILITY: Define the donation amount above which donor identity
+ *   information is required before funds are released to the recipient.
+ * OWNER: Compliance Team
+ *
+ * Thresholds are set per asset code and, optionally, per donor country (the
+ * ISO code geoBlock resolves from the request IP). `default` applies to
+ * countries without their own entry and to requests whose country is unknown.
+ * Assets without an entry never require KYC.
+ *
+ * Environment variables:
+ *   KYC_THRESHOLDS  JSON, e.g. {"XLM": {"default": 1000, "US": 3000, "GB": 500}}
+ *                   (unset: no KYC holds)
+ */
+
+const log = require('../utils/log');
+
+let _cache = { raw: undefined, thresholds: {} };
+
+/**
+ * Parse and validate KYC_THRESHOLDS. Invalid entries are dropped with a
+ * warning; invalid JSON disables holds.
+ * @param {string} [raw=process.env.KYC_THRESHOLDS]
+ * @returns {Object<string, Object<string, number>>} Thresholds by asset code, then country
+ */
+function loadKycThresholds(raw = process.env.KYC_THRESHOLDS) {
+  if (raw === undefined || raw === null || raw === '') {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    log.warn('KYC_THRESHOLDS', 'Invalid KYC_THRESHOLDS JSON, KYC holds disabled', { error: err.message });
+    return {};
+  }
+
+  const thresholds = {};
+  for (const [assetCode, byCountry] of Object.entries(parsed || {})) {
+    if (!byCountry || typeof byCountry !== 'object') {
+      log.warn('KYC_THRESHOLDS', `Ignoring KYC thresholds for ${assetCode}: expected an object`);
+      continue;
+    }
+    const entries = {};
+    for (const [country, value] of Object.entries(byCountry)) {
+      const amount = Number(value);
+      if (!(amount > 0)) {
+        log.warn('KYC_THRESHOLDS', `Ignoring KYC threshold ${assetCode}/${country}: "${value}" is not a positive number`);
+        continue;
+      }
+      entries[country === 'default' ? 'default' : country.toUpperCase()] = amount;
+    }
+    thresholds[assetCode.toUpperCase()] = entries;
+  }
+  return thresholds;
+}
+
+/**
+ * Threshold for a donation of `assetCode` from `countryCode`.
+ * @param {string} assetCode - e.g. "XLM"
+ * @param {string|null} [countryCode] - ISO 3166-1 alpha-2
+ * @returns {number|null} Amount above which KYC is required, or null when none applies
+ */
+function getKycThreshold(assetCode, countryCode = null) {
+  const raw = process.env.KYC_THRESHOLDS;
+  if (_cache.raw !== raw) {
+    _cache = { raw, thresholds: loadKycThresholds(raw) };
+  }
+
+  const byCountry = _cache.thresholds[String(assetCode || '').toUpperCase()];
+  if (!byCountry) return null;
+
+  const country = countryCode ? String(countryCode).toUpperCase() : null;
+  if (country && byCountry[country] !== undefined) return byCountry[country];
+  return byCountry.default !== undefined ? byCountry.default : null;
+}
+
+module.exports = {
+  loadKycThresholds,
+  getKycThreshold,
+};
@@ -12,13 +12,13 @@ const TIER_FEATURES = {
   free: {
     label: 'Free',
     features: ['donations:create', 'donations:read', 'wallets:read', 'stats:read'],
-    limits: { donationsPerDay: 10, wallets: 5, exportFormats: [] },
+    limits: { donationsPerDay: 10, wallets: 5, exportFormats: [], graphqlQueryCost: 500 },
     description: 'Basic donation functionality',
   },
   basic: {
     label: 'Basic',
     features: ['donations:create', 'donations:read', 'wallets:read', 'wallets:create', 'stats:read', 'transactions:read'],
-    limits: { donationsPerDay: 100, wallets: 20, exportFormats: ['json'] },
+    limits: { donationsPerDay: 100, wallets: 20, exportFormats: ['json'], graphqlQueryCost: 1000 },
     description: 'Standard features for small organizations',
   },
   pro: {
@@ -27,7 +27,7 @@ const TIER_FEATURES = {
       'donations:create', 'donations:read', 'wallets:read', 'wallets:create',
       'stats:read', 'transactions:read', 'advanced_analytics', 'export',
     ],
-    limits: { donationsPerDay: 1000, wallets: 200, exportFormats: ['json', 'csv'] },
+    limits: { donationsPerDay: 1000, wallets: 200, exportFormats: ['json', 'csv'], graphqlQueryCost: 2500 },
     description: 'Advanced analytics and export for growing organizations',
   },
   enterprise: {
@@ -36,7 +36,7 @@ const TIER_FEATURES = {
       'donations:create', 'donations:read', 'wallets:read', 'wallets:create',
       'stats:read', 'transactions:read', 'advanced_analytics', 'export', 'bulk_import',
     ],
-    limits: { donationsPerDay: -1, wallets: -1, exportFormats: ['json', 'csv'] },
+    limits: { donationsPerDay: -1, wallets: -1, exportFormats: ['json', 'csv'], graphqlQueryCost: 5000 },
     description: 'Unlimited access including bulk import',
   },
 };
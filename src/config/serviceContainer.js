@@ -26,6 +26,7 @@ const DonationTotalsRepository = require('../services/DonationTotalsRepository')
 const DonationRouter = require('../services/DonationRouter');
 const RoutingConfigRepository = require('../services/RoutingConfigRepository');
 const { PaymentChannelService } = require('../services/PaymentChannelService');
+const PaymentStreamService = require('../services/PaymentStreamService');
 
 class ServiceContainer {
   constructor(config = {}) {
@@ -85,6 +86,9 @@ class ServiceContainer {
 
     // Initialize Payment Channel Service
     this.paymentChannelService = new PaymentChannelService(this.stellarService);
+
+    // Shared payment stream so every subscriber and payment handler uses one set of streams
+    this.paymentStreamService = new PaymentStreamService(this.stellarService);
   }
 
   getStellarService() {
@@ -146,6 +150,10 @@ class ServiceContainer {
   getPaymentChannelService() {
     return this.paymentChannelService;
   }
+
+  getPaymentStreamService() {
+    return this.paymentStreamService;
+  }
 }
 
 const appConfig = require('./index');
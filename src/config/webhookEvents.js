@@ -0,0 +1,521 @@
+/**
+ * Webhook Event Catalog - Event Type Configuration
+ *
+ * RESPONSIBILITY: Define every webhook event type and the JSON Schema of its payload per version
+ * OWNER: Backend Team
+ * DEPENDENCIES: None
+ *
+ * Subscriptions pin a payload version when they are created. Each event has one
+ * schema per version in which its payload changed; a subscription pinned to
+ * version N receives the newest schema at or below N, and the payload is trimmed
+ * to the properties that schema declares. New fields are therefore only seen by
+ * subscriptions pinned to the version that introduced them.
+ *
+ * To add a field: add a new version entry for the event (copying the previous
+ * schema), then bump LATEST_PAYLOAD_VERSION if it is the first change in that version.
+ */
+
+'use strict';
+
+/** Payload version assigned to new subscriptions that do not pin one. */
+const LATEST_PAYLOAD_VERSION = 2;
+
+const AMOUNT = { type: ['number', 'string'] };
+const STRING = { type: 'string' };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const ID = { type: ['integer', 'string'] };
+const NULLABLE_ID = { type: ['integer', 'string', 'null'] };
+const TIMESTAMP = { type: 'string', description: 'ISO-8601 timestamp' };
+
+/**
+ * Build an object schema.
+ * @param {Object} properties
+ * @param {string[]} [required]
+ * @returns {Object}
+ */
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+const DONATION_V1 = object({
+  id: ID,
+  donor: STRING,
+  recipient: STRING,
+  amount: AMOUNT,
+  status: STRING,
+  timestamp: TIMESTAMP,
+});
+
+const DONATION_V2 = object({
+  ...DONATION_V1.properties,
+  stellarTxId: NULLABLE_STRING,
+  campaign_id: NULLABLE_ID,
+}, DONATION_V1.required);
+
+const PLEDGE = object({
+  id: STRING,
+  campaign_id: ID,
+  donor_wallet_id: STRING,
+  amount: AMOUNT,
+  status: STRING,
+  expires_at: STRING,
+  cancel_reason: NULLABLE_STRING,
+  cancelled_at: NULLABLE_STRING,
+  created_at: STRING,
+}, ['id', 'campaign_id', 'status']);
+
+const PLEDGE_EVENT = object({ pledge: PLEDGE });
+
+const CONVERTED_PLEDGE = object({
+  ...PLEDGE.properties,
+  paid_amount: AMOUNT,
+  recurring_schedule_id: ID,
+  converted_at: STRING,
+}, [...PLEDGE.required, 'recurring_schedule_id']);
+
+const PLEDGE_INSTALLMENT = {
+  pledgeId: STRING,
+  sequence: { type: 'integer', description: 'Installment number within the pledge, from 1' },
+  amount: { ...AMOUNT, description: 'Installment amount in stroops' },
+};
+
+const SCHEDULE_CHANGE = object({
+  scheduleId: ID,
+  version: { type: 'integer', description: 'Version of the schedule after this change' },
+  changeType: STRING,
+  changes: { type: 'object', description: 'Changed fields as { field: { from, to } }' },
+  changedBy: NULLABLE_STRING,
+  reason: NULLABLE_STRING,
+  status: STRING,
+  nextExecutionDate: NULLABLE_STRING,
+  timestamp: TIMESTAMP,
+});
+
+const DUNNING_FAILURE = object({
+  scheduleId: ID,
+  donorPublicKey: NULLABLE_STRING,
+  recipientPublicKey: NULLABLE_STRING,
+  amount: STRING,
+  failureClass: { ...STRING, description: 'Failure class from the dunning policy' },
+  errorCode: STRING,
+  errorMessage: STRING,
+  attempt: { type: 'integer', description: 'Dunning retry number (0 when suspended without retries)' },
+  maxAttempts: { type: 'integer' },
+  nextRetryAt: { ...NULLABLE_STRING, description: 'ISO-8601 time of the next retry; null when suspended' },
+  timestamp: TIMESTAMP,
+});
+
+/**
+ * Event catalog keyed by event type. `versions` maps a payload version to the
+ * JSON Schema introduced in that version.
+ */
+const WEBHOOK_EVENTS = Object.freeze({
+  'donation.created': {
+    category: 'donation',
+    description: 'A donation was recorded',
+    versions: { 1: DONATION_V1, 2: DONATION_V2 },
+  },
+  'donation.confirmed': {
+    category: 'donation',
+    description: 'A donation was recorded already confirmed on the Stellar network',
+    versions: { 1: DONATION_V1, 2: DONATION_V2 },
+  },
+  'donation.refunded': {
+    category: 'donation',
+    description: 'A donation was refunded to the donor with a reverse transaction',
+    versions: {
+      1: object({
+        donationId: ID,
+        refundId: ID,
+        amount: AMOUNT,
+        reverseTxId: STRING,
+        reason: NULLABLE_STRING,
+        refundedAt: TIMESTAMP,
+      }),
+    },
+  },
+  'donation.disputed': {
+    category: 'dispute',
+    description: 'The recipient opened a dispute on a donation',
+    versions: {
+      1: object({
+        donationId: ID,
+        disputeId: ID,
+        reason: STRING,
+        recipientPublicKey: STRING,
+        timestamp: TIMESTAMP,
+      }),
+    },
+  },
+  'donation.refund_requested': {
+    category: 'dispute',
+    description: 'A dispute was resolved in favour of refunding the donation',
+    versions: {
+      1: object({
+        donationId: ID,
+        disputeId: ID,
+        reason: STRING,
+        amount: AMOUNT,
+        timestamp: TIMESTAMP,
+      }),
+    },
+  },
+  'transaction.confirmed': {
+    category: 'transaction',
+    description: 'Reconciliation found a pending transaction confirmed on-chain',
+    versions: {
+      1: object({
+        id: ID,
+        stellarTxId: STRING,
+        previousStatus: STRING,
+        status: STRING,
+        ledger: { type: ['integer', 'null'] },
+        confirmedAt: TIMESTAMP,
+      }),
+    },
+  },
+  'payment.received': {
+    category: 'transaction',
+    description: 'A payment arrived on a monitored account stream',
+    versions: {
+      1: object({
+        publicKey: STRING,
+        payment: { type: 'object', description: 'Horizon payment operation record' },
+      }),
+    },
+  },
+  'pledge.fulfilled': {
+    category: 'pledge',
+    description: 'A pledge was paid after its campaign reached its goal',
+    versions: { 1: PLEDGE_EVENT },
+  },
+  'pledge.expired': {
+    category: 'pledge',
+    description: 'A pending pledge passed its expiry date',
+    versions: { 1: PLEDGE_EVENT },
+  },
+  'pledge.cancelled': {
+    category: 'pledge',
+    description: 'A pending pledge was cancelled',
+    versions: { 1: PLEDGE_EVENT },
+  },
+  'pledge.installment_due': {
+    category: 'pledge',
+    description: 'A pledge installment falls due within the reminder window',
+    versions: {
+      1: object({
+        ...PLEDGE_INSTALLMENT,
+        campaignId: ID,
+        donorWalletId: STRING,
+        dueDate: TIMESTAMP,
+        outstanding: { ...AMOUNT, description: 'Stroops still owed on the pledge' },
+      }),
+    },
+  },
+  'pledge.installment_paid': {
+    category: 'pledge',
+    description: 'A pledge installment was collected or its payment recorded',
+    versions: {
+      1: object({
+        ...PLEDGE_INSTALLMENT,
+        stellarTxId: STRING,
+        paidAt: TIMESTAMP,
+      }),
+    },
+  },
+  'pledge.converted': {
+    category: 'pledge',
+    description: 'A pending pledge was converted into a recurring donation schedule',
+    versions: { 1: object({ pledge: CONVERTED_PLEDGE }) },
+  },
+  'recurring_donation.persistent_failure': {
+    category: 'recurring_donation',
+    description: 'A recurring donation failed on every retry attempt',
+    versions: {
+      1: object({
+        scheduleId: ID,
+        donorPublicKey: STRING,
+        recipientPublicKey: STRING,
+        amount: STRING,
+        frequency: STRING,
+        errorMessage: STRING,
+        failureCount: { type: 'integer' },
+        timestamp: TIMESTAMP,
+      }),
+    },
+  },
+  'recurring_donation.retry_scheduled': {
+    category: 'recurring_donation',
+    description: 'A failed recurring donation will be retried later under the dunning policy',
+    versions: { 1: DUNNING_FAILURE },
+  },
+  'recurring_donation.suspended': {
+    category: 'recurring_donation',
+    description: 'A recurring donation was suspended after exhausting its dunning retries',
+    versions: { 1: DUNNING_FAILURE },
+  },
+  'recurring_donation.recovered': {
+    category: 'recurring_donation',
+    description: 'A recurring donation in dunning succeeded on a retry',
+    versions: {
+      1: object({
+        scheduleId: ID,
+        donorPublicKey: NULLABLE_STRING,
+        recipientPublicKey: NULLABLE_STRING,
+        amount: STRING,
+        failureClass: NULLABLE_STRING,
+        attempts: { type: 'integer' },
+        transactionHash: NULLABLE_STRING,
+        timestamp: TIMESTAMP,
+      }),
+    },
+  },
+  'recurring_donation.paused': {
+    category: 'recurring_donation',
+    description: 'A recurring donation schedule was paused',
+    versions: { 1: SCHEDULE_CHANGE },
+  },
+  'recurring_donation.resumed': {
+    category: 'recurring_donation',
+    description: 'A paused recurring donation schedule was resumed',
+    versions: { 1: SCHEDULE_CHANGE },
+  },
+  'recurring_donation.skipped': {
+    category: 'recurring_donation',
+    description: 'The next occurrence of a recurring donation was skipped',
+    versions: { 1: SCHEDULE_CHANGE },
+  },
+  'recurring_donation.updated': {
+    category: 'recurring_donation',
+    description: 'The amount or cadence of a recurring donation was changed',
+    versions: { 1: SCHEDULE_CHANGE },
+  },
+  'campaign.milestone': {
+    category: 'campaign',
+    description: 'A campaign crossed a 25/50/75% progress milestone',
+    versions: {
+      1: object({
+        campaign_id: ID,
+        name: STRING,
+        milestone_percentage: { type: 'number' },
+        current_amount: AMOUNT,
+        goal_amount: AMOUNT,
+        progress_percentage: { type: 'number' },
+        timestamp: TIMESTAMP,
+      }),
+    },
+  },
+  'campaign.fundraiser_milestone': {
+    category: 'campaign',
+    description: 'A peer-to-peer fundraiser crossed a 25/50/75/100% milestone of its personal goal',
+    versions: {
+      1: object({
+        campaign_id: ID,
+        fundraiser_id: ID,
+        title: STRING,
+        milestone_percentage: { type: 'number' },
+        current_amount: AMOUNT,
+        goal_amount: AMOUNT,
+        progress_percentage: { type: 'number' },
+        timestamp: TIMESTAMP,
+      }),
+    },
+  },
+  'campaign.goal_reached': {
+    category: 'campaign',
+    description: 'A campaign reached its goal and was closed',
+    versions: {
+      1: object({
+        campaign_id: ID,
+        name: STRING,
+        goal_amount: AMOUNT,
+        final_amount: AMOUNT,
+        reached_at: TIMESTAMP,
+      }),
+    },
+  },
+  'campaign.status_changed': {
+    category: 'campaign',
+    description: 'A campaign moved through its lifecycle: submitted, reviewed, launched, paused, closed or archived',
+    versions: {
+      1: object({
+        campaign_id: ID,
+        name: STRING,
+        from_status: STRING,
+        to_status: { ...STRING, description: 'draft, submitted, approved, live, paused, closed or archived' },
+        actor: { ...STRING, description: 'Admin or reviewer user id, or system for scheduled transitions' },
+        comment: { ...NULLABLE_STRING, description: 'Reviewer or admin comment, e.g. the changes requested' },
+        timestamp: TIMESTAMP,
+      }, ['campaign_id', 'from_status', 'to_status', 'timestamp']),
+    },
+  },
+  'matching_program.exhausted': {
+    category: 'campaign',
+    description: 'A matching program used up its maximum match amount',
+    versions: {
+      1: object({
+        program_id: ID,
+        sponsor_wallet_id: ID,
+        max_match_amount: AMOUNT,
+        campaign_id: NULLABLE_ID,
+        exhausted_at: TIMESTAMP,
+      }),
+    },
+  },
+  'quota.exceeded': {
+    category: 'account',
+    description: 'An API key exceeded its monthly request quota',
+    versions: {
+      1: object({
+        keyId: ID,
+        keyName: NULLABLE_STRING,
+        quotaUsed: { type: 'integer' },
+        monthlyQuota: { type: 'integer' },
+        quotaResetAt: NULLABLE_STRING,
+      }),
+    },
+  },
+  'quota.reset': {
+    category: 'account',
+    description: 'Monthly API key quotas were reset',
+    versions: {
+      1: object({
+        keysReset: { type: 'integer' },
+        resetAt: TIMESTAMP,
+      }),
+    },
+  },
+});
+
+const EVENT_PATTERN = /^(\*|[a-z_]+\.\*|[a-z_]+\.[a-z_]+)$/;
+
+/**
+ * All catalogued event types.
+ * @returns {string[]}
+ */
+function getEventTypes() {
+  return Object.keys(WEBHOOK_EVENTS);
+}
+
+/**
+ * Whether an event type is in the catalog.
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+function isKnownEvent(eventType) {
+  return Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, eventType);
+}
+
+/**
+ * Whether a subscription pattern matches an event type. Patterns are an exact
+ * event type, a category wildcard such as `donation.*`, or `*`.
+ * @param {string} pattern
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, eventType) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return eventType.startsWith(pattern.slice(0, -1));
+  return pattern === eventType;
+}
+
+/**
+ * Whether any of a subscription's patterns matches an event type.
+ * @param {string[]} patterns
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+function matchesAny(patterns, eventType) {
+  return Array.isArray(patterns) && patterns.some((p) => typeof p === 'string' && matchesPattern(p, eventType));
+}
+
+/**
+ * Validate subscription patterns against the catalog.
+ * @param {string[]} patterns
+ * @returns {string[]} Patterns that are malformed or match no catalogued event
+ */
+function findInvalidPatterns(patterns) {
+  return patterns.filter((p) =>
+    typeof p !== 'string' || !EVENT_PATTERN.test(p) || !getEventTypes().some((type) => matchesPattern(p, type))
+  );
+}
+
+/**
+ * Schema of an event for a pinned payload version: the newest schema at or
+ * below that version.
+ * @param {string} eventType
+ * @param {number} [version]
+ * @returns {{ version: number, schema: Object }|null}
+ */
+function getSchema(eventType, version = LATEST_PAYLOAD_VERSION) {
+  if (!isKnownEvent(eventType)) return null;
+  const candidates = Object.keys(WEBHOOK_EVENTS[eventType].versions)
+    .map(Number)
+    .filter((v) => v <= version)
+    .sort((a, b) => b - a);
+  if (candidates.length === 0) return null;
+  return { version: candidates[0], schema: WEBHOOK_EVENTS[eventType].versions[candidates[0]] };
+}
+
+/**
+ * Trim a value to the properties an object schema declares (recursively).
+ * @param {*} value
+ * @param {Object} schema
+ * @returns {*}
+ */
+function project(value, schema) {
+  if (!schema || !schema.properties || value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  const result = {};
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      result[key] = project(value[key], propertySchema);
+    }
+  }
+  return result;
+}
+
+/**
+ * Shape an event payload for a subscription's pinned version. Events outside
+ * the catalog are passed through unchanged.
+ * @param {string} eventType
+ * @param {Object} payload
+ * @param {number} [version]
+ * @returns {Object}
+ */
+function formatPayload(eventType, payload, version = LATEST_PAYLOAD_VERSION) {
+  const entry = getSchema(eventType, version);
+  return entry ? project(payload, entry.schema) : payload;
+}
+
+/**
+ * Public description of one event for the discovery endpoint.
+ * @param {string} eventType
+ * @returns {Object|null}
+ */
+function describeEvent(eventType) {
+  if (!isKnownEvent(eventType)) return null;
+  const { category, description, versions } = WEBHOOK_EVENTS[eventType];
+  const available = Object.keys(versions).map(Number).sort((a, b) => a - b);
+  return {
+    type: eventType,
+    category,
+    description,
+    versions: available,
+    schemas: Object.fromEntries(available.map((v) => [v, versions[v]])),
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  LATEST_PAYLOAD_VERSION,
+  getEventTypes,
+  isKnownEvent,
+  matchesPattern,
+  matchesAny,
+  findInvalidPatterns,
+  getSchema,
+  formatPayload,
+  describeEvent,
+};
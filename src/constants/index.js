@@ -34,6 +34,8 @@ const DONATION_FREQUENCIES = Object.freeze({
   WEEKLY: 'weekly',
   MONTHLY: 'monthly',
   CUSTOM: 'custom',
+  /** Schedule driven by an iCalendar RRULE (see utils/recurrenceRule) */
+  RRULE: 'rrule',
 });
 
 /**
@@ -53,6 +55,8 @@ const SCHEDULE_STATUS = Object.freeze({
   PAUSED: 'paused',
   CANCELLED: 'cancelled',
   COMPLETED: 'completed',
+  /** Stopped after the dunning policy ran out of retries (see config/dunningPolicy) */
+  SUSPENDED: 'suspended',
 });
 
 /**
@@ -0,0 +1,207 @@
+/**
+ * GraphQL Data Sources
+ *
+ * RESPONSIBILITY: Adapt the fundraising service layer to the interfaces expected by ./fundraising
+ * OWNER: Backend Team
+ * DEPENDENCIES: AdminCrowdfundingService, CrowdfundingService, Pledge model,
+ *   PledgeFulfillmentService, RecurringDonationScheduler, RecurringScheduleService, DisputeService,
+ *   MatchingProgramService, WebhookService, Wallet and Transaction models
+ *
+ * Each adapter is a thin wrapper: validation and side effects stay in the
+ * services so GraphQL and REST behave the same. Tests inject stubs with the
+ * same method names instead of these adapters.
+ */
+
+const Database = require('../utils/database');
+const AdminCrowdfundingService = require('../services/AdminCrowdfundingService');
+const CrowdfundingService = require('../services/CrowdfundingService');
+const PledgeFulfillmentService = require('../services/PledgeFulfillmentService');
+const Pledge = require('../models/Pledge');
+const DisputeService = require('../services/DisputeService');
+const MatchingProgramService = require('../services/MatchingProgramService');
+const RecurringScheduleService = require('../services/RecurringScheduleService');
+const WebhookService = require('../services/WebhookService');
+const Wallet = require('../models/wallet');
+const Transaction = require('../models/transaction');
+const serviceContainer = require('../config/serviceContainer');
+const { SCHEDULE_STATUS } = require('../constants');
+const { ValidationError, NotFoundError, ConflictError, ERROR_CODES } = require('../utils/errors');
+
+/** Columns selected for a recurring schedule, joined with donor/recipient keys. */
+const SCHEDULE_SELECT = `
+  SELECT rd.id, rd.amount, rd.frequency, rd.customIntervalDays,
+         rd.maxExecutions, rd.webhookUrl, rd.nextExecutionDate,
+         rd.lastExecutionDate, rd.status, rd.executionCount,
+         rd.failureCount, rd.lastFailureReason, rd.createdAt,
+         donor.publicKey AS donorPublicKey,
+         recipient.publicKey AS recipientPublicKey
+  FROM recurring_donations rd
+  JOIN users donor     ON rd.donorId    = donor.id
+  JOIN users recipient ON rd.recipientId = recipient.id
+`;
+
+const campaignService = {
+  listCampaigns: (opts) => AdminCrowdfundingService.listCampaigns(opts),
+
+  async getCampaign(id) {
+    const campaign = await Database.get('SELECT * FROM campaigns WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!campaign) {
+      throw new NotFoundError('Campaign not found', ERROR_CODES.NOT_FOUND);
+    }
+    return campaign;
+  },
+
+  createCampaign: (params) => AdminCrowdfundingService.createCampaign(params),
+  updateCampaign: (id, fields) => AdminCrowdfundingService.updateCampaign(id, fields),
+  closeCampaign: (id) => AdminCrowdfundingService.closeCampaign(id),
+  pledge: (campaignId, donorId, amount) => CrowdfundingService.pledge(campaignId, donorId, amount),
+  settle: (campaignId) => CrowdfundingService.settle(campaignId),
+};
+
+const pledgeService = {
+  async listPledges({ campaignId, status } = {}) {
+    const pledges = campaignId ? await Pledge.listByCampaign(campaignId) : await Pledge.listAll({ status });
+    return campaignId && status ? pledges.filter((p) => p.status === status) : pledges;
+  },
+
+  async getPledge(id) {
+    const pledge = await Pledge.findById(id);
+    if (!pledge) {
+      throw new NotFoundError('Pledge not found', ERROR_CODES.NOT_FOUND);
+    }
+    return pledge;
+  },
+
+  /**
+   * Fulfil a pending pledge, mirroring PATCH /admin/pledges/:id/fulfil:
+   * campaign-level fulfilment first, then this pledge individually if still pending.
+   */
+  async fulfill(id) {
+    const pledge = await this.getPledge(id);
+    if (pledge.status !== 'pending') {
+      throw new ConflictError(`Pledge cannot be fulfilled — current status is '${pledge.status}'`, 'INVALID_STATE');
+    }
+    if (pledge.campaign_id) {
+      await PledgeFulfillmentService.checkAndFulfill(pledge.campaign_id);
+    }
+    const refreshed = await Pledge.findById(id);
+    if (refreshed && refreshed.status === 'pending') {
+      await PledgeFulfillmentService.fulfillSinglePledge(refreshed);
+    }
+    return Pledge.findById(id);
+  },
+
+  async cancel(id, reason) {
+    const pledge = await this.getPledge(id);
+    if (pledge.status !== 'pending') {
+      throw new ConflictError(`Pledge cannot be cancelled — current status is '${pledge.status}'`, 'INVALID_STATE');
+    }
+    const result = await Pledge.cancel(id, reason);
+    if (!result.changes) {
+      throw new ConflictError('Pledge could not be cancelled — it may have already changed status', 'INVALID_STATE');
+    }
+    const updated = await Pledge.findById(id);
+    return updated;
+  },
+};
+
+const recurringService = {
+  async listSchedules({ status } = {}) {
+    if (status && !Object.values(SCHEDULE_STATUS).includes(status)) {
+      throw new ValidationError(`Invalid status. Must be one of: ${Object.values(SCHEDULE_STATUS).join(', ')}`);
+    }
+    const sql = `${SCHEDULE_SELECT}${status ? ' WHERE rd.status = ?' : ''} ORDER BY rd.createdAt DESC`;
+    return Database.query(sql, status ? [status] : []);
+  },
+
+  async getSchedule(id) {
+    const schedule = await Database.get(`${SCHEDULE_SELECT} WHERE rd.id = ?`, [id]);
+    if (!schedule) {
+      throw new NotFoundError('Schedule not found', ERROR_CODES.NOT_FOUND);
+    }
+    return schedule;
+  },
+
+  getExecutions: (id, limit) => serviceContainer.getRecurringDonationScheduler().getExecutionLogs(id, limit),
+
+  /**
+   * Create a schedule through RecurringScheduleService, as POST /donations/recurring does.
+   * @param {object} input - CreateRecurringScheduleInput fields
+   */
+  async createSchedule(input) {
+    const schedule = await RecurringScheduleService.createSchedule(input);
+    return this.getSchedule(schedule.id);
+  },
+
+  async cancelSchedule(id) {
+    const schedule = await this.getSchedule(id);
+    if (schedule.status === SCHEDULE_STATUS.CANCELLED) {
+      throw new ConflictError('Schedule is already cancelled', 'SCHEDULE_ALREADY_CANCELLED');
+    }
+    await Database.run('UPDATE recurring_donations SET status = ? WHERE id = ?', [SCHEDULE_STATUS.CANCELLED, id]);
+    return { ...schedule, status: SCHEDULE_STATUS.CANCELLED };
+  },
+};
+
+/**
+ * Build a `?, ?, ?` placeholder list for an IN clause.
+ * @param {Array} values
+ * @returns {string}
+ */
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Batch lookups backing the per-request loaders in ./loaders.js.
+ * Every method takes the full list of keys and returns the matching rows in any order.
+ */
+const loaderSource = {
+  async getUsersByIds(ids) {
+    return Database.query(
+      `SELECT id, publicKey, createdAt FROM users WHERE id IN (${placeholders(ids)}) AND deleted_at IS NULL`,
+      ids
+    );
+  },
+
+  getWalletsByAddresses: (addresses) => Wallet.getByAddresses(addresses),
+
+  async getCampaignsByIds(ids) {
+    return Database.query(
+      `SELECT * FROM campaigns WHERE id IN (${placeholders(ids)}) AND deleted_at IS NULL`,
+      ids
+    );
+  },
+
+  async getMilestonesByCampaignIds(ids) {
+    return Database.query(
+      `SELECT * FROM campaign_milestones WHERE campaign_id IN (${placeholders(ids)}) ORDER BY target_amount ASC`,
+      ids
+    );
+  },
+
+  /** Donations live in the in-memory transaction store; newest first. */
+  async getDonationsBySenders(addresses) {
+    const senders = new Set(addresses);
+    return Transaction.getAll()
+      .filter((tx) => senders.has(tx.donor))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  },
+};
+
+/**
+ * Build the fundraising services passed to buildSchema().
+ * @returns {object}
+ */
+function createFundraisingServices() {
+  return {
+    campaignService,
+    pledgeService,
+    recurringService,
+    disputeService: DisputeService,
+    matchingProgramService: MatchingProgramService,
+    webhookService: WebhookService,
+  };
+}
+
+module.exports = { createFundraisingServices, loaderSource };
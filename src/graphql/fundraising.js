@@ -0,0 +1,767 @@
+/**
+ * GraphQL Fundraising Types
+ *
+ * RESPONSIBILITY: Campaign, milestone, pledge, recurring schedule, dispute,
+ *   matching program and webhook types with their query and mutation fields
+ * OWNER: Backend Team
+ * DEPENDENCIES: graphql, ./helpers, ./loaders
+ *
+ * Fields are merged into the root Query/Mutation types by schema.js. Each
+ * resolver applies the same RBAC rule as the equivalent REST route and
+ * delegates to a service injected through buildSchema(); the real adapters
+ * live in ./dataSources.js. Nested campaign and milestone lookups go through
+ * the per-request loaders.
+ */
+
+const {
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLString,
+  GraphQLFloat,
+  GraphQLInt,
+  GraphQLBoolean,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLError,
+} = require('graphql');
+
+const {
+  DEFAULT_PAGE_LIMIT,
+  clampLimit,
+  clampOffset,
+  assertAuthenticated,
+  assertPermission,
+  callService,
+} = require('./helpers');
+const { getLoaders } = require('./loaders');
+const { hasPermission } = require('../models/permissions');
+
+/** Admin-only operations — the ADMIN_ALL permission required by the admin REST routes. */
+const ADMIN = '*';
+
+/**
+ * Resolve a named service from the schema's services object.
+ * Lets buildSchema() be called with only the core services (as the existing
+ * tests do) while still failing loudly if a fundraising field is queried.
+ *
+ * @param {object} services
+ * @param {string} name - e.g. 'campaignService'
+ * @returns {object}
+ * @throws {GraphQLError} INTERNAL_ERROR when the service was not provided
+ */
+function requireService(services, name) {
+  const service = services[name];
+  if (!service) {
+    throw new GraphQLError(`${name} is not configured`, {
+      extensions: { code: 'INTERNAL_ERROR' },
+    });
+  }
+  return service;
+}
+
+// ─── Object types ─────────────────────────────────────────────────────────────
+
+/** A campaign milestone (campaign_milestones row) */
+const MilestoneType = new GraphQLObjectType({
+  name: 'Milestone',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    campaignId: { type: GraphQLInt, resolve: (m) => m.campaign_id },
+    title: { type: GraphQLString },
+    description: { type: GraphQLString },
+    targetAmount: { type: GraphQLFloat, resolve: (m) => m.target_amount },
+    status: { type: GraphQLString },
+    reached: { type: GraphQLBoolean },
+    verifiedAt: { type: GraphQLString, resolve: (m) => m.verified_at },
+    fundReleaseTx: { type: GraphQLString, resolve: (m) => m.fund_release_tx },
+  }),
+});
+
+/** A crowdfunding campaign (campaigns row) */
+const CampaignType = new GraphQLObjectType({
+  name: 'Campaign',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    name: { type: GraphQLString },
+    description: { type: GraphQLString },
+    goalAmount: { type: GraphQLFloat, resolve: (c) => c.goal_amount },
+    currentAmount: { type: GraphQLFloat, resolve: (c) => c.current_amount },
+    progressPercent: {
+      type: GraphQLFloat,
+      resolve: (c) => {
+        if (c.progressPercent != null) return c.progressPercent;
+        const goal = c.goal_amount || 0;
+        return goal > 0 ? Math.min(100, parseFloat((((c.current_amount || 0) / goal) * 100).toFixed(2))) : 0;
+      },
+    },
+    status: { type: GraphQLString },
+    fundingModel: { type: GraphQLString, resolve: (c) => c.funding_model },
+    recipientPublicKey: { type: GraphQLString, resolve: (c) => c.recipient_public_key },
+    startDate: { type: GraphQLString, resolve: (c) => c.start_date },
+    endDate: { type: GraphQLString, resolve: (c) => c.end_date },
+    createdAt: { type: GraphQLString },
+
+    /**
+     * Milestones annotated with reached status. Uses the rows embedded by
+     * createCampaign when present, otherwise batch-loads them per request.
+     */
+    milestones: {
+      type: new GraphQLList(MilestoneType),
+      resolve: async (c, _, context) => {
+        const milestones = Array.isArray(c.milestones)
+          ? c.milestones
+          : await getLoaders(context).milestonesByCampaign.load(c.id);
+        const raised = c.current_amount || 0;
+        return milestones.map((m) => ({ reached: raised >= m.target_amount, ...m }));
+      },
+    },
+  }),
+});
+
+/**
+ * Resolve the campaign referenced by a row's campaign_id through the request loader.
+ * @param {object} row
+ * @param {object} _ - Args (unused)
+ * @param {object} context
+ * @returns {Promise<object|null>}
+ */
+function resolveCampaign(row, _, context) {
+  return getLoaders(context).campaigns.load(row.campaign_id);
+}
+
+/** Result of closing a campaign */
+const CloseCampaignResultType = new GraphQLObjectType({
+  name: 'CloseCampaignResult',
+  fields: () => ({
+    campaign: { type: CampaignType },
+    milestonesTriggered: { type: GraphQLInt },
+  }),
+});
+
+/** A time-bound pledge against a campaign (pledges table; amount held in stroops) */
+const PledgeType = new GraphQLObjectType({
+  name: 'Pledge',
+  fields: () => ({
+    id: { type: GraphQLString },
+    campaignId: { type: GraphQLInt, resolve: (p) => p.campaign_id },
+    campaign: { type: CampaignType, resolve: resolveCampaign },
+    donorWalletId: { type: GraphQLString, resolve: (p) => p.donor_wallet_id },
+    amountStroops: { type: GraphQLString, resolve: (p) => (p.amount == null ? null : String(p.amount)) },
+    status: { type: GraphQLString },
+    expiresAt: { type: GraphQLString, resolve: (p) => p.expires_at },
+    cancelReason: { type: GraphQLString, resolve: (p) => p.cancel_reason },
+    cancelledAt: { type: GraphQLString, resolve: (p) => p.cancelled_at },
+    createdAt: { type: GraphQLString, resolve: (p) => p.created_at },
+  }),
+});
+
+/** An escrowed pledge to an all-or-nothing campaign (CrowdfundingService.pledge) */
+const EscrowPledgeType = new GraphQLObjectType({
+  name: 'EscrowPledge',
+  fields: () => ({
+    pledgeId: { type: GraphQLInt },
+    campaignId: { type: GraphQLInt },
+    donorId: { type: GraphQLInt },
+    amount: { type: GraphQLFloat },
+    status: { type: GraphQLString },
+    stellarTxHash: { type: GraphQLString },
+  }),
+});
+
+/** Outcome of settling an all-or-nothing campaign */
+const SettlementResultType = new GraphQLObjectType({
+  name: 'SettlementResult',
+  fields: () => ({
+    outcome: { type: GraphQLString },
+    campaignId: { type: GraphQLInt },
+    totalAmount: { type: GraphQLFloat },
+    count: { type: GraphQLInt },
+  }),
+});
+
+/** A single execution attempt of a recurring schedule (recurring_donation_logs row) */
+const RecurringExecutionType = new GraphQLObjectType({
+  name: 'RecurringExecution',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    scheduleId: { type: GraphQLInt },
+    status: { type: GraphQLString },
+    transactionHash: { type: GraphQLString },
+    errorMessage: { type: GraphQLString },
+    attemptNumber: { type: GraphQLInt },
+    timestamp: { type: GraphQLString },
+  }),
+});
+
+/**
+ * Build the RecurringSchedule type; executions are loaded through the
+ * recurring service.
+ * @param {object} services
+ * @returns {GraphQLObjectType}
+ */
+function buildRecurringScheduleType(services) {
+  return new GraphQLObjectType({
+    name: 'RecurringSchedule',
+    fields: () => ({
+      id: { type: GraphQLInt },
+      donorPublicKey: { type: GraphQLString },
+      recipientPublicKey: { type: GraphQLString },
+      amount: { type: GraphQLFloat },
+      frequency: { type: GraphQLString },
+      customIntervalDays: { type: GraphQLInt },
+      maxExecutions: { type: GraphQLInt },
+      nextExecutionDate: { type: GraphQLString },
+      lastExecutionDate: { type: GraphQLString },
+      status: { type: GraphQLString },
+      executionCount: { type: GraphQLInt },
+      failureCount: { type: GraphQLInt },
+      lastFailureReason: { type: GraphQLString },
+      createdAt: { type: GraphQLString },
+      executions: {
+        type: new GraphQLList(RecurringExecutionType),
+        args: { limit: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_LIMIT } },
+        resolve: (schedule, { limit }) => {
+          const recurringService = requireService(services, 'recurringService');
+          return callService(() => recurringService.getExecutions(schedule.id, clampLimit(limit)));
+        },
+      },
+    }),
+  });
+}
+
+/** A donation dispute (disputes row) */
+const DisputeType = new GraphQLObjectType({
+  name: 'Dispute',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    donationId: { type: GraphQLInt },
+    recipientPublicKey: { type: GraphQLString },
+    reason: { type: GraphQLString },
+    evidence: { type: GraphQLString },
+    status: { type: GraphQLString },
+    donorPublicKey: { type: GraphQLString },
+    donorResponse: { type: GraphQLString },
+    donorRespondedAt: { type: GraphQLString },
+    slaDeadline: { type: GraphQLString },
+    slaBreachedAt: { type: GraphQLString },
+    refundAmount: { type: GraphQLFloat },
+    refundId: { type: GraphQLInt },
+    resolutionNotes: { type: GraphQLString },
+    resolvedAt: { type: GraphQLString },
+    createdAt: { type: GraphQLString },
+    updatedAt: { type: GraphQLString },
+  }),
+});
+
+/** A sponsor matching program (matching_programs row) */
+const MatchingProgramType = new GraphQLObjectType({
+  name: 'MatchingProgram',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    sponsorWalletId: { type: GraphQLString, resolve: (p) => p.sponsor_wallet_id },
+    matchRatio: { type: GraphQLFloat, resolve: (p) => p.match_ratio },
+    maxMatchAmount: { type: GraphQLFloat, resolve: (p) => p.max_match_amount },
+    remainingMatchAmount: { type: GraphQLFloat, resolve: (p) => p.remaining_match_amount },
+    campaignId: { type: GraphQLInt, resolve: (p) => p.campaign_id },
+    campaign: { type: CampaignType, resolve: resolveCampaign },
+    status: { type: GraphQLString },
+    createdAt: { type: GraphQLString, resolve: (p) => p.created_at },
+  }),
+});
+
+/** A registered webhook endpoint (secret only present on registration) */
+const WebhookType = new GraphQLObjectType({
+  name: 'Webhook',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    url: { type: GraphQLString },
+    events: { type: new GraphQLList(GraphQLString) },
+    isActive: { type: GraphQLBoolean },
+    createdAt: { type: GraphQLString },
+    secret: { type: GraphQLString },
+  }),
+});
+
+// ─── Input types ──────────────────────────────────────────────────────────────
+
+const MilestoneInput = new GraphQLInputObjectType({
+  name: 'MilestoneInput',
+  fields: () => ({
+    amount: { type: new GraphQLNonNull(GraphQLFloat) },
+    description: { type: GraphQLString },
+  }),
+});
+
+const CreateCampaignInput = new GraphQLInputObjectType({
+  name: 'CreateCampaignInput',
+  fields: () => ({
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    description: { type: GraphQLString },
+    goal: { type: new GraphQLNonNull(GraphQLFloat) },
+    deadline: { type: new GraphQLNonNull(GraphQLString) },
+    recipientPublicKey: { type: new GraphQLNonNull(GraphQLString) },
+    milestones: { type: new GraphQLList(new GraphQLNonNull(MilestoneInput)) },
+  }),
+});
+
+const UpdateCampaignInput = new GraphQLInputObjectType({
+  name: 'UpdateCampaignInput',
+  fields: () => ({
+    name: { type: GraphQLString },
+    description: { type: GraphQLString },
+    goal: { type: GraphQLFloat },
+    deadline: { type: GraphQLString },
+  }),
+});
+
+const CreateRecurringScheduleInput = new GraphQLInputObjectType({
+  name: 'CreateRecurringScheduleInput',
+  fields: () => ({
+    donorPublicKey: { type: new GraphQLNonNull(GraphQLString) },
+    recipientPublicKey: { type: new GraphQLNonNull(GraphQLString) },
+    amount: { type: new GraphQLNonNull(GraphQLFloat) },
+    frequency: { type: new GraphQLNonNull(GraphQLString) },
+    customIntervalDays: { type: GraphQLInt },
+    maxExecutions: { type: GraphQLInt },
+    webhookUrl: { type: GraphQLString },
+    startDate: { type: GraphQLString },
+  }),
+});
+
+const CreateMatchingProgramInput = new GraphQLInputObjectType({
+  name: 'CreateMatchingProgramInput',
+  fields: () => ({
+    sponsorWalletId: { type: new GraphQLNonNull(GraphQLString) },
+    matchRatio: { type: new GraphQLNonNull(GraphQLFloat) },
+    maxMatchAmount: { type: new GraphQLNonNull(GraphQLFloat) },
+    campaignId: { type: GraphQLInt },
+  }),
+});
+
+// ─── Field builders ───────────────────────────────────────────────────────────
+
+/**
+ * RecurringSchedule types keyed by services object, so the Query and Mutation
+ * builders of one schema share a single type instance.
+ * @type {WeakMap<object, GraphQLObjectType>}
+ */
+const scheduleTypeCache = new WeakMap();
+
+function getRecurringScheduleType(services) {
+  if (!scheduleTypeCache.has(services)) {
+    scheduleTypeCache.set(services, buildRecurringScheduleType(services));
+  }
+  return scheduleTypeCache.get(services);
+}
+
+/** Standard limit/offset arguments for list fields. */
+const pageArgs = () => ({
+  limit: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_LIMIT },
+  offset: { type: GraphQLInt, defaultValue: 0 },
+});
+
+/**
+ * Build the fundraising query fields merged into the root Query type.
+ * @param {object} services - campaignService, pledgeService, recurringService,
+ *   disputeService, matchingProgramService, webhookService
+ * @returns {object} GraphQL field config map
+ */
+function buildFundraisingQueryFields(services) {
+  const RecurringScheduleType = getRecurringScheduleType(services);
+
+  return {
+    /**
+     * List campaigns. Any authenticated key (REST GET /campaigns is public).
+     * @param {string} [args.status] - 'active' | 'closed' | 'all'
+     */
+    campaigns: {
+      type: new GraphQLList(CampaignType),
+      args: { status: { type: GraphQLString }, ...pageArgs() },
+      resolve: (_, { status, limit, offset }, context) => {
+        assertAuthenticated(context);
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.listCampaigns({
+          status: status || 'all',
+          limit: clampLimit(limit),
+          offset: clampOffset(offset),
+        }));
+      },
+    },
+
+    /** Fetch a single campaign by ID. */
+    campaign: {
+      type: CampaignType,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { id }, context) => {
+        assertAuthenticated(context);
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.getCampaign(id));
+      },
+    },
+
+    /** List pledges (admin only, matching GET /admin/pledges). */
+    pledges: {
+      type: new GraphQLList(PledgeType),
+      args: {
+        campaignId: { type: GraphQLInt },
+        status: { type: GraphQLString },
+        ...pageArgs(),
+      },
+      resolve: async (_, { campaignId, status, limit, offset }, context) => {
+        assertPermission(context, ADMIN);
+        const pledgeService = requireService(services, 'pledgeService');
+        const safeOffset = clampOffset(offset);
+        const all = await callService(() => pledgeService.listPledges({ campaignId, status }));
+        return all.slice(safeOffset, safeOffset + clampLimit(limit));
+      },
+    },
+
+    /** Fetch a single pledge by ID (admin only). */
+    pledge: {
+      type: PledgeType,
+      args: { id: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, ADMIN);
+        const pledgeService = requireService(services, 'pledgeService');
+        return callService(() => pledgeService.getPledge(id));
+      },
+    },
+
+    /** List recurring donation schedules (stream:read, matching GET /donations/recurring). */
+    recurringSchedules: {
+      type: new GraphQLList(RecurringScheduleType),
+      args: { status: { type: GraphQLString }, ...pageArgs() },
+      resolve: async (_, { status, limit, offset }, context) => {
+        assertPermission(context, 'stream:read');
+        const recurringService = requireService(services, 'recurringService');
+        const safeOffset = clampOffset(offset);
+        const all = await callService(() => recurringService.listSchedules({ status }));
+        return all.slice(safeOffset, safeOffset + clampLimit(limit));
+      },
+    },
+
+    /** Fetch a single recurring donation schedule (stream:read). */
+    recurringSchedule: {
+      type: RecurringScheduleType,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, 'stream:read');
+        const recurringService = requireService(services, 'recurringService');
+        return callService(() => recurringService.getSchedule(id));
+      },
+    },
+
+    /** List disputes (admin only, matching GET /admin/disputes). */
+    disputes: {
+      type: new GraphQLList(DisputeType),
+      args: { status: { type: GraphQLString }, ...pageArgs() },
+      resolve: (_, { status, limit, offset }, context) => {
+        assertPermission(context, ADMIN);
+        const disputeService = requireService(services, 'disputeService');
+        return callService(() => disputeService.list({
+          status,
+          limit: clampLimit(limit),
+          offset: clampOffset(offset),
+        }));
+      },
+    },
+
+    /** Fetch a single dispute (admin only). */
+    dispute: {
+      type: DisputeType,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, ADMIN);
+        const disputeService = requireService(services, 'disputeService');
+        return callService(() => disputeService.getById(id));
+      },
+    },
+
+    /** List matching programs (admin only, matching GET /admin/matching-programs). */
+    matchingPrograms: {
+      type: new GraphQLList(MatchingProgramType),
+      args: { status: { type: GraphQLString }, campaignId: { type: GraphQLInt } },
+      resolve: (_, { status, campaignId }, context) => {
+        assertPermission(context, ADMIN);
+        const matchingProgramService = requireService(services, 'matchingProgramService');
+        return callService(() => matchingProgramService.getAll({ status, campaign_id: campaignId }));
+      },
+    },
+
+    /** Fetch a single matching program (admin only). */
+    matchingProgram: {
+      type: MatchingProgramType,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, ADMIN);
+        const matchingProgramService = requireService(services, 'matchingProgramService');
+        return callService(() => matchingProgramService.getById(id));
+      },
+    },
+
+    /** List active webhooks. Any authenticated key (REST GET /webhooks uses requireApiKey only). */
+    webhooks: {
+      type: new GraphQLList(WebhookType),
+      args: { limit: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_LIMIT } },
+      resolve: async (_, { limit }, context) => {
+        assertAuthenticated(context);
+        const webhookService = requireService(services, 'webhookService');
+        const result = await callService(() => webhookService.list({ limit: clampLimit(limit) }));
+        return result.items;
+      },
+    },
+  };
+}
+
+/**
+ * Build the fundraising mutation fields merged into the root Mutation type.
+ * @param {object} services - see buildFundraisingQueryFields
+ * @returns {object} GraphQL field config map
+ */
+function buildFundraisingMutationFields(services) {
+  const RecurringScheduleType = getRecurringScheduleType(services);
+
+  return {
+    /** Create a campaign with optional milestones (admin only, matching POST /campaigns). */
+    createCampaign: {
+      type: CampaignType,
+      args: { input: { type: new GraphQLNonNull(CreateCampaignInput) } },
+      resolve: (_, { input }, context) => {
+        assertPermission(context, ADMIN);
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.createCampaign({
+          ...input,
+          milestones: input.milestones || [],
+          createdBy: context.apiKey.id || null,
+        }));
+      },
+    },
+
+    /** Update mutable campaign fields (admin only). */
+    updateCampaign: {
+      type: CampaignType,
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLInt) },
+        input: { type: new GraphQLNonNull(UpdateCampaignInput) },
+      },
+      resolve: (_, { id, input }, context) => {
+        assertPermission(context, ADMIN);
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.updateCampaign(id, input));
+      },
+    },
+
+    /** Close a campaign and trigger reached milestone payouts (admin only). */
+    closeCampaign: {
+      type: CloseCampaignResultType,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, ADMIN);
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.closeCampaign(id));
+      },
+    },
+
+    /**
+     * Pledge to an all-or-nothing campaign (escrowed; matching POST /campaigns/:id/pledge).
+     * Unless the caller is an admin, the donor must be the API key's own wallet.
+     */
+    pledgeToCampaign: {
+      type: EscrowPledgeType,
+      args: {
+        campaignId: { type: new GraphQLNonNull(GraphQLInt) },
+        donorId: { type: new GraphQLNonNull(GraphQLInt) },
+        amount: { type: new GraphQLNonNull(GraphQLFloat) },
+      },
+      resolve: async (_, { campaignId, donorId, amount }, context) => {
+        assertAuthenticated(context);
+        if (!(amount > 0)) {
+          throw new GraphQLError('amount must be a positive number', {
+            extensions: { code: 'BAD_USER_INPUT' },
+          });
+        }
+        if (!hasPermission(context.apiKey.role || 'guest', ADMIN)) {
+          const donor = await getLoaders(context).users.load(donorId);
+          if (!donor || !context.apiKey.publicKey || donor.publicKey !== context.apiKey.publicKey) {
+            throw new GraphQLError('Only the donor\'s own API key may pledge on their behalf', {
+              extensions: { code: 'FORBIDDEN' },
+            });
+          }
+        }
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.pledge(campaignId, donorId, amount));
+      },
+    },
+
+    /** Settle an all-or-nothing campaign (admin only, matching POST /campaigns/:id/settle). */
+    settleCampaign: {
+      type: SettlementResultType,
+      args: { campaignId: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { campaignId }, context) => {
+        assertPermission(context, ADMIN);
+        const campaignService = requireService(services, 'campaignService');
+        return callService(() => campaignService.settle(campaignId));
+      },
+    },
+
+    /** Fulfil a pending pledge (admin only, matching PATCH /admin/pledges/:id/fulfil). */
+    fulfillPledge: {
+      type: PledgeType,
+      args: { id: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, ADMIN);
+        const pledgeService = requireService(services, 'pledgeService');
+        return callService(() => pledgeService.fulfill(id));
+      },
+    },
+
+    /** Cancel a pending pledge (admin only, matching PATCH /admin/pledges/:id/cancel). */
+    cancelPledge: {
+      type: PledgeType,
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLString) },
+        reason: { type: GraphQLString },
+      },
+      resolve: (_, { id, reason }, context) => {
+        assertPermission(context, ADMIN);
+        const pledgeService = requireService(services, 'pledgeService');
+        return callService(() => pledgeService.cancel(id, reason || null));
+      },
+    },
+
+    /** Create a recurring donation schedule (stream:create). */
+    createRecurringSchedule: {
+      type: RecurringScheduleType,
+      args: { input: { type: new GraphQLNonNull(CreateRecurringScheduleInput) } },
+      resolve: (_, { input }, context) => {
+        assertPermission(context, 'stream:create');
+        const recurringService = requireService(services, 'recurringService');
+        return callService(() => recurringService.createSchedule(input));
+      },
+    },
+
+    /** Cancel a recurring donation schedule (stream:delete). */
+    cancelRecurringSchedule: {
+      type: RecurringScheduleType,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (_, { id }, context) => {
+        assertPermission(context, 'stream:delete');
+        const recurringService = requireService(services, 'recurringService');
+        return callService(() => recurringService.cancelSchedule(id));
+      },
+    },
+
+    /**
+     * Open a dispute on a donation. Only the donation's recipient may do so;
+     * the API key's publicKey is checked by the dispute service.
+     */
+    openDispute: {
+      type: DisputeType,
+      args: {
+        donationId: { type: new GraphQLNonNull(GraphQLInt) },
+        reason: { type: new GraphQLNonNull(GraphQLString) },
+        evidence: { type: GraphQLString },
+      },
+      resolve: (_, { donationId, reason, evidence }, context) => {
+        assertPermission(context, 'donations:update');
+        const disputeService = requireService(services, 'disputeService');
+        return callService(() => disputeService.open({
+          donationId,
+          reason,
+          evidence,
+          apiKey: context.apiKey,
+        }));
+      },
+    },
+
+    /**
+     * Move a dispute to a new status (admin only, matching PATCH /admin/disputes/:id).
+     * resolved_partial_refund requires refundAmount.
+     */
+    resolveDispute: {
+      type: DisputeType,
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLInt) },
+        status: { type: new GraphQLNonNull(GraphQLString) },
+        resolutionNotes: { type: GraphQLString },
+        refundAmount: { type: GraphQLFloat },
+      },
+      resolve: (_, { id, status, resolutionNotes, refundAmount }, context) => {
+        assertPermission(context, ADMIN);
+        const disputeService = requireService(services, 'disputeService');
+        return callService(() => disputeService.updateStatus(id, { status, resolutionNotes, refundAmount }));
+      },
+    },
+
+    /** Create a matching program (admin only). */
+    createMatchingProgram: {
+      type: MatchingProgramType,
+      args: { input: { type: new GraphQLNonNull(CreateMatchingProgramInput) } },
+      resolve: (_, { input }, context) => {
+        assertPermission(context, ADMIN);
+        const matchingProgramService = requireService(services, 'matchingProgramService');
+        return callService(() => matchingProgramService.create({
+          sponsor_wallet_id: input.sponsorWalletId,
+          match_ratio: input.matchRatio,
+          max_match_amount: input.maxMatchAmount,
+          campaign_id: input.campaignId,
+        }));
+      },
+    },
+
+    /** Change a matching program's status: active | paused | exhausted (admin only). */
+    updateMatchingProgramStatus: {
+      type: MatchingProgramType,
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLInt) },
+        status: { type: new GraphQLNonNull(GraphQLString) },
+      },
+      resolve: (_, { id, status }, context) => {
+        assertPermission(context, ADMIN);
+        const matchingProgramService = requireService(services, 'matchingProgramService');
+        return callService(() => matchingProgramService.updateStatus(id, status));
+      },
+    },
+
+    /** Register a webhook. The signing secret is returned once, on this response only. */
+    registerWebhook: {
+      type: WebhookType,
+      args: {
+        url: { type: new GraphQLNonNull(GraphQLString) },
+        events: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))) },
+      },
+      resolve: (_, { url, events }, context) => {
+        assertAuthenticated(context);
+        const webhookService = requireService(services, 'webhookService');
+        return callService(() => webhookService.register({
+          url,
+          events,
+          apiKeyId: context.apiKey.id || null,
+        }));
+      },
+    },
+
+    /** Remove a webhook by ID. */
+    removeWebhook: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: async (_, { id }, context) => {
+        assertAuthenticated(context);
+        const webhookService = requireService(services, 'webhookService');
+        await callService(() => webhookService.remove(id));
+        return true;
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildFundraisingQueryFields,
+  buildFundraisingMutationFields,
+  CampaignType,
+  MilestoneType,
+  PledgeType,
+  DisputeType,
+  MatchingProgramType,
+  WebhookType,
+};
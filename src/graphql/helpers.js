@@ -0,0 +1,134 @@
+/**
+ * GraphQL Resolver Helpers
+ *
+ * RESPONSIBILITY: Shared pagination clamping, RBAC assertions and error mapping for resolvers
+ * OWNER: Backend Team
+ * DEPENDENCIES: graphql, permissions model
+ *
+ * Kept separate from schema.js so every resolver module (core schema, fundraising
+ * types, ...) enforces the same limits and permission rules as the REST routes.
+ */
+
+const { GraphQLError } = require('graphql');
+const { hasPermission } = require('../models/permissions');
+
+// ─── Pagination constants ─────────────────────────────────────────────────────
+
+/** Default number of records returned when the client supplies no limit. */
+const DEFAULT_PAGE_LIMIT = 20;
+
+/** Hard upper cap on client-supplied limit arguments to prevent resource exhaustion. (#1372) */
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Clamp a client-supplied limit value within [1, MAX_PAGE_LIMIT].
+ * If no limit is provided, return DEFAULT_PAGE_LIMIT.
+ * @param {number|null|undefined} clientLimit
+ * @returns {number}
+ */
+function clampLimit(clientLimit) {
+  if (clientLimit == null) return DEFAULT_PAGE_LIMIT;
+  return Math.min(Math.max(1, clientLimit), MAX_PAGE_LIMIT);
+}
+
+/**
+ * Normalise a client-supplied offset to a non-negative integer.
+ * @param {number|null|undefined} clientOffset
+ * @returns {number}
+ */
+function clampOffset(clientOffset) {
+  return Math.max(0, clientOffset ?? 0);
+}
+
+// ─── RBAC helpers ─────────────────────────────────────────────────────────────
+
+/**
+ * Assert that the GraphQL context carries an authenticated API key.
+ * Mirrors REST routes guarded only by requireApiKey (e.g. /webhooks).
+ *
+ * @param {{ apiKey?: object } | null} context - GraphQL resolver context
+ * @throws {GraphQLError} UNAUTHENTICATED if no apiKey
+ */
+function assertAuthenticated(context) {
+  if (!context || !context.apiKey) {
+    throw new GraphQLError('Authentication required.', {
+      extensions: { code: 'UNAUTHENTICATED' },
+    });
+  }
+}
+
+/**
+ * Assert that the GraphQL context includes an authenticated API key with the
+ * required permission.  Mirrors the checkPermission() Express middleware used
+ * by the equivalent REST routes. (#1371)
+ *
+ * @param {{ apiKey?: { role?: string } } | null} context - GraphQL resolver context
+ * @param {string} permission - Required permission string (e.g. 'donations:create')
+ * @throws {GraphQLError} UNAUTHENTICATED if no apiKey; FORBIDDEN if insufficient role
+ */
+function assertPermission(context, permission) {
+  assertAuthenticated(context);
+
+  const role = context.apiKey.role || 'guest';
+  if (!hasPermission(role, permission)) {
+    throw new GraphQLError(`Insufficient permissions. Required: ${permission}`, {
+      extensions: { code: 'FORBIDDEN' },
+    });
+  }
+}
+
+// ─── Error mapping ────────────────────────────────────────────────────────────
+
+/**
+ * Convert a service-layer error into a GraphQLError that carries the same
+ * error code the REST error handler would return.
+ *
+ * Handles both AppError subclasses (errorCode/statusCode) and the legacy
+ * `Object.assign(new Error(msg), { status })` style used by older services.
+ *
+ * @param {Error} err - Error thrown by a service
+ * @returns {GraphQLError}
+ */
+function toGraphQLError(err) {
+  if (err instanceof GraphQLError) return err;
+
+  const status = err.statusCode || err.status;
+  let code = err.errorCode || err.code;
+  if (!code) {
+    if (status === 400) code = 'BAD_USER_INPUT';
+    else if (status === 403) code = 'FORBIDDEN';
+    else if (status === 404) code = 'NOT_FOUND';
+    else if (status === 409) code = 'CONFLICT';
+    else code = 'INTERNAL_ERROR';
+  }
+
+  return new GraphQLError(err.message, {
+    originalError: err,
+    extensions: { code, ...(status && { status }) },
+  });
+}
+
+/**
+ * Run a service call and re-throw any failure (sync or async) as a GraphQLError.
+ * @template T
+ * @param {function(): (Promise<T>|T)} work
+ * @returns {Promise<T>}
+ */
+async function callService(work) {
+  try {
+    return await work();
+  } catch (err) {
+    throw toGraphQLError(err);
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  clampLimit,
+  clampOffset,
+  assertAuthenticated,
+  assertPermission,
+  toGraphQLError,
+  callService,
+};
@@ -9,13 +9,20 @@
  *  - All requests (HTTP + WS) require a valid API key.
  *  - Introspection is disabled in production (NODE_ENV=production).
  *  - Query depth is limited to prevent deeply nested abuse.
+ *  - Query complexity is limited per API key tier (see ./queryCost).
+ *  - Optional allow-list mode restricts non-admin keys to persisted queries
+ *    (see ./persistedQueries).
  */
 
 const { createHandler } = require('graphql-http/lib/use/express');
 const { useServer } = require('graphql-ws/use/ws');
 const { WebSocketServer } = require('ws');
-const { validate } = require('graphql');
+const { GraphQLError, parse, validate, specifiedRules } = require('graphql');
 const { buildSchema } = require('./schema');
+const { createFundraisingServices, loaderSource } = require('./dataSources');
+const { createLoaders } = require('./loaders');
+const persistedQueries = require('./persistedQueries');
+const { MAX_QUERY_DEPTH, checkDepth, createQueryCostRule } = require('./queryCost');
 const pubsub = require('./pubsub');
 const requireApiKey = require('../middleware/apiKey');
 const { getStellarService } = require('../config/stellar');
@@ -27,93 +34,6 @@ const { parseLanguage, getMessage } = require('../utils/i18n');
 
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 
-/** Maximum allowed query depth to prevent deeply nested abuse */
-const MAX_QUERY_DEPTH = 5;
-
-/**
- * Build a lookup map of fragment name -> FragmentDefinition node from a parsed document.
- * Required so that FragmentSpread nodes can be resolved to their full selection sets
- * when computing query depth. Without this map, fragment spreads silently halt
- * depth recursion, allowing chained fragments (A → B → C) to bypass MAX_QUERY_DEPTH.
- *
- * @param {object} document - Parsed GraphQL document
- * @returns {Map<string, object>} Fragment name to FragmentDefinition node
- */
-function buildFragmentMap(document) {
-  const map = new Map();
-  for (const def of document.definitions) {
-    if (def.kind === 'FragmentDefinition') {
-      map.set(def.name.value, def);
-    }
-  }
-  return map;
-}
-
-/**
- * Recursively compute the depth of a GraphQL selection set, resolving
- * FragmentSpread nodes to their definitions so chained fragment spreads
- * (Fragment A → B → C) accumulate depth correctly toward MAX_QUERY_DEPTH.
- *
- * @param {object} selectionSet - AST SelectionSet node
- * @param {Map<string, object>} fragmentMap - Fragment name → FragmentDefinition
- * @param {number} depth - Current accumulated depth
- * @param {Set<string>} visited - Fragment names already on the current call stack
- *   (cycle guard: prevents infinite recursion from circular fragment references)
- * @returns {number} Maximum depth reached within this selection set
- */
-function getQueryDepth(selectionSet, fragmentMap, depth = 0, visited = new Set()) {
-  if (!selectionSet || !selectionSet.selections) return depth;
-
-  let max = depth;
-  for (const selection of selectionSet.selections) {
-    if (selection.kind === 'FragmentSpread') {
-      // Resolve the fragment spread to its definition and recurse into it.
-      // The depth does NOT increase at the spread site itself — it increases
-      // when we step into the fragment's own child fields.
-      const fragName = selection.name.value;
-      if (!visited.has(fragName)) {
-        const fragDef = fragmentMap.get(fragName);
-        if (fragDef && fragDef.selectionSet) {
-          // Mark visited before recursing to guard against circular fragments
-          const nextVisited = new Set(visited).add(fragName);
-          const d = getQueryDepth(fragDef.selectionSet, fragmentMap, depth, nextVisited);
-          if (d > max) max = d;
-        }
-      }
-    } else if (selection.kind === 'InlineFragment') {
-      // Inline fragments are traversed in-place; they don't add depth themselves
-      const d = getQueryDepth(selection.selectionSet, fragmentMap, depth, visited);
-      if (d > max) max = d;
-    } else {
-      // Regular field — step one level deeper
-      const d = getQueryDepth(selection.selectionSet, fragmentMap, depth + 1, visited);
-      if (d > max) max = d;
-    }
-  }
-  return max;
-}
-
-/**
- * Validate that a parsed document does not exceed MAX_QUERY_DEPTH.
- * Fragments are fully resolved before measuring depth so that chained
- * fragment spreads cannot bypass the limit (#1368).
- *
- * @param {object} document - Parsed GraphQL document
- * @returns {{ valid: boolean, depth: number }}
- */
-function checkDepth(document) {
-  const fragmentMap = buildFragmentMap(document);
-  let maxDepth = 0;
-  for (const def of document.definitions) {
-    if (def.kind === 'FragmentDefinition') continue; // checked via spread resolution
-    if (def.selectionSet) {
-      const d = getQueryDepth(def.selectionSet, fragmentMap);
-      if (d > maxDepth) maxDepth = d;
-    }
-  }
-  return { valid: maxDepth <= MAX_QUERY_DEPTH, depth: maxDepth };
-}
-
 // ─── Service instances ────────────────────────────────────────────────────────
 
 const stellarService = getStellarService();
@@ -128,7 +48,13 @@ const statsService = {
 
 // ─── Schema ───────────────────────────────────────────────────────────────────
 
-const schema = buildSchema({ donationService, walletService, statsService, pubsub });
+const schema = buildSchema({
+  donationService,
+  walletService,
+  statsService,
+  pubsub,
+  ...createFundraisingServices(),
+});
 
 // ─── Error sanitization ───────────────────────────────────────────────────────
 
@@ -212,25 +138,44 @@ function sanitizeGraphQLError(err, reqCtx) {
 const graphqlHttpHandler = createHandler({
   schema,
   /**
-   * Build per-request context, injecting the authenticated API key info.
+   * Build per-request context, injecting the authenticated API key info
+   * and a fresh set of batching loaders.
    * @param {object} req - Express request
-   * @returns {{ apiKey: object }}
+   * @returns {{ apiKey: object, loaders: object }}
+   */
+  context: (req) => ({ apiKey: req.raw.apiKey, loaders: createLoaders(loaderSource) }),
+
+  /**
+   * Append the tier-aware complexity rule to the standard validation rules.
+   * @param {object} req - graphql-http request (req.raw is the Express request)
+   * @param {object} args - Execution args (variableValues, operationName)
+   * @param {readonly Function[]} specifiedRules - Standard GraphQL rules
+   * @returns {Function[]}
    */
-  context: (req) => ({ apiKey: req.raw.apiKey }),
+  validationRules: (req, args, specifiedRules) => [
+    ...specifiedRules,
+    createQueryCostRule({
+      apiKey: req.raw.apiKey,
+      variables: args.variableValues,
+      operationName: args.operationName,
+    }),
+  ],
 
   /**
    * Validate the incoming document before execution.
    * Blocks introspection in production and enforces depth limits.
-   * @param {object} args
-   * @returns {readonly Error[] | undefined}
+   * @param {import('graphql').GraphQLSchema} validationSchema
+   * @param {import('graphql').DocumentNode} documentAST
+   * @param {readonly Function[]} rules - Rules from validationRules above
+   * @returns {readonly Error[]}
    */
-  validate(args) {
-    const errors = validate(args.schema, args.documentAST);
+  validate(validationSchema, documentAST, rules) {
+    const errors = validate(validationSchema, documentAST, rules);
     if (errors.length > 0) return errors;
 
     // Block introspection in production
     if (IS_PRODUCTION) {
-      for (const def of args.documentAST.definitions) {
+      for (const def of documentAST.definitions) {
         const src = def.selectionSet?.selections ?? [];
         const hasIntrospection = src.some(
           (s) => s.name?.value === '__schema' || s.name?.value === '__type'
@@ -242,7 +187,7 @@ const graphqlHttpHandler = createHandler({
     }
 
     // Enforce query depth limit
-    const { valid, depth } = checkDepth(args.documentAST);
+    const { valid, depth } = checkDepth(documentAST);
     if (!valid) {
       return [
         new Error(
@@ -251,7 +196,7 @@ const graphqlHttpHandler = createHandler({
       ];
     }
 
-    return undefined;
+    return [];
   },
 
   /**
@@ -289,8 +234,10 @@ function attachSubscriptionServer(httpServer) {
       schema,
       /**
        * Authenticate WebSocket connections via connectionParams.
+       * The verified key is stored on ctx.extra for onSubscribe and context;
+       * it is not echoed back in the connection_ack payload.
        * @param {object} ctx - graphql-ws context
-       * @returns {Promise<object>} context passed to resolvers
+       * @returns {Promise<boolean>} true to acknowledge the connection
        */
       onConnect: async (ctx) => {
         const apiKey = ctx.connectionParams?.apiKey;
@@ -305,33 +252,46 @@ function attachSubscriptionServer(httpServer) {
 
         const keyInfo = await validateKey(apiKey).catch(() => null);
         if (keyInfo) {
-          return { apiKey: keyInfo };
+          ctx.extra.apiKey = keyInfo;
+          return true;
         }
         if (legacyKeys.includes(apiKey)) {
-          return { apiKey: { role: 'user', isLegacy: true } };
+          ctx.extra.apiKey = { role: 'user', isLegacy: true };
+          return true;
         }
 
         throw new Error('Invalid or expired API key');
       },
 
       /**
-       * Validate each incoming subscription document before execution.
-       * Applies the same introspection-blocking and depth-limiting rules used
-       * by the HTTP handler, so WebSocket subscribers cannot bypass security
-       * by bypassing the HTTP layer. (#1369)
+       * Resolve and validate each incoming subscription document before execution.
+       * Applies the same persisted-query, introspection-blocking, depth and
+       * complexity rules used by the HTTP handler, so WebSocket subscribers
+       * cannot bypass security by bypassing the HTTP layer. (#1369)
        *
-       * @param {object} ctx - graphql-ws context (ctx.extra.apiKey is set after onConnect)
-       * @param {object} msg - The subscribe message containing the document
-       * @param {object} args - Execution args including schema and document
-       * @returns {readonly GraphQLError[] | void} Return errors to reject the subscription
+       * @param {object} ctx - graphql-ws context (ctx.extra.apiKey is set by onConnect)
+       * @param {string} _id - Subscription id (unused)
+       * @param {object} payload - Subscribe payload ({ query, variables, operationName, extensions })
+       * @returns {Promise<object | readonly GraphQLError[]>} Execution args, or errors to reject the subscription
        */
-      onSubscribe: (ctx, msg, args) => {
-        // args may be undefined in some graphql-ws versions; fall back to parsing msg
-        const document = args?.document;
-        if (!document) return;
+      onSubscribe: async (ctx, _id, payload) => {
+        const apiKey = ctx.extra?.apiKey ?? null;
+
+        let document;
+        try {
+          document = parse(await persistedQueries.resolveQuery(payload, apiKey));
+        } catch (err) {
+          if (err instanceof GraphQLError) return [err];
+          return [new GraphQLError(err.message, { extensions: { code: err.errorCode || 'INTERNAL_ERROR' } })];
+        }
 
-        // Standard GraphQL validation
-        const validationErrors = validate(args.schema || schema, document);
+        // Standard GraphQL validation plus the tier-aware complexity rule
+        const costRule = createQueryCostRule({
+          apiKey,
+          variables: payload.variables,
+          operationName: payload.operationName,
+        });
+        const validationErrors = validate(schema, document, [...specifiedRules, costRule]);
         if (validationErrors.length > 0) return validationErrors;
 
         // Block introspection in production (#1369)
@@ -342,7 +302,7 @@ function attachSubscriptionServer(httpServer) {
               (s) => s.name?.value === '__schema' || s.name?.value === '__type'
             );
             if (hasIntrospection) {
-              return [new Error('GraphQL introspection is disabled in production.')];
+              return [new GraphQLError('GraphQL introspection is disabled in production.')];
             }
           }
         }
@@ -351,11 +311,18 @@ function attachSubscriptionServer(httpServer) {
         const { valid, depth } = checkDepth(document);
         if (!valid) {
           return [
-            new Error(
+            new GraphQLError(
               `Query depth ${depth} exceeds maximum allowed depth of ${MAX_QUERY_DEPTH}.`
             ),
           ];
         }
+
+        return {
+          schema,
+          document,
+          variableValues: payload.variables,
+          operationName: payload.operationName,
+        };
       },
 
       /**
@@ -364,9 +331,9 @@ function attachSubscriptionServer(httpServer) {
        * Do NOT fall back to raw connectionParams, which are unauthenticated. (#1370)
        *
        * @param {object} ctx - graphql-ws context
-       * @returns {{ apiKey: object|null }}
+       * @returns {{ apiKey: object|null, loaders: object }}
        */
-      context: (ctx) => ({ apiKey: ctx.extra?.apiKey ?? null }),
+      context: (ctx) => ({ apiKey: ctx.extra?.apiKey ?? null, loaders: createLoaders(loaderSource) }),
     },
     wss
   );
@@ -375,6 +342,30 @@ function attachSubscriptionServer(httpServer) {
   return wsServer;
 }
 
+// ─── Persisted queries ────────────────────────────────────────────────────────
+
+/**
+ * Express middleware that swaps a persisted-query hash for its stored document
+ * and enforces allow-list mode before the request reaches graphql-http.
+ * Errors use the GraphQL response shape so clients handle them uniformly.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Function} next
+ */
+async function resolvePersistedQuery(req, res, next) {
+  try {
+    const query = await persistedQueries.resolveQuery(req.body, req.apiKey);
+    if (query !== undefined) req.body.query = query;
+    next();
+  } catch (err) {
+    if (!err.errorCode) return next(err);
+    res.status(err.statusCode).json({
+      errors: [{ message: err.message, extensions: { code: err.errorCode, requestId: req.id } }],
+    });
+  }
+}
+
 // ─── Route factory ────────────────────────────────────────────────────────────
 
 /**
@@ -390,8 +381,8 @@ function createGraphQLRouter() {
   // All GraphQL HTTP requests require a valid API key
   router.use(requireApiKey);
 
-  // POST /graphql — execute queries and mutations
-  router.post('/', graphqlHttpHandler);
+  // POST /graphql — execute queries and mutations (inline or persisted)
+  router.post('/', resolvePersistedQuery, graphqlHttpHandler);
 
   return router;
 }
@@ -0,0 +1,155 @@
+/**
+ * GraphQL Request Loaders
+ *
+ * RESPONSIBILITY: Per-request batching and caching of entity lookups made by nested resolvers
+ * OWNER: Backend Team
+ * DEPENDENCIES: ./dataSources (default loader source, loaded lazily)
+ *
+ * A nested query such as donations → senderWallet → recentDonations would otherwise
+ * issue one lookup per row. Loads requested in the same tick are collected and
+ * resolved with a single batch call, and each key is fetched at most once per
+ * request. Loaders live on the GraphQL context, so nothing is cached across requests.
+ */
+
+const { MAX_PAGE_LIMIT } = require('./helpers');
+
+/**
+ * Minimal batching loader. Keys requested before the next tick are coalesced
+ * into one call to batchFn; results are cached for the lifetime of the loader.
+ */
+class BatchLoader {
+  /**
+   * @param {function(Array): Promise<Array>} batchFn - Receives unique keys, resolves
+   *   to values in the same order (null for missing keys)
+   * @param {object} [options]
+   * @param {number} [options.maxBatchSize] - Keys per batch call (bounds SQL IN lists)
+   */
+  constructor(batchFn, { maxBatchSize = MAX_PAGE_LIMIT } = {}) {
+    this.batchFn = batchFn;
+    this.maxBatchSize = maxBatchSize;
+    this.cache = new Map();
+    this.queue = [];
+  }
+
+  /**
+   * Load a single value by key.
+   * @param {*} key
+   * @returns {Promise<*>}
+   */
+  load(key) {
+    if (key === null || key === undefined) return Promise.resolve(null);
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, resolve, reject });
+      if (this.queue.length === 1) {
+        // Wait for the current wave of resolvers to enqueue their keys first
+        queueMicrotask(() => process.nextTick(() => this._dispatch()));
+      }
+    });
+    this.cache.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Load several values by key.
+   * @param {Array} keys
+   * @returns {Promise<Array>}
+   */
+  loadMany(keys) {
+    return Promise.all(keys.map((key) => this.load(key)));
+  }
+
+  /** Run the batch function for all queued keys. */
+  _dispatch() {
+    const queue = this.queue;
+    this.queue = [];
+
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      const chunk = queue.slice(i, i + this.maxBatchSize);
+      Promise.resolve()
+        .then(() => this.batchFn(chunk.map((entry) => entry.key)))
+        .then((values) => {
+          chunk.forEach((entry, idx) => entry.resolve(values[idx] ?? null));
+        })
+        .catch((err) => {
+          // Failed keys are evicted so a later load in the same request can retry
+          chunk.forEach((entry) => {
+            this.cache.delete(entry.key);
+            entry.reject(err);
+          });
+        });
+    }
+  }
+}
+
+/**
+ * Align batch rows with the requested keys.
+ * @param {Array} keys
+ * @param {Array<object>} rows
+ * @param {function(object): *} keyOf
+ * @returns {Array<object|null>}
+ */
+function alignByKey(keys, rows, keyOf) {
+  const byKey = new Map(rows.map((row) => [String(keyOf(row)), row]));
+  return keys.map((key) => byKey.get(String(key)) ?? null);
+}
+
+/**
+ * Group batch rows under the requested keys.
+ * @param {Array} keys
+ * @param {Array<object>} rows
+ * @param {function(object): *} keyOf
+ * @returns {Array<Array<object>>}
+ */
+function groupByKey(keys, rows, keyOf) {
+  const groups = new Map(keys.map((key) => [String(key), []]));
+  for (const row of rows) {
+    const group = groups.get(String(keyOf(row)));
+    if (group) group.push(row);
+  }
+  return keys.map((key) => groups.get(String(key)));
+}
+
+/**
+ * Create the loaders for one GraphQL request.
+ *
+ * @param {object} source - Batch lookups (see dataSources.loaderSource):
+ *   getUsersByIds, getWalletsByAddresses, getCampaignsByIds,
+ *   getMilestonesByCampaignIds, getDonationsBySenders
+ * @returns {{ users: BatchLoader, wallets: BatchLoader, campaigns: BatchLoader,
+ *             milestonesByCampaign: BatchLoader, donationsBySender: BatchLoader }}
+ */
+function createLoaders(source) {
+  return {
+    users: new BatchLoader(async (ids) =>
+      alignByKey(ids, await source.getUsersByIds(ids), (u) => u.id)),
+    wallets: new BatchLoader(async (addresses) =>
+      alignByKey(addresses, await source.getWalletsByAddresses(addresses), (w) => w.address)),
+    campaigns: new BatchLoader(async (ids) =>
+      alignByKey(ids, await source.getCampaignsByIds(ids), (c) => c.id)),
+    milestonesByCampaign: new BatchLoader(async (ids) =>
+      groupByKey(ids, await source.getMilestonesByCampaignIds(ids), (m) => m.campaign_id)),
+    donationsBySender: new BatchLoader(async (addresses) =>
+      groupByKey(addresses, await source.getDonationsBySenders(addresses), (d) => d.donor)),
+  };
+}
+
+/**
+ * Return the loaders attached to a resolver context, creating them from the
+ * database-backed source when the context was built without any (e.g. by a
+ * caller other than the /graphql handlers).
+ *
+ * @param {object} context - GraphQL resolver context
+ * @returns {ReturnType<typeof createLoaders>}
+ */
+function getLoaders(context) {
+  if (context && context.loaders) return context.loaders;
+
+  const { loaderSource } = require('./dataSources');
+  const loaders = createLoaders(loaderSource);
+  if (context) context.loaders = loaders;
+  return loaders;
+}
+
+module.exports = { BatchLoader, createLoaders, getLoaders };
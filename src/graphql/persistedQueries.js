@@ -0,0 +1,188 @@
+/**
+ * GraphQL Persisted Queries
+ *
+ * RESPONSIBILITY: Storage, lookup and allow-list enforcement for registered GraphQL documents
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database (graphql_persisted_queries, migration 040), graphql
+ *
+ * Documents are registered by an admin and addressed by the SHA-256 hex digest
+ * of their text. Clients execute them by sending the hash in the Apollo-style
+ * `extensions.persistedQuery.sha256Hash` field instead of the query text.
+ *
+ * Allow-list mode, enabled by setting GRAPHQL_PERSISTED_QUERIES_ONLY to true,
+ * rejects ad-hoc documents from non-admin API keys. A document sent as text is still accepted
+ * when its hash matches a registered entry.
+ */
+
+const crypto = require('crypto');
+const { parse, validate, specifiedRules } = require('graphql');
+const Database = require('../utils/database');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors');
+
+/** Lookups are cached briefly; removals elsewhere take effect within one TTL. */
+const CACHE_TTL_MS = 60000;
+const cache = new Map();
+
+const SHA256_HEX = /^[a-f0-9]{64}$/;
+
+/**
+ * SHA-256 hex digest of a document's exact text.
+ * @param {string} query
+ * @returns {string}
+ */
+function hashQuery(query) {
+  return crypto.createHash('sha256').update(query, 'utf8').digest('hex');
+}
+
+/**
+ * Whether allow-list mode is enabled.
+ * @returns {boolean}
+ */
+function isAllowListEnabled() {
+  return process.env.GRAPHQL_PERSISTED_QUERIES_ONLY === 'true';
+}
+
+/**
+ * Register a document. Registration is idempotent for identical text.
+ *
+ * @param {object} params
+ * @param {import('graphql').GraphQLSchema} params.schema - Schema the document must validate against
+ * @param {string} params.query - Document text
+ * @param {string} [params.hash] - Client-computed hash; must match the text when given
+ * @param {string} [params.operationName]
+ * @param {string} [params.description]
+ * @param {string|number} [params.createdBy] - Registering API key id
+ * @returns {Promise<{ record: object, created: boolean }>}
+ */
+async function register({ schema, query, hash, operationName = null, description = null, createdBy = null }) {
+  const digest = hashQuery(query);
+  if (hash && hash.toLowerCase() !== digest) {
+    throw new ValidationError('hash does not match the SHA-256 digest of query', { expected: digest }, 'PERSISTED_QUERY_HASH_MISMATCH');
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    throw new ValidationError(`query is not a valid GraphQL document: ${err.message}`);
+  }
+  const errors = validate(schema, document, specifiedRules);
+  if (errors.length > 0) {
+    throw new ValidationError('query does not validate against the schema', {
+      errors: errors.map((e) => e.message),
+    });
+  }
+
+  const existing = await Database.get('SELECT * FROM graphql_persisted_queries WHERE hash = ?', [digest]);
+  if (existing) {
+    return { record: existing, created: false };
+  }
+
+  await Database.run(
+    `INSERT INTO graphql_persisted_queries (hash, query, operationName, description, createdBy)
+     VALUES (?, ?, ?, ?, ?)`,
+    [digest, query, operationName, description, createdBy != null ? String(createdBy) : null]
+  );
+  const record = await Database.get('SELECT * FROM graphql_persisted_queries WHERE hash = ?', [digest]);
+  return { record, created: true };
+}
+
+/**
+ * Look up a registered document by hash.
+ * @param {string} hash
+ * @returns {Promise<object|null>}
+ */
+async function getByHash(hash) {
+  if (typeof hash !== 'string' || !SHA256_HEX.test(hash.toLowerCase())) return null;
+  const key = hash.toLowerCase();
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.record;
+
+  const record = await Database.get('SELECT * FROM graphql_persisted_queries WHERE hash = ?', [key]);
+  if (record) {
+    cache.set(key, { record, expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+  return record || null;
+}
+
+/**
+ * List registered documents, newest first.
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ items: object[], total: number }>}
+ */
+async function list({ limit = 50, offset = 0 } = {}) {
+  const items = await Database.query(
+    'SELECT * FROM graphql_persisted_queries ORDER BY createdAt DESC, hash ASC LIMIT ? OFFSET ?',
+    [limit, offset]
+  );
+  const row = await Database.get('SELECT COUNT(*) AS total FROM graphql_persisted_queries', []);
+  return { items, total: row ? row.total : items.length };
+}
+
+/**
+ * Remove a registered document.
+ * @param {string} hash
+ * @returns {Promise<void>}
+ */
+async function remove(hash) {
+  const key = String(hash).toLowerCase();
+  const result = await Database.run('DELETE FROM graphql_persisted_queries WHERE hash = ?', [key]);
+  cache.delete(key);
+  if (!result.changes) {
+    throw new NotFoundError('Persisted query not found', 'PERSISTED_QUERY_NOT_FOUND');
+  }
+}
+
+/**
+ * Resolve the document text for a GraphQL request, applying allow-list mode.
+ *
+ * @param {object} params - Request params ({ query, extensions })
+ * @param {object|null} apiKey - Authenticated API key info
+ * @returns {Promise<string|undefined>} Document text to execute (undefined leaves the request untouched)
+ * @throws {NotFoundError|ForbiddenError|ValidationError} With codes PERSISTED_QUERY_NOT_FOUND,
+ *   PERSISTED_QUERY_HASH_MISMATCH or PERSISTED_QUERY_REQUIRED
+ */
+async function resolveQuery(params, apiKey) {
+  const hash = params?.extensions?.persistedQuery?.sha256Hash;
+  const query = params?.query;
+  const enforce = isAllowListEnabled() && !(apiKey && apiKey.role === 'admin');
+
+  if (hash) {
+    if (query && hashQuery(query) !== String(hash).toLowerCase()) {
+      throw new ValidationError('provided sha256Hash does not match query', null, 'PERSISTED_QUERY_HASH_MISMATCH');
+    }
+    const record = await getByHash(hash);
+    if (!record) {
+      // Outside allow-list enforcement the full text may be executed as sent
+      if (query && !enforce) return query;
+      throw new NotFoundError('Persisted query not found', 'PERSISTED_QUERY_NOT_FOUND');
+    }
+    return record.query;
+  }
+
+  if (enforce && typeof query === 'string') {
+    if (!(await getByHash(hashQuery(query)))) {
+      throw new ForbiddenError('Only persisted queries may be executed with this API key', 'PERSISTED_QUERY_REQUIRED');
+    }
+  }
+  return query;
+}
+
+/** Clear the lookup cache (tests and admin tooling). */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  hashQuery,
+  isAllowListEnabled,
+  register,
+  getByHash,
+  list,
+  remove,
+  resolveQuery,
+  clearCache,
+};
@@ -0,0 +1,309 @@
+/**
+ * GraphQL Query Cost Analysis
+ *
+ * RESPONSIBILITY: Static depth and complexity analysis of GraphQL documents before execution
+ * OWNER: Backend Team
+ * DEPENDENCIES: graphql, ./helpers, config/permissionMatrix (tier budgets)
+ *
+ * Depth is capped globally (MAX_QUERY_DEPTH). Complexity is checked against a
+ * budget that depends on the caller's API key tier, so a free-tier key cannot
+ * request a 100 × 100 × 100 nested fan-out that an enterprise key might need.
+ *
+ * Cost model:
+ *  - every selected field costs 1 (introspection fields are free)
+ *  - the cost of a list field's children is multiplied by its page size: the
+ *    `limit` argument (literal or variable), else its default, else
+ *    DEFAULT_PAGE_LIMIT — clamped to MAX_PAGE_LIMIT exactly as resolvers do
+ */
+
+const {
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isObjectType,
+  isInterfaceType,
+} = require('graphql');
+const { DEFAULT_PAGE_LIMIT, clampLimit } = require('./helpers');
+const { TIER_FEATURES, TIER_ORDER } = require('../config/permissionMatrix');
+
+/** Maximum allowed query depth to prevent deeply nested abuse */
+const MAX_QUERY_DEPTH = 5;
+
+// ─── Depth ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build a lookup map of fragment name -> FragmentDefinition node from a parsed document.
+ * Required so that FragmentSpread nodes can be resolved to their full selection sets
+ * when computing query depth. Without this map, fragment spreads silently halt
+ * depth recursion, allowing chained fragments (A → B → C) to bypass MAX_QUERY_DEPTH.
+ *
+ * @param {object} document - Parsed GraphQL document
+ * @returns {Map<string, object>} Fragment name to FragmentDefinition node
+ */
+function buildFragmentMap(document) {
+  const map = new Map();
+  for (const def of document.definitions) {
+    if (def.kind === 'FragmentDefinition') {
+      map.set(def.name.value, def);
+    }
+  }
+  return map;
+}
+
+/**
+ * Recursively compute the depth of a GraphQL selection set, resolving
+ * FragmentSpread nodes to their definitions so chained fragment spreads
+ * (Fragment A → B → C) accumulate depth correctly toward MAX_QUERY_DEPTH.
+ *
+ * @param {object} selectionSet - AST SelectionSet node
+ * @param {Map<string, object>} fragmentMap - Fragment name → FragmentDefinition
+ * @param {number} depth - Current accumulated depth
+ * @param {Set<string>} visited - Fragment names already on the current call stack
+ *   (cycle guard: prevents infinite recursion from circular fragment references)
+ * @returns {number} Maximum depth reached within this selection set
+ */
+function getQueryDepth(selectionSet, fragmentMap, depth = 0, visited = new Set()) {
+  if (!selectionSet || !selectionSet.selections) return depth;
+
+  let max = depth;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === 'FragmentSpread') {
+      // Resolve the fragment spread to its definition and recurse into it.
+      // The depth does NOT increase at the spread site itself — it increases
+      // when we step into the fragment's own child fields.
+      const fragName = selection.name.value;
+      if (!visited.has(fragName)) {
+        const fragDef = fragmentMap.get(fragName);
+        if (fragDef && fragDef.selectionSet) {
+          // Mark visited before recursing to guard against circular fragments
+          const nextVisited = new Set(visited).add(fragName);
+          const d = getQueryDepth(fragDef.selectionSet, fragmentMap, depth, nextVisited);
+          if (d > max) max = d;
+        }
+      }
+    } else if (selection.kind === 'InlineFragment') {
+      // Inline fragments are traversed in-place; they don't add depth themselves
+      const d = getQueryDepth(selection.selectionSet, fragmentMap, depth, visited);
+      if (d > max) max = d;
+    } else {
+      // Regular field — step one level deeper
+      const d = getQueryDepth(selection.selectionSet, fragmentMap, depth + 1, visited);
+      if (d > max) max = d;
+    }
+  }
+  return max;
+}
+
+/**
+ * Validate that a parsed document does not exceed MAX_QUERY_DEPTH.
+ * Fragments are fully resolved before measuring depth so that chained
+ * fragment spreads cannot bypass the limit (#1368).
+ *
+ * @param {object} document - Parsed GraphQL document
+ * @returns {{ valid: boolean, depth: number }}
+ */
+function checkDepth(document) {
+  const fragmentMap = buildFragmentMap(document);
+  let maxDepth = 0;
+  for (const def of document.definitions) {
+    if (def.kind === 'FragmentDefinition') continue; // checked via spread resolution
+    if (def.selectionSet) {
+      const d = getQueryDepth(def.selectionSet, fragmentMap);
+      if (d > maxDepth) maxDepth = d;
+    }
+  }
+  return { valid: maxDepth <= MAX_QUERY_DEPTH, depth: maxDepth };
+}
+
+// ─── Complexity ───────────────────────────────────────────────────────────────
+
+/**
+ * Page size a list field will return, mirroring the resolvers' clampLimit().
+ *
+ * @param {object} fieldNode - AST Field node
+ * @param {object|undefined} fieldDef - Schema field definition
+ * @param {object} variables - Operation variable values
+ * @returns {number}
+ */
+function getListSize(fieldNode, fieldDef, variables) {
+  const argNode = (fieldNode.arguments || []).find((a) => a.name.value === 'limit');
+  let limit;
+
+  if (argNode) {
+    if (argNode.value.kind === Kind.INT) {
+      limit = parseInt(argNode.value.value, 10);
+    } else if (argNode.value.kind === Kind.VARIABLE) {
+      limit = variables[argNode.value.name.value];
+    }
+  }
+  if (limit == null && fieldDef) {
+    const argDef = fieldDef.args.find((a) => a.name === 'limit');
+    if (argDef && argDef.defaultValue != null) limit = argDef.defaultValue;
+  }
+  return clampLimit(typeof limit === 'number' ? limit : DEFAULT_PAGE_LIMIT);
+}
+
+/**
+ * Compute the complexity of a selection set against its parent type.
+ *
+ * @param {object} selectionSet - AST SelectionSet node
+ * @param {object|null} parentType - Named GraphQL type the selections apply to
+ * @param {object} ctx - { schema, fragmentMap, variables, visited }
+ * @returns {number}
+ */
+function getSelectionCost(selectionSet, parentType, ctx) {
+  if (!selectionSet) return 0;
+
+  let total = 0;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) continue;
+
+      const fields = parentType && (isObjectType(parentType) || isInterfaceType(parentType))
+        ? parentType.getFields()
+        : {};
+      const fieldDef = Object.prototype.hasOwnProperty.call(fields, selection.name.value)
+        ? fields[selection.name.value]
+        : undefined;
+
+      const childType = fieldDef ? getNamedType(fieldDef.type) : null;
+      let childCost = getSelectionCost(selection.selectionSet, childType, ctx);
+      if (fieldDef && isListType(getNullableType(fieldDef.type))) {
+        childCost *= getListSize(selection, fieldDef, ctx.variables);
+      }
+      total += 1 + childCost;
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const fragType = selection.typeCondition
+        ? ctx.schema.getType(selection.typeCondition.name.value)
+        : parentType;
+      total += getSelectionCost(selection.selectionSet, fragType, ctx);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragName = selection.name.value;
+      const fragDef = ctx.fragmentMap.get(fragName);
+      if (fragDef && !ctx.visited.has(fragName)) {
+        const fragType = ctx.schema.getType(fragDef.typeCondition.name.value);
+        const visited = new Set(ctx.visited).add(fragName);
+        total += getSelectionCost(fragDef.selectionSet, fragType, { ...ctx, visited });
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Statically analyse a document: depth and complexity of the operation that
+ * will run (or the most expensive one when no operationName is given).
+ *
+ * @param {import('graphql').GraphQLSchema} schema
+ * @param {object} document - Parsed GraphQL document
+ * @param {object} [options]
+ * @param {object} [options.variables] - Operation variable values
+ * @param {string} [options.operationName]
+ * @returns {{ depth: number, complexity: number }}
+ */
+function analyzeQuery(schema, document, { variables = {}, operationName = null } = {}) {
+  const fragmentMap = buildFragmentMap(document);
+  const ctx = { schema, fragmentMap, variables: variables || {}, visited: new Set() };
+
+  let depth = 0;
+  let complexity = 0;
+  for (const def of document.definitions) {
+    if (def.kind !== Kind.OPERATION_DEFINITION) continue;
+    if (operationName && (!def.name || def.name.value !== operationName)) continue;
+
+    const rootType = schema.getRootType(def.operation);
+    depth = Math.max(depth, getQueryDepth(def.selectionSet, fragmentMap));
+    complexity = Math.max(complexity, getSelectionCost(def.selectionSet, rootType, ctx));
+  }
+  return { depth, complexity };
+}
+
+// ─── Tier budgets ─────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the API key tier used for budgeting. Admin keys get the highest tier,
+ * matching the tier bypass in requireTier(); legacy keys default to 'free'.
+ *
+ * @param {object|null} apiKey - Authenticated API key info from the request
+ * @returns {string}
+ */
+function getApiKeyTier(apiKey) {
+  if (apiKey && apiKey.role === 'admin') return TIER_ORDER[TIER_ORDER.length - 1];
+  const tier = apiKey && apiKey.tier;
+  return TIER_ORDER.includes(tier) ? tier : 'free';
+}
+
+/**
+ * Complexity budget for a tier. An env var named after the tier, such as
+ * GRAPHQL_MAX_COST_PRO, overrides the default from the tier feature matrix.
+ *
+ * @param {string} tier
+ * @returns {number}
+ */
+function getCostBudget(tier) {
+  const override = parseInt(process.env[`GRAPHQL_MAX_COST_${tier.toUpperCase()}`], 10);
+  if (Number.isFinite(override) && override > 0) return override;
+  return TIER_FEATURES[tier].limits.graphqlQueryCost;
+}
+
+/**
+ * Check a document against the caller's tier budget.
+ *
+ * @param {import('graphql').GraphQLSchema} schema
+ * @param {object} document - Parsed GraphQL document
+ * @param {object} options
+ * @param {object|null} options.apiKey - Authenticated API key info
+ * @param {object} [options.variables]
+ * @param {string} [options.operationName]
+ * @returns {GraphQLError|null} QUERY_TOO_COMPLEX error, or null when within budget
+ */
+function checkQueryCost(schema, document, { apiKey, variables, operationName } = {}) {
+  const { depth, complexity } = analyzeQuery(schema, document, { variables, operationName });
+  const tier = getApiKeyTier(apiKey);
+  const budget = getCostBudget(tier);
+
+  if (complexity <= budget) return null;
+
+  return new GraphQLError(
+    `Query complexity ${complexity} exceeds the budget of ${budget} for the '${tier}' tier.`,
+    {
+      extensions: {
+        code: 'QUERY_TOO_COMPLEX',
+        complexity,
+        depth,
+        budget,
+        tier,
+      },
+    }
+  );
+}
+
+/**
+ * Build a validation rule that reports QUERY_TOO_COMPLEX for the given caller.
+ * Suitable for graphql-http's validationRules option and graphql.validate().
+ *
+ * @param {object} options - Same as checkQueryCost options
+ * @returns {function(import('graphql').ValidationContext): object} Validation rule
+ */
+function createQueryCostRule(options) {
+  return (validationContext) => ({
+    Document: {
+      leave(document) {
+        const error = checkQueryCost(validationContext.getSchema(), document, options);
+        if (error) validationContext.reportError(error);
+      },
+    },
+  });
+}
+
+module.exports = {
+  MAX_QUERY_DEPTH,
+  checkDepth,
+  analyzeQuery,
+  getApiKeyTier,
+  getCostBudget,
+  checkQueryCost,
+  createQueryCostRule,
+};
@@ -19,55 +19,15 @@ const {
   GraphQLList,
   GraphQLNonNull,
   GraphQLInputObjectType,
-  GraphQLError,
 } = require('graphql');
 
-const { hasPermission } = require('../models/permissions');
-
-// ─── Pagination constants ─────────────────────────────────────────────────────
-
-/** Default number of records returned when the client supplies no limit. */
-const DEFAULT_PAGE_LIMIT = 20;
-
-/** Hard upper cap on client-supplied limit arguments to prevent resource exhaustion. (#1372) */
-const MAX_PAGE_LIMIT = 100;
-
-/**
- * Clamp a client-supplied limit value within [1, MAX_PAGE_LIMIT].
- * If no limit is provided, return DEFAULT_PAGE_LIMIT.
- * @param {number|null|undefined} clientLimit
- * @returns {number}
- */
-function clampLimit(clientLimit) {
-  if (clientLimit == null) return DEFAULT_PAGE_LIMIT;
-  return Math.min(Math.max(1, clientLimit), MAX_PAGE_LIMIT);
-}
-
-// ─── RBAC helpers ─────────────────────────────────────────────────────────────
-
-/**
- * Assert that the GraphQL context includes an authenticated API key with the
- * required permission.  Mirrors the checkPermission() Express middleware used
- * by the equivalent REST routes. (#1371)
- *
- * @param {{ apiKey?: { role?: string } } | null} context - GraphQL resolver context
- * @param {string} permission - Required permission string (e.g. 'donations:create')
- * @throws {GraphQLError} UNAUTHENTICATED if no apiKey; FORBIDDEN if insufficient role
- */
-function assertPermission(context, permission) {
-  if (!context || !context.apiKey) {
-    throw new GraphQLError('Authentication required.', {
-      extensions: { code: 'UNAUTHENTICATED' },
-    });
-  }
-
-  const role = context.apiKey.role || 'guest';
-  if (!hasPermission(role, permission)) {
-    throw new GraphQLError(`Insufficient permissions. Required: ${permission}`, {
-      extensions: { code: 'FORBIDDEN' },
-    });
-  }
-}
+const { DEFAULT_PAGE_LIMIT, clampLimit, assertPermission } = require('./helpers');
+const { getLoaders } = require('./loaders');
+const {
+  buildFundraisingQueryFields,
+  buildFundraisingMutationFields,
+  CampaignType,
+} = require('./fundraising');
 
 // ─── Scalar / shared types ────────────────────────────────────────────────────
 
@@ -85,6 +45,13 @@ const DonationType = new GraphQLObjectType({
     timestamp: { type: GraphQLString },
     currency: { type: GraphQLString },
     tags: { type: GraphQLString },
+
+    // Related records are resolved through the per-request loaders (see ./loaders)
+    sender: { type: UserType, resolve: (d, _, context) => getLoaders(context).users.load(d.senderId) },
+    recipient: { type: UserType, resolve: (d, _, context) => getLoaders(context).users.load(d.receiverId) },
+    senderWallet: { type: WalletType, resolve: (d, _, context) => getLoaders(context).wallets.load(d.donor) },
+    recipientWallet: { type: WalletType, resolve: (d, _, context) => getLoaders(context).wallets.load(d.recipient) },
+    campaign: { type: CampaignType, resolve: (d, _, context) => getLoaders(context).campaigns.load(d.campaign_id) },
   }),
 });
 
@@ -99,6 +66,27 @@ const WalletType = new GraphQLObjectType({
     createdAt: { type: GraphQLString },
     funded: { type: GraphQLBoolean },
     sponsored: { type: GraphQLBoolean },
+
+    /** Most recent donations sent from this wallet (newest first). */
+    recentDonations: {
+      type: new GraphQLList(DonationType),
+      args: { limit: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_LIMIT } },
+      resolve: async (w, { limit }, context) => {
+        const donations = await getLoaders(context).donationsBySender.load(w.address);
+        return donations.slice(0, clampLimit(limit));
+      },
+    },
+  }),
+});
+
+/** A platform user (users row); the encrypted secret is never exposed */
+const UserType = new GraphQLObjectType({
+  name: 'User',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    publicKey: { type: GraphQLString },
+    createdAt: { type: GraphQLString },
+    wallet: { type: WalletType, resolve: (u, _, context) => getLoaders(context).wallets.load(u.publicKey) },
   }),
 });
 
@@ -213,12 +201,17 @@ const CreateDonationInput = new GraphQLInputObjectType({
 
 /**
  * Build the root Query type backed by the provided services.
- * @param {object} services - { donationService, walletService, statsService }
+ * Campaign, pledge, recurring schedule, dispute, matching program and webhook
+ * fields come from ./fundraising and share the same services object.
+ * @param {object} services - { donationService, walletService, statsService, ...fundraising services }
  */
-function buildQueryType({ donationService, walletService, statsService }) {
+function buildQueryType(services) {
+  const { donationService, walletService, statsService } = services;
   return new GraphQLObjectType({
     name: 'Query',
     fields: () => ({
+      ...buildFundraisingQueryFields(services),
+
       /**
        * Fetch all donations.
        * Accepts optional limit/offset for pagination. Defaults to DEFAULT_PAGE_LIMIT
@@ -354,12 +347,15 @@ function buildQueryType({ donationService, walletService, statsService }) {
 
 /**
  * Build the root Mutation type backed by the provided services.
- * @param {object} services - { donationService, walletService }
+ * @param {object} services - { donationService, walletService, ...fundraising services }
  */
-function buildMutationType({ donationService, walletService }) {
+function buildMutationType(services) {
+  const { donationService, walletService } = services;
   return new GraphQLObjectType({
     name: 'Mutation',
     fields: () => ({
+      ...buildFundraisingMutationFields(services),
+
       /**
        * Create a new donation record.
        * Requires donations:create permission (matching REST POST /donations). (#1371)
@@ -500,14 +496,29 @@ function buildSubscriptionType(pubsub) {
 
 /**
  * Build and return the complete GraphQL schema.
- * @param {object} services - { donationService, walletService, statsService, pubsub }
+ *
+ * Fundraising services are optional so callers that only need the donation and
+ * wallet surface (e.g. unit tests) can omit them; the corresponding resolvers
+ * report an INTERNAL_ERROR if invoked without a backing service.
+ *
+ * @param {object} services
+ * @param {object} services.donationService
+ * @param {object} services.walletService
+ * @param {object} services.statsService
+ * @param {object} services.pubsub
+ * @param {object} [services.campaignService]
+ * @param {object} [services.pledgeService]
+ * @param {object} [services.recurringService]
+ * @param {object} [services.disputeService]
+ * @param {object} [services.matchingProgramService]
+ * @param {object} [services.webhookService]
  * @returns {GraphQLSchema}
  */
-function buildSchema({ donationService, walletService, statsService, pubsub }) {
+function buildSchema(services) {
   return new GraphQLSchema({
-    query: buildQueryType({ donationService, walletService, statsService }),
-    mutation: buildMutationType({ donationService, walletService }),
-    subscription: buildSubscriptionType(pubsub),
+    query: buildQueryType(services),
+    mutation: buildMutationType(services),
+    subscription: buildSubscriptionType(services.pubsub),
   });
 }
 
@@ -1,10 +1,11 @@
 'use strict';
 
 /**
- * Periodic reconciliation job for DonationTotalsRepository.
+ * Periodic reconciliation job for DonationTotalsRepository and TeamTotalsRepository.
  *
  * Recomputes per-recipient totals from the source-of-truth transactions table
- * and corrects any drift in the pre-aggregated donation_totals table.
+ * and corrects any drift in the pre-aggregated donation_totals table; likewise
+ * the organization/team/fundraiser roll-ups in team_rollups.
  * Coordinated via scheduler lock so only one instance runs at a time.
  *
  * Uses timerRegistry.createInterval() (issue #1375) so the interval is
@@ -14,6 +15,7 @@
  */
 
 const DonationTotalsRepository = require('../services/DonationTotalsRepository');
+const TeamTotalsRepository = require('../services/TeamTotalsRepository');
 const timerRegistry = require('../utils/timerRegistry');
 const log = require('../utils/log');
 const leaderElection = require('../utils/leaderElection');
@@ -24,6 +26,7 @@ const LOCK_NAME = 'reconcile_totals_job';
 /** Handle returned by timerRegistry.createInterval — used by stop(). */
 let _timerHandle = null;
 const _repo = new DonationTotalsRepository();
+const _teamRepo = new TeamTotalsRepository();
 
 async function runOnce() {
   const isLeader = await leaderElection.acquireLease(LOCK_NAME, DEFAULT_INTERVAL_MS * 2);
@@ -34,7 +37,8 @@ async function runOnce() {
 
   try {
     const result = await _repo.reconcile();
-    log.info('RECONCILE_TOTALS_JOB', 'Reconciliation complete', result);
+    const teams = await _teamRepo.reconcile();
+    log.info('RECONCILE_TOTALS_JOB', 'Reconciliation complete', { ...result, teams });
   } catch (err) {
     log.error('RECONCILE_TOTALS_JOB', 'Reconciliation failed', { error: err.message });
   }
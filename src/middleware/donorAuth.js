@@ -0,0 +1,49 @@
+/**
+ * Donor Auth Middleware
+ *
+ * RESPONSIBILITY: Authenticate donors for the /me API with SEP-10 JWTs
+ * OWNER: Security Team
+ * DEPENDENCIES: JwtService, DonorService
+ *
+ * Accepts the bearer tokens POST /auth/token issues after a SEP-10 challenge
+ * (auth_method "sep10", sub = the wallet). API keys and API-key JWTs are
+ * rejected: they identify an integration, not a donor.
+ */
+
+'use strict';
+
+const { verifyAccessToken } = require('../services/JwtService');
+const DonorService = require('../services/DonorService');
+const { isValidStellarPublicKey } = require('../utils/validators');
+
+/**
+ * Sets req.donor = { id, wallet, profile }, where wallet is the wallet the
+ * token was issued for.
+ */
+const requireDonor = async (req, res, next) => {
+  const authorization = req.get('Authorization') || '';
+  const result = authorization.startsWith('Bearer ')
+    ? verifyAccessToken(authorization.slice(7).trim())
+    : { valid: false };
+
+  const claims = result.valid ? result.payload : null;
+  if (!claims || claims.auth_method !== 'sep10' || !isValidStellarPublicKey(claims.sub)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'A SEP-10 bearer token is required (GET /auth/challenge, then POST /auth/token)',
+      },
+    });
+  }
+
+  try {
+    const profile = await DonorService.resolveForWallet(claims.sub);
+    req.donor = { id: profile.id, wallet: claims.sub, profile };
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { requireDonor };
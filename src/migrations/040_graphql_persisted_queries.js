@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Migration 040: GraphQL persisted queries
+ *
+ * Stores admin-registered GraphQL documents keyed by the SHA-256 hex digest of
+ * the document text. Clients execute them by hash, and in allow-list mode
+ * non-admin keys may only execute documents stored here.
+ */
+
+exports.name = '040_graphql_persisted_queries';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS graphql_persisted_queries (
+      hash          TEXT PRIMARY KEY,
+      query         TEXT NOT NULL,
+      operationName TEXT,
+      description   TEXT,
+      createdBy     TEXT,
+      createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS graphql_persisted_queries');
+};
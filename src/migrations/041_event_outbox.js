@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Migration 041: Transactional event outbox
+ *
+ * event_outbox holds domain events written in the same SQLite transaction as
+ * the state change that produced them. The outbox relay worker drains pending
+ * rows into webhooks, SSE and GraphQL subscriptions.
+ *
+ * event_outbox_deliveries records each (event, subscriber) pair once it has
+ * been handed off, so a retried event is never re-sent to a subscriber that
+ * already received it.
+ */
+
+exports.name = '041_event_outbox';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS event_outbox (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id        TEXT NOT NULL UNIQUE,
+      event_type      TEXT NOT NULL,
+      aggregate_type  TEXT,
+      aggregate_id    TEXT,
+      payload         TEXT NOT NULL,
+      status          TEXT NOT NULL DEFAULT 'pending',
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      last_error      TEXT,
+      next_attempt_at DATETIME,
+      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+      dispatched_at   DATETIME
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_event_outbox_pending ON event_outbox(status, next_attempt_at, id)');
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS event_outbox_deliveries (
+      event_id     TEXT NOT NULL,
+      subscriber   TEXT NOT NULL,
+      delivered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (event_id, subscriber)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS event_outbox_deliveries');
+  await db.run('DROP INDEX IF EXISTS idx_event_outbox_pending');
+  await db.run('DROP TABLE IF EXISTS event_outbox');
+};
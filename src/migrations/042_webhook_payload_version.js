@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Migration 042: Pinned payload version on webhook subscriptions
+ *
+ * Each subscription receives event payloads in the version it was created
+ * with (see src/config/webhookEvents.js). Existing subscriptions keep the
+ * original version 1 shapes.
+ */
+
+exports.name = '042_webhook_payload_version';
+
+exports.up = async (db) => {
+  try {
+    await db.run('ALTER TABLE webhooks ADD COLUMN payload_version INTEGER NOT NULL DEFAULT 1');
+  } catch (_) { /* column already exists */ }
+};
+
+exports.down = async () => {
+  // SQLite: dropping a column requires a table rebuild; the column is harmless to keep
+  console.log('ℹ Rollback of payload_version column not supported (SQLite limitation)');
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Migration 043: Per-attempt webhook delivery records
+ *
+ * Every HTTP attempt is recorded in webhook_delivery_history with the signed
+ * request body and signature headers, the response code and the latency.
+ * message_id ties together the attempts, retries and dead letter of one
+ * delivery; redelivery_of points a redelivery back at the delivery it repeats.
+ */
+
+exports.name = '043_webhook_delivery_attempts';
+
+const COLUMNS = [
+  ['webhook_delivery_history', 'message_id TEXT'],
+  ['webhook_delivery_history', 'redelivery_of TEXT'],
+  ['webhook_delivery_history', 'request_body TEXT'],
+  ['webhook_delivery_history', 'request_headers TEXT'],
+  ['webhook_delivery_history', 'latency_ms INTEGER'],
+  ['webhook_retries', 'message_id TEXT'],
+  ['webhook_retries', 'redelivery_of TEXT'],
+  ['webhook_dead_letters', 'message_id TEXT'],
+  ['webhook_dead_letters', 'redelivery_of TEXT'],
+];
+
+exports.up = async (db) => {
+  for (const [table, column] of COLUMNS) {
+    try {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    } catch (_) { /* table missing or column already exists */ }
+  }
+  try {
+    await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_delivery_history_webhook ON webhook_delivery_history(webhook_id, delivered_at)');
+  } catch (_) { /* webhook tables are created by WebhookService.initTable */ }
+};
+
+exports.down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_webhook_delivery_history_webhook');
+  // SQLite: dropping columns requires a table rebuild; the columns are harmless to keep
+};
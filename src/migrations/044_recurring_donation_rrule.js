@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Migration 044: iCalendar recurrence rules on recurring donations
+ *
+ * Schedules with frequency 'rrule' store the RRULE text, the IANA timezone it
+ * is evaluated in and the rule's start (which fixes the time of day and the
+ * anchor for INTERVAL and COUNT). See src/utils/recurrenceRule.js.
+ */
+
+exports.name = '044_recurring_donation_rrule';
+
+const COLUMNS = [
+  ['recurrenceRule', 'TEXT DEFAULT NULL'],
+  ['recurrenceTimezone', 'TEXT DEFAULT NULL'],
+  ['recurrenceStart', 'DATETIME DEFAULT NULL'],
+];
+
+exports.up = async (db) => {
+  for (const [column, definition] of COLUMNS) {
+    try {
+      await db.run(`ALTER TABLE recurring_donations ADD COLUMN ${column} ${definition}`);
+    } catch (_) { /* column already exists */ }
+  }
+};
+
+exports.down = async () => {
+  // SQLite: dropping a column requires a table rebuild; the columns are harmless to keep
+  console.log('ℹ Rollback of recurrence columns not supported (SQLite limitation)');
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Migration 045: Donor-managed recurring schedules
+ *
+ * pausedUntil lets a pause end automatically; pausedAt/resumedAt are added
+ * here for databases that never ran the legacy pause/resume script. Skipped
+ * occurrences are logged with the date they were scheduled for, and every
+ * pause, resume, skip and update is kept as a numbered version in
+ * recurring_donation_changes. See src/services/RecurringScheduleService.js.
+ */
+
+exports.name = '045_recurring_schedule_changes';
+
+const COLUMNS = [
+  ['recurring_donations', 'pausedAt DATETIME'],
+  ['recurring_donations', 'resumedAt DATETIME'],
+  ['recurring_donations', 'pausedUntil DATETIME'],
+  ['recurring_donation_logs', 'scheduledFor DATETIME'],
+];
+
+exports.up = async (db) => {
+  // Older databases only have the log table once the scheduler has run
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS recurring_donation_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scheduleId INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      transactionHash TEXT,
+      errorMessage TEXT,
+      attemptNumber INTEGER DEFAULT 1,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      correlationId TEXT,
+      traceId TEXT,
+      FOREIGN KEY (scheduleId) REFERENCES recurring_donations(id)
+    )
+  `);
+
+  for (const [table, column] of COLUMNS) {
+    try {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    } catch (_) { /* table missing or column already exists */ }
+  }
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS recurring_donation_changes (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      scheduleId  INTEGER NOT NULL,
+      version     INTEGER NOT NULL,
+      changeType  TEXT NOT NULL,
+      changes     TEXT NOT NULL,
+      changedBy   TEXT,
+      reason      TEXT,
+      createdAt   DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (scheduleId, version),
+      FOREIGN KEY (scheduleId) REFERENCES recurring_donations(id)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS recurring_donation_changes');
+  // SQLite: dropping columns requires a table rebuild; the columns are harmless to keep
+};
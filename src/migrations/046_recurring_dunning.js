@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration 046: Dunning for failed recurring donations
+ *
+ * A schedule whose execution cycle fails is retried over days according to
+ * the dunning policy (src/config/dunningPolicy.js). These columns track the
+ * current retry, the occurrence being retried and why a schedule was
+ * suspended. notificationEmail is where the donor is emailed between retries.
+ * lastFailureReason is added here for databases that never ran the legacy
+ * 002_enhance_recurring_donations script.
+ * See src/services/DunningService.js.
+ */
+
+exports.name = '046_recurring_dunning';
+
+const COLUMNS = [
+  'lastFailureReason TEXT',
+  'dunningAttempt INTEGER DEFAULT 0',
+  'dunningFailureClass TEXT',
+  'dunningStartedAt DATETIME',
+  'dunningNextRetryAt DATETIME',
+  'dunningScheduledFor DATETIME',
+  'suspendReason TEXT',
+  'notificationEmail TEXT',
+];
+
+exports.up = async (db) => {
+  for (const column of COLUMNS) {
+    try {
+      await db.run(`ALTER TABLE recurring_donations ADD COLUMN ${column}`);
+    } catch (_) { /* column already exists */ }
+  }
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_recurring_donations_dunning
+    ON recurring_donations (dunningNextRetryAt)
+  `);
+};
+
+exports.down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_recurring_donations_dunning');
+  // SQLite: dropping columns requires a table rebuild; the columns are harmless to keep
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Migration 047: Dispute lifecycle
+ *
+ * Disputes move through open → awaiting_donor_response → under_review →
+ * resolved_(refund|partial_refund|rejected) (src/utils/disputeStateMachine.js).
+ * The new disputes columns carry the donor, the per-state SLA clock, the
+ * donor's response and the refund issued on resolution. dispute_evidence
+ * holds hashed evidence items from either party or an admin, and
+ * dispute_transitions records every state change.
+ * resolved_no_action disputes are renamed to resolved_rejected.
+ */
+
+exports.name = '047_dispute_lifecycle';
+
+const COLUMNS = [
+  'donorPublicKey TEXT',
+  'stateEnteredAt DATETIME',
+  'slaDeadline DATETIME',
+  'slaBreachedAt DATETIME',
+  'donorResponse TEXT',
+  'donorRespondedAt DATETIME',
+  'refundAmount REAL',
+  'refundId INTEGER',
+];
+
+exports.up = async (db) => {
+  for (const column of COLUMNS) {
+    try {
+      await db.run(`ALTER TABLE disputes ADD COLUMN ${column}`);
+    } catch (_) { /* column already exists */ }
+  }
+
+  await db.run("UPDATE disputes SET status = 'resolved_rejected' WHERE status = 'resolved_no_action'");
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS dispute_evidence (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      disputeId INTEGER NOT NULL,
+      submittedBy TEXT NOT NULL,
+      submitterPublicKey TEXT,
+      kind TEXT NOT NULL,
+      description TEXT,
+      content TEXT NOT NULL,
+      mimeType TEXT,
+      contentHash TEXT NOT NULL,
+      sizeBytes INTEGER NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (disputeId) REFERENCES disputes(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS dispute_transitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      disputeId INTEGER NOT NULL,
+      fromStatus TEXT,
+      toStatus TEXT NOT NULL,
+      actor TEXT,
+      note TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (disputeId) REFERENCES disputes(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_dispute_evidence_dispute ON dispute_evidence (disputeId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_dispute_transitions_dispute ON dispute_transitions (disputeId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_disputes_sla ON disputes (slaDeadline)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_disputes_sla');
+  await db.run('DROP TABLE IF EXISTS dispute_transitions');
+  await db.run('DROP TABLE IF EXISTS dispute_evidence');
+  // SQLite: dropping columns requires a table rebuild; the columns are harmless to keep
+};
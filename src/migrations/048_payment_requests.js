@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Migration 048: SEP-7 payment requests
+ *
+ * A payment request is a `web+stellar:pay` URI for a one-off donation or a
+ * campaign. The wallet posts the signed transaction to the request's
+ * callback, which submits it and records the donation. One-off requests
+ * complete after their first payment; campaign requests are reusable and
+ * count the donations made through them.
+ */
+
+exports.name = '048_payment_requests';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS payment_requests (
+      id TEXT PRIMARY KEY,
+      campaignId INTEGER,
+      destination TEXT NOT NULL,
+      amount TEXT,
+      assetCode TEXT NOT NULL DEFAULT 'XLM',
+      assetIssuer TEXT,
+      memo TEXT,
+      memoType TEXT NOT NULL DEFAULT 'text',
+      message TEXT,
+      reusable INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'open',
+      uri TEXT NOT NULL,
+      expiresAt DATETIME,
+      donationCount INTEGER NOT NULL DEFAULT 0,
+      lastDonationId TEXT,
+      apiKeyId INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completedAt DATETIME,
+      FOREIGN KEY (campaignId) REFERENCES campaigns(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_payment_requests_campaign ON payment_requests (campaignId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_payment_requests_status ON payment_requests (status)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS payment_requests');
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Migration 049: SEP-24 anchor deposits
+ *
+ * An anchor deposit links an interactive SEP-24 deposit at an anchor to a
+ * pending donation. The anchor pays the recipient with the deposit's memo;
+ * the payment stream (or status polling) then confirms the donation.
+ * `status` mirrors the anchor's SEP-24 transaction status.
+ */
+
+exports.name = '049_anchor_deposits';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS anchor_deposits (
+      id TEXT PRIMARY KEY,
+      donationId TEXT NOT NULL,
+      anchorDomain TEXT NOT NULL,
+      anchorTransactionId TEXT NOT NULL,
+      assetCode TEXT NOT NULL,
+      account TEXT NOT NULL,
+      memo TEXT NOT NULL UNIQUE,
+      amount TEXT,
+      amountIn TEXT,
+      amountOut TEXT,
+      amountFee TEXT,
+      status TEXT NOT NULL DEFAULT 'incomplete',
+      interactiveUrl TEXT NOT NULL,
+      stellarTransactionId TEXT,
+      message TEXT,
+      campaignId INTEGER,
+      apiKeyId INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completedAt DATETIME,
+      UNIQUE (anchorDomain, anchorTransactionId),
+      FOREIGN KEY (campaignId) REFERENCES campaigns(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_anchor_deposits_status ON anchor_deposits (status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_anchor_deposits_donation ON anchor_deposits (donationId)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS anchor_deposits');
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Migration 050: KYC customers and holds
+ *
+ * kyc_customers stores donor identity information modeled on SEP-12. The
+ * field values are envelope-encrypted (utils/encryption encryptWithDEK);
+ * only the names of the provided fields are kept in the clear.
+ *
+ * kyc_holds tracks donations above the KYC threshold that were paid into the
+ * hold account. An admin releases them to the recipient or refunds the donor.
+ */
+
+exports.name = '050_kyc_holds';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS kyc_customers (
+      id TEXT PRIMARY KEY,
+      account TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'NEEDS_INFO',
+      encryptedFields TEXT,
+      providedFields TEXT NOT NULL DEFAULT '[]',
+      statusMessage TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS kyc_holds (
+      id TEXT PRIMARY KEY,
+      donationId TEXT NOT NULL UNIQUE,
+      account TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      senderId INTEGER,
+      receiverId INTEGER,
+      amount TEXT NOT NULL,
+      assetCode TEXT NOT NULL DEFAULT 'XLM',
+      countryCode TEXT,
+      threshold TEXT NOT NULL,
+      memo TEXT,
+      campaignId INTEGER,
+      idempotencyKey TEXT,
+      holdAccount TEXT NOT NULL,
+      holdTxId TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'held',
+      releaseTxId TEXT,
+      refundTxId TEXT,
+      decidedBy TEXT,
+      decisionReason TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      decidedAt DATETIME
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_kyc_holds_status ON kyc_holds (status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_kyc_holds_account ON kyc_holds (account)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS kyc_holds');
+  await db.run('DROP TABLE IF EXISTS kyc_customers');
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Migration 051: Sanctions / denylist screening lists
+ *
+ * Each import of a list creates a new version in screening_list_versions and
+ * a snapshot of its entries in screening_entries. Only the list's
+ * currentVersion is used for screening, so rolling back is a matter of
+ * pointing currentVersion at an older snapshot.
+ */
+
+exports.name = '051_screening_lists';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS screening_lists (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      source TEXT,
+      action TEXT NOT NULL DEFAULT 'block',
+      currentVersion INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS screening_list_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      listId INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      entryCount INTEGER NOT NULL DEFAULT 0,
+      checksum TEXT NOT NULL,
+      importedBy TEXT,
+      importedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (listId, version),
+      FOREIGN KEY (listId) REFERENCES screening_lists(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS screening_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      listId INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      value TEXT NOT NULL,
+      label TEXT NOT NULL,
+      reference TEXT,
+      FOREIGN KEY (listId) REFERENCES screening_lists(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_screening_entries_list_version ON screening_entries (listId, version)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_screening_entries_type_value ON screening_entries (type, value)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS screening_entries');
+  await db.run('DROP TABLE IF EXISTS screening_list_versions');
+  await db.run('DROP TABLE IF EXISTS screening_lists');
+};
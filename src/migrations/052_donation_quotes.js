@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Migration 052: Fiat donation quotes and persisted conversion rates
+ *
+ * donation_quotes holds rates locked by POST /quotes. A quote is single-use:
+ * the donation that redeems it flips status to 'used' and records its id.
+ *
+ * The new transactions columns keep the fiat value of a donation and the
+ * rate it was converted at, so receipts, stats and exports do not depend on
+ * today's price. originalAmount / originalCurrency were previously only added
+ * by scripts/migrations/addCurrencyColumns.js, hence the existence checks.
+ */
+
+exports.name = '052_donation_quotes';
+
+const TRANSACTION_COLUMNS = [
+  ['originalAmount', 'REAL'],
+  ['originalCurrency', 'TEXT'],
+  ['rateXLMperUnit', 'REAL'],
+  ['rateSource', 'TEXT'],
+  ['rateTimestamp', 'TEXT'],
+  ['quoteId', 'TEXT'],
+];
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS donation_quotes (
+      id TEXT PRIMARY KEY,
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL,
+      xlmAmount REAL NOT NULL,
+      rateXLMperUnit REAL NOT NULL,
+      rateSource TEXT NOT NULL,
+      rateTimestamp TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      apiKeyId INTEGER,
+      donationId TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expiresAt DATETIME NOT NULL,
+      usedAt DATETIME
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donation_quotes_status_expires ON donation_quotes (status, expiresAt)');
+
+  // Add columns only if missing (SQLite errors if you ADD an existing column)
+  const columns = await db.all('PRAGMA table_info(transactions)');
+  for (const [name, type] of TRANSACTION_COLUMNS) {
+    if (!columns.some(c => c.name === name)) {
+      await db.run(`ALTER TABLE transactions ADD COLUMN ${name} ${type}`);
+    }
+  }
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS donation_quotes');
+  // NOTE: SQLite does not support DROP COLUMN on older versions; leave columns in place.
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Migration 053: Hourly exchange rate history
+ *
+ * One row per currency per hour, holding the first rate the price oracle
+ * observed in that hour. PriceOracleService.getRateAt() reads it so receipts,
+ * exports and stats value a donation at the rate of its own date rather than
+ * today's.
+ */
+
+exports.name = '053_exchange_rate_history';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS exchange_rate_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      currency TEXT NOT NULL,
+      hour TEXT NOT NULL,
+      rate REAL NOT NULL,
+      source TEXT,
+      observedAt TEXT NOT NULL,
+      recordedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (currency, hour)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS exchange_rate_history');
+};
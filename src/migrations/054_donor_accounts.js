@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration 054: Donor accounts
+ *
+ * A donor is a person behind one or more Stellar wallets. Each wallet in
+ * donor_wallets was proved with a SEP-10 signature and belongs to at most one
+ * donor. The donor's email is stored encrypted; communication preferences
+ * are a JSON document (see DonorService.DEFAULT_PREFERENCES).
+ */
+
+exports.name = '054_donor_accounts';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS donors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      displayName TEXT,
+      encryptedEmail TEXT,
+      preferences TEXT NOT NULL DEFAULT '{}',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS donor_wallets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      donorId INTEGER NOT NULL,
+      publicKey TEXT NOT NULL UNIQUE,
+      label TEXT,
+      verifiedAt DATETIME NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (donorId) REFERENCES donors(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donor_wallets_donor ON donor_wallets (donorId)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS donor_wallets');
+  await db.run('DROP TABLE IF EXISTS donors');
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration 055: Annual tax statements
+ *
+ * tax_statement_runs tracks the batch job that generates every statement of
+ * a tax year for one jurisdiction. tax_statements keeps what was generated,
+ * one per subject, year and jurisdiction, so a statement reads the same when
+ * it is downloaded again. A subject is a donor account ("donor:<id>") or, for
+ * a wallet no donor has linked, the wallet itself ("wallet:<publicKey>").
+ */
+
+exports.name = '055_tax_statements';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tax_statement_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      taxYear INTEGER NOT NULL,
+      jurisdiction TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      subjectCount INTEGER NOT NULL DEFAULT 0,
+      generatedCount INTEGER NOT NULL DEFAULT 0,
+      failedCount INTEGER NOT NULL DEFAULT 0,
+      errors TEXT,
+      requestedBy TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      startedAt DATETIME,
+      completedAt DATETIME
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tax_statements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      runId INTEGER,
+      subject TEXT NOT NULL,
+      donorId INTEGER,
+      taxYear INTEGER NOT NULL,
+      jurisdiction TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      donationCount INTEGER NOT NULL,
+      deductibleValue REAL,
+      data TEXT NOT NULL,
+      generatedAt DATETIME NOT NULL,
+      UNIQUE (subject, taxYear, jurisdiction),
+      FOREIGN KEY (runId) REFERENCES tax_statement_runs(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_tax_statements_donor ON tax_statements (donorId, taxYear)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS tax_statements');
+  await db.run('DROP TABLE IF EXISTS tax_statement_runs');
+};
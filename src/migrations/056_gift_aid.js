@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Migration 056: UK Gift Aid
+ *
+ * gift_aid_charities lists the recipient wallets of charities registered with
+ * HMRC; only donations to them can carry Gift Aid. gift_aid_declarations holds
+ * the donor's declarations, with their name and address encrypted.
+ * gift_aid_donations records every donation a declaration covered when it was
+ * made, valued in pounds, until a claim (gift_aid_claims) includes it.
+ */
+
+exports.name = '056_gift_aid';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS gift_aid_charities (
+      recipient TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      hmrcReference TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS gift_aid_declarations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      donorId INTEGER NOT NULL,
+      encryptedDonor TEXT NOT NULL,
+      declarationDate TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      donationId TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      cancelledAt DATETIME,
+      cancellationReason TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (donorId) REFERENCES donors(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_gift_aid_declarations_donor ON gift_aid_declarations (donorId, status)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS gift_aid_claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipient TEXT NOT NULL,
+      periodStart TEXT,
+      periodEnd TEXT,
+      format TEXT NOT NULL,
+      exportId INTEGER,
+      donationCount INTEGER NOT NULL DEFAULT 0,
+      totalAmount REAL NOT NULL DEFAULT 0,
+      requestedBy TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS gift_aid_donations (
+      donationId TEXT PRIMARY KEY,
+      declarationId INTEGER NOT NULL,
+      donorId INTEGER NOT NULL,
+      recipient TEXT NOT NULL,
+      donationDate DATETIME NOT NULL,
+      xlmAmount REAL NOT NULL,
+      amountGbp REAL,
+      rateSource TEXT,
+      status TEXT NOT NULL DEFAULT 'eligible',
+      claimId INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (declarationId) REFERENCES gift_aid_declarations(id),
+      FOREIGN KEY (claimId) REFERENCES gift_aid_claims(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_gift_aid_donations_claim ON gift_aid_donations (recipient, status, donationDate)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS gift_aid_donations');
+  await db.run('DROP TABLE IF EXISTS gift_aid_claims');
+  await db.run('DROP TABLE IF EXISTS gift_aid_declarations');
+  await db.run('DROP TABLE IF EXISTS gift_aid_charities');
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration 057: Peer-to-peer fundraising pages
+ *
+ * campaign_fundraisers are supporter-run pages under a campaign, each with a
+ * personal goal, story and a short code donors can put in their memo.
+ * Donations attributed to a fundraiser still count towards the campaign;
+ * fundraiser_donations keeps the attribution for the page's donor leaderboard.
+ */
+
+exports.name = '057_campaign_fundraisers';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS campaign_fundraisers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL,
+      donor_id INTEGER NOT NULL,
+      code TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      story TEXT,
+      goal_amount REAL NOT NULL,
+      current_amount REAL NOT NULL DEFAULT 0,
+      donation_count INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active',
+      notified_milestones TEXT DEFAULT '[]',
+      last_milestone_notification DATETIME,
+      closed_at DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id),
+      FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_campaign_fundraisers_campaign ON campaign_fundraisers (campaign_id, status)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS fundraiser_donations (
+      donation_id TEXT PRIMARY KEY,
+      fundraiser_id INTEGER NOT NULL,
+      donor TEXT NOT NULL,
+      amount REAL NOT NULL,
+      anonymous INTEGER NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (fundraiser_id) REFERENCES campaign_fundraisers(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_fundraiser_donations_fundraiser ON fundraiser_donations (fundraiser_id)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS fundraiser_donations');
+  await db.run('DROP TABLE IF EXISTS campaign_fundraisers');
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Migration 058: Team and organization fundraising
+ *
+ * organizations (companies, schools) group teams; donors join a team and
+ * fundraisers can run for one (campaign_fundraisers.team_id).
+ *
+ * team_rollup_donations records, once per donation, the fundraiser, team and
+ * organization it rolled up to. team_rollups holds the pre-aggregated totals
+ * per level, entity, parent, campaign and UTC day, incremented with each
+ * donation so leaderboards read sums of a few buckets instead of recomputing.
+ * campaign_id and parent_id are 0 (not NULL) when absent so they can be part
+ * of the primary key.
+ */
+
+exports.name = '058_teams';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL DEFAULT 'other',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      organization_id INTEGER,
+      name TEXT NOT NULL,
+      description TEXT,
+      created_by INTEGER NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id),
+      FOREIGN KEY (created_by) REFERENCES donors(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_teams_organization ON teams (organization_id)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      donor_id INTEGER PRIMARY KEY,
+      team_id INTEGER NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member',
+      joinedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE CASCADE,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_team_members_team ON team_members (team_id)');
+
+  const columns = await db.all('PRAGMA table_info(campaign_fundraisers)');
+  if (!columns.some(c => c.name === 'team_id')) {
+    await db.run('ALTER TABLE campaign_fundraisers ADD COLUMN team_id INTEGER REFERENCES teams(id)');
+  }
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS team_rollup_donations (
+      donation_id TEXT PRIMARY KEY,
+      campaign_id INTEGER NOT NULL DEFAULT 0,
+      fundraiser_id INTEGER,
+      team_id INTEGER,
+      organization_id INTEGER,
+      amount_stroops TEXT NOT NULL,
+      day TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS team_rollups (
+      level TEXT NOT NULL,
+      entity_id INTEGER NOT NULL,
+      parent_id INTEGER NOT NULL DEFAULT 0,
+      campaign_id INTEGER NOT NULL DEFAULT 0,
+      day TEXT NOT NULL,
+      total_stroops TEXT NOT NULL DEFAULT '0',
+      donation_count INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (level, entity_id, parent_id, campaign_id, day)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_team_rollups_window ON team_rollups (level, campaign_id, day)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS team_rollups');
+  await db.run('DROP TABLE IF EXISTS team_rollup_donations');
+  await db.run('DROP TABLE IF EXISTS team_members');
+  await db.run('DROP TABLE IF EXISTS teams');
+  await db.run('DROP TABLE IF EXISTS organizations');
+  // NOTE: SQLite does not support DROP COLUMN on older versions; campaign_fundraisers.team_id stays.
+};
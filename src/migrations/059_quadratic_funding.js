@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Migration 059: Quadratic funding matching rounds
+ *
+ * A round has a matching pool paid from a custodial pool wallet, a list of
+ * projects (recipient wallets) and a contribution window. qf_contributions
+ * records each donation to a project during the window with the wallet it
+ * came from; the wallet is resolved to its SEP-10 donor account when the
+ * match is calculated, so the match counts unique donors rather than
+ * donations. qf_distributions holds the final match per project once the
+ * round is finalized, and its payout: the batch transaction's hash is stored
+ * with payout_submitted_at before the transaction is submitted.
+ */
+
+exports.name = '059_quadratic_funding';
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS qf_rounds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      pool_wallet TEXT NOT NULL,
+      matching_pool REAL NOT NULL,
+      project_cap_percent REAL,
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      finalized_at DATETIME,
+      paid_at DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS qf_projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      round_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      recipient_wallet TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (round_id, recipient_wallet),
+      FOREIGN KEY (round_id) REFERENCES qf_rounds(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS qf_contributions (
+      donation_id TEXT NOT NULL,
+      round_id INTEGER NOT NULL,
+      project_id INTEGER NOT NULL,
+      donor_wallet TEXT NOT NULL,
+      amount REAL NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (donation_id, round_id),
+      FOREIGN KEY (round_id) REFERENCES qf_rounds(id) ON DELETE CASCADE,
+      FOREIGN KEY (project_id) REFERENCES qf_projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_qf_contributions_project ON qf_contributions (round_id, project_id)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS qf_distributions (
+      round_id INTEGER NOT NULL,
+      project_id INTEGER NOT NULL,
+      contributor_count INTEGER NOT NULL,
+      total_contributions REAL NOT NULL,
+      ideal_match REAL NOT NULL,
+      match_amount REAL NOT NULL,
+      capped INTEGER NOT NULL DEFAULT 0,
+      payout_status TEXT NOT NULL DEFAULT 'pending',
+      payout_tx_id TEXT,
+      payout_submitted_at DATETIME,
+      paid_at DATETIME,
+      PRIMARY KEY (round_id, project_id),
+      FOREIGN KEY (round_id) REFERENCES qf_rounds(id) ON DELETE CASCADE,
+      FOREIGN KEY (project_id) REFERENCES qf_projects(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS qf_distributions');
+  await db.run('DROP TABLE IF EXISTS qf_contributions');
+  await db.run('DROP TABLE IF EXISTS qf_projects');
+  await db.run('DROP TABLE IF EXISTS qf_rounds');
+};
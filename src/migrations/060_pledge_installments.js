@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Migration 060: Pledge installments
+ *
+ * A pledge can be paid in installments — part now, the rest on a schedule —
+ * or converted into a recurring donation schedule. pledges gains paid_amount
+ * (stroops collected so far), the `converted` status and the schedule it was
+ * converted into; pledge_installments holds each installment, its due date,
+ * payment and reminder. An installment is `collecting` while its payment from
+ * a custodial wallet is being sent.
+ *
+ * SQLite cannot alter a CHECK constraint, so the pledges table is rebuilt to
+ * allow the new status, as migrations 029 and 038 did.
+ */
+
+exports.name = '060_pledge_installments';
+
+const PLEDGES_TABLE = (name) => `
+  CREATE TABLE ${name} (
+    id                    TEXT PRIMARY KEY,
+    campaign_id           INTEGER NOT NULL,
+    donor_wallet_id       TEXT NOT NULL,
+    amount                INTEGER NOT NULL CHECK(amount > 0),
+    paid_amount           INTEGER NOT NULL DEFAULT 0,
+    status                TEXT NOT NULL DEFAULT 'pending'
+                            CHECK(status IN ('pending','fulfilled','expired','cancelled','converted')),
+    expires_at            DATETIME NOT NULL,
+    cancel_reason         TEXT,
+    cancelled_at          DATETIME,
+    recurring_schedule_id INTEGER,
+    converted_at          DATETIME,
+    webhook_sent_at       DATETIME,
+    created_at            DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
+  )
+`;
+
+async function createIndexes(db) {
+  await db.run('CREATE INDEX IF NOT EXISTS idx_pledges_campaign ON pledges(campaign_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_pledges_status ON pledges(status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_pledges_expires ON pledges(expires_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_pledges_webhook_sent_at ON pledges(webhook_sent_at) WHERE webhook_sent_at IS NULL');
+}
+
+exports.up = async (db) => {
+  const columns = (await db.all('PRAGMA table_info(pledges)')).map((c) => c.name);
+
+  if (columns.length === 0) {
+    await db.run(PLEDGES_TABLE('pledges'));
+  } else if (!columns.includes('paid_amount')) {
+    // Copy every column the old table has; the new ones take their defaults.
+    const copied = columns.filter((c) => c !== 'paid_amount').join(', ');
+    await db.run('DROP TABLE IF EXISTS pledges_new');
+    await db.run(PLEDGES_TABLE('pledges_new'));
+    await db.run(`INSERT INTO pledges_new (${copied}) SELECT ${copied} FROM pledges`);
+    await db.run('DROP TABLE pledges');
+    await db.run('ALTER TABLE pledges_new RENAME TO pledges');
+  }
+  await createIndexes(db);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS pledge_installments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pledge_id TEXT NOT NULL,
+      sequence INTEGER NOT NULL,
+      amount INTEGER NOT NULL CHECK(amount > 0),
+      due_date DATETIME NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled'
+        CHECK(status IN ('scheduled','collecting','paid','failed','cancelled')),
+      paid_at DATETIME,
+      stellar_tx_id TEXT,
+      failure_reason TEXT,
+      reminder_sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (pledge_id, sequence),
+      FOREIGN KEY (pledge_id) REFERENCES pledges(id) ON DELETE CASCADE
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_pledge_installments_due ON pledge_installments(status, due_date)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS pledge_installments');
+
+  // Converted pledges have no equivalent in the old status list.
+  await db.run("UPDATE pledges SET status = 'cancelled', cancel_reason = COALESCE(cancel_reason, 'converted') WHERE status = 'converted'");
+  await db.run('DROP TABLE IF EXISTS pledges_old');
+  await db.run(`
+    CREATE TABLE pledges_old (
+      id TEXT PRIMARY KEY,
+      campaign_id INTEGER NOT NULL,
+      donor_wallet_id TEXT NOT NULL,
+      amount INTEGER NOT NULL CHECK(amount > 0),
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK(status IN ('pending','fulfilled','expired','cancelled')),
+      expires_at DATETIME NOT NULL,
+      cancel_reason TEXT,
+      cancelled_at DATETIME,
+      webhook_sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
+    )
+  `);
+  await db.run(`
+    INSERT INTO pledges_old (id, campaign_id, donor_wallet_id, amount, status, expires_at,
+                             cancel_reason, cancelled_at, webhook_sent_at, created_at)
+    SELECT id, campaign_id, donor_wallet_id, amount, status, expires_at,
+           cancel_reason, cancelled_at, webhook_sent_at, created_at
+    FROM pledges
+  `);
+  await db.run('DROP TABLE pledges');
+  await db.run('ALTER TABLE pledges_old RENAME TO pledges');
+  await createIndexes(db);
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration 061: Campaign lifecycle
+ *
+ * Campaigns move through draft → submitted → approved → live → paused →
+ * closed → archived (src/utils/campaignStateMachine.js). The new campaigns
+ * columns record when each stage was reached, and campaign_transitions
+ * records every state change with the reviewer's or admin's comment.
+ * Existing active campaigns become live.
+ */
+
+exports.name = '061_campaign_lifecycle';
+
+const COLUMNS = [
+  'submitted_at DATETIME',
+  'approved_at DATETIME',
+  'launched_at DATETIME',
+  'closed_at DATETIME',
+  'archived_at DATETIME',
+];
+
+exports.up = async (db) => {
+  for (const column of COLUMNS) {
+    try {
+      await db.run(`ALTER TABLE campaigns ADD COLUMN ${column}`);
+    } catch (_) { /* column already exists */ }
+  }
+
+  await db.run("UPDATE campaigns SET status = 'live' WHERE status = 'active' OR status IS NULL");
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS campaign_transitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      actor TEXT,
+      comment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_campaign_transitions_campaign ON campaign_transitions (campaign_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns (status)');
+};
+
+exports.down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_campaigns_status');
+  await db.run('DROP TABLE IF EXISTS campaign_transitions');
+  await db.run("UPDATE campaigns SET status = 'active' WHERE status = 'live'");
+  // Campaigns not yet launched must not start taking donations
+  await db.run("UPDATE campaigns SET status = 'paused' WHERE status IN ('draft', 'submitted', 'approved')");
+  await db.run("UPDATE campaigns SET status = 'closed' WHERE status = 'archived'");
+  // SQLite: dropping columns requires a table rebuild; the columns are harmless to keep
+};
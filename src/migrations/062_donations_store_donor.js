@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Migration 062: Let donations_store keep any donor label
+ *
+ * Anonymous donations record "Anonymous" or an anon_ pseudonym as the donor and
+ * SEP-24 deposits record the name the anchor reports, so the donor column of
+ * the Transaction model's store cannot require a Stellar address. The table is
+ * rebuilt without that CHECK; the recipient is still a Stellar address.
+ */
+
+exports.name = '062_donations_store_donor';
+
+exports.up = async (db) => {
+  await db.run('DROP TABLE IF EXISTS donations_store_new');
+  await db.run(`
+    CREATE TABLE donations_store_new (
+      id TEXT PRIMARY KEY,
+      donor TEXT,
+      recipient TEXT CHECK (recipient IS NULL OR (length(recipient) = 56 AND recipient GLOB 'G*')),
+      amount_stroops INTEGER,
+      amount_text TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      idempotency_key TEXT UNIQUE,
+      stellar_tx_id TEXT UNIQUE,
+      timestamp TEXT NOT NULL,
+      status_updated_at TEXT,
+      deleted_at TEXT,
+      data TEXT NOT NULL
+    )
+  `);
+
+  await db.run('INSERT INTO donations_store_new SELECT * FROM donations_store');
+  await db.run('DROP TABLE donations_store');
+  await db.run('ALTER TABLE donations_store_new RENAME TO donations_store');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donations_store_donor ON donations_store(donor)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donations_store_recipient ON donations_store(recipient)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donations_store_status ON donations_store(status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donations_store_stellar_tx ON donations_store(stellar_tx_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_donations_store_idempotency ON donations_store(idempotency_key)');
+};
+
+exports.down = async () => {
+  // Rows with non-address donors could not be copied back under the old CHECK.
+};
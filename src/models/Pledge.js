@@ -13,12 +13,15 @@ const TABLE = `
     id              TEXT PRIMARY KEY,
     campaign_id     INTEGER NOT NULL,
     donor_wallet_id TEXT NOT NULL,
-    amount          INTEGER NOT NULL,
+    amount          INTEGER NOT NULL CHECK(amount > 0),
+    paid_amount     INTEGER NOT NULL DEFAULT 0,
     status          TEXT NOT NULL DEFAULT 'pending'
-                      CHECK(status IN ('pending','fulfilled','expired','cancelled')),
+                      CHECK(status IN ('pending','fulfilled','expired','cancelled','converted')),
     expires_at      DATETIME NOT NULL,
     cancel_reason   TEXT,
     cancelled_at    DATETIME,
+    recurring_schedule_id INTEGER,
+    converted_at    DATETIME,
     webhook_sent_at DATETIME,
     created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
@@ -62,8 +65,8 @@ async function fulfillAll(campaign_id) {
   );
 }
 
-async function expireOverdue(now = new Date().toISOString()) {
-  const result = await Database.run(
+async function expireOverdue(now = new Date().toISOString(), db = Database) {
+  const result = await db.run(
     `UPDATE pledges SET status = 'expired'
      WHERE status = 'pending' AND expires_at < ?`,
     [now]
@@ -79,12 +82,13 @@ async function getExpiredPledges(now = new Date().toISOString()) {
 }
 
 /**
- * Get pledges that have expired but haven't had webhooks sent yet
+ * Get pledges that have expired but haven't had their event recorded yet
  * @param {string} now - ISO timestamp
+ * @param {Object} [db] - Database or an open transaction handle
  * @returns {Promise<Object[]>}
  */
-async function getNewlyExpiredPledges(now = new Date().toISOString()) {
-  return Database.query(
+async function getNewlyExpiredPledges(now = new Date().toISOString(), db = Database) {
+  return db.all(
     `SELECT * FROM pledges 
      WHERE status = 'expired' 
        AND expires_at < ?
@@ -94,7 +98,7 @@ async function getNewlyExpiredPledges(now = new Date().toISOString()) {
 }
 
 /**
- * Get pledges that have been fulfilled but haven't had webhooks sent yet
+ * Get pledges that have been fulfilled but haven't had their event recorded yet
  * @param {number} campaignId
  * @returns {Promise<Object[]>}
  */
@@ -109,12 +113,14 @@ async function getNewlyFulfilledPledges(campaignId) {
 }
 
 /**
- * Mark webhook as sent for a pledge
+ * Mark a pledge's lifecycle event as recorded. Set in the same transaction as
+ * the outbox row, so a pledge without it still needs its event enqueued.
  * @param {string} pledgeId
+ * @param {Object} [db] - Database or an open transaction handle
  * @returns {Promise<void>}
  */
-async function markWebhookSent(pledgeId) {
-  await Database.run(
+async function markWebhookSent(pledgeId, db = Database) {
+  await db.run(
     `UPDATE pledges SET webhook_sent_at = CURRENT_TIMESTAMP WHERE id = ?`,
     [pledgeId]
   );
@@ -145,19 +151,34 @@ async function listAll({ status } = {}) {
 }
 
 /**
- * Cancel a pledge by ID (only if currently pending).
+ * Cancel a pledge by ID (only if currently pending). The pledge.cancelled
+ * outbox event is written in the same transaction.
  * @param {string} id
  * @param {string} [reason]
  * @returns {Promise<{changes: number}>}
  */
 async function cancel(id, reason = null) {
+  const OutboxService = require('../services/OutboxService');
   const now = new Date().toISOString();
-  return Database.run(
-    `UPDATE pledges
-     SET status = 'cancelled', cancel_reason = ?, cancelled_at = ?
-     WHERE id = ? AND status = 'pending'`,
-    [reason, now, id]
-  );
+  return Database.runTransaction(async (tx) => {
+    const result = await tx.run(
+      `UPDATE pledges
+       SET status = 'cancelled', cancel_reason = ?, cancelled_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [reason, now, id]
+    );
+    if (result.changes) {
+      const pledge = await tx.get(`SELECT * FROM pledges WHERE id = ?`, [id]);
+      await OutboxService.enqueue(tx, {
+        eventType: 'pledge.cancelled',
+        aggregateType: 'pledge',
+        aggregateId: id,
+        payload: { pledge },
+      });
+      await markWebhookSent(id, tx);
+    }
+    return result;
+  });
 }
 
 module.exports = {
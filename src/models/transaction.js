@@ -4,7 +4,9 @@
  *
  * Uses an in-memory store initialised from SQLite on first access.
  * All mutations are persisted to SQLite (fire-and-forget with error logging).
- * The synchronous public API is preserved for backward compatibility.
+ * The synchronous public API is preserved for backward compatibility; callers
+ * that write outbox events await Transaction.persisted() so a failed write
+ * fails their request.
  */
 
 'use strict';
@@ -27,18 +29,10 @@ const _store = new Map();
 const _idempotencyIndex = new Map();
 let _loaded = false;
 let _loading = null; // Promise<void> | null
+/** @type {Map<string, Promise<void>>} id -> last write that enqueued outbox events */
+const _outboxWrites = new Map();
 
-/**
- * Persist a single record to SQLite (fire-and-forget).
- * Stroop amounts are stored as exact integers to avoid float coercion.
- */
-function _persist(tx) {
-  const Database = require('../utils/database');
-  const amountStroops = Number.isInteger(tx.amount) ? tx.amount : null;
-  const data = JSON.stringify(tx);
-
-  Database.run(
-    `INSERT INTO donations_store
+const UPSERT_SQL = `INSERT INTO donations_store
        (id, donor, recipient, amount_stroops, amount_text, status,
         idempotency_key, stellar_tx_id, timestamp, status_updated_at, deleted_at, data)
      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -47,24 +41,79 @@ function _persist(tx) {
        stellar_tx_id = excluded.stellar_tx_id,
        status_updated_at = excluded.status_updated_at,
        deleted_at = excluded.deleted_at,
-       data = excluded.data`,
-    [
-      tx.id,
-      tx.donor || null,
-      tx.recipient || null,
-      amountStroops,
-      String(tx.amount ?? ''),
-      tx.status || 'pending',
-      tx.idempotencyKey || null,
-      tx.stellarTxId || null,
-      tx.timestamp || new Date().toISOString(),
-      tx.statusUpdatedAt || null,
-      tx.deleted_at || null,
-      data,
-    ]
-  ).catch(err => {
+       data = excluded.data`;
+
+/**
+ * Summary of a transaction published to webhooks and subscriptions.
+ * @param {object} tx
+ * @returns {object}
+ */
+function _eventPayload(tx) {
+  return {
+    id: tx.id,
+    donor: tx.donor,
+    recipient: tx.recipient,
+    amount: tx.amount,
+    status: tx.status,
+    stellarTxId: tx.stellarTxId,
+    campaign_id: tx.campaign_id || null,
+    timestamp: tx.timestamp,
+  };
+}
+
+/**
+ * Persist a single record to SQLite (fire-and-forget).
+ * Stroop amounts are stored as exact integers to avoid float coercion.
+ * When outbox event types are given, the record and its outbox rows are
+ * written in one SQLite transaction, the write is kept for persisted(), and
+ * a failed write puts the in-memory record back to `previous`.
+ *
+ * @param {object} tx
+ * @param {string[]} [outboxEvents] - Event types to enqueue, e.g. ['donation.created']
+ * @param {object} [previous] - The record before this change; none for a new record
+ */
+function _persist(tx, outboxEvents = [], previous = null) {
+  const Database = require('../utils/database');
+  const amountStroops = Number.isInteger(tx.amount) ? tx.amount : null;
+  const data = JSON.stringify(tx);
+  const params = [
+    tx.id,
+    tx.donor || null,
+    tx.recipient || null,
+    amountStroops,
+    String(tx.amount ?? ''),
+    tx.status || 'pending',
+    tx.idempotencyKey || null,
+    tx.stellarTxId || null,
+    tx.timestamp || new Date().toISOString(),
+    tx.statusUpdatedAt || null,
+    tx.deleted_at || null,
+    data,
+  ];
+
+  let write;
+  if (outboxEvents.length > 0) {
+    const OutboxService = require('../services/OutboxService');
+    const payload = _eventPayload(tx);
+    write = Database.runTransaction(async (db) => {
+      await db.run(UPSERT_SQL, params);
+      for (const eventType of outboxEvents) {
+        await OutboxService.enqueue(db, { eventType, aggregateType: 'donation', aggregateId: tx.id, payload });
+      }
+    });
+  } else {
+    write = Database.run(UPSERT_SQL, params);
+  }
+
+  if (outboxEvents.length > 0) {
+    _outboxWrites.set(tx.id, write);
+  }
+
+  Promise.resolve(write).catch(err => {
     const isIdempotencyConflict = err && err.message && /UNIQUE constraint failed: donations_store\.idempotency_key/i.test(err.message);
-    if (isIdempotencyConflict && _store.get(tx.id) === tx) {
+    if (_store.get(tx.id) === tx && previous && outboxEvents.length > 0) {
+      _store.set(tx.id, previous);
+    } else if ((isIdempotencyConflict || outboxEvents.length > 0) && _store.get(tx.id) === tx) {
       _store.delete(tx.id);
       if (tx.idempotencyKey && _idempotencyIndex.get(tx.idempotencyKey) === tx) {
         _idempotencyIndex.delete(tx.idempotencyKey);
@@ -138,7 +187,32 @@ class Transaction {
     this.eventEmitter = emitter;
   }
 
-  static create(transactionData) {
+  /**
+   * Wait for the SQLite write of the record's last create() or updateStatus()
+   * that enqueued outbox events. When it failed, the record and its events
+   * were not stored and the in-memory record has been put back.
+   * @param {string} id
+   * @returns {Promise<void>}
+   * @throws {Error} The write's error
+   */
+  static async persisted(id) {
+    const write = _outboxWrites.get(id);
+    if (!write) return;
+    try {
+      await write;
+    } finally {
+      if (_outboxWrites.get(id) === write) _outboxWrites.delete(id);
+    }
+  }
+
+  /**
+   * Create a transaction record.
+   * @param {object} transactionData
+   * @param {object} [options]
+   * @param {string[]} [options.outboxEvents] - Event types written to the outbox with the record
+   * @returns {object}
+   */
+  static create(transactionData, { outboxEvents = [] } = {}) {
     const normalizedStatus = normalizeState(transactionData.status || TRANSACTION_STATES.PENDING);
     assertValidState(normalizedStatus, 'status');
 
@@ -181,7 +255,7 @@ class Transaction {
     if (newTransaction.idempotencyKey) {
       _idempotencyIndex.set(newTransaction.idempotencyKey, newTransaction);
     }
-    _persist(newTransaction);
+    _persist(newTransaction, outboxEvents);
 
     const emitter = this.eventEmitter;
     if (emitter) {
@@ -313,7 +387,16 @@ class Transaction {
     return includeDeleted ? all : all.filter(t => !t.deleted_at);
   }
 
-  static updateStatus(id, status, stellarData = {}) {
+  /**
+   * Move a record to a new status.
+   * @param {string} id
+   * @param {string} status
+   * @param {object} [stellarData] - transactionId, ledger, confirmedAt, amount, notes, tags, failureReason, screeningFlagged
+   * @param {object} [options]
+   * @param {string[]} [options.outboxEvents] - Event types written to the outbox with the update
+   * @returns {object}
+   */
+  static updateStatus(id, status, stellarData = {}, { outboxEvents = [] } = {}) {
     const tx = _store.get(id);
     if (!tx) throw new Error(`Transaction not found: ${id}`);
 
@@ -349,13 +432,16 @@ class Transaction {
     if (stellarData.transactionId) updated.stellarTxId = stellarData.transactionId;
     if (stellarData.ledger) updated.stellarLedger = stellarData.ledger;
     if (stellarData.confirmedAt) updated.confirmedAt = stellarData.confirmedAt;
+    if (stellarData.amount !== undefined) updated.amount = stellarData.amount;
     if (Object.prototype.hasOwnProperty.call(stellarData, 'notes')) updated.notes = stellarData.notes;
+    if (Object.prototype.hasOwnProperty.call(stellarData, 'failureReason')) updated.failureReason = stellarData.failureReason;
+    if (Object.prototype.hasOwnProperty.call(stellarData, 'screeningFlagged')) updated.screeningFlagged = stellarData.screeningFlagged;
     if (Object.prototype.hasOwnProperty.call(stellarData, 'tags')) {
       updated.tags = Array.isArray(stellarData.tags) ? stellarData.tags : [];
     }
 
     _store.set(id, updated);
-    _persist(updated);
+    _persist(updated, outboxEvents, tx);
 
     const emitter = this.eventEmitter;
     if (emitter) {
@@ -441,6 +527,7 @@ class Transaction {
   static _clearAllData() {
     _store.clear();
     _idempotencyIndex.clear();
+    _outboxWrites.clear();
     _loaded = true;
     const Database = require('../utils/database');
     Database.run('DELETE FROM donations_store').catch(err =>
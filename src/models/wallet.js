@@ -190,6 +190,22 @@ class Wallet {
     return rowToWallet(row);
   }
 
+  /**
+   * Fetch several active wallets by address in one query (used by GraphQL loaders).
+   * @param {string[]} addresses
+   * @returns {Promise<Object[]>} Wallets found; missing addresses are omitted
+   */
+  static async getByAddresses(addresses) {
+    if (!addresses.length) return [];
+    await ensureWalletSchema();
+    const placeholders = addresses.map(() => '?').join(', ');
+    const rows = await Database.all(
+      `SELECT * FROM wallets WHERE address IN (${placeholders}) AND deletedAt IS NULL`,
+      addresses
+    );
+    return rows.map(rowToWallet);
+  }
+
   static async getAllDeleted() {
     await ensureWalletSchema();
     const rows = await Database.all('SELECT * FROM wallets WHERE deletedAt IS NOT NULL');
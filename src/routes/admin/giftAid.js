@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Admin Gift Aid Routes
+ *
+ * RESPONSIBILITY: Register UK charities, review declarations and make HMRC Gift Aid claims
+ * OWNER: Compliance Team
+ *
+ * Endpoints:
+ *   GET    /admin/gift-aid/charities             — registered charities
+ *   PUT    /admin/gift-aid/charities/:publicKey  — register or update a charity wallet
+ *   DELETE /admin/gift-aid/charities/:publicKey  — stop marking donations to it
+ *   GET    /admin/gift-aid/declarations          — declarations (?donorId, ?status)
+ *   GET    /admin/gift-aid/donations             — marked donations (?recipient, ?status)
+ *   POST   /admin/gift-aid/claims                — claim a charity's eligible donations
+ *   GET    /admin/gift-aid/claims                — claims (?recipient)
+ *   GET    /admin/gift-aid/claims/:id            — a claim with its export status
+ *   POST   /admin/gift-aid/claims/:id/export     — export a claim's schedule again
+ *
+ * Claim schedules are generated by ExportService; the claim's export.downloadUrl
+ * is the signed link to the HMRC Charities Online schedule once it is ready.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkPermission } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../utils/permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const { ValidationError, ERROR_CODES } = require('../../utils/errors');
+const GiftAidService = require('../../services/GiftAidService');
+
+const adminId = (req) => (req.user && req.user.id) || (req.apiKey && req.apiKey.id ? String(req.apiKey.id) : null);
+
+/**
+ * GET /admin/gift-aid/charities
+ */
+router.get(
+  '/charities',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await GiftAidService.listCharities() });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * PUT /admin/gift-aid/charities/:publicKey
+ * Body: { name, hmrcReference }
+ */
+router.put(
+  '/charities/:publicKey',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { name, hmrcReference } = req.body || {};
+      res.json({ success: true, data: await GiftAidService.upsertCharity(req.params.publicKey, { name, hmrcReference }) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * DELETE /admin/gift-aid/charities/:publicKey
+ */
+router.delete(
+  '/charities/:publicKey',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      await GiftAidService.removeCharity(req.params.publicKey);
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/gift-aid/declarations
+ * Query params: donorId, status — active | cancelled
+ */
+router.get(
+  '/declarations',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { donorId, status } = req.query;
+      const declarations = await GiftAidService.listDeclarations({
+        donorId: donorId === undefined ? undefined : Number(donorId),
+        status,
+      });
+      res.json({ success: true, data: declarations, count: declarations.length });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/gift-aid/donations
+ * Query params: recipient, status — eligible | claimed | void
+ */
+router.get(
+  '/donations',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { recipient, status } = req.query;
+      const donations = await GiftAidService.listDonations({ recipient, status });
+      res.json({ success: true, data: donations, count: donations.length });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/gift-aid/claims
+ * Body: { recipient, startDate?, endDate?, format? } — format csv (default) | json
+ *
+ * Response: 202 { success: true, data: Claim } — skipped counts donations voided
+ * (failed or refunded) and those without a GBP value
+ */
+router.post(
+  '/claims',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { recipient, startDate, endDate, format } = req.body || {};
+      if (!recipient) {
+        throw new ValidationError('recipient is required', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+      }
+      const claim = await GiftAidService.createClaim({ recipient, startDate, endDate, format, requestedBy: adminId(req) });
+      res.status(202).json({ success: true, data: claim });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/gift-aid/claims
+ * Query params: recipient
+ */
+router.get(
+  '/claims',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await GiftAidService.listClaims({ recipient: req.query.recipient }) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/gift-aid/claims/:id
+ */
+router.get(
+  '/claims/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await GiftAidService.getClaim(req.params.id) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/gift-aid/claims/:id/export
+ * Body: { format? } — csv | json, the claim's format by default
+ */
+router.post(
+  '/claims/:id/export',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { format } = req.body || {};
+      const claim = await GiftAidService.exportClaim(req.params.id, { format, requestedBy: adminId(req) });
+      res.status(202).json({ success: true, data: claim });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * GraphQL Persisted Queries Admin Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: Admin registration and management of persisted GraphQL documents
+ * OWNER: Backend Team
+ * DEPENDENCIES: graphql/persistedQueries, GraphQL schema, middleware (auth, validation, RBAC)
+ *
+ * Endpoints:
+ *   GET    /admin/graphql/persisted-queries         – list registered documents
+ *   GET    /admin/graphql/persisted-queries/:hash   – fetch one document
+ *   POST   /admin/graphql/persisted-queries         – register a document
+ *   DELETE /admin/graphql/persisted-queries/:hash   – remove a document
+ *
+ * Requires admin role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const persistedQueries = require('../../graphql/persistedQueries');
+const requireApiKey = require('../../middleware/apiKey');
+const { requireAdmin } = require('../../middleware/rbac');
+const { validateSchema } = require('../../middleware/schemaValidation');
+const { NotFoundError } = require('../../utils/errors');
+const AuditLogService = require('../../services/AuditLogService');
+const asyncHandler = require('../../utils/asyncHandler');
+const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../../middleware/payloadSizeLimiter');
+
+const registerSchema = validateSchema({
+  body: {
+    fields: {
+      query: { type: 'string', required: true, minLength: 1, maxLength: 8192 },
+      hash: { type: 'string', required: false, pattern: /^[a-fA-F0-9]{64}$/ },
+      operationName: { type: 'string', required: false, maxLength: 100 },
+      description: { type: 'string', required: false, maxLength: 500 },
+    },
+  },
+});
+
+const listSchema = validateSchema({
+  query: {
+    fields: {
+      limit: { type: 'integerString', required: false, min: 1, max: 100 },
+      offset: { type: 'integerString', required: false, min: 0 },
+    },
+  },
+});
+
+/**
+ * GET /admin/graphql/persisted-queries
+ * List registered documents, newest first.
+ * Query params: limit (default 50, max 100), offset
+ */
+router.get('/', requireApiKey, requireAdmin(), listSchema, asyncHandler(async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+
+    const { items, total } = await persistedQueries.list({ limit, offset });
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      meta: { total, limit, offset, allowListEnabled: persistedQueries.isAllowListEnabled() },
+    });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /admin/graphql/persisted-queries/:hash
+ * Fetch a single registered document.
+ */
+router.get('/:hash', requireApiKey, requireAdmin(), asyncHandler(async (req, res, next) => {
+  try {
+    const record = await persistedQueries.getByHash(req.params.hash);
+    if (!record) {
+      throw new NotFoundError('Persisted query not found', 'PERSISTED_QUERY_NOT_FOUND');
+    }
+    res.json({ success: true, data: record });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /admin/graphql/persisted-queries
+ * Register a document. The stored hash is the SHA-256 hex digest of `query`;
+ * if `hash` is supplied it must match. Re-registering identical text returns 200.
+ * Body: { query, hash?, operationName?, description? }
+ */
+router.post('/', requireApiKey, requireAdmin(), payloadSizeLimiter(ENDPOINT_LIMITS.admin), registerSchema, asyncHandler(async (req, res, next) => {
+  try {
+    // Required lazily: the GraphQL module builds its services on load
+    const { schema } = require('../../graphql');
+    const { query, hash, operationName, description } = req.body;
+
+    const { record, created } = await persistedQueries.register({
+      schema,
+      query,
+      hash,
+      operationName,
+      description,
+      createdBy: req.apiKey?.id,
+    });
+
+    if (created) {
+      AuditLogService.log({
+        category: AuditLogService.CATEGORY.CONFIGURATION,
+        action: AuditLogService.ACTION.GRAPHQL_PERSISTED_QUERY_REGISTERED,
+        severity: AuditLogService.SEVERITY.MEDIUM,
+        result: 'SUCCESS',
+        apiKeyId: req.apiKey?.id,
+        requestId: req.id,
+        ipAddress: req.ip,
+        resource: req.path,
+        details: { hash: record.hash, operationName: record.operationName },
+      }).catch(() => {});
+    }
+
+    res.status(created ? 201 : 200).json({ success: true, data: record });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * DELETE /admin/graphql/persisted-queries/:hash
+ * Remove a registered document. Clients executing it by hash start
+ * receiving PERSISTED_QUERY_NOT_FOUND.
+ */
+router.delete('/:hash', requireApiKey, requireAdmin(), asyncHandler(async (req, res, next) => {
+  try {
+    await persistedQueries.remove(req.params.hash);
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.CONFIGURATION,
+      action: AuditLogService.ACTION.GRAPHQL_PERSISTED_QUERY_REMOVED,
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      apiKeyId: req.apiKey?.id,
+      requestId: req.id,
+      ipAddress: req.ip,
+      resource: req.path,
+      details: { hash: req.params.hash },
+    }).catch(() => {});
+
+    res.json({ success: true, message: 'Persisted query removed' });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Admin KYC Hold Routes
+ *
+ * RESPONSIBILITY: Compliance review of donations held for KYC
+ * OWNER: Compliance Team
+ *
+ * Endpoints:
+ *   GET  /admin/kyc-holds              — list holds (supports ?status= filter)
+ *   GET  /admin/kyc-holds/:id          — a hold with the donor's decrypted customer information
+ *   POST /admin/kyc-holds/:id/approve  — release the donation to the recipient
+ *   POST /admin/kyc-holds/:id/reject   — refund the donor (body: { reason })
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkPermission } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../utils/permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const { getStellarService } = require('../../config/stellar');
+const KycService = require('../../services/KycService');
+const { ValidationError } = require('../../utils/errors');
+
+const kycService = new KycService(getStellarService());
+
+const VALID_STATUSES = Object.values(KycService.HOLD_STATUS);
+
+const adminId = (req) => (req.user && req.user.id) || (req.apiKey && req.apiKey.id ? String(req.apiKey.id) : null);
+
+/**
+ * GET /admin/kyc-holds
+ *
+ * Query params:
+ *   status  — one of: held | releasing | released | refunding | refunded
+ *
+ * Response: { success: true, data: KycHold[] }
+ */
+router.get(
+  '/',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { status } = req.query;
+      if (status !== undefined && !VALID_STATUSES.includes(status)) {
+        throw new ValidationError(`Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`);
+      }
+
+      const holds = await kycService.listHolds(status ? { status } : {});
+      res.json({ success: true, data: holds });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/kyc-holds/:id
+ *
+ * Response: { success: true, data: KycHold & { customer } }
+ */
+router.get(
+  '/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const hold = await kycService.getHold(req.params.id, { viewedBy: adminId(req), requestId: req.id });
+      res.json({ success: true, data: hold });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/kyc-holds/:id/approve
+ * Body: { reason? }
+ *
+ * Response: { success: true, data: KycHold }
+ */
+router.post(
+  '/:id/approve',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const hold = await kycService.approve(req.params.id, {
+        decidedBy: adminId(req),
+        reason: (req.body && req.body.reason) || null,
+        requestId: req.id,
+      });
+      res.json({ success: true, data: hold });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/kyc-holds/:id/reject
+ * Body: { reason }
+ *
+ * Response: { success: true, data: KycHold }
+ */
+router.post(
+  '/:id/reject',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const hold = await kycService.reject(req.params.id, {
+        reason: req.body && req.body.reason,
+        decidedBy: adminId(req),
+        requestId: req.id,
+      });
+      res.json({ success: true, data: hold });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+module.exports = router;
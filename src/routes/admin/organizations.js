@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Admin Organization Routes
+ *
+ * RESPONSIBILITY: Set up the organizations (companies, schools) that teams fundraise under
+ * OWNER: Backend Team
+ *
+ * Endpoints:
+ *   GET   /admin/organizations      — organizations by name
+ *   POST  /admin/organizations      — create an organization
+ *   GET   /admin/organizations/:id  — an organization with its team count and totals
+ *   PATCH /admin/organizations/:id  — rename or retype an organization
+ *
+ * Donor accounts create and join the organization's teams through /teams.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkPermission } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../utils/permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const TeamService = require('../../services/TeamService');
+
+/**
+ * GET /admin/organizations
+ */
+router.get(
+  '/',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await TeamService.listOrganizations() });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/organizations
+ * Body: { name, type? } — type is company | school | nonprofit | community | other
+ */
+router.post(
+  '/',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { name, type } = req.body || {};
+      res.status(201).json({ success: true, data: await TeamService.createOrganization({ name, type }) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/organizations/:id
+ */
+router.get(
+  '/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await TeamService.getOrganization(parseInt(req.params.id, 10)) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * PATCH /admin/organizations/:id
+ * Body: { name?, type? }
+ */
+router.patch(
+  '/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { name, type } = req.body || {};
+      res.json({
+        success: true,
+        data: await TeamService.updateOrganization(parseInt(req.params.id, 10), { name, type }),
+      });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+module.exports = router;
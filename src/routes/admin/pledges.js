@@ -8,8 +8,13 @@
  *
  * Endpoints:
  *   GET    /admin/pledges           — list all pledges (supports ?status= filter)
+ *   GET    /admin/pledges/aging     — pledged, collected, outstanding and overdue amounts
+ *   GET    /admin/pledges/:id       — a pledge with its installments
  *   PATCH  /admin/pledges/:id/fulfil  — manually fulfil a pending pledge
  *   PATCH  /admin/pledges/:id/cancel  — cancel a pending pledge with a reason
+ *   POST   /admin/pledges/:id/installments                — split a pending pledge into installments
+ *   POST   /admin/pledges/:id/installments/:sequence/pay  — collect or record an installment payment
+ *   POST   /admin/pledges/:id/convert — convert a pending pledge into a recurring donation schedule
  */
 
 const express = require('express');
@@ -19,10 +24,11 @@ const { PERMISSIONS } = require('../../utils/permissions');
 const asyncHandler = require('../../utils/asyncHandler');
 const Pledge = require('../../models/Pledge');
 const PledgeFulfillmentService = require('../../services/PledgeFulfillmentService');
-const WebhookService = require('../../services/WebhookService');
+const PledgeInstallmentService = require('../../services/PledgeInstallmentService');
 const AuditLogService = require('../../services/AuditLogService');
 const log = require('../../utils/log');
 const { validateSchema } = require('../../middleware/schemaValidation');
+const { ValidationError } = require('../../utils/errors');
 
 const cancelPledgeSchema = validateSchema({
   body: {
@@ -32,14 +38,14 @@ const cancelPledgeSchema = validateSchema({
   }
 });
 
-const VALID_STATUSES = ['pending', 'fulfilled', 'cancelled', 'expired'];
+const VALID_STATUSES = ['pending', 'fulfilled', 'cancelled', 'expired', 'converted'];
 
 /**
  * GET /admin/pledges
  * List all pledges. Supports optional ?status= filter.
  *
  * Query params:
- *   status  — one of: pending | fulfilled | cancelled | expired
+ *   status  — one of: pending | fulfilled | cancelled | expired | converted
  *
  * Response: { success: true, data: Pledge[] }
  */
@@ -72,6 +78,81 @@ router.get(
   })
 );
 
+/**
+ * Record an admin change to a pledge in the audit log.
+ * @param {Object} req
+ * @param {string} action
+ * @param {Object} details
+ */
+function audit(req, action, details) {
+  AuditLogService.log({
+    category: AuditLogService.CATEGORY.SYSTEM,
+    action,
+    severity: AuditLogService.SEVERITY.MEDIUM,
+    result: 'SUCCESS',
+    requestId: req.id,
+    ipAddress: req.ip,
+    resource: req.originalUrl,
+    details,
+  }).catch(() => {});
+}
+
+/**
+ * GET /admin/pledges/aging
+ * Pledge aging report: pledged, collected and outstanding amounts by pledge
+ * status, and overdue installments grouped by days past due. Amounts are in stroops.
+ *
+ * Query params:
+ *   as_of        — ISO date the report is run at (default now)
+ *   campaign_id  — limit the report to one campaign
+ *
+ * Response: { success: true, data: Report }
+ */
+router.get(
+  '/aging',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { as_of: asOfParam, campaign_id: campaignParam } = req.query;
+
+      const asOf = asOfParam !== undefined ? new Date(asOfParam) : new Date();
+      if (Number.isNaN(asOf.getTime())) {
+        throw new ValidationError('as_of must be an ISO 8601 date');
+      }
+      let campaignId = null;
+      if (campaignParam !== undefined) {
+        campaignId = Number(campaignParam);
+        if (!Number.isInteger(campaignId) || campaignId < 1) {
+          throw new ValidationError('campaign_id must be a positive integer');
+        }
+      }
+
+      const report = await PledgeInstallmentService.agingReport({ asOf, campaignId });
+      return res.json({ success: true, data: report });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/pledges/:id
+ * A pledge with its installments and outstanding balance (stroops).
+ *
+ * Response: { success: true, data: Pledge }
+ */
+router.get(
+  '/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      return res.json({ success: true, data: await PledgeInstallmentService.getPledge(req.params.id) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
 /**
  * PATCH /admin/pledges/:id/fulfil
  * Manually mark a pledge as fulfilled and trigger the donation transaction.
@@ -195,8 +276,6 @@ router.patch(
 
       const updated = await Pledge.findById(id);
 
-      WebhookService.deliver('pledge.cancelled', { pledge: updated }).catch(() => {});
-
       AuditLogService.log({
         category: AuditLogService.CATEGORY.SYSTEM,
         action: 'PLEDGE_CANCELLED',
@@ -220,4 +299,87 @@ router.patch(
   })
 );
 
+/**
+ * POST /admin/pledges/:id/installments
+ * Split a pending pledge's outstanding balance into installments: an optional
+ * part paid now, then equal installments on a schedule ending by the pledge's
+ * expiry. Reminders go out PLEDGE_REMINDER_DAYS before each due date.
+ *
+ * Body: { upfront_amount?, installments, frequency: daily|weekly|monthly, first_due_date? }
+ * Response: 201 { success: true, data: Pledge }
+ */
+router.post(
+  '/:id/installments',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const pledge = await PledgeInstallmentService.createPlan(req.params.id, req.body || {});
+      audit(req, 'PLEDGE_INSTALLMENT_PLAN_CREATED', {
+        pledgeId: pledge.id,
+        installments: pledge.installments.length,
+      });
+      log.info('ADMIN_PLEDGES', `Admin created installment plan for pledge ${pledge.id}`);
+      return res.status(201).json({ success: true, data: pledge });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/pledges/:id/installments/:sequence/pay
+ * Collect an installment from the donor's custodial wallet, or record the
+ * payment the donor made themselves.
+ *
+ * Body: { stellar_tx_id? } — required when the donor wallet is not custodial;
+ *   a transaction already recorded for an installment is rejected (409)
+ * Response: { success: true, data: Pledge }
+ */
+router.post(
+  '/:id/installments/:sequence/pay',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const sequence = Number(req.params.sequence);
+      if (!Number.isInteger(sequence) || sequence < 1) {
+        throw new ValidationError('sequence must be a positive integer');
+      }
+      const { stellar_tx_id: stellarTxId } = req.body || {};
+      if (stellarTxId !== undefined && (typeof stellarTxId !== 'string' || !stellarTxId.trim())) {
+        throw new ValidationError('stellar_tx_id must be a non-empty string');
+      }
+
+      const pledge = await PledgeInstallmentService.payInstallment(req.params.id, sequence, { stellarTxId });
+      audit(req, 'PLEDGE_INSTALLMENT_PAID', { pledgeId: pledge.id, sequence, stellarTxId: stellarTxId || null });
+      return res.json({ success: true, data: pledge });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/pledges/:id/convert
+ * Convert a pending pledge's outstanding balance into a recurring donation
+ * schedule of equal executions from the donor's custodial wallet. Unpaid
+ * installments are cancelled.
+ *
+ * Body: { frequency: daily|weekly|monthly, executions, start_date? }
+ * Response: { success: true, data: Pledge }
+ */
+router.post(
+  '/:id/convert',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const pledge = await PledgeInstallmentService.convertToRecurring(req.params.id, req.body || {});
+      audit(req, 'PLEDGE_CONVERTED', { pledgeId: pledge.id, recurringScheduleId: pledge.recurring_schedule_id });
+      log.info('ADMIN_PLEDGES', `Admin converted pledge ${pledge.id} into schedule ${pledge.recurring_schedule_id}`);
+      return res.json({ success: true, data: pledge });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Admin Quadratic Funding Routes
+ *
+ * RESPONSIBILITY: Run quadratic funding matching rounds from setup to payout
+ * OWNER: Backend Team
+ *
+ * Endpoints:
+ *   GET  /admin/quadratic-funding/rounds               — rounds, newest first
+ *   POST /admin/quadratic-funding/rounds               — create a round
+ *   GET  /admin/quadratic-funding/rounds/:id           — a round with its estimates or distribution
+ *   POST /admin/quadratic-funding/rounds/:id/projects  — add a project before the round ends
+ *   POST /admin/quadratic-funding/rounds/:id/finalize  — fix the distribution of an ended round
+ *   POST /admin/quadratic-funding/rounds/:id/payout    — pay the matches from the pool wallet
+ *
+ * The public GET /quadratic-funding/rounds/:id shows the same live estimates.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkPermission } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../utils/permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const QuadraticFundingService = require('../../services/QuadraticFundingService');
+
+/**
+ * GET /admin/quadratic-funding/rounds
+ */
+router.get(
+  '/rounds',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await QuadraticFundingService.listRounds() });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/quadratic-funding/rounds
+ * Body: { name, pool_wallet, matching_pool, starts_at, ends_at, project_cap_percent? }
+ * pool_wallet must be a custodial wallet of this service holding the pool by payout time.
+ */
+router.post(
+  '/rounds',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { name, pool_wallet, matching_pool, starts_at, ends_at, project_cap_percent } = req.body || {};
+      const round = await QuadraticFundingService.createRound({
+        name, pool_wallet, matching_pool, starts_at, ends_at, project_cap_percent,
+      });
+      res.status(201).json({ success: true, data: round });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/quadratic-funding/rounds/:id
+ */
+router.get(
+  '/rounds/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await QuadraticFundingService.getRound(parseInt(req.params.id, 10)) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/quadratic-funding/rounds/:id/projects
+ * Body: { name, recipient_wallet } — donations to recipient_wallet during the round count towards it
+ */
+router.post(
+  '/rounds/:id/projects',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { name, recipient_wallet } = req.body || {};
+      const project = await QuadraticFundingService.addProject(parseInt(req.params.id, 10), { name, recipient_wallet });
+      res.status(201).json({ success: true, data: project });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/quadratic-funding/rounds/:id/finalize
+ */
+router.post(
+  '/rounds/:id/finalize',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await QuadraticFundingService.finalizeRound(parseInt(req.params.id, 10)) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/quadratic-funding/rounds/:id/payout
+ * Response data: { round, transactions: [{ transactionId, payments }], failed, unconfirmed }.
+ * Failed payments stay on the round and are retried by calling this again;
+ * unconfirmed ones are checked on the network by the next call before any
+ * retry. Calling this also takes over a payout left running by a crash.
+ */
+router.post(
+  '/rounds/:id/payout',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await QuadraticFundingService.payoutRound(parseInt(req.params.id, 10)) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+module.exports = router;
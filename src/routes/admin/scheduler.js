@@ -1,7 +1,7 @@
 /**
  * Admin Scheduler Routes
  *
- * RESPONSIBILITY: Admin endpoints for scheduler status and control
+ * RESPONSIBILITY: Admin endpoints for scheduler status, control and the dunning view
  * OWNER: Backend Team
  */
 
@@ -12,6 +12,7 @@ const { PERMISSIONS } = require('../../utils/permissions');
 const asyncHandler = require('../../utils/asyncHandler');
 const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../../middleware/payloadSizeLimiter');
 const AuditLogService = require('../../services/AuditLogService');
+const DunningService = require('../../services/DunningService');
 
 /**
  * GET /admin/scheduler/status
@@ -110,4 +111,28 @@ router.post('/resume', checkPermission(PERMISSIONS.ADMIN_ALL), payloadSizeLimite
   }
 }));
 
+/**
+ * GET /admin/scheduler/dunning
+ * List recurring donations in dunning with their failure class and next retry time.
+ * Query: includeSuspended (also list schedules suspended by dunning), limit (max 200), offset.
+ */
+router.get('/dunning', checkPermission(PERMISSIONS.ADMIN_ALL), asyncHandler(async (req, res, next) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const includeSuspended = req.query.includeSuspended === 'true';
+
+    const { items, total } = await DunningService.listInDunning({ includeSuspended, limit, offset });
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total,
+    });
+  } catch (err) {
+    next(err);
+  }
+}));
+
 module.exports = router;
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Admin Screening Routes
+ *
+ * RESPONSIBILITY: Import and manage sanctions / denylist screening lists
+ * OWNER: Compliance Team
+ *
+ * Endpoints:
+ *   GET  /admin/screening/lists                                    — all lists with their active version
+ *   POST /admin/screening/lists/:name/import                       — upload a CSV or JSON file as a new version
+ *   GET  /admin/screening/lists/:name                              — a list and its versions
+ *   GET  /admin/screening/lists/:name/versions/:version/entries    — entries of one version
+ *   POST /admin/screening/lists/:name/versions/:version/activate   — screen against this version (rollback)
+ *   POST /admin/screening/check                                    — screen an address, federation name or name without auditing
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { checkPermission } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../utils/permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const { getStellarService } = require('../../config/stellar');
+const ScreeningService = require('../../services/ScreeningService');
+const { ValidationError } = require('../../utils/errors');
+
+const DEFAULT_IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+const getImportMaxBytes = () => parseInt(process.env.SCREENING_IMPORT_MAX_BYTES || String(DEFAULT_IMPORT_MAX_BYTES), 10);
+
+const adminId = (req) => (req.user && req.user.id) || (req.apiKey && req.apiKey.id ? String(req.apiKey.id) : null);
+
+/**
+ * @param {string} value
+ * @returns {number}
+ * @throws {ValidationError}
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError('version must be a positive integer');
+  }
+  return version;
+}
+
+/**
+ * File format from the `format` field, else the file extension, else its MIME type.
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function detectFormat(req) {
+  const explicit = (req.body && req.body.format) || req.query.format;
+  if (explicit) return String(explicit).toLowerCase();
+
+  const name = (req.file.originalname || '').toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.json')) return 'json';
+
+  const mimetype = req.file.mimetype || '';
+  if (mimetype.includes('csv')) return 'csv';
+  if (mimetype.includes('json')) return 'json';
+  return null;
+}
+
+/**
+ * GET /admin/screening/lists
+ *
+ * Response: { success: true, data: ScreeningList[] }
+ */
+router.get(
+  '/lists',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const lists = await ScreeningService.listLists();
+      res.json({ success: true, data: lists });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/screening/lists/:name/import
+ * Multipart form: file (CSV or JSON), format?, action? (block | flag), source?
+ *
+ * Response: 201 { success: true, data: { list, version, entryCount, unchanged } },
+ *           200 when the file matches the active version
+ */
+router.post(
+  '/lists/:name/import',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  (req, res, next) => {
+    const maxBytes = getImportMaxBytes();
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxBytes },
+    });
+    upload.single('file')(req, res, (err) => {
+      if (err && err.code === 'LIMIT_FILE_SIZE') {
+        const maxMB = (maxBytes / (1024 * 1024)).toFixed(2);
+        return res.status(413).json({
+          success: false,
+          error: {
+            code: 'FILE_TOO_LARGE',
+            message: `File exceeds the maximum allowed size of ${maxMB} MB (${maxBytes} bytes).`,
+            details: { max_size_bytes: maxBytes },
+          },
+        });
+      }
+      if (err) return next(err);
+      next();
+    });
+  },
+  asyncHandler(async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'MISSING_FILE', message: 'A file upload is required (field: "file")' },
+        });
+      }
+
+      const result = await ScreeningService.importList(req.params.name, {
+        content: req.file.buffer,
+        format: detectFormat(req),
+        action: req.body.action || undefined,
+        source: req.body.source || undefined,
+        importedBy: adminId(req),
+        requestId: req.id,
+      });
+      res.status(result.unchanged ? 200 : 201).json({ success: true, data: result });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/screening/lists/:name
+ *
+ * Response: { success: true, data: ScreeningList & { versions } }
+ */
+router.get(
+  '/lists/:name',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const list = await ScreeningService.getList(req.params.name);
+      res.json({ success: true, data: list });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/screening/lists/:name/versions/:version/entries
+ *
+ * Query params:
+ *   type    — address | home_domain | federation | name
+ *   limit   — default 100, max 1000
+ *   offset  — default 0
+ *
+ * Response: { success: true, data: Entry[], meta: { total, limit, offset } }
+ */
+router.get(
+  '/lists/:name/versions/:version/entries',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const version = parseVersion(req.params.version);
+      const { type } = req.query;
+      const types = Object.values(ScreeningService.ENTRY_TYPES);
+      if (type !== undefined && !types.includes(type)) {
+        throw new ValidationError(`Invalid type. Must be one of: ${types.join(', ')}`);
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const { entries, total } = await ScreeningService.getEntries(req.params.name, version, { type, limit, offset });
+      res.json({ success: true, data: entries, meta: { total, limit, offset } });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/screening/lists/:name/versions/:version/activate
+ *
+ * Response: { success: true, data: ScreeningList }
+ */
+router.post(
+  '/lists/:name/versions/:version/activate',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const list = await ScreeningService.activateVersion(req.params.name, parseVersion(req.params.version), {
+        activatedBy: adminId(req),
+        requestId: req.id,
+      });
+      res.json({ success: true, data: list });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * POST /admin/screening/check
+ * Body: { address?, federation?, name? }
+ *
+ * Screens against the active list versions. Lookups are not audited as matches.
+ *
+ * Response: { success: true, data: { outcome, matches } }
+ */
+router.post(
+  '/check',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { address, federation, name } = req.body || {};
+      if (![address, federation, name].some((v) => typeof v === 'string' && v.trim() !== '')) {
+        throw new ValidationError('Provide at least one of: address, federation, name');
+      }
+
+      const result = await ScreeningService.screen(
+        [{ role: 'check', address, federation, name }],
+        { stellarService: getStellarService(), audit: false }
+      );
+      res.json({ success: true, data: result });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+module.exports = router;
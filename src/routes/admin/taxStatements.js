@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Admin Tax Statement Routes
+ *
+ * RESPONSIBILITY: Run the annual tax statement batch and download its statements
+ * OWNER: Compliance Team
+ *
+ * Endpoints:
+ *   GET  /admin/tax-statements/jurisdictions  — available jurisdiction templates
+ *   POST /admin/tax-statements/runs           — generate every statement of a tax year
+ *   GET  /admin/tax-statements/runs           — recent runs
+ *   GET  /admin/tax-statements/runs/:id       — a run with its progress and errors
+ *   GET  /admin/tax-statements                — stored statements (?taxYear, ?jurisdiction, ?runId)
+ *   GET  /admin/tax-statements/:id            — a statement (?format=json|csv|pdf)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkPermission } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../utils/permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const { validateLimit } = require('../../utils/pagination');
+const { ValidationError, ERROR_CODES } = require('../../utils/errors');
+const TaxStatementService = require('../../services/TaxStatementService');
+const { listTemplates } = require('../../services/taxStatementTemplates');
+
+const adminId = (req) => (req.user && req.user.id) || (req.apiKey && req.apiKey.id ? String(req.apiKey.id) : null);
+
+/**
+ * GET /admin/tax-statements/jurisdictions
+ *
+ * Response: { success: true, data: [{ code, name, currency }] }
+ */
+router.get(
+  '/jurisdictions',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  (req, res) => {
+    res.json({ success: true, data: listTemplates() });
+  }
+);
+
+/**
+ * POST /admin/tax-statements/runs
+ * Body: { taxYear, jurisdiction? } — jurisdiction defaults to TAX_STATEMENT_JURISDICTION
+ *
+ * Response: 202 { success: true, data: Run }
+ */
+router.post(
+  '/runs',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { taxYear, jurisdiction } = req.body || {};
+      if (taxYear === undefined || taxYear === null) {
+        throw new ValidationError('taxYear is required', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+      }
+      const run = await TaxStatementService.startRun({ taxYear, jurisdiction, requestedBy: adminId(req) });
+      res.status(202).json({ success: true, data: run });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/tax-statements/runs
+ *
+ * Response: { success: true, data: Run[] }
+ */
+router.get(
+  '/runs',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await TaxStatementService.listRuns() });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/tax-statements/runs/:id
+ *
+ * Response: { success: true, data: Run }
+ */
+router.get(
+  '/runs/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.json({ success: true, data: await TaxStatementService.getRun(req.params.id) });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/tax-statements
+ *
+ * Query params: taxYear, jurisdiction, runId, limit (default 50), offset
+ *
+ * Response: { success: true, data: StatementSummary[], meta: { total, limit, offset } }
+ */
+router.get(
+  '/',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { taxYear, jurisdiction, runId } = req.query;
+      const limit = validateLimit(req.query.limit, { defaultValue: 50 });
+      if (!limit.valid) {
+        throw new ValidationError(`Invalid limit: ${limit.error}`, null, ERROR_CODES.INVALID_LIMIT);
+      }
+      const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new ValidationError('offset must be a non-negative integer', null, ERROR_CODES.INVALID_OFFSET);
+      }
+
+      const { statements, total } = await TaxStatementService.listStatements({
+        taxYear: taxYear === undefined ? undefined : TaxStatementService.parseTaxYear(taxYear),
+        jurisdiction,
+        runId,
+        limit: limit.value,
+        offset,
+      });
+      res.json({ success: true, data: statements, meta: { total, limit: limit.value, offset } });
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+/**
+ * GET /admin/tax-statements/:id
+ *
+ * Query params: format — json (default) | csv | pdf
+ */
+router.get(
+  '/:id',
+  checkPermission(PERMISSIONS.ADMIN_ALL),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!TaxStatementService.STATEMENT_FORMATS.includes(format)) {
+        throw new ValidationError(`Invalid format. Must be one of: ${TaxStatementService.STATEMENT_FORMATS.join(', ')}`);
+      }
+
+      const statement = await TaxStatementService.getStoredStatement(req.params.id);
+      if (format === 'json') {
+        return res.json({ success: true, data: statement });
+      }
+
+      const file = await TaxStatementService.render(statement, format);
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+      });
+      return res.send(file.body);
+    } catch (err) {
+      next(err);
+    }
+  })
+);
+
+module.exports = router;
@@ -3,7 +3,10 @@
 /**
  * Admin Webhook Routes
  * GET  /admin/webhooks                      — list all registered webhooks
- * GET  /admin/webhooks/:id/deliveries       — paginated delivery history
+ * GET  /admin/webhooks/:id/deliveries       — paginated delivery attempts
+ * POST /admin/webhooks/:id/redeliver        — redeliver everything sent in a time window
+ * GET  /admin/webhooks/deliveries/:deliveryId — one attempt with its signed request
+ * POST /admin/webhooks/deliveries/:deliveryId/redeliver — redeliver one delivery
  * POST /admin/webhooks/:id/retry            — manually retry last failed delivery
  * PATCH /admin/webhooks/:id                 — disable a webhook
  * GET  /admin/webhooks/dead-letter          — list permanently failed deliveries
@@ -21,6 +24,35 @@ const Database = require('../../utils/database');
 const { validateSchema } = require('../../middleware/schemaValidation');
 const { validateLimit } = require('../../utils/pagination');
 
+const redeliverRangeSchema = validateSchema({
+  body: {
+    fields: {
+      from: { type: 'dateString', required: true },
+      to: { type: 'dateString', required: true },
+      status: { type: 'string', required: false, enum: ['all', 'failed'] },
+      events: { type: 'array', required: false },
+    }
+  }
+});
+
+const DELIVERY_STATUSES = ['success', 'failed'];
+
+/**
+ * Map a WebhookService error (plain Error with .status) to a JSON response.
+ * @returns {boolean} Whether a response was sent
+ */
+function sendServiceError(res, err) {
+  if (err.status === 400) {
+    res.status(400).json({ success: false, error: { code: 'VALIDATION_ERROR', message: err.message } });
+    return true;
+  }
+  if (err.status === 404) {
+    res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: err.message } });
+    return true;
+  }
+  return false;
+}
+
 const updateWebhookStatusSchema = validateSchema({
   body: {
     fields: {
@@ -86,8 +118,9 @@ router.get('/', requireApiKey, requireAdmin(), asyncHandler(async (req, res, nex
 
 /**
  * GET /admin/webhooks/:id/deliveries
- * Get paginated delivery history for a webhook.
- * Query params: limit (default 50), offset (default 0)
+ * Get paginated delivery attempts for a webhook, newest first.
+ * Query params: limit (default 50), offset (default 0),
+ *   from / to (ISO 8601 window on the attempt time), status (success | failed), event
  */
 router.get('/:id/deliveries', requireApiKey, requireAdmin(), asyncHandler(async (req, res, next) => {
   try {
@@ -105,21 +138,46 @@ router.get('/:id/deliveries', requireApiKey, requireAdmin(), asyncHandler(async
       return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'Webhook not found' } });
     }
     
+    const conditions = ['webhook_id = ?'];
+    const params = [webhookId];
+    for (const [key, op] of [['from', '>='], ['to', '<']]) {
+      if (req.query[key] === undefined) continue;
+      const ms = Date.parse(req.query[key]);
+      if (isNaN(ms)) {
+        return res.status(400).json({ success: false, error: { code: 'VALIDATION_ERROR', message: `${key} must be an ISO 8601 timestamp` } });
+      }
+      conditions.push(`datetime(delivered_at) ${op} datetime(?)`);
+      params.push(new Date(ms).toISOString());
+    }
+    if (req.query.status !== undefined) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: { code: 'VALIDATION_ERROR', message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` } });
+      }
+      conditions.push('status = ?');
+      params.push(req.query.status);
+    }
+    if (req.query.event !== undefined) {
+      conditions.push('event = ?');
+      params.push(String(req.query.event));
+    }
+
     const deliveries = await Database.all(
-      `SELECT id, event, status, status_code, error_message, attempt, delivered_at 
+      `SELECT id, event, status, status_code, error_message, attempt, message_id, redelivery_of, latency_ms, delivered_at
        FROM webhook_delivery_history 
-       WHERE webhook_id = ? 
-       ORDER BY delivered_at DESC 
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY delivered_at DESC, id DESC
        LIMIT ? OFFSET ?`,
-      [webhookId, limit, offset]
+      [...params, limit, offset]
     );
     
     const enriched = deliveries.map(d => ({
       deliveryId: d.id,
+      messageId: d.message_id,
+      redeliveryOf: d.redelivery_of,
       event: d.event,
       status: d.status,
       responseCode: d.status_code,
-      responseTimeMs: null, // Not tracked in current schema
+      responseTimeMs: d.latency_ms,
       attemptCount: d.attempt,
       deliveredAt: d.delivered_at,
       errorMessage: d.error_message
@@ -131,6 +189,54 @@ router.get('/:id/deliveries', requireApiKey, requireAdmin(), asyncHandler(async
   }
 }));
 
+/**
+ * POST /admin/webhooks/:id/redeliver
+ * Redeliver every event sent to a webhook within a time window, e.g. to
+ * recover from a partner outage. Each original delivery is sent once, on the
+ * next retry-queue run, with a fresh timestamp and signature.
+ * Body: { from, to, status?: "all" | "failed", events?: string[] }
+ */
+router.post('/:id/redeliver', requireApiKey, requireAdmin(), redeliverRangeSchema, payloadSizeLimiter(ENDPOINT_LIMITS.webhook), asyncHandler(async (req, res, next) => {
+  try {
+    const { from, to, status, events } = req.body;
+    const result = await WebhookService.WebhookService.redeliverRange(parseInt(req.params.id, 10), { from, to, status, events });
+    res.status(202).json({ success: true, data: result });
+  } catch (err) {
+    if (sendServiceError(res, err)) return;
+    next(err);
+  }
+}));
+
+/**
+ * GET /admin/webhooks/deliveries/:deliveryId
+ * One delivery attempt, including the signed request body and signature headers.
+ */
+router.get('/deliveries/:deliveryId', requireApiKey, requireAdmin(), asyncHandler(async (req, res, next) => {
+  try {
+    const attempt = await WebhookService.WebhookService.getDeliveryAttempt(parseInt(req.params.deliveryId, 10));
+    if (!attempt) {
+      return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'Delivery not found' } });
+    }
+    res.json({ success: true, data: attempt });
+  } catch (err) {
+    next(err);
+  }
+}));
+
+/**
+ * POST /admin/webhooks/deliveries/:deliveryId/redeliver
+ * Redeliver the event of one recorded delivery attempt.
+ */
+router.post('/deliveries/:deliveryId/redeliver', requireApiKey, requireAdmin(), payloadSizeLimiter(ENDPOINT_LIMITS.webhook), asyncHandler(async (req, res, next) => {
+  try {
+    const result = await WebhookService.WebhookService.redeliver(parseInt(req.params.deliveryId, 10));
+    res.status(202).json({ success: true, data: result });
+  } catch (err) {
+    if (sendServiceError(res, err)) return;
+    next(err);
+  }
+}));
+
 /**
  * POST /admin/webhooks/:id/retry
  * Manually retry the last failed delivery for a webhook.
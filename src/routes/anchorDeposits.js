@@ -0,0 +1,85 @@
+/**
+ * Anchor Deposit Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: SEP-24 fiat on-ramp donations through an anchor
+ * OWNER: Backend Team
+ * DEPENDENCIES: AnchorDepositService, middleware (auth, RBAC, idempotency)
+ *
+ *   POST /anchor-deposits      — start an interactive deposit; returns the anchor URL
+ *   GET  /anchor-deposits/:id  — deposit and donation status (?refresh=true asks the anchor)
+ *
+ * The donor completes the deposit at `interactiveUrl`. The linked donation
+ * stays pending until the anchor's payment reaches the recipient.
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const requireApiKey = require('../middleware/apiKey');
+const { requireIdempotency, storeIdempotencyResponse } = require('../middleware/idempotency');
+const { checkPermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/permissions');
+const { donationRateLimiter } = require('../middleware/rateLimiter');
+const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
+const { ValidationError, ERROR_CODES } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const serviceContainer = require('../config/serviceContainer');
+const { getStellarService } = require('../config/stellar');
+const AnchorDepositService = require('../services/AnchorDepositService');
+
+const anchorDepositService = new AnchorDepositService(getStellarService(), serviceContainer.getPaymentStreamService());
+
+/**
+ * POST /anchor-deposits
+ * Body: { assetCode, amount, recipient, anchorDomain?, donor?, donorAccount?, campaignId?, lang? }
+ */
+router.post('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRateLimiter, requireApiKey, checkPermission(PERMISSIONS.DONATIONS_CREATE), requireIdempotency, asyncHandler(async (req, res, next) => {
+  try {
+    const { assetCode, amount, recipient, anchorDomain, donor, donorAccount, campaignId, lang } = req.body;
+
+    if (!assetCode || !recipient || amount === undefined || amount === null) {
+      throw new ValidationError('Missing required fields: assetCode, amount, recipient', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+    if (typeof recipient !== 'string' || typeof assetCode !== 'string') {
+      throw new ValidationError('assetCode and recipient must be strings', null, ERROR_CODES.INVALID_REQUEST);
+    }
+
+    const deposit = await anchorDepositService.startDeposit({
+      assetCode,
+      amount,
+      recipient,
+      anchorDomain,
+      donor,
+      donorAccount,
+      campaignId,
+      lang,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      ipAddress: req.ip,
+      requestId: req.id,
+    });
+
+    const response = { success: true, data: deposit };
+    await storeIdempotencyResponse(req, response);
+    return res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /anchor-deposits/:id
+ */
+router.get('/:id', requireApiKey, checkPermission(PERMISSIONS.DONATIONS_READ), asyncHandler(async (req, res, next) => {
+  try {
+    const deposit = req.query.refresh === 'true'
+      ? await anchorDepositService.refreshDeposit(req.params.id)
+      : await anchorDepositService.getById(req.params.id);
+    res.json({ success: true, data: deposit });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
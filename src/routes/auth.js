@@ -15,29 +15,13 @@ const {
   rotateRefreshToken,
 } = require('../services/JwtService');
 const SEP10Service = require('../services/SEP10Service');
-const config = require('../config');
-const { getStellarService } = require('../config/stellar');
 const log = require('../utils/log');
 const asyncHandler = require('../utils/asyncHandler');
 const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
 const { authTokenRateLimiter, authRefreshRateLimiter } = require('../middleware/rateLimiter');
 const bruteForce = require('../utils/bruteForceProtection');
 
-const stellarService = getStellarService();
-const sep10Config = config.sep10 || {};
-const serverSigningKey =
-  config.stellar?.serviceSecretKey ||
-  process.env.SERVICE_SECRET_KEY ||
-  process.env.STELLAR_SECRET ||
-  null;
-
-const sep10Service = serverSigningKey
-  ? new SEP10Service(stellarService, {
-      serverSigningKey,
-      homeDomain: sep10Config.homeDomain || process.env.HOME_DOMAIN || 'localhost',
-      challengeExpiresIn: (sep10Config.challengeTtlSeconds || 300) * 1000,
-    })
-  : null;
+const sep10Service = SEP10Service.getConfigured();
 
 /**
  * POST /auth/token/apikey
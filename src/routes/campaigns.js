@@ -2,6 +2,10 @@
  * Campaign Routes - API Endpoint Layer
  * 
  * RESPONSIBILITY: HTTP mapping for Campaign resources
+ *
+ * Campaigns are created as drafts and follow the lifecycle in
+ * CampaignLifecycleService: submit → review → live → paused → closed →
+ * archived. Only live campaigns take donations.
  */
 
 const express = require('express');
@@ -17,6 +21,12 @@ const { validateFloat } = require('../utils/validationHelpers');
 const { cacheMiddleware } = require('../middleware/caching');
 const { STROOPS_PER_XLM } = require('../constants');
 const { parseCursorPaginationQuery, buildCursorWhereClause, buildCursorMeta } = require('../utils/pagination');
+const { getStellarService } = require('../config/stellar');
+const PaymentRequestService = require('../services/PaymentRequestService');
+const CampaignLifecycleService = require('../services/CampaignLifecycleService');
+const { CAMPAIGN_STATES, normalizeState, storedStatusesFor, isValidState } = require('../utils/campaignStateMachine');
+
+const paymentRequestService = new PaymentRequestService(getStellarService());
 
 const createCampaignSchema = validateSchema({
   body: {
@@ -38,14 +48,15 @@ const updateCampaignSchema = validateSchema({
       description: { type: 'string', required: false },
       goal_amount: { type: 'number', required: false, min: 1 },
       end_date: { type: 'string', required: false },
-      status: { type: 'string', required: false, enum: ['active', 'paused', 'completed', 'cancelled'] }
+      // Applied as a lifecycle transition; legacy names are accepted
+      status: { type: 'string', required: false, enum: [...CampaignLifecycleService.ADMIN_TARGET_STATES, 'active', 'completed', 'cancelled'] }
     }
   }
 });
 
 /**
  * POST /campaigns
- * Creates a new donation campaign natively tracking goals.
+ * Creates a new donation campaign natively tracking goals, as a draft.
  */
 router.post('/', requireApiKey, checkPermission(PERMISSIONS.ADMIN), createCampaignSchema, payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
   try {
@@ -61,7 +72,7 @@ router.post('/', requireApiKey, checkPermission(PERMISSIONS.ADMIN), createCampai
 
     const dbResult = await Database.run(
       `INSERT INTO campaigns (name, description, goal_amount, current_amount, start_date, end_date, created_by, status, funding_model)
-       VALUES (?, ?, ?, 0, ?, ?, ?, 'active', ?)`,
+       VALUES (?, ?, ?, 0, ?, ?, ?, 'draft', ?)`,
       [
         name,
         description || null,
@@ -84,12 +95,15 @@ router.post('/', requireApiKey, checkPermission(PERMISSIONS.ADMIN), createCampai
  * GET /campaigns
  * Retrieves campaigns with optional ?status= filter.
  *
- * ?status=active (default) — non-expired campaigns only
+ * ?status=active (default) — live and paused campaigns that have not expired
  * ?status=expired           — campaigns past their end_date
  * ?status=all               — all campaigns regardless of end_date
+ * ?status=<lifecycle state> — campaigns in that state (draft, submitted, approved, live, ...)
  */
 router.get('/', cacheMiddleware('campaign', 'public'), asyncHandler(async (req, res, next) => {
   try {
+    // Campaigns on the lifecycle are closed at their end date by the campaign
+    // lifecycle worker; this only catches rows still on the legacy 'active' status.
     await Database.run(
       `UPDATE campaigns SET status = 'expired' WHERE status = 'active' AND end_date IS NOT NULL AND end_date < datetime('now')`
     );
@@ -98,10 +112,17 @@ router.get('/', cacheMiddleware('campaign', 'public'), asyncHandler(async (req,
     const status = req.query.status || 'active';
 
     let baseWhere = 'deleted_at IS NULL';
+    const statusParams = [];
     if (status === 'active') {
-      baseWhere += ` AND status != 'expired' AND (end_date IS NULL OR end_date > datetime('now'))`;
+      const running = [...storedStatusesFor(CAMPAIGN_STATES.LIVE), CAMPAIGN_STATES.PAUSED];
+      baseWhere += ` AND status IN (${running.map(() => '?').join(', ')}) AND (end_date IS NULL OR end_date > datetime('now'))`;
+      statusParams.push(...running);
     } else if (status === 'expired') {
       baseWhere += ` AND (status = 'expired' OR (end_date IS NOT NULL AND end_date < datetime('now')))`;
+    } else if (isValidState(status)) {
+      const stored = storedStatusesFor(status);
+      baseWhere += ` AND status IN (${stored.map(() => '?').join(', ')})`;
+      statusParams.push(...stored);
     }
 
     const { clause: cursorClause, params: cursorParams } = buildCursorWhereClause({
@@ -114,7 +135,7 @@ router.get('/', cacheMiddleware('campaign', 'public'), asyncHandler(async (req,
 
     const rows = await Database.query(
       `SELECT * FROM campaigns WHERE ${baseWhere}${cursorClause} ORDER BY createdAt DESC, id DESC LIMIT ?`,
-      [...cursorParams, pagination.limit + 1]
+      [...statusParams, ...cursorParams, pagination.limit + 1]
     );
 
     const hasMore = rows.length > pagination.limit;
@@ -156,14 +177,16 @@ router.get('/:id', cacheMiddleware('campaign', 'public'), asyncHandler(async (re
 
 /**
  * PATCH /campaigns/:id
- * Update metrics or pause/complete campaigns inherently.
+ * Update a campaign's details. A status is applied as a lifecycle transition
+ * (see POST /campaigns/:id/status). Details are locked while the campaign is
+ * submitted or approved, so what goes live is what was reviewed.
  */
 router.patch('/:id', requireApiKey, checkPermission(PERMISSIONS.ADMIN), updateCampaignSchema, payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
   try {
     const id = req.params.id;
-    const updates = req.body;
+    const { status, ...updates } = req.body;
     
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && status === undefined) {
       return res.status(400).json({ success: false, error: 'No update fields provided' });
     }
 
@@ -172,21 +195,40 @@ router.patch('/:id', requireApiKey, checkPermission(PERMISSIONS.ADMIN), updateCa
       return res.status(404).json({ success: false, error: 'Campaign not found' });
     }
 
-    let setClauses = [];
-    let params = [];
+    const state = normalizeState(campaign.status);
+    if (Object.keys(updates).length > 0 && (state === CAMPAIGN_STATES.SUBMITTED || state === CAMPAIGN_STATES.APPROVED)) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign is ${state}; its details can be changed once it is back in draft or live`,
+      });
+    }
 
-    for (const [key, value] of Object.entries(updates)) {
-      setClauses.push(`${key} = ?`);
-      params.push(value);
+    if (status !== undefined) {
+      await CampaignLifecycleService.updateStatus(id, {
+        status,
+        actor: req.user ? String(req.user.id) : 'admin',
+        requestId: req.id,
+        ipAddress: req.ip,
+      });
     }
 
-    setClauses.push('updatedAt = CURRENT_TIMESTAMP');
-    params.push(id);
+    if (Object.keys(updates).length > 0) {
+      let setClauses = [];
+      let params = [];
 
-    await Database.run(
-      `UPDATE campaigns SET ${setClauses.join(', ')} WHERE id = ?`,
-      params
-    );
+      for (const [key, value] of Object.entries(updates)) {
+        setClauses.push(`${key} = ?`);
+        params.push(value);
+      }
+
+      setClauses.push('updatedAt = CURRENT_TIMESTAMP');
+      params.push(id);
+
+      await Database.run(
+        `UPDATE campaigns SET ${setClauses.join(', ')} WHERE id = ?`,
+        params
+      );
+    }
 
     const updated = await Database.get('SELECT * FROM campaigns WHERE id = ?', [id]);
     res.status(200).json({ success: true, data: updated });
@@ -195,6 +237,112 @@ router.patch('/:id', requireApiKey, checkPermission(PERMISSIONS.ADMIN), updateCa
   }
 }));
 
+/**
+ * POST /campaigns/:id/submit
+ * Submit a draft campaign for review.
+ * Body: { comment? } — note for the reviewer
+ */
+router.post('/:id/submit', requireApiKey, checkPermission(PERMISSIONS.ADMIN), payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const campaign = await CampaignLifecycleService.submit(req.params.id, {
+      comment: req.body && req.body.comment,
+      actor: req.user ? String(req.user.id) : 'admin',
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /campaigns/:id/review
+ * Review a submitted campaign. request_changes sends it back to draft and
+ * needs a comment saying what to change.
+ * Body: { decision: "approve" | "request_changes", comment? }
+ */
+router.post('/:id/review', requireApiKey, checkPermission(PERMISSIONS.ADMIN), payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const { decision, comment } = req.body || {};
+    const campaign = await CampaignLifecycleService.review(req.params.id, {
+      decision,
+      comment,
+      actor: req.user ? String(req.user.id) : 'admin',
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /campaigns/:id/status
+ * Launch, pause, resume, close or archive a campaign. Approved campaigns also
+ * go live on their own at their start date, and live ones close at their end date.
+ * Body: { status: "live" | "paused" | "closed" | "archived", comment? }
+ */
+router.post('/:id/status', requireApiKey, checkPermission(PERMISSIONS.ADMIN), payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const { status, comment } = req.body || {};
+    const campaign = await CampaignLifecycleService.updateStatus(req.params.id, {
+      status,
+      comment,
+      actor: req.user ? String(req.user.id) : 'admin',
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /campaigns/:id/transitions
+ * The campaign's lifecycle history, oldest first, with review comments.
+ */
+router.get('/:id/transitions', requireApiKey, checkPermission(PERMISSIONS.ADMIN), asyncHandler(async (req, res, next) => {
+  try {
+    const transitions = await CampaignLifecycleService.listTransitions(req.params.id);
+    res.json({ success: true, data: transitions, count: transitions.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /campaigns/:id/payment-requests
+ * Create a reusable SEP-7 payment request that credits this campaign.
+ * Every payment made through it becomes a campaign donation, paid to the
+ * campaign creator's wallet.
+ * Body: { destination?, amount?, asset?, memo?, message? } — destination, when
+ *   given, must be the campaign creator's wallet
+ */
+router.post('/:id/payment-requests', requireApiKey, checkPermission(PERMISSIONS.ADMIN), payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const { destination, amount, asset, memo, message } = req.body;
+    if (destination !== undefined && (!destination || typeof destination !== 'string')) {
+      return res.status(400).json({ success: false, error: 'destination must be a Stellar public key' });
+    }
+
+    const paymentRequest = await paymentRequestService.createForCampaign(parseInt(req.params.id, 10), {
+      destination,
+      amount,
+      asset,
+      memo,
+      message,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+    });
+    res.status(201).json({ success: true, data: paymentRequest });
+  } catch (error) {
+    next(error);
+  }
+}));
+
 /**
  * GET /campaigns/:id/donations
  * Retrieves all donations mapped to a specific campaign securely.
@@ -272,15 +420,13 @@ router.get('/:id/impact', asyncHandler(async (req, res, next) => {
  *   - progress_update: Sent whenever a donation is received (shows current progress)
  *   - milestone_reached: Sent when a milestone (25%, 50%, 75%, 100%) is reached
  *   - goal_reached: Sent when the campaign goal is fully reached
+ *
+ * Events of the campaign's fundraisers arrive on this stream too, with
+ * fundraiser_id set; GET /campaigns/:id/fundraisers/:fundraiserId/progress/stream
+ * carries only one fundraiser's.
  */
 router.get('/:id/progress/stream', requireApiKey, asyncHandler(async (req, res, next) => {
-  const log = require('../utils/log');
-  const { v4: uuidv4 } = require('uuid');
-  const SseManager = require('../services/SseManager');
-  
   const campaignId = req.params.id;
-  const clientId = uuidv4();
-  const keyId = req.user?.id || req.headers['x-api-key'] || 'anonymous';
 
   // Verify campaign exists
   try {
@@ -292,10 +438,49 @@ router.get('/:id/progress/stream', requireApiKey, asyncHandler(async (req, res,
     return next(error);
   }
 
+  openProgressStream(req, res, {
+    label: 'Campaign',
+    filters: { campaignId },
+    loadState: async () => {
+      const campaign = await Database.get('SELECT * FROM campaigns WHERE id = ?', [campaignId]);
+      return {
+        campaign_id: campaignId,
+        campaign_name: campaign.name,
+        goal_amount: campaign.goal_amount,
+        current_amount: campaign.current_amount,
+        progress_percentage: Math.round((campaign.current_amount / campaign.goal_amount) * 100),
+        status: campaign.status,
+        timestamp: new Date().toISOString()
+      };
+    },
+  });
+}));
+
+/**
+ * Serve a progress stream for a campaign or one of its fundraisers: register
+ * the client with SseManager, send the current state and keep the connection
+ * alive. DonationService broadcasts progress_update and milestone_reached
+ * events through SseManager.broadcastCampaignProgress; `filters` picks the
+ * ones this stream receives.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {string} options.label - "Campaign" or "Fundraiser", for logs
+ * @param {Object} options.filters - SseManager filters ({ campaignId, fundraiserId? })
+ * @param {Function} options.loadState - Resolves to the initial event's data
+ */
+function openProgressStream(req, res, { label, filters, loadState }) {
+  const log = require('../utils/log');
+  const { v4: uuidv4 } = require('uuid');
+  const SseManager = require('../services/SseManager');
+
+  const clientId = uuidv4();
+  const keyId = req.user?.id || req.headers['x-api-key'] || 'anonymous';
+
   // Register with the SSE manager up front: addClient checks the per-key
   // connection limit and registers atomically, so concurrent connects can't
   // all slip past a separate count check while this handler awaits.
-  const { limitExceeded } = SseManager.addClient(clientId, keyId, { campaignId }, res);
+  const { limitExceeded } = SseManager.addClient(clientId, keyId, filters, res);
   if (limitExceeded) {
     return res.status(429).json({
       success: false,
@@ -310,30 +495,12 @@ router.get('/:id/progress/stream', requireApiKey, asyncHandler(async (req, res,
   res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering in nginx
   res.setHeader('Access-Control-Allow-Origin', '*');
 
-  log.info('SSE', `Campaign progress stream connected: ${clientId}`, { campaignId, keyId });
+  log.info('SSE', `${label} progress stream connected: ${clientId}`, { ...filters, keyId });
 
   // Send initial state
-  try {
-    const campaign = await Database.get('SELECT * FROM campaigns WHERE id = ?', [campaignId]);
-    const progressPercentage = Math.round((campaign.current_amount / campaign.goal_amount) * 100);
-    
-    const initialData = {
-      event: 'initial',
-      data: {
-        campaign_id: campaignId,
-        campaign_name: campaign.name,
-        goal_amount: campaign.goal_amount,
-        current_amount: campaign.current_amount,
-        progress_percentage: progressPercentage,
-        status: campaign.status,
-        timestamp: new Date().toISOString()
-      }
-    };
-    
-    res.write(`data: ${JSON.stringify(initialData.data)}\n\n`);
-  } catch (error) {
-    log.error('SSE', 'Failed to send initial state', { campaignId, error: error.message });
-  }
+  loadState()
+    .then((data) => res.write(`data: ${JSON.stringify(data)}\n\n`))
+    .catch((error) => log.error('SSE', 'Failed to send initial state', { ...filters, error: error.message }));
 
   // Heartbeat to keep connection alive
   const heartbeatInterval = setInterval(() => {
@@ -345,35 +512,11 @@ router.get('/:id/progress/stream', requireApiKey, asyncHandler(async (req, res,
     }
   }, SseManager.HEARTBEAT_INTERVAL_MS);
 
-  // Listen for progress updates and milestone events
-  const _progressHandler = async () => {
-    try {
-      const campaign = await Database.get('SELECT * FROM campaigns WHERE id = ?', [campaignId]);
-      if (!campaign) return;
-
-      const progressPercentage = Math.round((campaign.current_amount / campaign.goal_amount) * 100);
-      
-      const data = {
-        campaign_id: campaignId,
-        campaign_name: campaign.name,
-        goal_amount: campaign.goal_amount,
-        current_amount: campaign.current_amount,
-        progress_percentage: progressPercentage,
-        status: campaign.status,
-        timestamp: new Date().toISOString()
-      };
-
-      res.write(`event: progress_update\ndata: ${JSON.stringify(data)}\n\n`);
-    } catch (error) {
-      log.error('SSE', 'Failed to send progress update', { campaignId, error: error.message });
-    }
-  };
-
   // Handle client disconnect
   req.on('close', () => {
     clearInterval(heartbeatInterval);
     SseManager.removeClient(clientId);
-    log.info('SSE', `Campaign progress stream disconnected: ${clientId}`, { campaignId });
+    log.info('SSE', `${label} progress stream disconnected: ${clientId}`, filters);
   });
 
   req.on('error', (error) => {
@@ -381,7 +524,7 @@ router.get('/:id/progress/stream', requireApiKey, asyncHandler(async (req, res,
     SseManager.removeClient(clientId);
     log.error('SSE', 'Client connection error', { clientId, error: error.message });
   });
-}));
+}
 
 // ─── All-or-Nothing Crowdfunding Routes ──────────────────────────────────────
 
@@ -674,4 +817,137 @@ router.get('/:id/progress', requireApiKey, cacheMiddleware('campaign-progress',
   }
 }));
 
+// ─── Peer-to-Peer Fundraiser Routes ──────────────────────────────────────────
+
+const FundraiserService = require('../services/FundraiserService');
+const { requireDonor } = require('../middleware/donorAuth');
+
+/**
+ * POST /campaigns/:id/fundraisers
+ * Open a fundraiser under an active campaign (SEP-10 donor token required).
+ * Body: { title, story?, goal_amount, team_id? } — team_id must be a team the caller is on
+ * The response's code is what donors put in their memo to credit the fundraiser.
+ */
+router.post('/:id/fundraisers', requireDonor, payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const campaignId = parseInt(req.params.id, 10);
+    const { title, story, goal_amount, team_id } = req.body || {};
+    const fundraiser = await FundraiserService.createFundraiser(campaignId, req.donor.id, { title, story, goal_amount, team_id });
+    res.status(201).json({ success: true, data: fundraiser });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /campaigns/:id/fundraisers
+ * The campaign's fundraisers ranked by amount raised.
+ * Query params: status — active | closed
+ */
+router.get('/:id/fundraisers', asyncHandler(async (req, res, next) => {
+  try {
+    const campaignId = parseInt(req.params.id, 10);
+    const fundraisers = await FundraiserService.listFundraisers(campaignId, { status: req.query.status });
+    res.json({ success: true, data: fundraisers, count: fundraisers.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /campaigns/:id/fundraisers/:fundraiserId
+ * A fundraiser's page with its progress towards its personal goal.
+ */
+router.get('/:id/fundraisers/:fundraiserId', asyncHandler(async (req, res, next) => {
+  try {
+    const fundraiser = await FundraiserService.getFundraiser(
+      parseInt(req.params.id, 10),
+      parseInt(req.params.fundraiserId, 10)
+    );
+    res.json({ success: true, data: fundraiser });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * PATCH /campaigns/:id/fundraisers/:fundraiserId
+ * Update or close the caller's own fundraiser (SEP-10 donor token required).
+ * Body: { title?, story?, goal_amount?, team_id?, status? } — status can only be "closed";
+ * team_id null takes the fundraiser off its team
+ */
+router.patch('/:id/fundraisers/:fundraiserId', requireDonor, payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const { title, story, goal_amount, team_id, status } = req.body || {};
+    const fundraiser = await FundraiserService.updateFundraiser(
+      parseInt(req.params.id, 10),
+      parseInt(req.params.fundraiserId, 10),
+      req.donor.id,
+      { title, story, goal_amount, team_id, status }
+    );
+    res.json({ success: true, data: fundraiser });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /campaigns/:id/fundraisers/:fundraiserId/leaderboard
+ * Top donors to a fundraiser; anonymous donors appear under their pseudonymous id.
+ * Query params: limit (1-100, default 10)
+ */
+router.get('/:id/fundraisers/:fundraiserId/leaderboard', asyncHandler(async (req, res, next) => {
+  try {
+    const leaderboard = await FundraiserService.getLeaderboard(
+      parseInt(req.params.id, 10),
+      parseInt(req.params.fundraiserId, 10),
+      { limit: req.query.limit === undefined ? undefined : Number(req.query.limit) }
+    );
+    res.json({ success: true, data: leaderboard, count: leaderboard.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /campaigns/:id/fundraisers/:fundraiserId/progress/stream
+ * SSE progress stream for one fundraiser, with the same events as the
+ * campaign's stream (progress_update, milestone_reached) measured against
+ * the fundraiser's personal goal.
+ */
+router.get('/:id/fundraisers/:fundraiserId/progress/stream', requireApiKey, asyncHandler(async (req, res, next) => {
+  const campaignId = req.params.id;
+  const fundraiserId = req.params.fundraiserId;
+
+  let campaign;
+  try {
+    campaign = await Database.get('SELECT * FROM campaigns WHERE id = ?', [campaignId]);
+    await FundraiserService.getFundraiser(campaignId, fundraiserId);
+  } catch (error) {
+    return next(error);
+  }
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+
+  openProgressStream(req, res, {
+    label: 'Fundraiser',
+    filters: { campaignId, fundraiserId },
+    loadState: async () => {
+      const fundraiser = await FundraiserService.getFundraiser(campaignId, fundraiserId);
+      return {
+        campaign_id: campaignId,
+        campaign_name: campaign.name,
+        fundraiser_id: fundraiserId,
+        fundraiser_title: fundraiser.title,
+        goal_amount: fundraiser.goal_amount,
+        current_amount: fundraiser.current_amount,
+        progress_percentage: fundraiser.progress_percentage,
+        status: fundraiser.status,
+        timestamp: new Date().toISOString()
+      };
+    },
+  });
+}));
+
 module.exports = router;
@@ -3,180 +3,88 @@
  *
  * RESPONSIBILITY: Donation dispute workflow endpoints
  * OWNER: Backend Team
- * DEPENDENCIES: Database, middleware (auth, RBAC), WebhookService
+ * DEPENDENCIES: DisputeService, middleware (auth, RBAC)
  *
- * Allows recipients to dispute donations and admins to resolve disputes.
+ * Allows recipients to dispute donations, both parties to attach evidence,
+ * donors to respond and admins to move disputes through review to a
+ * resolution. Validation, the state machine, the dispute window and
+ * refund/webhook/audit side effects live in DisputeService so the GraphQL
+ * schema applies the same rules.
  */
 
 const express = require('express');
 const router = express.Router();
 const { checkPermission } = require('../middleware/rbac');
 const { PERMISSIONS } = require('../utils/permissions');
-const Database = require('../utils/database');
 const asyncHandler = require('../utils/asyncHandler');
-const AuditLogService = require('../services/AuditLogService');
-const WebhookService = require('../services/WebhookService');
+const DisputeService = require('../services/DisputeService');
 const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
+const { AppError, ForbiddenError } = require('../utils/errors');
 
-const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS || '30', 10);
+/**
+ * Respond with the dispute error envelope for service-layer AppErrors;
+ * anything else is passed on to the global error handler.
+ * @param {Error} err
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Function} next
+ */
+function handleDisputeError(err, req, res, next) {
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: {
+        code: err.errorCode,
+        message: err.message,
+        requestId: req.id,
+      },
+    });
+  }
+  return next(err);
+}
+
+/**
+ * Public view of a dispute row.
+ * @param {Object} dispute
+ * @returns {Object}
+ */
+function serializeDispute(dispute) {
+  return {
+    id: dispute.id,
+    donationId: dispute.donationId,
+    status: dispute.status,
+    reason: dispute.reason,
+    resolutionNotes: dispute.resolutionNotes,
+    donorResponse: dispute.donorResponse,
+    refundAmount: dispute.refundAmount,
+    refundId: dispute.refundId,
+    slaDeadline: dispute.slaDeadline,
+    slaBreachedAt: dispute.slaBreachedAt,
+    resolvedAt: dispute.resolvedAt,
+    createdAt: dispute.createdAt,
+    updatedAt: dispute.updatedAt,
+  };
+}
 
 /**
  * POST /donations/:id/dispute
  * Create a dispute for a donation.
  * Only the recipient can open a dispute within the dispute window.
+ * Body: { reason, evidence?, evidenceItems?: [{ kind, content, description?, mimeType?, contentHash? }] }
  */
 router.post('/:id/dispute', checkPermission(PERMISSIONS.DONATIONS_WRITE), payloadSizeLimiter(ENDPOINT_LIMITS.donation), asyncHandler(async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { reason, evidence } = req.body;
-
-    // Validate input
-    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_REASON',
-          message: 'Reason is required and must be a non-empty string',
-          requestId: req.id,
-        },
-      });
-    }
-
-    if (evidence && typeof evidence !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_EVIDENCE',
-          message: 'Evidence must be a string',
-          requestId: req.id,
-        },
-      });
-    }
-
-    if (evidence && evidence.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'EVIDENCE_TOO_LONG',
-          message: 'Evidence must not exceed 1000 characters',
-          requestId: req.id,
-        },
-      });
-    }
-
-    // Get the donation
-    const donation = await Database.get(
-      'SELECT * FROM transactions WHERE id = ?',
-      [id]
-    );
-
-    if (!donation) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'DONATION_NOT_FOUND',
-          message: 'Donation not found',
-          requestId: req.id,
-        },
-      });
-    }
-
-    // Get recipient public key
-    const recipient = await Database.get(
-      'SELECT publicKey FROM users WHERE id = ?',
-      [donation.receiverId]
-    );
-
-    if (!recipient) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'RECIPIENT_NOT_FOUND',
-          message: 'Recipient not found',
-          requestId: req.id,
-        },
-      });
-    }
-
-    // Verify the user is the recipient
-    if (req.apiKey && req.apiKey.publicKey !== recipient.publicKey) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Only the recipient can dispute a donation',
-          requestId: req.id,
-        },
-      });
-    }
-
-    // Check if dispute window has passed
-    const donationDate = new Date(donation.timestamp);
-    const windowExpiry = new Date(donationDate.getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
-    if (new Date() > windowExpiry) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'DISPUTE_WINDOW_EXPIRED',
-          message: `Disputes can only be opened within ${DISPUTE_WINDOW_DAYS} days of the donation`,
-          requestId: req.id,
-        },
-      });
-    }
+    const { reason, evidence, evidenceItems } = req.body;
 
-    // Check if dispute already exists
-    const existingDispute = await Database.get(
-      'SELECT id FROM disputes WHERE donationId = ?',
-      [id]
-    );
-
-    if (existingDispute) {
-      return res.status(409).json({
-        success: false,
-        error: {
-          code: 'DISPUTE_EXISTS',
-          message: 'A dispute already exists for this donation',
-          requestId: req.id,
-        },
-      });
-    }
-
-    // Create dispute
-    const result = await Database.run(
-      `INSERT INTO disputes (donationId, recipientPublicKey, reason, evidence, status)
-       VALUES (?, ?, ?, ?, 'open')`,
-      [id, recipient.publicKey, reason.trim(), evidence ? evidence.trim() : null]
-    );
-
-    const dispute = await Database.get(
-      'SELECT * FROM disputes WHERE id = ?',
-      [result.id]
-    );
-
-    // Audit log
-    AuditLogService.log({
-      category: AuditLogService.CATEGORY.DONATION,
-      action: 'DISPUTE_OPENED',
-      severity: AuditLogService.SEVERITY.MEDIUM,
-      result: 'SUCCESS',
+    const dispute = await DisputeService.open({
+      donationId: req.params.id,
+      reason,
+      evidence,
+      evidenceItems,
+      apiKey: req.apiKey || null,
       requestId: req.id,
       ipAddress: req.ip,
-      resource: `/donations/${id}/dispute`,
-      details: {
-        donationId: id,
-        disputeId: dispute.id,
-        reason: reason.substring(0, 100),
-      },
-    }).catch(() => {});
-
-    // Emit webhook event
-    WebhookService.deliver('donation.disputed', {
-      donationId: id,
-      disputeId: dispute.id,
-      reason,
-      recipientPublicKey: recipient.publicKey,
-      timestamp: new Date().toISOString(),
-    }).catch(() => {});
+    });
 
     res.status(201).json({
       success: true,
@@ -186,181 +94,169 @@ router.post('/:id/dispute', checkPermission(PERMISSIONS.DONATIONS_WRITE), payloa
         status: dispute.status,
         reason: dispute.reason,
         evidence: dispute.evidence,
+        slaDeadline: dispute.slaDeadline,
         createdAt: dispute.createdAt,
       },
     });
   } catch (err) {
-    next(err);
+    handleDisputeError(err, req, res, next);
   }
 }));
 
 /**
- * PATCH /admin/disputes/:id
- * Update dispute status (admin only).
- * Allowed transitions: open -> under_review, under_review -> resolved_refund | resolved_no_action
+ * GET /donations/:id/dispute
+ * View the dispute on a donation with its evidence and history.
+ * Only the donation's recipient or donor can view it.
  */
-router.patch('/:id', checkPermission(PERMISSIONS.ADMIN_ALL), payloadSizeLimiter(ENDPOINT_LIMITS.admin), asyncHandler(async (req, res, next) => {
+router.get('/:id/dispute', checkPermission(PERMISSIONS.DONATIONS_READ), asyncHandler(async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { status, resolutionNotes } = req.body;
-
-    // Validate status
-    const validStatuses = ['open', 'under_review', 'resolved_refund', 'resolved_no_action'];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_STATUS',
-          message: `Status must be one of: ${validStatuses.join(', ')}`,
-          requestId: req.id,
-        },
-      });
+    const dispute = await DisputeService.getByDonationId(req.params.id);
+    const publicKey = req.apiKey && req.apiKey.publicKey;
+    if (req.apiKey && publicKey !== dispute.recipientPublicKey && publicKey !== dispute.donorPublicKey) {
+      throw new ForbiddenError('Only the parties to a dispute can view it', 'FORBIDDEN');
     }
 
-    // Get dispute
-    const dispute = await Database.get(
-      'SELECT * FROM disputes WHERE id = ?',
-      [id]
-    );
+    const details = await DisputeService.getDetails(dispute.id);
 
-    if (!dispute) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'DISPUTE_NOT_FOUND',
-          message: 'Dispute not found',
-          requestId: req.id,
-        },
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        ...serializeDispute(details),
+        evidence: details.evidence,
+        transitions: details.transitions,
+      },
+    });
+  } catch (err) {
+    handleDisputeError(err, req, res, next);
+  }
+}));
+
+/**
+ * POST /donations/:id/dispute/evidence
+ * Attach evidence to the dispute on a donation (recipient or donor).
+ * Body: { evidence: [{ kind: 'text'|'url'|'file', content, description?, mimeType?, contentHash? }] }
+ */
+router.post('/:id/dispute/evidence', checkPermission(PERMISSIONS.DONATIONS_UPDATE), payloadSizeLimiter(ENDPOINT_LIMITS.default), asyncHandler(async (req, res, next) => {
+  try {
+    const dispute = await DisputeService.getByDonationId(req.params.id);
+    const evidence = await DisputeService.addEvidence(dispute.id, req.body.evidence, {
+      apiKey: req.apiKey || null,
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
 
-    // Update dispute
-    const now = new Date().toISOString();
-    const resolvedAt = status.startsWith('resolved_') ? now : null;
+    res.status(201).json({ success: true, data: evidence, count: evidence.length });
+  } catch (err) {
+    handleDisputeError(err, req, res, next);
+  }
+}));
 
-    await Database.run(
-      `UPDATE disputes SET status = ?, resolutionNotes = ?, resolvedAt = ?, updatedAt = ? WHERE id = ?`,
-      [status, resolutionNotes || null, resolvedAt, now, id]
-    );
+/**
+ * POST /donations/:id/dispute/response
+ * Donor's response to a dispute awaiting it; moves the dispute to review.
+ * Body: { response, evidence?: [...] }
+ */
+router.post('/:id/dispute/response', checkPermission(PERMISSIONS.DONATIONS_UPDATE), payloadSizeLimiter(ENDPOINT_LIMITS.default), asyncHandler(async (req, res, next) => {
+  try {
+    const { response, evidence } = req.body;
 
-    const updated = await Database.get(
-      'SELECT * FROM disputes WHERE id = ?',
-      [id]
-    );
+    const updated = await DisputeService.respond(req.params.id, {
+      response,
+      evidence,
+      apiKey: req.apiKey || null,
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
 
-    // If resolving as refund, trigger refund workflow
-    if (status === 'resolved_refund') {
-      const donation = await Database.get(
-        'SELECT * FROM transactions WHERE id = ?',
-        [dispute.donationId]
-      );
+    res.json({ success: true, data: serializeDispute(updated) });
+  } catch (err) {
+    handleDisputeError(err, req, res, next);
+  }
+}));
 
-      if (donation) {
-        // Emit refund webhook event
-        WebhookService.deliver('donation.refund_requested', {
-          donationId: donation.id,
-          disputeId: id,
-          reason: 'Dispute resolution - refund approved',
-          amount: donation.amount,
-          timestamp: new Date().toISOString(),
-        }).catch(() => {});
-      }
-    }
+/**
+ * PATCH /admin/disputes/:id
+ * Move a dispute to a new status (admin only).
+ * open -> awaiting_donor_response | under_review | resolved_rejected
+ * awaiting_donor_response -> under_review | resolved_rejected
+ * under_review -> awaiting_donor_response | resolved_refund | resolved_partial_refund | resolved_rejected
+ * Refund resolutions refund the donation before the dispute is closed;
+ * resolved_partial_refund requires refundAmount.
+ */
+router.patch('/:id', checkPermission(PERMISSIONS.ADMIN_ALL), payloadSizeLimiter(ENDPOINT_LIMITS.admin), asyncHandler(async (req, res, next) => {
+  try {
+    const { status, resolutionNotes, refundAmount } = req.body;
 
-    // Audit log
-    AuditLogService.log({
-      category: AuditLogService.CATEGORY.DONATION,
-      action: 'DISPUTE_RESOLVED',
-      severity: AuditLogService.SEVERITY.MEDIUM,
-      result: 'SUCCESS',
+    const updated = await DisputeService.updateStatus(req.params.id, {
+      status,
+      resolutionNotes,
+      refundAmount,
+      actor: (req.user && req.user.id) ? String(req.user.id) : 'admin',
       requestId: req.id,
       ipAddress: req.ip,
-      resource: `/admin/disputes/${id}`,
-      details: {
-        disputeId: id,
-        donationId: dispute.donationId,
-        newStatus: status,
-      },
-    }).catch(() => {});
+    });
 
     res.json({
       success: true,
-      data: {
-        id: updated.id,
-        donationId: updated.donationId,
-        status: updated.status,
-        reason: updated.reason,
-        resolutionNotes: updated.resolutionNotes,
-        resolvedAt: updated.resolvedAt,
-        createdAt: updated.createdAt,
-        updatedAt: updated.updatedAt,
-      },
+      data: serializeDispute(updated),
     });
   } catch (err) {
-    next(err);
+    handleDisputeError(err, req, res, next);
+  }
+}));
+
+/**
+ * POST /admin/disputes/:id/evidence
+ * Attach evidence to a dispute as an admin.
+ */
+router.post('/:id/evidence', checkPermission(PERMISSIONS.ADMIN_ALL), payloadSizeLimiter(ENDPOINT_LIMITS.default), asyncHandler(async (req, res, next) => {
+  try {
+    const evidence = await DisputeService.addEvidence(req.params.id, req.body.evidence, {
+      isAdmin: true,
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({ success: true, data: evidence, count: evidence.length });
+  } catch (err) {
+    handleDisputeError(err, req, res, next);
   }
 }));
 
 /**
  * GET /admin/disputes
  * List all disputes (admin only).
+ * Query: status, slaBreached=true, limit, offset
  */
 router.get('/', checkPermission(PERMISSIONS.ADMIN_ALL), asyncHandler(async (req, res, next) => {
   try {
-    const { status, limit = 50, offset = 0 } = req.query;
-
-    let query = 'SELECT * FROM disputes';
-    const params = [];
+    const { status, slaBreached, limit = 50, offset = 0 } = req.query;
 
-    if (status) {
-      query += ' WHERE status = ?';
-      params.push(status);
-    }
-
-    query += ' ORDER BY createdAt DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit, 10), parseInt(offset, 10));
-
-    const disputes = await Database.query(query, params);
+    const disputes = await DisputeService.list({ status, slaBreached: slaBreached === 'true', limit, offset });
 
     res.json({
       success: true,
       data: disputes,
     });
   } catch (err) {
-    next(err);
+    handleDisputeError(err, req, res, next);
   }
 }));
 
 /**
  * GET /admin/disputes/:id
- * Get a specific dispute (admin only).
+ * Get a specific dispute with its evidence and history (admin only).
  */
 router.get('/:id', checkPermission(PERMISSIONS.ADMIN_ALL), asyncHandler(async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    const dispute = await Database.get(
-      'SELECT * FROM disputes WHERE id = ?',
-      [id]
-    );
-
-    if (!dispute) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'DISPUTE_NOT_FOUND',
-          message: 'Dispute not found',
-          requestId: req.id,
-        },
-      });
-    }
+    const dispute = await DisputeService.getDetails(req.params.id);
 
     res.json({
       success: true,
       data: dispute,
     });
   } catch (err) {
-    next(err);
+    handleDisputeError(err, req, res, next);
   }
 }));
 
@@ -12,7 +12,8 @@
  * Sub-router responsibilities:
  *
  *   create.js — POST /send, POST /, POST /batch, POST /bulk,
- *               POST /cross-asset, POST /claimable, POST /claimable/:id/claim
+ *               POST /cross-asset, POST /prepare, POST /:id/submit,
+ *               POST /claimable, POST /claimable/:id/claim
  *
  *   export.js — POST /export, GET /export/:jobId,
  *               GET /export/:jobId/download, GET /export (deprecated)
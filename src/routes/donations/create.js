@@ -8,6 +8,8 @@
  *   POST /donations/batch         — RBAC-guarded batch (authenticated)
  *   POST /donations/bulk          — concurrent bulk with per-item idempotency
  *   POST /donations/cross-asset   — DEX path payment donation
+ *   POST /donations/prepare       — non-custodial: build an unsigned transaction
+ *   POST /donations/:id/submit    — non-custodial: submit the donor-signed transaction
  *   POST /donations/claimable     — create claimable balance
  *   POST /donations/claimable/:id/claim — claim a claimable balance
  */
@@ -33,9 +35,11 @@ const federation = require('../../utils/federation');
 const asyncHandler = require('../../utils/asyncHandler');
 const { getStellarService } = require('../../config/stellar');
 const DonationService = require('../../services/DonationService');
+const NonCustodialDonationService = require('../../services/NonCustodialDonationService');
 const LimitService = require('../../services/LimitService');
 const Transaction = require('../../models/transaction');
 const { buildErrorResponse } = require('../../utils/validationErrorFormatter');
+const { TRANSACTION_STATES } = require('../../utils/transactionStateMachine');
 
 const {
   sendDonationSchema,
@@ -51,29 +55,36 @@ const {
 
 const donationService = new DonationService(getStellarService());
 const stellarService = getStellarService();
+const nonCustodialService = new NonCustodialDonationService(stellarService);
 
 // ─── POST /donations/send ─────────────────────────────────────────────────────
 
 /**
  * POST /donations/send
  * Send XLM from one wallet to another and record it.
+ * The amount may be given in fiat (`currency`), or fixed by a `quoteId`
+ * from POST /quotes to execute at the locked XLM amount.
+ * A peer-to-peer fundraiser is credited through `fundraiser_id` or its code
+ * (e.g. FR-7KQ2XM) in the memo; the donation then counts towards its campaign.
  * Requires idempotency key to prevent duplicate transactions.
  * Rate limited: 10 requests per minute per IP.
  */
 router.post('/send', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRateLimiter, requireIdempotency, sendDonationSchema, async (req, res, next) => {
   try {
-    const { senderId, receiverId, amount, memo, campaign_id } = req.body;
+    const { senderId, receiverId, amount, currency, quoteId, memo, campaign_id, fundraiser_id } = req.body;
 
     log.debug('DONATION_ROUTE', 'Processing donation request', {
       requestId: req.id,
       senderId,
       receiverId,
       amount,
+      currency,
+      quoteId,
       hasMemo: !!memo
     });
 
     const requiredValidation = validateRequiredFields(
-      { senderId, receiverId, amount },
+      { senderId, receiverId, amount: quoteId ? true : amount },
       ['senderId', 'receiverId', 'amount']
     );
 
@@ -91,7 +102,7 @@ router.post('/send', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donatio
       });
     }
 
-    const amountValidation = validateXLMAmount(amount);
+    const amountValidation = amount === undefined && quoteId ? { valid: true } : validateXLMAmount(amount);
     if (!amountValidation.valid) {
       return res.status(422).json({
         success: false,
@@ -126,12 +137,16 @@ router.post('/send', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donatio
       senderId,
       receiverId,
       amount: amountValidation.xlm,
+      currency: currency || 'XLM',
+      quoteId: quoteId || null,
       memo,
       campaign_id,
+      fundraiser_id,
       idempotencyKey: req.idempotency.key,
       requestId: req.id,
       apiKeyId: req.apiKey ? req.apiKey.id : null,
-      apiKeyRole: req.apiKey ? req.apiKey.role : (req.user?.role || 'user')
+      apiKeyRole: req.apiKey ? req.apiKey.role : (req.user?.role || 'user'),
+      ipAddress: req.ip,
     });
 
     if (result.remainingLimits) {
@@ -153,7 +168,8 @@ router.post('/send', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donatio
     };
 
     await storeIdempotencyResponse(req, response);
-    res.status(201).json(response);
+    // Held for KYC: accepted, but not yet paid to the recipient
+    res.status(result.status === TRANSACTION_STATES.HELD_FOR_KYC ? 202 : 201).json(response);
   } catch (error) {
     log.error('DONATION_ROUTE', 'Failed to send donation', {
       requestId: req.id,
@@ -184,16 +200,16 @@ router.post('/send', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donatio
 
 async function processCustodialDonation(req, res, next) {
   try {
-    const { senderId, receiverId, amount, memo } = req.body;
+    const { senderId, receiverId, amount, currency, quoteId, memo, fundraiser_id } = req.body;
 
-    if (!senderId || !receiverId || !amount) {
+    if (!senderId || !receiverId || (!amount && !quoteId)) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields: senderId, receiverId, amount'
       });
     }
 
-    const amountValidation = validateXLMAmount(amount);
+    const amountValidation = amount === undefined && quoteId ? { valid: true } : validateXLMAmount(amount);
     if (!amountValidation.valid) {
       return res.status(422).json({ success: false, error: `Invalid amount: ${amountValidation.error}` });
     }
@@ -206,6 +222,17 @@ async function processCustodialDonation(req, res, next) {
       }
     }
 
+    // Limits are in XLM, so fiat amounts are converted before they are checked
+    let limitAmount = amountValidation.xlm;
+    if (quoteId || (currency && currency.toUpperCase() !== 'XLM')) {
+      ({ xlmAmount: limitAmount } = await donationService.resolveDonationAmount({
+        amount: amountValidation.xlm,
+        currency: currency || 'XLM',
+        quoteId: quoteId || null,
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+      }));
+    }
+
     const config = require('../../config');
     const globalDailyMax = config.donations.maxDailyPerDonor;
 
@@ -227,7 +254,7 @@ async function processCustodialDonation(req, res, next) {
     if (globalDailyMax > 0) {
       try {
         await withDonorLock(String(senderId), () =>
-          LimitService.checkLimits(senderId, amountValidation.xlm)
+          LimitService.checkLimits(senderId, limitAmount)
         );
       } catch (limitErr) {
         if (limitErr && limitErr.details && limitErr.details.limit !== undefined) {
@@ -248,9 +275,14 @@ async function processCustodialDonation(req, res, next) {
       senderId,
       receiverId,
       amount: amountValidation.xlm,
+      currency: currency || 'XLM',
+      quoteId: quoteId || null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
       memo: memo || null,
+      fundraiser_id,
       idempotencyKey: req.idempotency && req.idempotency.key,
       requestId: req.id,
+      ipAddress: req.ip,
     });
 
     const response = {
@@ -262,7 +294,7 @@ async function processCustodialDonation(req, res, next) {
     };
     await storeIdempotencyResponse(req, response);
 
-    return res.status(201).json(response);
+    return res.status(result.status === TRANSACTION_STATES.HELD_FOR_KYC ? 202 : 201).json(response);
   } catch (error) {
     next(error);
   }
@@ -282,9 +314,9 @@ router.post('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRat
       return await processCustodialDonation(req, res, next);
     }
 
-    const { amount, currency, donor, recipient, memo, memoType, notes, tags, encryptMemo, anonymous, sourceAsset, sourceAmount } = req.body;
+    const { amount, currency, quoteId, donor, recipient, memo, memoType, notes, tags, encryptMemo, anonymous, sourceAsset, sourceAmount, fundraiser_id } = req.body;
 
-    if (!amount || !recipient) {
+    if ((!amount && !quoteId) || !recipient) {
       throw new ValidationError('Missing required fields: amount, recipient', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
     }
 
@@ -294,7 +326,7 @@ router.post('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRat
       });
     }
 
-    const amountValidation = validateXLMAmount(amount);
+    const amountValidation = amount === undefined && quoteId ? { valid: true } : validateXLMAmount(amount);
     if (!amountValidation.valid) {
       return res.status(422).json({
         error: `Invalid amount: ${amountValidation.error}`
@@ -351,8 +383,10 @@ router.post('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRat
     const transaction = await donationService.createDonationRecord({
       amount: amountValidation.xlm,
       currency: currency || 'XLM',
+      quoteId: quoteId || null,
       donor,
       recipient: resolvedRecipient,
+      recipientFederation: resolvedRecipient !== recipient ? recipient : null,
       memo,
       sourceAsset: normalizedSourceAsset,
       sourceAmount: sourceAmountValidation ? sourceAmountValidation.value : undefined,
@@ -365,7 +399,9 @@ router.post('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRat
       apiKeyId: req.apiKey ? req.apiKey.id : null,
       apiKeyRole: req.apiKey ? req.apiKey.role : (req.user?.role || 'user'),
       anonymous: anonymous === true,
+      fundraiser_id,
       correlationId: req.id,
+      ipAddress: req.ip,
     });
 
     let feeEstimate = null;
@@ -696,6 +732,82 @@ router.post('/cross-asset', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation),
   }
 }));
 
+// ─── POST /donations/prepare ──────────────────────────────────────────────────
+
+/**
+ * POST /donations/prepare
+ * Non-custodial donation, step 1: build an unsigned payment from the donor's
+ * account with the memo, fee and time bounds locked, for the donor to sign in
+ * their own wallet. The donation stays pending_signature until `expiresAt`.
+ * Body: { donor, recipient, amount, memo?, notes?, tags? }
+ */
+router.post('/prepare', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRateLimiter, requireApiKey, requireIdempotency, asyncHandler(async (req, res, next) => {
+  try {
+    const { donor, recipient, amount, memo, notes, tags } = req.body;
+
+    if (!donor || !recipient || amount === undefined || amount === null) {
+      throw new ValidationError('Missing required fields: donor, recipient, amount', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+    if (typeof donor !== 'string' || typeof recipient !== 'string') {
+      throw new ValidationError('donor and recipient must be strings', null, ERROR_CODES.INVALID_REQUEST);
+    }
+
+    const amountValidation = validateXLMAmount(amount);
+    if (!amountValidation.valid) {
+      return res.status(422).json({ success: false, error: `Invalid amount: ${amountValidation.error}` });
+    }
+
+    const resolvedRecipient = federation.isFederationAddress(recipient)
+      ? await federation.resolveRecipient(recipient)
+      : recipient;
+
+    const prepared = await nonCustodialService.prepare({
+      donor,
+      recipient: resolvedRecipient,
+      recipientFederation: resolvedRecipient !== recipient ? recipient : null,
+      amount: amountValidation.xlm,
+      memo,
+      notes,
+      tags,
+      idempotencyKey: req.idempotency.key,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      ipAddress: req.ip,
+      requestId: req.id,
+    });
+
+    const response = { success: true, data: prepared };
+    await storeIdempotencyResponse(req, response);
+    return res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─── POST /donations/:id/submit ───────────────────────────────────────────────
+
+/**
+ * POST /donations/:id/submit
+ * Non-custodial donation, step 2: submit the donor-signed transaction for a
+ * prepared donation. The envelope must still pay the prepared amount to the
+ * prepared recipient from the donor's account with the same memo.
+ * Body: { signedXdr }
+ */
+router.post('/:id/submit', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRateLimiter, requireApiKey, asyncHandler(async (req, res, next) => {
+  try {
+    const result = await nonCustodialService.submit(req.params.id, {
+      signedXdr: req.body.signedXdr,
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
+
+    if (req.markLifecycleStage) req.markLifecycleStage(LIFECYCLE_STAGES.PROCESSED);
+
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+}));
+
 // ─── POST /donations/claimable ────────────────────────────────────────────────
 
 /**
@@ -14,6 +14,13 @@ const { LIFECYCLE_STAGES } = require('../../middleware/requestLifecycle');
 
 // ─── Schemas ──────────────────────────────────────────────────────────────────
 
+// A locked quote (POST /quotes) carries its own amount
+const requireAmountOrQuote = (body) => (
+  (body.amount === undefined || body.amount === null) && !body.quoteId
+    ? 'amount is required unless a quoteId is given'
+    : null
+);
+
 const donationIdParamSchema = validateSchema({
   params: {
     fields: {
@@ -40,17 +47,22 @@ const sendDonationSchema = validateSchema({
     fields: {
       senderId: { type: 'string', required: true, trim: true, minLength: 1 },
       receiverId: { type: 'string', required: true, trim: true, minLength: 1 },
-      amount: { type: 'number', required: true },
+      amount: { type: 'number', required: false },
+      currency: { type: 'string', required: false, nullable: true },
+      quoteId: { type: 'string', required: false, nullable: true, trim: true, minLength: 1 },
       memo: { type: 'string', required: false, maxLength: 28, nullable: true },
-      campaign_id: { type: 'string', required: false, nullable: true }
-    }
+      campaign_id: { type: 'string', required: false, nullable: true },
+      fundraiser_id: { types: ['number', 'numberString'], required: false, nullable: true }
+    },
+    validate: (body) => requireAmountOrQuote(body)
   }
 });
 
 const createDonationSchema = validateSchema({
   body: {
     fields: {
-      amount: { types: ['number', 'numberString'], required: true },
+      amount: { types: ['number', 'numberString'], required: false },
+      quoteId: { type: 'string', required: false, nullable: true, trim: true, minLength: 1 },
       recipient: {
         type: 'string',
         required: false,
@@ -73,8 +85,10 @@ const createDonationSchema = validateSchema({
       notes: { type: 'string', required: false, nullable: true },
       tags: { type: 'array', required: false, nullable: true },
       sourceAsset: { type: 'string', required: false, nullable: true },
-      sourceAmount: { types: ['number', 'numberString'], required: false, nullable: true }
-    }
+      sourceAmount: { types: ['number', 'numberString'], required: false, nullable: true },
+      fundraiser_id: { types: ['number', 'numberString'], required: false, nullable: true }
+    },
+    validate: (body) => requireAmountOrQuote(body)
   }
 });
 
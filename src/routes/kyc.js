@@ -0,0 +1,67 @@
+/**
+ * KYC Customer Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: SEP-12 style donor identity information for the KYC hold
+ * OWNER: Compliance Team
+ * DEPENDENCIES: KycService, middleware (auth, RBAC)
+ *
+ *   PUT    /kyc/customer           — create or update a donor's fields (partial updates)
+ *   GET    /kyc/customer?account=  — status, fields still needed and fields provided
+ *   DELETE /kyc/customer/:account  — erase a donor's information
+ *
+ * Field names follow SEP-12. Values are encrypted at rest and are never
+ * returned here; compliance reviews them through /admin/kyc-holds.
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const requireApiKey = require('../middleware/apiKey');
+const { checkPermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/permissions');
+const asyncHandler = require('../utils/asyncHandler');
+const { getStellarService } = require('../config/stellar');
+const KycService = require('../services/KycService');
+
+const kycService = new KycService(getStellarService());
+
+/**
+ * PUT /kyc/customer
+ * Body: { account, ...SEP-12 fields }
+ */
+router.put('/customer', requireApiKey, checkPermission(PERMISSIONS.WALLETS_UPDATE), asyncHandler(async (req, res, next) => {
+  try {
+    const { account, ...fields } = req.body || {};
+    const result = await kycService.putCustomer({ account, fields, requestId: req.id });
+    res.status(202).json(result);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /kyc/customer?account=
+ */
+router.get('/customer', requireApiKey, checkPermission(PERMISSIONS.WALLETS_READ), asyncHandler(async (req, res, next) => {
+  try {
+    res.json(await kycService.getCustomer(req.query.account));
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * DELETE /kyc/customer/:account
+ */
+router.delete('/customer/:account', requireApiKey, checkPermission(PERMISSIONS.WALLETS_DELETE), asyncHandler(async (req, res, next) => {
+  try {
+    await kycService.deleteCustomer(req.params.account, { requestId: req.id });
+    res.status(200).json({});
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
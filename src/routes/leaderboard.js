@@ -8,6 +8,9 @@
  * Provides endpoints for:
  * - GET /leaderboard/donors - Top donors by total donations
  * - GET /leaderboard/recipients - Top recipients by total received
+ * - GET /leaderboard/organizations - Top organizations by amount their teams raised
+ * - GET /leaderboard/teams - Top teams, optionally within one organization
+ * - GET /leaderboard/fundraisers - Top fundraisers, optionally within one team
  * - GET /stream/leaderboard - SSE endpoint for real-time leaderboard updates
  */
 
@@ -60,6 +63,24 @@ function validateLeaderboardQuery(query) {
   };
 }
 
+/**
+ * Validate an optional positive integer id query parameter
+ * @param {Object} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {Object} { value } (null when absent) or { error }
+ */
+function validateIdParam(query, name) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') {
+    return { value: null };
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    return { error: `Invalid ${name}. Must be a positive integer` };
+  }
+  return { value };
+}
+
 /** Fire-and-forget audit log for leaderboard data access */
 function auditLeaderboardAccess(req, res, next) {
   AuditLogService.log({
@@ -155,6 +176,84 @@ router.get('/recipients', checkPermission(PERMISSIONS.STATS_READ), auditLeaderbo
   }
 });
 
+/**
+ * Build the handler for an organization/team/fundraiser leaderboard
+ * @param {string} level - 'organization', 'team' or 'fundraiser'
+ * @param {string|null} parentParam - Query parameter scoping to a parent, if any
+ * @returns {Function} Express handler
+ */
+function hierarchyLeaderboard(level, parentParam) {
+  return async (req, res, next) => {
+    try {
+      const validation = validateLeaderboardQuery(req.query);
+      const campaign = validateIdParam(req.query, 'campaign_id');
+      const parent = parentParam ? validateIdParam(req.query, parentParam) : { value: null };
+      const error = validation.error || campaign.error || parent.error;
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'INVALID_PARAMETER', message: error }
+        });
+      }
+
+      const { period, limit } = validation;
+      const leaderboard = await StatsService.getHierarchyLeaderboard(level, {
+        period,
+        limit,
+        campaignId: campaign.value,
+        parentId: parent.value,
+      });
+
+      res.json({
+        success: true,
+        data: leaderboard,
+        metadata: {
+          period,
+          limit,
+          campaignId: campaign.value,
+          parentId: parent.value,
+          totalEntries: leaderboard.length,
+          generatedAt: new Date().toISOString(),
+          cachedAt: leaderboard.cachedAt || null,
+          ttlMs: StatsService.LEADERBOARD_CACHE_TTL_MS,
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * GET /leaderboard/organizations
+ * Get top organizations by the total rolled up from their teams
+ * Query params:
+ *   - period: 'all', 'monthly', 'weekly', 'daily' (default: 'all')
+ *   - limit: Number of entries to return (default: 10, max: 100)
+ *   - campaign_id: Only count donations to this campaign
+ */
+router.get('/organizations', checkPermission(PERMISSIONS.STATS_READ), auditLeaderboardAccess,
+  hierarchyLeaderboard('organization', null));
+
+/**
+ * GET /leaderboard/teams
+ * Get top teams by the total rolled up from their members and fundraisers
+ * Query params: period, limit, campaign_id as above, and
+ *   - organization_id: Only teams of this organization
+ */
+router.get('/teams', checkPermission(PERMISSIONS.STATS_READ), auditLeaderboardAccess,
+  hierarchyLeaderboard('team', 'organization_id'));
+
+/**
+ * GET /leaderboard/fundraisers
+ * Get top fundraisers by amount raised
+ * Query params: period, limit, campaign_id as above, and
+ *   - team_id: Only fundraisers running for this team
+ */
+router.get('/fundraisers', checkPermission(PERMISSIONS.STATS_READ), auditLeaderboardAccess,
+  hierarchyLeaderboard('fundraiser', 'team_id'));
+
 /**
  * GET /leaderboard/stream
  * Server-Sent Events endpoint for real-time leaderboard updates
@@ -0,0 +1,537 @@
+/**
+ * Donor Portal Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: Self-service API for donors signed in with SEP-10
+ * OWNER: Backend Team
+ * DEPENDENCIES: DonorService, SEP10Service, ReceiptService, RecurringScheduleService,
+ *               TaxStatementService, GiftAidService
+ *
+ * Every endpoint requires a SEP-10 bearer token (GET /auth/challenge, then
+ * POST /auth/token). The token's wallet identifies the donor; donations,
+ * schedules and pledges from any wallet linked to the same donor are shown.
+ *
+ *   GET    /me                           — profile
+ *   PATCH  /me                           — update displayName / email
+ *   GET    /me/preferences               — communication preferences
+ *   PATCH  /me/preferences               — change some preferences
+ *   GET    /me/wallets                   — linked wallets
+ *   POST   /me/wallets/challenge         — SEP-10 challenge for a wallet to link
+ *   POST   /me/wallets                   — link a wallet with its signed challenge
+ *   DELETE /me/wallets/:publicKey        — unlink a wallet
+ *   GET    /me/donations                 — donation history
+ *   GET    /me/donations/:id             — one donation
+ *   GET    /me/donations/:id/receipt     — PDF receipt (JSON with ?format=json)
+ *   GET    /me/recurring                 — recurring schedules
+ *   POST   /me/recurring/:id/pause       — pause a schedule
+ *   POST   /me/recurring/:id/resume      — resume a schedule
+ *   GET    /me/pledges                   — pledges
+ *   GET    /me/tax-statements            — statements generated for the donor
+ *   GET    /me/tax-statements/:year      — annual statement (?jurisdiction, ?format=json|csv|pdf)
+ *   GET    /me/gift-aid/declarations     — UK Gift Aid declarations
+ *   POST   /me/gift-aid/declarations     — make a declaration
+ *   POST   /me/gift-aid/declarations/:id/cancel — cancel a declaration from now on
+ *   GET    /me/gift-aid/donations        — donations a declaration covers
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { requireDonor } = require('../middleware/donorAuth');
+const { authTokenRateLimiter } = require('../middleware/rateLimiter');
+const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
+const { validateLimit } = require('../utils/pagination');
+const { ValidationError, NotFoundError, ERROR_CODES } = require('../utils/errors');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const asyncHandler = require('../utils/asyncHandler');
+const DonorService = require('../services/DonorService');
+const SEP10Service = require('../services/SEP10Service');
+const ReceiptService = require('../services/ReceiptService');
+const RecurringScheduleService = require('../services/RecurringScheduleService');
+const TaxStatementService = require('../services/TaxStatementService');
+const GiftAidService = require('../services/GiftAidService');
+
+router.use(requireDonor);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Profile and preferences
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /me
+ * Response: { success: true, data: Profile }
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await DonorService.getProfile(req.donor.id) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * PATCH /me
+ * Body: { displayName?, email? } — null clears a field
+ */
+router.patch('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { displayName, email } = req.body || {};
+    res.json({ success: true, data: await DonorService.updateProfile(req.donor.id, { displayName, email }) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /me/preferences
+ */
+router.get('/preferences', asyncHandler(async (req, res, next) => {
+  try {
+    const { preferences } = await DonorService.getProfile(req.donor.id);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * PATCH /me/preferences
+ * Body: { receiptEmails?, taxStatementEmails?, campaignUpdates? } (booleans)
+ */
+router.patch('/preferences', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await DonorService.updatePreferences(req.donor.id, req.body || {}) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Wallets
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /me/wallets
+ */
+router.get('/wallets', asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await DonorService.getWallets(req.donor.id) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /me/wallets/challenge
+ * Body: { account } — the wallet to link
+ *
+ * Response: { success: true, data: { transaction } } — sign it with the
+ * wallet's key and send it to POST /me/wallets.
+ */
+router.post('/wallets/challenge', authTokenRateLimiter, payloadSizeLimiter(ENDPOINT_LIMITS.auth), asyncHandler(async (req, res, next) => {
+  try {
+    const sep10Service = SEP10Service.getConfigured();
+    if (!sep10Service) {
+      return res.status(503).json(sep10NotConfigured());
+    }
+
+    const { account } = req.body || {};
+    if (!account || typeof account !== 'string') {
+      throw new ValidationError('account is required', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    let transaction;
+    try {
+      transaction = await sep10Service.generateChallenge(account);
+    } catch (err) {
+      throw new ValidationError(err.message, null, 'INVALID_CHALLENGE');
+    }
+    return res.json({ success: true, data: { transaction } });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /me/wallets
+ * Body: { transaction, label? } — the challenge from POST /me/wallets/challenge,
+ * signed by the wallet being linked
+ *
+ * Response: 201 { success: true, data: Wallet[] }
+ */
+router.post('/wallets', authTokenRateLimiter, payloadSizeLimiter(ENDPOINT_LIMITS.auth), asyncHandler(async (req, res, next) => {
+  try {
+    const sep10Service = SEP10Service.getConfigured();
+    if (!sep10Service) {
+      return res.status(503).json(sep10NotConfigured());
+    }
+
+    const { transaction, label } = req.body || {};
+    if (!transaction || typeof transaction !== 'string') {
+      throw new ValidationError('transaction is required', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    let account;
+    try {
+      account = await sep10Service.verifyChallenge(transaction);
+    } catch (err) {
+      return res.status(401).json({ success: false, error: { code: 'INVALID_CHALLENGE', message: err.message } });
+    }
+
+    const wallets = await DonorService.linkWallet(req.donor.id, account, { label });
+    return res.status(201).json({ success: true, data: wallets });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * DELETE /me/wallets/:publicKey
+ * The wallet the current token was issued for cannot be removed.
+ */
+router.delete('/wallets/:publicKey', asyncHandler(async (req, res, next) => {
+  try {
+    const wallets = await DonorService.unlinkWallet(req.donor.id, req.params.publicKey, {
+      currentWallet: req.donor.wallet,
+    });
+    res.json({ success: true, data: wallets });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Donations and receipts
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /me/donations
+ * Query: status?, limit (default 20, max 100), offset (default 0)
+ *
+ * Response: { success: true, data: Donation[], meta: { total, limit, offset } }
+ */
+router.get('/donations', asyncHandler(async (req, res, next) => {
+  try {
+    const limit = validateLimit(req.query.limit, { defaultValue: 20 });
+    if (!limit.valid) {
+      throw new ValidationError(`Invalid limit: ${limit.error}`, null, ERROR_CODES.INVALID_LIMIT);
+    }
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError('offset must be a non-negative integer', null, ERROR_CODES.INVALID_OFFSET);
+    }
+
+    const { donations, total } = await DonorService.listDonations(req.donor.id, {
+      status: req.query.status,
+      limit: limit.value,
+      offset,
+    });
+    res.json({
+      success: true,
+      data: donations.map(formatDonation),
+      meta: { total, limit: limit.value, offset },
+    });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /me/donations/:id
+ */
+router.get('/donations/:id', asyncHandler(async (req, res, next) => {
+  try {
+    const donation = await DonorService.getDonation(req.donor.id, req.params.id);
+    res.json({ success: true, data: formatDonation(donation) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /me/donations/:id/receipt
+ * PDF receipt with the donor's own (unmasked) keys; ?format=json for the data.
+ * Unconfirmed donations are watermarked "PENDING CONFIRMATION".
+ */
+router.get('/donations/:id/receipt', asyncHandler(async (req, res, next) => {
+  try {
+    const donation = await DonorService.getDonation(req.donor.id, req.params.id);
+    const isPending = donation.status !== TRANSACTION_STATES.CONFIRMED;
+    const { usdAmount, usdRate } = await ReceiptService.getUsdValue(donation);
+
+    if ((req.query.format || '').toLowerCase() === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          donationId: donation.id,
+          donationDate: donation.timestamp,
+          amountXLM: donation.amount,
+          amountUSD: usdAmount,
+          usdRate: usdRate ? { rate: usdRate.rate, hour: usdRate.hour, source: usdRate.source } : null,
+          donorPublicKey: donation.donor,
+          recipientPublicKey: donation.recipient,
+          transactionHash: donation.stellarTxId || null,
+          confirmationStatus: isPending ? 'PENDING CONFIRMATION' : 'CONFIRMED',
+        },
+      });
+    }
+
+    const pdfBuffer = await ReceiptService.generatePDF(donation, { maskKeys: false, isPending, usdAmount });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${donation.id}.pdf"`,
+      'Content-Length': pdfBuffer.length,
+    });
+    return res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Recurring schedules and pledges
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /me/recurring
+ */
+router.get('/recurring', asyncHandler(async (req, res, next) => {
+  try {
+    const schedules = await DonorService.listRecurringSchedules(req.donor.id);
+    res.json({ success: true, data: schedules.map(formatSchedule), count: schedules.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /me/recurring/:id/pause
+ * Body: { until?, reason? }
+ */
+router.post('/recurring/:id/pause', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { until, reason } = req.body || {};
+    const requester = await scheduleRequester(req);
+    const result = await RecurringScheduleService.pause(req.params.id, { until, reason, requester });
+    res.json({ success: true, data: formatChange(result) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /me/recurring/:id/resume
+ * Body: { reason? }
+ */
+router.post('/recurring/:id/resume', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    const requester = await scheduleRequester(req);
+    const result = await RecurringScheduleService.resume(req.params.id, { reason, requester });
+    res.json({ success: true, data: formatChange(result) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /me/pledges
+ */
+router.get('/pledges', asyncHandler(async (req, res, next) => {
+  try {
+    const pledges = await DonorService.listPledges(req.donor.id);
+    res.json({ success: true, data: pledges, count: pledges.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tax statements
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /me/tax-statements
+ * Statements the annual batch has generated for the donor, newest year first.
+ */
+router.get('/tax-statements', asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await TaxStatementService.listForDonor(req.donor.id) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /me/tax-statements/:year
+ * Query: jurisdiction (default TAX_STATEMENT_JURISDICTION), format — json (default) | csv | pdf
+ *
+ * The statement the annual batch stored, or, before it has run, one built
+ * now from every linked wallet (year-to-date for the current year).
+ */
+router.get('/tax-statements/:year', asyncHandler(async (req, res, next) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!TaxStatementService.STATEMENT_FORMATS.includes(format)) {
+      throw new ValidationError(`Invalid format. Must be one of: ${TaxStatementService.STATEMENT_FORMATS.join(', ')}`);
+    }
+
+    const statement = await TaxStatementService.forDonor(req.donor.id, req.params.year, req.query.jurisdiction);
+    if (format === 'json') {
+      return res.json({ success: true, data: statement });
+    }
+
+    const file = await TaxStatementService.render(statement, format);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+    });
+    return res.send(file.body);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Gift Aid
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /me/gift-aid/declarations
+ */
+router.get('/gift-aid/declarations', asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await GiftAidService.listDeclarations({ donorId: req.donor.id }) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /me/gift-aid/declarations
+ * Body: { title?, firstName, lastName, houseNumber, postcode, declarationDate?,
+ *         scope: single | future | past_and_future, donationId?, ukTaxpayer: true }
+ *
+ * Response: 201 { success: true, data: Declaration } — markedDonations counts
+ * the existing donations the declaration covers
+ */
+router.post('/gift-aid/declarations', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const declaration = await GiftAidService.createDeclaration(req.donor.id, req.body || {});
+    res.status(201).json({ success: true, data: declaration });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /me/gift-aid/declarations/:id/cancel
+ * Body: { reason? }
+ *
+ * Donations made before the cancellation can still be claimed.
+ */
+router.post('/gift-aid/declarations/:id/cancel', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    res.json({ success: true, data: await GiftAidService.cancelDeclaration(req.donor.id, req.params.id, { reason }) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /me/gift-aid/donations
+ */
+router.get('/gift-aid/donations', asyncHandler(async (req, res, next) => {
+  try {
+    const donations = await GiftAidService.listDonations({ donorId: req.donor.id });
+    res.json({ success: true, data: donations, count: donations.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * RecurringScheduleService requester for one of the donor's schedules. A
+ * schedule from another donor is reported as not found, not forbidden.
+ * @param {import('express').Request} req
+ * @returns {Promise<Object>}
+ */
+async function scheduleRequester(req) {
+  const schedules = await DonorService.listRecurringSchedules(req.donor.id);
+  const schedule = schedules.find(s => String(s.id) === String(req.params.id));
+  if (!schedule) {
+    throw new NotFoundError('Schedule not found');
+  }
+  return { isAdmin: false, publicKey: schedule.donorPublicKey, changedBy: `donor:${req.donor.id}` };
+}
+
+function sep10NotConfigured() {
+  return {
+    success: false,
+    error: { code: 'SEP10_NOT_CONFIGURED', message: 'SEP-0010 authentication is not available on this server' },
+  };
+}
+
+/**
+ * @param {Object} donation - Transaction model record
+ * @returns {Object}
+ */
+function formatDonation(donation) {
+  return {
+    id: donation.id,
+    amount: donation.amount,
+    recipient: donation.recipient,
+    donor: donation.donor,
+    memo: donation.memo || null,
+    status: donation.status,
+    stellarTxId: donation.stellarTxId || null,
+    originalAmount: donation.originalAmount || null,
+    originalCurrency: donation.originalCurrency || null,
+    timestamp: donation.timestamp,
+  };
+}
+
+/**
+ * @param {Object} row - recurring_donations row with donor/recipient public keys
+ * @returns {Object}
+ */
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    donorPublicKey: row.donorPublicKey,
+    recipientPublicKey: row.recipientPublicKey,
+    amount: row.amount,
+    frequency: row.frequency,
+    rrule: row.recurrenceRule || null,
+    timezone: row.recurrenceTimezone || null,
+    nextExecutionDate: row.nextExecutionDate,
+    lastExecutionDate: row.lastExecutionDate || null,
+    status: row.status,
+    pausedUntil: row.pausedUntil || null,
+    executionCount: row.executionCount || 0,
+    createdAt: row.createdAt || null,
+  };
+}
+
+/**
+ * @param {{ schedule: Object, version: number, skipped?: string[] }} result
+ * @returns {Object}
+ */
+function formatChange({ schedule, version, skipped }) {
+  return {
+    id: schedule.id,
+    status: schedule.status,
+    nextExecutionDate: schedule.nextExecutionDate,
+    pausedUntil: schedule.pausedUntil || null,
+    version,
+    skippedOccurrences: skipped || [],
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Payment Request Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: SEP-7 payment request URIs, their QR codes and the wallet callback
+ * OWNER: Backend Team
+ * DEPENDENCIES: PaymentRequestService, middleware (auth, RBAC, idempotency)
+ *
+ *   POST /payment-requests               — create a one-off payment request
+ *   GET  /payment-requests/:id           — payment request with its URI
+ *   GET  /payment-requests/:id/qr        — QR code (?format=png|svg)
+ *   POST /payment-requests/:id/callback  — SEP-7 callback: the wallet posts the signed XDR
+ *
+ * Campaign payment requests are created with POST /campaigns/:id/payment-requests.
+ * The callback is unauthenticated (wallets cannot send an API key); the
+ * request ID in the URL and the payment checks in PaymentRequestService
+ * stand in for it.
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const requireApiKey = require('../middleware/apiKey');
+const { requireIdempotency, storeIdempotencyResponse } = require('../middleware/idempotency');
+const { checkPermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/permissions');
+const { donationRateLimiter } = require('../middleware/rateLimiter');
+const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
+const { ValidationError, ERROR_CODES } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const { getStellarService } = require('../config/stellar');
+const PaymentRequestService = require('../services/PaymentRequestService');
+
+const paymentRequestService = new PaymentRequestService(getStellarService());
+
+/**
+ * POST /payment-requests
+ * Body: { destination, amount?, asset?, memo?, message?, expiresInSeconds? }
+ */
+router.post('/', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), requireApiKey, checkPermission(PERMISSIONS.DONATIONS_CREATE), requireIdempotency, asyncHandler(async (req, res, next) => {
+  try {
+    const { destination, amount, asset, memo, message, expiresInSeconds } = req.body;
+
+    if (!destination || typeof destination !== 'string') {
+      throw new ValidationError('Missing required field: destination', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    const paymentRequest = await paymentRequestService.create({
+      destination,
+      amount,
+      asset,
+      memo,
+      message,
+      expiresInSeconds,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+    });
+
+    const response = { success: true, data: paymentRequest };
+    await storeIdempotencyResponse(req, response);
+    return res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /payment-requests/:id
+ */
+router.get('/:id', requireApiKey, checkPermission(PERMISSIONS.DONATIONS_READ), asyncHandler(async (req, res, next) => {
+  try {
+    const paymentRequest = await paymentRequestService.getById(req.params.id);
+    res.json({ success: true, data: paymentRequest });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /payment-requests/:id/qr?format=png|svg
+ * Public so the image can be embedded directly in campaign pages.
+ */
+router.get('/:id/qr', asyncHandler(async (req, res, next) => {
+  try {
+    const { contentType, body } = await paymentRequestService.renderQr(req.params.id, req.query.format || 'png');
+    res.set('Content-Type', contentType);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /payment-requests/:id/callback
+ * SEP-7 wallets post `xdr=<signed envelope>` as application/x-www-form-urlencoded;
+ * a JSON body with `xdr` is accepted too.
+ */
+router.post('/:id/callback', payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), donationRateLimiter, asyncHandler(async (req, res, next) => {
+  try {
+    const result = await paymentRequestService.handleCallback(req.params.id, {
+      xdr: req.body && req.body.xdr,
+      requestId: req.id,
+      ipAddress: req.ip,
+    });
+
+    res.status(result.duplicate ? 200 : 201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
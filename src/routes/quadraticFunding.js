@@ -0,0 +1,49 @@
+/**
+ * Quadratic Funding Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: Public view of quadratic funding rounds and their estimated matches
+ * OWNER: Backend Team
+ * DEPENDENCIES: QuadraticFundingService
+ *
+ * Donating to a project's recipient wallet during a round's window counts
+ * towards its match; see /admin/quadratic-funding for running rounds.
+ *
+ *   GET /quadratic-funding/rounds      — rounds, newest first
+ *   GET /quadratic-funding/rounds/:id  — a round with each project's live estimated match,
+ *                                        or its final distribution once finalized
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('../utils/asyncHandler');
+const QuadraticFundingService = require('../services/QuadraticFundingService');
+
+/**
+ * GET /quadratic-funding/rounds
+ */
+router.get('/rounds', asyncHandler(async (req, res, next) => {
+  try {
+    const rounds = await QuadraticFundingService.listRounds();
+    res.json({ success: true, data: rounds, count: rounds.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /quadratic-funding/rounds/:id
+ * Response data: the round with projects[] — contributor_count, total_contributions,
+ * ideal_match, match_amount, capped — plus allocated and unallocated pool amounts.
+ */
+router.get('/rounds/:id', asyncHandler(async (req, res, next) => {
+  try {
+    const round = await QuadraticFundingService.getRound(parseInt(req.params.id, 10));
+    res.json({ success: true, data: round });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
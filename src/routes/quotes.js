@@ -0,0 +1,72 @@
+/**
+ * Donation Quote Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: Lock a fiat → XLM rate for a fiat-denominated donation
+ * OWNER: Backend Team
+ * DEPENDENCIES: DonationQuoteService, middleware (auth, RBAC)
+ *
+ *   POST /quotes      — lock the current rate for an amount, returns a quote id
+ *   GET  /quotes/:id  — quote with its status (open | used | expired)
+ *
+ * Pass the quote id as `quoteId` to POST /donations or POST /donations/send to
+ * execute at the locked XLM amount. Quotes are scoped to the API key that
+ * created them.
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const requireApiKey = require('../middleware/apiKey');
+const { checkPermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/permissions');
+const { donationRateLimiter } = require('../middleware/rateLimiter');
+const { ValidationError, ERROR_CODES } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const DonationQuoteService = require('../services/DonationQuoteService');
+
+/**
+ * POST /quotes
+ * Body: { amount, currency, lockSeconds? }
+ *
+ * Response: 201 { success: true, data: Quote }
+ */
+router.post('/', requireApiKey, checkPermission(PERMISSIONS.DONATIONS_CREATE), donationRateLimiter, asyncHandler(async (req, res, next) => {
+  try {
+    const { amount, currency, lockSeconds } = req.body || {};
+
+    if (amount === undefined || amount === null || !currency) {
+      throw new ValidationError('Missing required fields: amount, currency', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    const quote = await DonationQuoteService.create({
+      amount,
+      currency,
+      lockSeconds,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+    });
+    res.status(201).json({ success: true, data: quote });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /quotes/:id
+ *
+ * Response: { success: true, data: Quote }
+ */
+router.get('/:id', requireApiKey, checkPermission(PERMISSIONS.DONATIONS_READ), asyncHandler(async (req, res, next) => {
+  try {
+    const quote = await DonationQuoteService.getById(req.params.id, {
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+    });
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
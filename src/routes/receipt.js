@@ -33,19 +33,23 @@ function _nextReceiptNumber(donationId) {
 }
 
 /**
- * Attempt to look up the current XLM/USD rate.
- * Returns null silently when the price oracle is unavailable.
+ * Fiat value a donation was made in and the rate it executed at, or null for
+ * XLM-denominated donations.
  *
- * @returns {Promise<number|null>}
+ * @param {Object} donation
+ * @returns {Object|null}
  */
-async function _getUsdRate() {
-  try {
-    const priceOracle = require('../services/PriceOracleService');
-    const rates = await priceOracle.getRates();
-    return (rates && rates.usd) ? Number(rates.usd) : null;
-  } catch (_err) {
+function _executedFiatValue(donation) {
+  if (!donation.originalCurrency || donation.originalCurrency === 'XLM' || donation.originalAmount == null) {
     return null;
   }
+  return {
+    amount: Number(donation.originalAmount),
+    currency: donation.originalCurrency,
+    rateXLMperUnit: donation.rateXLMperUnit ?? null,
+    rateSource: donation.rateSource || null,
+    rateTimestamp: donation.rateTimestamp || null,
+  };
 }
 
 // In-memory receipt generation log (keyed by donation ID)
@@ -78,10 +82,8 @@ router.get('/:id/receipt', requireApiKey, checkPermission(PERMISSIONS.DONATIONS_
 
     const isPending = donation.status !== TRANSACTION_STATES.CONFIRMED;
     const receiptNumber = _nextReceiptNumber(id);
-    const usdRate = await _getUsdRate();
-    const usdAmount = (usdRate != null && donation.amount != null)
-      ? Number((Number(donation.amount) * usdRate).toFixed(2))
-      : null;
+    const fiatValue = _executedFiatValue(donation);
+    const { usdAmount, usdRate } = await ReceiptService.getUsdValue(donation);
 
     const explorerUrl = donation.stellarTxId
       ? `${process.env.STELLAR_EXPLORER_URL || 'https://stellar.expert/explorer/testnet/tx'}/${donation.stellarTxId}`
@@ -103,6 +105,8 @@ router.get('/:id/receipt', requireApiKey, checkPermission(PERMISSIONS.DONATIONS_
           donationDate: donation.timestamp,
           amountXLM: donation.amount,
           amountUSD: usdAmount,
+          usdRate: usdRate ? { rate: usdRate.rate, hour: usdRate.hour, source: usdRate.source } : null,
+          fiatValue,
           donorPublicKey: maskedDonor,
           recipientPublicKey: maskedRecipient,
           transactionHash: donation.stellarTxId || null,
@@ -3,14 +3,20 @@
  *
  * RESPONSIBILITY: HTTP request handling for recurring donation CRUD and history
  * OWNER: Backend Team
- * DEPENDENCIES: Database, RecurringDonationScheduler, middleware (auth, RBAC)
+ * DEPENDENCIES: Database, RecurringDonationScheduler, RecurringScheduleService, middleware (auth, RBAC)
  *
  * Endpoints:
  *   POST   /donations/recurring              – create a schedule
+ *   POST   /donations/recurring/preview      – next execution dates of a prospective schedule
  *   GET    /donations/recurring              – list all schedules
  *   GET    /donations/recurring/:id          – get one schedule
+ *   PATCH  /donations/recurring/:id          – change amount or cadence going forward
  *   DELETE /donations/recurring/:id          – cancel a schedule
+ *   POST   /donations/recurring/:id/pause    – pause, optionally until a date
+ *   POST   /donations/recurring/:id/resume   – resume a paused or suspended schedule
+ *   POST   /donations/recurring/:id/skip     – skip the next occurrence
  *   GET    /donations/recurring/:id/history  – execution history
+ *   GET    /donations/recurring/:id/changes  – versioned change history
  */
 
 const express = require('express');
@@ -19,17 +25,17 @@ const Database = require('../utils/database');
 const { checkPermission } = require('../middleware/rbac');
 const { PERMISSIONS } = require('../utils/permissions');
 const { VALID_FREQUENCIES, SCHEDULE_STATUS, DONATION_FREQUENCIES } = require('../constants');
-const {
-  validateRequiredFields,
-  validateFloat,
-  validateXLMAmount,
-  validateEnum,
-  validateInteger,
-} = require('../utils/validationHelpers');
+const { validateEnum, validateInteger } = require('../utils/validationHelpers');
 const log = require('../utils/log');
 const serviceContainer = require('../config/serviceContainer');
 const asyncHandler = require('../utils/asyncHandler');
 const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
+const recurrenceRule = require('../utils/recurrenceRule');
+const RecurringScheduleService = require('../services/RecurringScheduleService');
+const { AppError } = require('../utils/errors');
+
+/** Longest reason accepted with a schedule change. */
+const MAX_REASON_LENGTH = 500;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /donations/recurring
@@ -43,159 +49,114 @@ const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSi
  * @body {string}  donorPublicKey      - Stellar public key of the donor
  * @body {string}  recipientPublicKey  - Stellar public key of the recipient
  * @body {number}  amount              - XLM amount per execution
- * @body {string}  frequency           - daily | weekly | monthly | custom
+ * @body {string}  frequency           - daily | weekly | monthly | custom (optional when rrule is set)
  * @body {number}  [customIntervalDays] - Required when frequency === 'custom'
+ * @body {string}  [rrule]             - iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=1FR
+ * @body {string}  [timezone=UTC]      - IANA timezone the rrule is evaluated in
  * @body {number}  [maxExecutions]     - Stop after N executions (omit = unlimited)
- * @body {string}  [webhookUrl]        - URL to POST on persistent failure
- * @body {string}  [startDate]         - ISO date for first execution (default: now + 1 interval)
+ * @body {string}  [webhookUrl]        - URL to POST on persistent failure and dunning events
+ * @body {string}  [notificationEmail] - Email the donor is notified at between dunning retries
+ * @body {string}  [startDate]         - ISO date for first execution (default: now + 1 interval).
+ *                                       For rrule schedules this is the rule's start and sets the time of day.
  */
 router.post('/', checkPermission(PERMISSIONS.STREAM_CREATE), payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
   try {
-    const {
-      donorPublicKey,
-      recipientPublicKey,
-      amount,
-      frequency,
-      customIntervalDays,
-      maxExecutions,
-      webhookUrl,
-      startDate,
-    } = req.body;
-
-    // ── Required fields ──────────────────────────────────────────────────────
-    const required = validateRequiredFields(
-      { donorPublicKey, recipientPublicKey, amount, frequency },
-      ['donorPublicKey', 'recipientPublicKey', 'amount', 'frequency']
-    );
-    if (!required.valid) {
-      return res.status(400).json({
-        success: false,
-        error: `Missing required fields: ${required.missing.join(', ')}`,
-      });
-    }
+    const schedule = await RecurringScheduleService.createSchedule(req.body);
 
-    // ── Amount ───────────────────────────────────────────────────────────────
-    const amountResult = validateXLMAmount(amount);
-    if (!amountResult.valid) {
-      return res.status(422).json({ success: false, error: `Invalid amount: ${amountResult.error}` });
-    }
+    return res.status(201).json({
+      success: true,
+      message: 'Recurring donation schedule created successfully',
+      data: formatSchedule(schedule),
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+}));
 
-    // ── Frequency ────────────────────────────────────────────────────────────
-    const freqResult = validateEnum(frequency, VALID_FREQUENCIES, { caseInsensitive: true });
-    if (!freqResult.valid) {
-      return res.status(400).json({ success: false, error: freqResult.error });
-    }
-    const normalizedFreq = freqResult.value;
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /donations/recurring/preview
+// ─────────────────────────────────────────────────────────────────────────────
 
-    // ── Custom interval ──────────────────────────────────────────────────────
-    if (normalizedFreq === DONATION_FREQUENCIES.CUSTOM) {
-      const intervalResult = validateInteger(customIntervalDays, { min: 1 });
-      if (!intervalResult.valid) {
-        return res.status(400).json({
-          success: false,
-          error: `customIntervalDays is required and must be >= 1 for custom frequency`,
-        });
-      }
+/**
+ * @route   POST /donations/recurring/preview
+ * @desc    Return the next execution dates a schedule would have, without creating it
+ * @access  stream:read
+ *
+ * @body {string}  [frequency]          - daily | weekly | monthly | custom (required unless rrule is set)
+ * @body {number}  [customIntervalDays] - Required when frequency === 'custom'
+ * @body {string}  [rrule]              - iCalendar RRULE
+ * @body {string}  [timezone=UTC]       - IANA timezone the rrule is evaluated in
+ * @body {string}  [startDate]          - First execution / rule start (default: now)
+ * @body {number}  [maxExecutions]      - Stop after N executions
+ * @body {number}  [limit=10]           - Number of dates to return (1-100)
+ */
+router.post('/preview', checkPermission(PERMISSIONS.STREAM_READ), payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { frequency, customIntervalDays, rrule, timezone, startDate, maxExecutions } = req.body;
+
+    const limitResult = validateInteger(req.body.limit, { min: 1, max: recurrenceRule.MAX_PREVIEW, default: 10 });
+    if (!limitResult.valid) {
+      return res.status(400).json({ success: false, error: `Invalid limit: ${limitResult.error}` });
     }
+    let limit = limitResult.value;
 
-    // ── maxExecutions ────────────────────────────────────────────────────────
     if (maxExecutions !== undefined && maxExecutions !== null) {
       const maxResult = validateInteger(maxExecutions, { min: 1 });
       if (!maxResult.valid) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid maxExecutions: ${maxResult.error}`,
-        });
+        return res.status(400).json({ success: false, error: `Invalid maxExecutions: ${maxResult.error}` });
       }
+      limit = Math.min(limit, maxResult.value);
     }
 
-    // ── Donor exists ─────────────────────────────────────────────────────────
-    const donor = await Database.get(
-      'SELECT id, publicKey FROM users WHERE publicKey = ?',
-      [donorPublicKey]
-    );
-    if (!donor) {
-      return res.status(404).json({ success: false, error: 'Donor wallet not found' });
-    }
-
-    // ── Recipient exists ─────────────────────────────────────────────────────
-    const recipient = await Database.get(
-      'SELECT id, publicKey FROM users WHERE publicKey = ?',
-      [recipientPublicKey]
-    );
-    if (!recipient) {
-      return res.status(404).json({ success: false, error: 'Recipient wallet not found' });
-    }
-
-    // ── No self-donations ────────────────────────────────────────────────────
-    if (donor.id === recipient.id) {
-      return res.status(400).json({ success: false, error: 'Donor and recipient cannot be the same' });
-    }
-
-    // ── Calculate first execution date ───────────────────────────────────────
-    const scheduler = serviceContainer.getRecurringDonationScheduler();
-    let firstExecution;
-    if (startDate) {
-      firstExecution = new Date(startDate);
-      if (isNaN(firstExecution.getTime())) {
-        return res.status(400).json({ success: false, error: 'Invalid startDate format' });
+    let occurrences;
+    let normalizedFreq;
+    let recurrence = null;
+
+    if (rrule !== undefined && rrule !== null) {
+      recurrence = RecurringScheduleService.resolveRecurrence({ rrule, timezone, startDate, frequency }, true);
+      normalizedFreq = DONATION_FREQUENCIES.RRULE;
+      occurrences = recurrenceRule.preview(recurrence.rule, {
+        start: recurrence.start,
+        timezone: recurrence.timezone,
+        limit,
+      });
+    } else {
+      const freqResult = validateEnum(frequency, VALID_FREQUENCIES, { caseInsensitive: true });
+      if (!freqResult.valid) {
+        return res.status(400).json({ success: false, error: freqResult.error });
       }
-      if (firstExecution.getTime() < Date.now() + 60000) {
-        return res.status(400).json({ success: false, error: 'Start date must be in the future' });
+      normalizedFreq = freqResult.value;
+
+      const scheduler = serviceContainer.getRecurringDonationScheduler();
+      const days = customIntervalDays ? parseInt(customIntervalDays, 10) : undefined;
+      let current;
+      if (startDate) {
+        current = new Date(startDate);
+        if (isNaN(current.getTime())) {
+          return res.status(400).json({ success: false, error: 'Invalid startDate format' });
+        }
+      } else {
+        current = scheduler.calculateNextExecutionDate(new Date(), normalizedFreq, days);
+      }
+      occurrences = [current];
+      while (occurrences.length < limit) {
+        current = scheduler.calculateNextExecutionDate(current, normalizedFreq, days);
+        occurrences.push(current);
       }
-    } else {
-      firstExecution = scheduler.calculateNextExecutionDate(
-        new Date(),
-        normalizedFreq,
-        customIntervalDays ? parseInt(customIntervalDays, 10) : undefined
-      );
     }
 
-    // ── Persist ──────────────────────────────────────────────────────────────
-    const result = await Database.run(
-      `INSERT INTO recurring_donations
-         (donorId, recipientId, amount, frequency, customIntervalDays,
-          maxExecutions, webhookUrl, nextExecutionDate, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        donor.id,
-        recipient.id,
-        amountResult.xlm,
-        normalizedFreq,
-        customIntervalDays ? parseInt(customIntervalDays, 10) : null,
-        maxExecutions ? parseInt(maxExecutions, 10) : null,
-        webhookUrl || null,
-        firstExecution.toISOString(),
-        SCHEDULE_STATUS.ACTIVE,
-      ]
-    );
-
-    const schedule = await Database.get(
-      `SELECT rd.id, rd.amount, rd.frequency, rd.customIntervalDays,
-              rd.maxExecutions, rd.webhookUrl, rd.nextExecutionDate,
-              rd.status, rd.executionCount, rd.failureCount,
-              donor.publicKey AS donorPublicKey,
-              recipient.publicKey AS recipientPublicKey
-       FROM recurring_donations rd
-       JOIN users donor     ON rd.donorId    = donor.id
-       JOIN users recipient ON rd.recipientId = recipient.id
-       WHERE rd.id = ?`,
-      [result.id]
-    );
-
-    log.info('RECURRING_DONATION_ROUTE', 'Schedule created', {
-      scheduleId: schedule.id,
-      frequency: normalizedFreq,
-      amount: amountResult.xlm,
-    });
-
-    return res.status(201).json({
+    return res.json({
       success: true,
-      message: 'Recurring donation schedule created successfully',
-      data: formatSchedule(schedule),
+      data: {
+        frequency: normalizedFreq,
+        rrule: recurrence ? recurrence.rule : null,
+        timezone: recurrence ? recurrence.timezone : null,
+        occurrences: occurrences.map((d) => d.toISOString()),
+      },
+      count: occurrences.length,
     });
   } catch (error) {
-    next(error);
+    handleServiceError(error, res, next);
   }
 }));
 
@@ -216,6 +177,7 @@ router.get('/', checkPermission(PERMISSIONS.STREAM_READ), asyncHandler(async (re
     let sql = `
       SELECT rd.id, rd.amount, rd.frequency, rd.customIntervalDays,
              rd.maxExecutions, rd.webhookUrl, rd.nextExecutionDate,
+              rd.recurrenceRule, rd.recurrenceTimezone,
              rd.lastExecutionDate, rd.status, rd.executionCount,
              rd.failureCount, rd.lastFailureReason, rd.createdAt,
              donor.publicKey AS donorPublicKey,
@@ -266,6 +228,7 @@ router.get('/:id', checkPermission(PERMISSIONS.STREAM_READ), asyncHandler(async
     const schedule = await Database.get(
       `SELECT rd.id, rd.amount, rd.frequency, rd.customIntervalDays,
               rd.maxExecutions, rd.webhookUrl, rd.nextExecutionDate,
+              rd.recurrenceRule, rd.recurrenceTimezone,
               rd.lastExecutionDate, rd.status, rd.executionCount,
               rd.failureCount, rd.lastFailureReason, rd.createdAt,
               donor.publicKey AS donorPublicKey,
@@ -287,6 +250,47 @@ router.get('/:id', checkPermission(PERMISSIONS.STREAM_READ), asyncHandler(async
   }
 }));
 
+// ─────────────────────────────────────────────────────────────────────────────
+// PATCH /donations/recurring/:id
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @route   PATCH /donations/recurring/:id
+ * @desc    Change the amount and/or cadence of a schedule going forward.
+ *          A new frequency or rrule recalculates nextExecutionDate from now.
+ * @access  stream:update (schedule owner or admin)
+ *
+ * @body {number}  [amount]    - New XLM amount per execution
+ * @body {string}  [frequency] - daily | weekly | monthly (replaces any rrule)
+ * @body {string}  [rrule]     - New iCalendar RRULE
+ * @body {string}  [timezone]  - New IANA timezone for the rrule
+ * @body {string}  [startDate] - Start of the new rrule (default: now); sets its time of day
+ * @body {string}  [reason]    - Recorded in the change history
+ */
+router.patch('/:id', checkPermission(PERMISSIONS.STREAM_UPDATE), payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { amount, frequency, rrule, timezone, startDate, reason } = req.body || {};
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ success: false, error: reasonError });
+    }
+
+    const result = await RecurringScheduleService.update(
+      req.params.id,
+      { amount, frequency, rrule, timezone, startDate },
+      { reason, requester: RecurringScheduleService.requesterFromRequest(req) }
+    );
+
+    return res.json({
+      success: true,
+      message: 'Recurring donation schedule updated successfully',
+      data: formatChange(result),
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+}));
+
 // ─────────────────────────────────────────────────────────────────────────────
 // DELETE /donations/recurring/:id
 // ─────────────────────────────────────────────────────────────────────────────
@@ -327,6 +331,105 @@ router.delete('/:id', checkPermission(PERMISSIONS.STREAM_DELETE), asyncHandler(a
   }
 }));
 
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /donations/recurring/:id/pause | resume | skip
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @route   POST /donations/recurring/:id/pause
+ * @desc    Pause an active schedule. With `until`, the scheduler resumes it
+ *          automatically once that date passes.
+ * @access  stream:update (schedule owner or admin)
+ *
+ * @body {string} [until]  - ISO date to resume at (omit = until resumed manually)
+ * @body {string} [reason] - Recorded in the change history
+ */
+router.post('/:id/pause', checkPermission(PERMISSIONS.STREAM_UPDATE), payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { until, reason } = req.body || {};
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ success: false, error: reasonError });
+    }
+
+    const result = await RecurringScheduleService.pause(req.params.id, {
+      until,
+      reason,
+      requester: RecurringScheduleService.requesterFromRequest(req),
+    });
+
+    return res.json({
+      success: true,
+      message: 'Recurring donation schedule paused successfully',
+      data: formatChange(result),
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+}));
+
+/**
+ * @route   POST /donations/recurring/:id/resume
+ * @desc    Resume a paused schedule. Occurrences that fell inside the pause are
+ *          logged as SKIPPED and the schedule continues on its original cadence.
+ * @access  stream:update (schedule owner or admin)
+ *
+ * @body {string} [reason] - Recorded in the change history
+ */
+router.post('/:id/resume', checkPermission(PERMISSIONS.STREAM_UPDATE), payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ success: false, error: reasonError });
+    }
+
+    const result = await RecurringScheduleService.resume(req.params.id, {
+      reason,
+      requester: RecurringScheduleService.requesterFromRequest(req),
+    });
+
+    return res.json({
+      success: true,
+      message: 'Recurring donation schedule resumed successfully',
+      data: formatChange(result),
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+}));
+
+/**
+ * @route   POST /donations/recurring/:id/skip
+ * @desc    Skip the next occurrence of an active schedule. The skipped
+ *          occurrence appears in the execution history with status SKIPPED.
+ * @access  stream:update (schedule owner or admin)
+ *
+ * @body {string} [reason] - Recorded in the change history
+ */
+router.post('/:id/skip', checkPermission(PERMISSIONS.STREAM_UPDATE), payloadSizeLimiter(ENDPOINT_LIMITS.singleDonation), asyncHandler(async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ success: false, error: reasonError });
+    }
+
+    const result = await RecurringScheduleService.skipNext(req.params.id, {
+      reason,
+      requester: RecurringScheduleService.requesterFromRequest(req),
+    });
+
+    return res.json({
+      success: true,
+      message: 'Next occurrence skipped successfully',
+      data: formatChange(result),
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+}));
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /donations/recurring/:id/history
 // ─────────────────────────────────────────────────────────────────────────────
@@ -358,7 +461,7 @@ router.get('/:id/history', checkPermission(PERMISSIONS.STREAM_READ), asyncHandle
 
     const logs = await Database.query(
       `SELECT id, scheduleId, status, transactionHash, errorMessage,
-              attemptNumber, timestamp, correlationId
+              attemptNumber, scheduledFor, timestamp, correlationId
        FROM recurring_donation_logs
        WHERE scheduleId = ?
        ORDER BY timestamp DESC
@@ -384,10 +487,95 @@ router.get('/:id/history', checkPermission(PERMISSIONS.STREAM_READ), asyncHandle
   }
 }));
 
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /donations/recurring/:id/changes
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @route   GET /donations/recurring/:id/changes
+ * @desc    Versioned history of pauses, resumes, skips and updates, newest first
+ * @access  stream:read (schedule owner or admin)
+ * @query   {number} [limit=20]  - Max records to return (1-100)
+ * @query   {number} [offset=0]  - Pagination offset
+ */
+router.get('/:id/changes', checkPermission(PERMISSIONS.STREAM_READ), asyncHandler(async (req, res, next) => {
+  try {
+    const limitResult = validateInteger(req.query.limit, { min: 1, max: 100, default: 20 });
+    const offsetResult = validateInteger(req.query.offset, { min: 0, default: 0 });
+
+    if (!limitResult.valid) {
+      return res.status(400).json({ success: false, error: `Invalid limit: ${limitResult.error}` });
+    }
+
+    const { items, total } = await RecurringScheduleService.getHistory(req.params.id, {
+      limit: limitResult.value,
+      offset: offsetResult.value || 0,
+      requester: RecurringScheduleService.requesterFromRequest(req),
+    });
+
+    return res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total,
+      limit: limitResult.value,
+      offset: offsetResult.value || 0,
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+}));
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Validate the optional reason supplied with a schedule change.
+ * @param {*} reason
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateReason(reason) {
+  if (reason === undefined || reason === null) return null;
+  if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+    return `reason must be a string of at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Shape the result of a schedule change for the API.
+ * @param {{ schedule: Object, version: number, skipped?: string[] }} result
+ * @returns {Object}
+ */
+function formatChange({ schedule, version, skipped }) {
+  return {
+    id: schedule.id,
+    status: schedule.status,
+    amount: schedule.amount,
+    frequency: schedule.frequency,
+    rrule: schedule.recurrenceRule || null,
+    timezone: schedule.recurrenceRule ? (schedule.recurrenceTimezone || 'UTC') : null,
+    nextExecutionDate: schedule.nextExecutionDate,
+    pausedUntil: schedule.pausedUntil || null,
+    version,
+    skippedOccurrences: skipped || [],
+  };
+}
+
+/**
+ * Send service errors (AppError) with their status; pass anything else on.
+ * @param {Error} err
+ * @param {import('express').Response} res
+ * @param {Function} next
+ */
+function handleServiceError(err, res, next) {
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json({ success: false, error: err.message, code: err.errorCode });
+  }
+  return next(err);
+}
+
 /**
  * Normalise a DB row into a consistent API response shape.
  * @param {Object} row
@@ -401,8 +589,11 @@ function formatSchedule(row) {
     amount: row.amount,
     frequency: row.frequency,
     customIntervalDays: row.customIntervalDays || null,
+    rrule: row.recurrenceRule || null,
+    timezone: row.recurrenceTimezone || null,
     maxExecutions: row.maxExecutions || null,
     webhookUrl: row.webhookUrl || null,
+    notificationEmail: row.notificationEmail || null,
     nextExecutionDate: row.nextExecutionDate,
     lastExecutionDate: row.lastExecutionDate || null,
     status: row.status,
@@ -462,6 +462,36 @@ router.get(
   },
 );
 
+/**
+ * GET /stats/value
+ * Fiat value of donations, each at the exchange rate recorded for its own hour
+ * Query params: startDate, endDate (ISO format), currency (e.g. USD)
+ */
+router.get(
+  "/value",
+  checkPermission(PERMISSIONS.STATS_READ),
+  auditStatsAccess,
+  validateSchema({
+    query: {
+      fields: {
+        startDate: { type: 'dateString', required: true },
+        endDate: { type: 'dateString', required: true },
+        currency: { type: 'string', required: true, minLength: 3, maxLength: 5 },
+      },
+    },
+  }),
+  validateDateRange,
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { startDate, endDate, currency } = req.query;
+      const stats = await StatsService.getValueStats(new Date(startDate), new Date(endDate), currency);
+      res.json({ success: true, data: stats });
+    } catch (error) {
+      next(error);
+    }
+  }),
+);
+
 /**
  * GET /stats/analytics-fees
  * Get analytics fee summary for reporting
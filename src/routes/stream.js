@@ -4,7 +4,7 @@
  * RESPONSIBILITY: HTTP request handling for recurring donation schedules AND
  *                 real-time SSE transaction feed.
  * OWNER: Backend Team
- * DEPENDENCIES: Database, middleware (auth, RBAC), SseManager, donationEvents
+ * DEPENDENCIES: Database, middleware (auth, RBAC), SseManager
  */
 
 /**
@@ -35,7 +35,18 @@
  *                 type: number
  *               frequency:
  *                 type: string
- *                 enum: [daily, weekly, monthly]
+ *                 enum: [daily, weekly, monthly, rrule]
+ *                 description: Required unless rrule is set
+ *               rrule:
+ *                 type: string
+ *                 description: iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=1FR
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone the rrule is evaluated in (default UTC)
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the rrule; sets the time of day of each execution
  *     responses:
  *       201:
  *         description: Schedule created
@@ -93,17 +104,18 @@ const crypto = require('crypto');
 const Database = require('../utils/database');
 const { checkPermission } = require('../middleware/rbac');
 const { PERMISSIONS } = require('../utils/permissions');
-const { VALID_FREQUENCIES, SCHEDULE_STATUS } = require('../constants');
+const { VALID_FREQUENCIES, SCHEDULE_STATUS, DONATION_FREQUENCIES } = require('../constants');
 const { validateRequiredFields, validateFloat, validateXLMAmount, validateEnum } = require('../utils/validationHelpers');
 const log = require('../utils/log');
 const { validateSchema } = require('../middleware/schemaValidation');
 const { isValidStellarPublicKey } = require('../utils/validators');
 const SseManager = require('../services/SseManager');
-const donationEvents = require('../events/donationEvents');
 const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
 const { requestTimeout, TIMEOUTS } = require('../middleware/requestTimeout');
 const AuditLogService = require('../services/AuditLogService');
 const asyncHandler = require('../utils/asyncHandler');
+const recurrenceRule = require('../utils/recurrenceRule');
+const RecurringScheduleService = require('../services/RecurringScheduleService');
 
 const streamCreateSchema = validateSchema({
   body: {
@@ -131,17 +143,23 @@ const streamCreateSchema = validateSchema({
       amount: { type: 'number', required: true, min: 0.0000001 },
       frequency: {
         type: 'string',
-        required: true,
+        required: false,
         validate: (value) => {
           if (typeof value !== 'string') {
             return 'frequency must be a string';
           }
-          return VALID_FREQUENCIES.includes(value.toLowerCase())
+          return [...VALID_FREQUENCIES, DONATION_FREQUENCIES.RRULE].includes(value.toLowerCase())
             ? true
             : `frequency must be one of: ${VALID_FREQUENCIES.join(', ')}`;
         },
       },
+      rrule: { type: 'string', required: false, trim: true, minLength: 1, maxLength: 500 },
+      timezone: { type: 'string', required: false, trim: true, minLength: 1, maxLength: 64 },
+      startDate: { type: 'dateString', required: false },
     },
+    validate: (body) => (body.frequency === undefined && body.rrule === undefined
+      ? 'body.frequency is required unless body.rrule is set'
+      : null),
   },
 });
 
@@ -168,12 +186,12 @@ const updateScheduleSchema = validateSchema({
  */
 router.post('/create', payloadSizeLimiter(ENDPOINT_LIMITS.stream), requestTimeout(TIMEOUTS.stream), checkPermission(PERMISSIONS.STREAM_CREATE), streamCreateSchema, asyncHandler(async (req, res, next) => {
   try {
-    const { donorPublicKey, recipientPublicKey, amount, frequency } = req.body;
+    const { donorPublicKey, recipientPublicKey, amount, frequency, rrule, timezone, startDate } = req.body;
 
     // Validate required fields
     const requiredValidation = validateRequiredFields(
       { donorPublicKey, recipientPublicKey, amount, frequency },
-      ['donorPublicKey', 'recipientPublicKey', 'amount', 'frequency']
+      rrule ? ['donorPublicKey', 'recipientPublicKey', 'amount'] : ['donorPublicKey', 'recipientPublicKey', 'amount', 'frequency']
     );
 
     if (!requiredValidation.valid) {
@@ -192,15 +210,37 @@ router.post('/create', payloadSizeLimiter(ENDPOINT_LIMITS.stream), requestTimeou
       });
     }
 
-    // Validate frequency
-    const frequencyValidation = validateEnum(frequency, VALID_FREQUENCIES, { caseInsensitive: true });
-    if (!frequencyValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: frequencyValidation.error,
-        code: 'INVALID_FREQUENCY',
-        errorCode: 1006
-      });
+    // Validate frequency, or the recurrence rule that replaces it
+    let recurrence = null;
+    if (rrule) {
+      if (frequency && frequency.toLowerCase() !== DONATION_FREQUENCIES.RRULE) {
+        return res.status(400).json({
+          success: false,
+          error: 'frequency must be omitted or "rrule" when rrule is set',
+          code: 'INVALID_FREQUENCY',
+          errorCode: 1006
+        });
+      }
+      try {
+        recurrence = recurrenceRule.resolveSchedule({ rrule, timezone, startDate });
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          error: err.message,
+          code: 'INVALID_FREQUENCY',
+          errorCode: 1006
+        });
+      }
+    } else {
+      const frequencyValidation = validateEnum(frequency, VALID_FREQUENCIES, { caseInsensitive: true });
+      if (!frequencyValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: frequencyValidation.error,
+          code: 'INVALID_FREQUENCY',
+          errorCode: 1006
+        });
+      }
     }
 
     // Check if both donor and recipient exist in a single query
@@ -247,27 +287,41 @@ router.post('/create', payloadSizeLimiter(ENDPOINT_LIMITS.stream), requestTimeou
 
     // Calculate next execution date based on frequency
     const now = new Date();
-    const nextExecutionDate = new Date(now);
-
-    switch (frequency.toLowerCase()) {
-      case 'daily':
-        nextExecutionDate.setDate(nextExecutionDate.getDate() + 1);
-        break;
-      case 'weekly':
-        nextExecutionDate.setDate(nextExecutionDate.getDate() + 7);
-        break;
-      case 'monthly':
-        nextExecutionDate.setMonth(nextExecutionDate.getMonth() + 1);
-        break;
+    const nextExecutionDate = recurrence ? recurrence.firstExecution : new Date(now);
+
+    // RRULE schedules start at the rule's first occurrence
+    if (!recurrence) {
+      switch (frequency.toLowerCase()) {
+        case 'daily':
+          nextExecutionDate.setDate(nextExecutionDate.getDate() + 1);
+          break;
+        case 'weekly':
+          nextExecutionDate.setDate(nextExecutionDate.getDate() + 7);
+          break;
+        case 'monthly':
+          nextExecutionDate.setMonth(nextExecutionDate.getMonth() + 1);
+          break;
+      }
     }
 
     // Insert recurring donation schedule
-    const result = await Database.run(
-      `INSERT INTO recurring_donations
-       (donorId, recipientId, amount, frequency, nextExecutionDate, status)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [donor.id, recipient.id, amountValidation.xlm, frequency.toLowerCase(), nextExecutionDate.toISOString(), SCHEDULE_STATUS.ACTIVE]
-    );
+    const result = recurrence
+      ? await Database.run(
+        `INSERT INTO recurring_donations
+         (donorId, recipientId, amount, frequency, nextExecutionDate, status,
+          recurrenceRule, recurrenceTimezone, recurrenceStart)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          donor.id, recipient.id, amountValidation.xlm, DONATION_FREQUENCIES.RRULE, nextExecutionDate.toISOString(),
+          SCHEDULE_STATUS.ACTIVE, recurrence.rule, recurrence.timezone, recurrence.start.toISOString(),
+        ]
+      )
+      : await Database.run(
+        `INSERT INTO recurring_donations
+         (donorId, recipientId, amount, frequency, nextExecutionDate, status)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [donor.id, recipient.id, amountValidation.xlm, frequency.toLowerCase(), nextExecutionDate.toISOString(), SCHEDULE_STATUS.ACTIVE]
+      );
 
     // Fetch the created schedule
     const schedule = await Database.get(
@@ -297,6 +351,7 @@ router.post('/create', payloadSizeLimiter(ENDPOINT_LIMITS.stream), requestTimeou
         recipient: schedule.recipientPublicKey,
         amount: schedule.amount,
         frequency: schedule.frequency,
+        ...(recurrence && { rrule: recurrence.rule, timezone: recurrence.timezone }),
         nextExecution: schedule.nextExecutionDate,
         status: schedule.status,
         executionCount: schedule.executionCount
@@ -451,6 +506,11 @@ router.post('/schedules/:id/pause', checkPermission(PERMISSIONS.STREAM_UPDATE),
       [SCHEDULE_STATUS.PAUSED, now, req.params.id]
     );
 
+    await recordScheduleChange(req, { ...schedule, status: SCHEDULE_STATUS.PAUSED }, 'paused', {
+      status: { from: schedule.status, to: SCHEDULE_STATUS.PAUSED },
+      pausedAt: { from: null, to: now },
+    });
+
     res.json({
       success: true,
       message: 'Recurring donation schedule paused successfully',
@@ -470,7 +530,8 @@ router.post('/schedules/:id/pause', checkPermission(PERMISSIONS.STREAM_UPDATE),
 router.post('/schedules/:id/resume', checkPermission(PERMISSIONS.STREAM_UPDATE), streamScheduleIdSchema, payloadSizeLimiter(ENDPOINT_LIMITS.stream), asyncHandler(async (req, res, next) => {
   try {
     const schedule = await Database.get(
-      `SELECT rd.id, rd.status, rd.frequency, donor.publicKey as donorPublicKey
+      `SELECT rd.id, rd.status, rd.frequency, rd.nextExecutionDate, rd.recurrenceRule, rd.recurrenceTimezone,
+              rd.recurrenceStart, donor.publicKey as donorPublicKey
        FROM recurring_donations rd
        JOIN users donor ON rd.donorId = donor.id
        WHERE rd.id = ?`,
@@ -504,20 +565,43 @@ router.post('/schedules/:id/resume', checkPermission(PERMISSIONS.STREAM_UPDATE),
 
     // Recalculate next execution date from now
     const now = new Date();
-    const nextExecutionDate = new Date(now);
+    let nextExecutionDate = new Date(now);
     switch (schedule.frequency) {
       case 'daily':  nextExecutionDate.setDate(nextExecutionDate.getDate() + 1); break;
       case 'weekly': nextExecutionDate.setDate(nextExecutionDate.getDate() + 7); break;
       case 'monthly': nextExecutionDate.setMonth(nextExecutionDate.getMonth() + 1); break;
+      case DONATION_FREQUENCIES.RRULE:
+        nextExecutionDate = recurrenceRule.nextOccurrence(schedule.recurrenceRule, now, {
+          start: schedule.recurrenceStart,
+          timezone: schedule.recurrenceTimezone || 'UTC',
+        });
+        break;
       default: nextExecutionDate.setDate(nextExecutionDate.getDate() + 1);
     }
 
+    if (!nextExecutionDate) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'CONFLICT', message: 'The schedule\'s recurrence rule has no further occurrences' }
+      });
+    }
+
     const resumedAt = now.toISOString();
     await Database.run(
       'UPDATE recurring_donations SET status = ?, resumedAt = ?, nextExecutionDate = ? WHERE id = ?',
       [SCHEDULE_STATUS.ACTIVE, resumedAt, nextExecutionDate.toISOString(), req.params.id]
     );
 
+    await recordScheduleChange(req, {
+      ...schedule,
+      status: SCHEDULE_STATUS.ACTIVE,
+      nextExecutionDate: nextExecutionDate.toISOString(),
+    }, 'resumed', {
+      status: { from: schedule.status, to: SCHEDULE_STATUS.ACTIVE },
+      resumedAt: { from: null, to: resumedAt },
+      nextExecutionDate: { from: schedule.nextExecutionDate || null, to: nextExecutionDate.toISOString() },
+    });
+
     res.json({
       success: true,
       message: 'Recurring donation schedule resumed successfully',
@@ -735,7 +819,7 @@ router.patch('/schedules/:id', checkPermission(PERMISSIONS.STREAM_UPDATE), strea
     }
 
     const schedule = await Database.get(
-      `SELECT rd.id, rd.status, rd.amount, rd.frequency FROM recurring_donations rd WHERE rd.id = ?`,
+      `SELECT rd.id, rd.status, rd.amount, rd.frequency, rd.nextExecutionDate FROM recurring_donations rd WHERE rd.id = ?`,
       [req.params.id]
     );
 
@@ -800,6 +884,14 @@ router.patch('/schedules/:id', checkPermission(PERMISSIONS.STREAM_UPDATE), strea
       [req.params.id]
     );
 
+    const changes = {};
+    if (newAmount !== oldValues.amount) changes.amount = { from: oldValues.amount, to: newAmount };
+    if (newFrequency !== oldValues.frequency) changes.frequency = { from: oldValues.frequency, to: newFrequency };
+    if (nextExecutionDate) {
+      changes.nextExecutionDate = { from: schedule.nextExecutionDate || null, to: nextExecutionDate.toISOString() };
+    }
+    await recordScheduleChange(req, updated || schedule, 'updated', changes);
+
     res.json({
       success: true,
       message: 'Schedule updated successfully',
@@ -932,10 +1024,7 @@ router.delete('/schedules/:id', checkPermission(PERMISSIONS.STREAM_DELETE), stre
 
 // ─── SSE Transaction Feed ────────────────────────────────────────────────────
 
-// Wire donation lifecycle events → SSE broadcast
-donationEvents.on(donationEvents.constructor.EVENTS?.CREATED  || 'donation.created',  tx => SseManager.broadcast('transaction.created',   tx));
-donationEvents.on(donationEvents.constructor.EVENTS?.CONFIRMED || 'donation.confirmed', tx => SseManager.broadcast('transaction.confirmed', tx));
-donationEvents.on(donationEvents.constructor.EVENTS?.FAILED    || 'donation.failed',    tx => SseManager.broadcast('transaction.failed',    tx));
+// Donation events reach the feed through the outbox relay (OutboxService's sse subscriber)
 
 /**
  * GET /stream/feed
@@ -1022,4 +1111,28 @@ router.get('/stats', checkPermission(PERMISSIONS.STREAM_READ), (req, res) => {
   res.json({ success: true, data: SseManager.getStats() });
 });
 
+/**
+ * Record a schedule change in its versioned history and emit the matching
+ * recurring_donation.* webhook event. The schedule update has already been
+ * applied, so a failure here is logged rather than failing the request.
+ *
+ * @param {import('express').Request} req
+ * @param {Object} schedule - Schedule row after the change
+ * @param {string} changeType - paused | resumed | updated
+ * @param {Object} changes - Field → { from, to }
+ * @returns {Promise<void>}
+ */
+async function recordScheduleChange(req, schedule, changeType, changes) {
+  try {
+    const { changedBy } = RecurringScheduleService.requesterFromRequest(req);
+    await RecurringScheduleService.recordChange(Database, schedule, changeType, changes, { changedBy });
+  } catch (err) {
+    log.warn('STREAM_ROUTE', 'Failed to record schedule change', {
+      scheduleId: schedule.id,
+      changeType,
+      error: err.message,
+    });
+  }
+}
+
 module.exports = router;
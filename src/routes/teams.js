@@ -0,0 +1,99 @@
+/**
+ * Team Routes - API Endpoint Layer
+ *
+ * RESPONSIBILITY: Donor-run fundraising teams and their membership
+ * OWNER: Backend Team
+ * DEPENDENCIES: TeamService, donorAuth
+ *
+ * Teams group donors, and the fundraisers run for them, within an
+ * organization (company, school) set up under /admin/organizations.
+ * Donations from members and to the team's fundraisers roll up to the team
+ * and its organization; see GET /leaderboard/teams and /leaderboard/organizations.
+ *
+ *   GET  /teams             — teams (?organization_id)
+ *   POST /teams             — create a team and captain it (SEP-10 donor token)
+ *   GET  /teams/:id         — a team with its member count and totals
+ *   POST /teams/:id/join    — join a team, leaving any other (SEP-10 donor token)
+ *   POST /teams/:id/leave   — leave a team (SEP-10 donor token)
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { requireDonor } = require('../middleware/donorAuth');
+const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError } = require('../utils/errors');
+const TeamService = require('../services/TeamService');
+
+/**
+ * GET /teams
+ * Query params: organization_id — only teams of this organization
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+  try {
+    let organizationId;
+    if (req.query.organization_id !== undefined) {
+      organizationId = Number(req.query.organization_id);
+      if (!Number.isInteger(organizationId) || organizationId < 1) {
+        throw new ValidationError('organization_id must be a positive integer');
+      }
+    }
+    const teams = await TeamService.listTeams({ organizationId });
+    res.json({ success: true, data: teams, count: teams.length });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /teams
+ * Body: { name, description?, organization_id? }
+ */
+router.post('/', requireDonor, payloadSizeLimiter(ENDPOINT_LIMITS.campaign), asyncHandler(async (req, res, next) => {
+  try {
+    const { name, description, organization_id } = req.body || {};
+    const team = await TeamService.createTeam(req.donor.id, { name, description, organization_id });
+    res.status(201).json({ success: true, data: team });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * GET /teams/:id
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await TeamService.getTeam(parseInt(req.params.id, 10)) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /teams/:id/join
+ * Donations already made stay with the team they were rolled up to.
+ */
+router.post('/:id/join', requireDonor, asyncHandler(async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await TeamService.joinTeam(parseInt(req.params.id, 10), req.donor.id) });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+/**
+ * POST /teams/:id/leave
+ */
+router.post('/:id/leave', requireDonor, asyncHandler(async (req, res, next) => {
+  try {
+    await TeamService.leaveTeam(parseInt(req.params.id, 10), req.donor.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}));
+
+module.exports = router;
@@ -2,6 +2,8 @@
  * Webhook Routes
  * POST /webhooks                    - Register a webhook
  * GET  /webhooks                    - List webhooks
+ * GET  /webhooks/events             - Discover the webhook event catalog
+ * GET  /webhooks/events/:type       - Every payload schema version of one event
  * DELETE /webhooks/:id              - Remove a webhook
  * POST /webhooks/:id/rotate-secret  - Rotate the HMAC secret for a webhook
  */
@@ -15,6 +17,7 @@ const asyncHandler = require('../utils/asyncHandler');
 const { payloadSizeLimiter, ENDPOINT_LIMITS } = require('../middleware/payloadSizeLimiter');
 const { parseCursorPaginationQuery } = require('../utils/pagination');
 const { requireAdmin } = require('../middleware/rbac');
+const webhookEvents = require('../config/webhookEvents');
 
 /**
  * Middleware that verifies the X-Webhook-Signature header on incoming webhook payloads.
@@ -67,15 +70,17 @@ function verifyWebhookSignature(getSecret) {
 /**
  * POST /webhooks
  * Register a new webhook endpoint.
- * Body: { url, events: string[], secret? }
+ * Body: { url, events: string[], payloadVersion?: number, secret? }
+ * events accepts catalogued event types, category wildcards (`donation.*`) and `*`.
  */
 router.post('/', requireApiKey, payloadSizeLimiter(ENDPOINT_LIMITS.webhook), asyncHandler(async (req, res, next) => {
   try {
-    const { url, events, tlsSkipVerify } = req.body;
+    const { url, events, payloadVersion, tlsSkipVerify } = req.body;
     // secret is always generated server-side; caller-supplied secrets are ignored
     const webhook = await WebhookService.register({
       url,
       events,
+      payloadVersion,
       tlsSkipVerify: !!tlsSkipVerify,
       apiKeyId: req.apiKeyId || null,
       requestId: req.headers['x-request-id'] || req.id || null,
@@ -108,6 +113,42 @@ router.get('/', requireApiKey, asyncHandler(async (req, res, next) => {
   }
 }));
 
+/**
+ * GET /webhooks/events
+ * List every event type that can be subscribed to, with the payload schema a
+ * subscription pinned to the latest payload version receives.
+ */
+router.get('/events', requireApiKey, (req, res) => {
+  const data = webhookEvents.getEventTypes().map((type) => {
+    const { category, description, versions } = webhookEvents.describeEvent(type);
+    return {
+      type,
+      category,
+      description,
+      versions,
+      schema: webhookEvents.getSchema(type).schema,
+    };
+  });
+  res.json({
+    success: true,
+    data,
+    count: data.length,
+    latestPayloadVersion: webhookEvents.LATEST_PAYLOAD_VERSION,
+  });
+});
+
+/**
+ * GET /webhooks/events/:type
+ * Every payload schema version of one event type.
+ */
+router.get('/events/:type', requireApiKey, (req, res) => {
+  const event = webhookEvents.describeEvent(req.params.type);
+  if (!event) {
+    return res.status(404).json({ success: false, error: { message: `Unknown webhook event type: ${req.params.type}` } });
+  }
+  res.json({ success: true, data: event });
+});
+
 /**
  * DELETE /webhooks/:id
  * Remove a webhook by ID.
@@ -3,12 +3,13 @@
  *
  * RESPONSIBILITY: Admin management of crowdfunding campaigns with milestone payouts.
  * OWNER: Backend Team
- * DEPENDENCIES: Database, log, errors
+ * DEPENDENCIES: Database, CampaignLifecycleService, log, errors
  *
  * Campaigns have a goal, a deadline, and milestone payouts. Funds are released to
  * the recipient when specific milestones are reached. This service handles:
  *   - Listing all campaigns with progress enrichment
- *   - Creating campaigns with inline milestone definitions
+ *   - Creating campaigns with inline milestone definitions (as drafts that go
+ *     through review, see CampaignLifecycleService)
  *   - Updating mutable campaign fields (name, description, deadline, goal)
  *   - Closing campaigns and triggering payouts for reached milestones
  *   - Listing milestones annotated with reached/unreached status
@@ -17,9 +18,14 @@
 'use strict';
 
 const Database = require('../utils/database');
+const CampaignLifecycleService = require('./CampaignLifecycleService');
+const { CAMPAIGN_STATES, normalizeState, storedStatusesFor } = require('../utils/campaignStateMachine');
 const { ValidationError, NotFoundError, ERROR_CODES } = require('../utils/errors');
 const log = require('../utils/log');
 
+/** Stored statuses of campaigns that have ended. */
+const ENDED_STATUSES = Object.freeze([...storedStatusesFor(CAMPAIGN_STATES.CLOSED), CAMPAIGN_STATES.ARCHIVED]);
+
 class AdminCrowdfundingService {
   /**
    * List all campaigns enriched with progress and milestone summary.
@@ -34,10 +40,13 @@ class AdminCrowdfundingService {
     let sql = 'SELECT * FROM campaigns WHERE deleted_at IS NULL';
     const params = [];
 
+    const endedPlaceholders = ENDED_STATUSES.map(() => '?').join(', ');
     if (status === 'active') {
-      sql += " AND status NOT IN ('closed', 'expired', 'released', 'refunded')";
+      sql += ` AND status NOT IN (${endedPlaceholders})`;
+      params.push(...ENDED_STATUSES);
     } else if (status === 'closed') {
-      sql += " AND status IN ('closed', 'expired', 'released', 'refunded')";
+      sql += ` AND status IN (${endedPlaceholders})`;
+      params.push(...ENDED_STATUSES);
     }
 
     sql += ' ORDER BY createdAt DESC LIMIT ? OFFSET ?';
@@ -70,7 +79,8 @@ class AdminCrowdfundingService {
   }
 
   /**
-   * Create a new campaign with optional inline milestones.
+   * Create a new campaign with optional inline milestones. The campaign starts
+   * as a draft and takes donations once it has been reviewed and gone live.
    *
    * @param {object} params
    * @param {string}   params.name
@@ -110,7 +120,7 @@ class AdminCrowdfundingService {
     const result = await Database.run(
       `INSERT INTO campaigns
          (name, description, goal_amount, current_amount, start_date, end_date, created_by, status, funding_model, recipient_public_key)
-       VALUES (?, ?, ?, 0, datetime('now'), ?, ?, 'active', 'keep-what-you-raise', ?)`,
+       VALUES (?, ?, ?, 0, datetime('now'), ?, ?, 'draft', 'keep-what-you-raise', ?)`,
       [
         name.trim(),
         description || null,
@@ -155,8 +165,7 @@ class AdminCrowdfundingService {
       throw new NotFoundError('Campaign not found', ERROR_CODES.NOT_FOUND);
     }
 
-    const CLOSED_STATUSES = ['closed', 'expired', 'released', 'refunded'];
-    if (CLOSED_STATUSES.includes(campaign.status)) {
+    if (ENDED_STATUSES.includes(campaign.status)) {
       throw new ValidationError('Cannot update a closed campaign');
     }
 
@@ -211,9 +220,11 @@ class AdminCrowdfundingService {
    * target_amount has been reached by the campaign's current_amount.
    *
    * Idempotent — calling on an already-closed campaign returns the existing state.
+   * Only live or paused campaigns can be closed.
    *
    * @param {number} id - Campaign ID
    * @returns {Promise<object>} { campaign, milestonesTriggered, payouts }
+   * @throws {ConflictError} INVALID_CAMPAIGN_TRANSITION
    */
   static async closeCampaign(id) {
     const campaign = await Database.get('SELECT * FROM campaigns WHERE id = ? AND deleted_at IS NULL', [id]);
@@ -222,7 +233,7 @@ class AdminCrowdfundingService {
     }
 
     // Idempotent: already closed
-    if (campaign.status === 'closed') {
+    if (normalizeState(campaign.status) === CAMPAIGN_STATES.CLOSED) {
       const _milestones = await Database.query(
         'SELECT * FROM campaign_milestones WHERE campaign_id = ? ORDER BY target_amount ASC',
         [id]
@@ -235,11 +246,8 @@ class AdminCrowdfundingService {
       };
     }
 
-    // Mark campaign as closed
-    await Database.run(
-      "UPDATE campaigns SET status = 'closed', updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
-      [id]
-    );
+    // Close through the lifecycle so the transition is recorded and published
+    await CampaignLifecycleService.updateStatus(id, { status: CAMPAIGN_STATES.CLOSED });
 
     // Trigger payouts for milestones whose target_amount <= current_amount
     const milestones = await Database.query(
@@ -0,0 +1,521 @@
+/**
+ * Anchor Deposit Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Fiat on-ramp donations through SEP-24 anchors: start an
+ *                 interactive deposit, link it to a pending donation and
+ *                 confirm the donation once the anchor's payment lands
+ * OWNER: Backend Team
+ * DEPENDENCIES: Sep24Client, PaymentStreamService, Transaction model, DonationService, ScreeningService,
+ *               KycService, AuditLogService
+ *
+ * startDeposit() asks the anchor for an interactive deposit that pays the
+ * recipient with a generated `dep-` memo, and records a pending donation. The
+ * donation completes when the anchor's /transaction endpoint reports
+ * `completed` with a Stellar transaction ID, using the anchor's amount and
+ * transaction. The anchor is asked when the payment stream delivers a payment
+ * to the recipient carrying that memo (handleIncomingPayment, registered as a
+ * PaymentStreamService handler) and by polling (pollPending, run by
+ * anchorDepositPollWorker). The streamed payment itself confirms nothing, since
+ * anyone can send the recipient a payment with the memo. Anchor statuses that
+ * end without a payment fail the donation.
+ *
+ * The donor and recipient are screened before the anchor is contacted and
+ * again when the payment lands, since the lists may have changed in between.
+ * A blocking match at completion fails the donation instead of counting it.
+ * The anchor pays the recipient directly, so nothing can be held for KYC: a
+ * deposit above the KYC threshold needs the donor's Stellar account
+ * (`donorAccount`) and its customer record must be ACCEPTED.
+ *
+ * Only anchors listed in SEP24_ANCHOR_DOMAINS can be used; the first entry is
+ * the default. The service authenticates to anchors as SERVICE_SECRET_KEY.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Database = require('../utils/database');
+const Transaction = require('../models/transaction');
+const AuditLogService = require('./AuditLogService');
+const ScreeningService = require('./ScreeningService');
+const KycService = require('./KycService');
+const Sep24Client = require('./Sep24Client');
+const log = require('../utils/log');
+const config = require('../config');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const { isLive } = require('../utils/campaignStateMachine');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+const PAYMENT_METHOD = 'sep24';
+const PAYMENT_HANDLER_NAME = 'anchor-deposits';
+const DEPOSIT_MEMO_PREFIX = 'dep-';
+const TERMINAL_STATUSES = ['completed', ...Sep24Client.FAILED_STATUSES];
+
+/**
+ * @returns {string[]} Anchor domains deposits may use, default first
+ */
+function allowedAnchorDomains() {
+  return (process.env.SEP24_ANCHOR_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim())
+    .filter(Boolean);
+}
+
+class AnchorDepositService {
+  /**
+   * @param {Object} stellarService - StellarService or MockStellarService
+   * @param {import('./PaymentStreamService')} paymentStreamService - Shared payment stream
+   */
+  constructor(stellarService, paymentStreamService) {
+    this.stellarService = stellarService;
+    this.paymentStream = paymentStreamService;
+    /** @type {Map<string, Sep24Client>} */
+    this._clients = new Map();
+
+    if (this.paymentStream) {
+      this.paymentStream.setPaymentHandler(
+        PAYMENT_HANDLER_NAME,
+        (publicKey, payment) => this.handleIncomingPayment(publicKey, payment)
+      );
+    }
+  }
+
+  /**
+   * Start an interactive deposit and record the pending donation it funds.
+   *
+   * @param {Object} params
+   * @param {string} params.assetCode - Asset the anchor deposits ("native" for XLM)
+   * @param {number} params.amount - Amount the donor intends to give
+   * @param {string} params.recipient - Recipient's Stellar public key (paid by the anchor)
+   * @param {string} [params.anchorDomain] - Defaults to the first SEP24_ANCHOR_DOMAINS entry
+   * @param {string} [params.donor] - Donor label; the donor need not have a Stellar account
+   * @param {string} [params.donorAccount] - Donor's Stellar account, for the KYC check above the threshold
+   * @param {number} [params.campaignId]
+   * @param {string} [params.lang]
+   * @param {number} [params.apiKeyId]
+   * @param {string} [params.ipAddress] - For the donor's KYC threshold
+   * @param {string} [params.requestId]
+   * @returns {Promise<Object>} The deposit, including the anchor's interactive URL
+   * @throws {ValidationError} INVALID_RECIPIENT | INVALID_DONOR_ACCOUNT | INVALID_AMOUNT | ANCHOR_NOT_ALLOWED | ASSET_NOT_SUPPORTED
+   * @throws {NotFoundError} CAMPAIGN_NOT_FOUND
+   * @throws {BusinessLogicError} CAMPAIGN_NOT_ACTIVE | KYC_REQUIRED
+   * @throws {ForbiddenError} SCREENING_BLOCKED when a party is on a blocking screening list
+   */
+  async startDeposit({
+    assetCode, amount, recipient, anchorDomain, donor, donorAccount = null, campaignId = null, lang, apiKeyId, ipAddress, requestId,
+  }) {
+    if (!assetCode || typeof assetCode !== 'string') {
+      throw new ValidationError('assetCode is required', null, 'MISSING_REQUIRED_FIELD');
+    }
+    if (!this.stellarService.isValidAddress(recipient)) {
+      throw new ValidationError('recipient must be a valid Stellar public key', null, 'INVALID_RECIPIENT');
+    }
+    if (donorAccount && !this.stellarService.isValidAddress(donorAccount)) {
+      throw new ValidationError('donorAccount must be a valid Stellar public key', null, 'INVALID_DONOR_ACCOUNT');
+    }
+    if (!(Number(amount) > 0)) {
+      throw new ValidationError('Amount must be positive', null, 'INVALID_AMOUNT');
+    }
+
+    const domains = allowedAnchorDomains();
+    const domain = anchorDomain || domains[0];
+    if (!domain || !domains.includes(domain)) {
+      throw new ValidationError('anchorDomain is not an allowed anchor', { allowed: domains }, 'ANCHOR_NOT_ALLOWED');
+    }
+
+    if (campaignId !== null && campaignId !== undefined) {
+      const campaign = await Database.get(
+        'SELECT id, status FROM campaigns WHERE id = ? AND deleted_at IS NULL',
+        [campaignId]
+      );
+      if (!campaign) {
+        throw new NotFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+      if (!isLive(campaign.status)) {
+        throw new BusinessLogicError('CAMPAIGN_NOT_ACTIVE', `Campaign is ${campaign.status}`);
+      }
+    }
+
+    // The anchor pays the recipient directly: there is no KYC hold to fall back on
+    await new KycService(this.stellarService).assertVerified({
+      account: donorAccount,
+      amount,
+      assetCode: assetCode === 'native' ? 'XLM' : assetCode,
+      ipAddress,
+    });
+
+    // Sanctions screening before the donor is sent to the anchor; a blocking match throws
+    const screening = await this._screen(donor, recipient, { requestId, amount: String(amount) });
+
+    const id = crypto.randomUUID();
+    const memo = `${DEPOSIT_MEMO_PREFIX}${crypto.randomBytes(5).toString('hex')}`;
+    const requestedAmount = Number(amount).toFixed(7);
+
+    const anchorTx = await this._client(domain).startInteractiveDeposit({
+      assetCode,
+      amount: requestedAmount,
+      account: recipient,
+      memo,
+      memoType: 'text',
+      lang,
+    });
+
+    const donation = Transaction.create({
+      amount: Number(amount),
+      donor: donor || 'Anonymous',
+      recipient,
+      memo,
+      memoType: 'text',
+      apiKeyId: apiKeyId || null,
+      status: TRANSACTION_STATES.PENDING,
+      paymentMethod: PAYMENT_METHOD,
+      anchorDepositId: id,
+      anchorDomain: domain,
+      campaign_id: campaignId,
+      screeningFlagged: screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+    });
+
+    await Database.run(
+      `INSERT INTO anchor_deposits
+         (id, donationId, anchorDomain, anchorTransactionId, assetCode, account, memo, amount, status, interactiveUrl, campaignId, apiKeyId)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'incomplete', ?, ?, ?)`,
+      [id, donation.id, domain, anchorTx.id, assetCode, recipient, memo, requestedAmount, anchorTx.url, campaignId, apiKeyId || null]
+    );
+
+    this._watch(recipient);
+
+    log.info('ANCHOR_DEPOSIT', 'Interactive deposit started', {
+      requestId,
+      depositId: id,
+      donationId: donation.id,
+      anchorDomain: domain,
+    });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'ANCHOR_DEPOSIT_STARTED',
+      severity: AuditLogService.SEVERITY.LOW,
+      result: 'SUCCESS',
+      requestId,
+      resource: `/anchor-deposits/${id}`,
+      details: { depositId: id, donationId: donation.id, anchorDomain: domain, assetCode, amount: requestedAmount, campaignId },
+    }).catch(() => {});
+
+    return this.getById(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} ANCHOR_DEPOSIT_NOT_FOUND
+   */
+  async getById(id) {
+    return this._serialize(await this._getRow(id));
+  }
+
+  /**
+   * Fetch the deposit's status from the anchor and apply it.
+   * @param {string} id
+   * @returns {Promise<Object>} The updated deposit
+   */
+  async refreshDeposit(id) {
+    const row = await this._getRow(id);
+    if (TERMINAL_STATUSES.includes(row.status)) {
+      return this._serialize(row);
+    }
+
+    const anchorTx = await this._client(row.anchorDomain).getTransaction(row.anchorTransactionId);
+    await Database.run(
+      `UPDATE anchor_deposits
+          SET status = ?, amountIn = ?, amountOut = ?, amountFee = ?,
+              stellarTransactionId = COALESCE(?, stellarTransactionId), message = ?,
+              updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [
+        anchorTx.status === 'completed' ? row.status : anchorTx.status,
+        anchorTx.amount_in || null,
+        anchorTx.amount_out || null,
+        anchorTx.amount_fee || null,
+        anchorTx.stellar_transaction_id || null,
+        anchorTx.message || null,
+        id,
+      ]
+    );
+
+    if (anchorTx.status === 'completed' && anchorTx.stellar_transaction_id) {
+      await this._complete(row, { stellarTxId: anchorTx.stellar_transaction_id, amount: anchorTx.amount_out });
+    } else if (Sep24Client.FAILED_STATUSES.includes(anchorTx.status)) {
+      this._fail(row, anchorTx.status);
+    }
+
+    return this.getById(id);
+  }
+
+  /**
+   * Refresh every deposit the anchor has not finished, and make sure their
+   * recipients are on the payment stream (streams do not survive restarts).
+   * @returns {Promise<{ checked: number, completed: number, failed: number }>}
+   */
+  async pollPending() {
+    const placeholders = TERMINAL_STATUSES.map(() => '?').join(', ');
+    const rows = await Database.all(
+      `SELECT id, account FROM anchor_deposits WHERE status NOT IN (${placeholders}) ORDER BY createdAt`,
+      TERMINAL_STATUSES
+    );
+
+    const summary = { checked: 0, completed: 0, failed: 0 };
+    for (const row of rows) {
+      this._watch(row.account);
+      try {
+        const deposit = await this.refreshDeposit(row.id);
+        summary.checked += 1;
+        if (deposit.status === 'completed') summary.completed += 1;
+        if (Sep24Client.FAILED_STATUSES.includes(deposit.status)) summary.failed += 1;
+      } catch (err) {
+        log.warn('ANCHOR_DEPOSIT', 'Failed to refresh deposit', { depositId: row.id, error: err.message });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * PaymentStreamService handler: when a payment carrying a deposit's memo
+   * reaches the recipient, ask the anchor whether the deposit has completed.
+   *
+   * @param {string} publicKey - Monitored account
+   * @param {Object} payment - Stream record (memo, destination)
+   * @returns {Promise<boolean>} true when the payment belonged to a deposit
+   */
+  async handleIncomingPayment(publicKey, payment) {
+    const memo = payment && payment.memo;
+    if (typeof memo !== 'string' || !memo.startsWith(DEPOSIT_MEMO_PREFIX)) return false;
+    if (payment.destination && payment.destination !== publicKey) return false;
+
+    const row = await Database.get('SELECT id FROM anchor_deposits WHERE memo = ? AND account = ?', [memo, publicKey]);
+    if (!row) return false;
+
+    await this.refreshDeposit(row.id);
+    return true;
+  }
+
+  /**
+   * Confirm the deposit's donation with the transaction and amount the anchor
+   * reported. Safe to call from both the stream and polling: the donation is
+   * only confirmed while it is still pending.
+   * @private
+   */
+  async _complete(row, { stellarTxId, amount }) {
+    const donation = Transaction.getById(row.donationId);
+    if (!donation || donation.status !== TRANSACTION_STATES.PENDING) return;
+
+    const settledAmount = amount !== undefined && amount !== null ? Number(amount) : Number(row.amountOut || row.amount);
+
+    let screening;
+    try {
+      screening = await this._screen(donation.donor, row.account, { depositId: row.id, stellarTxId, amount: String(settledAmount) });
+    } catch (err) {
+      if (err.errorCode !== 'SCREENING_BLOCKED') throw err;
+      screening = null;
+    }
+    // The stream and the poller may both have reached this point
+    if (Transaction.getById(donation.id).status !== TRANSACTION_STATES.PENDING) return;
+    if (!screening) {
+      await this._block(row, donation, stellarTxId);
+      return;
+    }
+
+    Transaction.updateStatus(donation.id, TRANSACTION_STATES.CONFIRMED, {
+      transactionId: stellarTxId,
+      amount: settledAmount,
+      confirmedAt: new Date().toISOString(),
+      screeningFlagged: Boolean(donation.screeningFlagged) || screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+    }, {
+      outboxEvents: ['donation.created', 'donation.confirmed'],
+    });
+    await Transaction.persisted(donation.id);
+
+    await Database.run(
+      `UPDATE anchor_deposits
+          SET status = 'completed', stellarTransactionId = ?, amountOut = COALESCE(amountOut, ?),
+              completedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [stellarTxId, settledAmount.toFixed(7), row.id]
+    );
+
+    // Campaign goals and quadratic funding rounds are tracked in XLM
+    if (['native', 'XLM'].includes(row.assetCode)) {
+      const DonationService = require('./DonationService');
+      const donationService = new DonationService(this.stellarService);
+      if (row.campaignId) {
+        await donationService
+          .processCampaignContribution(row.campaignId, settledAmount)
+          .catch((err) => {
+            log.error('ANCHOR_DEPOSIT', 'Failed to update campaign contribution', { error: err.message });
+          });
+      }
+      await donationService.recordQuadraticContribution({
+        id: donation.id,
+        donor: donation.donor,
+        recipient: donation.recipient,
+        amount: settledAmount,
+        stellarTxId,
+        createdAt: donation.timestamp,
+      });
+    }
+
+    log.info('ANCHOR_DEPOSIT', 'Deposit completed', { depositId: row.id, donationId: donation.id, stellarTxId });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'ANCHOR_DEPOSIT_COMPLETED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      resource: `/anchor-deposits/${row.id}`,
+      details: {
+        depositId: row.id,
+        donationId: donation.id,
+        anchorDomain: row.anchorDomain,
+        amount: settledAmount,
+        recipient: row.account,
+        stellarTxId,
+      },
+    }).catch(() => {});
+  }
+
+  /**
+   * Screen a deposit's donor (when it is a Stellar account) and recipient.
+   * @private
+   * @returns {Promise<Object>} ScreeningService result
+   * @throws {ForbiddenError} SCREENING_BLOCKED
+   */
+  _screen(donor, recipient, context) {
+    return ScreeningService.screenDonation([
+      donor && this.stellarService.isValidAddress(donor) ? { role: 'donor', address: donor } : null,
+      { role: 'recipient', address: recipient },
+    ], { stellarService: this.stellarService, context });
+  }
+
+  /**
+   * Fail the donation of a deposit whose payment landed after a party was
+   * blocked. The payment itself cannot be undone, so it is recorded on the
+   * deposit for compliance to follow up.
+   * @private
+   */
+  async _block(row, donation, stellarTxId) {
+    Transaction.updateStatus(donation.id, TRANSACTION_STATES.FAILED, { failureReason: 'screening_blocked' });
+    await Database.run(
+      `UPDATE anchor_deposits
+          SET status = 'completed', stellarTransactionId = ?, completedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [stellarTxId, row.id]
+    );
+
+    log.warn('ANCHOR_DEPOSIT', 'Deposit payment blocked by screening', { depositId: row.id, donationId: donation.id, stellarTxId });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'ANCHOR_DEPOSIT_BLOCKED',
+      severity: AuditLogService.SEVERITY.HIGH,
+      result: 'FAILURE',
+      resource: `/anchor-deposits/${row.id}`,
+      details: { depositId: row.id, donationId: donation.id, recipient: row.account, stellarTxId },
+    }).catch(() => {});
+  }
+
+  /**
+   * @private
+   * @param {Object} row
+   * @param {string} anchorStatus - One of Sep24Client.FAILED_STATUSES
+   */
+  _fail(row, anchorStatus) {
+    const donation = Transaction.getById(row.donationId);
+    if (!donation || donation.status !== TRANSACTION_STATES.PENDING) return;
+
+    Transaction.updateStatus(donation.id, TRANSACTION_STATES.FAILED, { failureReason: `anchor_${anchorStatus}` });
+    log.warn('ANCHOR_DEPOSIT', 'Deposit ended without payment', { depositId: row.id, anchorStatus });
+  }
+
+  /**
+   * Subscribe the recipient to the payment stream unless already watched. A
+   * failed subscription is not fatal: polling still completes the deposit.
+   * @private
+   * @param {string} account
+   */
+  _watch(account) {
+    if (!this.paymentStream || this.paymentStream.getActiveStreams().includes(account)) return;
+    try {
+      this.paymentStream.subscribe(account);
+    } catch (err) {
+      log.warn('ANCHOR_DEPOSIT', 'Could not stream payments for deposit account', { account, error: err.message });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} domain
+   * @returns {Sep24Client}
+   */
+  _client(domain) {
+    if (!this._clients.has(domain)) {
+      const clientSecret = process.env.SERVICE_SECRET_KEY;
+      if (!clientSecret) {
+        throw new AppError(ERROR_CODES.SERVICE_UNAVAILABLE, 'Anchor deposits require SERVICE_SECRET_KEY', 503);
+      }
+      this._clients.set(domain, new Sep24Client({
+        homeDomain: domain,
+        clientSecret,
+        networkPassphrase: this.stellarService.networkPassphrase || config.stellar.environment.networkPassphrase,
+        allowHttp: process.env.SEP24_ALLOW_HTTP === 'true',
+        timeoutMs: parseInt(process.env.SEP24_TIMEOUT_MS || '10000', 10),
+      }));
+    }
+    return this._clients.get(domain);
+  }
+
+  /** @private */
+  async _getRow(id) {
+    const row = await Database.get('SELECT * FROM anchor_deposits WHERE id = ?', [id]);
+    if (!row) {
+      throw new NotFoundError('Anchor deposit not found', 'ANCHOR_DEPOSIT_NOT_FOUND');
+    }
+    return row;
+  }
+
+  /**
+   * @private
+   * @param {Object} row - anchor_deposits row
+   * @returns {Object}
+   */
+  _serialize(row) {
+    const donation = Transaction.getById(row.donationId);
+    return {
+      id: row.id,
+      donationId: row.donationId,
+      donationStatus: donation ? donation.status : null,
+      anchorDomain: row.anchorDomain,
+      anchorTransactionId: row.anchorTransactionId,
+      assetCode: row.assetCode,
+      recipient: row.account,
+      memo: row.memo,
+      amount: row.amount,
+      amountIn: row.amountIn,
+      amountOut: row.amountOut,
+      amountFee: row.amountFee,
+      status: row.status,
+      interactiveUrl: row.interactiveUrl,
+      stellarTransactionId: row.stellarTransactionId,
+      message: row.message,
+      campaignId: row.campaignId,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      completedAt: row.completedAt,
+    };
+  }
+}
+
+module.exports = AnchorDepositService;
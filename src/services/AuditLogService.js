@@ -83,6 +83,8 @@ const AUDIT_ACTION = {
   CONFIG_LOADED: 'CONFIG_LOADED',
   DEBUG_MODE_ENABLED: 'DEBUG_MODE_ENABLED',
   NETWORK_CHANGED: 'NETWORK_CHANGED',
+  GRAPHQL_PERSISTED_QUERY_REGISTERED: 'GRAPHQL_PERSISTED_QUERY_REGISTERED',
+  GRAPHQL_PERSISTED_QUERY_REMOVED: 'GRAPHQL_PERSISTED_QUERY_REMOVED',
   
   // Rate Limiting & Abuse
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
@@ -0,0 +1,383 @@
+/**
+ * Campaign Lifecycle Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Move campaigns through review, launch, pause, close and archive
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, AuditLogService, OutboxService, campaignStateMachine (payment_requests for expiry)
+ *
+ * New campaigns start as drafts. A draft is submitted for review; a reviewer
+ * approves it or sends it back to draft with a comment asking for changes.
+ * The campaign lifecycle worker calls runScheduledTransitions(): approved
+ * campaigns go live at their start date and live or paused campaigns close at
+ * their end date. Admins can also launch, pause, resume, close and archive
+ * campaigns directly.
+ *
+ * Every transition is recorded in campaign_transitions, audited, and
+ * published as a campaign.status_changed webhook through the outbox. Closing
+ * or archiving a campaign expires its open SEP-7 payment requests, so wallets
+ * cannot pay into it with a request made while it was live. A pause leaves
+ * them open; callbacks are refused until the campaign is live again.
+ */
+
+'use strict';
+
+const Database = require('../utils/database');
+const AuditLogService = require('./AuditLogService');
+const OutboxService = require('./OutboxService');
+const log = require('../utils/log');
+const {
+  CAMPAIGN_STATES,
+  normalizeState,
+  storedStatusesFor,
+  assertValidState,
+  assertValidTransition,
+  assertAcceptsDonations,
+} = require('../utils/campaignStateMachine');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+/** Review outcomes and the state each one moves a submitted campaign to. */
+const REVIEW_DECISIONS = Object.freeze({
+  approve: CAMPAIGN_STATES.APPROVED,
+  request_changes: CAMPAIGN_STATES.DRAFT,
+});
+
+/** States an admin may move a campaign into with updateStatus(); review has its own calls. */
+const ADMIN_TARGET_STATES = Object.freeze([
+  CAMPAIGN_STATES.LIVE,
+  CAMPAIGN_STATES.PAUSED,
+  CAMPAIGN_STATES.CLOSED,
+  CAMPAIGN_STATES.ARCHIVED,
+]);
+
+/** Column stamped when a campaign enters each state. */
+const STATE_TIMESTAMP_COLUMNS = Object.freeze({
+  [CAMPAIGN_STATES.SUBMITTED]: 'submitted_at',
+  [CAMPAIGN_STATES.APPROVED]: 'approved_at',
+  [CAMPAIGN_STATES.LIVE]: 'launched_at',
+  [CAMPAIGN_STATES.CLOSED]: 'closed_at',
+  [CAMPAIGN_STATES.ARCHIVED]: 'archived_at',
+});
+
+/** Longest reviewer or admin comment kept with a transition. */
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Record a campaign audit entry. Audit failures never affect the campaign.
+ * @param {string} action
+ * @param {Object} details
+ * @param {Object} [context]
+ */
+function audit(action, details, { requestId, ipAddress } = {}) {
+  AuditLogService.log({
+    category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+    action,
+    severity: AuditLogService.SEVERITY.MEDIUM,
+    result: 'SUCCESS',
+    requestId,
+    ipAddress,
+    resource: `/campaigns/${details.campaignId}`,
+    details,
+  }).catch(() => {});
+}
+
+/**
+ * @param {*} comment
+ * @param {boolean} required
+ * @returns {string|null}
+ * @throws {ValidationError}
+ */
+function validateComment(comment, required) {
+  if (comment === undefined || comment === null || (typeof comment === 'string' && !comment.trim())) {
+    if (required) {
+      throw new ValidationError('comment is required when requesting changes', null, 'COMMENT_REQUIRED');
+    }
+    return null;
+  }
+  if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+    throw new ValidationError(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`, null, 'INVALID_COMMENT');
+  }
+  return comment.trim();
+}
+
+class CampaignLifecycleService {
+  /**
+   * Submit a draft campaign for review.
+   *
+   * @param {number|string} id
+   * @param {Object} [options]
+   * @param {string} [options.comment] - Note for the reviewer
+   * @param {string} [options.actor]
+   * @param {string} [options.requestId]
+   * @param {string} [options.ipAddress]
+   * @returns {Promise<Object>} The updated campaign
+   * @throws {NotFoundError|ConflictError}
+   */
+  static async submit(id, { comment, actor = 'admin', requestId, ipAddress } = {}) {
+    const note = validateComment(comment, false);
+    const campaign = await this.getById(id);
+    return this._transition(campaign, CAMPAIGN_STATES.SUBMITTED, { actor, comment: note, requestId, ipAddress });
+  }
+
+  /**
+   * Review a submitted campaign: approve it, or send it back to draft with a
+   * comment describing the changes needed.
+   *
+   * @param {number|string} id
+   * @param {Object} params
+   * @param {string} params.decision - approve | request_changes
+   * @param {string} [params.comment] - Required for request_changes
+   * @param {string} [params.actor] - The reviewer
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} The updated campaign
+   * @throws {ValidationError|NotFoundError|ConflictError}
+   */
+  static async review(id, { decision, comment, actor = 'admin', requestId, ipAddress } = {}) {
+    const target = REVIEW_DECISIONS[decision];
+    if (!target) {
+      throw new ValidationError(
+        `decision must be one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}`,
+        null,
+        'INVALID_DECISION'
+      );
+    }
+    const note = validateComment(comment, decision === 'request_changes');
+
+    const campaign = await this.getById(id);
+    return this._transition(campaign, target, { actor, comment: note, requestId, ipAddress });
+  }
+
+  /**
+   * Launch, pause, resume, close or archive a campaign.
+   *
+   * @param {number|string} id
+   * @param {Object} params
+   * @param {string} params.status - live | paused | closed | archived (legacy names accepted)
+   * @param {string} [params.comment]
+   * @param {string} [params.actor]
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} The updated campaign
+   * @throws {ValidationError|NotFoundError|ConflictError}
+   */
+  static async updateStatus(id, { status, comment, actor = 'admin', requestId, ipAddress } = {}) {
+    if (!status || typeof status !== 'string') {
+      throw new ValidationError(`Status must be one of: ${ADMIN_TARGET_STATES.join(', ')}`, null, 'INVALID_STATUS');
+    }
+    const target = normalizeState(status);
+    assertValidState(target);
+    if (!ADMIN_TARGET_STATES.includes(target)) {
+      throw new ValidationError(
+        `Campaigns are moved to ${target} through submission and review; status must be one of: ${ADMIN_TARGET_STATES.join(', ')}`,
+        null,
+        'INVALID_STATUS'
+      );
+    }
+    const note = validateComment(comment, false);
+
+    const campaign = await this.getById(id);
+    return this._transition(campaign, target, { actor, comment: note, requestId, ipAddress });
+  }
+
+  /**
+   * Apply scheduled transitions that are due: approved campaigns whose start
+   * date has come (or that have none) go live, and live or paused campaigns
+   * past their end date close.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<{ launched: number, closed: number }>}
+   */
+  static async runScheduledTransitions(now = new Date()) {
+    const at = now.toISOString();
+    const running = [...storedStatusesFor(CAMPAIGN_STATES.LIVE), CAMPAIGN_STATES.PAUSED];
+
+    const toLaunch = await Database.all(
+      `SELECT * FROM campaigns
+       WHERE deleted_at IS NULL AND status = ?
+         AND (start_date IS NULL OR datetime(start_date) <= datetime(?))
+         AND (end_date IS NULL OR datetime(end_date) > datetime(?))
+       ORDER BY id ASC`,
+      [CAMPAIGN_STATES.APPROVED, at, at]
+    );
+    const toClose = await Database.all(
+      `SELECT * FROM campaigns
+       WHERE deleted_at IS NULL AND status IN (${running.map(() => '?').join(', ')})
+         AND end_date IS NOT NULL AND datetime(end_date) <= datetime(?)
+       ORDER BY id ASC`,
+      [...running, at]
+    );
+
+    let launched = 0;
+    let closed = 0;
+    for (const [campaigns, target, comment] of [
+      [toLaunch, CAMPAIGN_STATES.LIVE, 'Start date reached'],
+      [toClose, CAMPAIGN_STATES.CLOSED, 'End date reached'],
+    ]) {
+      for (const campaign of campaigns || []) {
+        try {
+          await this._transition(campaign, target, { actor: 'system', comment, now });
+          if (target === CAMPAIGN_STATES.LIVE) launched += 1;
+          else closed += 1;
+        } catch (err) {
+          log.error('CAMPAIGN_LIFECYCLE', 'Scheduled campaign transition failed', {
+            campaignId: campaign.id,
+            target,
+            error: err.message,
+          });
+        }
+      }
+    }
+    return { launched, closed };
+  }
+
+  /**
+   * Close a live campaign whose donations reached its goal.
+   * @param {Object} campaign - Current row
+   * @returns {Promise<Object>} The updated campaign
+   * @throws {ConflictError}
+   */
+  static async closeOnGoalReached(campaign) {
+    return this._transition(campaign, CAMPAIGN_STATES.CLOSED, { actor: 'system', comment: 'Goal reached' });
+  }
+
+  /**
+   * Reject a donation to a campaign that is not live. Unknown campaign ids are
+   * left to the caller.
+   *
+   * @param {number|string|null} campaignId
+   * @returns {Promise<void>}
+   * @throws {BusinessLogicError} CAMPAIGN_NOT_ACTIVE
+   */
+  static async assertAcceptsDonations(campaignId) {
+    if (campaignId === undefined || campaignId === null || campaignId === '') return;
+    const campaign = await Database.get(
+      'SELECT id, status FROM campaigns WHERE id = ? AND deleted_at IS NULL',
+      [campaignId]
+    );
+    if (campaign) {
+      assertAcceptsDonations(campaign);
+    }
+  }
+
+  /**
+   * A campaign's transitions, oldest first, with reviewer comments.
+   * @param {number|string} id
+   * @returns {Promise<Object[]>}
+   * @throws {NotFoundError}
+   */
+  static async listTransitions(id) {
+    await this.getById(id);
+    return Database.all(
+      `SELECT from_status, to_status, actor, comment, created_at
+       FROM campaign_transitions WHERE campaign_id = ? ORDER BY id ASC`,
+      [id]
+    );
+  }
+
+  /**
+   * @param {number|string} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} CAMPAIGN_NOT_FOUND
+   */
+  static async getById(id) {
+    const campaign = await Database.get('SELECT * FROM campaigns WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!campaign) {
+      throw new NotFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+    }
+    return campaign;
+  }
+
+  /**
+   * Move a campaign to a new state, log the transition, publish the webhook
+   * and audit it. Closing or archiving expires the campaign's open payment
+   * requests; pausing does not, so they work again once it resumes.
+   * The update is conditional on the status read, so of two concurrent
+   * transitions only the first applies.
+   *
+   * @private
+   * @param {Object} campaign - Current row
+   * @param {string} toStatus
+   * @param {Object} options
+   * @param {string} options.actor
+   * @param {string|null} [options.comment]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} The updated campaign
+   * @throws {ConflictError} INVALID_CAMPAIGN_TRANSITION, or CAMPAIGN_STATUS_CHANGED when
+   *   the campaign changed state since it was read
+   */
+  static async _transition(campaign, toStatus, { actor, comment = null, now = new Date(), requestId, ipAddress }) {
+    const id = campaign.id;
+    const fromStatus = normalizeState(campaign.status);
+    assertValidTransition(fromStatus, toStatus);
+
+    const timestamp = now.toISOString();
+    const sets = ['status = ?', 'updatedAt = ?'];
+    const params = [toStatus, timestamp];
+    const stampColumn = STATE_TIMESTAMP_COLUMNS[toStatus];
+    if (stampColumn === 'launched_at') {
+      // Resuming a paused campaign keeps its original launch time
+      sets.push('launched_at = COALESCE(launched_at, ?)');
+      params.push(timestamp);
+    } else if (stampColumn) {
+      sets.push(`${stampColumn} = ?`);
+      params.push(timestamp);
+    }
+
+    const updated = await Database.runTransaction(async (tx) => {
+      const result = await tx.run(
+        `UPDATE campaigns SET ${sets.join(', ')} WHERE id = ? AND status IS ?`,
+        [...params, id, campaign.status]
+      );
+      if (!result || result.changes === 0) {
+        return null;
+      }
+
+      await tx.run(
+        `INSERT INTO campaign_transitions (campaign_id, from_status, to_status, actor, comment, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, fromStatus, toStatus, actor, comment, timestamp]
+      );
+      if (toStatus === CAMPAIGN_STATES.CLOSED || toStatus === CAMPAIGN_STATES.ARCHIVED) {
+        await tx.run(
+          "UPDATE payment_requests SET status = 'expired', updatedAt = CURRENT_TIMESTAMP WHERE campaignId = ? AND status = 'open'",
+          [id]
+        );
+      }
+      await OutboxService.enqueue(tx, {
+        eventType: 'campaign.status_changed',
+        aggregateType: 'campaign',
+        aggregateId: id,
+        payload: {
+          campaign_id: id,
+          name: campaign.name,
+          from_status: fromStatus,
+          to_status: toStatus,
+          actor,
+          comment,
+          timestamp,
+        },
+      });
+      return tx.get('SELECT * FROM campaigns WHERE id = ?', [id]);
+    });
+
+    if (!updated) {
+      throw new ConflictError('The campaign changed status while being updated; reload it and retry', 'CAMPAIGN_STATUS_CHANGED');
+    }
+
+    audit('CAMPAIGN_STATUS_CHANGED', {
+      campaignId: id,
+      previousStatus: fromStatus,
+      newStatus: toStatus,
+      actor,
+      comment,
+    }, { requestId, ipAddress });
+    log.info('CAMPAIGN_LIFECYCLE', `Campaign ${id} moved from ${fromStatus} to ${toStatus}`, { actor });
+
+    return updated;
+  }
+}
+
+module.exports = CampaignLifecycleService;
+module.exports.REVIEW_DECISIONS = REVIEW_DECISIONS;
+module.exports.ADMIN_TARGET_STATES = ADMIN_TARGET_STATES;
+module.exports.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
@@ -11,6 +11,7 @@
 
 const Database = require('../utils/database');
 const log = require('../utils/log');
+const { isLive } = require('../utils/campaignStateMachine');
 
 /**
  * Lazily resolve the Stellar service so this module can be required in test
@@ -61,7 +62,7 @@ async function pledge(campaignId, donorId, amount, options = {}) {
   if (campaign.funding_model !== 'all-or-nothing') {
     throw Object.assign(new Error('Campaign is not all-or-nothing'), { status: 400 });
   }
-  if (campaign.status !== 'active') {
+  if (!isLive(campaign.status)) {
     throw Object.assign(new Error('Campaign is not accepting pledges'), { status: 400 });
   }
   if (campaign.end_date && new Date(campaign.end_date) < new Date()) {
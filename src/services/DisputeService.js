@@ -0,0 +1,826 @@
+/**
+ * Dispute Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Open, move through the dispute lifecycle, collect evidence for,
+ *                 resolve and query donation disputes
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, AuditLogService, OutboxService, DonationService, QuadraticFundingService,
+ *               disputeStateMachine
+ *
+ * Shared by the REST dispute routes and the GraphQL schema so both surfaces
+ * apply the same recipient check, dispute window and status rules.
+ *
+ * Every state has an SLA deadline (DISPUTE_SLA_*_HOURS). The dispute SLA
+ * worker calls enforceSlas(): a donor who misses the response deadline loses
+ * the chance to respond and the dispute moves on to review; an overdue open
+ * or under-review dispute is flagged as breached for admins. Resolving with a
+ * refund or partial refund sends the money back through
+ * DonationService.refundDonation before the dispute is closed.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Database = require('../utils/database');
+const AuditLogService = require('./AuditLogService');
+const OutboxService = require('./OutboxService');
+const QuadraticFundingService = require('./QuadraticFundingService');
+const log = require('../utils/log');
+const {
+  DISPUTE_STATES,
+  REFUND_STATES,
+  normalizeState,
+  isTerminal,
+  assertValidState,
+  assertValidTransition,
+} = require('../utils/disputeStateMachine');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS || '30', 10);
+
+/** Hours a dispute may stay in each state before its SLA is breached. */
+const DISPUTE_SLA_HOURS = Object.freeze({
+  [DISPUTE_STATES.OPEN]: parseInt(process.env.DISPUTE_SLA_OPEN_HOURS || '48', 10),
+  [DISPUTE_STATES.AWAITING_DONOR_RESPONSE]: parseInt(process.env.DISPUTE_SLA_DONOR_RESPONSE_HOURS || '72', 10),
+  [DISPUTE_STATES.UNDER_REVIEW]: parseInt(process.env.DISPUTE_SLA_REVIEW_HOURS || '120', 10),
+});
+
+/** Maximum length of free-text evidence attached when opening a dispute. */
+const MAX_EVIDENCE_LENGTH = 1000;
+
+/**
+ * Limits on evidence items. Files travel base64-encoded in a JSON body, so
+ * they must stay below the 100 KB request limit.
+ */
+const MAX_EVIDENCE_TEXT_LENGTH = 5000;
+const MAX_EVIDENCE_FILE_BYTES = 64 * 1024;
+const MAX_EVIDENCE_ITEMS_PER_REQUEST = 10;
+const MAX_EVIDENCE_ITEMS_PER_DISPUTE = 50;
+const EVIDENCE_KINDS = Object.freeze(['text', 'url', 'file']);
+
+/** Longest donor response accepted. */
+const MAX_RESPONSE_LENGTH = 5000;
+
+/** Statuses an admin may move a dispute into (legacy resolved_no_action is still accepted). */
+const DISPUTE_STATUSES = Object.freeze(Object.values(DISPUTE_STATES));
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+let _donationService = null;
+
+/**
+ * DonationService instance used for dispute refunds, created on first use.
+ * @returns {import('./DonationService')}
+ */
+function donationService() {
+  if (!_donationService) {
+    const DonationService = require('./DonationService');
+    const { getStellarService } = require('../config/stellar');
+    _donationService = new DonationService(getStellarService());
+  }
+  return _donationService;
+}
+
+/**
+ * SLA deadline for a dispute entering a state at `now`; null for terminal states.
+ * @param {string} state
+ * @param {Date} now
+ * @returns {string|null}
+ */
+function slaDeadlineFor(state, now) {
+  const hours = DISPUTE_SLA_HOURS[state];
+  return hours ? new Date(now.getTime() + hours * MS_PER_HOUR).toISOString() : null;
+}
+
+/**
+ * Record a dispute audit entry. Audit failures never affect the dispute.
+ * @param {string} action
+ * @param {Object} details
+ * @param {Object} [context]
+ */
+function audit(action, details, { requestId, ipAddress, resource, severity } = {}) {
+  AuditLogService.log({
+    category: AuditLogService.CATEGORY.DONATION || AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+    action,
+    severity: severity || AuditLogService.SEVERITY.MEDIUM,
+    result: 'SUCCESS',
+    requestId,
+    ipAddress,
+    resource: resource || `/admin/disputes/${details.disputeId}`,
+    details,
+  }).catch(() => {});
+}
+
+/**
+ * Validate evidence items and compute their content hashes.
+ *
+ * Each item is { kind: 'text'|'url'|'file', content, description?, mimeType?, contentHash? }.
+ * File content is base64. contentHash is the SHA-256 (hex) of the text, the
+ * URL, or the decoded file bytes; when the caller supplies one it must match.
+ *
+ * @param {Object[]} items
+ * @returns {Object[]} Rows ready to insert
+ * @throws {ValidationError}
+ */
+function prepareEvidence(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('evidence must be a non-empty array', null, 'INVALID_EVIDENCE');
+  }
+  if (items.length > MAX_EVIDENCE_ITEMS_PER_REQUEST) {
+    throw new ValidationError(
+      `At most ${MAX_EVIDENCE_ITEMS_PER_REQUEST} evidence items can be added at once`,
+      null,
+      'TOO_MANY_EVIDENCE_ITEMS'
+    );
+  }
+
+  return items.map((item, index) => {
+    const where = `evidence[${index}]`;
+    if (!item || typeof item !== 'object') {
+      throw new ValidationError(`${where} must be an object`, null, 'INVALID_EVIDENCE');
+    }
+    const { kind = 'text', content, description = null, mimeType = null, contentHash } = item;
+    if (!EVIDENCE_KINDS.includes(kind)) {
+      throw new ValidationError(`${where}.kind must be one of: ${EVIDENCE_KINDS.join(', ')}`, null, 'INVALID_EVIDENCE');
+    }
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new ValidationError(`${where}.content is required`, null, 'INVALID_EVIDENCE');
+    }
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_EVIDENCE_LENGTH)) {
+      throw new ValidationError(
+        `${where}.description must be a string of at most ${MAX_EVIDENCE_LENGTH} characters`,
+        null,
+        'INVALID_EVIDENCE'
+      );
+    }
+
+    let bytes;
+    if (kind === 'text') {
+      if (content.length > MAX_EVIDENCE_TEXT_LENGTH) {
+        throw new ValidationError(
+          `${where}.content must not exceed ${MAX_EVIDENCE_TEXT_LENGTH} characters`,
+          null,
+          'EVIDENCE_TOO_LONG'
+        );
+      }
+      bytes = Buffer.from(content, 'utf8');
+    } else if (kind === 'url') {
+      let url;
+      try {
+        url = new URL(content);
+      } catch (_) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new ValidationError(`${where}.content must be an http(s) URL`, null, 'INVALID_EVIDENCE');
+      }
+      bytes = Buffer.from(content, 'utf8');
+    } else {
+      if (!mimeType || typeof mimeType !== 'string') {
+        throw new ValidationError(`${where}.mimeType is required for file evidence`, null, 'INVALID_EVIDENCE');
+      }
+      if (!/^[A-Za-z0-9+/]+={0,2}$/.test(content)) {
+        throw new ValidationError(`${where}.content must be base64-encoded`, null, 'INVALID_EVIDENCE');
+      }
+      bytes = Buffer.from(content, 'base64');
+      if (bytes.length > MAX_EVIDENCE_FILE_BYTES) {
+        throw new ValidationError(
+          `${where} exceeds the ${MAX_EVIDENCE_FILE_BYTES} byte file limit`,
+          null,
+          'EVIDENCE_TOO_LARGE'
+        );
+      }
+    }
+
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+    if (contentHash !== undefined && contentHash !== null && String(contentHash).toLowerCase() !== hash) {
+      throw new ValidationError(`${where}.contentHash does not match the content`, { expected: hash }, 'EVIDENCE_HASH_MISMATCH');
+    }
+
+    return {
+      kind,
+      content,
+      description: description ? description.trim() : null,
+      mimeType: kind === 'file' ? mimeType : null,
+      contentHash: hash,
+      sizeBytes: bytes.length,
+    };
+  });
+}
+
+/**
+ * Insert prepared evidence rows.
+ * @param {Object} db - Database or transaction handle
+ * @param {number|string} disputeId
+ * @param {Object[]} rows - From prepareEvidence()
+ * @param {string} submittedBy - recipient | donor | admin
+ * @param {string|null} submitterPublicKey
+ */
+async function insertEvidence(db, disputeId, rows, submittedBy, submitterPublicKey) {
+  for (const row of rows) {
+    await db.run(
+      `INSERT INTO dispute_evidence
+         (disputeId, submittedBy, submitterPublicKey, kind, description, content, mimeType, contentHash, sizeBytes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [disputeId, submittedBy, submitterPublicKey, row.kind, row.description, row.content,
+        row.mimeType, row.contentHash, row.sizeBytes]
+    );
+  }
+}
+
+class DisputeService {
+  /**
+   * Open a dispute for a donation. Only the donation's recipient may open a
+   * dispute, and only within DISPUTE_WINDOW_DAYS of the donation.
+   *
+   * @param {Object} params
+   * @param {number|string} params.donationId
+   * @param {string} params.reason
+   * @param {string} [params.evidence] - Free-text evidence (also stored as a text evidence item)
+   * @param {Object[]} [params.evidenceItems] - Evidence items, see addEvidence()
+   * @param {Object|null} [params.apiKey] - Caller's API key record; when present its
+   *   publicKey must match the recipient's public key.
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} The created dispute row
+   */
+  static async open({ donationId, reason, evidence, evidenceItems, apiKey = null, requestId, ipAddress }) {
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new ValidationError('Reason is required and must be a non-empty string', null, 'INVALID_REASON');
+    }
+    if (evidence && typeof evidence !== 'string') {
+      throw new ValidationError('Evidence must be a string', null, 'INVALID_EVIDENCE');
+    }
+    if (evidence && evidence.length > MAX_EVIDENCE_LENGTH) {
+      throw new ValidationError(`Evidence must not exceed ${MAX_EVIDENCE_LENGTH} characters`, null, 'EVIDENCE_TOO_LONG');
+    }
+    const items = [
+      ...(evidence && evidence.trim() ? [{ kind: 'text', content: evidence.trim() }] : []),
+      ...(evidenceItems !== undefined && evidenceItems !== null ? evidenceItems : []),
+    ];
+    const evidenceRows = items.length > 0 ? prepareEvidence(items) : [];
+
+    const donation = await Database.get('SELECT * FROM transactions WHERE id = ?', [donationId]);
+    if (!donation) {
+      throw new NotFoundError('Donation not found', ERROR_CODES.DONATION_NOT_FOUND);
+    }
+
+    const recipient = await Database.get('SELECT publicKey FROM users WHERE id = ?', [donation.receiverId]);
+    if (!recipient) {
+      throw new NotFoundError('Recipient not found', 'RECIPIENT_NOT_FOUND');
+    }
+
+    if (apiKey && apiKey.publicKey !== recipient.publicKey) {
+      throw new ForbiddenError('Only the recipient can dispute a donation', 'FORBIDDEN');
+    }
+
+    const donationDate = new Date(donation.timestamp);
+    const windowExpiry = new Date(donationDate.getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowExpiry) {
+      throw new ValidationError(
+        `Disputes can only be opened within ${DISPUTE_WINDOW_DAYS} days of the donation`,
+        null,
+        'DISPUTE_WINDOW_EXPIRED'
+      );
+    }
+
+    const existing = await Database.get('SELECT id FROM disputes WHERE donationId = ?', [donationId]);
+    if (existing) {
+      throw new ConflictError('A dispute already exists for this donation', 'DISPUTE_EXISTS');
+    }
+
+    const now = new Date();
+
+    // The dispute row, its evidence and its donation.disputed event commit together
+    const dispute = await Database.runTransaction(async (tx) => {
+      const result = await tx.run(
+        `INSERT INTO disputes
+           (donationId, recipientPublicKey, reason, evidence, status,
+            donorPublicKey, stateEnteredAt, slaDeadline)
+         VALUES (?, ?, ?, ?, 'open', (SELECT publicKey FROM users WHERE id = ?), ?, ?)`,
+        [
+          donationId,
+          recipient.publicKey,
+          reason.trim(),
+          evidence ? evidence.trim() : null,
+          donation.senderId || null,
+          now.toISOString(),
+          slaDeadlineFor(DISPUTE_STATES.OPEN, now),
+        ]
+      );
+      await insertEvidence(tx, result.id, evidenceRows, 'recipient', recipient.publicKey);
+      await tx.run(
+        `INSERT INTO dispute_transitions (disputeId, fromStatus, toStatus, actor, note)
+         VALUES (?, NULL, ?, ?, ?)`,
+        [result.id, DISPUTE_STATES.OPEN, recipient.publicKey, null]
+      );
+      // A disputed donation stops counting towards open quadratic funding rounds
+      await QuadraticFundingService.removeDonation(donationId, tx);
+      await OutboxService.enqueue(tx, {
+        eventType: 'donation.disputed',
+        aggregateType: 'dispute',
+        aggregateId: result.id,
+        payload: {
+          donationId,
+          disputeId: result.id,
+          reason,
+          recipientPublicKey: recipient.publicKey,
+          timestamp: now.toISOString(),
+        },
+      });
+      return tx.get('SELECT * FROM disputes WHERE id = ?', [result.id]);
+    });
+
+    audit('DISPUTE_OPENED', {
+      donationId,
+      disputeId: dispute.id,
+      reason: reason.substring(0, 100),
+      evidenceItems: evidenceRows.length,
+    }, { requestId, ipAddress, resource: `/donations/${donationId}/dispute` });
+
+    return dispute;
+  }
+
+  /**
+   * Move a dispute to a new status (admin only). A refund or partial refund
+   * resolution is committed first, so a concurrent change cannot lead to a
+   * second refund, and then refunds the donation through DonationService. If
+   * the refund fails the dispute goes back to its previous status. A
+   * successful refund records a donation.refund_requested event.
+   *
+   * @param {number|string} id - Dispute ID
+   * @param {Object} params
+   * @param {string} params.status - One of DISPUTE_STATUSES
+   * @param {string} [params.resolutionNotes]
+   * @param {number} [params.refundAmount] - Required for resolved_partial_refund
+   * @param {string} [params.actor] - Who made the change (default: 'admin')
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} The updated dispute row
+   */
+  static async updateStatus(id, { status, resolutionNotes, refundAmount, actor = 'admin', requestId, ipAddress } = {}) {
+    if (!status || typeof status !== 'string') {
+      throw new ValidationError(`Status must be one of: ${DISPUTE_STATUSES.join(', ')}`, null, 'INVALID_STATUS');
+    }
+    const target = normalizeState(status);
+    assertValidState(target);
+
+    let partialAmount = null;
+    if (target === DISPUTE_STATES.RESOLVED_PARTIAL_REFUND) {
+      partialAmount = Number(refundAmount);
+      if (refundAmount === undefined || refundAmount === null || !(partialAmount > 0)) {
+        throw new ValidationError('refundAmount must be a positive number for a partial refund', null, 'INVALID_REFUND_AMOUNT');
+      }
+    } else if (refundAmount !== undefined && refundAmount !== null) {
+      throw new ValidationError('refundAmount is only accepted with resolved_partial_refund', null, 'INVALID_REFUND_AMOUNT');
+    }
+
+    const dispute = await this.getById(id);
+    assertValidTransition(normalizeState(dispute.status), target);
+
+    const resolved = await this._transition(dispute, target, {
+      actor,
+      note: resolutionNotes || null,
+      fields: { resolutionNotes: resolutionNotes || null },
+      requestId,
+      ipAddress,
+    });
+    if (!REFUND_STATES.includes(target)) {
+      return resolved;
+    }
+
+    let refund;
+    try {
+      refund = await donationService().refundDonation(dispute.donationId, {
+        reason: `Dispute #${dispute.id} resolved with a ${partialAmount ? 'partial ' : ''}refund`,
+        notes: resolutionNotes || null,
+        idempotencyKey: `dispute-${dispute.id}`,
+        requestId,
+        amount: partialAmount === null ? undefined : partialAmount,
+        enforceRefundWindow: false,
+      });
+    } catch (err) {
+      await this._revertTransition(dispute, target, `Refund failed: ${err.message}`);
+      audit('DISPUTE_REFUND_FAILED', {
+        disputeId: dispute.id,
+        donationId: dispute.donationId,
+        targetStatus: target,
+        error: err.message,
+      }, { requestId, ipAddress, severity: AuditLogService.SEVERITY.HIGH });
+      throw err;
+    }
+
+    return this._recordRefund(resolved, refund, partialAmount === null ? refund.amount : partialAmount, { requestId, ipAddress });
+  }
+
+  /**
+   * Record the donor's response to a dispute awaiting it, with optional
+   * evidence, and move the dispute on to review.
+   *
+   * @param {number|string} donationId - The disputed donation
+   * @param {Object} params
+   * @param {string} params.response
+   * @param {Object[]} [params.evidence] - Evidence items, see addEvidence()
+   * @param {Object|null} [params.apiKey] - When present its publicKey must be the donor's
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} The updated dispute row
+   */
+  static async respond(donationId, { response, evidence, apiKey = null, requestId, ipAddress } = {}) {
+    if (!response || typeof response !== 'string' || response.trim().length === 0) {
+      throw new ValidationError('response is required and must be a non-empty string', null, 'INVALID_RESPONSE');
+    }
+    if (response.length > MAX_RESPONSE_LENGTH) {
+      throw new ValidationError(`response must not exceed ${MAX_RESPONSE_LENGTH} characters`, null, 'INVALID_RESPONSE');
+    }
+    const evidenceRows = evidence !== undefined && evidence !== null ? prepareEvidence(evidence) : [];
+
+    const dispute = await this.getByDonationId(donationId);
+    if (apiKey && apiKey.publicKey !== dispute.donorPublicKey) {
+      throw new ForbiddenError('Only the donor can respond to this dispute', 'FORBIDDEN');
+    }
+    if (normalizeState(dispute.status) !== DISPUTE_STATES.AWAITING_DONOR_RESPONSE) {
+      throw new ConflictError(`The dispute is not awaiting a donor response (status: ${dispute.status})`, 'INVALID_DISPUTE_TRANSITION');
+    }
+
+    return this._transition(dispute, DISPUTE_STATES.UNDER_REVIEW, {
+      actor: dispute.donorPublicKey || 'donor',
+      note: 'Donor responded',
+      fields: { donorResponse: response.trim(), donorRespondedAt: new Date().toISOString() },
+      evidence: { rows: evidenceRows, submittedBy: 'donor', publicKey: dispute.donorPublicKey || null },
+      requestId,
+      ipAddress,
+    });
+  }
+
+  /**
+   * Attach evidence to an open dispute. Recipients and donors add evidence
+   * through their API keys; a null apiKey with isAdmin adds it as an admin.
+   *
+   * @param {number|string} disputeId
+   * @param {Object[]} items - { kind: 'text'|'url'|'file', content, description?, mimeType?, contentHash? }
+   * @param {Object} [params]
+   * @param {Object|null} [params.apiKey]
+   * @param {boolean} [params.isAdmin=false]
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object[]>} The stored evidence items
+   */
+  static async addEvidence(disputeId, items, { apiKey = null, isAdmin = false, requestId, ipAddress } = {}) {
+    const rows = prepareEvidence(items);
+    const dispute = await this.getById(disputeId);
+
+    let submittedBy;
+    let publicKey = null;
+    if (isAdmin) {
+      submittedBy = 'admin';
+    } else if (apiKey && apiKey.publicKey === dispute.recipientPublicKey) {
+      submittedBy = 'recipient';
+      publicKey = apiKey.publicKey;
+    } else if (apiKey && dispute.donorPublicKey && apiKey.publicKey === dispute.donorPublicKey) {
+      submittedBy = 'donor';
+      publicKey = apiKey.publicKey;
+    } else {
+      throw new ForbiddenError('Only the parties to a dispute can add evidence', 'FORBIDDEN');
+    }
+
+    if (isTerminal(normalizeState(dispute.status))) {
+      throw new ConflictError('Evidence cannot be added to a resolved dispute', 'DISPUTE_CLOSED');
+    }
+
+    const count = await Database.get('SELECT COUNT(*) AS count FROM dispute_evidence WHERE disputeId = ?', [dispute.id]);
+    if (count && count.count + rows.length > MAX_EVIDENCE_ITEMS_PER_DISPUTE) {
+      throw new ConflictError(`A dispute can hold at most ${MAX_EVIDENCE_ITEMS_PER_DISPUTE} evidence items`, 'TOO_MANY_EVIDENCE_ITEMS');
+    }
+
+    await Database.runTransaction((tx) => insertEvidence(tx, dispute.id, rows, submittedBy, publicKey));
+
+    audit('DISPUTE_EVIDENCE_ADDED', {
+      disputeId: dispute.id,
+      donationId: dispute.donationId,
+      submittedBy,
+      contentHashes: rows.map((row) => row.contentHash),
+    }, { requestId, ipAddress });
+
+    const evidence = await this.listEvidence(dispute.id);
+    return evidence.slice(-rows.length);
+  }
+
+  /**
+   * Evidence attached to a dispute, oldest first.
+   * @param {number|string} disputeId
+   * @returns {Promise<Object[]>}
+   */
+  static async listEvidence(disputeId) {
+    const rows = await Database.all(
+      'SELECT * FROM dispute_evidence WHERE disputeId = ? ORDER BY id ASC',
+      [disputeId]
+    );
+    return (rows || []).map((row) => ({
+      id: row.id,
+      kind: row.kind,
+      description: row.description,
+      content: row.content,
+      mimeType: row.mimeType,
+      contentHash: row.contentHash,
+      sizeBytes: row.sizeBytes,
+      submittedBy: row.submittedBy,
+      submitterPublicKey: row.submitterPublicKey,
+      createdAt: row.createdAt,
+    }));
+  }
+
+  /**
+   * State changes of a dispute, oldest first.
+   * @param {number|string} disputeId
+   * @returns {Promise<Object[]>}
+   */
+  static async listTransitions(disputeId) {
+    const rows = await Database.all(
+      'SELECT fromStatus, toStatus, actor, note, createdAt FROM dispute_transitions WHERE disputeId = ? ORDER BY id ASC',
+      [disputeId]
+    );
+    return rows || [];
+  }
+
+  /**
+   * A dispute with its evidence and state history.
+   * @param {number|string} id
+   * @returns {Promise<Object>}
+   */
+  static async getDetails(id) {
+    const dispute = await this.getById(id);
+    const [evidence, transitions] = await Promise.all([
+      this.listEvidence(dispute.id),
+      this.listTransitions(dispute.id),
+    ]);
+    return { ...dispute, evidence, transitions };
+  }
+
+  /**
+   * Apply SLA deadlines that have passed. Disputes awaiting a donor response
+   * move on to review; overdue open and under-review disputes are flagged as
+   * breached once so admins can pick them up.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<{ advanced: number, breached: number }>}
+   */
+  static async enforceSlas(now = new Date()) {
+    const due = await Database.all(
+      `SELECT * FROM disputes
+       WHERE slaDeadline IS NOT NULL AND slaDeadline <= ? AND slaBreachedAt IS NULL
+         AND status IN (?, ?, ?)
+       ORDER BY slaDeadline ASC`,
+      [now.toISOString(), DISPUTE_STATES.OPEN, DISPUTE_STATES.AWAITING_DONOR_RESPONSE, DISPUTE_STATES.UNDER_REVIEW]
+    );
+
+    let advanced = 0;
+    let breached = 0;
+    for (const dispute of due || []) {
+      try {
+        if (dispute.status === DISPUTE_STATES.AWAITING_DONOR_RESPONSE) {
+          await this._transition(dispute, DISPUTE_STATES.UNDER_REVIEW, {
+            actor: 'system',
+            note: 'Donor response deadline passed',
+            now,
+          });
+          advanced += 1;
+        } else {
+          await Database.run(
+            'UPDATE disputes SET slaBreachedAt = ?, updatedAt = ? WHERE id = ? AND slaBreachedAt IS NULL',
+            [now.toISOString(), now.toISOString(), dispute.id]
+          );
+          audit('DISPUTE_SLA_BREACHED', {
+            disputeId: dispute.id,
+            donationId: dispute.donationId,
+            status: dispute.status,
+            slaDeadline: dispute.slaDeadline,
+          }, { severity: AuditLogService.SEVERITY.HIGH });
+          log.warn('DISPUTE', 'Dispute SLA breached', { disputeId: dispute.id, status: dispute.status });
+          breached += 1;
+        }
+      } catch (err) {
+        if (err instanceof ConflictError) {
+          // The dispute was answered or resolved after it was selected
+          log.info('DISPUTE', 'Dispute changed before its SLA was enforced', { disputeId: dispute.id });
+          continue;
+        }
+        log.error('DISPUTE', 'Failed to enforce dispute SLA', { disputeId: dispute.id, error: err.message });
+      }
+    }
+    return { advanced, breached };
+  }
+
+  /**
+   * List disputes, newest first.
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @param {boolean} [filters.slaBreached] - Only disputes whose SLA has been breached
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   * @returns {Promise<Object[]>}
+   */
+  static async list({ status, slaBreached = false, limit = 50, offset = 0 } = {}) {
+    let sql = 'SELECT * FROM disputes';
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(normalizeState(status));
+    }
+    if (slaBreached) {
+      conditions.push('slaBreachedAt IS NOT NULL');
+    }
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    sql += ' ORDER BY createdAt DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit, 10), parseInt(offset, 10));
+
+    return Database.query(sql, params);
+  }
+
+  /**
+   * Fetch a single dispute.
+   * @param {number|string} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} DISPUTE_NOT_FOUND
+   */
+  static async getById(id) {
+    const dispute = await Database.get('SELECT * FROM disputes WHERE id = ?', [id]);
+    if (!dispute) {
+      throw new NotFoundError('Dispute not found', 'DISPUTE_NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  /**
+   * Fetch the dispute on a donation.
+   * @param {number|string} donationId
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} DISPUTE_NOT_FOUND
+   */
+  static async getByDonationId(donationId) {
+    const dispute = await Database.get('SELECT * FROM disputes WHERE donationId = ?', [donationId]);
+    if (!dispute) {
+      throw new NotFoundError('Dispute not found', 'DISPUTE_NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  /**
+   * Move a dispute to a new state, restart its SLA clock, log the transition
+   * and audit it.
+   *
+   * @private
+   * @param {Object} dispute - Current row
+   * @param {string} toStatus
+   * @param {Object} options
+   * @param {string} options.actor
+   * @param {string|null} [options.note]
+   * @param {Object} [options.fields] - Extra columns to set
+   * @param {{ rows: Object[], submittedBy: string, publicKey: string|null }} [options.evidence]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} The updated dispute row
+   * @throws {ConflictError} DISPUTE_STATUS_CHANGED when the dispute is no longer in dispute.status
+   */
+  static async _transition(dispute, toStatus, { actor, note = null, fields = {}, evidence = null, now = new Date(), requestId, ipAddress }) {
+    const id = dispute.id;
+    const fromStatus = dispute.status;
+    const timestamp = now.toISOString();
+    const columns = {
+      status: toStatus,
+      ...fields,
+      resolvedAt: isTerminal(toStatus) ? timestamp : null,
+      updatedAt: timestamp,
+      stateEnteredAt: timestamp,
+      slaDeadline: slaDeadlineFor(toStatus, now),
+      slaBreachedAt: null,
+    };
+
+    const updated = await Database.runTransaction(async (tx) => {
+      const names = Object.keys(columns);
+      const result = await tx.run(
+        `UPDATE disputes SET ${names.map((name) => `${name} = ?`).join(', ')} WHERE id = ? AND status = ?`,
+        [...names.map((name) => columns[name]), id, fromStatus]
+      );
+      // Another request or the SLA worker moved the dispute since it was read
+      if (!result || result.changes === 0) {
+        throw new ConflictError('The dispute status changed, please retry', 'DISPUTE_STATUS_CHANGED');
+      }
+
+      const row = await tx.get('SELECT * FROM disputes WHERE id = ?', [id]);
+
+      if (evidence && evidence.rows.length > 0) {
+        await insertEvidence(tx, id, evidence.rows, evidence.submittedBy, evidence.publicKey);
+      }
+
+      await tx.run(
+        `INSERT INTO dispute_transitions (disputeId, fromStatus, toStatus, actor, note)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, fromStatus, toStatus, actor, note]
+      );
+      return row;
+    });
+
+    audit(isTerminal(toStatus) ? 'DISPUTE_RESOLVED' : 'DISPUTE_STATUS_CHANGED', {
+      disputeId: id,
+      donationId: dispute.donationId,
+      previousStatus: fromStatus,
+      newStatus: toStatus,
+      actor,
+    }, { requestId, ipAddress });
+
+    return updated;
+  }
+
+  /**
+   * Store a completed refund on a resolved dispute and record its
+   * donation.refund_requested event.
+   *
+   * @private
+   * @param {Object} dispute - Resolved row
+   * @param {{ refundId: number }} refund - From DonationService.refundDonation
+   * @param {number} amount - Amount refunded
+   * @returns {Promise<Object>} The updated dispute row
+   */
+  static async _recordRefund(dispute, refund, amount, { requestId, ipAddress } = {}) {
+    const timestamp = new Date().toISOString();
+    const updated = await Database.runTransaction(async (tx) => {
+      await tx.run(
+        'UPDATE disputes SET refundId = ?, refundAmount = ?, updatedAt = ? WHERE id = ?',
+        [refund.refundId, amount, timestamp, dispute.id]
+      );
+      await OutboxService.enqueue(tx, {
+        eventType: 'donation.refund_requested',
+        aggregateType: 'dispute',
+        aggregateId: dispute.id,
+        payload: {
+          donationId: dispute.donationId,
+          disputeId: dispute.id,
+          reason: dispute.status === DISPUTE_STATES.RESOLVED_PARTIAL_REFUND
+            ? 'Dispute resolution - partial refund approved'
+            : 'Dispute resolution - refund approved',
+          amount,
+          timestamp,
+        },
+      });
+      return tx.get('SELECT * FROM disputes WHERE id = ?', [dispute.id]);
+    });
+
+    audit('DISPUTE_REFUNDED', {
+      disputeId: dispute.id,
+      donationId: dispute.donationId,
+      refundId: refund.refundId,
+      refundAmount: amount,
+    }, { requestId, ipAddress });
+
+    return updated;
+  }
+
+  /**
+   * Put a dispute back the way it was before a refund resolution whose refund
+   * failed, and log the step back.
+   *
+   * @private
+   * @param {Object} previous - Row before the resolution
+   * @param {string} resolvedStatus - Status the failed resolution moved it to
+   * @param {string} note
+   */
+  static async _revertTransition(previous, resolvedStatus, note) {
+    await Database.runTransaction(async (tx) => {
+      const result = await tx.run(
+        `UPDATE disputes
+            SET status = ?, resolutionNotes = ?, resolvedAt = ?, updatedAt = ?,
+                stateEnteredAt = ?, slaDeadline = ?, slaBreachedAt = ?
+          WHERE id = ? AND status = ?`,
+        [
+          previous.status, previous.resolutionNotes, previous.resolvedAt, new Date().toISOString(),
+          previous.stateEnteredAt, previous.slaDeadline, previous.slaBreachedAt,
+          previous.id, resolvedStatus,
+        ]
+      );
+      if (result && result.changes > 0) {
+        await tx.run(
+          `INSERT INTO dispute_transitions (disputeId, fromStatus, toStatus, actor, note)
+           VALUES (?, ?, ?, ?, ?)`,
+          [previous.id, resolvedStatus, previous.status, 'system', note]
+        );
+      }
+    });
+  }
+}
+
+module.exports = DisputeService;
+module.exports.DISPUTE_STATUSES = DISPUTE_STATUSES;
+module.exports.DISPUTE_WINDOW_DAYS = DISPUTE_WINDOW_DAYS;
+module.exports.DISPUTE_SLA_HOURS = DISPUTE_SLA_HOURS;
+module.exports.prepareEvidence = prepareEvidence;
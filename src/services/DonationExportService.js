@@ -18,6 +18,7 @@ const log = require('../utils/log');
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const { ERROR_CODES } = require('../utils/errors');
 const { serialize: csvSerialize } = require('../utils/csvSerializer');
+const priceOracle = require('./PriceOracleService');
 
 const EXPORT_DIR = path.join(__dirname, '../../data/exports');
 const EXPORT_RETENTION_MS = 24 * 60 * 60 * 1000; // 24 hours
@@ -187,6 +188,7 @@ class DonationExportService {
         senderPublicKey: job.sender_public_key,
         recipientPublicKey: job.recipient_public_key,
       });
+      await this.addUsdValues(donations);
 
       // Generate export content
       let content;
@@ -257,7 +259,11 @@ class DonationExportService {
         t.memo,
         t.status,
         t.timestamp,
-        t.stellar_tx_id AS transactionHash
+        t.stellar_tx_id AS transactionHash,
+        t.originalAmount AS fiatAmount,
+        t.originalCurrency AS fiatCurrency,
+        t.rateXLMperUnit,
+        t.rateSource
       FROM transactions t
       LEFT JOIN users sender ON t.senderId = sender.id
       LEFT JOIN users receiver ON t.receiverId = receiver.id
@@ -291,6 +297,37 @@ class DonationExportService {
     return await Database.all(query, params);
   }
 
+  /**
+   * Set usdValue on each donation: the USD amount it was made for, else its
+   * XLM amount at the rate recorded for the donation's hour (null when no
+   * rate was recorded then).
+   * @param {Array} donations - Donation records, modified in place
+   * @returns {Promise<Array>}
+   */
+  static async addUsdValues(donations) {
+    const ratesByHour = new Map();
+    for (const donation of donations) {
+      if (donation.fiatCurrency === 'USD' && donation.fiatAmount != null) {
+        donation.usdValue = Number(Number(donation.fiatAmount).toFixed(2));
+        continue;
+      }
+      const at = new Date(donation.timestamp);
+      if (Number.isNaN(at.getTime())) {
+        donation.usdValue = null;
+        continue;
+      }
+      const hour = at.toISOString().slice(0, 13);
+      if (!ratesByHour.has(hour)) {
+        ratesByHour.set(hour, await priceOracle.getRateAt('usd', donation.timestamp).catch(() => null));
+      }
+      const rate = ratesByHour.get(hour);
+      donation.usdValue = rate && donation.amount != null
+        ? Number((Number(donation.amount) * rate.rate).toFixed(2))
+        : null;
+    }
+    return donations;
+  }
+
   /**
    * Convert donations to CSV format.
    * @param {Array} donations - Donation records
@@ -306,6 +343,11 @@ class DonationExportService {
       'status',
       'timestamp',
       'transactionHash',
+      'fiatAmount',
+      'fiatCurrency',
+      'rateXLMperUnit',
+      'rateSource',
+      'usdValue',
     ];
     return csvSerialize(headers, donations);
   }
@@ -0,0 +1,241 @@
+/**
+ * Donation Quote Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Lock a fiat → XLM rate for a short window so a fiat-denominated
+ *                 donation executes at the amount the donor was shown
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, PriceOracleService
+ *
+ * A quote is single-use. resolve() checks a quote can pay for a donation and
+ * returns its locked conversion; claim() atomically marks it used right before
+ * the payment is submitted, so two donations can never spend the same quote.
+ * A donation that fails before it records anything releases its claim, and the
+ * quote can be used again until it expires.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Database = require('../utils/database');
+const priceOracle = require('./PriceOracleService');
+const log = require('../utils/log');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+/** Seconds a quote is locked for when the caller does not ask for a window. */
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || '60', 10);
+/** Longest lock a caller can request. */
+const QUOTE_MAX_TTL_SECONDS = parseInt(process.env.QUOTE_MAX_TTL_SECONDS || '600', 10);
+
+const QUOTE_STATUS = {
+  OPEN: 'open',
+  USED: 'used',
+  EXPIRED: 'expired',
+};
+
+// Amounts are compared at cent precision; quotes are requested for fiat values
+const amountsMatch = (a, b) => Math.abs(Number(a) - Number(b)) < 0.005;
+
+class DonationQuoteService {
+  /**
+   * Lock the current rate for a fiat amount.
+   *
+   * @param {Object} params
+   * @param {number} params.amount - Amount in `currency`
+   * @param {string} params.currency - Fiat currency code, e.g. "USD"
+   * @param {number} [params.lockSeconds] - Defaults to QUOTE_TTL_SECONDS, at most QUOTE_MAX_TTL_SECONDS
+   * @param {number} [params.apiKeyId] - Only this API key can use the quote
+   * @param {string} [params.requestId]
+   * @returns {Promise<Object>} The quote
+   * @throws {ValidationError} For an invalid amount, currency or lock window
+   */
+  static async create({ amount, currency, lockSeconds = QUOTE_TTL_SECONDS, apiKeyId, requestId }) {
+    if (!(Number(amount) > 0) || !Number.isFinite(Number(amount))) {
+      throw new ValidationError('Amount must be positive', null, 'INVALID_AMOUNT');
+    }
+    const normalizedCurrency = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+    if (!priceOracle.SUPPORTED_CURRENCIES.includes(normalizedCurrency.toLowerCase())) {
+      throw new ValidationError(
+        `currency must be one of: ${priceOracle.SUPPORTED_CURRENCIES.map(c => c.toUpperCase()).join(', ')}`,
+        null,
+        'UNSUPPORTED_CURRENCY'
+      );
+    }
+    const ttl = Number(lockSeconds);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > QUOTE_MAX_TTL_SECONDS) {
+      throw new ValidationError(
+        `lockSeconds must be an integer between 1 and ${QUOTE_MAX_TTL_SECONDS}`,
+        null,
+        'INVALID_REQUEST'
+      );
+    }
+
+    let conversion;
+    try {
+      conversion = await priceOracle.quote(Number(amount), normalizedCurrency);
+    } catch (err) {
+      throw new BusinessLogicError('RATE_UNAVAILABLE', `Exchange rate unavailable: ${err.message}`);
+    }
+
+    const id = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+    await Database.run(
+      `INSERT INTO donation_quotes
+         (id, amount, currency, xlmAmount, rateXLMperUnit, rateSource, rateTimestamp, status, apiKeyId, expiresAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)`,
+      [
+        id, Number(amount), normalizedCurrency, conversion.xlm, conversion.rateXLMperUnit,
+        conversion.rateSource, conversion.rateTimestamp, apiKeyId || null, expiresAt,
+      ]
+    );
+
+    log.info('DONATION_QUOTE', 'Quote created', {
+      requestId,
+      quoteId: id,
+      currency: normalizedCurrency,
+      rateSource: conversion.rateSource,
+      expiresAt,
+    });
+
+    return this.getById(id, { apiKeyId });
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {number} [options.apiKeyId] - Quotes locked by another API key are not found
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} QUOTE_NOT_FOUND
+   */
+  static async getById(id, { apiKeyId } = {}) {
+    const row = await Database.get('SELECT * FROM donation_quotes WHERE id = ?', [id]);
+    if (!row || (row.apiKeyId !== null && apiKeyId !== undefined && String(row.apiKeyId) !== String(apiKeyId))) {
+      throw new NotFoundError('Quote not found', 'QUOTE_NOT_FOUND');
+    }
+    return this._format(row);
+  }
+
+  /**
+   * Check a quote can pay for a donation and return its locked conversion.
+   * Does not consume the quote; see claim().
+   *
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {number} [options.amount] - When given, must equal the quoted fiat amount
+   * @param {string} [options.currency] - When given, must equal the quoted currency
+   * @param {number} [options.apiKeyId]
+   * @returns {Promise<{xlmAmount: number, fiat: Object}>}
+   * @throws {NotFoundError|ConflictError|BusinessLogicError|ValidationError}
+   */
+  static async resolve(id, { amount, currency, apiKeyId } = {}) {
+    const quote = await this.getById(id, { apiKeyId });
+    this._assertUsable(quote);
+
+    if (currency && String(currency).toUpperCase() !== 'XLM' && String(currency).toUpperCase() !== quote.currency) {
+      throw new ValidationError(`Quote is for ${quote.currency}, not ${String(currency).toUpperCase()}`, null, 'QUOTE_MISMATCH');
+    }
+    if (amount !== undefined && amount !== null && !amountsMatch(amount, quote.amount)) {
+      throw new ValidationError(`Quote is for ${quote.amount} ${quote.currency}`, null, 'QUOTE_MISMATCH');
+    }
+
+    return {
+      xlmAmount: quote.xlmAmount,
+      fiat: {
+        originalAmount: quote.amount,
+        originalCurrency: quote.currency,
+        rateXLMperUnit: quote.rateXLMperUnit,
+        rateSource: quote.rateSource,
+        rateTimestamp: quote.rateTimestamp,
+        quoteId: quote.id,
+      },
+    };
+  }
+
+  /**
+   * Atomically mark an open, unexpired quote as used.
+   * @param {string} id
+   * @returns {Promise<void>}
+   * @throws {ConflictError|BusinessLogicError} When another donation got there first or the lock ran out
+   */
+  static async claim(id) {
+    const now = new Date().toISOString();
+    const result = await Database.run(
+      "UPDATE donation_quotes SET status = 'used', usedAt = ? WHERE id = ? AND status = 'open' AND expiresAt > ?",
+      [now, id, now]
+    );
+    if (result.changes === 0) {
+      this._assertUsable(await this.getById(id));
+      throw new ConflictError('Quote has already been used', 'QUOTE_ALREADY_USED');
+    }
+  }
+
+  /**
+   * Give a claimed quote back after the donation that claimed it failed. It is
+   * open again, or expired when its lock has run out in the meantime. A quote
+   * already attached to a donation stays used.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  static async release(id) {
+    await Database.run(
+      "UPDATE donation_quotes SET status = 'open', usedAt = NULL WHERE id = ? AND status = 'used' AND donationId IS NULL",
+      [id]
+    );
+  }
+
+  /**
+   * Record which donation used a claimed quote.
+   * @param {string} id
+   * @param {string|number} donationId
+   * @returns {Promise<void>}
+   */
+  static async attachDonation(id, donationId) {
+    await Database.run('UPDATE donation_quotes SET donationId = ? WHERE id = ?', [String(donationId), id]);
+  }
+
+  /**
+   * @private
+   * @param {Object} quote - Formatted quote
+   * @throws {ConflictError|BusinessLogicError}
+   */
+  static _assertUsable(quote) {
+    if (quote.status === QUOTE_STATUS.USED) {
+      throw new ConflictError('Quote has already been used', 'QUOTE_ALREADY_USED');
+    }
+    if (quote.status === QUOTE_STATUS.EXPIRED) {
+      throw new BusinessLogicError('QUOTE_EXPIRED', 'The quote has expired; request a new one');
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} row
+   * @returns {Object}
+   */
+  static _format(row) {
+    const expired = row.status === QUOTE_STATUS.OPEN && new Date(row.expiresAt) <= new Date();
+    return {
+      id: row.id,
+      amount: row.amount,
+      currency: row.currency,
+      xlmAmount: row.xlmAmount,
+      rateXLMperUnit: row.rateXLMperUnit,
+      rateSource: row.rateSource,
+      rateTimestamp: row.rateTimestamp,
+      status: expired ? QUOTE_STATUS.EXPIRED : row.status,
+      donationId: row.donationId,
+      createdAt: row.createdAt,
+      expiresAt: row.expiresAt,
+      usedAt: row.usedAt,
+    };
+  }
+}
+
+module.exports = DonationQuoteService;
+module.exports.QUOTE_STATUS = QUOTE_STATUS;
+module.exports.QUOTE_TTL_SECONDS = QUOTE_TTL_SECONDS;
+module.exports.QUOTE_MAX_TTL_SECONDS = QUOTE_MAX_TTL_SECONDS;
@@ -3,7 +3,8 @@
  * 
  * RESPONSIBILITY: Core donation processing, validation, and transaction management
  * OWNER: Backend Team
- * DEPENDENCIES: StellarService, Database, validators, encryption
+ * DEPENDENCIES: StellarService, Database, validators, encryption, ScreeningService, GiftAidService,
+ *               FundraiserService, TeamService, QuadraticFundingService
  * 
  * Orchestrates donation workflows including validation, fee calculation, transaction
  * creation, and state management. Separates business logic from HTTP controllers.
@@ -20,6 +21,7 @@ const { sanitizeIdentifier, sanitizeMemo } = require('../utils/sanitizer');
 const { generatePseudonymousId } = require('../utils/anonymization');
 const { withTimeout } = require('../utils/timeoutHandler');
 const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const { CAMPAIGN_STATES, storedStatusesFor, isLive } = require('../utils/campaignStateMachine');
 const { ValidationError, NotFoundError, BusinessLogicError, ERROR_CODES } = require('../utils/errors');
 const { PREDEFINED_TAGS } = require('../constants/tags');
 const { paginateCollection } = require('../utils/pagination');
@@ -27,9 +29,16 @@ const { checkConfirmations } = require('../utils/confirmationChecker');
 const { CONFIRMATION_LEDGER_THRESHOLD } = require('../config/confirmationThreshold');
 
 const LimitService = require('./LimitService');
+const ScreeningService = require('./ScreeningService');
+const DonationQuoteService = require('./DonationQuoteService');
 const DonationVelocityService = require('./DonationVelocityService');
 const MatchingProgramService = require('./MatchingProgramService');
 const CorporateMatchingService = require('./CorporateMatchingService');
+const GiftAidService = require('./GiftAidService');
+const FundraiserService = require('./FundraiserService');
+const TeamService = require('./TeamService');
+const QuadraticFundingService = require('./QuadraticFundingService');
+const CampaignLifecycleService = require('./CampaignLifecycleService');
 const log = require('../utils/log');
 const priceOracle = require('./PriceOracleService');
 const { buildOverpaymentRecord } = require('../utils/overpaymentDetector');
@@ -48,6 +57,8 @@ const DEFAULT_DESTINATION_ASSET = {
   issuer: null,
 };
 
+const STELLAR_ADDRESS_PATTERN = /^G[A-Z2-7]{55}$/;
+
 // Cache constants
 const RECIPIENT_ACCOUNT_CACHE_KEY_PREFIX = 'recipient_account:';
 const POSITIVE_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes for accounts that exist
@@ -217,18 +228,30 @@ class DonationService {
    * @param {Object} params - Donation parameters
    * @param {number} params.senderId - Sender user ID
    * @param {number} params.receiverId - Receiver user ID
-   * @param {number} params.amount - Donation amount
-   * @param {string} params.memo - Optional memo
+   * @param {number} [params.amount] - Donation amount in `currency`; optional with a quote
+   * @param {string} [params.currency='XLM'] - Currency of the amount (XLM, USD, EUR, GBP)
+   * @param {string} [params.quoteId] - Locked quote to execute at
+   * @param {string} params.memo - Optional memo; may carry a fundraiser code
+   * @param {number|string} [params.campaign_id] - Campaign the donation counts towards
+   * @param {number|string} [params.fundraiser_id] - Fundraiser to attribute it to (implies its campaign)
    * @param {string} params.idempotencyKey - Idempotency key
    * @param {string} params.requestId - Request ID for logging
-   * @returns {Promise<Object>} Donation result with transaction details
+   * @param {string} [params.ipAddress] - Donor's IP, resolved to a country for the KYC threshold
+   * @returns {Promise<Object>} Donation result with transaction details; status
+   *   `held_for_kyc` when the amount is above the KYC threshold (see KycService)
+   * @throws {ForbiddenError} SCREENING_BLOCKED when a party is on a blocking screening list
    */
-  async sendCustodialDonation({ senderId, receiverId, amount, memo, notes, tags, apiKeyId, campaign_id, idempotencyKey, requestId }) {
+  async sendCustodialDonation({ senderId, receiverId, amount, currency = 'XLM', quoteId = null, memo, notes, tags, apiKeyId, campaign_id, fundraiser_id, idempotencyKey, requestId, ipAddress }) {
+    // Everything below works in XLM; fiat donations keep their fiat value for the record
+    const { xlmAmount, fiat } = await this.resolveDonationAmount({ amount, currency, quoteId, apiKeyId });
+    amount = xlmAmount;
+
     log.debug('DONATION_SERVICE', 'Processing custodial donation', {
       requestId,
       senderId,
       receiverId,
       amount,
+      currency: fiat ? fiat.originalCurrency : 'XLM',
       hasMemo: !!memo,
       hasNotes: !!notes,
       tagsCount: tags ? tags.length : 0
@@ -243,6 +266,13 @@ class DonationService {
       throw new ValidationError('Sender and recipient cannot be the same wallet', null, ERROR_CODES.INVALID_REQUEST);
     }
 
+    // A fundraiser's donations count towards its campaign
+    const fundraiser = await FundraiserService.resolveAttribution({ fundraiserId: fundraiser_id, memo, campaignId: campaign_id });
+    if (fundraiser) {
+      campaign_id = fundraiser.campaign_id;
+    }
+    await CampaignLifecycleService.assertAcceptsDonations(campaign_id);
+
     log.debug('DONATION_SERVICE', 'Users retrieved', {
       requestId,
       senderFound: !!sender,
@@ -314,17 +344,64 @@ class DonationService {
       log.warn('DONATION_SERVICE', 'Balance check skipped', { requestId, error: err.message });
     }
 
-    log.debug('DONATION_SERVICE', 'Initiating Stellar transaction', {
-      requestId
+    // Sanctions screening before any funds move; a blocking match throws
+    const KycService = require('./KycService');
+    const kycService = new KycService(this.stellarService);
+    const screening = await ScreeningService.screenDonation([
+      { role: 'donor', address: sender.publicKey, name: () => kycService.getCustomerName(sender.publicKey) },
+      { role: 'recipient', address: receiver.publicKey },
+    ], {
+      stellarService: this.stellarService,
+      context: { requestId, senderId, receiverId, amount: String(amount), idempotencyKey: idempotencyKey || null },
     });
 
-    // Execute Stellar transaction with sanitized memo
-    const stellarResult = await this.stellarService.sendDonation({
-      sourceSecret: secret,
-      destinationPublic: receiver.publicKey,
-      amount: amount,
-      memo: sanitizedMemo
-    });
+    if (fiat && fiat.quoteId) {
+      await DonationQuoteService.claim(fiat.quoteId);
+    }
+
+    let stellarResult;
+    try {
+      // Donations above the KYC threshold go to the hold account instead of the
+      // recipient until compliance approves the donor
+      const { geoBlockMiddleware } = require('../middleware/geoBlock');
+      const countryCode = ipAddress ? geoBlockMiddleware.getCountryCode(ipAddress) : null;
+      const kycThreshold = await kycService.requiresHold({ account: sender.publicKey, amount, countryCode });
+      if (kycThreshold !== null) {
+        return await kycService.holdDonation({
+          sender,
+          receiver,
+          senderId,
+          receiverId,
+          sourceSecret: secret,
+          amount,
+          threshold: kycThreshold,
+          countryCode,
+          memo: sanitizedMemo,
+          notes,
+          tags,
+          campaignId: campaign_id || null,
+          apiKeyId,
+          idempotencyKey,
+          fiat,
+          requestId,
+        });
+      }
+
+      log.debug('DONATION_SERVICE', 'Initiating Stellar transaction', {
+        requestId
+      });
+
+      // Execute Stellar transaction with sanitized memo
+      stellarResult = await this.stellarService.sendDonation({
+        sourceSecret: secret,
+        destinationPublic: receiver.publicKey,
+        amount: amount,
+        memo: sanitizedMemo
+      });
+    } catch (error) {
+      await this.releaseQuote(fiat, requestId);
+      throw error;
+    }
 
     log.debug('DONATION_SERVICE', 'Stellar transaction successful', {
       requestId,
@@ -332,33 +409,23 @@ class DonationService {
       ledger: stellarResult.ledger
     });
 
-    // Record in database with sanitized memo — amount stored as integer stroops.
-    // The totals table update is atomic with the transactions INSERT so that a
-    // rollback can never leave totals incremented without a corresponding row.
-    const amountStroops = Math.round(parseFloat(amount) * STROOPS_PER_XLM);
-    const DonationTotalsRepository = require('./DonationTotalsRepository');
-    const totalsRepo = new DonationTotalsRepository();
-    const dbResult = await Database.runTransaction(async (tx) => {
-      const r = await tx.run(
-        'INSERT INTO transactions (senderId, receiverId, amount, memo, notes, tags, timestamp, idempotencyKey, stellar_tx_id) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?)',
-        [senderId, receiverId, amountStroops, sanitizedMemo, notes || null, JSON.stringify(tags || []), idempotencyKey, stellarResult.transactionId]
-      );
-      await totalsRepo.incrementTotal(String(receiverId), amountStroops, tx);
-      return r;
-    });
-
-    // Emit donation.created to trigger cache invalidation and other listeners (non-blocking).
-    // emitLifecycleEvent() wraps each listener in its own try/catch so a single
-    // failing listener cannot prevent sibling listeners from running.
-    donationEvents.emitLifecycleEvent(donationEvents.constructor.EVENTS?.CREATED || 'donation.created', {
-      id: dbResult.id,
+    const dbResult = await Database.runTransaction((tx) => this.recordCustodialPayment(tx, {
       senderId,
       receiverId,
       amount,
-    });
+      memo: sanitizedMemo,
+      notes,
+      tags,
+      idempotencyKey,
+      stellarTxId: stellarResult.transactionId,
+      fiat,
+    }));
 
     if (campaign_id) {
-      await this.processCampaignContribution(campaign_id, amount).catch(err => {
+      await this.processCampaignContribution(campaign_id, amount, {
+        fundraiser,
+        donation: { id: dbResult.id, donor: sender.publicKey, amount },
+      }).catch(err => {
         log.error('DONATION_SERVICE', 'Failed to update campaign contribution', { error: err.message });
       });
     }
@@ -384,12 +451,37 @@ class DonationService {
     const transaction = Transaction.create({
       id: dbResult.id.toString(),
       amount: amount,
+      originalAmount: fiat ? fiat.originalAmount : undefined,
+      originalCurrency: fiat ? fiat.originalCurrency : undefined,
+      rateXLMperUnit: fiat ? fiat.rateXLMperUnit : undefined,
+      rateSource: fiat ? fiat.rateSource : undefined,
+      rateTimestamp: fiat ? fiat.rateTimestamp : undefined,
+      quoteId: fiat ? fiat.quoteId : undefined,
       donor: sender.publicKey,
       recipient: receiver.publicKey,
       status: TRANSACTION_STATES.PENDING,
       notes: notes || null,
       tags: tags || [],
-      apiKeyId: apiKeyId || null
+      apiKeyId: apiKeyId || null,
+      screeningFlagged: screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+    }, {
+      // Webhooks, SSE and GraphQL subscriptions are fed from the outbox
+      outboxEvents: ['donation.created'],
+    });
+    await Transaction.persisted(transaction.id);
+
+    if (fiat && fiat.quoteId) {
+      await DonationQuoteService.attachDonation(fiat.quoteId, dbResult.id);
+    }
+
+    await this.markGiftAid(transaction);
+    await this.recordTeamTotals({ id: transaction.id, donor: sender.publicKey, amount, campaignId: campaign_id, fundraiser });
+    await this.recordQuadraticContribution({
+      id: transaction.id,
+      donor: sender.publicKey,
+      recipient: receiver.publicKey,
+      amount,
+      stellarTxId: stellarResult.transactionId,
     });
 
     Transaction.updateStatus(transaction.id, TRANSACTION_STATES.SUBMITTED, {
@@ -416,7 +508,10 @@ class DonationService {
         confirmedAt: new Date().toISOString(),
         confirmations: confirmationResult.confirmations,
         confirmationThreshold: confirmationResult.required,
+      }, {
+        outboxEvents: ['donation.confirmed'],
       });
+      await Transaction.persisted(transaction.id);
       log.info('DONATION_SERVICE', 'Transaction confirmed', {
         requestId,
         transactionId: stellarResult.transactionId,
@@ -449,10 +544,49 @@ class DonationService {
       confirmationThreshold: confirmationResult.required,
       confirmed: confirmationResult.confirmed,
       remainingLimits: { dailyRemaining, monthlyRemaining },
+      ...(fundraiser && { fundraiserId: fundraiser.id }),
       ...(matchingDonations.length > 0 && { matchingDonations })
     };
   }
 
+  /**
+   * Record a custodial payment that has reached the recipient: the
+   * transactions row (amount in stroops) and the recipient's total. Both are
+   * written in the caller's database transaction so a rollback can never
+   * leave the total incremented without its row. Used by
+   * sendCustodialDonation() and when a KYC hold is released.
+   *
+   * @param {Object} tx - Transaction handle from Database.runTransaction()
+   * @param {Object} payment
+   * @param {number} payment.senderId
+   * @param {number} payment.receiverId
+   * @param {number|string} payment.amount - XLM
+   * @param {string} [payment.memo] - Already sanitised
+   * @param {string} [payment.notes]
+   * @param {string[]} [payment.tags]
+   * @param {string} [payment.idempotencyKey]
+   * @param {string} payment.stellarTxId
+   * @param {Object|null} [payment.fiat] - From resolveDonationAmount()
+   * @returns {Promise<{ id: number, changes: number }>}
+   */
+  async recordCustodialPayment(tx, { senderId, receiverId, amount, memo, notes, tags, idempotencyKey, stellarTxId, fiat = null }) {
+    const amountStroops = Math.round(parseFloat(amount) * STROOPS_PER_XLM);
+    const DonationTotalsRepository = require('./DonationTotalsRepository');
+    const totalsRepo = new DonationTotalsRepository();
+    const columns = ['senderId', 'receiverId', 'amount', 'memo', 'notes', 'tags', 'idempotencyKey', 'stellar_tx_id'];
+    const values = [senderId, receiverId, amountStroops, memo, notes || null, JSON.stringify(tags || []), idempotencyKey, stellarTxId];
+    if (fiat) {
+      columns.push('originalAmount', 'originalCurrency', 'rateXLMperUnit', 'rateSource', 'rateTimestamp', 'quoteId');
+      values.push(fiat.originalAmount, fiat.originalCurrency, fiat.rateXLMperUnit, fiat.rateSource, fiat.rateTimestamp, fiat.quoteId);
+    }
+    const result = await tx.run(
+      `INSERT INTO transactions (${columns.join(', ')}, timestamp) VALUES (${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)`,
+      values
+    );
+    await totalsRepo.incrementTotal(String(receiverId), amountStroops, tx);
+    return result;
+  }
+
   /**
    * Attempt to confirm a previously submitted transaction.
    * Fetches the latest ledger from the network and checks whether the
@@ -518,6 +652,71 @@ class DonationService {
     };
   }
 
+  /**
+   * Work out the XLM amount of a donation given in any supported currency.
+   * With a quoteId the rate locked by POST /quotes is used, otherwise the
+   * oracle's current rate. The returned fiat block is persisted on the
+   * donation so receipts and exports keep the rate it was executed at.
+   *
+   * @param {Object} params
+   * @param {number} [params.amount] - Amount in `currency`; optional with a quote
+   * @param {string} [params.currency='XLM']
+   * @param {string} [params.quoteId]
+   * @param {number} [params.apiKeyId] - Must match the API key that requested the quote
+   * @returns {Promise<{xlmAmount: number, fiat: Object|null}>} fiat is null for XLM donations
+   * @throws {ValidationError} When the rate cannot be obtained or the quote does not match
+   */
+  async resolveDonationAmount({ amount, currency = 'XLM', quoteId = null, apiKeyId }) {
+    if (quoteId) {
+      return DonationQuoteService.resolve(quoteId, { amount, currency, apiKeyId });
+    }
+
+    const normalizedCurrency = (currency || 'XLM').toUpperCase();
+    if (normalizedCurrency === 'XLM') {
+      return { xlmAmount: amount, fiat: null };
+    }
+
+    let conversion;
+    try {
+      conversion = await priceOracle.quote(amount, normalizedCurrency);
+    } catch (err) {
+      throw new ValidationError(`Currency conversion failed: ${err.message}`);
+    }
+    log.info('DONATION_SERVICE', 'Currency converted', {
+      originalAmount: amount,
+      originalCurrency: normalizedCurrency,
+      xlmAmount: conversion.xlm,
+      rateSource: conversion.rateSource,
+    });
+
+    return {
+      xlmAmount: conversion.xlm,
+      fiat: {
+        originalAmount: amount,
+        originalCurrency: normalizedCurrency,
+        rateXLMperUnit: conversion.rateXLMperUnit,
+        rateSource: conversion.rateSource,
+        rateTimestamp: conversion.rateTimestamp,
+        quoteId: null,
+      },
+    };
+  }
+
+  /**
+   * Hand back the quote a failed donation claimed so the donor can retry at
+   * the same rate while it is still locked.
+   *
+   * @param {Object|null} fiat - From resolveDonationAmount()
+   * @param {string} [requestId]
+   * @returns {Promise<void>}
+   */
+  async releaseQuote(fiat, requestId) {
+    if (!fiat || !fiat.quoteId) return;
+    await DonationQuoteService.release(fiat.quoteId).catch(err => {
+      log.error('DONATION_SERVICE', 'Failed to release quote', { requestId, quoteId: fiat.quoteId, error: err.message });
+    });
+  }
+
   /**
    * Validate donation amount and limits
    * @param {number} amount - Donation amount
@@ -684,19 +883,29 @@ class DonationService {
    * @param {Object} params - Donation parameters
    * @param {number} params.amount - Donation amount (in the specified currency)
    * @param {string} [params.currency='XLM'] - Currency of the amount (XLM, USD, EUR, GBP)
+   * @param {string} [params.quoteId] - Locked quote to execute at; amount may then be omitted
    * @param {string} params.donor - Donor identifier
    * @param {string} params.recipient - Recipient identifier
-   * @param {string} params.memo - Optional memo
+   * @param {string} [params.recipientFederation] - Federation address the recipient was resolved from
+   * @param {string} params.memo - Optional memo; may carry a fundraiser code
+   * @param {number|string} [params.campaign_id] - Campaign the donation counts towards
+   * @param {number|string} [params.fundraiser_id] - Fundraiser to attribute it to (implies its campaign)
    * @param {string|Object} [params.sourceAsset] - Optional source asset for cross-asset payments
    * @param {number} [params.sourceAmount] - Optional source asset amount
    * @param {string} params.idempotencyKey - Idempotency key
-   * @returns {Object} Created transaction
+   * @param {string} [params.ipAddress] - Donor IP, for the KYC threshold of the donor's country
+   * @returns {Object} Created transaction, or the held donation when the payment
+   *   goes to the KYC hold account
+   * @throws {ForbiddenError} SCREENING_BLOCKED when a party is on a blocking screening list
+   * @throws {BusinessLogicError} KYC_REQUIRED when a donation above the KYC threshold cannot be held
    */
   async createDonationRecord({
     amount,
     currency = 'XLM',
+    quoteId = null,
     donor,
     recipient,
+    recipientFederation = null,
     memo,
     notes,
     tags,
@@ -707,6 +916,7 @@ class DonationService {
     receivedAmount,
     sessionId,
     campaign_id = null,
+    fundraiser_id = null,
     anonymous = false,
     sourceAsset,
     sourceAmount,
@@ -716,6 +926,7 @@ class DonationService {
     encryptionMetadata = null,
     sdgCategories = [],
     correlationId = null,
+    ipAddress = null,
   }) {
     // Sanitize identifiers
     const rawDonor = donor ? sanitizeIdentifier(donor) : 'Anonymous';
@@ -751,6 +962,17 @@ class DonationService {
       throw new ValidationError(memoResult.error, null, memoResult.code);
     }
 
+    // A fundraiser's donations count towards its campaign
+    const fundraiser = await FundraiserService.resolveAttribution({
+      fundraiserId: fundraiser_id,
+      memo: !memoType || memoType === 'text' ? memo : null,
+      campaignId: campaign_id,
+    });
+    if (fundraiser) {
+      campaign_id = fundraiser.campaign_id;
+    }
+    await CampaignLifecycleService.assertAcceptsDonations(campaign_id);
+
     if (amount <= 0) {
       throw new ValidationError('Amount must be positive');
     }
@@ -758,21 +980,19 @@ class DonationService {
     // Validate tags against taxonomy
     this._validateTags(tags, apiKeyRole);
 
-    // Currency conversion
-    const normalizedCurrency = currency.toUpperCase();
-    let xlmAmount = amount;
-    if (normalizedCurrency !== 'XLM') {
-      try {
-        xlmAmount = await priceOracle.convertToXLM(amount, normalizedCurrency);
-        log.info('DONATION_SERVICE', 'Currency converted', {
-          originalAmount: amount,
-          originalCurrency: normalizedCurrency,
-          xlmAmount
-        });
-      } catch (err) {
-        throw new ValidationError(`Currency conversion failed: ${err.message}`);
-      }
-    }
+    // Sanctions screening before any payment is sent; a blocking match throws.
+    // The donor is only screened when it is a Stellar address.
+    const screening = await ScreeningService.screenDonation([
+      STELLAR_ADDRESS_PATTERN.test(rawDonor) ? { role: 'donor', address: rawDonor } : null,
+      sanitizedRecipient ? { role: 'recipient', address: sanitizedRecipient, federation: recipientFederation } : null,
+    ], {
+      stellarService: this.stellarService,
+      context: { idempotencyKey: idempotencyKey || null, amount: String(amount), currency, correlationId },
+    });
+
+    // Currency conversion, at the quote's locked rate when one is given
+    const { xlmAmount, fiat } = await this.resolveDonationAmount({ amount, currency, quoteId, apiKeyId });
+    if (fiat) amount = fiat.originalAmount;
 
     // Validate XLM amount and limits
     this.validateDonationAmount(xlmAmount, sanitizedDonor);
@@ -786,7 +1006,8 @@ class DonationService {
       ? receivedAmount
       : amount;
 
-    const overpayment = buildOverpaymentRecord(effectiveReceived, amount, feeCalculation.fee);
+    // calculateAnalyticsFee returns display strings; the detector works in numbers
+    const overpayment = buildOverpaymentRecord(effectiveReceived, amount, Number(feeCalculation.fee));
 
     if (overpayment) {
       log.warn('DONATION_SERVICE', 'Overpayment detected', {
@@ -813,79 +1034,129 @@ class DonationService {
     let selectedPath = [];
     let conversionRate = null;
 
-    if (sourceSecret && sanitizedRecipient) {
-      await this.checkRecipientAccountExists(sanitizedRecipient);
-      if (!sourceAssetProvided) {
-        // Set correlation ID on StellarService for this request
-        if (correlationId) {
-          this.stellarService.setCorrelationId(correlationId);
-        }
-        
-        stellarResult = await this.stellarService.sendDonation({
-          sourceSecret,
-          destinationPublic: sanitizedRecipient,
-          amount: normalizedSourceAmount.toString(),
-          memo: memoResult.sanitized,
-          asset: normalizedSourceAsset,
-          validAfter,
-          validBefore,
-        });
-        paymentMethod = 'direct';
-      } else {
-        // Set correlation ID on StellarService for this request
-        if (correlationId) {
-          this.stellarService.setCorrelationId(correlationId);
-        }
-        
-        const estimate = await this.stellarService.discoverBestPath({
-          sourceAsset: normalizedSourceAsset,
-          sourceAmount: normalizedSourceAmount.toString(),
-          destAsset: normalizedDestAsset,
-          destAmount: xlmAmount.toString(),
-        });
+    if (fiat && fiat.quoteId) {
+      await DonationQuoteService.claim(fiat.quoteId);
+    }
 
-        if (!estimate) {
-          throw new ValidationError('No conversion path found for the requested asset pair');
+    try {
+      if (sourceSecret && sanitizedRecipient) {
+        await this.checkRecipientAccountExists(sanitizedRecipient);
+
+        // Donations above the KYC threshold go to the hold account instead of
+        // the recipient until compliance approves the donor
+        const KycService = require('./KycService');
+        const kycService = new KycService(this.stellarService);
+        const { geoBlockMiddleware } = require('../middleware/geoBlock');
+        const countryCode = ipAddress ? geoBlockMiddleware.getCountryCode(ipAddress) : null;
+        const kycThreshold = await kycService.requiresHold({ account: rawDonor, amount: xlmAmount, countryCode });
+        if (kycThreshold !== null) {
+          // Held funds are XLM and are refunded to the donor's account
+          if (!STELLAR_ADDRESS_PATTERN.test(rawDonor) || sourceAssetProvided) {
+            throw new BusinessLogicError(
+              'KYC_REQUIRED',
+              'Donations above the KYC threshold must be sent in XLM from the donor\'s Stellar account',
+              { threshold: kycThreshold }
+            );
+          }
+          const [senderUser, receiverUser] = await Promise.all([
+            Database.get('SELECT id FROM users WHERE publicKey = ?', [rawDonor]),
+            Database.get('SELECT id FROM users WHERE publicKey = ?', [sanitizedRecipient]),
+          ]);
+          return await kycService.holdDonation({
+            sender: { publicKey: rawDonor },
+            receiver: { publicKey: sanitizedRecipient },
+            senderId: senderUser ? senderUser.id : null,
+            receiverId: receiverUser ? receiverUser.id : null,
+            sourceSecret,
+            amount: xlmAmount,
+            threshold: kycThreshold,
+            countryCode,
+            memo: memoResult.sanitized,
+            notes,
+            tags,
+            campaignId: campaign_id || null,
+            apiKeyId,
+            idempotencyKey,
+            fiat,
+            requestId: correlationId,
+          });
         }
 
-        selectedPath = estimate.path || [];
-        conversionRate = estimate.conversionRate;
+        if (!sourceAssetProvided) {
+          // Set correlation ID on StellarService for this request
+          if (correlationId) {
+            this.stellarService.setCorrelationId(correlationId);
+          }
 
-        try {
-          stellarResult = await this.stellarService.pathPayment(
-            normalizedSourceAsset,
-            normalizedSourceAmount.toString(),
-            normalizedDestAsset,
-            estimate.destAmount,
-            selectedPath,
-            {
-              sourceSecret,
-              destinationPublic: sanitizedRecipient,
-              memo: memoResult.sanitized,
-            }
-          );
-          paymentMethod = 'path';
-        } catch (error) {
-          if (isSameAsset(normalizedSourceAsset, normalizedDestAsset)) {
-            if (typeof this.stellarService.disableFailureSimulation === 'function') {
-              this.stellarService.disableFailureSimulation();
+          stellarResult = await this.stellarService.sendDonation({
+            sourceSecret,
+            destinationPublic: sanitizedRecipient,
+            amount: normalizedSourceAmount.toString(),
+            memo: memoResult.sanitized,
+            asset: normalizedSourceAsset,
+            validAfter,
+            validBefore,
+          });
+          paymentMethod = 'direct';
+        } else {
+          // Set correlation ID on StellarService for this request
+          if (correlationId) {
+            this.stellarService.setCorrelationId(correlationId);
+          }
+
+          const estimate = await this.stellarService.discoverBestPath({
+            sourceAsset: normalizedSourceAsset,
+            sourceAmount: normalizedSourceAmount.toString(),
+            destAsset: normalizedDestAsset,
+            destAmount: xlmAmount.toString(),
+          });
+
+          if (!estimate) {
+            throw new ValidationError('No conversion path found for the requested asset pair');
+          }
+
+          selectedPath = estimate.path || [];
+          conversionRate = estimate.conversionRate;
+
+          try {
+            stellarResult = await this.stellarService.pathPayment(
+              normalizedSourceAsset,
+              normalizedSourceAmount.toString(),
+              normalizedDestAsset,
+              estimate.destAmount,
+              selectedPath,
+              {
+                sourceSecret,
+                destinationPublic: sanitizedRecipient,
+                memo: memoResult.sanitized,
+              }
+            );
+            paymentMethod = 'path';
+          } catch (error) {
+            if (isSameAsset(normalizedSourceAsset, normalizedDestAsset)) {
+              if (typeof this.stellarService.disableFailureSimulation === 'function') {
+                this.stellarService.disableFailureSimulation();
+              }
+              stellarResult = await this.stellarService.sendDonation({
+                sourceSecret,
+                destinationPublic: sanitizedRecipient,
+                amount: normalizedSourceAmount.toString(),
+                memo: memoResult.sanitized,
+                asset: normalizedSourceAsset,
+                validAfter,
+                validBefore,
+              });
+              paymentMethod = 'direct';
+              fallbackUsed = true;
+            } else {
+              throw error;
             }
-            stellarResult = await this.stellarService.sendDonation({
-              sourceSecret,
-              destinationPublic: sanitizedRecipient,
-              amount: normalizedSourceAmount.toString(),
-              memo: memoResult.sanitized,
-              asset: normalizedSourceAsset,
-              validAfter,
-              validBefore,
-            });
-            paymentMethod = 'direct';
-            fallbackUsed = true;
-          } else {
-            throw error;
           }
         }
       }
+    } catch (error) {
+      await this.releaseQuote(fiat, correlationId);
+      throw error;
     }
 
     // #1157: DB-level idempotency replay for createDonationRecord path.
@@ -912,8 +1183,12 @@ class DonationService {
     // Create transaction record
     const transaction = Transaction.create({
       amount: xlmAmount,
-      originalAmount: normalizedCurrency !== 'XLM' ? amount : undefined,
-      originalCurrency: normalizedCurrency !== 'XLM' ? normalizedCurrency : undefined,
+      originalAmount: fiat ? fiat.originalAmount : undefined,
+      originalCurrency: fiat ? fiat.originalCurrency : undefined,
+      rateXLMperUnit: fiat ? fiat.rateXLMperUnit : undefined,
+      rateSource: fiat ? fiat.rateSource : undefined,
+      rateTimestamp: fiat ? fiat.rateTimestamp : undefined,
+      quoteId: fiat ? fiat.quoteId : undefined,
       donor: sanitizedDonor,
       recipient: sanitizedRecipient,
       memo: memoResult.sanitized,
@@ -942,6 +1217,7 @@ class DonationService {
       overpaymentFlagged: overpayment ? true : false,
       overpaymentDetails: overpayment || null,
       campaign_id: campaign_id || null,
+      fundraiser_id: fundraiser ? fundraiser.id : null,
       // Anonymous donation fields
       anonymous: anonymous === true,
       pseudonymousId: pseudonymousId || null,
@@ -949,10 +1225,22 @@ class DonationService {
       validAfter: validAfter || 0,
       validBefore: validBefore || 0,
       sdgCategories: sdgCategories || [],
+      screeningFlagged: screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+    }, {
+      // Webhooks, SSE and GraphQL subscriptions are fed from the outbox
+      outboxEvents: stellarResult ? ['donation.created', 'donation.confirmed'] : ['donation.created'],
     });
+    await Transaction.persisted(transaction.id);
+
+    if (fiat && fiat.quoteId) {
+      await DonationQuoteService.attachDonation(fiat.quoteId, transaction.id);
+    }
 
     if (campaign_id) {
-      await this.processCampaignContribution(campaign_id, xlmAmount).catch(err => {
+      await this.processCampaignContribution(campaign_id, xlmAmount, {
+        fundraiser,
+        donation: { id: transaction.id, donor: transaction.donor, amount: xlmAmount, anonymous: transaction.anonymous },
+      }).catch(err => {
         log.error('DONATION_SERVICE', 'Failed to update campaign contribution', { error: err.message });
       });
     }
@@ -989,6 +1277,24 @@ class DonationService {
       log.error('DONATION_SERVICE', 'Failed to process corporate matching', { error: err.message });
     }
 
+    await this.markGiftAid(transaction);
+    await this.recordTeamTotals({
+      id: transaction.id,
+      donor: transaction.donor,
+      amount: xlmAmount,
+      campaignId: campaign_id,
+      fundraiser,
+      createdAt: transaction.timestamp,
+    });
+    await this.recordQuadraticContribution({
+      id: transaction.id,
+      donor: transaction.donor,
+      recipient: transaction.recipient,
+      amount: xlmAmount,
+      stellarTxId: transaction.stellarTxId,
+      createdAt: transaction.timestamp,
+    });
+
     // Detect memo collision after the record is created so we have a transactionId
     const collisionResult = memoCollisionDetector.check({
       memo: memoResult.sanitized,
@@ -1017,24 +1323,52 @@ class DonationService {
       transaction.memoCollisionReason = null;
     }
 
-    // Publish GraphQL subscription events
-    const pubsub = require('../graphql/pubsub');
-    const donationEvent = {
-      id: transaction.id,
-      donor: transaction.donor,
-      recipient: transaction.recipient,
-      amount: transaction.amount,
-      status: transaction.status,
-      stellarTxId: transaction.stellarTxId,
-      campaign_id: transaction.campaign_id || null,
-      timestamp: transaction.timestamp,
-    };
-    pubsub.publish(pubsub.TOPICS.DONATION_CREATED, donationEvent);
-    if (transaction.status === TRANSACTION_STATES.CONFIRMED) {
-      pubsub.publish(pubsub.TOPICS.DONATION_COMPLETED, donationEvent);
+    return transaction;
+  }
+
+  /**
+   * Mark a new donation as Gift Aid eligible when a declaration of its donor
+   * covers it (non-blocking: a failure is logged, the donation stands).
+   * @param {Object} transaction - Transaction model record; gets giftAid when eligible
+   * @returns {Promise<void>}
+   */
+  async markGiftAid(transaction) {
+    try {
+      const giftAid = await GiftAidService.markDonation(transaction);
+      if (giftAid) {
+        transaction.giftAid = giftAid;
+      }
+    } catch (err) {
+      log.error('DONATION_SERVICE', 'Failed to mark Gift Aid eligibility', { error: err.message });
     }
+  }
 
-    return transaction;
+  /**
+   * Roll a donation up to its fundraiser, team and organization totals.
+   * Non-blocking: a failure is logged and does not fail the donation.
+   * @param {Object} donation - See TeamService.recordDonation
+   * @returns {Promise<void>}
+   */
+  async recordTeamTotals(donation) {
+    try {
+      await TeamService.recordDonation(donation);
+    } catch (err) {
+      log.error('DONATION_SERVICE', 'Failed to roll up team totals', { error: err.message });
+    }
+  }
+
+  /**
+   * Count a donation towards the quadratic funding rounds its recipient is a
+   * project in. Non-blocking: a failure is logged and does not fail the donation.
+   * @param {Object} donation - See QuadraticFundingService.recordDonation
+   * @returns {Promise<void>}
+   */
+  async recordQuadraticContribution(donation) {
+    try {
+      await QuadraticFundingService.recordDonation(donation);
+    } catch (err) {
+      log.error('DONATION_SERVICE', 'Failed to record quadratic funding contribution', { error: err.message });
+    }
   }
 
   /**
@@ -1072,23 +1406,27 @@ class DonationService {
    * @param {number} campaignId - Campaign ID
    * @param {Object} campaign - Campaign record
    * @param {number[]} newMilestones - Array of newly reached milestones
+   * @param {Object} [options]
+   * @param {Object} [options.fundraiser] - Fundraiser record when the milestones are the fundraiser's
    */
-  async emitMilestoneEvents(campaignId, campaign, newMilestones) {
+  async emitMilestoneEvents(campaignId, campaign, newMilestones, { fundraiser } = {}) {
     const SseManager = require('./SseManager');
     const { EventEmitter } = require('events');
     
     // Create a local event emitter for campaign milestone events
     const campaignEmitter = new EventEmitter();
+    const progress = fundraiser || campaign;
     
     for (const milestone of newMilestones) {
       const progressPercentage = Math.round(milestone * 100);
       const data = {
         campaign_id: campaignId,
         campaign_name: campaign.name,
+        ...(fundraiser && { fundraiser_id: fundraiser.id, fundraiser_title: fundraiser.title }),
         milestone_percentage: progressPercentage,
-        current_amount: campaign.current_amount,
-        goal_amount: campaign.goal_amount,
-        progress_percentage: Math.round((campaign.current_amount / campaign.goal_amount) * 100),
+        current_amount: progress.current_amount,
+        goal_amount: progress.goal_amount,
+        progress_percentage: Math.round((progress.current_amount / progress.goal_amount) * 100),
         timestamp: new Date().toISOString()
       };
 
@@ -1100,12 +1438,36 @@ class DonationService {
         SseManager.broadcastCampaignProgress(data);
       }
 
-      log.info('CAMPAIGN', `Milestone ${progressPercentage}% reached for campaign ${campaignId}`, data);
+      log.info('CAMPAIGN', fundraiser
+        ? `Milestone ${progressPercentage}% reached for fundraiser ${fundraiser.id} of campaign ${campaignId}`
+        : `Milestone ${progressPercentage}% reached for campaign ${campaignId}`, data);
     }
 
     return campaignEmitter;
   }
 
+  /**
+   * Send a progress_update to the campaign's (or fundraiser's) SSE progress streams
+   * @param {Object} campaign - Campaign record after the donation was counted
+   * @param {Object} [options]
+   * @param {Object} [options.fundraiser] - Fundraiser record when the update is the fundraiser's
+   */
+  emitProgressUpdate(campaign, { fundraiser } = {}) {
+    const SseManager = require('./SseManager');
+    const progress = fundraiser || campaign;
+
+    SseManager.broadcastCampaignProgress({
+      campaign_id: campaign.id,
+      campaign_name: campaign.name,
+      ...(fundraiser && { fundraiser_id: fundraiser.id, fundraiser_title: fundraiser.title }),
+      goal_amount: progress.goal_amount,
+      current_amount: progress.current_amount,
+      progress_percentage: Math.round((progress.current_amount / progress.goal_amount) * 100),
+      status: progress.status,
+      timestamp: new Date().toISOString()
+    }, 'progress_update');
+  }
+
   /**
    * Process follow-up actions for batch donations (campaign, matching, corporate matching)
    * This is a shared helper used by processBatch() to ensure consistent processing
@@ -1135,6 +1497,15 @@ class DonationService {
       log.error('DONATION_SERVICE', 'Failed to process donation matching', { error: err.message });
     }
 
+    await this.recordQuadraticContribution({
+      id: transaction.id,
+      donor: donorPublicKey,
+      recipient: transaction.recipient,
+      amount: transaction.amount,
+      stellarTxId: transaction.stellarTxId,
+      createdAt: transaction.timestamp,
+    });
+
     // Process corporate matching programs (non-blocking)
     try {
       // Get sender user ID from public key
@@ -1158,20 +1529,24 @@ class DonationService {
    * Update campaign progress with milestone detection and webhook dispatch
    * @param {number} campaignId - Campaign ID
    * @param {number} amount - Donation amount
+   * @param {Object} [attribution]
+   * @param {Object} [attribution.fundraiser] - Fundraiser the donation is attributed to
+   * @param {Object} [attribution.donation] - { id, donor, amount, anonymous } of the donation
    */
-  async processCampaignContribution(campaignId, amount) {
+  async processCampaignContribution(campaignId, amount, { fundraiser, donation } = {}) {
     const WebhookService = require('./WebhookService');
     const donationEvents = require('../events/donationEvents');
     
+    const liveStatuses = storedStatusesFor(CAMPAIGN_STATES.LIVE);
     const updateResult = await Database.run(
       `UPDATE campaigns 
        SET current_amount = current_amount + ? 
-       WHERE id = ? AND status = 'active'`,
-      [amount, campaignId]
+       WHERE id = ? AND status IN (${liveStatuses.map(() => '?').join(', ')})`,
+      [amount, campaignId, ...liveStatuses]
     );
 
     if (!updateResult || updateResult.changes === 0) {
-      log.debug('CAMPAIGN', 'No active campaign found or update had no effect', { campaignId });
+      log.debug('CAMPAIGN', 'No live campaign found or update had no effect', { campaignId });
       return;
     }
 
@@ -1182,6 +1557,12 @@ class DonationService {
       return;
     }
 
+    try {
+      this.emitProgressUpdate(campaign);
+    } catch (err) {
+      log.error('CAMPAIGN', 'Failed to emit progress update', { campaignId, error: err.message });
+    }
+
     // Check for new milestones
     const reachedMilestones = this.checkMilestones(campaign.current_amount, campaign.goal_amount);
     const notifiedMilestones = this.getNotifiedMilestones(campaign);
@@ -1234,15 +1615,9 @@ class DonationService {
     }
 
     // Check if goal is reached
-    if (campaign.current_amount >= campaign.goal_amount && campaign.status === 'active') {
+    if (campaign.current_amount >= campaign.goal_amount && isLive(campaign.status)) {
       try {
-        // Update campaign status to closed and set closed_at timestamp
-        await Database.run(
-          `UPDATE campaigns 
-           SET status = 'closed', closed_at = CURRENT_TIMESTAMP 
-           WHERE id = ?`,
-          [campaignId]
-        );
+        await CampaignLifecycleService.closeOnGoalReached(campaign);
 
         // Emit goal reached event
         try {
@@ -1276,12 +1651,84 @@ class DonationService {
         log.error('CAMPAIGN', 'Failed to process goal reached', { campaignId, error: err.message });
       }
     }
+
+    // Only what counted towards the campaign counts towards its fundraiser
+    if (fundraiser && donation) {
+      try {
+        await this.processFundraiserContribution(campaign, fundraiser, donation);
+      } catch (err) {
+        log.error('CAMPAIGN', 'Failed to update fundraiser contribution', { campaignId, fundraiserId: fundraiser.id, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Update a peer-to-peer fundraiser's progress with the same milestone
+   * detection and SSE events as its campaign. The totals, the milestones
+   * announced and their campaign.fundraiser_milestone outbox events commit
+   * together, so each milestone is delivered exactly once.
+   * @param {Object} campaign - Campaign record the donation was counted towards
+   * @param {Object} fundraiser - Fundraiser record the donation is attributed to
+   * @param {Object} donation - { id, donor, amount, anonymous }
+   */
+  async processFundraiserContribution(campaign, fundraiser, donation) {
+    const OutboxService = require('./OutboxService');
+
+    const result = await Database.runTransaction(async (tx) => {
+      const updated = await FundraiserService.recordDonation(tx, fundraiser.id, donation);
+      if (!updated) return null;
+
+      const notifiedMilestones = this.getNotifiedMilestones(updated);
+      const newMilestones = this.checkMilestones(updated.current_amount, updated.goal_amount)
+        .filter(m => !notifiedMilestones.includes(m));
+      if (newMilestones.length > 0) {
+        await FundraiserService.setNotifiedMilestones(tx, updated.id, [...notifiedMilestones, ...newMilestones]);
+      }
+      for (const milestone of newMilestones) {
+        await OutboxService.enqueue(tx, {
+          eventType: 'campaign.fundraiser_milestone',
+          aggregateType: 'fundraiser',
+          aggregateId: updated.id,
+          payload: {
+            campaign_id: campaign.id,
+            fundraiser_id: updated.id,
+            title: updated.title,
+            milestone_percentage: Math.round(milestone * 100),
+            current_amount: updated.current_amount,
+            goal_amount: updated.goal_amount,
+            progress_percentage: Math.round((updated.current_amount / updated.goal_amount) * 100),
+            timestamp: new Date().toISOString()
+          },
+        });
+      }
+      return { updated, newMilestones };
+    });
+    if (!result) {
+      log.debug('CAMPAIGN', 'Donation already counted for fundraiser', { fundraiserId: fundraiser.id, donationId: donation.id });
+      return;
+    }
+    const { updated, newMilestones } = result;
+
+    try {
+      this.emitProgressUpdate(campaign, { fundraiser: updated });
+    } catch (err) {
+      log.error('CAMPAIGN', 'Failed to emit fundraiser progress update', { fundraiserId: updated.id, error: err.message });
+    }
+    if (newMilestones.length === 0) return;
+
+    try {
+      await this.emitMilestoneEvents(campaign.id, campaign, newMilestones, { fundraiser: updated });
+    } catch (err) {
+      log.error('CAMPAIGN', 'Failed to emit fundraiser milestone events', { fundraiserId: updated.id, error: err.message });
+    }
   }
 
   /**
    * Process a batch of donations (up to 100).
    * Donations sharing the same donor are grouped into a single multi-operation Stellar transaction.
    * If batch transaction fails, falls back to processing donations individually.
+   * Every donation is screened before any is submitted; blocked ones fail on their own.
+   * Donations above the KYC threshold are held (see KycService.holdDonation) instead of batched.
    * @param {Array<{amount, currency, donor, recipient, memo, idempotencyKey, campaign_id?}>} donations
    * @returns {Promise<Array<{index, success, data?, error?}>>}
    */
@@ -1312,22 +1759,72 @@ class DonationService {
 
           this.validateDonationAmount(xlmAmount, sanitizedDonor);
           const memoResult = this.validateAndSanitizeMemo(d.memo);
+          await CampaignLifecycleService.assertAcceptsDonations(d.campaign_id);
+
+          // Sanctions screening before anything in the batch is submitted; a
+          // blocked donation is dropped from the batch, a flagged one is marked
+          const screening = await ScreeningService.screenDonation([
+            STELLAR_ADDRESS_PATTERN.test(sanitizedDonor) ? { role: 'donor', address: sanitizedDonor } : null,
+            { role: 'recipient', address: sanitizedRecipient },
+          ], {
+            stellarService: this.stellarService,
+            context: { idempotencyKey: d.idempotencyKey || null, amount: String(xlmAmount), batchIndex: d.index },
+          });
 
-          prepared.push({ d, sanitizedDonor, sanitizedRecipient, xlmAmount, memo: memoResult.sanitized });
+          prepared.push({
+            d,
+            sanitizedDonor,
+            sanitizedRecipient,
+            xlmAmount,
+            memo: memoResult.sanitized,
+            screeningFlagged: screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+          });
         } catch (err) {
-          results[d.index] = { index: d.index, success: false, error: { code: err.code || 'VALIDATION_ERROR', message: err.message } };
+          const code = err.errorCode === 'SCREENING_BLOCKED' ? err.errorCode : (err.code || 'VALIDATION_ERROR');
+          results[d.index] = { index: d.index, success: false, error: { code, message: err.message } };
         }
       }
 
       if (prepared.length === 0) return;
 
+      const sender = await this.getUserById(prepared[0].sanitizedDonor, 'Donor').catch(() => null);
+
+      // Donations above the KYC threshold are paid into the hold account one by
+      // one instead of joining the batch. Only custodial donors move funds here.
+      if (sender && sender.encryptedSecret) {
+        const KycService = require('./KycService');
+        const kycService = new KycService(this.stellarService);
+        for (const p of prepared.slice()) {
+          try {
+            const threshold = await kycService.requiresHold({ account: p.sanitizedDonor, amount: p.xlmAmount });
+            if (threshold === null) continue;
+            const receiver = await Database.get('SELECT id FROM users WHERE publicKey = ?', [p.sanitizedRecipient]);
+            const held = await kycService.holdDonation({
+              sender: { publicKey: p.sanitizedDonor },
+              receiver: { publicKey: p.sanitizedRecipient },
+              senderId: sender.id,
+              receiverId: receiver ? receiver.id : null,
+              sourceSecret: encryption.decrypt(sender.encryptedSecret),
+              amount: p.xlmAmount,
+              threshold,
+              memo: p.memo,
+              campaignId: p.d.campaign_id || null,
+              idempotencyKey: p.d.idempotencyKey,
+            });
+            results[p.d.index] = { index: p.d.index, success: true, data: held };
+          } catch (err) {
+            results[p.d.index] = { index: p.d.index, success: false, error: { code: err.code || 'TRANSACTION_FAILED', message: err.message } };
+          }
+          prepared.splice(prepared.indexOf(p), 1);
+        }
+        if (prepared.length === 0) return;
+      }
+
       // First attempt: multi-op Stellar transaction for the whole group
       let batchSuccess = false;
       let stellarResult = null;
       
       try {
-        const sender = await this.getUserById(prepared[0].sanitizedDonor, 'Donor').catch(() => null);
-        
         if (sender && sender.encryptedSecret) {
           const secret = encryption.decrypt(sender.encryptedSecret);
           const payments = prepared.map(p => ({
@@ -1361,6 +1858,7 @@ class DonationService {
             idempotencyKey: p.d.idempotencyKey,
             analyticsFee: feeCalc.fee,
             analyticsFeePercentage: feeCalc.feePercentage,
+            screeningFlagged: p.screeningFlagged,
             ...(stellarResult ? { stellarTxId: stellarResult.transactionId, stellarLedger: stellarResult.ledger } : {}),
           });
           
@@ -1402,6 +1900,7 @@ class DonationService {
               idempotencyKey: p.d.idempotencyKey,
               analyticsFee: feeCalc.fee,
               analyticsFeePercentage: feeCalc.feePercentage,
+              screeningFlagged: p.screeningFlagged,
               ...(individualStellarResult ? { stellarTxId: individualStellarResult.transactionId, stellarLedger: individualStellarResult.ledger } : {}),
             });
             
@@ -1801,16 +2300,19 @@ class DonationService {
    * @param {Object} params - Refund parameters
    * @param {string} params.reason - Reason for refund
    * @param {string} params.requestId - Request ID for logging
+   * @param {number} [params.amount] - Partial refund amount in XLM (default: the full donation)
+   * @param {boolean} [params.enforceRefundWindow=true] - False for admin-decided refunds
+   *   such as dispute resolutions, which may happen after REFUND_WINDOW_HOURS
    * @returns {Promise<Object>} Refund result with reverse transaction details
    * @throws {NotFoundError} If donation not found
    * @throws {ValidationError} If donation is not eligible for refund
    * @throws {BusinessLogicError} If refund fails
    */
-  async refundDonation(donationId, { reason, notes, idempotencyKey, recipientSecret, requestId }) {
+  async refundDonation(donationId, { reason, notes, idempotencyKey, recipientSecret, requestId, amount, enforceRefundWindow = true }) {
     const StellarSdk = require('stellar-sdk');
     const { BusinessLogicError, DuplicateError, ValidationError } = require('../utils/errors');
     const AuditLogService = require('./AuditLogService');
-    const WebhookService = require('./WebhookService');
+    const OutboxService = require('./OutboxService');
 
     log.debug('DONATION_SERVICE', 'Processing refund request', {
       requestId,
@@ -1871,12 +2373,19 @@ class DonationService {
       }
     }
 
+    // Partial refunds send back part of the donation and leave its status unchanged
+    const refundAmount = amount === undefined || amount === null ? donation.amount : Number(amount);
+    if (!(refundAmount > 0) || refundAmount > donation.amount) {
+      throw new ValidationError(`Refund amount must be greater than 0 and at most ${donation.amount}`);
+    }
+    const isPartial = refundAmount < donation.amount;
+
     // Check refund eligibility window (hours-based, default 24)
     const refundWindowHours = parseInt(process.env.REFUND_WINDOW_HOURS || '24', 10);
     const donationTimestamp = new Date(donation.timestamp);
     const hoursSinceDonation = (Date.now() - donationTimestamp.getTime()) / (1000 * 60 * 60);
 
-    if (hoursSinceDonation > refundWindowHours) {
+    if (enforceRefundWindow && hoursSinceDonation > refundWindowHours) {
       throw new BusinessLogicError(
         'REFUND_WINDOW_EXPIRED',
         `Refund window has expired. Donations can only be refunded within ${refundWindowHours} hours of creation.`,
@@ -1912,7 +2421,7 @@ class DonationService {
     log.debug('DONATION_SERVICE', 'Creating reverse Stellar transaction', {
       requestId,
       donationId,
-      amount: donation.amount,
+      amount: refundAmount,
       originalTxId: donation.stellarTxId
     });
 
@@ -1925,7 +2434,7 @@ class DonationService {
       [
         donationId,
         `pending_${Date.now()}`,
-        donation.amount,
+        refundAmount,
         reason || null,
         notes || null,
         idempotencyKey || null,
@@ -1942,7 +2451,7 @@ class DonationService {
       reverseResult = await this.stellarService.sendDonation({
         sourceSecret: secret,
         destinationPublic: donation.donor,
-        amount: donation.amount,
+        amount: refundAmount,
         memo: `REFUND:${donationId}`
       });
     } catch (stellarErr) {
@@ -1960,29 +2469,39 @@ class DonationService {
       ledger: reverseResult.ledger
     });
 
-    // Update refund record to completed
-    await Database.run(
-      `UPDATE refunds SET reverse_transaction_id = ?, stellar_ledger = ?, status = 'completed' WHERE id = ?`,
-      [reverseResult.transactionId, reverseResult.ledger, pendingRecord.id]
-    );
-
-    // Update original donation status to refunded
-    Transaction.updateStatus(donationId, 'refunded', {
-      refundId: pendingRecord.id,
-      reverseTxId: reverseResult.transactionId,
-      reverseLedger: reverseResult.ledger,
-      refundedAt: new Date().toISOString()
+    // Complete the refund record and record the donation.refunded event atomically.
+    // A refunded donation no longer counts towards open quadratic funding rounds.
+    const refundedAt = new Date().toISOString();
+    await Database.runTransaction(async (tx) => {
+      await tx.run(
+        `UPDATE refunds SET reverse_transaction_id = ?, stellar_ledger = ?, status = 'completed' WHERE id = ?`,
+        [reverseResult.transactionId, reverseResult.ledger, pendingRecord.id]
+      );
+      await QuadraticFundingService.removeDonation(donationId, tx);
+      await OutboxService.enqueue(tx, {
+        eventType: 'donation.refunded',
+        aggregateType: 'donation',
+        aggregateId: donationId,
+        payload: {
+          donationId,
+          refundId: pendingRecord.id,
+          amount: refundAmount,
+          reverseTxId: reverseResult.transactionId,
+          reason: reason || null,
+          refundedAt,
+        },
+      });
     });
 
-    // Emit donation.refunded webhook event
-    WebhookService.deliver('donation.refunded', {
-      donationId,
-      refundId: pendingRecord.id,
-      amount: donation.amount,
-      reverseTxId: reverseResult.transactionId,
-      reason: reason || null,
-      refundedAt: new Date().toISOString(),
-    }).catch(() => {});
+    // Update original donation status to refunded
+    if (!isPartial) {
+      Transaction.updateStatus(donationId, 'refunded', {
+        refundId: pendingRecord.id,
+        reverseTxId: reverseResult.transactionId,
+        reverseLedger: reverseResult.ledger,
+        refundedAt
+      });
+    }
 
     // Log refund in audit trail
     await AuditLogService.log({
@@ -1996,7 +2515,8 @@ class DonationService {
         operation: 'refund',
         originalDonationId: donationId,
         refundId: pendingRecord.id,
-        amount: donation.amount,
+        amount: refundAmount,
+        partial: isPartial,
         reason,
         reverseTxId: reverseResult.transactionId,
         originalTxId: donation.stellarTxId
@@ -2019,7 +2539,7 @@ class DonationService {
     const analyticsFee = donation.analyticsFee !== undefined
       ? donation.analyticsFee
       : (donation.amount * analyticsFeePercentage) / 100;
-    const refundedAmount = donation.amount - analyticsFee;
+    const refundedAmount = isPartial ? refundAmount : donation.amount - analyticsFee;
 
     return {
       refundId: pendingRecord.id,
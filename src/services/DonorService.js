@@ -0,0 +1,357 @@
+/**
+ * Donor Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Donor profiles, their linked wallets and communication preferences,
+ *                 and the donor-scoped views behind the /me API
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, Transaction model, encryption utility
+ *
+ * A donor is identified by any wallet linked to their profile. Every wallet
+ * is proved with a SEP-10 signature before it is linked, and a wallet belongs
+ * to at most one donor. The first SEP-10 sign-in with an unlinked wallet
+ * creates a profile for it; linking that wallet to another donor later folds
+ * the profile away as long as nothing was ever added to it.
+ */
+
+'use strict';
+
+const Database = require('../utils/database');
+const Transaction = require('../models/transaction');
+const encryption = require('../utils/encryption');
+const { isValidStellarPublicKey } = require('../utils/validators');
+const log = require('../utils/log');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+/** Communication preferences a new donor starts with. */
+const DEFAULT_PREFERENCES = Object.freeze({
+  receiptEmails: true,
+  taxStatementEmails: true,
+  campaignUpdates: false,
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+const MAX_LABEL_LENGTH = 50;
+
+class DonorService {
+  /**
+   * The donor a wallet is linked to, creating a profile for the wallet when
+   * it is not linked yet. Callers must already have proved control of the
+   * wallet (a SEP-10 token for it).
+   *
+   * @param {string} publicKey
+   * @returns {Promise<Object>} Profile, see getProfile()
+   */
+  static async resolveForWallet(publicKey) {
+    const linked = await Database.get('SELECT donorId FROM donor_wallets WHERE publicKey = ?', [publicKey]);
+    if (linked) {
+      return this.getProfile(linked.donorId);
+    }
+
+    const donorId = await Database.runTransaction(async (tx) => {
+      // Another request for the same wallet may have won the race
+      const existing = await tx.get('SELECT donorId FROM donor_wallets WHERE publicKey = ?', [publicKey]);
+      if (existing) return existing.donorId;
+
+      const { id } = await tx.run('INSERT INTO donors (preferences) VALUES (?)', [JSON.stringify(DEFAULT_PREFERENCES)]);
+      await tx.run(
+        'INSERT INTO donor_wallets (donorId, publicKey, verifiedAt) VALUES (?, ?, ?)',
+        [id, publicKey, new Date().toISOString()]
+      );
+      return id;
+    });
+
+    log.info('DONOR_SERVICE', 'Donor profile created', { donorId });
+    return this.getProfile(donorId);
+  }
+
+  /**
+   * @param {number} donorId
+   * @returns {Promise<Object>} { id, displayName, email, preferences, wallets, createdAt, updatedAt }
+   * @throws {NotFoundError} DONOR_NOT_FOUND
+   */
+  static async getProfile(donorId) {
+    const row = await Database.get('SELECT * FROM donors WHERE id = ?', [donorId]);
+    if (!row) {
+      throw new NotFoundError('Donor not found', 'DONOR_NOT_FOUND');
+    }
+    return {
+      id: row.id,
+      displayName: row.displayName || null,
+      email: row.encryptedEmail ? encryption.decrypt(row.encryptedEmail) : null,
+      preferences: this._parsePreferences(row.preferences),
+      wallets: await this.getWallets(donorId),
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    };
+  }
+
+  /**
+   * @param {number} donorId
+   * @param {Object} changes
+   * @param {string|null} [changes.displayName]
+   * @param {string|null} [changes.email] - null removes it
+   * @returns {Promise<Object>} Updated profile
+   * @throws {ValidationError}
+   */
+  static async updateProfile(donorId, { displayName, email } = {}) {
+    const sets = [];
+    const params = [];
+
+    if (displayName !== undefined) {
+      if (displayName !== null && (typeof displayName !== 'string' || displayName.trim().length > MAX_DISPLAY_NAME_LENGTH)) {
+        throw new ValidationError(`displayName must be a string of at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+      }
+      sets.push('displayName = ?');
+      params.push(displayName === null ? null : displayName.trim() || null);
+    }
+    if (email !== undefined) {
+      if (email !== null && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
+        throw new ValidationError('email must be a valid email address', null, 'INVALID_EMAIL');
+      }
+      sets.push('encryptedEmail = ?');
+      params.push(email === null ? null : encryption.encrypt(email.trim()));
+    }
+
+    if (sets.length > 0) {
+      await Database.run(
+        `UPDATE donors SET ${sets.join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, donorId]
+      );
+    }
+    return this.getProfile(donorId);
+  }
+
+  /**
+   * Change some communication preferences; the rest keep their value.
+   *
+   * @param {number} donorId
+   * @param {Object} changes - Subset of DEFAULT_PREFERENCES keys, boolean values
+   * @returns {Promise<Object>} All preferences
+   * @throws {ValidationError} For unknown keys or non-boolean values
+   */
+  static async updatePreferences(donorId, changes = {}) {
+    for (const [key, value] of Object.entries(changes)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_PREFERENCES, key)) {
+        throw new ValidationError(`Unknown preference: ${key}. Valid: ${Object.keys(DEFAULT_PREFERENCES).join(', ')}`);
+      }
+      if (typeof value !== 'boolean') {
+        throw new ValidationError(`${key} must be a boolean`);
+      }
+    }
+
+    const { preferences } = await this.getProfile(donorId);
+    const updated = { ...preferences, ...changes };
+    await Database.run(
+      'UPDATE donors SET preferences = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(updated), donorId]
+    );
+    return updated;
+  }
+
+  /**
+   * @param {number} donorId
+   * @returns {Promise<Object[]>} { publicKey, label, verifiedAt }, oldest first
+   */
+  static async getWallets(donorId) {
+    return Database.query(
+      'SELECT publicKey, label, verifiedAt FROM donor_wallets WHERE donorId = ? ORDER BY id',
+      [donorId]
+    );
+  }
+
+  /**
+   * Link a wallet the donor has just proved control of with SEP-10.
+   * Linking a wallet the donor already has only updates its label. A wallet
+   * still sitting in the profile its first sign-in created, with no other
+   * wallets and nothing else recorded, moves over and that profile is deleted.
+   *
+   * @param {number} donorId
+   * @param {string} publicKey
+   * @param {Object} [options]
+   * @param {string} [options.label]
+   * @returns {Promise<Object[]>} The donor's wallets
+   * @throws {ValidationError|ConflictError} WALLET_ALREADY_LINKED when another donor uses it
+   */
+  static async linkWallet(donorId, publicKey, { label } = {}) {
+    if (!isValidStellarPublicKey(publicKey)) {
+      throw new ValidationError('Invalid Stellar public key');
+    }
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+      throw new ValidationError(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+
+    const now = new Date().toISOString();
+    const previous = await Database.runTransaction(async (tx) => {
+      const existing = await tx.get('SELECT donorId FROM donor_wallets WHERE publicKey = ?', [publicKey]);
+      if (!existing) {
+        await tx.run(
+          'INSERT INTO donor_wallets (donorId, publicKey, label, verifiedAt) VALUES (?, ?, ?, ?)',
+          [donorId, publicKey, label || null, now]
+        );
+        return null;
+      }
+      if (existing.donorId !== donorId && !(await this._isUnused(tx, existing.donorId))) {
+        throw new ConflictError('Wallet is linked to another donor account', 'WALLET_ALREADY_LINKED');
+      }
+
+      await tx.run(
+        'UPDATE donor_wallets SET donorId = ?, label = COALESCE(?, label), verifiedAt = ? WHERE publicKey = ?',
+        [donorId, label || null, now, publicKey]
+      );
+      if (existing.donorId !== donorId) {
+        await tx.run('DELETE FROM donors WHERE id = ?', [existing.donorId]);
+      }
+      return existing.donorId;
+    });
+
+    if (previous !== donorId) {
+      log.info('DONOR_SERVICE', 'Wallet linked', {
+        donorId,
+        wallet: `${publicKey.slice(0, 4)}...${publicKey.slice(-4)}`,
+        ...(previous !== null && { mergedDonorId: previous }),
+      });
+    }
+    return this.getWallets(donorId);
+  }
+
+  /**
+   * @param {number} donorId
+   * @param {string} publicKey
+   * @param {Object} [options]
+   * @param {string} [options.currentWallet] - Wallet the caller signed in with; it cannot be removed
+   * @returns {Promise<Object[]>} The donor's remaining wallets
+   * @throws {NotFoundError|BusinessLogicError}
+   */
+  static async unlinkWallet(donorId, publicKey, { currentWallet } = {}) {
+    const wallets = await this.getWallets(donorId);
+    if (!wallets.some(w => w.publicKey === publicKey)) {
+      throw new NotFoundError('Wallet is not linked to this donor', 'WALLET_NOT_LINKED');
+    }
+    if (publicKey === currentWallet) {
+      throw new BusinessLogicError('CURRENT_WALLET', 'Sign in with another wallet to remove this one');
+    }
+    await Database.run('DELETE FROM donor_wallets WHERE donorId = ? AND publicKey = ?', [donorId, publicKey]);
+    return this.getWallets(donorId);
+  }
+
+  /**
+   * Donations sent from any of the donor's wallets, newest first.
+   *
+   * @param {number} donorId
+   * @param {Object} [options]
+   * @param {string} [options.status]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{donations: Object[], total: number}>}
+   */
+  static async listDonations(donorId, { status, limit = 20, offset = 0 } = {}) {
+    const keys = new Set((await this.getWallets(donorId)).map(w => w.publicKey));
+    const donations = Transaction.getAll()
+      .filter(t => keys.has(t.donor) && (!status || t.status === status))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return { donations: donations.slice(offset, offset + limit), total: donations.length };
+  }
+
+  /**
+   * @param {number} donorId
+   * @param {string} donationId
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} When the donation was not sent from one of the donor's wallets
+   */
+  static async getDonation(donorId, donationId) {
+    const donation = Transaction.getById(donationId);
+    const wallets = await this.getWallets(donorId);
+    if (!donation || !wallets.some(w => w.publicKey === donation.donor)) {
+      throw new NotFoundError('Donation not found', 'DONATION_NOT_FOUND');
+    }
+    return donation;
+  }
+
+  /**
+   * Recurring schedules paying from any of the donor's wallets.
+   * @param {number} donorId
+   * @returns {Promise<Object[]>} Rows with donorPublicKey and recipientPublicKey
+   */
+  static async listRecurringSchedules(donorId) {
+    const keys = (await this.getWallets(donorId)).map(w => w.publicKey);
+    if (keys.length === 0) return [];
+    return Database.query(
+      `SELECT rd.*, donor.publicKey AS donorPublicKey, recipient.publicKey AS recipientPublicKey
+       FROM recurring_donations rd
+       JOIN users donor     ON rd.donorId     = donor.id
+       JOIN users recipient ON rd.recipientId = recipient.id
+       WHERE donor.publicKey IN (${keys.map(() => '?').join(', ')})
+       ORDER BY rd.id DESC`,
+      keys
+    );
+  }
+
+  /**
+   * Pledges made from any of the donor's wallets. A pledge's donor_wallet_id
+   * holds either the wallet's public key or its users.id.
+   * @param {number} donorId
+   * @returns {Promise<Object[]>}
+   */
+  static async listPledges(donorId) {
+    const keys = (await this.getWallets(donorId)).map(w => w.publicKey);
+    if (keys.length === 0) return [];
+    const placeholders = keys.map(() => '?').join(', ');
+    return Database.query(
+      `SELECT * FROM pledges
+       WHERE donor_wallet_id IN (${placeholders})
+          OR donor_wallet_id IN (SELECT CAST(id AS TEXT) FROM users WHERE publicKey IN (${placeholders}))
+       ORDER BY created_at DESC`,
+      [...keys, ...keys]
+    );
+  }
+
+  /**
+   * Whether a donor is only what a first sign-in created: one wallet, no
+   * name, email or preference changes, and no declarations, statements,
+   * fundraisers or teams.
+   * @private
+   * @param {Object} tx
+   * @param {number} donorId
+   * @returns {Promise<boolean>}
+   */
+  static async _isUnused(tx, donorId) {
+    const donor = await tx.get('SELECT displayName, encryptedEmail, preferences FROM donors WHERE id = ?', [donorId]);
+    if (!donor || donor.displayName || donor.encryptedEmail) return false;
+    if (JSON.stringify(this._parsePreferences(donor.preferences)) !== JSON.stringify(DEFAULT_PREFERENCES)) return false;
+
+    const { count } = await tx.get(
+      `SELECT (SELECT COUNT(*) FROM donor_wallets WHERE donorId = ?)
+            + (SELECT COUNT(*) FROM gift_aid_declarations WHERE donorId = ?)
+            + (SELECT COUNT(*) FROM tax_statements WHERE donorId = ?)
+            + (SELECT COUNT(*) FROM campaign_fundraisers WHERE donor_id = ?)
+            + (SELECT COUNT(*) FROM team_members WHERE donor_id = ?)
+            + (SELECT COUNT(*) FROM teams WHERE created_by = ?) AS count`,
+      Array(6).fill(donorId)
+    );
+    return count === 1;
+  }
+
+  /**
+   * @private
+   * @param {string} value - JSON column
+   * @returns {Object}
+   */
+  static _parsePreferences(value) {
+    let stored = {};
+    try {
+      stored = JSON.parse(value || '{}');
+    } catch (_) {
+      log.warn('DONOR_SERVICE', 'Unreadable donor preferences, using defaults');
+    }
+    return { ...DEFAULT_PREFERENCES, ...stored };
+  }
+}
+
+module.exports = DonorService;
+module.exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
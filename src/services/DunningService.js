@@ -0,0 +1,347 @@
+/**
+ * Dunning Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Retry failed recurring donations over days according to the
+ *                 dunning policy, notify donors between attempts and suspend
+ *                 schedules once the policy is exhausted
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, OutboxService, WebhookService, StellarErrorHandler, dunningPolicy
+ *
+ * A schedule in dunning stays active with nextExecutionDate moved to its next
+ * retry, so the scheduler picks it up without special casing. The occurrence
+ * being retried is kept in dunningScheduledFor so every retry reuses its
+ * idempotency key. A successful execution clears the dunning columns.
+ */
+
+'use strict';
+
+const nodemailer = require('nodemailer');
+const Database = require('../utils/database');
+const OutboxService = require('./OutboxService');
+const WebhookService = require('./WebhookService');
+const StellarErrorHandler = require('../utils/stellarErrorHandler');
+const log = require('../utils/log');
+const { SCHEDULE_STATUS } = require('../constants');
+const { loadDunningPolicy, failureClassFor } = require('../config/dunningPolicy');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Webhook/outbox events emitted by dunning. */
+const DUNNING_EVENTS = Object.freeze({
+  RETRY_SCHEDULED: 'recurring_donation.retry_scheduled',
+  SUSPENDED: 'recurring_donation.suspended',
+  RECOVERED: 'recurring_donation.recovered',
+});
+
+let _policy = null;
+let _columnsReady = false;
+
+/**
+ * Active policy, loaded from DUNNING_POLICY on first use. An invalid override
+ * is logged and the defaults are used instead.
+ * @returns {Object}
+ */
+function policy() {
+  if (!_policy) {
+    try {
+      _policy = loadDunningPolicy();
+    } catch (err) {
+      log.warn('DUNNING', 'Invalid DUNNING_POLICY; using defaults', { error: err.message });
+      _policy = loadDunningPolicy('');
+    }
+  }
+  return _policy;
+}
+
+/**
+ * Add the dunning columns on first use (see migration 046_recurring_dunning).
+ * @returns {Promise<void>}
+ */
+async function ensureColumns() {
+  if (_columnsReady) return;
+  const columns = [
+    'dunningAttempt INTEGER DEFAULT 0',
+    'dunningFailureClass TEXT',
+    'dunningStartedAt DATETIME',
+    'dunningNextRetryAt DATETIME',
+    'dunningScheduledFor DATETIME',
+    'suspendReason TEXT',
+    'notificationEmail TEXT',
+  ];
+  for (const column of columns) {
+    try {
+      await Database.run(`ALTER TABLE recurring_donations ADD COLUMN ${column}`, []);
+    } catch (_) { /* column already exists */ }
+  }
+  _columnsReady = true;
+}
+
+class DunningService {
+  /**
+   * Classify an execution error and look up its policy.
+   * @param {Error|Object} error - Error from sendPayment (raw or already handled)
+   * @returns {{ code: string, failureClass: string, policy: Object }}
+   */
+  static classify(error) {
+    const { code } = StellarErrorHandler.classify(error || {});
+    const failureClass = failureClassFor(code);
+    return { code, failureClass, policy: policy()[failureClass] };
+  }
+
+  /**
+   * Whether the scheduler's immediate backoff retries are worth attempting.
+   * @param {Error|Object} error
+   * @returns {boolean}
+   */
+  static shouldRetryInCycle(error) {
+    return DunningService.classify(error).policy.retryInCycle;
+  }
+
+  /**
+   * Record a failed execution cycle: schedule the next dunning retry, or
+   * suspend the schedule when its failure class has no retries left.
+   *
+   * @param {Object} schedule - Schedule row (with donor/recipient public keys)
+   * @param {Error|Object} error - Last error of the cycle
+   * @param {Date} [now]
+   * @returns {Promise<{ state: 'retry_scheduled'|'suspended', failureClass: string, attempt: number, nextRetryAt: string|null }>}
+   */
+  static async recordFailure(schedule, error, now = new Date()) {
+    await ensureColumns();
+    const { code, failureClass, policy: classPolicy } = DunningService.classify(error);
+    const delays = classPolicy.retryDelaysHours;
+    const attempt = (schedule.dunningAttempt || 0) + 1;
+    const timestamp = now.toISOString();
+    const exhausted = attempt > delays.length;
+    const nextRetryAt = exhausted
+      ? null
+      : new Date(now.getTime() + delays[attempt - 1] * MS_PER_HOUR).toISOString();
+
+    const payload = {
+      scheduleId: schedule.id,
+      donorPublicKey: schedule.donorPublicKey || null,
+      recipientPublicKey: schedule.recipientPublicKey || null,
+      amount: String(schedule.amount),
+      failureClass,
+      errorCode: code,
+      errorMessage: (error && error.message) || String(error),
+      attempt: exhausted ? attempt - 1 : attempt,
+      maxAttempts: delays.length,
+      nextRetryAt,
+      timestamp,
+    };
+    const eventType = exhausted ? DUNNING_EVENTS.SUSPENDED : DUNNING_EVENTS.RETRY_SCHEDULED;
+
+    await Database.runTransaction(async (tx) => {
+      if (exhausted) {
+        await tx.run(
+          `UPDATE recurring_donations
+           SET status = ?, suspendReason = ?, dunningFailureClass = ?, dunningNextRetryAt = NULL,
+               dunningStartedAt = COALESCE(dunningStartedAt, ?)
+           WHERE id = ?`,
+          [SCHEDULE_STATUS.SUSPENDED, `dunning:${failureClass}`, failureClass, timestamp, schedule.id]
+        );
+      } else {
+        await tx.run(
+          `UPDATE recurring_donations
+           SET dunningAttempt = ?, dunningFailureClass = ?, dunningNextRetryAt = ?,
+               dunningStartedAt = COALESCE(dunningStartedAt, ?),
+               dunningScheduledFor = COALESCE(dunningScheduledFor, nextExecutionDate),
+               nextExecutionDate = ?
+           WHERE id = ?`,
+          [attempt, failureClass, nextRetryAt, timestamp, nextRetryAt, schedule.id]
+        );
+      }
+      await OutboxService.enqueue(tx, {
+        eventType,
+        aggregateType: 'recurring_donation',
+        aggregateId: schedule.id,
+        payload,
+      });
+    });
+
+    log.info('DUNNING', exhausted ? 'Schedule suspended after dunning' : 'Dunning retry scheduled', {
+      scheduleId: schedule.id,
+      failureClass,
+      attempt: payload.attempt,
+      nextRetryAt,
+    });
+
+    if (exhausted || classPolicy.notifyDonor) {
+      await DunningService.notifyDonor(schedule, eventType, payload);
+    }
+
+    return { state: exhausted ? 'suspended' : 'retry_scheduled', failureClass, attempt: payload.attempt, nextRetryAt };
+  }
+
+  /**
+   * Emit the recovered event after a schedule in dunning executes successfully.
+   * The execution itself clears the dunning columns.
+   *
+   * @param {Object} schedule - Schedule row as it was before the execution
+   * @param {string|null} transactionHash
+   * @returns {Promise<void>}
+   */
+  static async recordRecovery(schedule, transactionHash = null) {
+    const payload = {
+      scheduleId: schedule.id,
+      donorPublicKey: schedule.donorPublicKey || null,
+      recipientPublicKey: schedule.recipientPublicKey || null,
+      amount: String(schedule.amount),
+      failureClass: schedule.dunningFailureClass || null,
+      attempts: schedule.dunningAttempt || 0,
+      transactionHash,
+      timestamp: new Date().toISOString(),
+    };
+    await OutboxService.enqueue(Database, {
+      eventType: DUNNING_EVENTS.RECOVERED,
+      aggregateType: 'recurring_donation',
+      aggregateId: schedule.id,
+      payload,
+    });
+    log.info('DUNNING', 'Schedule recovered from dunning', { scheduleId: schedule.id, attempts: payload.attempts });
+  }
+
+  /**
+   * Notify the donor through the schedule's webhook URL and notification email.
+   * Delivery failures are logged and never affect the schedule.
+   *
+   * @param {Object} schedule
+   * @param {string} eventType
+   * @param {Object} payload
+   * @returns {Promise<void>}
+   */
+  static async notifyDonor(schedule, eventType, payload) {
+    if (schedule.webhookUrl) {
+      try {
+        const result = await WebhookService.sendFailureNotification(schedule.webhookUrl, payload, eventType);
+        log.info('DUNNING', 'Donor webhook notification result', {
+          scheduleId: schedule.id,
+          eventType,
+          delivered: result.delivered,
+          statusCode: result.statusCode,
+        });
+      } catch (err) {
+        log.warn('DUNNING', 'Donor webhook notification failed', { scheduleId: schedule.id, error: err.message });
+      }
+    }
+
+    if (schedule.notificationEmail) {
+      try {
+        await DunningService._sendEmail(schedule.notificationEmail, eventType, payload);
+      } catch (err) {
+        log.warn('DUNNING', 'Donor email notification failed', { scheduleId: schedule.id, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Schedules currently in dunning, soonest retry first.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSuspended=false] - Also list schedules suspended by dunning
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{ items: Object[], total: number }>}
+   */
+  static async listInDunning({ includeSuspended = false, limit = 50, offset = 0 } = {}) {
+    await ensureColumns();
+    const statuses = includeSuspended
+      ? [SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.SUSPENDED]
+      : [SCHEDULE_STATUS.ACTIVE];
+    const where = `rd.dunningStartedAt IS NOT NULL AND rd.status IN (${statuses.map(() => '?').join(', ')})`;
+
+    const rows = await Database.all(
+      `SELECT rd.id, rd.amount, rd.frequency, rd.status, rd.failureCount, rd.lastFailureReason,
+              rd.dunningAttempt, rd.dunningFailureClass, rd.dunningStartedAt, rd.dunningNextRetryAt,
+              rd.dunningScheduledFor, rd.suspendReason,
+              donor.publicKey AS donorPublicKey, recipient.publicKey AS recipientPublicKey
+       FROM recurring_donations rd
+       JOIN users donor     ON rd.donorId     = donor.id
+       JOIN users recipient ON rd.recipientId = recipient.id
+       WHERE ${where}
+       ORDER BY rd.dunningNextRetryAt IS NULL, rd.dunningNextRetryAt ASC
+       LIMIT ? OFFSET ?`,
+      [...statuses, limit, offset]
+    );
+    const total = await Database.get(
+      `SELECT COUNT(*) AS count FROM recurring_donations rd WHERE ${where}`,
+      statuses
+    );
+
+    const active = policy();
+    const items = rows.map((row) => ({
+      scheduleId: row.id,
+      donorPublicKey: row.donorPublicKey,
+      recipientPublicKey: row.recipientPublicKey,
+      amount: row.amount,
+      frequency: row.frequency,
+      status: row.status,
+      failureClass: row.dunningFailureClass,
+      attempt: row.dunningAttempt || 0,
+      maxAttempts: active[row.dunningFailureClass]
+        ? active[row.dunningFailureClass].retryDelaysHours.length
+        : null,
+      nextRetryAt: row.dunningNextRetryAt || null,
+      scheduledFor: row.dunningScheduledFor || null,
+      dunningStartedAt: row.dunningStartedAt,
+      lastFailureReason: row.lastFailureReason || null,
+      suspendReason: row.suspendReason || null,
+    }));
+
+    return { items, total: total ? total.count : 0 };
+  }
+
+  /**
+   * Replace the active policy (tests and config reloads).
+   * @param {string} [raw] - DUNNING_POLICY JSON; omit to reload from the environment
+   * @returns {Object} The new policy
+   */
+  static reloadPolicy(raw) {
+    _policy = loadDunningPolicy(raw);
+    return _policy;
+  }
+
+  /**
+   * Send a dunning email via SMTP. Skipped when SMTP is not configured.
+   * @private
+   */
+  static async _sendEmail(toEmail, eventType, payload) {
+    if (!process.env.SMTP_HOST) {
+      log.debug('DUNNING', 'SMTP not configured; donor email skipped', { scheduleId: payload.scheduleId });
+      return;
+    }
+
+    const subject = eventType === DUNNING_EVENTS.SUSPENDED
+      ? `[Action Required] Your recurring donation #${payload.scheduleId} has been suspended`
+      : `Your recurring donation #${payload.scheduleId} could not be processed`;
+    const text = [
+      `We could not send your recurring donation of ${payload.amount} XLM.`,
+      '',
+      `Reason: ${payload.errorMessage}`,
+      payload.nextRetryAt
+        ? `We will try again at ${new Date(payload.nextRetryAt).toUTCString()} (attempt ${payload.attempt} of ${payload.maxAttempts}).`
+        : 'No further attempts will be made. Resume the schedule once the problem is fixed.',
+    ].join('\n');
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || 'noreply@stellar-donations.local',
+      to: toEmail,
+      subject,
+      text,
+    });
+  }
+}
+
+DunningService.EVENTS = DUNNING_EVENTS;
+
+module.exports = DunningService;
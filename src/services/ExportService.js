@@ -12,6 +12,9 @@ const SIGNED_URL_TTL_MS = 60 * 60 * 1000;
 const EXPORT_DIR = path.join(__dirname, '../../data/exports');
 const SIGNING_SECRET = process.env.EXPORT_SIGNING_SECRET || process.env.ENCRYPTION_SECRET || 'export-signing-secret';
 
+/** Export types other services contribute with registerExportType(), by type name. */
+const registeredTypes = new Map();
+
 /**
  * Escape and serialize a value for safe CSV output.
  * @param {*} value - Value to serialize.
@@ -68,6 +71,21 @@ function normalizeRows(rows) {
  * Export data service for CSV/JSON generation and lifecycle management.
  */
 class ExportService {
+  /**
+   * Add an export type whose rows another service builds, e.g. the Gift Aid
+   * claim schedule. It is generated, stored and downloaded like the built-in
+   * types; options given to initiateExport() are passed to fetchRows().
+   * @param {string} type - Export type name.
+   * @param {{ headers: string[], fetchRows: function(Object, Object): Promise<Object[]> }} definition
+   * @returns {void}
+   */
+  static registerExportType(type, { headers, fetchRows }) {
+    if (EXPORT_TYPES.includes(type)) {
+      throw new Error(`Export type ${type} is built in`);
+    }
+    registeredTypes.set(type, { headers, fetchRows });
+  }
+
   /**
    * Build signed URL for an export ID.
    * @param {number|string} exportId - Export ID.
@@ -114,8 +132,8 @@ class ExportService {
    * @returns {void}
    */
   static validateTypeAndFormat(type, format) {
-    if (!EXPORT_TYPES.includes(type)) {
-      throw new ValidationError('Invalid export type', { allowed: EXPORT_TYPES }, ERROR_CODES.INVALID_REQUEST);
+    if (!EXPORT_TYPES.includes(type) && !registeredTypes.has(type)) {
+      throw new ValidationError('Invalid export type', { allowed: [...EXPORT_TYPES, ...registeredTypes.keys()] }, ERROR_CODES.INVALID_REQUEST);
     }
     if (!EXPORT_FORMATS.includes(format)) {
       throw new ValidationError('Invalid export format', { allowed: EXPORT_FORMATS }, ERROR_CODES.INVALID_REQUEST);
@@ -192,9 +210,15 @@ class ExportService {
   /**
    * Query and return rows for the given export job.
    * @param {{ type: string, dateStart?: string, dateEnd?: string }} job - Export job record.
+   * @param {Object} [options={}] - Options of a registered export type.
    * @returns {Promise<{ rows: Object[], headers: string[] }>} Data rows and headers.
    */
-  static async fetchRowsForJob(job) {
+  static async fetchRowsForJob(job, options = {}) {
+    const registered = registeredTypes.get(job.type);
+    if (registered) {
+      return { rows: await registered.fetchRows(job, options), headers: registered.headers };
+    }
+
     const metadata = this.getTypeMetadata(job.type);
     let query = `SELECT * FROM ${metadata.table} WHERE 1=1`;
     const params = [];
@@ -230,10 +254,10 @@ class ExportService {
 
   /**
    * Create an export job and trigger async generation.
-   * @param {{ type: string, format: string, dateRange?: {startDate?: string, endDate?: string}, requestedBy?: string }} params - Export params.
+   * @param {{ type: string, format: string, dateRange?: {startDate?: string, endDate?: string}, requestedBy?: string, options?: Object }} params - Export params.
    * @returns {Promise<number>} New export job ID.
    */
-  static async initiateExport({ type, format, dateRange = {}, requestedBy = null }) {
+  static async initiateExport({ type, format, dateRange = {}, requestedBy = null, options = {} }) {
     await this.ensureStorage();
     this.validateTypeAndFormat(type, format);
     const { startDate, endDate } = this.validateDateRange(dateRange);
@@ -246,7 +270,7 @@ class ExportService {
     );
 
     setImmediate(() => {
-      this.generateExport(result.id).catch((error) => {
+      this.generateExport(result.id, options).catch((error) => {
         log.error('EXPORT_SERVICE', 'Background export generation failed', {
           exportId: result.id,
           error: error.message,
@@ -260,9 +284,10 @@ class ExportService {
   /**
    * Generate export content, persist it, and update job status.
    * @param {number|string} exportId - Export job ID.
+   * @param {Object} [options={}] - Options of a registered export type.
    * @returns {Promise<void>}
    */
-  static async generateExport(exportId) {
+  static async generateExport(exportId, options = {}) {
     await this.ensureStorage();
     const job = await db.get('SELECT * FROM export_jobs WHERE id = ?', [exportId]);
 
@@ -271,7 +296,7 @@ class ExportService {
     }
 
     try {
-      const { rows, headers } = await this.fetchRowsForJob(job);
+      const { rows, headers } = await this.fetchRowsForJob(job, options);
       const serialized = job.format === 'csv'
         ? toCsv(rows, headers)
         : JSON.stringify(rows, null, rows.length > 1000 ? 0 : 2);
@@ -0,0 +1,418 @@
+/**
+ * Fundraiser Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Peer-to-peer fundraising pages under campaigns and donation attribution
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, TeamService
+ *
+ * A supporter (donor account) opens a fundraiser under an active campaign with
+ * a personal goal and story. A donation is attributed to a fundraiser through
+ * its fundraiser_id or the fundraiser's code in the memo (e.g. "FR-7KQ2XM");
+ * the money still goes to the campaign, so DonationService counts it towards
+ * the campaign first and then towards the fundraiser. Fundraiser milestones
+ * and progress updates reuse the campaign machinery in DonationService.
+ * A fundraiser can run for a team its owner is on (see TeamService), which
+ * rolls its donations up to the team and the team's organization.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Database = require('../utils/database');
+const log = require('../utils/log');
+const TeamService = require('./TeamService');
+const { isLive } = require('../utils/campaignStateMachine');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  BusinessLogicError,
+  DuplicateError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+const FUNDRAISER_STATUSES = Object.freeze({
+  ACTIVE: 'active',
+  CLOSED: 'closed',
+});
+
+const CODE_PREFIX = 'FR-';
+// No 0/O or 1/I, so a code read off a page can be typed into a memo
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MEMO_CODE_PATTERN = new RegExp(`\\b${CODE_PREFIX}([${CODE_ALPHABET}]{${CODE_LENGTH}})\\b`, 'i');
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_STORY_LENGTH = 5000;
+const DEFAULT_LEADERBOARD_LIMIT = 10;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+class FundraiserService {
+  /**
+   * Open a fundraiser under a campaign.
+   * @param {number} campaignId
+   * @param {number} donorId - Donor account running the fundraiser
+   * @param {{ title: string, story?: string, goal_amount: number, team_id?: number }} input
+   * @returns {Promise<Object>} The fundraiser
+   * @throws {ValidationError|NotFoundError|ForbiddenError|BusinessLogicError}
+   */
+  static async createFundraiser(campaignId, donorId, input = {}) {
+    const { title, story, goal_amount } = this._validate(input, { partial: false });
+    const teamId = await this._teamFor(input.team_id, donorId);
+
+    const campaign = await this._campaign(campaignId);
+    if (!isLive(campaign.status)) {
+      throw new BusinessLogicError('CAMPAIGN_NOT_ACTIVE', 'Fundraisers can only be opened under a live campaign');
+    }
+
+    // Codes are random; retry the rare collision with an existing one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this._generateCode();
+      try {
+        const result = await Database.run(
+          `INSERT INTO campaign_fundraisers (campaign_id, donor_id, code, title, story, goal_amount, team_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [campaign.id, donorId, code, title, story, goal_amount, teamId]
+        );
+        log.info('FUNDRAISER', 'Fundraiser opened', { fundraiserId: result.id, campaignId: campaign.id, donorId });
+        return this.getFundraiser(campaign.id, result.id);
+      } catch (err) {
+        if (!(err instanceof DuplicateError)) throw err;
+      }
+    }
+    throw new Error('Could not generate a unique fundraiser code');
+  }
+
+  /**
+   * @param {number} campaignId
+   * @param {number} fundraiserId
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} FUNDRAISER_NOT_FOUND
+   */
+  static async getFundraiser(campaignId, fundraiserId) {
+    return this._format(await this._row(campaignId, fundraiserId));
+  }
+
+  /**
+   * A campaign's fundraisers, most raised first, which makes the list the
+   * campaign's fundraiser leaderboard.
+   * @param {number} campaignId
+   * @param {{ status?: string }} [filters]
+   * @returns {Promise<Object[]>} Fundraisers with their rank
+   * @throws {NotFoundError} When the campaign does not exist
+   */
+  static async listFundraisers(campaignId, { status } = {}) {
+    await this._campaign(campaignId);
+    if (status !== undefined && !Object.values(FUNDRAISER_STATUSES).includes(status)) {
+      throw new ValidationError(`status must be one of: ${Object.values(FUNDRAISER_STATUSES).join(', ')}`);
+    }
+
+    const params = [campaignId];
+    let sql = 'SELECT * FROM campaign_fundraisers WHERE campaign_id = ?';
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+    sql += ' ORDER BY current_amount DESC, id ASC';
+
+    const rows = await Database.query(sql, params);
+    return rows.map((row, i) => ({ rank: i + 1, ...this._format(row) }));
+  }
+
+  /**
+   * Update a fundraiser's page; only the donor running it may. Setting status
+   * to "closed" stops attributing donations to it. Milestones already announced
+   * are not announced again after a goal change. Donations already rolled up
+   * stay with the team they were rolled up to after a team change.
+   * @param {number} campaignId
+   * @param {number} fundraiserId
+   * @param {number} donorId - Donor making the change
+   * @param {{ title?: string, story?: string, goal_amount?: number, team_id?: number|null, status?: string }} changes
+   * @returns {Promise<Object>} The updated fundraiser
+   * @throws {ValidationError|NotFoundError|ForbiddenError|BusinessLogicError}
+   */
+  static async updateFundraiser(campaignId, fundraiserId, donorId, changes = {}) {
+    const row = await this._row(campaignId, fundraiserId);
+    if (row.donor_id !== donorId) {
+      throw new ForbiddenError('Only the fundraiser\'s owner can change it', 'FUNDRAISER_NOT_OWNED');
+    }
+
+    const updates = this._validate(changes, { partial: true });
+    if (changes.team_id !== undefined) {
+      updates.team_id = await this._teamFor(changes.team_id, donorId);
+    }
+    if (changes.status !== undefined) {
+      if (changes.status !== FUNDRAISER_STATUSES.CLOSED) {
+        throw new ValidationError('status can only be set to "closed"');
+      }
+      if (row.status === FUNDRAISER_STATUSES.CLOSED) {
+        throw new BusinessLogicError('FUNDRAISER_CLOSED', 'Fundraiser is already closed');
+      }
+    }
+
+    const sets = Object.keys(updates).map((column) => `${column} = ?`);
+    const params = Object.values(updates);
+    if (changes.status !== undefined) {
+      sets.push('status = ?', 'closed_at = CURRENT_TIMESTAMP');
+      params.push(FUNDRAISER_STATUSES.CLOSED);
+    }
+    if (sets.length === 0) {
+      throw new ValidationError('Nothing to update');
+    }
+
+    await Database.run(
+      `UPDATE campaign_fundraisers SET ${sets.join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, row.id]
+    );
+    return this.getFundraiser(campaignId, fundraiserId);
+  }
+
+  /**
+   * Work out which fundraiser, if any, a new donation is attributed to.
+   * An explicit fundraiser_id must name an active fundraiser of the donation's
+   * campaign. A memo code is free text, so one that matches no active
+   * fundraiser is ignored rather than rejecting the donation.
+   * @param {{ fundraiserId?: number|string, memo?: string, campaignId?: number|string }} donation
+   * @returns {Promise<Object|null>} The fundraiser row, or null when not attributed
+   * @throws {NotFoundError|ValidationError|BusinessLogicError} For an explicit fundraiser_id
+   */
+  static async resolveAttribution({ fundraiserId, memo, campaignId } = {}) {
+    if (fundraiserId !== undefined && fundraiserId !== null && fundraiserId !== '') {
+      const id = Number(fundraiserId);
+      const row = Number.isInteger(id)
+        ? await Database.get('SELECT * FROM campaign_fundraisers WHERE id = ?', [id])
+        : null;
+      if (!row) {
+        throw new NotFoundError('Fundraiser not found', 'FUNDRAISER_NOT_FOUND');
+      }
+      if (campaignId && Number(campaignId) !== row.campaign_id) {
+        throw new ValidationError(
+          'Fundraiser does not belong to the given campaign',
+          { fundraiserId: row.id, campaignId: row.campaign_id },
+          'FUNDRAISER_CAMPAIGN_MISMATCH'
+        );
+      }
+      if (row.status !== FUNDRAISER_STATUSES.ACTIVE) {
+        throw new BusinessLogicError('FUNDRAISER_CLOSED', 'Fundraiser is closed', { fundraiserId: row.id });
+      }
+      return row;
+    }
+
+    const code = this.codeFromMemo(memo);
+    if (!code) return null;
+
+    const row = await Database.get('SELECT * FROM campaign_fundraisers WHERE code = ?', [code]);
+    if (!row || row.status !== FUNDRAISER_STATUSES.ACTIVE || (campaignId && Number(campaignId) !== row.campaign_id)) {
+      log.debug('FUNDRAISER', 'Memo code not attributed', { code });
+      return null;
+    }
+    return row;
+  }
+
+  /**
+   * @param {string} [memo]
+   * @returns {string|null} The fundraiser code in a memo, upper-cased
+   */
+  static codeFromMemo(memo) {
+    if (typeof memo !== 'string') return null;
+    const match = memo.match(MEMO_CODE_PATTERN);
+    return match ? `${CODE_PREFIX}${match[1].toUpperCase()}` : null;
+  }
+
+  /**
+   * Add a donation to a fundraiser's totals. Recording the same donation twice
+   * has no effect.
+   * @param {{ run: Function, get: Function }} db - Transaction handle (or Database)
+   * @param {number} fundraiserId
+   * @param {{ id: string|number, donor: string, amount: number, anonymous?: boolean }} donation
+   * @returns {Promise<Object|null>} The updated fundraiser row, or null when already recorded
+   */
+  static async recordDonation(db, fundraiserId, donation) {
+    const amount = parseFloat(donation.amount);
+    const inserted = await db.run(
+      `INSERT OR IGNORE INTO fundraiser_donations (donation_id, fundraiser_id, donor, amount, anonymous)
+       VALUES (?, ?, ?, ?, ?)`,
+      [String(donation.id), fundraiserId, donation.donor || 'Anonymous', amount, donation.anonymous ? 1 : 0]
+    );
+    if (!inserted || inserted.changes === 0) return null;
+
+    await db.run(
+      `UPDATE campaign_fundraisers
+       SET current_amount = current_amount + ?, donation_count = donation_count + 1, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [amount, fundraiserId]
+    );
+    return db.get('SELECT * FROM campaign_fundraisers WHERE id = ?', [fundraiserId]);
+  }
+
+  /**
+   * Store the milestones announced for a fundraiser.
+   * @param {{ run: Function }} db - Transaction handle (or Database)
+   * @param {number} fundraiserId
+   * @param {number[]} notified - Milestone decimals, as DonationService.checkMilestones returns them
+   * @returns {Promise<void>}
+   */
+  static async setNotifiedMilestones(db, fundraiserId, notified) {
+    await db.run(
+      `UPDATE campaign_fundraisers
+       SET notified_milestones = ?, last_milestone_notification = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [JSON.stringify(notified), fundraiserId]
+    );
+  }
+
+  /**
+   * Top donors to a fundraiser. Anonymous donations appear under their
+   * pseudonymous id.
+   * @param {number} campaignId
+   * @param {number} fundraiserId
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<Object[]>}
+   * @throws {NotFoundError|ValidationError}
+   */
+  static async getLeaderboard(campaignId, fundraiserId, { limit = DEFAULT_LEADERBOARD_LIMIT } = {}) {
+    const parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LEADERBOARD_LIMIT) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_LEADERBOARD_LIMIT}`, null, ERROR_CODES.INVALID_LIMIT);
+    }
+    const row = await this._row(campaignId, fundraiserId);
+
+    const donors = await Database.query(
+      `SELECT donor, SUM(amount) AS total_amount, COUNT(*) AS donation_count, MAX(anonymous) AS anonymous
+       FROM fundraiser_donations
+       WHERE fundraiser_id = ?
+       GROUP BY donor
+       ORDER BY total_amount DESC, MIN(createdAt) ASC
+       LIMIT ?`,
+      [row.id, parsedLimit]
+    );
+    return donors.map((d, i) => ({
+      rank: i + 1,
+      donor: d.donor,
+      total_amount: d.total_amount,
+      donation_count: d.donation_count,
+      anonymous: d.anonymous === 1,
+    }));
+  }
+
+  /**
+   * Progress of a fundraiser towards its goal.
+   * @param {Object} row - campaign_fundraisers row
+   * @returns {number} Whole percent, not capped at 100
+   */
+  static progressPercentage(row) {
+    return row.goal_amount > 0 ? Math.round((row.current_amount / row.goal_amount) * 100) : 0;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Helpers
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /** @throws {NotFoundError} When the campaign does not exist or was deleted */
+  static async _campaign(campaignId) {
+    const campaign = await Database.get(
+      'SELECT id, name, status FROM campaigns WHERE id = ? AND deleted_at IS NULL',
+      [campaignId]
+    );
+    if (!campaign) {
+      throw new NotFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+    }
+    return campaign;
+  }
+
+  /** @throws {NotFoundError} FUNDRAISER_NOT_FOUND */
+  static async _row(campaignId, fundraiserId) {
+    const row = await Database.get(
+      'SELECT * FROM campaign_fundraisers WHERE id = ? AND campaign_id = ?',
+      [fundraiserId, campaignId]
+    );
+    if (!row) {
+      throw new NotFoundError('Fundraiser not found', 'FUNDRAISER_NOT_FOUND');
+    }
+    return row;
+  }
+
+  /**
+   * @param {number|string|null} [teamId]
+   * @param {number} donorId - The fundraiser's owner, who must be on the team
+   * @returns {Promise<number|null>}
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  static async _teamFor(teamId, donorId) {
+    if (teamId === undefined || teamId === null) return null;
+    return TeamService.assertMember(teamId, donorId);
+  }
+
+  /**
+   * Validate page fields; with partial, only those present.
+   * @returns {Object} Column values to write
+   */
+  static _validate(input, { partial }) {
+    const values = {};
+
+    if (!partial || input.title !== undefined) {
+      if (typeof input.title !== 'string' || !input.title.trim() || input.title.trim().length > MAX_TITLE_LENGTH) {
+        throw new ValidationError(`title is required and must be at most ${MAX_TITLE_LENGTH} characters`);
+      }
+      values.title = input.title.trim();
+    }
+
+    if (input.story !== undefined && input.story !== null) {
+      if (typeof input.story !== 'string' || input.story.length > MAX_STORY_LENGTH) {
+        throw new ValidationError(`story must be at most ${MAX_STORY_LENGTH} characters`);
+      }
+      values.story = input.story.trim() || null;
+    } else if (!partial) {
+      values.story = null;
+    }
+
+    if (!partial || input.goal_amount !== undefined) {
+      const goal = Number(input.goal_amount);
+      if (typeof input.goal_amount !== 'number' || !Number.isFinite(goal) || goal <= 0) {
+        throw new ValidationError('goal_amount must be a positive number');
+      }
+      values.goal_amount = goal;
+    }
+
+    return values;
+  }
+
+  static _generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = CODE_PREFIX;
+    for (const byte of bytes) {
+      code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  static _format(row) {
+    let notified = [];
+    try {
+      notified = JSON.parse(row.notified_milestones || '[]');
+    } catch (_) { /* malformed — treat as none */ }
+
+    return {
+      id: row.id,
+      campaign_id: row.campaign_id,
+      donor_id: row.donor_id,
+      team_id: row.team_id || null,
+      code: row.code,
+      title: row.title,
+      story: row.story,
+      goal_amount: row.goal_amount,
+      current_amount: row.current_amount,
+      donation_count: row.donation_count,
+      progress_percentage: this.progressPercentage(row),
+      status: row.status,
+      notified_milestones: Array.isArray(notified) ? notified : [],
+      closed_at: row.closed_at,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    };
+  }
+}
+
+FundraiserService.FUNDRAISER_STATUSES = FUNDRAISER_STATUSES;
+
+module.exports = FundraiserService;
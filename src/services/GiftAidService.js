@@ -0,0 +1,738 @@
+/**
+ * Gift Aid Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: UK Gift Aid declarations, the donations they cover and HMRC claims
+ * OWNER: Compliance Team
+ * DEPENDENCIES: Database, Transaction model, encryption utility, ExportService,
+ *               PriceOracleService (lazy)
+ *
+ * A donor account makes Gift Aid declarations with the name and home address
+ * HMRC asks for. When a donation from one of the donor's wallets to a
+ * registered UK charity is created, the declaration covering it is recorded
+ * with the donation's value in pounds. An admin claim collects a charity's
+ * eligible donations into the HMRC Charities Online schedule, exported through
+ * ExportService. Cancelling a declaration stops it covering donations made
+ * from then on; donations it already covered can still be claimed.
+ */
+
+'use strict';
+
+const Database = require('../utils/database');
+const Transaction = require('../models/transaction');
+const encryption = require('../utils/encryption');
+const { isValidStellarPublicKey } = require('../utils/validators');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const log = require('../utils/log');
+const ExportService = require('./ExportService');
+const { GIFT_AID_DECLARATION } = require('./taxStatementTemplates/UkGiftAidTemplate');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+/**
+ * What a declaration covers: one donation, donations from its date on, or
+ * those plus the donations of the 4 years before it.
+ */
+const DECLARATION_SCOPES = Object.freeze({
+  SINGLE: 'single',
+  FUTURE: 'future',
+  PAST_AND_FUTURE: 'past_and_future',
+});
+
+const TAXPAYER_STATEMENT =
+  'I am a UK taxpayer and understand that if I pay less Income Tax and/or Capital Gains Tax than the amount ' +
+  'of Gift Aid claimed on all my donations in that tax year it is my responsibility to pay any difference.';
+
+/** HMRC model declaration wording for each scope. */
+const DECLARATION_WORDING = Object.freeze({
+  [DECLARATION_SCOPES.SINGLE]: `I want to Gift Aid this donation. ${TAXPAYER_STATEMENT}`,
+  [DECLARATION_SCOPES.FUTURE]: `I want to Gift Aid my donation and any donations I make in the future. ${TAXPAYER_STATEMENT}`,
+  [DECLARATION_SCOPES.PAST_AND_FUTURE]: GIFT_AID_DECLARATION,
+});
+
+const CLAIM_FORMATS = ['csv', 'json'];
+const CLAIM_EXPORT_TYPE = 'gift_aid_claim';
+
+/** Columns of the HMRC Charities Online donations schedule. */
+const CLAIM_SCHEDULE_HEADERS = [
+  'Item',
+  'Title',
+  'First name or initial',
+  'Last name',
+  'House name or number',
+  'Postcode',
+  'Aggregated donations',
+  'Sponsored event',
+  'Donation date',
+  'Amount',
+];
+
+/** Basic-rate uplift: 25p per £1 donated. */
+const GIFT_AID_RATE = 0.25;
+const PAST_YEARS_COVERED = 4;
+
+// HMRC schedule field rules: letters, spaces, hyphens, apostrophes and full stops
+const NAME_PATTERN = /^[A-Za-z][A-Za-z '.-]*$/;
+const HOUSE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ,'./-]*$/;
+const POSTCODE_PATTERN = /^([A-Z]{1,2}[0-9][A-Z0-9]?) ?([0-9][A-Z]{2})$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class GiftAidService {
+  // ───────────────────────────────────────────────────────────────────────────
+  // Charities
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Register a recipient wallet as a UK charity, or update its details.
+   * @param {string} recipient - Recipient Stellar public key
+   * @param {{ name: string, hmrcReference: string }} details
+   * @returns {Promise<Object>} The charity
+   * @throws {ValidationError}
+   */
+  static async upsertCharity(recipient, { name, hmrcReference } = {}) {
+    if (!isValidStellarPublicKey(recipient)) {
+      throw new ValidationError('Invalid Stellar public key');
+    }
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw new ValidationError('name is required and must be at most 100 characters');
+    }
+    if (typeof hmrcReference !== 'string' || !/^[A-Z0-9]{2,10}$/i.test(hmrcReference.trim())) {
+      throw new ValidationError('hmrcReference must be the charity\'s HMRC reference, e.g. AB12345');
+    }
+
+    await Database.run(
+      `INSERT INTO gift_aid_charities (recipient, name, hmrcReference) VALUES (?, ?, ?)
+       ON CONFLICT(recipient) DO UPDATE SET name = excluded.name, hmrcReference = excluded.hmrcReference,
+         updatedAt = CURRENT_TIMESTAMP`,
+      [recipient, name.trim(), hmrcReference.trim().toUpperCase()]
+    );
+    return this.getCharity(recipient);
+  }
+
+  /**
+   * @param {string} recipient
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} CHARITY_NOT_REGISTERED
+   */
+  static async getCharity(recipient) {
+    const charity = await Database.get('SELECT * FROM gift_aid_charities WHERE recipient = ?', [recipient]);
+    if (!charity) {
+      throw new NotFoundError('Recipient is not a registered Gift Aid charity', 'CHARITY_NOT_REGISTERED');
+    }
+    return charity;
+  }
+
+  /**
+   * @returns {Promise<Object[]>}
+   */
+  static async listCharities() {
+    return Database.query('SELECT * FROM gift_aid_charities ORDER BY name');
+  }
+
+  /**
+   * Stop marking new donations to a charity. Donations already marked and
+   * past claims are kept.
+   * @param {string} recipient
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} CHARITY_NOT_REGISTERED
+   */
+  static async removeCharity(recipient) {
+    await this.getCharity(recipient);
+    await Database.run('DELETE FROM gift_aid_charities WHERE recipient = ?', [recipient]);
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Declarations
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Record a declaration and mark the donations it covers that were made
+   * before it (its donation, or those since its start date).
+   *
+   * @param {number} donorId
+   * @param {Object} input
+   * @param {string} [input.title] - e.g. "Mr", at most 4 letters
+   * @param {string} input.firstName
+   * @param {string} input.lastName
+   * @param {string} input.houseNumber - House name or number
+   * @param {string} input.postcode - UK postcode
+   * @param {string} [input.declarationDate] - YYYY-MM-DD, today by default; not in the future
+   * @param {string} input.scope - One of DECLARATION_SCOPES
+   * @param {string} [input.donationId] - Required for scope "single"
+   * @param {boolean} input.ukTaxpayer - The donor's confirmation of the declaration wording
+   * @returns {Promise<Object>} The declaration with markedDonations
+   * @throws {ValidationError|NotFoundError}
+   */
+  static async createDeclaration(donorId, input = {}) {
+    const details = this._validateDeclaration(input);
+
+    if (details.scope === DECLARATION_SCOPES.SINGLE) {
+      const donation = Transaction.getById(details.donationId);
+      const wallets = await this._donorWallets(donorId);
+      if (!donation || !wallets.has(donation.donor)) {
+        throw new NotFoundError('Donation not found', 'DONATION_NOT_FOUND');
+      }
+    }
+
+    const { id } = await Database.run(
+      `INSERT INTO gift_aid_declarations (donorId, encryptedDonor, declarationDate, scope, donationId)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        donorId,
+        encryption.encrypt(JSON.stringify(details.donor)),
+        details.declarationDate,
+        details.scope,
+        details.donationId,
+      ]
+    );
+    log.info('GIFT_AID', 'Declaration made', { donorId, declarationId: id, declarationScope: details.scope });
+
+    const declaration = await Database.get('SELECT * FROM gift_aid_declarations WHERE id = ?', [id]);
+    const marked = await this._markExisting(declaration);
+    return { ...this._formatDeclaration(declaration), markedDonations: marked };
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {number} [filters.donorId]
+   * @param {string} [filters.status] - active | cancelled
+   * @returns {Promise<Object[]>} Newest first
+   */
+  static async listDeclarations({ donorId, status } = {}) {
+    const where = [];
+    const params = [];
+    if (donorId !== undefined) {
+      where.push('donorId = ?');
+      params.push(donorId);
+    }
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    const rows = await Database.query(
+      `SELECT * FROM gift_aid_declarations ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC`,
+      params
+    );
+    return rows.map(row => this._formatDeclaration(row));
+  }
+
+  /**
+   * Cancel a declaration from now on.
+   * @param {number} donorId
+   * @param {number|string} declarationId
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @returns {Promise<Object>} The cancelled declaration
+   * @throws {NotFoundError|ConflictError}
+   */
+  static async cancelDeclaration(donorId, declarationId, { reason } = {}) {
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      throw new ValidationError('reason must be a string of at most 500 characters');
+    }
+    const row = await Database.get(
+      'SELECT * FROM gift_aid_declarations WHERE id = ? AND donorId = ?',
+      [declarationId, donorId]
+    );
+    if (!row) {
+      throw new NotFoundError('Declaration not found', 'DECLARATION_NOT_FOUND');
+    }
+    if (row.status === 'cancelled') {
+      throw new ConflictError('Declaration is already cancelled', 'DECLARATION_ALREADY_CANCELLED');
+    }
+
+    await Database.run(
+      `UPDATE gift_aid_declarations SET status = 'cancelled', cancelledAt = ?, cancellationReason = ?
+       WHERE id = ?`,
+      [new Date().toISOString(), reason || null, row.id]
+    );
+    log.info('GIFT_AID', 'Declaration cancelled', { donorId, declarationId: row.id });
+    return this._formatDeclaration(await Database.get('SELECT * FROM gift_aid_declarations WHERE id = ?', [row.id]));
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Donations
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Mark a newly created donation as Gift Aid eligible when its donor has a
+   * declaration covering it and its recipient is a registered charity.
+   *
+   * @param {Object} donation - Transaction model record
+   * @returns {Promise<{declarationId: number, amountGbp: number|null}|null>} null when not eligible
+   */
+  static async markDonation(donation) {
+    if (!donation || !donation.donor || !donation.recipient) return null;
+
+    const wallet = await Database.get('SELECT donorId FROM donor_wallets WHERE publicKey = ?', [donation.donor]);
+    if (!wallet) return null;
+    const charity = await Database.get('SELECT recipient FROM gift_aid_charities WHERE recipient = ?', [donation.recipient]);
+    if (!charity) return null;
+
+    const declarations = await Database.query(
+      'SELECT * FROM gift_aid_declarations WHERE donorId = ? ORDER BY id DESC',
+      [wallet.donorId]
+    );
+    const declaration = declarations.find(d => this._covers(d, donation));
+    if (!declaration) return null;
+
+    return this._record(donation, declaration);
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {number} [filters.donorId]
+   * @param {string} [filters.recipient]
+   * @param {string} [filters.status] - eligible | claimed | void
+   * @returns {Promise<Object[]>} Newest first
+   */
+  static async listDonations({ donorId, recipient, status } = {}) {
+    const where = [];
+    const params = [];
+    for (const [column, value] of [['donorId', donorId], ['recipient', recipient], ['status', status]]) {
+      if (value !== undefined && value !== null) {
+        where.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    return Database.query(
+      `SELECT donationId, declarationId, donorId, recipient, donationDate, xlmAmount, amountGbp, rateSource,
+              status, claimId
+       FROM gift_aid_donations ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY donationDate DESC`,
+      params
+    );
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Claims
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Put a charity's eligible donations into a new claim and export its HMRC
+   * schedule. Only confirmed donations are claimed, less any part refunded;
+   * failed and fully refunded ones are voided, pending ones wait for a later claim.
+   *
+   * @param {Object} params
+   * @param {string} params.recipient - Charity wallet
+   * @param {string} [params.startDate] - Earliest donation date (inclusive)
+   * @param {string} [params.endDate] - Latest donation date (inclusive)
+   * @param {string} [params.format='csv'] - csv | json
+   * @param {string} [params.requestedBy]
+   * @returns {Promise<Object>} The claim, see getClaim()
+   * @throws {ValidationError|NotFoundError|BusinessLogicError} NO_ELIGIBLE_DONATIONS
+   */
+  static async createClaim({ recipient, startDate, endDate, format = 'csv', requestedBy = null } = {}) {
+    this._validateClaimFormat(format);
+    const range = ExportService.validateDateRange({ startDate, endDate });
+    await this.getCharity(recipient);
+
+    // A date without a time covers the whole of that day
+    const until = range.endDate && DATE_PATTERN.test(range.endDate) ? `${range.endDate}T23:59:59.999Z` : range.endDate;
+    const candidates = (await this.listDonations({ recipient, status: 'eligible' }))
+      .filter(d => (!range.startDate || new Date(d.donationDate) >= new Date(range.startDate))
+        && (!until || new Date(d.donationDate) <= new Date(until)));
+
+    const claimable = [];
+    const voided = [];
+    let unpriced = 0;
+    for (const row of candidates) {
+      const donation = Transaction.getById(row.donationId);
+      if (!donation) continue;
+      const refundedXlm = donation.status === 'refunded' ? row.xlmAmount : await this._refundedXlm(row.donationId);
+      if (donation.status === TRANSACTION_STATES.FAILED || refundedXlm >= row.xlmAmount) {
+        voided.push(row.donationId);
+        continue;
+      }
+      if (donation.status !== TRANSACTION_STATES.CONFIRMED) continue;
+
+      if (row.amountGbp === null) {
+        const value = await this._valueInGbp(donation);
+        if (value.amountGbp === null) {
+          unpriced += 1;
+          continue;
+        }
+        row.amountGbp = value.amountGbp;
+        await Database.run(
+          'UPDATE gift_aid_donations SET amountGbp = ?, rateSource = ? WHERE donationId = ?',
+          [value.amountGbp, value.rateSource, row.donationId]
+        );
+      }
+      if (refundedXlm > 0) {
+        // HMRC only repays tax on what the charity kept
+        row.amountGbp = round2(row.amountGbp * (1 - refundedXlm / row.xlmAmount));
+        await Database.run('UPDATE gift_aid_donations SET amountGbp = ? WHERE donationId = ?', [row.amountGbp, row.donationId]);
+      }
+      claimable.push(row);
+    }
+
+    if (voided.length > 0) {
+      await Database.run(
+        `UPDATE gift_aid_donations SET status = 'void' WHERE donationId IN (${voided.map(() => '?').join(', ')})`,
+        voided
+      );
+    }
+    if (claimable.length === 0) {
+      throw new BusinessLogicError('NO_ELIGIBLE_DONATIONS', 'No confirmed Gift Aid donations to claim for this charity and period', {
+        voided: voided.length,
+        unpriced,
+      });
+    }
+
+    const totalAmount = round2(claimable.reduce((sum, d) => sum + d.amountGbp, 0));
+    const claimId = await Database.runTransaction(async (tx) => {
+      const { id } = await tx.run(
+        `INSERT INTO gift_aid_claims (recipient, periodStart, periodEnd, format, donationCount, totalAmount, requestedBy)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [recipient, range.startDate, range.endDate, format, claimable.length, totalAmount, requestedBy]
+      );
+      for (const row of claimable) {
+        const { changes } = await tx.run(
+          `UPDATE gift_aid_donations SET status = 'claimed', claimId = ? WHERE donationId = ? AND status = 'eligible'`,
+          [id, row.donationId]
+        );
+        if (changes === 0) {
+          throw new ConflictError('Another claim took some of these donations; try again', 'CLAIM_CONFLICT');
+        }
+      }
+      return id;
+    });
+
+    log.info('GIFT_AID', 'Claim created', { claimId, recipient, donationCount: claimable.length, totalAmount });
+    return this.exportClaim(claimId, { format, requestedBy, skipped: { voided: voided.length, unpriced } });
+  }
+
+  /**
+   * Export a claim's schedule again, e.g. after the previous file expired.
+   * @param {number|string} claimId
+   * @param {Object} [options]
+   * @param {string} [options.format] - csv | json, the claim's format by default
+   * @param {string} [options.requestedBy]
+   * @returns {Promise<Object>} The claim, see getClaim()
+   */
+  static async exportClaim(claimId, { format, requestedBy = null, skipped } = {}) {
+    const claim = await this._claimRow(claimId);
+    const exportFormat = format || claim.format;
+    this._validateClaimFormat(exportFormat);
+
+    const exportId = await ExportService.initiateExport({
+      type: CLAIM_EXPORT_TYPE,
+      format: exportFormat,
+      dateRange: { startDate: claim.periodStart, endDate: claim.periodEnd },
+      requestedBy,
+      options: { claimId: claim.id },
+    });
+    await Database.run('UPDATE gift_aid_claims SET exportId = ?, format = ? WHERE id = ?', [exportId, exportFormat, claim.id]);
+
+    const result = await this.getClaim(claim.id);
+    return skipped ? { ...result, skipped } : result;
+  }
+
+  /**
+   * @param {number|string} claimId
+   * @returns {Promise<Object>} Claim with its charity, Gift Aid amount and export status
+   * @throws {NotFoundError} CLAIM_NOT_FOUND
+   */
+  static async getClaim(claimId) {
+    const claim = await this._claimRow(claimId);
+    const charity = await Database.get('SELECT name, hmrcReference FROM gift_aid_charities WHERE recipient = ?', [claim.recipient]);
+    let exportJob = null;
+    if (claim.exportId) {
+      try {
+        exportJob = await ExportService.getExportStatus(claim.exportId);
+      } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err;
+        // Expired exports are deleted; exportClaim() makes a new one
+      }
+    }
+    return {
+      ...claim,
+      charity: charity || null,
+      giftAidAmount: round2(claim.totalAmount * GIFT_AID_RATE),
+      export: exportJob,
+    };
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.recipient]
+   * @returns {Promise<Object[]>} Newest first
+   */
+  static async listClaims({ recipient } = {}) {
+    const rows = recipient
+      ? await Database.query('SELECT * FROM gift_aid_claims WHERE recipient = ? ORDER BY id DESC', [recipient])
+      : await Database.query('SELECT * FROM gift_aid_claims ORDER BY id DESC');
+    return rows.map(row => ({ ...row, giftAidAmount: round2(row.totalAmount * GIFT_AID_RATE) }));
+  }
+
+  /**
+   * Rows of a claim's HMRC schedule, one per donation, oldest first.
+   * The ExportService fetchRows of the gift_aid_claim export type.
+   *
+   * @param {Object} job - export_jobs row
+   * @param {{ claimId: number }} options
+   * @returns {Promise<Object[]>}
+   */
+  static async buildClaimSchedule(job, { claimId }) {
+    const rows = await Database.query(
+      `SELECT d.donationDate, d.amountGbp, dec.encryptedDonor
+       FROM gift_aid_donations d
+       JOIN gift_aid_declarations dec ON dec.id = d.declarationId
+       WHERE d.claimId = ?
+       ORDER BY d.donationDate, d.donationId`,
+      [claimId]
+    );
+    return rows.map((row, index) => {
+      const donor = JSON.parse(encryption.decrypt(row.encryptedDonor));
+      return {
+        'Item': index + 1,
+        'Title': donor.title || '',
+        'First name or initial': donor.firstName,
+        'Last name': donor.lastName,
+        'House name or number': donor.houseNumber,
+        'Postcode': donor.postcode,
+        'Aggregated donations': '',
+        'Sponsored event': '',
+        'Donation date': this._hmrcDate(row.donationDate),
+        'Amount': Number(row.amountGbp).toFixed(2),
+      };
+    });
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Helpers
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @private
+   * @returns {Object} { donor, declarationDate, scope, donationId }
+   */
+  static _validateDeclaration(input) {
+    const { title, firstName, lastName, houseNumber, postcode, declarationDate, scope, donationId, ukTaxpayer } = input;
+    const errors = [];
+    const text = (value, field, { max, pattern, allowed, required = true, min = 1 }) => {
+      if (value === undefined || value === null || value === '') {
+        if (required) errors.push(`${field} is required`);
+        return null;
+      }
+      const trimmed = typeof value === 'string' ? value.trim() : '';
+      if (trimmed.length < min || trimmed.length > max || !pattern.test(trimmed)) {
+        errors.push(`${field} must be ${min}-${max} characters: ${allowed}`);
+        return null;
+      }
+      return trimmed;
+    };
+    const nameRule = { max: 35, pattern: NAME_PATTERN, allowed: 'letters, spaces, hyphens, apostrophes and full stops' };
+
+    const donor = {
+      title: text(title, 'title', { max: 4, pattern: /^[A-Za-z]+$/, allowed: 'letters', required: false }),
+      firstName: text(firstName, 'firstName', nameRule),
+      lastName: text(lastName, 'lastName', { ...nameRule, min: 2 }),
+      houseNumber: text(houseNumber, 'houseNumber', {
+        max: 40,
+        pattern: HOUSE_PATTERN,
+        allowed: 'letters, digits, spaces and , \' . / -',
+      }),
+      postcode: null,
+    };
+
+    const postcodeMatch = typeof postcode === 'string' ? postcode.trim().toUpperCase().match(POSTCODE_PATTERN) : null;
+    if (!postcodeMatch) {
+      errors.push('postcode must be a UK postcode, e.g. SW1A 1AA');
+    } else {
+      donor.postcode = `${postcodeMatch[1]} ${postcodeMatch[2]}`;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const date = declarationDate === undefined || declarationDate === null ? today : declarationDate;
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      errors.push('declarationDate must be a date (YYYY-MM-DD)');
+    } else if (date > today) {
+      errors.push('declarationDate cannot be in the future');
+    }
+
+    const scopes = Object.values(DECLARATION_SCOPES);
+    if (!scopes.includes(scope)) {
+      errors.push(`scope must be one of: ${scopes.join(', ')}`);
+    }
+    if (scope === DECLARATION_SCOPES.SINGLE && (typeof donationId !== 'string' || !donationId)) {
+      errors.push('donationId is required for a single-donation declaration');
+    }
+    if (ukTaxpayer !== true) {
+      errors.push('ukTaxpayer must be true: the donor confirms they are a UK taxpayer');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid Gift Aid declaration', { errors });
+    }
+    return {
+      donor,
+      declarationDate: date,
+      scope,
+      donationId: scope === DECLARATION_SCOPES.SINGLE ? donationId : null,
+    };
+  }
+
+  /**
+   * Whether a declaration covers a donation: made within its scope and
+   * before it was cancelled.
+   * @private
+   */
+  static _covers(declaration, donation) {
+    const donatedAt = new Date(donation.timestamp || Date.now());
+    if (declaration.cancelledAt && donatedAt >= new Date(declaration.cancelledAt)) return false;
+    if (declaration.scope === DECLARATION_SCOPES.SINGLE) {
+      return declaration.donationId === String(donation.id);
+    }
+    const from = new Date(`${declaration.declarationDate}T00:00:00Z`);
+    if (declaration.scope === DECLARATION_SCOPES.PAST_AND_FUTURE) {
+      from.setUTCFullYear(from.getUTCFullYear() - PAST_YEARS_COVERED);
+    }
+    return donatedAt >= from;
+  }
+
+  /**
+   * Mark the donations a new declaration covers that already exist.
+   * @private
+   * @returns {Promise<number>} Donations marked
+   */
+  static async _markExisting(declaration) {
+    const wallets = await this._donorWallets(declaration.donorId);
+    const charities = new Set((await Database.query('SELECT recipient FROM gift_aid_charities')).map(c => c.recipient));
+    const donations = Transaction.getAll().filter(t => wallets.has(t.donor)
+      && charities.has(t.recipient)
+      && t.status !== TRANSACTION_STATES.FAILED
+      && this._covers(declaration, t));
+
+    let marked = 0;
+    for (const donation of donations) {
+      if (await this._record(donation, declaration)) marked += 1;
+    }
+    return marked;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{declarationId: number, amountGbp: number|null}|null>} null when already marked
+   */
+  static async _record(donation, declaration) {
+    const { amountGbp, rateSource } = await this._valueInGbp(donation);
+    const { changes } = await Database.run(
+      `INSERT OR IGNORE INTO gift_aid_donations
+         (donationId, declarationId, donorId, recipient, donationDate, xlmAmount, amountGbp, rateSource)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(donation.id),
+        declaration.id,
+        declaration.donorId,
+        donation.recipient,
+        new Date(donation.timestamp || Date.now()).toISOString(),
+        Number(donation.amount),
+        amountGbp,
+        rateSource,
+      ]
+    );
+    return changes > 0 ? { declarationId: declaration.id, amountGbp } : null;
+  }
+
+  /**
+   * Value of a donation in pounds: what the donor gave when they gave GBP,
+   * otherwise XLM at the recorded rate of the donation's hour.
+   * @private
+   * @returns {Promise<{amountGbp: number|null, rateSource: string|null}>}
+   */
+  static async _valueInGbp(donation) {
+    if (donation.originalCurrency && donation.originalCurrency.toLowerCase() === 'gbp' && donation.originalAmount != null) {
+      return { amountGbp: round2(Number(donation.originalAmount)), rateSource: 'donation' };
+    }
+    try {
+      // Required lazily, like TaxStatementService: the oracle pulls in its providers on load
+      const priceOracle = require('./PriceOracleService');
+      const recorded = await priceOracle.getRateAt('gbp', donation.timestamp || new Date());
+      if (recorded) {
+        return { amountGbp: round2(Number(donation.amount) * recorded.rate), rateSource: recorded.source };
+      }
+    } catch (err) {
+      log.warn('GIFT_AID', 'GBP rate unavailable', { donationId: donation.id, error: err.message });
+    }
+    return { amountGbp: null, rateSource: null };
+  }
+
+  /**
+   * XLM refunded from a donation by completed refunds.
+   * @private
+   * @returns {Promise<number>}
+   */
+  static async _refundedXlm(donationId) {
+    const row = await Database.get(
+      `SELECT COALESCE(SUM(amount), 0) AS amount FROM refunds
+       WHERE original_donation_id = ? AND status = 'completed'`,
+      [donationId]
+    );
+    return Number(row.amount) || 0;
+  }
+
+  /** @private */
+  static async _donorWallets(donorId) {
+    const rows = await Database.query('SELECT publicKey FROM donor_wallets WHERE donorId = ?', [donorId]);
+    return new Set(rows.map(r => r.publicKey));
+  }
+
+  /** @private */
+  static async _claimRow(claimId) {
+    const claim = await Database.get('SELECT * FROM gift_aid_claims WHERE id = ?', [claimId]);
+    if (!claim) {
+      throw new NotFoundError('Gift Aid claim not found', 'CLAIM_NOT_FOUND');
+    }
+    return claim;
+  }
+
+  /** @private */
+  static _validateClaimFormat(format) {
+    if (!CLAIM_FORMATS.includes(format)) {
+      throw new ValidationError(`Invalid format. Must be one of: ${CLAIM_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * HMRC schedule dates are DD/MM/YY.
+   * @private
+   */
+  static _hmrcDate(value) {
+    const d = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${String(d.getUTCFullYear()).slice(-2)}`;
+  }
+
+  /** @private */
+  static _formatDeclaration(row) {
+    const donor = JSON.parse(encryption.decrypt(row.encryptedDonor));
+    return {
+      id: row.id,
+      donorId: row.donorId,
+      ...donor,
+      declarationDate: row.declarationDate,
+      scope: row.scope,
+      donationId: row.donationId || null,
+      wording: DECLARATION_WORDING[row.scope],
+      status: row.status,
+      cancelledAt: row.cancelledAt || null,
+      cancellationReason: row.cancellationReason || null,
+      createdAt: row.createdAt,
+    };
+  }
+}
+
+ExportService.registerExportType(CLAIM_EXPORT_TYPE, {
+  headers: CLAIM_SCHEDULE_HEADERS,
+  fetchRows: (job, options) => GiftAidService.buildClaimSchedule(job, options),
+});
+
+module.exports = GiftAidService;
+module.exports.DECLARATION_SCOPES = DECLARATION_SCOPES;
+module.exports.DECLARATION_WORDING = DECLARATION_WORDING;
+module.exports.CLAIM_SCHEDULE_HEADERS = CLAIM_SCHEDULE_HEADERS;
@@ -0,0 +1,971 @@
+/**
+ * KYC Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Donor identity information (a SEP-12 style customer store)
+ *                 and the KYC hold for donations above the configured threshold
+ * OWNER: Compliance Team
+ * DEPENDENCIES: config/kycThresholds, utils/encryption (envelope encryption), Transaction model,
+ *               DonationService (recording released donations), DonationQuoteService, AuditLogService
+ *
+ * Customer records are keyed by the donor's Stellar account and use the
+ * SEP-12 natural-person field names. Field values are stored as one
+ * envelope-encrypted JSON document (encryptWithDEK, KMS-wrapped DEK); only the
+ * names of the provided fields are kept in the clear. Customer statuses follow
+ * SEP-12: NEEDS_INFO until every required field is present, PROCESSING while
+ * waiting for a compliance decision, then ACCEPTED or REJECTED.
+ *
+ * A donation paid by the API (custodial, record or batch) above the threshold
+ * for its asset and the donor's country (KYC_THRESHOLDS) is not sent to the
+ * recipient. The donor's funds are paid into the hold account
+ * (KYC_HOLD_SECRET_KEY, a dedicated account; such donations are refused while
+ * it is unset) and the donation sits in `held_for_kyc`. An admin then either
+ * approves the hold, which pays the recipient from the hold account and
+ * confirms the donation, or rejects it, which refunds the donor and fails the
+ * donation. Donors whose customer record is ACCEPTED are not held again.
+ *
+ * The hash of a decision's payment is stored on the hold before it is
+ * submitted. When the outcome is unknown (a timeout, or a failure after the
+ * payment) the hold stays releasing or refunding, and the next approve or
+ * reject settles it from the network before deciding again.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../utils/database');
+const Transaction = require('../models/transaction');
+const AuditLogService = require('./AuditLogService');
+const DonationQuoteService = require('./DonationQuoteService');
+const encryption = require('../utils/encryption');
+const log = require('../utils/log');
+const { getKycThreshold } = require('../config/kycThresholds');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+/** SEP-12 customer statuses. */
+const CUSTOMER_STATUS = Object.freeze({
+  NEEDS_INFO: 'NEEDS_INFO',
+  PROCESSING: 'PROCESSING',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED',
+});
+
+const HOLD_STATUS = Object.freeze({
+  HELD: 'held',
+  RELEASING: 'releasing',
+  RELEASED: 'released',
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded',
+});
+
+/** Column holding the signed payment hash of a decision in progress. */
+const DECISION_TX_COLUMN = Object.freeze({
+  [HOLD_STATUS.RELEASING]: 'releaseTxId',
+  [HOLD_STATUS.REFUNDING]: 'refundTxId',
+});
+
+/** A signed decision payment unknown to Horizon after this long has expired (it times out after 30s). */
+const SUBMISSION_EXPIRY_SECONDS = 120;
+
+/** A claim whose payment was never signed is abandoned after this long. */
+const STALE_CLAIM_SECONDS = 600;
+
+/**
+ * Supported SEP-12 natural-person fields. Fields without `optional` must be
+ * provided before a held donation can be released.
+ */
+const KYC_FIELDS = Object.freeze({
+  first_name: { type: 'string', description: 'Given or first name' },
+  last_name: { type: 'string', description: 'Family or last name' },
+  additional_name: { type: 'string', description: 'Middle name or other additional name', optional: true },
+  email_address: { type: 'string', description: 'Email address' },
+  mobile_number: { type: 'string', description: 'Mobile phone number in E.164 format', optional: true },
+  address: { type: 'string', description: 'Full street address' },
+  city: { type: 'string', description: 'City of residence', optional: true },
+  state_or_province: { type: 'string', description: 'State, province or region of residence', optional: true },
+  postal_code: { type: 'string', description: 'Postal or ZIP code', optional: true },
+  address_country_code: { type: 'string', description: 'Country of residence, ISO 3166-1 alpha-3' },
+  birth_date: { type: 'date', description: 'Date of birth, YYYY-MM-DD' },
+  id_type: { type: 'string', description: 'Type of ID document', choices: ['passport', 'drivers_license', 'id_card'] },
+  id_number: { type: 'string', description: 'ID document number' },
+  id_country_code: { type: 'string', description: 'Country that issued the ID, ISO 3166-1 alpha-3', optional: true },
+  id_expiration_date: { type: 'date', description: 'ID document expiration date, YYYY-MM-DD', optional: true },
+  tax_id: { type: 'string', description: 'Tax identifier', optional: true },
+  occupation: { type: 'string', description: 'Occupation', optional: true },
+});
+
+const REQUIRED_FIELDS = Object.freeze(
+  Object.keys(KYC_FIELDS).filter((name) => !KYC_FIELDS[name].optional)
+);
+
+const MAX_FIELD_LENGTH = 256;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COUNTRY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * @param {string} name
+ * @param {*} value
+ * @returns {string} The normalised value
+ * @throws {ValidationError} INVALID_KYC_FIELD
+ */
+function normalizeField(name, value) {
+  const spec = KYC_FIELDS[name];
+  const invalid = (reason) => new ValidationError(`${name} ${reason}`, { field: name }, 'INVALID_KYC_FIELD');
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw invalid('must be a non-empty string');
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > MAX_FIELD_LENGTH) {
+    throw invalid(`must be at most ${MAX_FIELD_LENGTH} characters`);
+  }
+  if (spec.type === 'date' && (!DATE_PATTERN.test(trimmed) || Number.isNaN(Date.parse(trimmed)))) {
+    throw invalid('must be a date in YYYY-MM-DD format');
+  }
+  if (name.endsWith('_country_code')) {
+    const code = trimmed.toUpperCase();
+    if (!COUNTRY_PATTERN.test(code)) throw invalid('must be an ISO 3166-1 alpha-3 country code');
+    return code;
+  }
+  if (name === 'email_address' && !EMAIL_PATTERN.test(trimmed)) {
+    throw invalid('must be a valid email address');
+  }
+  if (spec.choices && !spec.choices.includes(trimmed)) {
+    throw invalid(`must be one of: ${spec.choices.join(', ')}`);
+  }
+  return trimmed;
+}
+
+/**
+ * @param {string[]} provided
+ * @returns {string[]} Required fields not in `provided`
+ */
+function missingFields(provided) {
+  return REQUIRED_FIELDS.filter((name) => !provided.includes(name));
+}
+
+/**
+ * @returns {string} Secret of the account held donations are paid into
+ * @throws {AppError} 503 when no hold account is configured
+ */
+function holdAccountSecret() {
+  // No fallback to SERVICE_SECRET_KEY: held funds must not mix with the service account
+  const secret = process.env.KYC_HOLD_SECRET_KEY;
+  if (!secret) {
+    throw new AppError(
+      ERROR_CODES.SERVICE_UNAVAILABLE,
+      'KYC hold account is not configured (KYC_HOLD_SECRET_KEY)',
+      503
+    );
+  }
+  return secret;
+}
+
+class KycService {
+  /**
+   * @param {Object} stellarService - StellarService or MockStellarService
+   */
+  constructor(stellarService) {
+    this.stellarService = stellarService;
+  }
+
+  // ── Customer store (SEP-12) ───────────────────────────────────────────────
+
+  /**
+   * Create or update a customer. Like SEP-12 PUT /customer, fields not in the
+   * request keep their stored values.
+   *
+   * @param {Object} params
+   * @param {string} params.account - Donor's Stellar public key
+   * @param {Object<string, string>} params.fields - SEP-12 field values
+   * @param {string} [params.requestId]
+   * @returns {Promise<{ id: string }>}
+   * @throws {ValidationError} INVALID_ACCOUNT | UNKNOWN_KYC_FIELD | INVALID_KYC_FIELD
+   */
+  async putCustomer({ account, fields, requestId }) {
+    this._assertAccount(account);
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new ValidationError('At least one customer field is required', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    const unknown = Object.keys(fields).filter((name) => !KYC_FIELDS[name]);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown customer fields: ${unknown.join(', ')}`, { fields: unknown }, 'UNKNOWN_KYC_FIELD');
+    }
+
+    const updates = {};
+    for (const [name, value] of Object.entries(fields)) {
+      updates[name] = normalizeField(name, value);
+    }
+
+    const existing = await this._getCustomerRow(account);
+    const values = existing ? await this._decryptFields(existing) : {};
+    Object.assign(values, updates);
+
+    const provided = Object.keys(values).sort();
+    const status = missingFields(provided).length > 0 ? CUSTOMER_STATUS.NEEDS_INFO : CUSTOMER_STATUS.PROCESSING;
+    const encryptedFields = await encryption.encryptWithDEK(JSON.stringify(values));
+
+    let id;
+    if (existing) {
+      id = existing.id;
+      await Database.run(
+        `UPDATE kyc_customers
+            SET encryptedFields = ?, providedFields = ?, status = ?, statusMessage = NULL, updatedAt = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+        [encryptedFields, JSON.stringify(provided), status, id]
+      );
+    } else {
+      id = crypto.randomUUID();
+      await Database.run(
+        'INSERT INTO kyc_customers (id, account, status, encryptedFields, providedFields) VALUES (?, ?, ?, ?, ?)',
+        [id, account, status, encryptedFields, JSON.stringify(provided)]
+      );
+    }
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.DATA_ACCESS,
+      action: 'KYC_CUSTOMER_UPDATED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      requestId,
+      resource: `/kyc/customer/${id}`,
+      details: { customerId: id, account, fields: Object.keys(updates), status },
+    }).catch(() => {});
+
+    return { id };
+  }
+
+  /**
+   * SEP-12 GET /customer view of an account: its status, the fields still
+   * needed and the fields already provided. Values are never returned.
+   *
+   * @param {string} account
+   * @returns {Promise<Object>}
+   */
+  async getCustomer(account) {
+    this._assertAccount(account);
+    const row = await this._getCustomerRow(account);
+    const provided = row ? JSON.parse(row.providedFields || '[]') : [];
+    const status = row ? row.status : CUSTOMER_STATUS.NEEDS_INFO;
+
+    const needed = status === CUSTOMER_STATUS.ACCEPTED ? [] : Object.keys(KYC_FIELDS).filter((name) => !provided.includes(name));
+    const fieldStatus = status === CUSTOMER_STATUS.ACCEPTED || status === CUSTOMER_STATUS.REJECTED
+      ? status
+      : CUSTOMER_STATUS.PROCESSING;
+
+    const customer = { status };
+    if (row) customer.id = row.id;
+    if (needed.length > 0) {
+      customer.fields = Object.fromEntries(needed.map((name) => [name, KycService._describeField(name)]));
+    }
+    if (provided.length > 0) {
+      customer.provided_fields = Object.fromEntries(
+        provided.map((name) => [name, { ...KycService._describeField(name), status: fieldStatus }])
+      );
+    }
+    if (row && row.statusMessage) customer.message = row.statusMessage;
+    return customer;
+  }
+
+  /**
+   * Erase a customer's information (SEP-12 DELETE /customer/:account).
+   *
+   * @param {string} account
+   * @param {Object} [options]
+   * @param {string} [options.requestId]
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} KYC_CUSTOMER_NOT_FOUND
+   * @throws {ConflictError} KYC_HOLD_PENDING while a donation from the account is held
+   */
+  async deleteCustomer(account, { requestId } = {}) {
+    this._assertAccount(account);
+    const row = await this._getCustomerRow(account);
+    if (!row) {
+      throw new NotFoundError('Customer not found', 'KYC_CUSTOMER_NOT_FOUND');
+    }
+
+    const pending = await Database.get(
+      'SELECT COUNT(*) AS count FROM kyc_holds WHERE account = ? AND status IN (?, ?, ?)',
+      [account, HOLD_STATUS.HELD, HOLD_STATUS.RELEASING, HOLD_STATUS.REFUNDING]
+    );
+    if (pending && pending.count > 0) {
+      throw new ConflictError('Customer has donations awaiting a KYC decision', 'KYC_HOLD_PENDING');
+    }
+
+    await Database.run('DELETE FROM kyc_customers WHERE id = ?', [row.id]);
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.DATA_ACCESS,
+      action: 'KYC_CUSTOMER_DELETED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      requestId,
+      resource: `/kyc/customer/${row.id}`,
+      details: { customerId: row.id, account },
+    }).catch(() => {});
+  }
+
+  /**
+   * The donor's full name from their customer record, for sanctions screening.
+   *
+   * @param {string} account
+   * @returns {Promise<string|null>} null when no name has been provided
+   */
+  async getCustomerName(account) {
+    const row = await this._getCustomerRow(account);
+    if (!row) return null;
+    const values = await this._decryptFields(row);
+    const name = [values.first_name, values.additional_name, values.last_name].filter(Boolean).join(' ');
+    return name || null;
+  }
+
+  // ── Holds ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Whether a donation must be held for KYC.
+   *
+   * @param {Object} params
+   * @param {string} params.account - Donor's Stellar public key
+   * @param {number|string} params.amount
+   * @param {string} [params.assetCode='XLM']
+   * @param {string|null} [params.countryCode] - From geoBlock; null when unknown
+   * @returns {Promise<number|null>} The threshold exceeded, or null when no hold is needed
+   */
+  async requiresHold({ account, amount, assetCode = 'XLM', countryCode = null }) {
+    const threshold = getKycThreshold(assetCode, countryCode);
+    if (threshold === null || !(Number(amount) > threshold)) return null;
+
+    const customer = await this._getCustomerRow(account);
+    if (customer && customer.status === CUSTOMER_STATUS.ACCEPTED) return null;
+    return threshold;
+  }
+
+  /**
+   * Refuse a donation above the KYC threshold until the donor is ACCEPTED.
+   * For payments the API cannot hold: the donor signs them (non-custodial,
+   * SEP-7), an anchor delivers them, or they are not made on request
+   * (recurring schedules).
+   *
+   * @param {Object} params
+   * @param {string} params.account - Donor's Stellar public key
+   * @param {number|string} params.amount
+   * @param {string} [params.assetCode='XLM']
+   * @param {string} [params.ipAddress] - Resolved to a country by geoBlock
+   * @returns {Promise<void>}
+   * @throws {BusinessLogicError} KYC_REQUIRED
+   */
+  async assertVerified({ account, amount, assetCode = 'XLM', ipAddress = null }) {
+    const { geoBlockMiddleware } = require('../middleware/geoBlock');
+    const countryCode = ipAddress ? geoBlockMiddleware.getCountryCode(ipAddress) : null;
+    const threshold = await this.requiresHold({ account, amount, assetCode, countryCode });
+    if (threshold !== null) {
+      throw new BusinessLogicError(
+        'KYC_REQUIRED',
+        'Donations above the KYC threshold require the donor\'s identity to be accepted first (PUT /kyc/customer)',
+        { threshold, assetCode }
+      );
+    }
+  }
+
+  /**
+   * Pay a donation into the hold account and record it as held for KYC.
+   * Called by DonationService after its limit, balance and screening checks.
+   *
+   * @param {Object} params
+   * @param {{ publicKey: string }} params.sender
+   * @param {{ publicKey: string }} params.receiver
+   * @param {number|null} params.senderId - null when the donor is not a user
+   * @param {number|null} params.receiverId - null when the recipient is not a user
+   * @param {string} params.sourceSecret - Donor's decrypted secret
+   * @param {number|string} params.amount
+   * @param {number} params.threshold - From requiresHold()
+   * @param {string|null} [params.countryCode]
+   * @param {string} [params.memo] - Already sanitised
+   * @param {string} [params.notes]
+   * @param {string[]} [params.tags]
+   * @param {number} [params.campaignId]
+   * @param {number} [params.apiKeyId]
+   * @param {string} [params.idempotencyKey]
+   * @param {Object|null} [params.fiat] - From DonationService.resolveDonationAmount()
+   * @param {string} [params.requestId]
+   * @returns {Promise<Object>} Donation result with status `held_for_kyc`
+   * @throws {AppError} 503 when no hold account is configured
+   */
+  async holdDonation({
+    sender, receiver, senderId, receiverId, sourceSecret, amount, threshold, countryCode = null,
+    memo, notes, tags, campaignId = null, apiKeyId, idempotencyKey, fiat = null, requestId,
+  }) {
+    if (idempotencyKey) {
+      const existing = await Database.get('SELECT * FROM kyc_holds WHERE idempotencyKey = ?', [idempotencyKey]);
+      if (existing) {
+        return { ...KycService._holdResult(existing), replayed: true };
+      }
+    }
+
+    const holdAccount = StellarSdk.Keypair.fromSecret(holdAccountSecret()).publicKey();
+    const stellarResult = await this.stellarService.sendDonation({
+      sourceSecret,
+      destinationPublic: holdAccount,
+      amount,
+      memo,
+    });
+
+    const id = crypto.randomUUID();
+    const donation = Transaction.create({
+      amount: Number(amount),
+      originalAmount: fiat ? fiat.originalAmount : undefined,
+      originalCurrency: fiat ? fiat.originalCurrency : undefined,
+      rateXLMperUnit: fiat ? fiat.rateXLMperUnit : undefined,
+      rateSource: fiat ? fiat.rateSource : undefined,
+      rateTimestamp: fiat ? fiat.rateTimestamp : undefined,
+      quoteId: fiat ? fiat.quoteId : undefined,
+      donor: sender.publicKey,
+      recipient: receiver.publicKey,
+      memo,
+      status: TRANSACTION_STATES.HELD_FOR_KYC,
+      notes: notes || null,
+      tags: tags || [],
+      apiKeyId: apiKeyId || null,
+      campaign_id: campaignId,
+      kycHoldId: id,
+      holdTxId: stellarResult.transactionId,
+    });
+
+    await Database.run(
+      `INSERT INTO kyc_holds
+         (id, donationId, account, recipient, senderId, receiverId, amount, assetCode, countryCode, threshold,
+          memo, campaignId, idempotencyKey, holdAccount, holdTxId, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'XLM', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, donation.id, sender.publicKey, receiver.publicKey, senderId, receiverId,
+        Number(amount).toFixed(7), countryCode, String(threshold), memo || null, campaignId,
+        idempotencyKey || null, holdAccount, stellarResult.transactionId, HOLD_STATUS.HELD,
+      ]
+    );
+
+    if (fiat && fiat.quoteId) {
+      await DonationQuoteService.attachDonation(fiat.quoteId, donation.id);
+    }
+
+    log.info('KYC', 'Donation held for KYC', { requestId, holdId: id, donationId: donation.id, amount, threshold, countryCode });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'KYC_HOLD_CREATED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      requestId,
+      resource: `/admin/kyc-holds/${id}`,
+      details: { holdId: id, donationId: donation.id, account: sender.publicKey, amount, threshold, countryCode },
+    }).catch(() => {});
+
+    const row = await this._getHoldRow(id);
+    return KycService._holdResult(row);
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - held | released | refunded
+   * @returns {Promise<Object[]>} Holds, oldest first, with the donor's customer status
+   */
+  async listHolds({ status } = {}) {
+    const rows = status
+      ? await Database.all('SELECT * FROM kyc_holds WHERE status = ? ORDER BY createdAt ASC', [status])
+      : await Database.all('SELECT * FROM kyc_holds ORDER BY createdAt ASC');
+
+    const holds = [];
+    for (const row of rows) {
+      const customer = await this._getCustomerRow(row.account);
+      holds.push({
+        ...KycService._formatHold(row),
+        customerStatus: customer ? customer.status : CUSTOMER_STATUS.NEEDS_INFO,
+      });
+    }
+    return holds;
+  }
+
+  /**
+   * A hold with the donor's decrypted customer information, for review.
+   *
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.viewedBy]
+   * @param {string} [options.requestId]
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} KYC_HOLD_NOT_FOUND
+   */
+  async getHold(id, { viewedBy, requestId } = {}) {
+    const row = await this._requireHold(id);
+    const customerRow = await this._getCustomerRow(row.account);
+    const customer = await this.getCustomer(row.account);
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.DATA_ACCESS,
+      action: 'KYC_CUSTOMER_VIEWED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      userId: viewedBy,
+      requestId,
+      resource: `/admin/kyc-holds/${id}`,
+      details: { holdId: id, customerId: customerRow ? customerRow.id : null },
+    }).catch(() => {});
+
+    return {
+      ...KycService._formatHold(row),
+      customer: {
+        ...customer,
+        values: customerRow ? await this._decryptFields(customerRow) : {},
+      },
+    };
+  }
+
+  /**
+   * Release a held donation to its recipient and accept the donor.
+   *
+   * @param {string} id - Hold ID
+   * @param {Object} [options]
+   * @param {string} [options.decidedBy]
+   * @param {string} [options.reason]
+   * @param {string} [options.requestId]
+   * @returns {Promise<Object>} The released hold
+   * @throws {NotFoundError} KYC_HOLD_NOT_FOUND
+   * @throws {ConflictError} KYC_HOLD_ALREADY_DECIDED | KYC_DECISION_PENDING
+   * @throws {BusinessLogicError} KYC_INFO_REQUIRED when the donor has not provided the required fields
+   */
+  async approve(id, { decidedBy = null, reason = null, requestId } = {}) {
+    const found = await this._requireHold(id);
+    const row = await this._settle(found, { requestId });
+    if (found.status === HOLD_STATUS.RELEASING && row.status === HOLD_STATUS.RELEASED) {
+      return KycService._formatHold(row);
+    }
+    if (row.status !== HOLD_STATUS.HELD) {
+      throw new ConflictError(`KYC hold is already ${row.status}`, 'KYC_HOLD_ALREADY_DECIDED');
+    }
+
+    const customer = await this._getCustomerRow(row.account);
+    const missing = missingFields(customer ? JSON.parse(customer.providedFields || '[]') : []);
+    if (!customer || missing.length > 0) {
+      throw new BusinessLogicError('KYC_INFO_REQUIRED', 'Donor has not provided the required customer information', { missingFields: missing });
+    }
+
+    const secret = holdAccountSecret();
+    await this._claim(row, HOLD_STATUS.RELEASING, { decidedBy, reason });
+
+    const stellarResult = await this._sendDecisionPayment(row, HOLD_STATUS.RELEASING, {
+      sourceSecret: secret,
+      destinationPublic: row.recipient,
+      amount: row.amount,
+      memo: row.memo || undefined,
+    });
+
+    await this._completeRelease(await this._getHoldRow(id), stellarResult, { requestId });
+    return KycService._formatHold(await this._getHoldRow(id));
+  }
+
+  /**
+   * Refund a held donation to the donor and reject the donor.
+   *
+   * @param {string} id - Hold ID
+   * @param {Object} options
+   * @param {string} options.reason - Shown to the donor as the SEP-12 status message
+   * @param {string} [options.decidedBy]
+   * @param {string} [options.requestId]
+   * @returns {Promise<Object>} The refunded hold
+   * @throws {ValidationError} when no reason is given
+   * @throws {NotFoundError} KYC_HOLD_NOT_FOUND
+   * @throws {ConflictError} KYC_HOLD_ALREADY_DECIDED | KYC_DECISION_PENDING
+   */
+  async reject(id, { reason, decidedBy = null, requestId } = {}) {
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new ValidationError('A rejection reason is required', null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    const found = await this._requireHold(id);
+    const row = await this._settle(found, { requestId });
+    if (found.status === HOLD_STATUS.REFUNDING && row.status === HOLD_STATUS.REFUNDED) {
+      return KycService._formatHold(row);
+    }
+    if (row.status !== HOLD_STATUS.HELD) {
+      throw new ConflictError(`KYC hold is already ${row.status}`, 'KYC_HOLD_ALREADY_DECIDED');
+    }
+
+    const secret = holdAccountSecret();
+    await this._claim(row, HOLD_STATUS.REFUNDING, { decidedBy, reason: reason.trim() });
+
+    const stellarResult = await this._sendDecisionPayment(row, HOLD_STATUS.REFUNDING, {
+      sourceSecret: secret,
+      destinationPublic: row.account,
+      amount: row.amount,
+      memo: `Refund ${row.donationId}`.slice(0, 28),
+    });
+
+    await this._completeRefund(await this._getHoldRow(id), stellarResult, { requestId });
+    return KycService._formatHold(await this._getHoldRow(id));
+  }
+
+  // ── Decisions ─────────────────────────────────────────────────────────────
+
+  /**
+   * Pay a decision from the hold account. The signed transaction's hash is
+   * stored on the claimed hold before it is submitted; once it is, a failure
+   * leaves the hold claimed, because the payment may still reach the ledger,
+   * and the next decision settles it from the hash.
+   * @private
+   */
+  async _sendDecisionPayment(row, status, payment) {
+    let signed = false;
+    try {
+      return await this.stellarService.sendDonation({
+        ...payment,
+        onSigned: async (hash) => {
+          const stored = await Database.run(
+            `UPDATE kyc_holds SET ${DECISION_TX_COLUMN[status]} = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+            [hash, row.id, status]
+          );
+          if (!stored || stored.changes === 0) {
+            throw new ConflictError('KYC hold is already being decided', 'KYC_HOLD_ALREADY_DECIDED');
+          }
+          signed = true;
+        },
+      });
+    } catch (error) {
+      if (signed) {
+        log.error('KYC', 'KYC decision payment outcome unknown', { holdId: row.id, status, error: error.message });
+      } else {
+        await this._unclaim(row, status);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a decision left releasing or refunding by an earlier attempt, from
+   * its stored payment hash: completed if the payment succeeded, back to held
+   * if it failed, or expired without reaching the ledger. A claim whose
+   * payment was never signed goes back to held once it is stale.
+   *
+   * @private
+   * @returns {Promise<Object>} The hold row afterwards
+   * @throws {ConflictError} KYC_HOLD_ALREADY_DECIDED while another decision is in progress
+   * @throws {ConflictError} KYC_DECISION_PENDING while the payment's outcome is unknown
+   */
+  async _settle(row, { requestId } = {}) {
+    const column = DECISION_TX_COLUMN[row.status];
+    if (!column) return row;
+
+    const age = await Database.get(
+      `SELECT updatedAt < datetime('now', ?) AS expired, updatedAt < datetime('now', ?) AS stale
+         FROM kyc_holds WHERE id = ?`,
+      [`-${SUBMISSION_EXPIRY_SECONDS} seconds`, `-${STALE_CLAIM_SECONDS} seconds`, row.id]
+    );
+    const hash = row[column];
+    if (!hash) {
+      if (!age.stale) {
+        throw new ConflictError('KYC hold is already being decided', 'KYC_HOLD_ALREADY_DECIDED');
+      }
+      await this._unclaim(row, row.status);
+      return this._getHoldRow(row.id);
+    }
+
+    let payment = null;
+    let succeeded = null;
+    try {
+      payment = await this.stellarService.getTransaction(hash);
+      succeeded = payment.successful !== false;
+    } catch (err) {
+      if ((err.status === 404 || err.statusCode === 404) && age.expired) {
+        succeeded = false;
+      } else {
+        log.warn('KYC', 'KYC decision payment outcome still unknown', { holdId: row.id, transactionId: hash, error: err.message });
+      }
+    }
+
+    if (succeeded === null) {
+      throw new ConflictError('The payment for this KYC decision has not settled yet', 'KYC_DECISION_PENDING');
+    }
+    log.info('KYC', 'KYC decision payment reconciled', { requestId, holdId: row.id, transactionId: hash, succeeded });
+    if (!succeeded) {
+      await this._unclaim(row, row.status);
+    } else if (row.status === HOLD_STATUS.RELEASING) {
+      await this._completeRelease(row, { transactionId: hash, ledger: payment.ledger }, { requestId });
+    } else {
+      await this._completeRefund(row, { transactionId: hash, ledger: payment.ledger }, { requestId });
+    }
+    return this._getHoldRow(row.id);
+  }
+
+  /**
+   * Record a release whose payment reached the recipient.
+   * @private
+   */
+  async _completeRelease(row, stellarResult, { requestId } = {}) {
+    // Only now does the donation count toward the recipient's totals. Holds
+    // from non-custodial donors have no users to record the payment against.
+    const DonationService = require('./DonationService');
+    const donationService = new DonationService(this.stellarService);
+    // A fiat donation keeps the rate it was held at
+    const donation = Transaction.getById(row.donationId);
+    const fiat = donation && donation.originalCurrency ? {
+      originalAmount: donation.originalAmount,
+      originalCurrency: donation.originalCurrency,
+      rateXLMperUnit: donation.rateXLMperUnit,
+      rateSource: donation.rateSource,
+      rateTimestamp: donation.rateTimestamp,
+      quoteId: donation.quoteId || null,
+    } : null;
+    await Database.runTransaction(async (tx) => {
+      const released = await tx.run(
+        `UPDATE kyc_holds
+            SET status = ?, releaseTxId = ?, decidedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = ?`,
+        [HOLD_STATUS.RELEASED, stellarResult.transactionId, row.id, HOLD_STATUS.RELEASING]
+      );
+      if (!released || released.changes === 0) {
+        throw new ConflictError('KYC hold is already decided', 'KYC_HOLD_ALREADY_DECIDED');
+      }
+      if (row.senderId && row.receiverId) {
+        await donationService.recordCustodialPayment(tx, {
+          senderId: row.senderId,
+          receiverId: row.receiverId,
+          amount: row.amount,
+          memo: row.memo,
+          idempotencyKey: row.idempotencyKey,
+          stellarTxId: stellarResult.transactionId,
+          fiat,
+        });
+      }
+      await tx.run(
+        `UPDATE kyc_customers SET status = ?, statusMessage = NULL, updatedAt = CURRENT_TIMESTAMP WHERE account = ?`,
+        [CUSTOMER_STATUS.ACCEPTED, row.account]
+      );
+    });
+
+    // The outbox delivers donation.created now that the donation has reached the recipient
+    Transaction.updateStatus(row.donationId, TRANSACTION_STATES.CONFIRMED, {
+      transactionId: stellarResult.transactionId,
+      ledger: stellarResult.ledger,
+      confirmedAt: new Date().toISOString(),
+    }, {
+      outboxEvents: ['donation.created', 'donation.confirmed'],
+    });
+    await Transaction.persisted(row.donationId);
+
+    if (row.campaignId) {
+      await donationService
+        .processCampaignContribution(row.campaignId, Number(row.amount))
+        .catch((err) => {
+          log.error('KYC', 'Failed to update campaign contribution', { error: err.message });
+        });
+    }
+    await donationService.recordQuadraticContribution({
+      id: row.donationId,
+      donor: row.account,
+      recipient: row.recipient,
+      amount: Number(row.amount),
+      stellarTxId: stellarResult.transactionId,
+    });
+
+    log.info('KYC', 'Held donation released', { requestId, holdId: row.id, donationId: row.donationId, stellarTxId: stellarResult.transactionId });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'KYC_HOLD_RELEASED',
+      severity: AuditLogService.SEVERITY.HIGH,
+      result: 'SUCCESS',
+      userId: row.decidedBy,
+      requestId,
+      resource: `/admin/kyc-holds/${row.id}`,
+      details: {
+        holdId: row.id, donationId: row.donationId, account: row.account, amount: row.amount,
+        releaseTxId: stellarResult.transactionId, reason: row.decisionReason,
+      },
+    }).catch(() => {});
+  }
+
+  /**
+   * Record a rejection whose refund reached the donor.
+   * @private
+   */
+  async _completeRefund(row, stellarResult, { requestId } = {}) {
+    await Database.runTransaction(async (tx) => {
+      const refunded = await tx.run(
+        `UPDATE kyc_holds
+            SET status = ?, refundTxId = ?, decidedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = ?`,
+        [HOLD_STATUS.REFUNDED, stellarResult.transactionId, row.id, HOLD_STATUS.REFUNDING]
+      );
+      if (!refunded || refunded.changes === 0) {
+        throw new ConflictError('KYC hold is already decided', 'KYC_HOLD_ALREADY_DECIDED');
+      }
+      // Record the rejection even for donors who never provided information
+      await tx.run(
+        `INSERT INTO kyc_customers (id, account, status, statusMessage) VALUES (?, ?, ?, ?)
+         ON CONFLICT (account) DO UPDATE
+            SET status = excluded.status, statusMessage = excluded.statusMessage, updatedAt = CURRENT_TIMESTAMP`,
+        [crypto.randomUUID(), row.account, CUSTOMER_STATUS.REJECTED, row.decisionReason]
+      );
+    });
+
+    Transaction.updateStatus(row.donationId, TRANSACTION_STATES.FAILED, {
+      failureReason: 'kyc_rejected',
+    }, {
+      outboxEvents: ['donation.refunded'],
+    });
+    await Transaction.persisted(row.donationId);
+
+    log.info('KYC', 'Held donation refunded', { requestId, holdId: row.id, donationId: row.donationId, refundTxId: stellarResult.transactionId });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'KYC_HOLD_REFUNDED',
+      severity: AuditLogService.SEVERITY.HIGH,
+      result: 'SUCCESS',
+      userId: row.decidedBy,
+      requestId,
+      resource: `/admin/kyc-holds/${row.id}`,
+      details: {
+        holdId: row.id, donationId: row.donationId, amount: row.amount,
+        refundTxId: stellarResult.transactionId, reason: row.decisionReason,
+      },
+    }).catch(() => {});
+  }
+
+  // ── Internals ─────────────────────────────────────────────────────────────
+
+  /** @private */
+  _assertAccount(account) {
+    if (!account || !this.stellarService.isValidAddress(account)) {
+      throw new ValidationError('account must be a valid Stellar public key', null, 'INVALID_ACCOUNT');
+    }
+  }
+
+  /** @private */
+  _getCustomerRow(account) {
+    return Database.get('SELECT * FROM kyc_customers WHERE account = ?', [account]);
+  }
+
+  /** @private */
+  async _decryptFields(row) {
+    if (!row.encryptedFields) return {};
+    return JSON.parse(await encryption.decryptWithDEK(row.encryptedFields));
+  }
+
+  /** @private */
+  _getHoldRow(id) {
+    return Database.get('SELECT * FROM kyc_holds WHERE id = ?', [id]);
+  }
+
+  /** @private */
+  async _requireHold(id) {
+    const row = await this._getHoldRow(id);
+    if (!row) {
+      throw new NotFoundError('KYC hold not found', 'KYC_HOLD_NOT_FOUND');
+    }
+    return row;
+  }
+
+  /**
+   * Move a hold out of `held` so a concurrent decision cannot pay twice. The
+   * decision is stored with the claim so an unsettled one can be finished later.
+   * @private
+   */
+  async _claim(row, status, { decidedBy = null, reason = null } = {}) {
+    const result = await Database.run(
+      `UPDATE kyc_holds SET status = ?, decidedBy = ?, decisionReason = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = ?`,
+      [status, decidedBy, reason, row.id, HOLD_STATUS.HELD]
+    );
+    if (!result || result.changes === 0) {
+      throw new ConflictError('KYC hold is already being decided', 'KYC_HOLD_ALREADY_DECIDED');
+    }
+  }
+
+  /**
+   * Put a claimed hold whose payment did not reach the ledger back to `held`.
+   * @private
+   */
+  async _unclaim(row, status) {
+    await Database.run(
+      `UPDATE kyc_holds
+          SET status = ?, releaseTxId = NULL, refundTxId = NULL, decidedBy = NULL, decisionReason = NULL,
+              updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = ?`,
+      [HOLD_STATUS.HELD, row.id, status]
+    );
+  }
+
+  /** @private */
+  static _describeField(name) {
+    const { type, description, optional, choices } = KYC_FIELDS[name];
+    const field = { type, description };
+    if (choices) field.choices = choices;
+    if (optional) field.optional = true;
+    return field;
+  }
+
+  /** @private */
+  static _formatHold(row) {
+    const donation = Transaction.getById(row.donationId);
+    return {
+      id: row.id,
+      donationId: row.donationId,
+      donationStatus: donation ? donation.status : null,
+      account: row.account,
+      recipient: row.recipient,
+      amount: row.amount,
+      assetCode: row.assetCode,
+      countryCode: row.countryCode,
+      threshold: Number(row.threshold),
+      memo: row.memo,
+      campaignId: row.campaignId,
+      status: row.status,
+      holdAccount: row.holdAccount,
+      holdTxId: row.holdTxId,
+      releaseTxId: row.releaseTxId,
+      refundTxId: row.refundTxId,
+      decidedBy: row.decidedBy,
+      decisionReason: row.decisionReason,
+      createdAt: row.createdAt,
+      decidedAt: row.decidedAt,
+    };
+  }
+
+  /**
+   * Shape a new hold like a sendCustodialDonation() result.
+   * @private
+   */
+  static _holdResult(row) {
+    const donation = Transaction.getById(row.donationId);
+    return {
+      id: row.donationId,
+      stellarTxId: row.holdTxId,
+      amount: row.amount,
+      sender: row.account,
+      receiver: row.recipient,
+      timestamp: row.createdAt,
+      status: donation ? donation.status : TRANSACTION_STATES.HELD_FOR_KYC,
+      kycHold: {
+        id: row.id,
+        threshold: Number(row.threshold),
+        countryCode: row.countryCode,
+        customerUrl: `/api/v1/kyc/customer?account=${row.account}`,
+      },
+    };
+  }
+}
+
+module.exports = KycService;
+module.exports.CUSTOMER_STATUS = CUSTOMER_STATUS;
+module.exports.HOLD_STATUS = HOLD_STATUS;
+module.exports.KYC_FIELDS = KYC_FIELDS;
+module.exports.REQUIRED_FIELDS = REQUIRED_FIELDS;
@@ -1,5 +1,6 @@
 const Transaction = require('../models/transaction');
 const Cache = require('../utils/cache');
+const TeamService = require('./TeamService');
 const {
   leaderboardComputeDuration,
   recordLeaderboardCacheHit,
@@ -584,6 +585,66 @@ class StatsService {
     return leaderboard;
   }
 
+  /**
+   * Get an organization, team or fundraiser leaderboard from the incremental
+   * roll-ups kept by TeamService. Roll-ups are bucketed per UTC day, so a
+   * period window starts at the beginning of its first day.
+   * @param {string} level - 'organization', 'team' or 'fundraiser'
+   * @param {Object} [options]
+   * @param {string} [options.period] - Time period: 'all', 'monthly', 'weekly', 'daily'
+   * @param {number} [options.limit] - Number of top entries to return (default 10)
+   * @param {number} [options.campaignId] - Only count donations to this campaign
+   * @param {number} [options.parentId] - Only what was raised under this parent
+   *   (the organization of a team, the team of a fundraiser)
+   * @returns {Promise<Array>} Array of leaderboard entries
+   */
+  static async getHierarchyLeaderboard(level, { period = 'all', limit = DEFAULT_TOP_N, campaignId = null, parentId = null } = {}) {
+    const cacheKey = `leaderboard:hierarchy:${level}:${period}:${limit}:${campaignId || '-'}:${parentId || '-'}`;
+
+    const cached = Cache.get(cacheKey);
+    if (cached) {
+      recordLeaderboardCacheHit();
+      return cached;
+    }
+    recordLeaderboardCacheMiss();
+    const computeTimer = leaderboardComputeDuration.startTimer();
+
+    const { startDate } = this.getDateRangeForPeriod(period);
+    const totals = await TeamService.getRankedTotals(level, {
+      campaignId,
+      parentId,
+      sinceDay: startDate ? this.getDateKey(startDate) : null,
+      limit,
+    });
+
+    const leaderboard = totals.map((entry, index) => ({
+      rank: index + 1,
+      id: entry.id,
+      name: entry.name,
+      level,
+      parent: entry.parent,
+      totalRaised: entry.totalStroops.toString(),
+      donationCount: entry.donationCount,
+      period,
+      campaignId: campaignId || null,
+    }));
+
+    computeTimer();
+    withCacheMeta(leaderboard, new Date().toISOString());
+
+    Cache.set(cacheKey, leaderboard, LEADERBOARD_CACHE_TTL_MS);
+
+    return leaderboard;
+  }
+
+  /**
+   * Invalidate the organization/team/fundraiser leaderboards (called when a
+   * donation is rolled up)
+   */
+  static invalidateHierarchyCache() {
+    Cache.clearPrefix('leaderboard:hierarchy:');
+  }
+
   /**
    * Invalidate all leaderboard caches (called when new confirmed donation arrives)
    */
@@ -536,13 +536,17 @@ class MockStellarService extends StellarServiceInterface {
   }
   async submitTransaction(tx) { return this.payments.submitTransaction(tx); }
   async submitSignedTransaction(signedXDR) { return this.payments.submitSignedTransaction(signedXDR); }
+  async buildUnsignedPayment(sourcePublicKey, destinationPublicKey, amount, options = {}) {
+    return this.payments.buildUnsignedPayment(sourcePublicKey, destinationPublicKey, amount, options);
+  }
+  decodeTransaction(xdr) { return this.payments.decodeTransaction(xdr); }
   async sendDonation(params) { return this.payments.sendDonation(params); }
   async discoverBestPath(params) { return this.payments.discoverBestPath(params); }
   async pathPayment(sourceAsset, sourceAmount, destAsset, destAmount, path, options = {}) { 
     return this.payments.pathPayment(sourceAsset, sourceAmount, destAsset, destAmount, path, options); 
   }
-  async sendBatchDonations(sourceSecret, payments) { 
-    return this.payments.sendBatchDonations(sourceSecret, payments); 
+  async sendBatchDonations(sourceSecret, payments, options = {}) { 
+    return this.payments.sendBatchDonations(sourceSecret, payments, options); 
   }
   async getTransactionHistory(publicKey, limit = 10) { 
     return this.payments.getTransactionHistory(publicKey, limit); 
@@ -79,6 +79,7 @@ class MockStellarServiceStub extends StellarServiceInterface {
       getAccountBalances: [{ asset_type: 'native', balance: '1000.0000000' }],
       getTransaction: { hash: _mockHash(), ledger: _mockLedger(), successful: true },
       submitSignedTransaction: txResult,
+      buildUnsignedPayment: { xdr: 'mock_envelope', hash: _mockHash(), fee: '100', sequence: '101', timeBounds: { minTime: '0', maxTime: '0' } },
       buildAndSubmitFeeBumpTransaction: txResult,
       bumpSequence: { hash: _mockHash(), ledger: _mockLedger(), newSequence: '101' },
       isValidAddress: true,
@@ -116,6 +117,13 @@ class MockStellarServiceStub extends StellarServiceInterface {
   async getAccountBalances(pk) { return this._dispatch('getAccountBalances', [pk]); }
   async getTransaction(hash) { return this._dispatch('getTransaction', [hash]); }
   async submitSignedTransaction(xdr) { return this._dispatch('submitSignedTransaction', [xdr]); }
+  async buildUnsignedPayment(src, dest, amount, opts) { return this._dispatch('buildUnsignedPayment', [src, dest, amount, opts]); }
+  decodeTransaction(xdr) {
+    this._calls.decodeTransaction = (this._calls.decodeTransaction || []);
+    this._calls.decodeTransaction.push([xdr]);
+    if (this._errors.decodeTransaction) throw this._errors.decodeTransaction;
+    return this._responses.decodeTransaction || null;
+  }
   async buildAndSubmitFeeBumpTransaction(xdr, fee, secret) { return this._dispatch('buildAndSubmitFeeBumpTransaction', [xdr, fee, secret]); }
   async bumpSequence(secret, bumpTo) { return this._dispatch('bumpSequence', [secret, bumpTo]); }
   isValidAddress(addr) { this._calls.isValidAddress = (this._calls.isValidAddress || []); this._calls.isValidAddress.push([addr]); if (this._errors.isValidAddress) throw this._errors.isValidAddress; return 'isValidAddress' in this._responses ? this._responses.isValidAddress : true; }
@@ -0,0 +1,374 @@
+/**
+ * Non-Custodial Donation Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Prepare unsigned donation transactions and submit them once
+ *                 the donor has signed them in their own wallet
+ * OWNER: Backend Team
+ * DEPENDENCIES: StellarService, Transaction model, AuditLogService, ScreeningService, KycService, memoValidator
+ *
+ * prepare() builds the payment with buildUnsignedPayment(), locking the memo,
+ * fee and time bounds, and records the donation as pending_signature until
+ * the time bounds run out. submit() decodes the donor-signed envelope, checks
+ * it still matches what was prepared (source, destination, amount, asset,
+ * memo, time bounds) and submits it with submitSignedTransaction(). The server
+ * never sees the donor's secret.
+ */
+
+'use strict';
+
+const Transaction = require('../models/transaction');
+const AuditLogService = require('./AuditLogService');
+const ScreeningService = require('./ScreeningService');
+const KycService = require('./KycService');
+const memoValidator = require('../utils/memoValidator');
+const log = require('../utils/log');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+/** Seconds a prepared transaction stays valid (also its on-chain maxTime). */
+const SIGNATURE_TTL_SECONDS = parseInt(process.env.NON_CUSTODIAL_SIGNATURE_TTL_SECONDS || '300', 10);
+
+const PAYMENT_METHOD = 'non_custodial';
+const STROOPS_PER_XLM = 1e7;
+
+const toStroops = (amount) => Math.round(Number(amount) * STROOPS_PER_XLM);
+
+class NonCustodialDonationService {
+  /**
+   * @param {Object} stellarService - StellarService or MockStellarService
+   */
+  constructor(stellarService) {
+    this.stellarService = stellarService;
+    this._submitting = new Set();
+  }
+
+  /**
+   * Build an unsigned donation for the donor to sign.
+   *
+   * @param {Object} params
+   * @param {string} params.donor - Donor's Stellar public key (transaction source)
+   * @param {string} params.recipient - Recipient's Stellar public key
+   * @param {string} [params.recipientFederation] - Federation address the recipient was resolved from
+   * @param {number} params.amount - Amount in XLM
+   * @param {string} [params.memo] - Text memo
+   * @param {string} [params.notes]
+   * @param {string[]} [params.tags]
+   * @param {string} [params.idempotencyKey]
+   * @param {number} [params.apiKeyId]
+   * @param {string} [params.ipAddress] - For the donor's KYC threshold
+   * @param {string} [params.requestId]
+   * @returns {Promise<Object>} Donation ID, unsigned XDR, fee, time bounds and expiry
+   * @throws {ConflictError} IDEMPOTENCY_KEY_MISMATCH when the key was used for a different donation
+   * @throws {ForbiddenError} SCREENING_BLOCKED when a party is on a blocking screening list
+   * @throws {BusinessLogicError} KYC_REQUIRED above the KYC threshold until the donor is accepted
+   */
+  async prepare({ donor, recipient, recipientFederation = null, amount, memo, notes, tags, idempotencyKey, apiKeyId, ipAddress, requestId }) {
+    if (!this.stellarService.isValidAddress(donor)) {
+      throw new ValidationError('donor must be a valid Stellar public key', null, 'INVALID_DONOR');
+    }
+    if (!this.stellarService.isValidAddress(recipient)) {
+      throw new ValidationError('recipient must be a valid Stellar public key', null, 'INVALID_RECIPIENT');
+    }
+    if (donor === recipient) {
+      throw new ValidationError('Sender and recipient cannot be the same wallet', null, 'INVALID_REQUEST');
+    }
+    if (!(Number(amount) > 0)) {
+      throw new ValidationError('Amount must be positive', null, 'INVALID_AMOUNT');
+    }
+
+    let sanitizedMemo = null;
+    if (memo !== undefined && memo !== null && memo !== '') {
+      const memoResult = memoValidator.validate(memo);
+      if (!memoResult.valid) {
+        throw new ValidationError(memoResult.error, null, memoResult.code);
+      }
+      sanitizedMemo = memoResult.sanitized || memo;
+    }
+
+    if (idempotencyKey) {
+      const existing = Transaction.loadTransactions().find((t) => t.idempotencyKey === idempotencyKey);
+      if (existing) {
+        const sameDonation = existing.paymentMethod === PAYMENT_METHOD
+          && existing.donor === donor
+          && existing.recipient === recipient
+          && Math.round(Number(existing.amount) * STROOPS_PER_XLM) === Math.round(Number(amount) * STROOPS_PER_XLM);
+        if (!sameDonation) {
+          throw new ConflictError('Idempotency key was already used for a different donation', 'IDEMPOTENCY_KEY_MISMATCH');
+        }
+        return this._describe(existing);
+      }
+    }
+
+    // Donor-signed payments never pass through the KYC hold account
+    await new KycService(this.stellarService).assertVerified({ account: donor, amount, ipAddress });
+
+    // Sanctions screening before the donor is handed a payment to sign
+    const screening = await ScreeningService.screenDonation([
+      { role: 'donor', address: donor },
+      { role: 'recipient', address: recipient, federation: recipientFederation },
+    ], {
+      stellarService: this.stellarService,
+      context: { requestId, amount: String(amount), idempotencyKey: idempotencyKey || null },
+    });
+
+    let fee = null;
+    try {
+      fee = await this.stellarService.estimateFee(1);
+    } catch (err) {
+      log.warn('NON_CUSTODIAL', 'Fee estimation failed, using the base fee', { requestId, error: err.message });
+    }
+
+    const prepared = await this.stellarService.buildUnsignedPayment(donor, recipient, Number(amount).toFixed(7), {
+      memo: sanitizedMemo || undefined,
+      fee: fee && fee.feeStroops ? String(fee.feeStroops) : undefined,
+      timeout: SIGNATURE_TTL_SECONDS,
+    });
+
+    const maxTime = parseInt(prepared.timeBounds && prepared.timeBounds.maxTime, 10);
+    const expiresAt = new Date(
+      maxTime > 0 ? maxTime * 1000 : Date.now() + SIGNATURE_TTL_SECONDS * 1000
+    ).toISOString();
+
+    const transaction = Transaction.create({
+      amount: Number(amount),
+      donor,
+      recipient,
+      memo: sanitizedMemo || '',
+      memoType: 'text',
+      notes: notes || null,
+      tags: tags || [],
+      apiKeyId: apiKeyId || null,
+      idempotencyKey,
+      status: TRANSACTION_STATES.PENDING_SIGNATURE,
+      paymentMethod: PAYMENT_METHOD,
+      screeningFlagged: screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+      envelopeXdr: prepared.xdr,
+      preparedTxHash: prepared.hash,
+      originalFee: prepared.fee,
+      timeBounds: prepared.timeBounds,
+      signatureExpiresAt: expiresAt,
+    });
+
+    log.info('NON_CUSTODIAL', 'Prepared donation awaiting signature', {
+      requestId,
+      donationId: transaction.id,
+      expiresAt,
+    });
+
+    return this._describe(transaction);
+  }
+
+  /**
+   * Submit the donor-signed envelope for a prepared donation.
+   *
+   * @param {string} donationId
+   * @param {Object} params
+   * @param {string} params.signedXdr - Base64 signed transaction envelope
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} The confirmed donation
+   * @throws {NotFoundError} DONATION_NOT_FOUND
+   * @throws {ConflictError} DONATION_NOT_PENDING_SIGNATURE | SUBMISSION_IN_PROGRESS
+   * @throws {BusinessLogicError} SIGNATURE_EXPIRED
+   * @throws {ValidationError} INVALID_XDR | TRANSACTION_NOT_SIGNED | INTENT_MISMATCH
+   */
+  async submit(donationId, { signedXdr, requestId, ipAddress } = {}) {
+    if (!signedXdr || typeof signedXdr !== 'string') {
+      throw new ValidationError('signedXdr must be a non-empty string', null, 'MISSING_REQUIRED_FIELD');
+    }
+
+    const donation = Transaction.getById(donationId);
+    if (!donation || donation.paymentMethod !== PAYMENT_METHOD) {
+      throw new NotFoundError('Prepared donation not found', 'DONATION_NOT_FOUND');
+    }
+    if (donation.status !== TRANSACTION_STATES.PENDING_SIGNATURE) {
+      throw new ConflictError(`Donation is ${donation.status}, not awaiting a signature`, 'DONATION_NOT_PENDING_SIGNATURE');
+    }
+    if (new Date(donation.signatureExpiresAt) <= new Date()) {
+      this._expire(donation);
+      throw new BusinessLogicError('SIGNATURE_EXPIRED', 'The prepared transaction has expired; prepare the donation again');
+    }
+
+    const decoded = this.stellarService.decodeTransaction(signedXdr);
+    if (decoded.signatureCount === 0) {
+      throw new ValidationError('The transaction has not been signed', null, 'TRANSACTION_NOT_SIGNED');
+    }
+    this._assertMatchesIntent(donation, decoded);
+
+    if (this._submitting.has(donation.id)) {
+      throw new ConflictError('This donation is already being submitted', 'SUBMISSION_IN_PROGRESS');
+    }
+    this._submitting.add(donation.id);
+
+    let result;
+    try {
+      result = await this.stellarService.submitSignedTransaction(signedXdr);
+    } catch (err) {
+      log.warn('NON_CUSTODIAL', 'Signed donation submission failed', {
+        requestId,
+        donationId: donation.id,
+        error: err.message,
+      });
+      throw err;
+    } finally {
+      this._submitting.delete(donation.id);
+    }
+
+    const updated = Transaction.updateStatus(donation.id, TRANSACTION_STATES.CONFIRMED, {
+      transactionId: result.hash || result.transactionId,
+      ledger: result.ledger,
+      confirmedAt: new Date().toISOString(),
+    }, {
+      outboxEvents: ['donation.created', 'donation.confirmed'],
+    });
+    await Transaction.persisted(updated.id);
+
+    const DonationService = require('./DonationService');
+    await new DonationService(this.stellarService).recordQuadraticContribution({
+      id: updated.id,
+      donor: updated.donor,
+      recipient: updated.recipient,
+      amount: updated.amount,
+      stellarTxId: updated.stellarTxId,
+      createdAt: updated.timestamp,
+    });
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'NON_CUSTODIAL_DONATION_SUBMITTED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      requestId,
+      ipAddress,
+      resource: `/donations/${donation.id}/submit`,
+      details: {
+        donationId: donation.id,
+        amount: donation.amount,
+        donor: donation.donor,
+        recipient: donation.recipient,
+        stellarTxId: updated.stellarTxId,
+        rebuilt: decoded.hash !== donation.preparedTxHash,
+      },
+    }).catch(() => {});
+
+    return {
+      donationId: updated.id,
+      status: updated.status,
+      transactionHash: updated.stellarTxId,
+      ledger: updated.stellarLedger,
+      amount: updated.amount,
+      donor: updated.donor,
+      recipient: updated.recipient,
+      memo: updated.memo || null,
+      confirmedAt: updated.confirmedAt,
+    };
+  }
+
+  /**
+   * Fail prepared donations whose signing window has closed.
+   * @param {Date} [now]
+   * @returns {{ expired: number }}
+   */
+  expireStale(now = new Date()) {
+    let expired = 0;
+    for (const donation of Transaction.getByStatus(TRANSACTION_STATES.PENDING_SIGNATURE)) {
+      if (donation.paymentMethod === PAYMENT_METHOD && new Date(donation.signatureExpiresAt) <= now) {
+        this._expire(donation);
+        expired += 1;
+      }
+    }
+    return { expired };
+  }
+
+  /**
+   * @private
+   * @param {Object} donation
+   */
+  _expire(donation) {
+    Transaction.updateStatus(donation.id, TRANSACTION_STATES.FAILED, { failureReason: 'signature_expired' });
+  }
+
+  /**
+   * Check a decoded envelope against the prepared donation. A wallet may
+   * rebuild the transaction (e.g. a new sequence number or a higher fee), but
+   * it must still pay the prepared amount to the prepared recipient from the
+   * donor's account, carry the same memo, and expire no later than prepared.
+   *
+   * @private
+   * @throws {ValidationError} INTENT_MISMATCH
+   */
+  _assertMatchesIntent(donation, decoded) {
+    const mismatch = (field, expected, actual) => {
+      throw new ValidationError(
+        `Signed transaction ${field} does not match the prepared donation`,
+        { field, expected, actual },
+        'INTENT_MISMATCH'
+      );
+    };
+
+    if (decoded.source !== donation.donor) {
+      mismatch('source', donation.donor, decoded.source);
+    }
+    if (decoded.operations.length !== 1 || decoded.operations[0].type !== 'payment') {
+      mismatch('operations', 'a single payment', decoded.operations.map((op) => op.type));
+    }
+
+    const [payment] = decoded.operations;
+    // An operation source would pay from a different account than the donor's
+    if (payment.source && payment.source !== donation.donor) {
+      mismatch('operation source', donation.donor, payment.source);
+    }
+    if (payment.destination !== donation.recipient) {
+      mismatch('destination', donation.recipient, payment.destination);
+    }
+    if (toStroops(payment.amount) !== toStroops(donation.amount)) {
+      mismatch('amount', Number(donation.amount).toFixed(7), payment.amount);
+    }
+    if (!payment.asset || payment.asset.type !== 'native') {
+      mismatch('asset', 'native', payment.asset);
+    }
+
+    const expectedMemo = donation.memo || null;
+    const actualMemo = decoded.memo && decoded.memo.type !== 'none' ? decoded.memo.value : null;
+    if (expectedMemo !== actualMemo || (expectedMemo && decoded.memo.type !== 'text')) {
+      mismatch('memo', expectedMemo, actualMemo);
+    }
+
+    const preparedMaxTime = parseInt(donation.timeBounds && donation.timeBounds.maxTime, 10) || 0;
+    const maxTime = parseInt(decoded.timeBounds && decoded.timeBounds.maxTime, 10) || 0;
+    if (preparedMaxTime > 0 && (maxTime === 0 || maxTime > preparedMaxTime)) {
+      mismatch('timeBounds.maxTime', String(preparedMaxTime), String(maxTime));
+    }
+  }
+
+  /**
+   * Response body for a prepared donation.
+   * @private
+   */
+  _describe(donation) {
+    const fee = donation.originalFee || null;
+    return {
+      donationId: donation.id,
+      status: donation.status,
+      unsignedXdr: donation.envelopeXdr,
+      networkPassphrase: this.stellarService.networkPassphrase || null,
+      hash: donation.preparedTxHash,
+      fee: fee && { stroops: fee, xlm: (Number(fee) / STROOPS_PER_XLM).toFixed(7) },
+      timeBounds: donation.timeBounds,
+      expiresAt: donation.signatureExpiresAt,
+      amount: donation.amount,
+      donor: donation.donor,
+      recipient: donation.recipient,
+      memo: donation.memo || null,
+    };
+  }
+}
+
+module.exports = NonCustodialDonationService;
+module.exports.SIGNATURE_TTL_SECONDS = SIGNATURE_TTL_SECONDS;
+module.exports.PAYMENT_METHOD = PAYMENT_METHOD;
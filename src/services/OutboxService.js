@@ -0,0 +1,260 @@
+/**
+ * Outbox Service - Event Delivery Layer
+ *
+ * RESPONSIBILITY: Transactional outbox for domain events and the relay that drains it
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database (event_outbox tables, migration 041), WebhookService, SseManager, GraphQL pubsub
+ *
+ * Producers call enqueue() with the transaction handle they used for the state
+ * change, so the event row commits or rolls back together with it. Nothing is
+ * sent from the request path: the outbox relay worker calls relay(), which hands
+ * each pending event to every registered subscriber.
+ *
+ * Each successful hand-off is recorded in event_outbox_deliveries. When one
+ * subscriber fails, the event is retried later with backoff and only the
+ * subscribers without a delivery record are called again.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../utils/database');
+const log = require('../utils/log');
+
+const BATCH_SIZE = parseInt(process.env.OUTBOX_RELAY_BATCH_SIZE || '100', 10);
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10);
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+const OUTBOX_STATUS = Object.freeze({
+  PENDING: 'pending',
+  DISPATCHED: 'dispatched',
+  FAILED: 'failed',
+});
+
+/** SSE transaction feed events (GET /stream/feed) fed from outbox events. */
+const SSE_EVENTS = Object.freeze({
+  'donation.created': 'transaction.created',
+  'donation.confirmed': 'transaction.confirmed',
+});
+
+/** GraphQL subscription topics fed from outbox events. */
+const GRAPHQL_TOPICS = Object.freeze({
+  'donation.created': 'DONATION_CREATED',
+  'donation.confirmed': 'DONATION_COMPLETED',
+});
+
+/** @type {Map<string, Function>} subscriber name -> async handler(event) */
+const _subscribers = new Map();
+
+/**
+ * Built-in subscribers. Dependencies are required lazily because several of
+ * them load the services that produce outbox events.
+ * @returns {Array<[string, Function]>}
+ */
+function defaultSubscribers() {
+  return [
+    ['webhooks', (event) => require('./WebhookService').deliver(event.eventType, event.payload)],
+    ['sse', (event) => {
+      const sseEvent = SSE_EVENTS[event.eventType];
+      if (!sseEvent) return;
+      require('./SseManager').broadcast(sseEvent, event.payload);
+    }],
+    ['graphql', (event) => {
+      const topic = GRAPHQL_TOPICS[event.eventType];
+      if (!topic) return;
+      const pubsub = require('../graphql/pubsub');
+      pubsub.publish(pubsub.TOPICS[topic], event.payload);
+    }],
+  ];
+}
+
+/**
+ * Convert a stored row into the event object handed to subscribers.
+ * @param {Object} row
+ * @returns {{ eventId: string, eventType: string, aggregateType: string|null, aggregateId: string|null, payload: Object, createdAt: string }}
+ */
+function toEvent(row) {
+  let payload;
+  try {
+    payload = JSON.parse(row.payload);
+  } catch (_) {
+    payload = {};
+  }
+  return {
+    eventId: row.event_id,
+    eventType: row.event_type,
+    aggregateType: row.aggregate_type,
+    aggregateId: row.aggregate_id,
+    payload,
+    createdAt: row.created_at,
+  };
+}
+
+class OutboxService {
+  /**
+   * Record an event in the outbox. Pass the transaction handle used for the
+   * state change so both writes commit atomically.
+   *
+   * @param {{ run: Function }} db - Transaction handle from Database.runTransaction (or Database)
+   * @param {Object} event
+   * @param {string} event.eventType - e.g. 'donation.refunded'
+   * @param {Object} event.payload - JSON-serialisable event data
+   * @param {string} [event.aggregateType] - e.g. 'donation', 'pledge'
+   * @param {string|number} [event.aggregateId]
+   * @returns {Promise<string>} The generated event id
+   */
+  static async enqueue(db, { eventType, payload, aggregateType = null, aggregateId = null }) {
+    const eventId = uuidv4();
+    await db.run(
+      `INSERT INTO event_outbox (event_id, event_type, aggregate_type, aggregate_id, payload)
+       VALUES (?, ?, ?, ?, ?)`,
+      [eventId, eventType, aggregateType, aggregateId != null ? String(aggregateId) : null, JSON.stringify(payload || {})]
+    );
+    return eventId;
+  }
+
+  /**
+   * Register a subscriber. Handlers receive the event object and must throw
+   * (or reject) when the hand-off fails so the event is retried.
+   * @param {string} name - Stable name used for delivery bookkeeping
+   * @param {Function} handler
+   */
+  static registerSubscriber(name, handler) {
+    _subscribers.set(name, handler);
+  }
+
+  /**
+   * Remove a subscriber.
+   * @param {string} name
+   */
+  static unregisterSubscriber(name) {
+    _subscribers.delete(name);
+  }
+
+  /**
+   * Names of the registered subscribers.
+   * @returns {string[]}
+   */
+  static getSubscriberNames() {
+    return Array.from(_subscribers.keys());
+  }
+
+  /** Restore the built-in subscribers (tests). */
+  static resetSubscribers() {
+    _subscribers.clear();
+    for (const [name, handler] of defaultSubscribers()) {
+      _subscribers.set(name, handler);
+    }
+  }
+
+  /**
+   * Deliver a batch of due events. Must only run in one process at a time;
+   * the outbox relay worker guards it with a leader-election lease.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum events to process
+   * @returns {Promise<{ processed: number, dispatched: number, retried: number, failed: number }>}
+   */
+  static async relay({ limit = BATCH_SIZE } = {}) {
+    const rows = await Database.query(
+      `SELECT * FROM event_outbox
+       WHERE status = ? AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+       ORDER BY id ASC
+       LIMIT ?`,
+      [OUTBOX_STATUS.PENDING, new Date().toISOString(), limit]
+    );
+
+    const summary = { processed: rows.length, dispatched: 0, retried: 0, failed: 0 };
+    for (const row of rows) {
+      const outcome = await this._dispatch(row);
+      summary[outcome] += 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Hand one event to every subscriber that has not yet received it.
+   * @private
+   * @param {Object} row - event_outbox row
+   * @returns {Promise<'dispatched'|'retried'|'failed'>}
+   */
+  static async _dispatch(row) {
+    const event = toEvent(row);
+    const delivered = new Set(
+      (await Database.query('SELECT subscriber FROM event_outbox_deliveries WHERE event_id = ?', [row.event_id]))
+        .map((d) => d.subscriber)
+    );
+
+    const errors = [];
+    for (const [name, handler] of _subscribers) {
+      if (delivered.has(name)) continue;
+      try {
+        await handler(event);
+        await Database.run(
+          'INSERT OR IGNORE INTO event_outbox_deliveries (event_id, subscriber) VALUES (?, ?)',
+          [row.event_id, name]
+        );
+      } catch (err) {
+        errors.push(`${name}: ${err.message}`);
+      }
+    }
+
+    if (errors.length === 0) {
+      await Database.run(
+        'UPDATE event_outbox SET status = ?, dispatched_at = ?, last_error = NULL WHERE id = ?',
+        [OUTBOX_STATUS.DISPATCHED, new Date().toISOString(), row.id]
+      );
+      return 'dispatched';
+    }
+
+    const attempts = (row.attempts || 0) + 1;
+    const lastError = errors.join('; ').slice(0, 1000);
+
+    if (attempts >= MAX_ATTEMPTS) {
+      await Database.run(
+        'UPDATE event_outbox SET status = ?, attempts = ?, last_error = ? WHERE id = ?',
+        [OUTBOX_STATUS.FAILED, attempts, lastError, row.id]
+      );
+      log.error('OUTBOX', 'Event delivery abandoned', { eventId: row.event_id, eventType: row.event_type, attempts, error: lastError });
+      return 'failed';
+    }
+
+    const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    await Database.run(
+      'UPDATE event_outbox SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+      [attempts, lastError, new Date(Date.now() + backoff).toISOString(), row.id]
+    );
+    log.warn('OUTBOX', 'Event delivery failed; will retry', { eventId: row.event_id, eventType: row.event_type, attempts, error: lastError });
+    return 'retried';
+  }
+
+  /**
+   * Look up an event and the subscribers it has been delivered to.
+   * @param {string} eventId
+   * @returns {Promise<Object|null>}
+   */
+  static async getEvent(eventId) {
+    const row = await Database.get('SELECT * FROM event_outbox WHERE event_id = ?', [eventId]);
+    if (!row) return null;
+    const deliveries = await Database.query(
+      'SELECT subscriber, delivered_at FROM event_outbox_deliveries WHERE event_id = ? ORDER BY subscriber',
+      [eventId]
+    );
+    return {
+      ...toEvent(row),
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      dispatchedAt: row.dispatched_at,
+      deliveries,
+    };
+  }
+}
+
+OutboxService.resetSubscribers();
+
+OutboxService.OUTBOX_STATUS = OUTBOX_STATUS;
+OutboxService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = OutboxService;
@@ -0,0 +1,561 @@
+/**
+ * Payment Request Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: SEP-7 payment request URIs and QR codes for one-off
+ *                 donations and campaigns, and the wallet callback that turns
+ *                 a signed payment into a donation record
+ * OWNER: Backend Team
+ * DEPENDENCIES: StellarService, Transaction model, DonationService, ScreeningService,
+ *               KycService, CampaignLifecycleService, sep7 utils, qrcode
+ *
+ * Each request is a `web+stellar:pay` URI whose callback points back at this
+ * API. The wallet builds and signs the payment and posts the XDR to the
+ * callback instead of submitting it; handleCallback() checks the payment
+ * matches the request (destination, asset, memo and, when fixed, amount),
+ * screens the donor and recipient, checks a campaign is still live and that a
+ * donor above the KYC threshold is accepted, submits it and creates the donation. A one-off request is claimed (`submitting`) before
+ * its payment is submitted, so it accepts a single payment. A campaign
+ * request pays the campaign creator's wallet. A campaign's open requests
+ * expire when it closes or is archived (CampaignLifecycleService). URIs carry
+ * origin_domain and are signed with SERVICE_SECRET_KEY when both it and
+ * FEDERATION_DOMAIN are set.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Database = require('../utils/database');
+const Transaction = require('../models/transaction');
+const AuditLogService = require('./AuditLogService');
+const ScreeningService = require('./ScreeningService');
+const KycService = require('./KycService');
+const CampaignLifecycleService = require('./CampaignLifecycleService');
+const memoValidator = require('../utils/memoValidator');
+const log = require('../utils/log');
+const config = require('../config');
+const { buildPayUri, signUri } = require('../utils/sep7');
+const { parseAssetInput, isSameAsset, serializeAsset } = require('../utils/stellarAsset');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+/** Seconds a one-off payment request stays open. */
+const PAYMENT_REQUEST_TTL_SECONDS = parseInt(process.env.PAYMENT_REQUEST_TTL_SECONDS || '86400', 10);
+
+const PAYMENT_METHOD = 'sep7';
+const MAX_MESSAGE_LENGTH = 300;
+const STROOPS_PER_XLM = 1e7;
+const QR_FORMATS = ['png', 'svg'];
+
+const toStroops = (amount) => Math.round(Number(amount) * STROOPS_PER_XLM);
+
+class PaymentRequestService {
+  /**
+   * @param {Object} stellarService - StellarService or MockStellarService
+   */
+  constructor(stellarService) {
+    this.stellarService = stellarService;
+    this._submitting = new Set();
+  }
+
+  /**
+   * Create a payment request.
+   *
+   * @param {Object} params
+   * @param {string} [params.destination] - Recipient's Stellar public key; a campaign
+   *   request pays the campaign creator's wallet and may omit it
+   * @param {number} [params.amount] - Fixed amount; omit to let the donor choose
+   * @param {string|Object} [params.asset] - "native" or { code, issuer }
+   * @param {string} [params.memo] - Text memo; a reference is generated when omitted
+   * @param {string} [params.message] - Shown to the donor by the wallet
+   * @param {number} [params.campaignId]
+   * @param {boolean} [params.reusable=false] - Accept more than one payment
+   * @param {number} [params.expiresInSeconds] - Defaults to PAYMENT_REQUEST_TTL_SECONDS; 0 never expires
+   * @param {number} [params.apiKeyId]
+   * @param {string} [params.requestId]
+   * @returns {Promise<Object>}
+   * @throws {ValidationError} DESTINATION_MISMATCH when destination is not the campaign's wallet
+   * @throws {BusinessLogicError} CAMPAIGN_NOT_ACTIVE | CAMPAIGN_RECIPIENT_NOT_FOUND
+   */
+  async create({
+    destination,
+    amount,
+    asset,
+    memo,
+    message,
+    campaignId = null,
+    reusable = false,
+    expiresInSeconds = PAYMENT_REQUEST_TTL_SECONDS,
+    apiKeyId,
+    requestId,
+  }) {
+    if (campaignId !== null && campaignId !== undefined) {
+      destination = await this._campaignDestination(campaignId, destination);
+    }
+    if (!this.stellarService.isValidAddress(destination)) {
+      throw new ValidationError('destination must be a valid Stellar public key', null, 'INVALID_RECIPIENT');
+    }
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      throw new ValidationError('Amount must be positive', null, 'INVALID_AMOUNT');
+    }
+    if (message && String(message).length > MAX_MESSAGE_LENGTH) {
+      throw new ValidationError(`message must be at most ${MAX_MESSAGE_LENGTH} characters`, null, 'INVALID_REQUEST');
+    }
+    const ttl = Number(expiresInSeconds);
+    if (!Number.isInteger(ttl) || ttl < 0) {
+      throw new ValidationError('expiresInSeconds must be a non-negative integer', null, 'INVALID_REQUEST');
+    }
+    await CampaignLifecycleService.assertAcceptsDonations(campaignId);
+
+    const parsedAsset = asset ? parseAssetInput(asset, 'asset') : parseAssetInput('native', 'asset');
+
+    let sanitizedMemo = `pr-${crypto.randomBytes(5).toString('hex')}`;
+    if (memo !== undefined && memo !== null && memo !== '') {
+      const memoResult = memoValidator.validate(memo);
+      if (!memoResult.valid) {
+        throw new ValidationError(memoResult.error, null, memoResult.code);
+      }
+      sanitizedMemo = memoResult.sanitized || memo;
+    }
+
+    const id = crypto.randomUUID();
+    const request = {
+      id,
+      campaignId,
+      destination,
+      amount: amount !== undefined && amount !== null ? Number(amount).toFixed(7) : null,
+      assetCode: parsedAsset.code,
+      assetIssuer: parsedAsset.issuer,
+      memo: sanitizedMemo,
+      memoType: 'text',
+      message: message || null,
+      reusable: reusable ? 1 : 0,
+      expiresAt: ttl > 0 ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+    };
+    request.uri = this._buildUri(request);
+
+    await Database.run(
+      `INSERT INTO payment_requests
+         (id, campaignId, destination, amount, assetCode, assetIssuer, memo, memoType, message, reusable, status, uri, expiresAt, apiKeyId)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?)`,
+      [
+        id, campaignId, destination, request.amount, request.assetCode, request.assetIssuer,
+        request.memo, request.memoType, request.message, request.reusable, request.uri,
+        request.expiresAt, apiKeyId || null,
+      ]
+    );
+
+    log.info('PAYMENT_REQUEST', 'Payment request created', { requestId, paymentRequestId: id, campaignId });
+
+    return this.getById(id);
+  }
+
+  /**
+   * Create a reusable payment request that credits a campaign. It stays open
+   * until the campaign's end date (or indefinitely without one).
+   *
+   * @param {number} campaignId
+   * @param {Object} params - Same as create(), without campaignId/reusable/expiresInSeconds
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} CAMPAIGN_NOT_FOUND
+   * @throws {ValidationError} DESTINATION_MISMATCH
+   * @throws {BusinessLogicError} CAMPAIGN_NOT_ACTIVE | CAMPAIGN_RECIPIENT_NOT_FOUND
+   */
+  async createForCampaign(campaignId, params) {
+    const campaign = await Database.get(
+      'SELECT id, name, status, end_date FROM campaigns WHERE id = ? AND deleted_at IS NULL',
+      [campaignId]
+    );
+    if (!campaign) {
+      throw new NotFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+    }
+
+    const endsAt = campaign.end_date ? new Date(campaign.end_date).getTime() : NaN;
+    const expiresInSeconds = Number.isFinite(endsAt)
+      ? Math.max(1, Math.ceil((endsAt - Date.now()) / 1000))
+      : 0;
+
+    return this.create({
+      ...params,
+      message: params.message || `Donation to ${campaign.name}`.slice(0, MAX_MESSAGE_LENGTH),
+      expiresInSeconds,
+      campaignId: campaign.id,
+      reusable: true,
+    });
+  }
+
+  /**
+   * The wallet a campaign's payments go to: its creator's.
+   * @param {number} campaignId
+   * @param {string} [destination] - Destination the caller asked for
+   * @returns {Promise<string>}
+   * @throws {ValidationError} DESTINATION_MISMATCH
+   * @throws {BusinessLogicError} CAMPAIGN_RECIPIENT_NOT_FOUND
+   */
+  async _campaignDestination(campaignId, destination) {
+    const recipient = await Database.get(
+      'SELECT u.publicKey FROM campaigns c JOIN users u ON u.id = c.created_by WHERE c.id = ?',
+      [campaignId]
+    );
+    if (!recipient || !recipient.publicKey) {
+      throw new BusinessLogicError('CAMPAIGN_RECIPIENT_NOT_FOUND', 'The campaign has no recipient wallet');
+    }
+    if (destination && destination !== recipient.publicKey) {
+      throw new ValidationError('destination must be the campaign\'s recipient wallet', null, 'DESTINATION_MISMATCH');
+    }
+    return recipient.publicKey;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} PAYMENT_REQUEST_NOT_FOUND
+   */
+  async getById(id) {
+    const row = await Database.get('SELECT * FROM payment_requests WHERE id = ?', [id]);
+    if (!row) {
+      throw new NotFoundError('Payment request not found', 'PAYMENT_REQUEST_NOT_FOUND');
+    }
+    return this._serialize(row);
+  }
+
+  /**
+   * Render the request's URI as a QR code.
+   * @param {string} id
+   * @param {string} [format='png'] - png | svg
+   * @returns {Promise<{ contentType: string, body: Buffer|string }>}
+   */
+  async renderQr(id, format = 'png') {
+    if (!QR_FORMATS.includes(format)) {
+      throw new ValidationError(`format must be one of: ${QR_FORMATS.join(', ')}`, null, 'INVALID_REQUEST');
+    }
+    const request = await this.getById(id);
+
+    if (format === 'svg') {
+      return {
+        contentType: 'image/svg+xml',
+        body: await QRCode.toString(request.uri, { type: 'svg', margin: 1 }),
+      };
+    }
+    return {
+      contentType: 'image/png',
+      body: await QRCode.toBuffer(request.uri, { type: 'png', width: 320, margin: 1 }),
+    };
+  }
+
+  /**
+   * SEP-7 callback: match the wallet's signed payment to the request, submit
+   * it and record the donation. Posting the same signed transaction again
+   * returns the donation it already created.
+   *
+   * @param {string} id - Payment request ID
+   * @param {Object} params
+   * @param {string} params.xdr - Signed transaction envelope
+   * @param {string} [params.requestId]
+   * @param {string} [params.ipAddress]
+   * @returns {Promise<Object>} { paymentRequestId, donationId, status, transactionHash, amount, donor, duplicate }
+   * @throws {ValidationError} MISSING_REQUIRED_FIELD | INVALID_XDR | TRANSACTION_NOT_SIGNED | INTENT_MISMATCH
+   * @throws {ConflictError} PAYMENT_REQUEST_CLOSED | SUBMISSION_IN_PROGRESS
+   * @throws {BusinessLogicError} PAYMENT_REQUEST_EXPIRED | CAMPAIGN_NOT_ACTIVE | KYC_REQUIRED
+   * @throws {ForbiddenError} SCREENING_BLOCKED when a party is on a blocking screening list
+   */
+  async handleCallback(id, { xdr, requestId, ipAddress } = {}) {
+    if (!xdr || typeof xdr !== 'string') {
+      throw new ValidationError('xdr is required', null, 'MISSING_REQUIRED_FIELD');
+    }
+
+    const request = await this.getById(id);
+    const decoded = this.stellarService.decodeTransaction(xdr);
+    const idempotencyKey = `${PAYMENT_METHOD}:${decoded.hash}`;
+
+    const existing = Transaction.loadTransactions().find((t) => t.idempotencyKey === idempotencyKey);
+    if (existing) {
+      return this._describeDonation(request, existing, true);
+    }
+
+    if (request.status === 'submitting') {
+      throw new ConflictError('A payment for this request is already being submitted', 'SUBMISSION_IN_PROGRESS');
+    }
+    if (request.status !== 'open') {
+      throw new ConflictError(`Payment request is ${request.status}`, 'PAYMENT_REQUEST_CLOSED');
+    }
+    if (request.expiresAt && new Date(request.expiresAt) <= new Date()) {
+      await Database.run(
+        "UPDATE payment_requests SET status = 'expired', updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'",
+        [id]
+      );
+      throw new BusinessLogicError('PAYMENT_REQUEST_EXPIRED', 'The payment request has expired');
+    }
+    if (!decoded.signatureCount) {
+      throw new ValidationError('The transaction has not been signed', null, 'TRANSACTION_NOT_SIGNED');
+    }
+
+    const payment = this._assertMatchesRequest(request, decoded);
+
+    // Sanctions screening before the payment is submitted; a blocking match throws
+    const screening = await ScreeningService.screenDonation([
+      { role: 'donor', address: decoded.source },
+      { role: 'recipient', address: request.destination },
+    ], {
+      stellarService: this.stellarService,
+      context: { requestId, paymentRequestId: id, amount: String(payment.amount), idempotencyKey },
+    });
+
+    // The campaign may have stopped being live since the request was made
+    await CampaignLifecycleService.assertAcceptsDonations(request.campaignId);
+
+    // Wallet-signed payments never pass through the KYC hold account
+    await new KycService(this.stellarService).assertVerified({
+      account: decoded.source,
+      amount: payment.amount,
+      assetCode: request.assetCode || 'XLM',
+      ipAddress,
+    });
+
+    if (this._submitting.has(decoded.hash)) {
+      throw new ConflictError('This payment is already being submitted', 'SUBMISSION_IN_PROGRESS');
+    }
+    // A one-off request takes a single payment: claim it so a second signed
+    // transaction cannot be submitted alongside this one
+    if (!request.reusable) {
+      const claimed = await Database.run(
+        "UPDATE payment_requests SET status = 'submitting', updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'",
+        [id]
+      );
+      if (!claimed.changes) {
+        throw new ConflictError('A payment for this request is already being submitted', 'SUBMISSION_IN_PROGRESS');
+      }
+    }
+    this._submitting.add(decoded.hash);
+
+    let result;
+    try {
+      result = await this.stellarService.submitSignedTransaction(xdr);
+    } catch (err) {
+      log.warn('PAYMENT_REQUEST', 'Signed payment submission failed', {
+        requestId,
+        paymentRequestId: id,
+        error: err.message,
+      });
+      if (!request.reusable) {
+        await Database.run(
+          "UPDATE payment_requests SET status = 'open', updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'submitting'",
+          [id]
+        );
+      }
+      throw err;
+    } finally {
+      this._submitting.delete(decoded.hash);
+    }
+
+    const asset = { type: payment.asset.type, code: payment.asset.code, issuer: payment.asset.issuer };
+    const donation = Transaction.create({
+      amount: Number(payment.amount),
+      donor: decoded.source,
+      recipient: request.destination,
+      memo: request.memo,
+      memoType: request.memoType,
+      idempotencyKey,
+      apiKeyId: request.apiKeyId,
+      status: TRANSACTION_STATES.CONFIRMED,
+      stellarTxId: result.hash || result.transactionId,
+      stellarLedger: result.ledger,
+      confirmedAt: new Date().toISOString(),
+      paymentMethod: PAYMENT_METHOD,
+      paymentRequestId: id,
+      campaign_id: request.campaignId,
+      sourceAsset: serializeAsset(asset),
+      sourceAmount: payment.amount,
+      destinationAsset: serializeAsset(asset),
+      destinationAmount: payment.amount,
+      screeningFlagged: screening.outcome === ScreeningService.OUTCOMES.FLAGGED,
+    }, {
+      outboxEvents: ['donation.created', 'donation.confirmed'],
+    });
+    await Transaction.persisted(donation.id);
+
+    await Database.run(
+      `UPDATE payment_requests
+          SET donationCount = donationCount + 1,
+              lastDonationId = ?,
+              status = CASE WHEN reusable = 1 THEN status ELSE 'completed' END,
+              completedAt = CASE WHEN reusable = 1 THEN completedAt ELSE CURRENT_TIMESTAMP END,
+              updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [donation.id, id]
+    );
+
+    // Campaign goals and quadratic funding rounds are tracked in XLM
+    if (asset.type === 'native') {
+      const DonationService = require('./DonationService');
+      const donationService = new DonationService(this.stellarService);
+      if (request.campaignId) {
+        await donationService
+          .processCampaignContribution(request.campaignId, Number(payment.amount))
+          .catch((err) => {
+            log.error('PAYMENT_REQUEST', 'Failed to update campaign contribution', { error: err.message });
+          });
+      }
+      await donationService.recordQuadraticContribution({
+        id: donation.id,
+        donor: donation.donor,
+        recipient: donation.recipient,
+        amount: donation.amount,
+        stellarTxId: donation.stellarTxId,
+        createdAt: donation.timestamp,
+      });
+    }
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'SEP7_DONATION_RECEIVED',
+      severity: AuditLogService.SEVERITY.MEDIUM,
+      result: 'SUCCESS',
+      requestId,
+      ipAddress,
+      resource: `/payment-requests/${id}/callback`,
+      details: {
+        paymentRequestId: id,
+        donationId: donation.id,
+        campaignId: request.campaignId,
+        amount: payment.amount,
+        donor: decoded.source,
+        recipient: request.destination,
+        stellarTxId: donation.stellarTxId,
+      },
+    }).catch(() => {});
+
+    return this._describeDonation(request, donation, false);
+  }
+
+  /**
+   * Check a decoded payment against the request. The amount only has to
+   * match when the request fixed one.
+   * @private
+   * @param {Object} request
+   * @param {Object} decoded - Output of stellarService.decodeTransaction()
+   * @returns {Object} The payment operation
+   * @throws {ValidationError} INTENT_MISMATCH
+   */
+  _assertMatchesRequest(request, decoded) {
+    const mismatch = (field, expected, actual) => new ValidationError(
+      `Signed transaction does not match the payment request: ${field}`,
+      { field, expected, actual },
+      'INTENT_MISMATCH'
+    );
+
+    if (decoded.operations.length !== 1 || decoded.operations[0].type !== 'payment') {
+      throw mismatch('operations', 'a single payment', decoded.operations.map((op) => op.type));
+    }
+    const payment = decoded.operations[0];
+
+    // The donor is the transaction source; the payment must not come from another account
+    if (payment.source && payment.source !== decoded.source) {
+      throw mismatch('operation source', decoded.source, payment.source);
+    }
+    if (payment.destination !== request.destination) {
+      throw mismatch('destination', request.destination, payment.destination);
+    }
+    if (!payment.asset || !isSameAsset(payment.asset, request.asset)) {
+      throw mismatch('asset', request.asset, payment.asset);
+    }
+    if (request.amount !== null && toStroops(payment.amount) !== toStroops(request.amount)) {
+      throw mismatch('amount', request.amount, payment.amount);
+    }
+    if (!(toStroops(payment.amount) > 0)) {
+      throw mismatch('amount', 'a positive amount', payment.amount);
+    }
+    const memo = decoded.memo || {};
+    if (memo.type !== request.memoType || memo.value !== request.memo) {
+      throw mismatch('memo', request.memo, memo.value || null);
+    }
+
+    return payment;
+  }
+
+  /**
+   * @private
+   * @param {Object} request - Serialized payment request
+   * @returns {string}
+   */
+  _buildUri(request) {
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || '3000'}`;
+    const signingSecret = process.env.SERVICE_SECRET_KEY;
+    const originDomain = process.env.FEDERATION_DOMAIN;
+    const canSign = Boolean(signingSecret && originDomain);
+
+    const uri = buildPayUri({
+      destination: request.destination,
+      amount: request.amount,
+      asset: { type: request.assetIssuer ? 'credit_alphanum' : 'native', code: request.assetCode, issuer: request.assetIssuer },
+      memo: request.memo,
+      memoType: request.memoType,
+      callback: `${baseUrl}/api/v1/payment-requests/${request.id}/callback`,
+      msg: request.message,
+      networkPassphrase: this.stellarService.networkPassphrase || config.stellar.environment.networkPassphrase,
+      originDomain: canSign ? originDomain : null,
+    });
+
+    return canSign ? signUri(uri, signingSecret) : uri;
+  }
+
+  /**
+   * @private
+   * @param {Object} row - payment_requests row
+   * @returns {Object}
+   */
+  _serialize(row) {
+    return {
+      id: row.id,
+      campaignId: row.campaignId,
+      destination: row.destination,
+      amount: row.amount,
+      asset: {
+        type: row.assetIssuer ? 'credit_alphanum' : 'native',
+        code: row.assetCode,
+        issuer: row.assetIssuer,
+      },
+      memo: row.memo,
+      memoType: row.memoType,
+      message: row.message,
+      reusable: row.reusable === 1,
+      status: row.status,
+      uri: row.uri,
+      expiresAt: row.expiresAt,
+      donationCount: row.donationCount,
+      lastDonationId: row.lastDonationId,
+      apiKeyId: row.apiKeyId,
+      createdAt: row.createdAt,
+      completedAt: row.completedAt,
+    };
+  }
+
+  /**
+   * @private
+   * @param {Object} request
+   * @param {Object} donation - Transaction record
+   * @param {boolean} duplicate
+   * @returns {Object}
+   */
+  _describeDonation(request, donation, duplicate) {
+    return {
+      paymentRequestId: request.id,
+      donationId: donation.id,
+      status: donation.status,
+      transactionHash: donation.stellarTxId,
+      amount: donation.amount,
+      donor: donation.donor,
+      recipient: donation.recipient,
+      campaignId: request.campaignId,
+      duplicate,
+    };
+  }
+}
+
+module.exports = PaymentRequestService;
+module.exports.PAYMENT_REQUEST_TTL_SECONDS = PAYMENT_REQUEST_TTL_SECONDS;
@@ -14,6 +14,12 @@
  *   last checkpoint.
  * - getStreamStates() returns the DB-backed view for operator observability.
  *
+ * Payment handlers:
+ * - Other services register with setPaymentHandler(name, fn) to react to
+ *   incoming payments (e.g. anchor deposits matched by memo). A handler that
+ *   resolves to true has claimed the payment and already recorded it, so no
+ *   generic stream transaction record is created for it.
+ *
  * Cursor/checkpoint semantics:
  * - The cursor is updated to payment.paging_token after each successfully
  *   processed payment (at-least-once delivery; idempotency is enforced by the
@@ -43,6 +49,26 @@ class PaymentStreamService {
     this.stellarService = stellarService;
     /** @type {Map<string, { stop: Function, reconnectTimer: NodeJS.Timeout|null, options: Object }>} */
     this.activeStreams = new Map();
+    /** @type {Map<string, Function>} */
+    this.paymentHandlers = new Map();
+  }
+
+  /**
+   * Register (or replace) a named handler called for every incoming payment.
+   *
+   * @param {string} name - Handler name; registering the same name again replaces it
+   * @param {function(string, Object): Promise<boolean>|boolean} handler - Called with
+   *   (publicKey, payment); return true when the payment was claimed
+   */
+  setPaymentHandler(name, handler) {
+    this.paymentHandlers.set(name, handler);
+  }
+
+  /**
+   * @param {string} name
+   */
+  removePaymentHandler(name) {
+    this.paymentHandlers.delete(name);
   }
 
   // ── DB helpers (fire-and-forget) ───────────────────────────────────────────
@@ -208,24 +234,38 @@ class PaymentStreamService {
       this._updateCursor(publicKey, String(cursor));
     }
 
+    let claimed = false;
+    for (const [name, handler] of this.paymentHandlers) {
+      try {
+        if (await handler(publicKey, payment)) {
+          claimed = true;
+          break;
+        }
+      } catch (err) {
+        log.error('PAYMENT_STREAM', 'Payment handler failed', { publicKey, handler: name, error: err.message });
+      }
+    }
+
     // Create transaction record (idempotency key prevents duplicates)
-    try {
-      const Transaction = require('../models/transaction');
-      Transaction.create({
-        idempotencyKey: payment.id || payment.transactionId,
-        senderId: payment.from || payment.source,
-        receiverId: publicKey,
-        amount: payment.amount,
-        memo: payment.memo || null,
-        stellarTxId: payment.id || payment.transactionId,
-        status: 'completed',
-        source: 'stream',
-      });
-    } catch (err) {
-      log.error('PAYMENT_STREAM', 'Failed to create transaction record', {
-        publicKey,
-        error: err.message,
-      });
+    if (!claimed) {
+      try {
+        const Transaction = require('../models/transaction');
+        Transaction.create({
+          idempotencyKey: payment.id || payment.transactionId,
+          senderId: payment.from || payment.source,
+          receiverId: publicKey,
+          amount: payment.amount,
+          memo: payment.memo || null,
+          stellarTxId: payment.id || payment.transactionId,
+          status: 'completed',
+          source: 'stream',
+        });
+      } catch (err) {
+        log.error('PAYMENT_STREAM', 'Failed to create transaction record', {
+          publicKey,
+          error: err.message,
+        });
+      }
     }
 
     // Trigger webhook if configured
@@ -3,30 +3,51 @@
 /**
  * PledgeFulfillmentService — atomically fulfills all pending pledges when a
  * campaign reaches its goal, and exposes the expiry logic used by the worker.
+ * Fulfilling a pledge that is being paid in installments collects only its
+ * outstanding balance and settles the remaining installments.
  *
  * Atomicity: SQLite serialises writes, so a single UPDATE inside a transaction
  * is sufficient to prevent double-fulfillment without SELECT FOR UPDATE.
+ * Lifecycle events (pledge.fulfilled, pledge.expired) are written to the outbox
+ * in the same transaction as the status change and delivered by the relay.
  */
 
 const Database = require('../utils/database');
 const Pledge = require('../models/Pledge');
-const WebhookService = require('./WebhookService');
+const OutboxService = require('./OutboxService');
 const log = require('../utils/log');
+const encryption = require('../utils/encryption');
+const { fromStroops } = require('../utils/money');
 const { getStellarService } = require('../config/stellar');
 
 /**
- * Fulfills a single pledge by submitting an on-chain Stellar payment transaction
- * before updating status to 'fulfilled' in the database and delivering the webhook.
- *
- * @param {Object|string} pledgeOrId
- * @returns {Promise<{success: boolean, pledge: Object}>}
+ * Enqueue a pledge lifecycle event and mark the pledge's event as recorded.
+ * @param {Object} tx - Open transaction handle
+ * @param {string} eventType - 'pledge.fulfilled' or 'pledge.expired'
+ * @param {Object} pledge
+ * @returns {Promise<void>}
  */
-async function fulfillSinglePledge(pledgeOrId) {
-  const pledge = typeof pledgeOrId === 'string' ? await Pledge.findById(pledgeOrId) : pledgeOrId;
-  if (!pledge || pledge.status !== 'pending') {
-    return { success: false, pledge };
-  }
+async function recordPledgeEvent(tx, eventType, pledge) {
+  await OutboxService.enqueue(tx, {
+    eventType,
+    aggregateType: 'pledge',
+    aggregateId: pledge.id,
+    payload: { pledge },
+  });
+  await Pledge.markWebhookSent(pledge.id, tx);
+}
 
+/**
+ * Submit a payment of part or all of a pledge from the donor's custodial
+ * wallet to the campaign creator. Pledges from wallets the service does not
+ * hold are recorded without a payment, as they always have been.
+ *
+ * @param {Object} pledge
+ * @param {number|bigint} amountStroops
+ * @param {string} memo
+ * @returns {Promise<string|null>} Stellar transaction ID, or null when no payment was submitted
+ */
+async function submitPledgePayment(pledge, amountStroops, memo) {
   const campaign = await Database.get(
     `SELECT id, created_by FROM campaigns WHERE id = ?`,
     [pledge.campaign_id]
@@ -38,35 +59,60 @@ async function fulfillSinglePledge(pledgeOrId) {
   );
 
   const recipientPublic = recipient ? recipient.publicKey : (pledge.recipient_public_key || null);
-  const donorSecret = donor ? donor.encryptedSecret : (pledge.donor_secret || null);
+  const donorSecret = donor && donor.encryptedSecret
+    ? encryption.decrypt(donor.encryptedSecret)
+    : (pledge.donor_secret || null);
 
   const stellarSvc = getStellarService();
-  if (donorSecret && recipientPublic && stellarSvc) {
-    if (typeof stellarSvc.sendPayment === 'function') {
-      await stellarSvc.sendPayment(donorSecret, recipientPublic, pledge.amount, `Pledge fulfillment ${pledge.id}`);
-    } else if (typeof stellarSvc.sendDonation === 'function') {
-      await stellarSvc.sendDonation({
-        sourceSecret: donorSecret,
-        destinationPublic: recipientPublic,
-        amount: pledge.amount,
-        memo: `Pledge fulfillment ${pledge.id}`,
-      });
-    }
+  if (!donorSecret || !recipientPublic || !stellarSvc || typeof stellarSvc.sendDonation !== 'function') {
+    return null;
   }
 
-  await Database.run(
-    `UPDATE pledges SET status = 'fulfilled' WHERE id = ? AND status = 'pending'`,
-    [pledge.id]
-  );
+  const result = await stellarSvc.sendDonation({
+    sourceSecret: donorSecret,
+    destinationPublic: recipientPublic,
+    amount: fromStroops(BigInt(amountStroops)),
+    memo,
+  });
+  return (result && (result.transactionId || result.hash)) || null;
+}
 
-  const updated = await Pledge.findById(pledge.id);
-  try {
-    await WebhookService.deliver('pledge.fulfilled', { pledge: updated });
-    await Pledge.markWebhookSent(updated.id);
-  } catch (error) {
-    log.error('PLEDGE', `Failed to deliver webhook for pledge ${updated.id}: ${error.message}`);
-    // Don't mark as sent if delivery failed — checkAndFulfill retries it later.
+/**
+ * Fulfills a single pledge by submitting an on-chain Stellar payment of its
+ * outstanding balance before updating status to 'fulfilled', settling any
+ * remaining installments and recording the pledge.fulfilled event.
+ *
+ * @param {Object|string} pledgeOrId
+ * @returns {Promise<{success: boolean, pledge: Object}>}
+ */
+async function fulfillSinglePledge(pledgeOrId) {
+  const pledge = typeof pledgeOrId === 'string' ? await Pledge.findById(pledgeOrId) : pledgeOrId;
+  if (!pledge || pledge.status !== 'pending') {
+    return { success: false, pledge };
   }
+
+  const outstanding = Number(pledge.amount) - Number(pledge.paid_amount || 0);
+  const txId = outstanding > 0
+    ? await submitPledgePayment(pledge, outstanding, `Pledge fulfillment ${pledge.id}`)
+    : null;
+
+  const updated = await Database.runTransaction(async (tx) => {
+    const result = await tx.run(
+      `UPDATE pledges SET status = 'fulfilled', paid_amount = amount WHERE id = ? AND status = 'pending'`,
+      [pledge.id]
+    );
+    const row = await tx.get(`SELECT * FROM pledges WHERE id = ?`, [pledge.id]);
+    if (result.changes) {
+      await tx.run(
+        `UPDATE pledge_installments
+         SET status = 'paid', paid_at = CURRENT_TIMESTAMP, stellar_tx_id = ?, failure_reason = NULL
+         WHERE pledge_id = ? AND status IN ('scheduled', 'failed')`,
+        [txId, pledge.id]
+      );
+      await recordPledgeEvent(tx, 'pledge.fulfilled', row);
+    }
+    return row;
+  });
   return { success: true, pledge: updated };
 }
 
@@ -98,16 +144,14 @@ async function checkAndFulfill(campaignId) {
     if (res.success) count++;
   }
 
-  // Retry webhook delivery for any previously fulfilled pledges whose webhook
-  // delivery failed earlier (still no webhook_sent_at).
+  // Record events for fulfilled pledges that never had one (e.g. fulfilled
+  // before the outbox existed, still no webhook_sent_at).
   const newlyFulfilled = await Pledge.getNewlyFulfilledPledges(campaignId);
   for (const pledge of newlyFulfilled) {
     try {
-      await WebhookService.deliver('pledge.fulfilled', { pledge });
-      await Pledge.markWebhookSent(pledge.id);
+      await Database.runTransaction((tx) => recordPledgeEvent(tx, 'pledge.fulfilled', pledge));
     } catch (error) {
-      log.error('PLEDGE', `Failed to deliver webhook for pledge ${pledge.id}: ${error.message}`);
-      // Don't mark as sent if delivery failed
+      log.error('PLEDGE', `Failed to record event for pledge ${pledge.id}: ${error.message}`);
     }
   }
 
@@ -123,27 +167,23 @@ async function checkAndFulfill(campaignId) {
  * @returns {Promise<{expired: number}>}
  */
 async function expireOverdue(now = new Date().toISOString()) {
-  const changed = await Pledge.expireOverdue(now);
+  const { changed, recorded } = await Database.runTransaction(async (tx) => {
+    const count = await Pledge.expireOverdue(now, tx);
+    if (count === 0) return { changed: 0, recorded: 0 };
 
-  if (changed > 0) {
-    // Get only newly expired pledges (those without webhook_sent_at)
-    const newlyExpired = await Pledge.getNewlyExpiredPledges(now);
-    
-    // Send webhooks and mark them as sent
+    // Newly expired pledges are those without webhook_sent_at
+    const newlyExpired = await Pledge.getNewlyExpiredPledges(now, tx);
     for (const pledge of newlyExpired) {
-      try {
-        await WebhookService.deliver('pledge.expired', { pledge });
-        await Pledge.markWebhookSent(pledge.id);
-      } catch (error) {
-        log.error('PLEDGE', `Failed to deliver webhook for expired pledge ${pledge.id}: ${error.message}`);
-        // Don't mark as sent if delivery failed
-      }
+      await recordPledgeEvent(tx, 'pledge.expired', pledge);
     }
-    
-    log.info('PLEDGE', `Expired ${changed} overdue pledges, sent ${newlyExpired.length} webhooks`);
+    return { changed: count, recorded: newlyExpired.length };
+  });
+
+  if (changed > 0) {
+    log.info('PLEDGE', `Expired ${changed} overdue pledges, recorded ${recorded} events`);
   }
 
   return { expired: changed };
 }
 
-module.exports = { checkAndFulfill, expireOverdue, fulfillSinglePledge };
+module.exports = { checkAndFulfill, expireOverdue, fulfillSinglePledge, submitPledgePayment, recordPledgeEvent };
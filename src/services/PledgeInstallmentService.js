@@ -0,0 +1,622 @@
+'use strict';
+
+/**
+ * PledgeInstallmentService — pays pledges in installments, reminds donors of
+ * upcoming installments, converts pledges into recurring donation schedules
+ * and reports on pledge aging.
+ *
+ * An installment plan splits a pending pledge's outstanding balance into an
+ * optional part paid now and equal installments on a daily, weekly or monthly
+ * schedule, all due by the pledge's expiry. The expiry worker collects due
+ * installments from custodial donor wallets; installments from other wallets
+ * are recorded by an admin once the donor has paid. Each payment adds to the
+ * pledge's paid_amount, and the last one fulfils it. An installment is
+ * claimed as `collecting` before its payment is sent, so two collections of
+ * the same installment cannot both charge the donor, and a payment the donor
+ * made is only recorded against one installment.
+ *
+ * Lifecycle events (pledge.installment_due, pledge.installment_paid,
+ * pledge.converted) are written to the outbox in the same transaction as the
+ * change they describe.
+ */
+
+const Database = require('../utils/database');
+const Pledge = require('../models/Pledge');
+const OutboxService = require('./OutboxService');
+const { submitPledgePayment, recordPledgeEvent } = require('./PledgeFulfillmentService');
+const log = require('../utils/log');
+const { VALID_FREQUENCIES, SCHEDULE_STATUS } = require('../constants');
+const { validateXLMAmount, validateEnum, validateInteger } = require('../utils/validationHelpers');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+/** Days before its due date that an installment reminder goes out. */
+const REMINDER_DAYS = parseInt(process.env.PLEDGE_REMINDER_DAYS || '3', 10);
+
+/** Most installments (or recurring executions) a pledge can be split into. */
+const MAX_INSTALLMENTS = 120;
+
+const INSTALLMENT_STATUSES = Object.freeze({
+  SCHEDULED: 'scheduled',
+  COLLECTING: 'collecting',
+  PAID: 'paid',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+});
+
+/** Overdue installments are grouped by days past due: [label, first day, last day]. */
+const AGING_BUCKETS = Object.freeze([
+  ['0-30', 0, 30],
+  ['31-60', 31, 60],
+  ['61-90', 61, 90],
+  ['90+', 91, Infinity],
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scheduler used for fixed-frequency date arithmetic, required lazily as
+ * RecurringScheduleService does.
+ * @returns {Object}
+ */
+function scheduler() {
+  return require('./RecurringDonationScheduler');
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @returns {Date}
+ */
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @returns {number}
+ */
+function parseCount(value, field) {
+  const result = validateInteger(value, { min: 1, max: MAX_INSTALLMENTS });
+  if (!result.valid) {
+    throw new ValidationError(`${field} must be an integer between 1 and ${MAX_INSTALLMENTS}`);
+  }
+  return result.value;
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function parseFrequency(value) {
+  const result = validateEnum(value, VALID_FREQUENCIES, { caseInsensitive: true });
+  if (!result.valid) {
+    throw new ValidationError(`frequency must be one of: ${VALID_FREQUENCIES.join(', ')}`);
+  }
+  return result.value;
+}
+
+/**
+ * @param {Object} pledge
+ * @returns {number} Stroops still to be paid
+ */
+function outstandingOf(pledge) {
+  return Number(pledge.amount) - Number(pledge.paid_amount || 0);
+}
+
+/**
+ * A pending pledge, or the error explaining why it cannot be changed.
+ * @param {string} pledgeId
+ * @returns {Promise<Object>}
+ */
+async function pendingPledge(pledgeId) {
+  const pledge = await Pledge.findById(pledgeId);
+  if (!pledge) {
+    throw new NotFoundError('Pledge not found', 'PLEDGE_NOT_FOUND');
+  }
+  if (pledge.status !== 'pending') {
+    throw new ConflictError(`Pledge is ${pledge.status}, not pending`, 'INVALID_STATE');
+  }
+  return pledge;
+}
+
+/**
+ * @param {string} pledgeId
+ * @param {Object} [db] - Database or an open transaction handle
+ * @returns {Promise<Object[]>}
+ */
+async function listInstallments(pledgeId, db = Database) {
+  return db.all(
+    'SELECT * FROM pledge_installments WHERE pledge_id = ? ORDER BY sequence',
+    [pledgeId]
+  );
+}
+
+/**
+ * A pledge with its installments and outstanding balance.
+ * @param {string} pledgeId
+ * @returns {Promise<Object>}
+ */
+async function getPledge(pledgeId) {
+  const pledge = await Pledge.findById(pledgeId);
+  if (!pledge) {
+    throw new NotFoundError('Pledge not found', 'PLEDGE_NOT_FOUND');
+  }
+  return { ...pledge, outstanding: outstandingOf(pledge), installments: await listInstallments(pledgeId) };
+}
+
+/**
+ * Split a pending pledge's outstanding balance into installments. With an
+ * upfront amount, the first installment is due now and, for a custodial
+ * donor wallet, collected straight away.
+ *
+ * @param {string} pledgeId
+ * @param {Object} plan
+ * @param {number|string} [plan.upfront_amount] - XLM paid now
+ * @param {number} plan.installments - Number of scheduled installments after the upfront one
+ * @param {string} plan.frequency - daily | weekly | monthly
+ * @param {string} [plan.first_due_date] - Defaults to one period from now
+ * @param {Date} [now]
+ * @returns {Promise<Object>} The pledge with its installments
+ */
+async function createPlan(pledgeId, { upfront_amount, installments, frequency, first_due_date } = {}, now = new Date()) {
+  const pledge = await pendingPledge(pledgeId);
+  const existing = await Database.get('SELECT COUNT(*) AS n FROM pledge_installments WHERE pledge_id = ?', [pledgeId]);
+  if (existing.n > 0) {
+    throw new ConflictError('Pledge already has an installment plan', 'PLEDGE_PLAN_EXISTS');
+  }
+
+  const count = parseCount(installments, 'installments');
+  const freq = parseFrequency(frequency);
+  const outstanding = outstandingOf(pledge);
+
+  let upfront = 0;
+  if (upfront_amount !== undefined && upfront_amount !== null) {
+    const result = validateXLMAmount(upfront_amount);
+    if (!result.valid) {
+      throw new ValidationError(`Invalid upfront_amount: ${result.error}`);
+    }
+    upfront = result.stroops;
+  }
+  const remaining = outstanding - upfront;
+  if (remaining < count) {
+    throw new ValidationError('upfront_amount must leave at least one stroop for each installment');
+  }
+
+  let due = first_due_date !== undefined && first_due_date !== null
+    ? parseDate(first_due_date, 'first_due_date')
+    : scheduler().calculateNextExecutionDate(now, freq);
+  if (due <= now) {
+    throw new ValidationError('first_due_date must be in the future');
+  }
+
+  const rows = [];
+  if (upfront > 0) {
+    rows.push({ amount: upfront, due_date: now.toISOString() });
+  }
+  const each = Math.floor(remaining / count);
+  for (let i = 0; i < count; i++) {
+    // The last installment takes the stroops the equal split leaves over
+    rows.push({ amount: i === count - 1 ? remaining - each * (count - 1) : each, due_date: due.toISOString() });
+    due = scheduler().calculateNextExecutionDate(due, freq);
+  }
+
+  const lastDue = rows[rows.length - 1].due_date;
+  if (new Date(lastDue) > new Date(pledge.expires_at)) {
+    throw new ValidationError(
+      `The last installment (${lastDue}) would fall after the pledge expires (${pledge.expires_at})`,
+      { lastDueDate: lastDue, expiresAt: pledge.expires_at },
+      'PLEDGE_PLAN_PAST_EXPIRY'
+    );
+  }
+
+  await Database.runTransaction(async (tx) => {
+    for (const [index, row] of rows.entries()) {
+      await tx.run(
+        'INSERT INTO pledge_installments (pledge_id, sequence, amount, due_date) VALUES (?, ?, ?, ?)',
+        [pledgeId, index + 1, row.amount, row.due_date]
+      );
+    }
+  });
+  log.info('PLEDGE', `Created ${rows.length}-installment plan for pledge ${pledgeId}`, { frequency: freq, upfront });
+
+  if (upfront > 0) {
+    try {
+      await payInstallment(pledgeId, 1, { requirePayment: false });
+    } catch (error) {
+      log.warn('PLEDGE', `Upfront installment for pledge ${pledgeId} was not collected: ${error.message}`);
+    }
+  }
+  return getPledge(pledgeId);
+}
+
+/**
+ * Mark a failed collection attempt on a claimed installment.
+ * @param {Object} installment
+ * @param {Error} error
+ * @returns {Promise<void>}
+ */
+async function recordFailure(installment, error) {
+  await Database.run(
+    'UPDATE pledge_installments SET status = ?, failure_reason = ? WHERE id = ? AND status = ?',
+    [INSTALLMENT_STATUSES.FAILED, error.message, installment.id, INSTALLMENT_STATUSES.COLLECTING]
+  );
+}
+
+/**
+ * Claim an unpaid installment for collection. Only one caller can claim it,
+ * so its payment is sent at most once.
+ * @param {Object} installment
+ * @returns {Promise<void>}
+ * @throws {ConflictError} INVALID_STATE when it is being collected or was paid concurrently
+ */
+async function claimInstallment(installment) {
+  const claimed = await Database.run(
+    `UPDATE pledge_installments SET status = ?
+     WHERE id = ? AND status IN ('scheduled', 'failed')`,
+    [INSTALLMENT_STATUSES.COLLECTING, installment.id]
+  );
+  if (!claimed.changes) {
+    throw new ConflictError('Installment is already being collected', 'INVALID_STATE');
+  }
+}
+
+/**
+ * Pay one installment: record a payment the donor made themselves, or
+ * collect it from their custodial wallet. A collected installment is claimed
+ * before its payment is sent and marked paid once it has been.
+ *
+ * @param {string} pledgeId
+ * @param {number} sequence
+ * @param {Object} [options]
+ * @param {string} [options.stellarTxId] - Payment the donor already made
+ * @param {boolean} [options.requirePayment=true] - Fail when the donor wallet is not custodial;
+ *   otherwise the installment is left unpaid
+ * @returns {Promise<Object>} The pledge with its installments
+ * @throws {ConflictError} INVALID_STATE when the installment is paid or being collected,
+ *   STELLAR_TX_ALREADY_RECORDED when stellarTxId was already recorded for an installment
+ */
+async function payInstallment(pledgeId, sequence, { stellarTxId = null, requirePayment = true } = {}) {
+  const pledge = await pendingPledge(pledgeId);
+  const installment = await Database.get(
+    'SELECT * FROM pledge_installments WHERE pledge_id = ? AND sequence = ?',
+    [pledgeId, sequence]
+  );
+  if (!installment) {
+    throw new NotFoundError('Installment not found', 'INSTALLMENT_NOT_FOUND');
+  }
+  if (![INSTALLMENT_STATUSES.SCHEDULED, INSTALLMENT_STATUSES.FAILED].includes(installment.status)) {
+    throw new ConflictError(`Installment is already ${installment.status}`, 'INVALID_STATE');
+  }
+
+  let txId = stellarTxId;
+  if (!txId) {
+    await claimInstallment(installment);
+    try {
+      txId = await submitPledgePayment(pledge, installment.amount, `Pledge ${pledge.id} #${sequence}`);
+    } catch (error) {
+      await recordFailure(installment, error);
+      throw error;
+    }
+    if (!txId) {
+      // Nothing was sent, so the installment goes back to how it was
+      await Database.run(
+        'UPDATE pledge_installments SET status = ? WHERE id = ? AND status = ?',
+        [installment.status, installment.id, INSTALLMENT_STATUSES.COLLECTING]
+      );
+      if (!requirePayment) return getPledge(pledgeId);
+      throw new BusinessLogicError(
+        'PLEDGE_DONOR_NOT_CUSTODIAL',
+        'The donor wallet is not custodial; give the stellar_tx_id of the payment the donor made'
+      );
+    }
+  }
+
+  const paidAt = new Date().toISOString();
+  await Database.runTransaction(async (tx) => {
+    if (stellarTxId) {
+      const recorded = await tx.get('SELECT id FROM pledge_installments WHERE stellar_tx_id = ?', [stellarTxId]);
+      if (recorded) {
+        throw new ConflictError('This Stellar transaction is already recorded for an installment', 'STELLAR_TX_ALREADY_RECORDED');
+      }
+    }
+    const claimed = await tx.run(
+      `UPDATE pledge_installments SET status = ?, paid_at = ?, stellar_tx_id = ?, failure_reason = NULL
+       WHERE id = ? AND status IN (${stellarTxId ? "'scheduled', 'failed'" : "'collecting'"})`,
+      [INSTALLMENT_STATUSES.PAID, paidAt, txId, installment.id]
+    );
+    if (!claimed.changes) {
+      throw new ConflictError('Installment was paid concurrently', 'INVALID_STATE');
+    }
+    await tx.run('UPDATE pledges SET paid_amount = paid_amount + ? WHERE id = ?', [installment.amount, pledgeId]);
+    await OutboxService.enqueue(tx, {
+      eventType: 'pledge.installment_paid',
+      aggregateType: 'pledge',
+      aggregateId: pledgeId,
+      payload: {
+        pledgeId,
+        sequence,
+        amount: installment.amount,
+        stellarTxId: txId,
+        paidAt,
+      },
+    });
+
+    const fulfilled = await tx.run(
+      `UPDATE pledges SET status = 'fulfilled' WHERE id = ? AND status = 'pending' AND paid_amount >= amount`,
+      [pledgeId]
+    );
+    if (fulfilled.changes) {
+      await recordPledgeEvent(tx, 'pledge.fulfilled', await tx.get('SELECT * FROM pledges WHERE id = ?', [pledgeId]));
+    }
+  });
+  log.info('PLEDGE', `Installment ${sequence} of pledge ${pledgeId} paid`, { stellarTxId: txId });
+  return getPledge(pledgeId);
+}
+
+/**
+ * Collect every scheduled installment that has come due from custodial donor
+ * wallets. A failed collection is marked failed and not retried automatically.
+ * Called by the expiry worker.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{paid: number, failed: number}>}
+ */
+async function collectDue(now = new Date()) {
+  const due = await Database.all(
+    `SELECT i.pledge_id, i.sequence
+     FROM pledge_installments i
+     JOIN pledges p ON p.id = i.pledge_id
+     WHERE i.status = 'scheduled' AND i.due_date <= ? AND p.status = 'pending'
+       AND EXISTS (SELECT 1 FROM users u
+                   WHERE (u.publicKey = p.donor_wallet_id OR CAST(u.id AS TEXT) = p.donor_wallet_id)
+                     AND u.encryptedSecret IS NOT NULL)
+     ORDER BY i.due_date`,
+    [now.toISOString()]
+  );
+
+  let paid = 0;
+  let failed = 0;
+  for (const { pledge_id: pledgeId, sequence } of due) {
+    try {
+      await payInstallment(pledgeId, sequence);
+      paid++;
+    } catch (error) {
+      failed++;
+      log.error('PLEDGE', `Failed to collect installment ${sequence} of pledge ${pledgeId}: ${error.message}`);
+    }
+  }
+  if (paid + failed > 0) {
+    log.info('PLEDGE', `Collected ${paid} due installments, ${failed} failed`);
+  }
+  return { paid, failed };
+}
+
+/**
+ * Remind donors of installments due within the next REMINDER_DAYS days, once
+ * per installment. Called by the expiry worker.
+ *
+ * @param {Date} [now]
+ * @param {number} [daysBefore=REMINDER_DAYS]
+ * @returns {Promise<{sent: number}>}
+ */
+async function sendReminders(now = new Date(), daysBefore = REMINDER_DAYS) {
+  const upcoming = await Database.all(
+    `SELECT i.*, p.campaign_id, p.donor_wallet_id, p.amount AS pledge_amount, p.paid_amount
+     FROM pledge_installments i
+     JOIN pledges p ON p.id = i.pledge_id
+     WHERE i.status = 'scheduled' AND i.reminder_sent_at IS NULL AND p.status = 'pending'
+       AND i.due_date > ? AND i.due_date <= ?
+     ORDER BY i.due_date`,
+    [now.toISOString(), new Date(now.getTime() + daysBefore * DAY_MS).toISOString()]
+  );
+
+  let sent = 0;
+  for (const installment of upcoming) {
+    const recorded = await Database.runTransaction(async (tx) => {
+      const claimed = await tx.run(
+        'UPDATE pledge_installments SET reminder_sent_at = ? WHERE id = ? AND reminder_sent_at IS NULL',
+        [now.toISOString(), installment.id]
+      );
+      if (!claimed.changes) return false;
+      await OutboxService.enqueue(tx, {
+        eventType: 'pledge.installment_due',
+        aggregateType: 'pledge',
+        aggregateId: installment.pledge_id,
+        payload: {
+          pledgeId: installment.pledge_id,
+          campaignId: installment.campaign_id,
+          donorWalletId: installment.donor_wallet_id,
+          sequence: installment.sequence,
+          amount: installment.amount,
+          dueDate: installment.due_date,
+          outstanding: installment.pledge_amount - installment.paid_amount,
+        },
+      });
+      return true;
+    });
+    if (recorded) sent++;
+  }
+  if (sent > 0) {
+    log.info('PLEDGE', `Sent ${sent} installment reminders`);
+  }
+  return { sent };
+}
+
+/**
+ * Convert a pending pledge's outstanding balance into a recurring donation
+ * schedule of equal executions from the donor's custodial wallet to the
+ * campaign creator. Unpaid installments are cancelled; the schedule collects
+ * the rest.
+ *
+ * @param {string} pledgeId
+ * @param {Object} options
+ * @param {string} options.frequency - daily | weekly | monthly
+ * @param {number} options.executions - Number of recurring payments
+ * @param {string} [options.start_date] - First execution, default one period from now
+ * @param {Date} [now]
+ * @returns {Promise<Object>} The pledge with its installments
+ */
+async function convertToRecurring(pledgeId, { frequency, executions, start_date } = {}, now = new Date()) {
+  const pledge = await pendingPledge(pledgeId);
+  const freq = parseFrequency(frequency);
+  const count = parseCount(executions, 'executions');
+
+  const outstanding = outstandingOf(pledge);
+  if (outstanding % count !== 0) {
+    throw new ValidationError(
+      `The outstanding ${outstanding} stroops cannot be split into ${count} equal executions`,
+      { outstanding, executions: count },
+      'PLEDGE_UNEVEN_SPLIT'
+    );
+  }
+
+  const firstExecution = start_date !== undefined && start_date !== null
+    ? parseDate(start_date, 'start_date')
+    : scheduler().calculateNextExecutionDate(now, freq);
+  if (firstExecution <= now) {
+    throw new ValidationError('start_date must be in the future');
+  }
+
+  const donor = await Database.get(
+    'SELECT id FROM users WHERE (publicKey = ? OR CAST(id AS TEXT) = ?) AND encryptedSecret IS NOT NULL',
+    [pledge.donor_wallet_id, pledge.donor_wallet_id]
+  );
+  if (!donor) {
+    throw new BusinessLogicError(
+      'PLEDGE_DONOR_NOT_CUSTODIAL',
+      'Only pledges from custodial wallets can be converted into a recurring donation'
+    );
+  }
+  const recipient = await Database.get(
+    'SELECT u.id FROM campaigns c JOIN users u ON u.id = c.created_by WHERE c.id = ?',
+    [pledge.campaign_id]
+  );
+  if (!recipient) {
+    throw new BusinessLogicError('PLEDGE_RECIPIENT_NOT_FOUND', 'The campaign has no recipient wallet');
+  }
+
+  const scheduleId = await Database.runTransaction(async (tx) => {
+    const schedule = await tx.run(
+      `INSERT INTO recurring_donations
+         (donorId, recipientId, amount, frequency, maxExecutions, nextExecutionDate, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [donor.id, recipient.id, outstanding / count / 1e7, freq, count, firstExecution.toISOString(), SCHEDULE_STATUS.ACTIVE]
+    );
+    const converted = await tx.run(
+      `UPDATE pledges SET status = 'converted', recurring_schedule_id = ?, converted_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [schedule.id, now.toISOString(), pledgeId]
+    );
+    if (!converted.changes) {
+      throw new ConflictError('Pledge changed status while being converted', 'INVALID_STATE');
+    }
+    const collecting = await tx.get(
+      'SELECT id FROM pledge_installments WHERE pledge_id = ? AND status = ?',
+      [pledgeId, INSTALLMENT_STATUSES.COLLECTING]
+    );
+    if (collecting) {
+      throw new ConflictError('An installment of this pledge is being collected', 'INVALID_STATE');
+    }
+    await tx.run(
+      `UPDATE pledge_installments SET status = 'cancelled'
+       WHERE pledge_id = ? AND status IN ('scheduled', 'failed')`,
+      [pledgeId]
+    );
+    await recordPledgeEvent(tx, 'pledge.converted', await tx.get('SELECT * FROM pledges WHERE id = ?', [pledgeId]));
+    return schedule.id;
+  });
+
+  log.info('PLEDGE', `Converted pledge ${pledgeId} into recurring schedule ${scheduleId}`, { frequency: freq, executions: count });
+  return getPledge(pledgeId);
+}
+
+/**
+ * Pledge aging: what has been pledged, collected and is still outstanding,
+ * by pledge status, and overdue installments of pending pledges grouped by
+ * days past due. Collections on converted pledges include the executions of
+ * their recurring schedule. Amounts are in stroops.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.asOf]
+ * @param {number} [options.campaignId]
+ * @returns {Promise<Object>}
+ */
+async function agingReport({ asOf = new Date(), campaignId = null } = {}) {
+  const scope = campaignId ? 'AND p.campaign_id = ?' : '';
+  const scopeParams = campaignId ? [campaignId] : [];
+
+  const pledges = await Database.all(
+    `SELECT p.status, p.amount, p.paid_amount,
+            COALESCE(MIN(CAST(ROUND(rd.amount * 10000000) AS INTEGER) * rd.executionCount,
+                         p.amount - p.paid_amount), 0) AS schedule_collected
+     FROM pledges p
+     LEFT JOIN recurring_donations rd ON rd.id = p.recurring_schedule_id
+     WHERE 1 = 1 ${scope}`,
+    scopeParams
+  );
+
+  const byStatus = {};
+  const totals = { count: 0, pledged: 0, collected: 0, outstanding: 0 };
+  for (const row of pledges) {
+    const collected = Number(row.paid_amount) + Number(row.schedule_collected);
+    // Only pledges still being paid have an outstanding balance
+    const outstanding = ['pending', 'converted'].includes(row.status) ? Number(row.amount) - collected : 0;
+    const entry = byStatus[row.status] || (byStatus[row.status] = { count: 0, pledged: 0, collected: 0, outstanding: 0 });
+    for (const target of [entry, totals]) {
+      target.count++;
+      target.pledged += Number(row.amount);
+      target.collected += collected;
+      target.outstanding += outstanding;
+    }
+  }
+
+  const overdue = await Database.all(
+    `SELECT i.amount, i.due_date
+     FROM pledge_installments i
+     JOIN pledges p ON p.id = i.pledge_id
+     WHERE p.status = 'pending' AND i.status IN ('scheduled', 'failed') AND i.due_date < ? ${scope}`,
+    [asOf.toISOString(), ...scopeParams]
+  );
+
+  const aging = AGING_BUCKETS.map(([bucket]) => ({ bucket, count: 0, amount: 0 }));
+  let overdueTotal = 0;
+  for (const installment of overdue) {
+    const days = Math.floor((asOf.getTime() - new Date(installment.due_date).getTime()) / DAY_MS);
+    const index = AGING_BUCKETS.findIndex(([, from, to]) => days >= from && days <= to);
+    aging[index].count++;
+    aging[index].amount += Number(installment.amount);
+    overdueTotal += Number(installment.amount);
+  }
+
+  return {
+    as_of: asOf.toISOString(),
+    campaign_id: campaignId,
+    unit: 'stroops',
+    totals: { ...totals, overdue: overdueTotal },
+    by_status: byStatus,
+    overdue_aging: aging,
+  };
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  INSTALLMENT_STATUSES,
+  AGING_BUCKETS,
+  getPledge,
+  createPlan,
+  payInstallment,
+  collectDue,
+  sendReminders,
+  convertToRecurring,
+  agingReport,
+};
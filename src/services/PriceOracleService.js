@@ -1,106 +1,177 @@
 /**
  * Price Oracle Service
  *
- * RESPONSIBILITY: Fetch and cache XLM exchange rates from CoinGecko
+ * RESPONSIBILITY: Fetch and cache XLM exchange rates from the configured price provider
  * OWNER: Backend Team
- * DEPENDENCIES: https (built-in), log utility
+ * DEPENDENCIES: priceProviders, Database, log utility
  *
- * Fetches XLM/fiat rates with a 5-minute in-memory cache.
- * Falls back gracefully when the external API is unavailable.
+ * Fetches XLM/fiat rates with an in-memory cache (PRICE_ORACLE_CACHE_TTL_SECONDS,
+ * default 5 minutes). Falls back gracefully when the rate source is unavailable.
+ * The source is pluggable (see priceProviders/): CoinGecko by default, a local
+ * JSON file, the Stellar DEX, or the median of several of them.
+ *
+ * Every refresh is also written to exchange_rate_history, one row per currency
+ * per hour, and getRateAt() reads it back so a donation can be valued at the
+ * rate of its own date.
  */
 
-const https = require('https');
+const Database = require('../utils/database');
 const log = require('../utils/log');
 const { convertToXLMWithMeta } = require('../utils/currencyConversion');
+const { getPriceProvider } = require('./priceProviders');
+
+const SUPPORTED_CURRENCIES = (process.env.PRICE_ORACLE_CURRENCIES || 'usd,eur,gbp')
+  .split(',')
+  .map(c => c.trim().toLowerCase())
+  .filter(c => /^[a-z]{3,5}$/.test(c));
+const CACHE_TTL_MS = parseInt(process.env.PRICE_ORACLE_CACHE_TTL_SECONDS || '300', 10) * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+/** How far back getRateAt() will reach for the nearest earlier hour before giving up. */
+const HISTORY_MAX_GAP_MS = parseInt(process.env.PRICE_HISTORY_MAX_GAP_HOURS || '24', 10) * HOUR_MS;
 
-const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp'];
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const COINGECKO_URL =
-  'https://api.coingecko.com/api/v3/simple/price?ids=stellar&vs_currencies=' +
-  SUPPORTED_CURRENCIES.join(',');
+let provider = null;
 
 let cache = {
-  rates: null,   // { usd: 0.12, eur: 0.11, gbp: 0.09 }
-  fetchedAt: 0,  // epoch ms
+  rates: null,     // { usd: 0.12, eur: 0.11, gbp: 0.09 }
+  fetchedAt: 0,    // epoch ms
+  source: null,    // provider name, e.g. "coingecko"
+  sources: null,   // per-currency source when the provider reports one, e.g. { usd: "median(coingecko,stellar-dex)" }
+  timestamp: null, // ISO time the rates were observed
 };
 
 /**
- * Fetch rates from CoinGecko (raw HTTP, no extra deps).
- * Sends the COINGECKO_API_KEY demo-plan header when configured; without a key
- * CoinGecko still answers but with stricter public rate limits.
- * @returns {Promise<Object>} rates map e.g. { usd: 0.12, eur: 0.11, gbp: 0.09 }
+ * Start of the UTC hour containing `date`, as an ISO string.
+ * @param {Date} date
+ * @returns {string}
  */
-function fetchFromCoinGecko() {
-  const options = { timeout: 5000 };
-  if (process.env.COINGECKO_API_KEY) {
-    options.headers = { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY };
-  }
-  return new Promise((resolve, reject) => {
-    https
-      .get(COINGECKO_URL, options, (res) => {
-        let body = '';
-        res.on('data', (chunk) => (body += chunk));
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(body);
-            if (!json.stellar) {
-              return reject(new Error('Unexpected CoinGecko response shape'));
-            }
-            resolve(json.stellar); // { usd: ..., eur: ..., gbp: ... }
-          } catch (e) {
-            reject(e);
-          }
-        });
-      })
-      .on('error', reject)
-      .on('timeout', function () {
-        this.destroy(new Error('CoinGecko request timed out'));
-      });
-  });
+function hourBucket(date) {
+  const d = new Date(date.getTime());
+  d.setUTCMinutes(0, 0, 0);
+  return d.toISOString();
 }
 
 /**
- * Return cached rates, refreshing if stale.
- * @returns {Promise<Object>} rates map
+ * The active price provider, created from PRICE_ORACLE_PROVIDER on first use.
+ * @returns {import('./priceProviders/PriceProvider')}
  */
-async function getRates() {
+function getProvider() {
+  if (!provider) provider = getPriceProvider();
+  return provider;
+}
+
+/**
+ * Replace the price provider (tests, or wiring a custom source at startup).
+ * Clears cached rates so nothing from the previous source is served.
+ * @param {import('./priceProviders/PriceProvider')|null} next - null restores the configured provider
+ */
+function setProvider(next) {
+  provider = next;
+  invalidateCache();
+}
+
+/**
+ * Refresh the cache from the provider if stale.
+ * @returns {Promise<Object>} cache entry
+ */
+async function loadRates() {
   const now = Date.now();
   if (cache.rates && now - cache.fetchedAt < CACHE_TTL_MS) {
-    return cache.rates;
+    return cache;
   }
 
+  const source = getProvider();
   try {
-    const rates = await fetchFromCoinGecko();
-    cache = { rates, fetchedAt: now };
-    log.info('PRICE_ORACLE', 'Exchange rates refreshed', { rates });
-    return rates;
+    const { rates, timestamp, sources } = await source.fetchRates(SUPPORTED_CURRENCIES);
+    cache = {
+      rates,
+      fetchedAt: now,
+      source: source.name,
+      sources: sources || null,
+      timestamp: timestamp || new Date(now).toISOString(),
+    };
+    log.info('PRICE_ORACLE', 'Exchange rates refreshed', { rates, source: source.name });
+    await recordRates(cache);
+    return cache;
   } catch (err) {
-    log.warn('PRICE_ORACLE', 'Failed to fetch exchange rates', { error: err.message });
+    log.warn('PRICE_ORACLE', 'Failed to fetch exchange rates', { error: err.message, source: source.name });
     if (cache.rates) {
       log.warn('PRICE_ORACLE', 'Serving stale cached rates');
-      return cache.rates;
+      return cache;
     }
     throw err;
   }
 }
 
 /**
- * Convert an amount in the given fiat currency to XLM using the central
- * rounding policy (round-half-even, 7 decimal places).
+ * Write a cache entry to exchange_rate_history under the hour it was fetched
+ * in. The first rate of each hour is kept. Failures are logged, never thrown:
+ * history must not stop a donation from being quoted.
+ *
+ * @param {Object} entry - cache entry
+ * @returns {Promise<void>}
+ */
+async function recordRates(entry) {
+  const hour = hourBucket(new Date(entry.fetchedAt));
+  try {
+    for (const [currency, rate] of Object.entries(entry.rates)) {
+      await Database.run(
+        `INSERT OR IGNORE INTO exchange_rate_history (currency, hour, rate, source, observedAt)
+         VALUES (?, ?, ?, ?, ?)`,
+        [currency, hour, rate, sourceFor(entry, currency), entry.timestamp]
+      );
+    }
+  } catch (err) {
+    log.warn('PRICE_ORACLE', 'Failed to record rate history', { error: err.message, hour });
+  }
+}
+
+/**
+ * Make sure the current hour has a history row for every currency, fetching
+ * rates if the cache is stale. Run hourly by the rate history worker so the
+ * history has no gaps when there are no donations.
+ *
+ * @returns {Promise<void>}
+ */
+async function recordCurrentRates() {
+  await recordRates(await loadRates());
+}
+
+/**
+ * @param {Object} entry - cache entry
+ * @param {string} currency
+ * @returns {string}
+ */
+function sourceFor(entry, currency) {
+  return (entry.sources && entry.sources[currency]) || entry.source;
+}
+
+/**
+ * Return cached rates, refreshing if stale.
+ * @returns {Promise<Object>} rates map
+ */
+async function getRates() {
+  const { rates } = await loadRates();
+  return rates;
+}
+
+/**
+ * Convert a fiat amount to XLM and report the rate used, for callers that
+ * persist or lock the conversion (donation quotes, fiat donations).
+ * Uses the central rounding policy (round-half-even, 7 decimal places).
  *
  * @param {number} amount
  * @param {string} currency  e.g. "USD"
- * @returns {Promise<number>} XLM amount (7 decimal places)
+ * @returns {Promise<Object>} convertToXLMWithMeta() result plus rateSource
+ * @throws {Error} When the currency is unsupported or has no valid rate
  */
-async function convertToXLM(amount, currency) {
+async function quote(amount, currency) {
   const key = currency.toLowerCase();
-  if (key === 'xlm') return amount;
-
   if (!SUPPORTED_CURRENCIES.includes(key)) {
     throw new Error(`Unsupported currency: ${currency}. Supported: XLM, ${SUPPORTED_CURRENCIES.map(c => c.toUpperCase()).join(', ')}`);
   }
 
-  const rates = await getRates();
+  const entry = await loadRates();
+  const { rates, timestamp } = entry;
   // rates[key] = price of 1 XLM in that currency (e.g. 0.10 USD/XLM)
   // rateXLMperUnit = how many XLM 1 unit buys = 1 / rates[key]
   const xlmPrice = rates[key];
@@ -109,7 +180,88 @@ async function convertToXLM(amount, currency) {
   }
 
   const rateXLMperUnit = 1 / xlmPrice;
-  const { xlm } = convertToXLMWithMeta(amount, currency, rateXLMperUnit, new Date().toISOString());
+  return {
+    ...convertToXLMWithMeta(amount, currency, rateXLMperUnit, timestamp),
+    rateSource: sourceFor(entry, key),
+  };
+}
+
+/**
+ * The price of 1 XLM in `currency` at a point in time: the history row for
+ * that hour, or the nearest earlier one within PRICE_HISTORY_MAX_GAP_HOURS.
+ * Timestamps in the last hour refresh the live rates first, so a donation
+ * made just now is valued from the same row it will be valued from next year.
+ *
+ * @param {string} currency - e.g. "USD"
+ * @param {string|Date|number} [timestamp=now]
+ * @returns {Promise<{currency: string, rate: number, source: string, hour: string, observedAt: string}|null>}
+ *   null when there is no history close enough to the timestamp
+ * @throws {Error} When the currency is unsupported or the timestamp invalid
+ */
+async function getRateAt(currency, timestamp = new Date()) {
+  const key = String(currency).toLowerCase();
+  const at = new Date(timestamp);
+  if (Number.isNaN(at.getTime())) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+  if (key === 'xlm') {
+    return { currency: 'xlm', rate: 1, source: 'identity', hour: hourBucket(at), observedAt: at.toISOString() };
+  }
+  if (!SUPPORTED_CURRENCIES.includes(key)) {
+    throw new Error(`Unsupported currency: ${currency}. Supported: XLM, ${SUPPORTED_CURRENCIES.map(c => c.toUpperCase()).join(', ')}`);
+  }
+
+  if (at.getTime() >= Date.now() - HOUR_MS) {
+    try {
+      await recordCurrentRates();
+    } catch (err) {
+      log.warn('PRICE_ORACLE', 'Live rates unavailable, using history only', { error: err.message });
+    }
+  }
+
+  const row = await Database.get(
+    `SELECT currency, hour, rate, source, observedAt FROM exchange_rate_history
+     WHERE currency = ? AND hour <= ? ORDER BY hour DESC LIMIT 1`,
+    [key, hourBucket(at)]
+  );
+  if (!row || at.getTime() - new Date(row.hour).getTime() > HISTORY_MAX_GAP_MS) {
+    return null;
+  }
+  return row;
+}
+
+/**
+ * Price of `base` in `quoteCurrency` at a point in time (TaxReceiptService).
+ * Only XLM is priced.
+ *
+ * @param {string} base - "XLM"
+ * @param {string} quoteCurrency - e.g. "USD"
+ * @param {string|Date|number} timestamp
+ * @returns {Promise<number>}
+ * @throws {Error} When no rate is known for that time
+ */
+async function getPriceAtTime(base, quoteCurrency, timestamp) {
+  if (String(base).toUpperCase() !== 'XLM') {
+    throw new Error(`Unsupported base asset: ${base}`);
+  }
+  const entry = await getRateAt(quoteCurrency, timestamp);
+  if (!entry) {
+    throw new Error(`No ${String(quoteCurrency).toUpperCase()} rate recorded near ${new Date(timestamp).toISOString()}`);
+  }
+  return entry.rate;
+}
+
+/**
+ * Convert an amount in the given fiat currency to XLM using the central
+ * rounding policy (round-half-even, 7 decimal places).
+ *
+ * @param {number} amount
+ * @param {string} currency  e.g. "USD"
+ * @returns {Promise<number>} XLM amount (7 decimal places)
+ */
+async function convertToXLM(amount, currency) {
+  if (currency.toLowerCase() === 'xlm') return amount;
+  const { xlm } = await quote(amount, currency);
   return xlm;
 }
 
@@ -117,7 +269,19 @@ async function convertToXLM(amount, currency) {
  * Invalidate the cache (useful for testing).
  */
 function invalidateCache() {
-  cache = { rates: null, fetchedAt: 0 };
+  cache = { rates: null, fetchedAt: 0, source: null, sources: null, timestamp: null };
 }
 
-module.exports = { getRates, convertToXLM, invalidateCache, _clearCache: invalidateCache, SUPPORTED_CURRENCIES };
+module.exports = {
+  getRates,
+  convertToXLM,
+  quote,
+  getRateAt,
+  getPriceAtTime,
+  recordCurrentRates,
+  getProvider,
+  setProvider,
+  invalidateCache,
+  _clearCache: invalidateCache,
+  SUPPORTED_CURRENCIES,
+};
@@ -0,0 +1,643 @@
+/**
+ * Quadratic Funding Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Quadratic funding matching rounds — projects, contributions, match distribution and payout
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, StellarService, encryption
+ *
+ * Unlike the fixed-ratio MatchingProgramService, a quadratic funding round
+ * shares a matching pool between its projects by breadth of support: a
+ * project's ideal match is (Σ√cᵢ)² − Σcᵢ over what each unique contributor
+ * gave it during the round's window, and the pool is shared in proportion to
+ * the ideal matches. Contributors are donor accounts, resolved from the
+ * donating wallet's SEP-10 link when the match is calculated, so one donor's
+ * several wallets count once. Donations from wallets not linked to a donor
+ * still reach the project but earn no match, since anyone can create any
+ * number of wallets. Only donations confirmed on the Stellar network count,
+ * and a donation refunded or disputed while its round is open stops counting.
+ * An optional cap limits any project to a percentage of the pool, with the
+ * excess shared among the other projects.
+ *
+ * Estimates are computed live while a round is open. Finalizing an ended round
+ * fixes the distribution, and the payout sends the matches from the round's
+ * custodial pool wallet as batched Stellar transactions. Each batch's hash is
+ * stored before it is submitted, and a batch with a stored hash is only
+ * retried once the network shows it did not succeed.
+ */
+
+'use strict';
+
+const Database = require('../utils/database');
+const log = require('../utils/log');
+const encryption = require('../utils/encryption');
+const { isValidStellarPublicKey } = require('../utils/validators');
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ConflictError,
+  DuplicateError,
+} = require('../utils/errors');
+
+const ROUND_STATUSES = Object.freeze({
+  OPEN: 'open',
+  FINALIZED: 'finalized',
+  PAYING: 'paying',
+  PAID: 'paid',
+});
+
+const PAYOUT_STATUSES = Object.freeze({
+  NONE: 'none',
+  PENDING: 'pending',
+  SUBMITTING: 'submitting',
+  PAID: 'paid',
+  FAILED: 'failed',
+});
+
+/** Stellar allows at most 100 operations per transaction */
+const MAX_PAYMENTS_PER_TX = 100;
+
+/**
+ * Batch transactions expire 30 seconds after signing, so one that is not on
+ * the ledger this long after it was stored never will be.
+ */
+const SUBMISSION_EXPIRY_SECONDS = 120;
+
+/** A payout claim not refreshed for this long was left by a crashed payout and can be taken over */
+const STALE_PAYOUT_SECONDS = 600;
+const STROOPS = 1e7;
+
+/** Round down to whole stroops so allocations never exceed the pool */
+const floorStroops = (xlm) => Math.floor(xlm * STROOPS + 1e-6) / STROOPS;
+
+/**
+ * Lazily resolve the Stellar service; callers may pass their own.
+ * @returns {Object} StellarService or MockStellarService instance
+ */
+function getDefaultStellarService() {
+  const { getStellarService } = require('../config/stellar');
+  return getStellarService();
+}
+
+class QuadraticFundingService {
+  // ───────────────────────────────────────────────────────────────────────────
+  // Rounds and projects
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {Object} input
+   * @param {string} input.name
+   * @param {string} input.pool_wallet - Custodial wallet the matches are paid from
+   * @param {number} input.matching_pool - XLM to share between the projects
+   * @param {string} input.starts_at - ISO 8601 start of the contribution window
+   * @param {string} input.ends_at - ISO 8601 end of the contribution window
+   * @param {number} [input.project_cap_percent] - Most of the pool one project can receive, 0–100
+   * @returns {Promise<Object>} The round
+   * @throws {ValidationError}
+   */
+  static async createRound(input = {}) {
+    const { name, pool_wallet, matching_pool, project_cap_percent = null } = input;
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('name is required');
+    }
+    if (!isValidStellarPublicKey(pool_wallet)) {
+      throw new ValidationError('pool_wallet must be a Stellar public key');
+    }
+    if (typeof matching_pool !== 'number' || !Number.isFinite(matching_pool) || matching_pool <= 0) {
+      throw new ValidationError('matching_pool must be a positive number');
+    }
+    if (project_cap_percent !== null
+      && (typeof project_cap_percent !== 'number' || project_cap_percent <= 0 || project_cap_percent > 100)) {
+      throw new ValidationError('project_cap_percent must be a number greater than 0 and at most 100');
+    }
+    const startsAt = this._date(input.starts_at, 'starts_at');
+    const endsAt = this._date(input.ends_at, 'ends_at');
+    if (endsAt <= startsAt) {
+      throw new ValidationError('ends_at must be after starts_at');
+    }
+
+    const result = await Database.run(
+      `INSERT INTO qf_rounds (name, pool_wallet, matching_pool, project_cap_percent, starts_at, ends_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name.trim(), pool_wallet, matching_pool, project_cap_percent, startsAt, endsAt]
+    );
+    log.info('QUADRATIC_FUNDING', 'Round created', { roundId: result.id, matchingPool: matching_pool });
+    return this._round(result.id);
+  }
+
+  /** @returns {Promise<Object[]>} Rounds, newest first */
+  static async listRounds() {
+    const rows = await Database.query('SELECT * FROM qf_rounds ORDER BY starts_at DESC, id DESC');
+    return rows.map((row) => this._formatRound(row));
+  }
+
+  /**
+   * A round with its projects' matches: live estimates while the round is
+   * open, the final distribution once it is finalized.
+   * @param {number} roundId
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} QF_ROUND_NOT_FOUND
+   */
+  static async getRound(roundId) {
+    const round = await this._round(roundId);
+    const projects = round.status === ROUND_STATUSES.OPEN
+      ? await this.estimateMatches(round.id)
+      : await this._distribution(round.id);
+    const allocated = floorStroops(projects.reduce((sum, p) => sum + p.match_amount, 0));
+    return { ...round, projects, allocated, unallocated: floorStroops(round.matching_pool - allocated) };
+  }
+
+  /**
+   * Add a project to a round that has not ended yet.
+   * @param {number} roundId
+   * @param {{ name: string, recipient_wallet: string }} input
+   * @returns {Promise<Object>} The project
+   * @throws {ValidationError|NotFoundError|BusinessLogicError}
+   */
+  static async addProject(roundId, { name, recipient_wallet } = {}) {
+    const round = await this._round(roundId);
+    if (round.status !== ROUND_STATUSES.OPEN || new Date(round.ends_at) <= new Date()) {
+      throw new BusinessLogicError('QF_ROUND_ENDED', 'Projects can only be added before the round ends');
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('name is required');
+    }
+    if (!isValidStellarPublicKey(recipient_wallet)) {
+      throw new ValidationError('recipient_wallet must be a Stellar public key');
+    }
+    if (recipient_wallet === round.pool_wallet) {
+      throw new ValidationError('recipient_wallet cannot be the round\'s pool wallet');
+    }
+
+    try {
+      const result = await Database.run(
+        'INSERT INTO qf_projects (round_id, name, recipient_wallet) VALUES (?, ?, ?)',
+        [round.id, name.trim(), recipient_wallet]
+      );
+      return Database.get('SELECT * FROM qf_projects WHERE id = ?', [result.id]);
+    } catch (err) {
+      if (err instanceof DuplicateError) {
+        throw new ValidationError('This wallet is already a project in the round', null, 'QF_PROJECT_EXISTS');
+      }
+      throw err;
+    }
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Contributions
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Count a donation towards every open round in whose window it falls and
+   * that has its recipient as a project. Only donations paid on the Stellar
+   * network count, so callers record a donation once it is confirmed with its
+   * transaction hash. Recording the same donation twice has no effect.
+   * @param {{ id: string|number, donor: string, recipient: string, amount: number|string,
+   *   stellarTxId: string, createdAt?: string|Date }} donation
+   * @returns {Promise<number>} Rounds the donation was counted in
+   */
+  static async recordDonation({ id, donor, recipient, amount, stellarTxId, createdAt } = {}) {
+    if (!stellarTxId || !donor || !recipient || !isValidStellarPublicKey(donor)) return 0;
+    const at = new Date(createdAt || Date.now()).toISOString();
+
+    const projects = await Database.query(
+      `SELECT p.id AS project_id, r.id AS round_id
+       FROM qf_projects p JOIN qf_rounds r ON r.id = p.round_id
+       WHERE p.recipient_wallet = ? AND r.status = ? AND r.starts_at <= ? AND r.ends_at > ?
+         AND r.pool_wallet != ?`,
+      [recipient, ROUND_STATUSES.OPEN, at, at, donor]
+    );
+    if (projects.length === 0) return 0;
+
+    let counted = 0;
+    for (const { project_id, round_id } of projects) {
+      const result = await Database.run(
+        `INSERT OR IGNORE INTO qf_contributions (donation_id, round_id, project_id, donor_wallet, amount)
+         VALUES (?, ?, ?, ?, ?)`,
+        [String(id), round_id, project_id, donor, parseFloat(amount)]
+      );
+      counted += result.changes ? 1 : 0;
+    }
+    return counted;
+  }
+
+  /**
+   * Stop counting a refunded or disputed donation in the rounds that are
+   * still open; finalized distributions are not changed.
+   * @param {string|number} donationId
+   * @param {{ run: Function }} [db] - Transaction handle to remove it in, defaults to Database
+   * @returns {Promise<number>} Contributions removed
+   */
+  static async removeDonation(donationId, db = Database) {
+    const result = await db.run(
+      `DELETE FROM qf_contributions
+       WHERE donation_id = ? AND round_id IN (SELECT id FROM qf_rounds WHERE status = ?)`,
+      [String(donationId), ROUND_STATUSES.OPEN]
+    );
+    return result ? result.changes || 0 : 0;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Distribution
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Live estimate of the match each project of a round would receive if the
+   * round ended now. Contributions are grouped by the donor account their
+   * wallet is linked to at this moment; unlinked wallets are left out.
+   * @param {number} roundId
+   * @returns {Promise<Object[]>} Projects by estimated match
+   */
+  static async estimateMatches(roundId) {
+    const round = await this._round(roundId);
+    const projects = await Database.query('SELECT * FROM qf_projects WHERE round_id = ? ORDER BY id', [round.id]);
+    const contributions = await Database.query(
+      `SELECT c.project_id, w.donorId, SUM(c.amount) AS amount
+       FROM qf_contributions c JOIN donor_wallets w ON w.publicKey = c.donor_wallet
+       WHERE c.round_id = ?
+       GROUP BY c.project_id, w.donorId`,
+      [round.id]
+    );
+
+    const byProject = new Map(projects.map((p) => [p.id, []]));
+    for (const c of contributions) {
+      if (byProject.has(c.project_id)) byProject.get(c.project_id).push(c.amount);
+    }
+
+    const matches = this.calculateDistribution(
+      projects.map((p) => ({ id: p.id, contributions: byProject.get(p.id) })),
+      round.matching_pool,
+      round.project_cap_percent
+    );
+    return projects
+      .map((p, i) => ({
+        project_id: p.id,
+        name: p.name,
+        recipient_wallet: p.recipient_wallet,
+        ...matches[i],
+      }))
+      .sort((a, b) => b.match_amount - a.match_amount || a.project_id - b.project_id);
+  }
+
+  /**
+   * Share a matching pool between projects by quadratic funding.
+   *
+   * Each project's ideal match is (Σ√cᵢ)² − Σcᵢ over its contributors' totals
+   * cᵢ. The pool is shared in proportion to the ideal matches; a project over
+   * the cap gets the cap, and what it would have had beyond it is shared among
+   * the rest the same way. Amounts are rounded down to whole stroops.
+   *
+   * @param {Array<{ contributions: number[] }>} projects - Per project, each unique contributor's total
+   * @param {number} pool - Matching pool in XLM
+   * @param {number|null} [capPercent] - Most of the pool one project can receive, 0–100
+   * @returns {Array<{ contributor_count: number, total_contributions: number, ideal_match: number,
+   *   match_amount: number, capped: boolean }>} In the order of `projects`
+   */
+  static calculateDistribution(projects, pool, capPercent = null) {
+    const results = projects.map(({ contributions }) => {
+      const amounts = contributions.filter((c) => c > 0);
+      const total = amounts.reduce((sum, c) => sum + c, 0);
+      const sqrtSum = amounts.reduce((sum, c) => sum + Math.sqrt(c), 0);
+      return {
+        contributor_count: amounts.length,
+        total_contributions: floorStroops(total),
+        ideal_match: Math.max(0, sqrtSum * sqrtSum - total),
+        match_amount: 0,
+        capped: false,
+      };
+    });
+
+    const cap = capPercent ? (pool * capPercent) / 100 : Infinity;
+    let remaining = pool;
+    let uncapped = results.filter((r) => r.ideal_match > 0);
+
+    // Each pass caps at least one more project or finishes, so this ends
+    while (uncapped.length > 0 && remaining > 0) {
+      const idealSum = uncapped.reduce((sum, r) => sum + r.ideal_match, 0);
+      const over = uncapped.filter((r) => (remaining * r.ideal_match) / idealSum > cap);
+      if (over.length === 0) {
+        for (const r of uncapped) r.match_amount = (remaining * r.ideal_match) / idealSum;
+        break;
+      }
+      for (const r of over) {
+        r.match_amount = cap;
+        r.capped = true;
+        remaining -= cap;
+      }
+      uncapped = uncapped.filter((r) => !r.capped);
+    }
+
+    for (const r of results) {
+      r.ideal_match = floorStroops(r.ideal_match);
+      r.match_amount = floorStroops(r.match_amount);
+    }
+    return results;
+  }
+
+  /**
+   * Fix the final distribution of a round whose window has ended.
+   * @param {number} roundId
+   * @returns {Promise<Object>} The round with its distribution
+   * @throws {NotFoundError|BusinessLogicError} QF_ROUND_NOT_ENDED, QF_ROUND_NOT_OPEN
+   */
+  static async finalizeRound(roundId) {
+    const round = await this._round(roundId);
+    if (round.status !== ROUND_STATUSES.OPEN) {
+      throw new BusinessLogicError('QF_ROUND_NOT_OPEN', `Round is already ${round.status}`);
+    }
+    if (new Date(round.ends_at) > new Date()) {
+      throw new BusinessLogicError('QF_ROUND_NOT_ENDED', 'Round can only be finalized after it ends', { ends_at: round.ends_at });
+    }
+
+    const distribution = await this.estimateMatches(round.id);
+    const finalized = await Database.runTransaction(async (tx) => {
+      const claimed = await tx.run(
+        `UPDATE qf_rounds SET status = ?, finalized_at = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = ?`,
+        [ROUND_STATUSES.FINALIZED, round.id, ROUND_STATUSES.OPEN]
+      );
+      if (!claimed || claimed.changes === 0) return false;
+
+      for (const d of distribution) {
+        await tx.run(
+          `INSERT INTO qf_distributions
+             (round_id, project_id, contributor_count, total_contributions, ideal_match, match_amount, capped, payout_status)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [round.id, d.project_id, d.contributor_count, d.total_contributions, d.ideal_match, d.match_amount,
+            d.capped ? 1 : 0, d.match_amount > 0 ? PAYOUT_STATUSES.PENDING : PAYOUT_STATUSES.NONE]
+        );
+      }
+      return true;
+    });
+    if (!finalized) {
+      throw new ConflictError('Round was finalized concurrently', 'QF_ROUND_NOT_OPEN');
+    }
+
+    log.info('QUADRATIC_FUNDING', 'Round finalized', { roundId: round.id, projects: distribution.length });
+    return this.getRound(round.id);
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Payout
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pay a finalized round's matches from its pool wallet, up to 100 payments
+   * per Stellar transaction.
+   *
+   * Each batch's hash is stored with its matches, marked submitting, before
+   * the batch is submitted, and marking them paid is a separate step. Matches
+   * whose batch has an unknown outcome stay submitting and are never sent
+   * again blindly: the next payout first looks their hash up on the network
+   * and marks them paid, or failed once the transaction has expired without
+   * succeeding. Failed matches are retried, and the round is paid once none
+   * are left. A round left paying by a crashed payout is taken over once its
+   * claim is STALE_PAYOUT_SECONDS old.
+   *
+   * @param {number} roundId
+   * @param {Object} [options]
+   * @param {Object} [options.stellarService] - Defaults to the configured service
+   * @returns {Promise<{ round: Object, transactions: Array<{ transactionId: string, payments: number }>,
+   *   failed: number, unconfirmed: number }>}
+   * @throws {NotFoundError|BusinessLogicError|ConflictError}
+   */
+  static async payoutRound(roundId, { stellarService = getDefaultStellarService() } = {}) {
+    const round = await this._round(roundId);
+    if (round.status === ROUND_STATUSES.PAID) {
+      throw new BusinessLogicError('QF_ROUND_ALREADY_PAID', 'Round has already been paid out');
+    }
+    if (round.status !== ROUND_STATUSES.FINALIZED && round.status !== ROUND_STATUSES.PAYING) {
+      throw new BusinessLogicError('QF_ROUND_NOT_FINALIZED', 'Round must be finalized before its payout');
+    }
+
+    const pool = await Database.get('SELECT encryptedSecret FROM users WHERE publicKey = ?', [round.pool_wallet]);
+    if (!pool || !pool.encryptedSecret) {
+      throw new BusinessLogicError('QF_POOL_WALLET_NOT_CUSTODIAL', 'The round\'s pool wallet is not a custodial wallet of this service');
+    }
+
+    // Claim the round so two payouts cannot pay the same matches
+    const claimed = await Database.run(
+      `UPDATE qf_rounds SET status = ?, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ? AND (status = ? OR (status = ? AND updatedAt < datetime('now', ?)))`,
+      [ROUND_STATUSES.PAYING, round.id, ROUND_STATUSES.FINALIZED, ROUND_STATUSES.PAYING, `-${STALE_PAYOUT_SECONDS} seconds`]
+    );
+    if (claimed.changes === 0) {
+      throw new ConflictError('A payout for this round is already in progress', 'QF_PAYOUT_IN_PROGRESS');
+    }
+    if (round.status === ROUND_STATUSES.PAYING) {
+      log.warn('QUADRATIC_FUNDING', 'Taking over a stale round payout', { roundId: round.id });
+    }
+
+    const transactions = [];
+    let failed = 0;
+    let unconfirmed = 0;
+    let completed = false;
+    try {
+      unconfirmed = await this._reconcilePayouts(round.id, stellarService);
+
+      const due = await Database.query(
+        `SELECT d.project_id, d.match_amount, p.recipient_wallet
+         FROM qf_distributions d JOIN qf_projects p ON p.id = d.project_id
+         WHERE d.round_id = ? AND d.payout_status IN (?, ?)
+         ORDER BY d.project_id`,
+        [round.id, PAYOUT_STATUSES.PENDING, PAYOUT_STATUSES.FAILED]
+      );
+      const secret = encryption.decrypt(pool.encryptedSecret);
+
+      for (let i = 0; i < due.length; i += MAX_PAYMENTS_PER_TX) {
+        const chunk = due.slice(i, i + MAX_PAYMENTS_PER_TX);
+        const projectIds = chunk.map((d) => d.project_id);
+        const placeholders = projectIds.map(() => '?').join(', ');
+
+        let stored = false;
+        let result;
+        try {
+          result = await stellarService.sendBatchDonations(secret, chunk.map((d) => ({
+            destinationPublic: d.recipient_wallet,
+            amount: d.match_amount.toFixed(7),
+            memo: `QF round ${round.id}`,
+          })), {
+            onSigned: async (hash) => {
+              const marked = await Database.run(
+                `UPDATE qf_distributions
+                 SET payout_status = ?, payout_tx_id = ?, payout_submitted_at = CURRENT_TIMESTAMP
+                 WHERE round_id = ? AND project_id IN (${placeholders}) AND payout_status IN (?, ?)`,
+                [PAYOUT_STATUSES.SUBMITTING, hash, round.id, ...projectIds, PAYOUT_STATUSES.PENDING, PAYOUT_STATUSES.FAILED]
+              );
+              if (marked.changes !== chunk.length) {
+                throw new ConflictError('Matches in this batch are already being paid', 'QF_PAYOUT_IN_PROGRESS');
+              }
+              stored = true;
+            },
+          });
+        } catch (err) {
+          log.error('QUADRATIC_FUNDING', 'Match payout transaction failed', {
+            roundId: round.id, payments: chunk.length, submitted: stored, error: err.message,
+          });
+          if (stored) {
+            // It may still have reached the network; the next payout checks its hash before any retry
+            unconfirmed += chunk.length;
+          } else {
+            failed += chunk.length;
+            await Database.run(
+              `UPDATE qf_distributions SET payout_status = ?
+               WHERE round_id = ? AND project_id IN (${placeholders}) AND payout_status = ?`,
+              [PAYOUT_STATUSES.FAILED, round.id, ...projectIds, PAYOUT_STATUSES.PENDING]
+            );
+          }
+          continue;
+        }
+
+        try {
+          await Database.run(
+            `UPDATE qf_distributions SET payout_status = ?, payout_tx_id = ?, paid_at = CURRENT_TIMESTAMP
+             WHERE round_id = ? AND project_id IN (${placeholders})`,
+            [PAYOUT_STATUSES.PAID, result.transactionId, round.id, ...projectIds]
+          );
+          transactions.push({ transactionId: result.transactionId, payments: chunk.length });
+        } catch (err) {
+          // The payments went through; the next payout confirms them from the stored hash
+          unconfirmed += chunk.length;
+          log.error('QUADRATIC_FUNDING', 'Could not record a submitted match payout', {
+            roundId: round.id, transactionId: result.transactionId, error: err.message,
+          });
+        }
+
+        await Database.run(
+          'UPDATE qf_rounds SET updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = ?',
+          [round.id, ROUND_STATUSES.PAYING]
+        );
+      }
+      completed = true;
+    } finally {
+      // Release the claim; anything not paid is settled or retried by the next payout
+      if (completed && failed === 0 && unconfirmed === 0) {
+        await Database.run(
+          'UPDATE qf_rounds SET status = ?, paid_at = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+          [ROUND_STATUSES.PAID, round.id]
+        );
+      } else {
+        await Database.run(
+          'UPDATE qf_rounds SET status = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+          [ROUND_STATUSES.FINALIZED, round.id]
+        );
+      }
+    }
+
+    log.info('QUADRATIC_FUNDING', 'Round payout finished', {
+      roundId: round.id, transactions: transactions.length, failed, unconfirmed,
+    });
+    return { round: await this.getRound(round.id), transactions, failed, unconfirmed };
+  }
+
+  /**
+   * Settle matches an earlier payout left submitting, from their stored
+   * transaction hash: paid if the transaction succeeded, failed (and so
+   * retried) if it failed or expired without reaching the ledger.
+   * @param {number} roundId
+   * @param {Object} stellarService
+   * @returns {Promise<number>} Matches whose outcome is still unknown
+   */
+  static async _reconcilePayouts(roundId, stellarService) {
+    const batches = await Database.query(
+      `SELECT payout_tx_id, COUNT(*) AS payments, MAX(payout_submitted_at < datetime('now', ?)) AS expired
+       FROM qf_distributions WHERE round_id = ? AND payout_status = ?
+       GROUP BY payout_tx_id`,
+      [`-${SUBMISSION_EXPIRY_SECONDS} seconds`, roundId, PAYOUT_STATUSES.SUBMITTING]
+    );
+
+    let unknown = 0;
+    for (const { payout_tx_id: hash, payments, expired } of batches) {
+      let succeeded = null;
+      try {
+        const tx = await stellarService.getTransaction(hash);
+        succeeded = tx.successful !== false;
+      } catch (err) {
+        if ((err.status === 404 || err.statusCode === 404) && expired) {
+          succeeded = false;
+        } else {
+          log.warn('QUADRATIC_FUNDING', 'Match payout outcome still unknown', { roundId, transactionId: hash, error: err.message });
+        }
+      }
+
+      if (succeeded === null) {
+        unknown += payments;
+      } else if (succeeded) {
+        await Database.run(
+          `UPDATE qf_distributions SET payout_status = ?, paid_at = CURRENT_TIMESTAMP
+           WHERE round_id = ? AND payout_tx_id = ? AND payout_status = ?`,
+          [PAYOUT_STATUSES.PAID, roundId, hash, PAYOUT_STATUSES.SUBMITTING]
+        );
+      } else {
+        await Database.run(
+          `UPDATE qf_distributions SET payout_status = ?, payout_tx_id = NULL, payout_submitted_at = NULL
+           WHERE round_id = ? AND payout_tx_id = ? AND payout_status = ?`,
+          [PAYOUT_STATUSES.FAILED, roundId, hash, PAYOUT_STATUSES.SUBMITTING]
+        );
+      }
+      log.info('QUADRATIC_FUNDING', 'Match payout reconciled', { roundId, transactionId: hash, succeeded });
+    }
+    return unknown;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Helpers
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /** @throws {NotFoundError} QF_ROUND_NOT_FOUND */
+  static async _round(roundId) {
+    const row = await Database.get('SELECT * FROM qf_rounds WHERE id = ?', [roundId]);
+    if (!row) {
+      throw new NotFoundError('Quadratic funding round not found', 'QF_ROUND_NOT_FOUND');
+    }
+    return this._formatRound(row);
+  }
+
+  static async _distribution(roundId) {
+    const rows = await Database.query(
+      `SELECT d.*, p.name, p.recipient_wallet
+       FROM qf_distributions d JOIN qf_projects p ON p.id = d.project_id
+       WHERE d.round_id = ?
+       ORDER BY d.match_amount DESC, d.project_id ASC`,
+      [roundId]
+    );
+    return rows.map((row) => ({
+      project_id: row.project_id,
+      name: row.name,
+      recipient_wallet: row.recipient_wallet,
+      contributor_count: row.contributor_count,
+      total_contributions: row.total_contributions,
+      ideal_match: row.ideal_match,
+      match_amount: row.match_amount,
+      capped: row.capped === 1,
+      payout_status: row.payout_status,
+      payout_tx_id: row.payout_tx_id,
+      payout_submitted_at: row.payout_submitted_at,
+      paid_at: row.paid_at,
+    }));
+  }
+
+  /** @returns {string} ISO 8601 timestamp */
+  static _date(value, field) {
+    const date = typeof value === 'string' ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new ValidationError(`${field} must be an ISO 8601 date`);
+    }
+    return date.toISOString();
+  }
+
+  static _formatRound(row) {
+    const now = new Date();
+    return {
+      ...row,
+      accepting_contributions: row.status === ROUND_STATUSES.OPEN
+        && new Date(row.starts_at) <= now && new Date(row.ends_at) > now,
+    };
+  }
+}
+
+QuadraticFundingService.ROUND_STATUSES = ROUND_STATUSES;
+QuadraticFundingService.PAYOUT_STATUSES = PAYOUT_STATUSES;
+QuadraticFundingService.MAX_PAYMENTS_PER_TX = MAX_PAYMENTS_PER_TX;
+
+module.exports = QuadraticFundingService;
@@ -42,6 +42,32 @@ function maskPublicKey(key) {
 }
 
 class ReceiptService {
+  /**
+   * USD value of a donation for its receipt: the amount it was made for when
+   * it was made in USD, otherwise its XLM amount at the rate recorded for the
+   * hour of the donation, so a receipt regenerated later shows the same value.
+   *
+   * @param {object} transaction - Donation transaction record
+   * @returns {Promise<{usdAmount: number|null, usdRate: object|null}>} usdRate is
+   *   the exchange_rate_history entry used; both null when no rate is known
+   */
+  static async getUsdValue(transaction) {
+    if (transaction.originalCurrency === 'USD' && transaction.originalAmount != null) {
+      return { usdAmount: Number(transaction.originalAmount), usdRate: null };
+    }
+    let usdRate = null;
+    try {
+      const priceOracle = require('./PriceOracleService');
+      usdRate = await priceOracle.getRateAt('usd', transaction.timestamp || new Date());
+    } catch (_err) {
+      usdRate = null;
+    }
+    const usdAmount = usdRate && transaction.amount != null
+      ? Number((Number(transaction.amount) * usdRate.rate).toFixed(2))
+      : null;
+    return { usdAmount, usdRate };
+  }
+
   /**
    * Generate a PDF receipt Buffer for a donation transaction.
    *
@@ -167,6 +193,15 @@ class ReceiptService {
         : `${transaction.amount} XLM`;
       field('Amount', amountLine);
 
+      // Fiat-denominated donations: the value the donor gave and the rate it executed at
+      if (transaction.originalCurrency && transaction.originalCurrency !== 'XLM' && transaction.originalAmount != null) {
+        field('Donated Value', `${Number(transaction.originalAmount).toFixed(2)} ${transaction.originalCurrency}`);
+        if (transaction.rateXLMperUnit != null) {
+          const source = [transaction.rateSource, transaction.rateTimestamp].filter(Boolean).join(', ');
+          field('Exchange Rate', `1 ${transaction.originalCurrency} = ${transaction.rateXLMperUnit} XLM${source ? ` (${source})` : ''}`);
+        }
+      }
+
       field('Donor Public Key', displayDonor || 'Anonymous');
       field('Recipient Public Key', displayRecipient);
       field('Stellar Transaction Hash', transaction.stellarTxId || 'Pending');
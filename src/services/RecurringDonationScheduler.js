@@ -3,12 +3,17 @@
  *
  * RESPONSIBILITY: Automated execution of scheduled recurring donations
  * OWNER: Backend Team
- * DEPENDENCIES: StellarService, Database, WebhookService, correlation utilities
+ * DEPENDENCIES: StellarService, Database, WebhookService, OutboxService, DunningService, ScreeningService,
+ *               KycService, correlation utilities
  *
  * Background service that processes recurring donation schedules at regular intervals.
  * Features:
  *  - Cron-like scheduling (daily / weekly / monthly / custom interval in days)
+ *  - iCalendar RRULE schedules evaluated in the donor's timezone
  *  - Retry logic with exponential backoff (max 3 retries per cycle)
+ *  - Dunning: failed cycles retried over days per failure class, then suspended
+ *  - Sanctions screening: schedules whose donor or recipient is blocked are suspended
+ *  - KYC: a cycle above the KYC threshold fails with KYC_REQUIRED until the donor is accepted
  *  - Duplicate-execution prevention via in-memory Set
  *  - Webhook notification on persistent failure (all retries exhausted)
  *  - Execution history logging to recurring_donation_logs table
@@ -17,6 +22,9 @@
 
 const Database = require('../utils/database');
 const WebhookService = require('./WebhookService');
+const OutboxService = require('./OutboxService');
+const DunningService = require('./DunningService');
+const ScreeningService = require('./ScreeningService');
 const ApiKeyExpirationNotifier = require('./ApiKeyExpirationNotifier');
 const { SCHEDULE_STATUS, DONATION_FREQUENCIES, STROOPS_PER_XLM } = require('../constants');
 const log = require('../utils/log');
@@ -36,6 +44,7 @@ const {
 } = require('../utils/correlation');
 const timerRegistry = require('../utils/timerRegistry');
 const leaderElection = require('../utils/leaderElection');
+const recurrenceRule = require('../utils/recurrenceRule');
 
 class RecurringDonationScheduler {
   /**
@@ -346,18 +355,7 @@ class RecurringDonationScheduler {
 
       const dueSchedules = await Database.query(
         `SELECT
-          rd.id,
-          rd.donorId,
-          rd.recipientId,
-          rd.amount,
-          rd.frequency,
-          rd.nextExecutionDate,
-          rd.executionCount,
-          rd.lastExecutionDate,
-          rd.maxExecutions,
-          rd.customIntervalDays,
-          rd.webhookUrl,
-          rd.failureCount,
+          rd.*,
           donor.publicKey as donorPublicKey,
           recipient.publicKey as recipientPublicKey
          FROM recurring_donations rd
@@ -397,6 +395,19 @@ class RecurringDonationScheduler {
         _tickFailedSchedules = results.filter(r => r.status === 'rejected').length;
       }
 
+      // Resume schedules whose pause-until date has passed; they are picked
+      // up for execution on the next tick
+      try {
+        const RecurringScheduleService = require('./RecurringScheduleService');
+        await RecurringScheduleService.resumeExpiredPauses(new Date(now));
+      } catch (resumeErr) {
+        log.error('RECURRING_SCHEDULER', 'Failed to resume expired pauses', {
+          error: resumeErr.message,
+          correlationId,
+          traceId,
+        });
+      }
+
       // 1. Update active schedule gauge
       try {
         const activeResult = await Database.get(
@@ -502,6 +513,12 @@ class RecurringDonationScheduler {
                 error: err.message,
               });
 
+              // Failures such as an underfunded wallet will not clear within
+              // seconds; leave them to the dunning policy
+              if (!DunningService.shouldRetryInCycle(err)) {
+                break;
+              }
+
               if (attempt < this.maxRetries) {
                 const delay = this.calculateBackoff(attempt);
                 log.debug('RECURRING_SCHEDULER', `Retrying schedule in ${delay}ms (attempt ${attempt}/${this.maxRetries})`, {
@@ -567,8 +584,10 @@ class RecurringDonationScheduler {
 
       try {
         // 1. Generate deterministic idempotency key for this execution cycle
-        const executionDate = schedule.nextExecutionDate
-          ? new Date(schedule.nextExecutionDate).toISOString().split('T')[0]
+        // A dunning retry reuses the key of the occurrence it is retrying
+        const occurrence = schedule.dunningScheduledFor || schedule.nextExecutionDate;
+        const executionDate = occurrence
+          ? new Date(occurrence).toISOString().split('T')[0]
           : new Date().toISOString().split('T')[0];
         const idempotencyKey = `recurring-${schedule.id}-${executionDate}`;
 
@@ -578,6 +597,30 @@ class RecurringDonationScheduler {
           [idempotencyKey, schedule.donorId, schedule.recipientId]
         );
 
+        // Sanctions screening: a blocked schedule is suspended rather than retried
+        if (!existing) {
+          const screening = await ScreeningService.screen([
+            { role: 'donor', address: schedule.donorPublicKey },
+            { role: 'recipient', address: schedule.recipientPublicKey },
+          ], {
+            stellarService: this.stellarService,
+            context: { scheduleId: schedule.id, amount: String(schedule.amount), idempotencyKey },
+          });
+          if (screening.outcome === ScreeningService.OUTCOMES.BLOCKED) {
+            await this.suspendBlockedSchedule(schedule);
+            recurringDonationsExecutedTotal.inc({ status: 'blocked' });
+            endTimer();
+            return;
+          }
+
+          // Scheduled payments are not held for KYC; the cycle fails until the donor is accepted
+          const KycService = require('./KycService');
+          await new KycService(this.stellarService).assertVerified({
+            account: schedule.donorPublicKey,
+            amount: schedule.amount,
+          });
+        }
+
         let txResult;
         if (existing) {
           log.info('RECURRING_SCHEDULER', 'Idempotency key already used — skipping Stellar payment', {
@@ -610,30 +653,49 @@ class RecurringDonationScheduler {
           );
         }
 
-        // 3. Calculate next execution date
-        const nextDate = this.calculateNextExecutionDate(
-          new Date(),
+        // 3. Calculate next execution date. A dunning retry keeps the cadence
+        // of the occurrence it retried, unless that is already in the past.
+        const recurrence = RecurringDonationScheduler.recurrenceOf(schedule);
+        let nextDate = this.calculateNextExecutionDate(
+          schedule.dunningScheduledFor ? new Date(schedule.dunningScheduledFor) : new Date(),
           schedule.frequency,
-          schedule.customIntervalDays
+          schedule.customIntervalDays,
+          recurrence
         );
+        if (schedule.dunningScheduledFor && nextDate && nextDate <= new Date()) {
+          nextDate = this.calculateNextExecutionDate(
+            new Date(),
+            schedule.frequency,
+            schedule.customIntervalDays,
+            recurrence
+          );
+        }
 
+        // An RRULE schedule with no further occurrence (COUNT/UNTIL reached) is complete
         const newCount = (schedule.executionCount || 0) + 1;
-        const maxReached = schedule.maxExecutions && newCount >= schedule.maxExecutions;
+        const maxReached = (schedule.maxExecutions && newCount >= schedule.maxExecutions) || nextDate === null;
         const newStatus = maxReached ? SCHEDULE_STATUS.COMPLETED : SCHEDULE_STATUS.ACTIVE;
+        const nextExecution = nextDate ? nextDate.toISOString() : schedule.nextExecutionDate;
 
         // 4. Update schedule
+        // Only schedules that went through dunning have the columns to reset
+        const dunningReset = schedule.dunningStartedAt
+          ? `
+               dunningAttempt = 0, dunningFailureClass = NULL, dunningStartedAt = NULL,
+               dunningNextRetryAt = NULL, dunningScheduledFor = NULL,`
+          : '';
         await Database.run(
           `UPDATE recurring_donations
            SET lastExecutionDate = ?,
                nextExecutionDate = ?,
                executionCount    = ?,
                failureCount      = 0,
-               lastFailureReason = NULL,
+               lastFailureReason = NULL,${dunningReset}
                status            = ?
            WHERE id = ?`,
           [
             new Date().toISOString(),
-            nextDate.toISOString(),
+            nextExecution,
             newCount,
             newStatus,
             schedule.id,
@@ -643,7 +705,7 @@ class RecurringDonationScheduler {
         log.info('RECURRING_SCHEDULER', 'Donation executed successfully', {
           scheduleId: schedule.id,
           txHash: txResult.hash,
-          nextExecution: nextDate.toISOString(),
+          nextExecution,
           executionCount: newCount,
           status: newStatus,
           correlationId,
@@ -666,6 +728,17 @@ class RecurringDonationScheduler {
         });
 
         await this.logExecution(schedule.id, 'SUCCESS', txResult.hash, null, 1);
+
+        if (schedule.dunningStartedAt) {
+          try {
+            await DunningService.recordRecovery(schedule, txResult.hash);
+          } catch (dunningErr) {
+            log.error('RECURRING_SCHEDULER', 'Failed to record dunning recovery', {
+              scheduleId: schedule.id,
+              error: dunningErr.message,
+            });
+          }
+        }
       } catch (error) {
         recurringDonationsExecutedTotal.inc({ status: 'failure' });
         endTimer();
@@ -675,13 +748,32 @@ class RecurringDonationScheduler {
     }, { scheduleId: schedule.id });
   }
 
+  /**
+   * Suspend a schedule whose donor or recipient matched a blocking screening
+   * list. No webhook or dunning: the schedule must not be retried.
+   *
+   * @param {Object} schedule - Schedule row
+   * @returns {Promise<void>}
+   */
+  async suspendBlockedSchedule(schedule) {
+    const reason = 'Blocked by compliance screening';
+    await Database.run(
+      'UPDATE recurring_donations SET status = ?, lastFailureReason = ? WHERE id = ?',
+      [SCHEDULE_STATUS.SUSPENDED, reason, schedule.id]
+    );
+    recurringDonationsSuspendedTotal.inc();
+    log.warn('RECURRING_SCHEDULER', 'Schedule suspended by compliance screening', { scheduleId: schedule.id });
+    await this.logExecution(schedule.id, 'BLOCKED', null, reason, 1);
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // Persistent failure handling
   // ─────────────────────────────────────────────────────────────────────────
 
   /**
    * Called when all retry attempts for a schedule have failed.
-   * Increments failureCount, persists the last error, and fires a webhook.
+   * Increments failureCount, persists the last error, fires a webhook and
+   * hands the schedule to the dunning policy.
    *
    * @param {Object} schedule - Schedule row
    * @param {Error}  error    - Last error from the final retry attempt
@@ -717,19 +809,31 @@ class RecurringDonationScheduler {
       // Log final failure
       await this.logExecution(schedule.id, 'FAILED', null, error.message, this.maxRetries);
 
-      // Send webhook notification if configured
-      if (schedule.webhookUrl) {
-        const webhookPayload = {
-          scheduleId: schedule.id,
-          donorPublicKey: schedule.donorPublicKey,
-          recipientPublicKey: schedule.recipientPublicKey,
-          amount: String(schedule.amount),
-          frequency: schedule.frequency,
-          errorMessage: error.message,
-          failureCount: newFailureCount,
-          timestamp: new Date().toISOString(),
-        };
+      const webhookPayload = {
+        scheduleId: schedule.id,
+        donorPublicKey: schedule.donorPublicKey,
+        recipientPublicKey: schedule.recipientPublicKey,
+        amount: String(schedule.amount),
+        frequency: schedule.frequency,
+        errorMessage: error.message,
+        failureCount: newFailureCount,
+        timestamp: new Date().toISOString(),
+      };
 
+      // Notify webhook subscriptions through the event outbox
+      try {
+        await OutboxService.enqueue(Database, {
+          eventType: 'recurring_donation.persistent_failure',
+          aggregateType: 'recurring_donation',
+          aggregateId: schedule.id,
+          payload: webhookPayload,
+        });
+      } catch (outboxErr) {
+        log.error('RECURRING_SCHEDULER', 'Failed to record persistent failure event', { error: outboxErr.message });
+      }
+
+      // Send webhook notification to the schedule's own URL if configured
+      if (schedule.webhookUrl) {
         const result = await WebhookService.sendFailureNotification(
           schedule.webhookUrl,
           webhookPayload
@@ -742,6 +846,16 @@ class RecurringDonationScheduler {
           error: result.error,
         });
       }
+
+      // Schedule the next dunning retry, or suspend once the policy is exhausted
+      try {
+        await DunningService.recordFailure(schedule, error);
+      } catch (dunningErr) {
+        log.error('RECURRING_SCHEDULER', 'Failed to apply dunning policy', {
+          scheduleId: schedule.id,
+          error: dunningErr.message,
+        });
+      }
     }, { scheduleId: schedule.id });
   }
 
@@ -753,7 +867,7 @@ class RecurringDonationScheduler {
    * Write an execution record to recurring_donation_logs.
    *
    * @param {number} scheduleId
-   * @param {'SUCCESS'|'FAILED'} status
+   * @param {'SUCCESS'|'FAILED'|'BLOCKED'} status
    * @param {string|null} transactionHash
    * @param {string|null} errorMessage
    * @param {number} attemptNumber
@@ -766,11 +880,12 @@ class RecurringDonationScheduler {
         await Database.run(
           `CREATE TABLE IF NOT EXISTS recurring_donation_logs (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
-            scheduleId INTEGER NO,
+            scheduleId INTEGER NOT NULL,
             status TEXT NOT NULL,
             transactionHash TEXT,
             errorMessage TEXT,
             attemptNumber INTEGER DEFAULT 1,
+            scheduledFor DATETIME,
             timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
             correlationId TEXT,
             traceId TEXT,
@@ -780,7 +895,7 @@ class RecurringDonationScheduler {
 
         await Database.run(
           `INSERT INTO recurring_donation_logs
-             (scheduleId,estamp, correlationId, traceId)
+             (scheduleId, status, transactionHash, errorMessage, attemptNumber, timestamp, correlationId, traceId)
            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             scheduleId,
@@ -806,18 +921,44 @@ class RecurringDonationScheduler {
   // Date calculation
   // ─────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Recurrence settings of an RRULE schedule row.
+   * @param {Object} schedule - recurring_donations row
+   * @returns {{ rule: string, timezone: string, start: string }|null}
+   */
+  static recurrenceOf(schedule) {
+    if (!schedule || !schedule.recurrenceRule) return null;
+    return {
+      rule: schedule.recurrenceRule,
+      timezone: schedule.recurrenceTimezone || 'UTC',
+      start: schedule.recurrenceStart || schedule.createdAt || schedule.nextExecutionDate,
+    };
+  }
+
   /**
    * Calculate the next execution date based on frequency.
    * Uses UTC arithmetic to avoid DST issues.
    * For monthly schedules, uses calendar-aware date addition.
+   * RRULE schedules return the rule's first occurrence after currentDate.
    *
    * @param {Date}   currentDate        - Reference date (usually now)
-   * @param {string} frequency          - 'daily' | 'weekly' | 'monthly' | 'custom'
+   * @param {string} frequency          - 'daily' | 'weekly' | 'monthly' | 'custom' | 'rrule'
    * @param {number} [customIntervalDays] - Required when frequency === 'custom'
-   * @returns {Date} Next execution date in UTC
-   * @throws {Error} for unknown frequency or missing customIntervalDays
+   * @param {{ rule: string, timezone?: string, start: Date|string }} [recurrence] - Required when frequency === 'rrule'
+   * @returns {Date|null} Next execution date in UTC; null when an RRULE has no further occurrences
+   * @throws {Error} for unknown frequency, missing customIntervalDays or missing recurrence
    */
-  calculateNextExecutionDate(currentDate, frequency, customIntervalDays) {
+  calculateNextExecutionDate(currentDate, frequency, customIntervalDays, recurrence) {
+    if ((frequency || '').toLowerCase() === DONATION_FREQUENCIES.RRULE) {
+      if (!recurrence || !recurrence.rule) {
+        throw new Error('A recurrence rule is required for rrule frequency');
+      }
+      return recurrenceRule.nextOccurrence(recurrence.rule, currentDate, {
+        start: recurrence.start || currentDate,
+        timezone: recurrence.timezone || 'UTC',
+      });
+    }
+
     // Convert to UTC to avoid DST issues
     const utcDate = new Date(currentDate.toISOString());
     const year = utcDate.getUTCFullYear();
@@ -964,7 +1105,7 @@ class RecurringDonationScheduler {
       return await Database.query(
         `SELECT * FROM recurring_donation_logs
          WHERE scheduleId = ?
-     Y timestamp DESC
+         ORDER BY timestamp DESC
          LIMIT ?`,
         [scheduleId, limit]
       );
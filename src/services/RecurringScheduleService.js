@@ -0,0 +1,713 @@
+/**
+ * Recurring Schedule Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Creating recurring donation schedules, donor-initiated
+ *                 changes to them (pause until a date, resume, skip the next
+ *                 occurrence, change amount or cadence) and their versioned
+ *                 change history
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, OutboxService, RecurringDonationScheduler, recurrenceRule
+ *
+ * Every change is written to recurring_donation_changes with an incrementing
+ * per-schedule version, the caller that made it and the before/after values of
+ * each field it touched. The change row, the schedule update and the matching
+ * recurring_donation.<change> webhook event commit in one transaction.
+ *
+ * Occurrences that will not be executed — the one passed over by skip-next and
+ * any that fell inside a pause — are written to recurring_donation_logs with
+ * status SKIPPED and the date they were scheduled for. The history table and
+ * the pause and skip columns come from migration 045.
+ */
+
+'use strict';
+
+const Database = require('../utils/database');
+const OutboxService = require('./OutboxService');
+const recurrenceRule = require('../utils/recurrenceRule');
+const log = require('../utils/log');
+const { SCHEDULE_STATUS, VALID_FREQUENCIES, DONATION_FREQUENCIES } = require('../constants');
+const { validateRequiredFields, validateXLMAmount, validateEnum, validateInteger } = require('../utils/validationHelpers');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  BusinessLogicError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+/** Change types; each is also the suffix of the webhook event it emits. */
+const CHANGE_TYPES = Object.freeze({
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  SKIPPED: 'skipped',
+  UPDATED: 'updated',
+});
+
+/** Missed occurrences logged individually when a schedule resumes. */
+const MAX_LOGGED_MISSED = 100;
+
+/** Upper bound when stepping a fixed-frequency schedule forward. */
+const MAX_STEPS = 10000;
+
+/** Loose shape check for notification emails. */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Scheduler used for fixed-frequency date arithmetic. Required lazily because
+ * the scheduler itself calls back into this service.
+ * @returns {Object}
+ */
+function scheduler() {
+  return require('./RecurringDonationScheduler');
+}
+
+/**
+ * Next execution of a schedule strictly after a date.
+ * @param {Object} schedule - recurring_donations row
+ * @param {Date} after
+ * @returns {Date|null} null when an RRULE has no further occurrences
+ */
+function nextAfter(schedule, after) {
+  const instance = scheduler();
+  return instance.calculateNextExecutionDate(
+    after,
+    schedule.frequency,
+    schedule.customIntervalDays,
+    instance.Class.recurrenceOf(schedule)
+  );
+}
+
+/**
+ * Occurrences of a schedule from its stored next execution up to a date, and
+ * the first occurrence after it. Fixed frequencies keep their cadence, so a
+ * monthly schedule on the 15th stays on the 15th after a pause.
+ *
+ * @param {Object} schedule
+ * @param {Date} until
+ * @returns {{ missed: Date[], next: Date|null }}
+ */
+function occurrencesUntil(schedule, until) {
+  const missed = [];
+  let current = new Date(schedule.nextExecutionDate);
+  if (isNaN(current.getTime())) {
+    return { missed, next: nextAfter(schedule, until) };
+  }
+  for (let i = 0; current && current <= until && i < MAX_STEPS; i++) {
+    missed.push(current);
+    current = nextAfter(schedule, current);
+  }
+  if (current && current <= until) {
+    current = nextAfter(schedule, until);
+  }
+  return { missed, next: current };
+}
+
+/**
+ * Before/after values of the fields that differ between two rows.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object<string, { from: *, to: * }>}
+ */
+function diff(before, after) {
+  const changes = {};
+  for (const [field, value] of Object.entries(after)) {
+    const previous = before[field] === undefined ? null : before[field];
+    if (previous !== value) {
+      changes[field] = { from: previous, to: value };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Convert a stored change row into its API shape.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toChange(row) {
+  let changes;
+  try {
+    changes = JSON.parse(row.changes);
+  } catch (_) {
+    changes = {};
+  }
+  return {
+    id: row.id,
+    scheduleId: row.scheduleId,
+    version: row.version,
+    changeType: row.changeType,
+    changes,
+    changedBy: row.changedBy || null,
+    reason: row.reason || null,
+    createdAt: row.createdAt,
+  };
+}
+
+class RecurringScheduleService {
+  /**
+   * Caller identity for ownership checks and the changedBy field of history rows.
+   * @param {import('express').Request} req
+   * @returns {{ isAdmin: boolean, publicKey: string|null, changedBy: string|null }}
+   */
+  static requesterFromRequest(req) {
+    const isAdmin = (req.user && req.user.role === 'admin') || (req.apiKey && req.apiKey.role === 'admin') || false;
+    const publicKey = (req.user && req.user.subject) || (req.apiKey && req.apiKey.subject) || null;
+    let changedBy = publicKey;
+    if (!changedBy && req.apiKey && req.apiKey.id) changedBy = `apiKey:${req.apiKey.id}`;
+    if (!changedBy && req.user && req.user.id) changedBy = `user:${req.user.id}`;
+    return { isAdmin, publicKey, changedBy };
+  }
+
+  /**
+   * Validate the recurrence fields of a schedule.
+   *
+   * @param {Object} fields
+   * @param {string} fields.rrule - iCalendar RRULE
+   * @param {string} [fields.timezone] - IANA timezone (default UTC)
+   * @param {string} [fields.startDate] - Rule start; sets the time of day
+   * @param {string} [fields.frequency] - Must be omitted or "rrule"
+   * @param {boolean} [allowPast=false] - Accept a start date in the past (previews)
+   * @returns {{ rule: string, timezone: string, start: Date, firstExecution: Date }}
+   * @throws {ValidationError}
+   */
+  static resolveRecurrence({ rrule, timezone, startDate, frequency }, allowPast = false) {
+    if (frequency !== undefined && frequency !== null && String(frequency).toLowerCase() !== DONATION_FREQUENCIES.RRULE) {
+      throw new ValidationError('frequency must be omitted or "rrule" when rrule is set');
+    }
+    try {
+      return recurrenceRule.resolveSchedule({ rrule, timezone, startDate, allowPast });
+    } catch (err) {
+      throw new ValidationError(err.message);
+    }
+  }
+
+  /**
+   * Create a schedule. Shared by POST /donations/recurring and the GraphQL
+   * createRecurringSchedule mutation.
+   *
+   * @param {Object} input
+   * @param {string} input.donorPublicKey
+   * @param {string} input.recipientPublicKey
+   * @param {number|string} input.amount - XLM per execution
+   * @param {string} [input.frequency] - daily | weekly | monthly | custom; optional when rrule is set
+   * @param {number} [input.customIntervalDays] - Required for custom frequency
+   * @param {string} [input.rrule] - iCalendar RRULE
+   * @param {string} [input.timezone] - IANA timezone the rrule is evaluated in
+   * @param {number} [input.maxExecutions]
+   * @param {string} [input.webhookUrl]
+   * @param {string} [input.notificationEmail]
+   * @param {string} [input.startDate] - First execution (rrule schedules: the rule's start)
+   * @returns {Promise<Object>} Schedule row with donorPublicKey and recipientPublicKey
+   * @throws {ValidationError|BusinessLogicError|NotFoundError}
+   */
+  static async createSchedule({
+    donorPublicKey, recipientPublicKey, amount, frequency, customIntervalDays,
+    maxExecutions, webhookUrl, notificationEmail, startDate, rrule, timezone,
+  }) {
+    const hasRule = rrule !== undefined && rrule !== null;
+
+    const required = validateRequiredFields(
+      { donorPublicKey, recipientPublicKey, amount, frequency },
+      hasRule
+        ? ['donorPublicKey', 'recipientPublicKey', 'amount']
+        : ['donorPublicKey', 'recipientPublicKey', 'amount', 'frequency']
+    );
+    if (!required.valid) {
+      throw new ValidationError(`Missing required fields: ${required.missing.join(', ')}`, null, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    const amountResult = validateXLMAmount(amount);
+    if (!amountResult.valid) {
+      throw new BusinessLogicError(ERROR_CODES.INVALID_AMOUNT, `Invalid amount: ${amountResult.error}`);
+    }
+
+    let normalizedFreq;
+    let recurrence = null;
+    if (hasRule) {
+      recurrence = RecurringScheduleService.resolveRecurrence({ rrule, timezone, startDate, frequency });
+      normalizedFreq = DONATION_FREQUENCIES.RRULE;
+    } else {
+      const freqResult = validateEnum(frequency, VALID_FREQUENCIES, { caseInsensitive: true });
+      if (!freqResult.valid) {
+        throw new ValidationError(freqResult.error, null, ERROR_CODES.INVALID_FREQUENCY);
+      }
+      normalizedFreq = freqResult.value;
+    }
+
+    const intervalDays = customIntervalDays ? parseInt(customIntervalDays, 10) : null;
+    if (normalizedFreq === DONATION_FREQUENCIES.CUSTOM && !validateInteger(customIntervalDays, { min: 1 }).valid) {
+      throw new ValidationError('customIntervalDays is required and must be >= 1 for custom frequency');
+    }
+
+    if (maxExecutions !== undefined && maxExecutions !== null) {
+      const maxResult = validateInteger(maxExecutions, { min: 1 });
+      if (!maxResult.valid) {
+        throw new ValidationError(`Invalid maxExecutions: ${maxResult.error}`);
+      }
+    }
+
+    if (notificationEmail !== undefined && notificationEmail !== null
+      && (typeof notificationEmail !== 'string' || !EMAIL_PATTERN.test(notificationEmail))) {
+      throw new ValidationError('Invalid notificationEmail');
+    }
+
+    const donor = await Database.get('SELECT id FROM users WHERE publicKey = ?', [donorPublicKey]);
+    if (!donor) {
+      throw new NotFoundError('Donor wallet not found');
+    }
+    const recipient = await Database.get('SELECT id FROM users WHERE publicKey = ?', [recipientPublicKey]);
+    if (!recipient) {
+      throw new NotFoundError('Recipient wallet not found');
+    }
+    if (donor.id === recipient.id) {
+      throw new ValidationError('Donor and recipient cannot be the same');
+    }
+
+    let firstExecution;
+    if (recurrence) {
+      firstExecution = recurrence.firstExecution;
+    } else if (startDate) {
+      firstExecution = new Date(startDate);
+      if (isNaN(firstExecution.getTime())) {
+        throw new ValidationError('Invalid startDate format');
+      }
+      if (firstExecution.getTime() < Date.now() + 60000) {
+        throw new ValidationError('Start date must be in the future');
+      }
+    } else {
+      firstExecution = scheduler().calculateNextExecutionDate(new Date(), normalizedFreq, intervalDays || undefined);
+    }
+
+    const result = await Database.run(
+      `INSERT INTO recurring_donations
+         (donorId, recipientId, amount, frequency, customIntervalDays,
+          maxExecutions, webhookUrl, nextExecutionDate, status,
+          recurrenceRule, recurrenceTimezone, recurrenceStart, notificationEmail)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        donor.id,
+        recipient.id,
+        amountResult.xlm,
+        normalizedFreq,
+        intervalDays,
+        maxExecutions ? parseInt(maxExecutions, 10) : null,
+        webhookUrl || null,
+        firstExecution.toISOString(),
+        SCHEDULE_STATUS.ACTIVE,
+        recurrence ? recurrence.rule : null,
+        recurrence ? recurrence.timezone : null,
+        recurrence ? recurrence.start.toISOString() : null,
+        notificationEmail || null,
+      ]
+    );
+
+    log.info('RECURRING_SCHEDULE', 'Schedule created', {
+      scheduleId: result.id,
+      frequency: normalizedFreq,
+      amount: amountResult.xlm,
+    });
+
+    return RecurringScheduleService._findSchedule(result.id);
+  }
+
+  /**
+   * Load a schedule and check the caller may see and change it. Admins may
+   * change any schedule; anyone else only a schedule whose donor is the public
+   * key they are identified by. A non-admin caller without one is refused.
+   *
+   * @param {number|string} scheduleId
+   * @param {{ isAdmin?: boolean, publicKey?: string|null }} [requester]
+   * @returns {Promise<Object>} Schedule row with donorPublicKey
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  static async getSchedule(scheduleId, requester = {}) {
+    const schedule = await RecurringScheduleService._findSchedule(scheduleId);
+    if (!schedule) {
+      throw new NotFoundError('Schedule not found');
+    }
+    if (!requester.isAdmin && (!requester.publicKey || requester.publicKey !== schedule.donorPublicKey)) {
+      throw new ForbiddenError('Only the schedule owner or an admin can change this schedule');
+    }
+    return schedule;
+  }
+
+  /**
+   * Write a versioned change row and its webhook event.
+   *
+   * @param {{ run: Function, get: Function }} db - Transaction handle (or Database)
+   * @param {Object} schedule - Schedule row after the change
+   * @param {string} changeType - One of CHANGE_TYPES
+   * @param {Object} changes - Field → { from, to }
+   * @param {{ changedBy?: string|null, reason?: string|null }} [meta]
+   * @returns {Promise<number>} The new version number
+   */
+  static async recordChange(db, schedule, changeType, changes, { changedBy = null, reason = null } = {}) {
+    const row = await db.get(
+      'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM recurring_donation_changes WHERE scheduleId = ?',
+      [schedule.id]
+    );
+    const version = row ? row.version : 1;
+    const timestamp = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO recurring_donation_changes (scheduleId, version, changeType, changes, changedBy, reason, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [schedule.id, version, changeType, JSON.stringify(changes), changedBy, reason, timestamp]
+    );
+
+    await OutboxService.enqueue(db, {
+      eventType: `recurring_donation.${changeType}`,
+      aggregateType: 'recurring_donation',
+      aggregateId: schedule.id,
+      payload: {
+        scheduleId: schedule.id,
+        version,
+        changeType,
+        changes,
+        changedBy,
+        reason,
+        status: schedule.status,
+        nextExecutionDate: schedule.nextExecutionDate || null,
+        timestamp,
+      },
+    });
+
+    return version;
+  }
+
+  /**
+   * Pause a schedule, optionally until a date after which the scheduler
+   * resumes it automatically.
+   *
+   * @param {number|string} scheduleId
+   * @param {Object} [options]
+   * @param {string} [options.until] - ISO date to resume at (omit = until resumed manually)
+   * @param {string} [options.reason]
+   * @param {Object} [options.requester] - From requesterFromRequest()
+   * @returns {Promise<{ schedule: Object, version: number }>}
+   */
+  static async pause(scheduleId, { until, reason = null, requester = {} } = {}) {
+    let pausedUntil = null;
+    if (until !== undefined && until !== null) {
+      const date = new Date(until);
+      if (isNaN(date.getTime())) {
+        throw new ValidationError('until must be a valid ISO date');
+      }
+      if (date.getTime() <= Date.now()) {
+        throw new ValidationError('until must be in the future');
+      }
+      pausedUntil = date.toISOString();
+    }
+
+    const schedule = await RecurringScheduleService.getSchedule(scheduleId, requester);
+    if (schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+      throw new ConflictError(`Cannot pause a schedule with status: ${schedule.status}`);
+    }
+
+    const now = new Date().toISOString();
+    return RecurringScheduleService._apply(schedule, CHANGE_TYPES.PAUSED, {
+      status: SCHEDULE_STATUS.PAUSED,
+      pausedAt: now,
+      pausedUntil,
+    }, { changedBy: requester.changedBy, reason });
+  }
+
+  /**
+   * Resume a paused schedule, or one suspended by dunning. Occurrences that
+   * fell inside the pause are logged as SKIPPED and execution continues with
+   * the next occurrence after now.
+   *
+   * @param {number|string} scheduleId
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {Object} [options.requester]
+   * @returns {Promise<{ schedule: Object, version: number, skipped: string[] }>}
+   */
+  static async resume(scheduleId, { reason = null, requester = {} } = {}) {
+    const schedule = await RecurringScheduleService.getSchedule(scheduleId, requester);
+    if (schedule.status !== SCHEDULE_STATUS.PAUSED && schedule.status !== SCHEDULE_STATUS.SUSPENDED) {
+      throw new ConflictError(`Cannot resume a schedule with status: ${schedule.status}`);
+    }
+    return RecurringScheduleService._resume(schedule, { changedBy: requester.changedBy, reason });
+  }
+
+  /**
+   * Skip the next occurrence of an active schedule.
+   *
+   * @param {number|string} scheduleId
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {Object} [options.requester]
+   * @returns {Promise<{ schedule: Object, version: number, skipped: string[] }>}
+   */
+  static async skipNext(scheduleId, { reason = null, requester = {} } = {}) {
+    const schedule = await RecurringScheduleService.getSchedule(scheduleId, requester);
+    if (schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+      throw new ConflictError(`Cannot skip an occurrence of a schedule with status: ${schedule.status}`);
+    }
+
+    const skipped = new Date(schedule.nextExecutionDate);
+    const next = nextAfter(schedule, skipped);
+    const fields = next
+      ? { nextExecutionDate: next.toISOString() }
+      : { status: SCHEDULE_STATUS.COMPLETED };
+
+    return RecurringScheduleService._apply(schedule, CHANGE_TYPES.SKIPPED, fields, {
+      changedBy: requester.changedBy,
+      reason,
+      skipped: [skipped],
+      skipReason: reason || 'Skipped by request',
+    });
+  }
+
+  /**
+   * Change the amount and/or cadence of a schedule going forward. A new
+   * frequency or rule takes effect from now; past executions are unaffected.
+   *
+   * @param {number|string} scheduleId
+   * @param {Object} changes
+   * @param {number|string} [changes.amount]
+   * @param {string} [changes.frequency] - daily | weekly | monthly (clears any rrule)
+   * @param {string} [changes.rrule]
+   * @param {string} [changes.timezone]
+   * @param {string} [changes.startDate] - Start of a new rrule (default: now); sets its time of day
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {Object} [options.requester]
+   * @returns {Promise<{ schedule: Object, version: number }>}
+   */
+  static async update(scheduleId, { amount, frequency, rrule, timezone, startDate } = {}, { reason = null, requester = {} } = {}) {
+    if (amount === undefined && frequency === undefined && rrule === undefined && timezone === undefined) {
+      throw new ValidationError('At least one of amount, frequency, rrule or timezone must be provided');
+    }
+
+    const fields = {};
+    if (amount !== undefined) {
+      const amountResult = validateXLMAmount(amount);
+      if (!amountResult.valid) {
+        throw new ValidationError(`Invalid amount: ${amountResult.error}`);
+      }
+      fields.amount = amountResult.xlm;
+    }
+
+    if (frequency !== undefined && rrule !== undefined) {
+      throw new ValidationError('frequency and rrule cannot both be changed');
+    }
+    if (startDate !== undefined && rrule === undefined && timezone === undefined) {
+      throw new ValidationError('startDate can only be set together with rrule or timezone');
+    }
+
+    const schedule = await RecurringScheduleService.getSchedule(scheduleId, requester);
+    if (schedule.status === SCHEDULE_STATUS.CANCELLED || schedule.status === SCHEDULE_STATUS.COMPLETED) {
+      throw new ConflictError(`Cannot update a schedule with status: ${schedule.status}`);
+    }
+
+    const now = new Date();
+    if (frequency !== undefined) {
+      const freqResult = validateEnum(frequency, VALID_FREQUENCIES, { caseInsensitive: true });
+      if (!freqResult.valid) {
+        throw new ValidationError(freqResult.error);
+      }
+      fields.frequency = freqResult.value;
+      fields.recurrenceRule = null;
+      fields.recurrenceTimezone = null;
+      fields.recurrenceStart = null;
+      fields.nextExecutionDate = scheduler().calculateNextExecutionDate(now, freqResult.value).toISOString();
+    } else if (rrule !== undefined || timezone !== undefined) {
+      const rule = rrule !== undefined ? rrule : schedule.recurrenceRule;
+      if (!rule) {
+        throw new ValidationError('timezone can only be changed on rrule schedules');
+      }
+      const recurrence = recurrenceRule.resolveSchedule({
+        rrule: rule,
+        timezone: timezone !== undefined ? timezone : schedule.recurrenceTimezone,
+        startDate,
+      });
+      fields.frequency = DONATION_FREQUENCIES.RRULE;
+      fields.recurrenceRule = recurrence.rule;
+      fields.recurrenceTimezone = recurrence.timezone;
+      fields.recurrenceStart = recurrence.start.toISOString();
+      fields.nextExecutionDate = recurrence.firstExecution.toISOString();
+    }
+
+    return RecurringScheduleService._apply(schedule, CHANGE_TYPES.UPDATED, fields, {
+      changedBy: requester.changedBy,
+      reason,
+    });
+  }
+
+  /**
+   * Versioned change history of a schedule, newest first.
+   *
+   * @param {number|string} scheduleId
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @param {Object} [options.requester] - From requesterFromRequest()
+   * @returns {Promise<{ items: Object[], total: number }>}
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  static async getHistory(scheduleId, { limit = 20, offset = 0, requester = {} } = {}) {
+    await RecurringScheduleService.getSchedule(scheduleId, requester);
+    const rows = await Database.all(
+      `SELECT * FROM recurring_donation_changes
+       WHERE scheduleId = ?
+       ORDER BY version DESC
+       LIMIT ? OFFSET ?`,
+      [scheduleId, limit, offset]
+    );
+    const total = await Database.get(
+      'SELECT COUNT(*) AS count FROM recurring_donation_changes WHERE scheduleId = ?',
+      [scheduleId]
+    );
+    return { items: rows.map(toChange), total: total ? total.count : 0 };
+  }
+
+  /**
+   * Resume every schedule whose pausedUntil has passed. Called by the
+   * scheduler on each tick.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of schedules resumed
+   */
+  static async resumeExpiredPauses(now = new Date()) {
+    const due = await Database.all(
+      `SELECT rd.*
+       FROM recurring_donations rd
+       WHERE rd.status = ? AND rd.pausedUntil IS NOT NULL AND rd.pausedUntil <= ?`,
+      [SCHEDULE_STATUS.PAUSED, now.toISOString()]
+    );
+
+    let resumed = 0;
+    for (const schedule of due) {
+      try {
+        await RecurringScheduleService._resume(schedule, {
+          changedBy: 'system',
+          reason: 'Pause period ended',
+          now,
+        });
+        resumed += 1;
+      } catch (err) {
+        log.error('RECURRING_SCHEDULE', 'Failed to resume schedule after pause', {
+          scheduleId: schedule.id,
+          error: err.message,
+        });
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Schedule row with the donor's and recipient's public keys.
+   * @private
+   */
+  static _findSchedule(scheduleId) {
+    return Database.get(
+      `SELECT rd.*, donor.publicKey AS donorPublicKey, recipient.publicKey AS recipientPublicKey
+       FROM recurring_donations rd
+       JOIN users donor     ON rd.donorId     = donor.id
+       JOIN users recipient ON rd.recipientId = recipient.id
+       WHERE rd.id = ?`,
+      [scheduleId]
+    );
+  }
+
+  /**
+   * Resume a paused schedule row.
+   * @private
+   */
+  static async _resume(schedule, { changedBy = null, reason = null, now = new Date() } = {}) {
+    const { missed, next } = occurrencesUntil(schedule, now);
+    const fields = {
+      status: next ? SCHEDULE_STATUS.ACTIVE : SCHEDULE_STATUS.COMPLETED,
+      resumedAt: now.toISOString(),
+      pausedUntil: null,
+    };
+    if (next) {
+      fields.nextExecutionDate = next.toISOString();
+    }
+    if (schedule.status === SCHEDULE_STATUS.SUSPENDED) {
+      // Start the dunning policy afresh on the next failure
+      Object.assign(fields, {
+        suspendReason: null,
+        dunningAttempt: 0,
+        dunningFailureClass: null,
+        dunningStartedAt: null,
+        dunningNextRetryAt: null,
+        dunningScheduledFor: null,
+      });
+    }
+
+    return RecurringScheduleService._apply(schedule, CHANGE_TYPES.RESUMED, fields, {
+      changedBy,
+      reason,
+      skipped: missed,
+      skipReason: 'Schedule paused',
+    });
+  }
+
+  /**
+   * Update a schedule, log skipped occurrences and record the change in one
+   * transaction.
+   *
+   * @private
+   * @param {Object} schedule - Current row
+   * @param {string} changeType
+   * @param {Object} fields - Column → new value
+   * @param {Object} meta
+   * @param {string|null} [meta.changedBy]
+   * @param {string|null} [meta.reason]
+   * @param {Date[]} [meta.skipped] - Occurrences to log as SKIPPED
+   * @param {string} [meta.skipReason]
+   * @returns {Promise<{ schedule: Object, version: number, skipped?: string[] }>}
+   * @throws {ConflictError} SCHEDULE_CHANGED when the schedule's status moved on since it was read
+   */
+  static async _apply(schedule, changeType, fields, { changedBy = null, reason = null, skipped = [], skipReason = null }) {
+    const changes = diff(schedule, fields);
+    const updated = { ...schedule, ...fields };
+    const skippedDates = skipped.map((d) => d.toISOString());
+
+    const version = await Database.runTransaction(async (tx) => {
+      const columns = Object.keys(fields);
+      if (columns.length > 0) {
+        // The scheduler or another change may have moved the schedule on since it was read
+        const result = await tx.run(
+          `UPDATE recurring_donations SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ? AND status = ?`,
+          [...columns.map((c) => fields[c]), schedule.id, schedule.status]
+        );
+        if (result.changes === 0) {
+          throw new ConflictError('Schedule changed while this request was being processed; retry', 'SCHEDULE_CHANGED');
+        }
+      }
+
+      const logged = skippedDates.slice(0, MAX_LOGGED_MISSED);
+      for (const scheduledFor of logged) {
+        await tx.run(
+          `INSERT INTO recurring_donation_logs
+             (scheduleId, status, errorMessage, attemptNumber, scheduledFor, timestamp)
+           VALUES (?, 'SKIPPED', ?, 0, ?, ?)`,
+          [schedule.id, skipReason, scheduledFor, new Date().toISOString()]
+        );
+      }
+
+      return RecurringScheduleService.recordChange(tx, updated, changeType, {
+        ...changes,
+        ...(skippedDates.length > 0 && { skippedOccurrences: skippedDates }),
+      }, { changedBy, reason });
+    });
+
+    log.info('RECURRING_SCHEDULE', `Schedule ${changeType}`, {
+      scheduleId: schedule.id,
+      version,
+      changedBy,
+      skipped: skippedDates.length,
+    });
+
+    return { schedule: updated, version, ...(skippedDates.length > 0 && { skipped: skippedDates }) };
+  }
+}
+
+RecurringScheduleService.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = RecurringScheduleService;
@@ -16,8 +16,37 @@ const { issueAccessToken } = require('./JwtService');
 const log = require('../utils/log');
 const { ValidationError, ERROR_CODES } = require('../utils/errors');
 const db = require('../utils/database');
+const config = require('../config');
+
+let configuredService;
 
 class SEP10Service {
+  /**
+   * The instance that issues and verifies this server's own challenges
+   * (/auth/challenge, donor wallet linking), signed with SERVICE_SECRET_KEY.
+   *
+   * @returns {SEP10Service|null} null when no signing key is configured
+   */
+  static getConfigured() {
+    if (configuredService !== undefined) return configuredService;
+
+    const sep10Config = config.sep10 || {};
+    const serverSigningKey =
+      config.stellar?.serviceSecretKey ||
+      process.env.SERVICE_SECRET_KEY ||
+      process.env.STELLAR_SECRET ||
+      null;
+
+    configuredService = serverSigningKey
+      ? new SEP10Service(require('../config/stellar').getStellarService(), {
+          serverSigningKey,
+          homeDomain: sep10Config.homeDomain || process.env.HOME_DOMAIN || 'localhost',
+          challengeExpiresIn: (sep10Config.challengeTtlSeconds || 300) * 1000,
+        })
+      : null;
+    return configuredService;
+  }
+
   constructor(stellarService, config = {}) {
     this.stellarService = stellarService;
     this.challengePrefix = config.challengePrefix || 'web_auth_';
@@ -149,6 +178,45 @@ class SEP10Service {
     return issueAccessToken(jwtClaims);
   }
 
+  /**
+   * Client side of SEP-0010: check a challenge issued by another server (an
+   * anchor) and sign it with our key so it can be exchanged for a token.
+   * Unlike our own challenges, these follow the standard format checked by
+   * the SDK (manageData `<homeDomain> auth`, time bounds, server signature).
+   *
+   * @param {string} challengeXDR - Challenge transaction from the server's WEB_AUTH_ENDPOINT
+   * @param {object} options
+   * @param {string} options.serverSigningKey - The server's SIGNING_KEY (public key) from its stellar.toml
+   * @param {string} options.networkPassphrase
+   * @param {string} options.homeDomain - Domain the stellar.toml was fetched from
+   * @param {string} options.webAuthDomain - Host of the WEB_AUTH_ENDPOINT
+   * @param {string} options.clientSecret - Secret key of the account being authenticated
+   * @returns {string} Signed challenge transaction in XDR
+   * @throws {ValidationError} When the challenge is malformed or not signed by the server
+   */
+  static signServerChallenge(challengeXDR, { serverSigningKey, networkPassphrase, homeDomain, webAuthDomain, clientSecret }) {
+    let transaction;
+    try {
+      ({ tx: transaction } = StellarSdk.WebAuth.readChallengeTx(
+        challengeXDR,
+        serverSigningKey,
+        networkPassphrase,
+        homeDomain,
+        webAuthDomain
+      ));
+    } catch (error) {
+      log.warn('SEP10', 'Rejected server challenge', { homeDomain, error: error.message });
+      throw new ValidationError(
+        `Invalid challenge transaction from ${homeDomain}: ${error.message}`,
+        null,
+        ERROR_CODES.INVALID_REQUEST
+      );
+    }
+
+    transaction.sign(StellarSdk.Keypair.fromSecret(clientSecret));
+    return transaction.toXDR();
+  }
+
   /**
    * Generate a unique challenge string
    * @private
@@ -0,0 +1,718 @@
+/**
+ * Screening Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Sanctions / denylist screening of donors and recipients
+ *                 against imported, versioned screening lists
+ * OWNER: Compliance Team
+ * DEPENDENCIES: Database, AuditLogService, utils/nameMatcher, utils/federation, csv-parse
+ *
+ * A screening list (e.g. "ofac-sdn", "internal-denylist") is imported from a
+ * CSV or JSON file of Stellar addresses, home domains, federation names and
+ * personal names. Every import is stored as a new version; the list's
+ * currentVersion is the snapshot used for screening and can be pointed back
+ * at an older version to roll back a bad import.
+ *
+ * A list's action decides what an exact match does: `block` stops the
+ * donation, `flag` lets it through marked for review. Donor names of
+ * custodial users are also fuzzy-matched (utils/nameMatcher) against the
+ * listed names; a fuzzy match only ever flags, since it may be a different
+ * person. Every match is written to the audit log with the list name and the
+ * version that matched.
+ *
+ * The active entries are held in memory and reloaded after an import or
+ * rollback, or once SCREENING_CACHE_TTL_MS has passed so that other
+ * instances pick up changes.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { parse: parseCsv } = require('csv-parse/sync');
+const Database = require('../utils/database');
+const AuditLogService = require('./AuditLogService');
+const log = require('../utils/log');
+const { normalizeName, jaroWinkler } = require('../utils/nameMatcher');
+const { isFederationAddress } = require('../utils/federation');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors');
+
+const LIST_ACTIONS = Object.freeze({
+  BLOCK: 'block',
+  FLAG: 'flag',
+});
+
+const ENTRY_TYPES = Object.freeze({
+  ADDRESS: 'address',
+  HOME_DOMAIN: 'home_domain',
+  FEDERATION: 'federation',
+  NAME: 'name',
+});
+
+/** Result of screening a donation. */
+const OUTCOMES = Object.freeze({
+  CLEAR: 'clear',
+  FLAGGED: 'flagged',
+  BLOCKED: 'blocked',
+});
+
+/** Keys of the grouped JSON import format, by entry type. */
+const JSON_GROUPS = Object.freeze({
+  addresses: ENTRY_TYPES.ADDRESS,
+  homeDomains: ENTRY_TYPES.HOME_DOMAIN,
+  federationNames: ENTRY_TYPES.FEDERATION,
+  names: ENTRY_TYPES.NAME,
+});
+
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const ADDRESS_PATTERN = /^G[A-Z2-7]{55}$/;
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9-]{1,63}$/;
+const TLD_PATTERN = /^[a-z]{2,63}$/;
+const MAX_REFERENCE_LENGTH = 256;
+
+/** Invalid entries reported back from a rejected import. */
+const MAX_REPORTED_ERRORS = 20;
+
+const getNameThreshold = () => parseFloat(process.env.SCREENING_NAME_THRESHOLD || '0.9');
+const getCacheTtlMs = () => parseInt(process.env.SCREENING_CACHE_TTL_MS || '60000', 10);
+const getMaxEntries = () => parseInt(process.env.SCREENING_MAX_ENTRIES || '100000', 10);
+
+/**
+ * Normalise one list entry to the form it is matched in.
+ *
+ * @param {string} type
+ * @param {*} value
+ * @returns {string}
+ * @throws {Error} with a human-readable reason when the entry is invalid
+ */
+function normalizeEntry(type, value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error('value must be a non-empty string');
+  }
+  const trimmed = value.trim();
+
+  switch (type) {
+    case ENTRY_TYPES.ADDRESS: {
+      const address = trimmed.toUpperCase();
+      if (!ADDRESS_PATTERN.test(address)) throw new Error('not a valid Stellar public key');
+      return address;
+    }
+    case ENTRY_TYPES.HOME_DOMAIN: {
+      const domain = trimmed.toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+      const labels = domain.split('.');
+      const valid = domain.length <= 253
+        && labels.length >= 2
+        && labels.every((label) => DOMAIN_LABEL_PATTERN.test(label) && !label.startsWith('-') && !label.endsWith('-'))
+        && TLD_PATTERN.test(labels[labels.length - 1]);
+      if (!valid) throw new Error('not a valid domain name');
+      return domain;
+    }
+    case ENTRY_TYPES.FEDERATION: {
+      const address = trimmed.toLowerCase();
+      if (!isFederationAddress(address)) throw new Error('not a valid federation address (name*domain)');
+      return address;
+    }
+    case ENTRY_TYPES.NAME: {
+      const name = normalizeName(trimmed);
+      if (!name) throw new Error('name has no letters or digits');
+      return name;
+    }
+    default:
+      throw new Error(`type must be one of: ${Object.values(ENTRY_TYPES).join(', ')}`);
+  }
+}
+
+/**
+ * Domain and its parent domains, most specific first, so that a listed
+ * "example.com" also matches "pay.example.com". Stops before the TLD.
+ *
+ * @param {string} domain
+ * @returns {string[]}
+ */
+function domainCandidates(domain) {
+  const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+  const candidates = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(labels.slice(i).join('.'));
+  }
+  return candidates;
+}
+
+class ScreeningService {
+  // ── Lists ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Parse an import file into raw `{ type, value, reference }` items.
+   *
+   * CSV: header row `type,value[,reference]`.
+   * JSON: an array of `{ type, value, reference? }`, or an object with any of
+   * `addresses`, `homeDomains`, `federationNames`, `names`, each an array of
+   * strings or `{ value, reference? }`.
+   *
+   * @param {string|Buffer} content
+   * @param {'csv'|'json'} format
+   * @returns {Array<{ type: string, value: *, reference: * }>}
+   * @throws {ValidationError} INVALID_SCREENING_FILE
+   */
+  static parseListFile(content, format) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+    const invalid = (message) => new ValidationError(message, null, 'INVALID_SCREENING_FILE');
+
+    if (format === 'csv') {
+      let rows;
+      try {
+        rows = parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+      } catch (err) {
+        throw invalid(`CSV parse error: ${err.message}`);
+      }
+      if (rows.length > 0 && (!('type' in rows[0]) || !('value' in rows[0]))) {
+        throw invalid('CSV must have a header row with "type" and "value" columns');
+      }
+      return rows.map((row) => ({ type: row.type, value: row.value, reference: row.reference }));
+    }
+
+    if (format === 'json') {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        throw invalid(`JSON parse error: ${err.message}`);
+      }
+      if (Array.isArray(data)) {
+        return data.map((item) => ({
+          type: item && item.type,
+          value: item && item.value,
+          reference: item && item.reference,
+        }));
+      }
+      if (data && typeof data === 'object') {
+        const unknown = Object.keys(data).filter((key) => !JSON_GROUPS[key]);
+        if (unknown.length > 0) {
+          throw invalid(`Unknown keys: ${unknown.join(', ')}. Expected: ${Object.keys(JSON_GROUPS).join(', ')}`);
+        }
+        return Object.entries(data).flatMap(([key, items]) => {
+          if (!Array.isArray(items)) throw invalid(`${key} must be an array`);
+          return items.map((item) => (item && typeof item === 'object'
+            ? { type: JSON_GROUPS[key], value: item.value, reference: item.reference }
+            : { type: JSON_GROUPS[key], value: item, reference: null }));
+        });
+      }
+      throw invalid('JSON must be an array of entries or an object of entry groups');
+    }
+
+    throw invalid('format must be csv or json');
+  }
+
+  /**
+   * Import a list file as a new version of the list and make it the active
+   * version. The list is created on first import. An import identical to the
+   * active version does not create a new version.
+   *
+   * @param {string} name - List name (lowercase letters, digits, - and _)
+   * @param {Object} params
+   * @param {string|Buffer} params.content - File contents
+   * @param {'csv'|'json'} params.format
+   * @param {'block'|'flag'} [params.action] - Defaults to the list's current action, or block
+   * @param {string} [params.source] - Where the list came from, e.g. a URL
+   * @param {string} [params.importedBy]
+   * @param {string} [params.requestId]
+   * @returns {Promise<{ list: Object, version: number, entryCount: number, unchanged: boolean }>}
+   * @throws {ValidationError} INVALID_SCREENING_LIST, INVALID_SCREENING_FILE or INVALID_SCREENING_ENTRIES
+   */
+  static async importList(name, { content, format, action, source, importedBy = null, requestId } = {}) {
+    ScreeningService._assertListName(name);
+    if (action !== undefined && action !== null && !Object.values(LIST_ACTIONS).includes(action)) {
+      throw new ValidationError(`action must be one of: ${Object.values(LIST_ACTIONS).join(', ')}`, null, 'INVALID_SCREENING_LIST');
+    }
+
+    const items = ScreeningService.parseListFile(content, format);
+    const entries = ScreeningService._normalizeEntries(items);
+
+    const checksum = crypto
+      .createHash('sha256')
+      .update(entries.map((e) => `${e.type}:${e.value}`).sort().join('\n'))
+      .digest('hex');
+
+    const existing = await Database.get('SELECT * FROM screening_lists WHERE name = ?', [name]);
+    if (existing && existing.currentVersion) {
+      const current = await Database.get(
+        'SELECT checksum FROM screening_list_versions WHERE listId = ? AND version = ?',
+        [existing.id, existing.currentVersion]
+      );
+      const sameSettings = (!action || action === existing.action) && (!source || source === existing.source);
+      if (current && current.checksum === checksum && sameSettings) {
+        return {
+          list: ScreeningService._formatList(existing),
+          version: existing.currentVersion,
+          entryCount: entries.length,
+          unchanged: true,
+        };
+      }
+    }
+
+    const version = await Database.runTransaction(async (tx) => {
+      let listId = existing && existing.id;
+      if (!listId) {
+        const created = await tx.run(
+          'INSERT INTO screening_lists (name, source, action) VALUES (?, ?, ?)',
+          [name, source || null, action || LIST_ACTIONS.BLOCK]
+        );
+        listId = created.id;
+      }
+
+      const latest = await tx.get('SELECT MAX(version) AS version FROM screening_list_versions WHERE listId = ?', [listId]);
+      const next = ((latest && latest.version) || 0) + 1;
+
+      await tx.run(
+        'INSERT INTO screening_list_versions (listId, version, entryCount, checksum, importedBy) VALUES (?, ?, ?, ?, ?)',
+        [listId, next, entries.length, checksum, importedBy]
+      );
+      for (const entry of entries) {
+        await tx.run(
+          'INSERT INTO screening_entries (listId, version, type, value, label, reference) VALUES (?, ?, ?, ?, ?, ?)',
+          [listId, next, entry.type, entry.value, entry.label, entry.reference]
+        );
+      }
+      await tx.run(
+        `UPDATE screening_lists
+         SET currentVersion = ?, action = COALESCE(?, action), source = COALESCE(?, source), updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [next, action || null, source || null, listId]
+      );
+      return next;
+    });
+
+    ScreeningService.invalidateCache();
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.CONFIGURATION,
+      action: 'SCREENING_LIST_IMPORTED',
+      severity: AuditLogService.SEVERITY.HIGH,
+      result: 'SUCCESS',
+      userId: importedBy,
+      requestId,
+      resource: `/admin/screening/lists/${name}`,
+      details: { list: name, version, entryCount: entries.length, checksum, format },
+    }).catch(() => {});
+
+    log.info('SCREENING', 'Screening list imported', { list: name, version, entryCount: entries.length });
+
+    const list = await Database.get('SELECT * FROM screening_lists WHERE name = ?', [name]);
+    return { list: ScreeningService._formatList(list), version, entryCount: entries.length, unchanged: false };
+  }
+
+  /**
+   * @returns {Promise<Object[]>} All lists with their active version
+   */
+  static async listLists() {
+    const rows = await Database.query(
+      `SELECT l.*, v.entryCount, v.importedAt
+       FROM screening_lists l
+       LEFT JOIN screening_list_versions v ON v.listId = l.id AND v.version = l.currentVersion
+       ORDER BY l.name`
+    );
+    return (rows || []).map((row) => ScreeningService._formatList(row));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object>} The list with every version, newest first
+   * @throws {NotFoundError} SCREENING_LIST_NOT_FOUND
+   */
+  static async getList(name) {
+    const list = await ScreeningService._requireList(name);
+    const versions = await Database.query(
+      `SELECT version, entryCount, checksum, importedBy, importedAt
+       FROM screening_list_versions WHERE listId = ? ORDER BY version DESC`,
+      [list.id]
+    );
+    return {
+      ...ScreeningService._formatList(list),
+      versions: versions.map((v) => ({ ...v, active: v.version === list.currentVersion })),
+    };
+  }
+
+  /**
+   * Entries of one version of a list.
+   *
+   * @param {string} name
+   * @param {number} version
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only entries of this type
+   * @param {number} [options.limit=100]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{ entries: Object[], total: number }>}
+   * @throws {NotFoundError} SCREENING_LIST_NOT_FOUND or SCREENING_VERSION_NOT_FOUND
+   */
+  static async getEntries(name, version, { type, limit = 100, offset = 0 } = {}) {
+    const list = await ScreeningService._requireList(name);
+    await ScreeningService._requireVersion(list, version);
+
+    const where = ['listId = ?', 'version = ?'];
+    const params = [list.id, version];
+    if (type) {
+      where.push('type = ?');
+      params.push(type);
+    }
+
+    const { total } = await Database.get(`SELECT COUNT(*) AS total FROM screening_entries WHERE ${where.join(' AND ')}`, params);
+    const entries = await Database.query(
+      `SELECT type, label AS value, reference FROM screening_entries
+       WHERE ${where.join(' AND ')} ORDER BY id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { entries, total };
+  }
+
+  /**
+   * Make an earlier (or later) version of a list the one used for screening.
+   *
+   * @param {string} name
+   * @param {number} version
+   * @param {Object} [options]
+   * @param {string} [options.activatedBy]
+   * @param {string} [options.requestId]
+   * @returns {Promise<Object>} The updated list
+   * @throws {NotFoundError} SCREENING_LIST_NOT_FOUND or SCREENING_VERSION_NOT_FOUND
+   */
+  static async activateVersion(name, version, { activatedBy = null, requestId } = {}) {
+    const list = await ScreeningService._requireList(name);
+    await ScreeningService._requireVersion(list, version);
+
+    await Database.run(
+      'UPDATE screening_lists SET currentVersion = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [version, list.id]
+    );
+    ScreeningService.invalidateCache();
+
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.CONFIGURATION,
+      action: 'SCREENING_LIST_VERSION_ACTIVATED',
+      severity: AuditLogService.SEVERITY.HIGH,
+      result: 'SUCCESS',
+      userId: activatedBy,
+      requestId,
+      resource: `/admin/screening/lists/${name}`,
+      details: { list: name, version, previousVersion: list.currentVersion },
+    }).catch(() => {});
+
+    return ScreeningService._formatList(await Database.get('SELECT * FROM screening_lists WHERE id = ?', [list.id]));
+  }
+
+  // ── Screening ─────────────────────────────────────────────────────────────
+
+  /**
+   * Screen the parties of a donation against the active list versions.
+   * Each match is written to the audit log.
+   *
+   * @param {Array<{ role: string, address?: string, federation?: string, name?: string|Function }>} parties
+   *   `role` is recorded with each match (donor, recipient); `name` may be an
+   *   async function returning the name
+   * @param {Object} [options]
+   * @param {Object} [options.stellarService] - Used to look up account home domains
+   *   when a list contains home_domain entries
+   * @param {Object} [options.context] - Recorded with each match (requestId, scheduleId, ...)
+   * @param {boolean} [options.audit=true]
+   * @returns {Promise<{ outcome: string, matches: Object[] }>}
+   */
+  static async screen(parties, { stellarService = null, context = {}, audit = true } = {}) {
+    const index = await ScreeningService._getIndex();
+    if (index.size === 0) {
+      return { outcome: OUTCOMES.CLEAR, matches: [] };
+    }
+
+    const matches = [];
+    for (const party of parties) {
+      if (!party) continue;
+      matches.push(...await ScreeningService._screenParty(index, party, stellarService));
+    }
+
+    let outcome = OUTCOMES.CLEAR;
+    if (matches.some((m) => m.action === LIST_ACTIONS.BLOCK)) {
+      outcome = OUTCOMES.BLOCKED;
+    } else if (matches.length > 0) {
+      outcome = OUTCOMES.FLAGGED;
+    }
+
+    if (audit) {
+      for (const match of matches) {
+        ScreeningService._auditMatch(match, outcome, context);
+      }
+    }
+    if (matches.length > 0) {
+      log.warn('SCREENING', 'Screening list match', {
+        outcome,
+        lists: [...new Set(matches.map((m) => `${m.list}@v${m.listVersion}`))],
+        ...context,
+      });
+    }
+
+    return { outcome, matches };
+  }
+
+  /**
+   * Screen a donation and refuse it on a blocking match. The error does not
+   * reveal which list matched.
+   *
+   * @param {Array<Object>} parties - See screen()
+   * @param {Object} [options] - See screen()
+   * @returns {Promise<{ outcome: string, matches: Object[] }>} clear or flagged
+   * @throws {ForbiddenError} SCREENING_BLOCKED
+   */
+  static async screenDonation(parties, options = {}) {
+    const result = await ScreeningService.screen(parties, options);
+    if (result.outcome === OUTCOMES.BLOCKED) {
+      throw new ForbiddenError('Donation blocked by compliance screening', 'SCREENING_BLOCKED');
+    }
+    return result;
+  }
+
+  /** Drop the in-memory entries so the next screening reloads them. */
+  static invalidateCache() {
+    ScreeningService._index = null;
+    ScreeningService._indexLoadedAt = 0;
+    ScreeningService._indexLoading = null;
+  }
+
+  // ── Internals ─────────────────────────────────────────────────────────────
+
+  /** @private */
+  static async _screenParty(index, party, stellarService) {
+    const { role } = party;
+    const matches = [];
+    const exact = (type, value, matchedValue = value) => {
+      for (const entry of index.exact.get(`${type}:${value}`) || []) {
+        matches.push(ScreeningService._match(entry, role, 'exact', matchedValue, 1));
+      }
+    };
+    const domain = (value) => {
+      for (const candidate of domainCandidates(value)) {
+        exact(ENTRY_TYPES.HOME_DOMAIN, candidate, value);
+      }
+    };
+
+    if (party.address) {
+      const address = party.address.toUpperCase();
+      exact(ENTRY_TYPES.ADDRESS, address);
+
+      if (index.hasHomeDomains && stellarService && typeof stellarService.getHomeDomain === 'function') {
+        try {
+          const homeDomain = await stellarService.getHomeDomain(address);
+          if (homeDomain) domain(homeDomain);
+        } catch (err) {
+          log.warn('SCREENING', 'Could not read account home domain', { address, error: err.message });
+        }
+      }
+    }
+
+    if (party.federation) {
+      const federation = party.federation.trim().toLowerCase();
+      exact(ENTRY_TYPES.FEDERATION, federation);
+      if (index.hasHomeDomains && federation.includes('*')) {
+        domain(federation.slice(federation.lastIndexOf('*') + 1));
+      }
+    }
+
+    // A name may be passed as a function so it is only looked up when a list has names
+    const rawName = typeof party.name === 'function'
+      ? (index.names.length > 0 ? await party.name() : null)
+      : party.name;
+    if (rawName) {
+      const name = normalizeName(rawName);
+      if (name) {
+        const exactNames = index.exact.get(`${ENTRY_TYPES.NAME}:${name}`) || [];
+        exact(ENTRY_TYPES.NAME, name, rawName);
+
+        // Best fuzzy score per list; lists with an exact match are already covered
+        const threshold = getNameThreshold();
+        const best = new Map();
+        for (const entry of index.names) {
+          if (exactNames.some((e) => e.listId === entry.listId)) continue;
+          const score = jaroWinkler(name, entry.value);
+          if (score >= threshold && (!best.has(entry.listId) || score > best.get(entry.listId).score)) {
+            best.set(entry.listId, { entry, score });
+          }
+        }
+        for (const { entry, score } of best.values()) {
+          const match = ScreeningService._match(entry, role, 'fuzzy', rawName, score);
+          match.action = LIST_ACTIONS.FLAG;
+          matches.push(match);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /** @private */
+  static _match(entry, role, matchType, matchedValue, score) {
+    return {
+      list: entry.listName,
+      listVersion: entry.version,
+      action: entry.action,
+      role,
+      entryType: entry.type,
+      entry: entry.label,
+      reference: entry.reference || null,
+      matchType,
+      matchedValue,
+      score: Math.round(score * 1000) / 1000,
+    };
+  }
+
+  /** @private */
+  static _auditMatch(match, outcome, context) {
+    const blocked = match.action === LIST_ACTIONS.BLOCK;
+    AuditLogService.log({
+      category: AuditLogService.CATEGORY.FINANCIAL_OPERATION,
+      action: 'SCREENING_MATCH',
+      severity: blocked ? AuditLogService.SEVERITY.HIGH : AuditLogService.SEVERITY.MEDIUM,
+      result: blocked ? 'FAILURE' : 'SUCCESS',
+      requestId: context.requestId,
+      resource: `/admin/screening/lists/${match.list}/versions/${match.listVersion}`,
+      details: { ...match, outcome, ...context },
+    }).catch(() => {});
+  }
+
+  /**
+   * Active entries of every list, loaded once per SCREENING_CACHE_TTL_MS.
+   * @private
+   */
+  static async _getIndex() {
+    if (ScreeningService._index && Date.now() - ScreeningService._indexLoadedAt < getCacheTtlMs()) {
+      return ScreeningService._index;
+    }
+    if (!ScreeningService._indexLoading) {
+      ScreeningService._indexLoading = ScreeningService._loadIndex()
+        .then((index) => {
+          ScreeningService._index = index;
+          ScreeningService._indexLoadedAt = Date.now();
+          return index;
+        })
+        .finally(() => {
+          ScreeningService._indexLoading = null;
+        });
+    }
+    return ScreeningService._indexLoading;
+  }
+
+  /** @private */
+  static async _loadIndex() {
+    const rows = await Database.query(
+      `SELECT l.id AS listId, l.name AS listName, l.action, l.currentVersion AS version,
+              e.type, e.value, e.label, e.reference
+       FROM screening_lists l
+       JOIN screening_entries e ON e.listId = l.id AND e.version = l.currentVersion`
+    );
+
+    const index = { size: 0, exact: new Map(), names: [], hasHomeDomains: false };
+    for (const row of rows || []) {
+      const key = `${row.type}:${row.value}`;
+      if (!index.exact.has(key)) index.exact.set(key, []);
+      index.exact.get(key).push(row);
+      if (row.type === ENTRY_TYPES.NAME) index.names.push(row);
+      if (row.type === ENTRY_TYPES.HOME_DOMAIN) index.hasHomeDomains = true;
+      index.size++;
+    }
+    return index;
+  }
+
+  /** @private */
+  static _normalizeEntries(items) {
+    if (items.length === 0) {
+      throw new ValidationError('The file contains no entries', null, 'INVALID_SCREENING_FILE');
+    }
+    const maxEntries = getMaxEntries();
+    if (items.length > maxEntries) {
+      throw new ValidationError(
+        `The file contains ${items.length} entries, more than the maximum of ${maxEntries}`,
+        { submitted: items.length, limit: maxEntries },
+        'INVALID_SCREENING_FILE'
+      );
+    }
+
+    const entries = [];
+    const seen = new Set();
+    const errors = [];
+    items.forEach((item, i) => {
+      const type = typeof item.type === 'string' ? item.type.trim().toLowerCase() : item.type;
+      let value;
+      try {
+        value = normalizeEntry(type, item.value);
+      } catch (err) {
+        errors.push({ entry: i + 1, type: type || null, value: item.value === undefined ? null : item.value, error: err.message });
+        return;
+      }
+      const key = `${type}:${value}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const reference = item.reference === undefined || item.reference === null || item.reference === ''
+        ? null
+        : String(item.reference).slice(0, MAX_REFERENCE_LENGTH);
+      entries.push({ type, value, label: String(item.value).trim(), reference });
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `${errors.length} invalid ${errors.length === 1 ? 'entry' : 'entries'}; nothing was imported`,
+        { errors: errors.slice(0, MAX_REPORTED_ERRORS), invalidCount: errors.length },
+        'INVALID_SCREENING_ENTRIES'
+      );
+    }
+    return entries;
+  }
+
+  /** @private */
+  static _assertListName(name) {
+    if (typeof name !== 'string' || !LIST_NAME_PATTERN.test(name)) {
+      throw new ValidationError(
+        'List name must be 1-64 lowercase letters, digits, - or _',
+        null,
+        'INVALID_SCREENING_LIST'
+      );
+    }
+  }
+
+  /** @private */
+  static async _requireList(name) {
+    const list = await Database.get('SELECT * FROM screening_lists WHERE name = ?', [name]);
+    if (!list) {
+      throw new NotFoundError(`Screening list ${name} not found`, 'SCREENING_LIST_NOT_FOUND');
+    }
+    return list;
+  }
+
+  /** @private */
+  static async _requireVersion(list, version) {
+    const row = await Database.get(
+      'SELECT version FROM screening_list_versions WHERE listId = ? AND version = ?',
+      [list.id, version]
+    );
+    if (!row) {
+      throw new NotFoundError(`Version ${version} of screening list ${list.name} not found`, 'SCREENING_VERSION_NOT_FOUND');
+    }
+  }
+
+  /** @private */
+  static _formatList(row) {
+    const list = {
+      name: row.name,
+      source: row.source || null,
+      action: row.action,
+      currentVersion: row.currentVersion || null,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    };
+    if (row.entryCount !== undefined) list.entryCount = row.entryCount;
+    if (row.importedAt !== undefined) list.importedAt = row.importedAt;
+    return list;
+  }
+}
+
+ScreeningService._index = null;
+ScreeningService._indexLoadedAt = 0;
+ScreeningService._indexLoading = null;
+
+module.exports = ScreeningService;
+module.exports.LIST_ACTIONS = LIST_ACTIONS;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
+module.exports.OUTCOMES = OUTCOMES;
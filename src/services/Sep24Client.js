@@ -0,0 +1,268 @@
+/**
+ * SEP-24 Client - Anchor Integration Layer
+ *
+ * RESPONSIBILITY: Talk to a SEP-24 anchor on behalf of this service: discover
+ *                 its endpoints from stellar.toml, authenticate with SEP-10,
+ *                 start interactive deposits and read their status
+ * OWNER: Backend Team
+ * DEPENDENCIES: stellar-sdk (StellarToml), SEP10Service, ssrf utils
+ *
+ * Spec: https://github.com/stellar/stellar-protocol/blob/master/ecosystem/sep-0024.md
+ *
+ * The client authenticates as the service account (SERVICE_SECRET_KEY) and
+ * caches the anchor's JWT until it expires. Outbound URLs go through the SSRF
+ * guard; `allowHttp` skips it for the local mock anchor and is refused in
+ * production.
+ */
+
+'use strict';
+
+const StellarSdk = require('stellar-sdk');
+const SEP10Service = require('./SEP10Service');
+const log = require('../utils/log');
+const { assertSafeOutboundUrl } = require('../utils/ssrf');
+const { withTimeout } = require('../utils/timeoutHandler');
+const { AppError, ValidationError, ERROR_CODES } = require('../utils/errors');
+
+/** SEP-24 transaction statuses that end a deposit without a payment. */
+const FAILED_STATUSES = Object.freeze(['error', 'expired', 'refunded', 'no_market', 'too_small', 'too_large']);
+
+/** Renew the anchor token this long before it expires. */
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {AppError} 502 for anchor-side failures
+ */
+function anchorError(message, details = null) {
+  return new AppError(ERROR_CODES.EXTERNAL_SERVICE_ERROR, message, 502, details);
+}
+
+class Sep24Client {
+  /**
+   * @param {Object} options
+   * @param {string} options.homeDomain - Anchor domain (host[:port]) serving stellar.toml
+   * @param {string} options.clientSecret - Secret key of the account we authenticate as
+   * @param {string} [options.networkPassphrase] - Fallback when the anchor's toml omits it
+   * @param {boolean} [options.allowHttp=false] - Plain HTTP, for the local mock anchor only
+   * @param {number} [options.timeoutMs=10000]
+   */
+  constructor({ homeDomain, clientSecret, networkPassphrase, allowHttp = false, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!homeDomain) {
+      throw new Error('Sep24Client requires homeDomain');
+    }
+    if (!clientSecret) {
+      throw new Error('Sep24Client requires clientSecret');
+    }
+    if (allowHttp && process.env.NODE_ENV === 'production') {
+      throw new Error('Sep24Client: allowHttp is not permitted in production');
+    }
+
+    this.homeDomain = homeDomain;
+    this.keypair = StellarSdk.Keypair.fromSecret(clientSecret);
+    this.networkPassphrase = networkPassphrase;
+    this.allowHttp = allowHttp;
+    this.timeoutMs = timeoutMs;
+
+    this._toml = null;
+    this._token = null;
+    this._tokenExpiresAt = 0;
+  }
+
+  /** @returns {string} Public key the client authenticates as */
+  get account() {
+    return this.keypair.publicKey();
+  }
+
+  /**
+   * Read the anchor's stellar.toml (cached for the client's lifetime).
+   * @returns {Promise<{ transferServer: string, webAuthEndpoint: string, signingKey: string, networkPassphrase: string }>}
+   */
+  async discover() {
+    if (this._toml) return this._toml;
+
+    if (!this.allowHttp) {
+      await assertSafeOutboundUrl(`https://${this.homeDomain}/.well-known/stellar.toml`);
+    }
+
+    let toml;
+    try {
+      toml = await withTimeout(
+        StellarSdk.StellarToml.Resolver.resolve(this.homeDomain, { allowHttp: this.allowHttp, timeout: 0 }),
+        this.timeoutMs,
+        'anchor stellar.toml'
+      );
+    } catch (error) {
+      throw anchorError(`Could not read stellar.toml from ${this.homeDomain}: ${error.message}`);
+    }
+
+    const missing = ['TRANSFER_SERVER_SEP0024', 'WEB_AUTH_ENDPOINT', 'SIGNING_KEY'].filter((key) => !toml[key]);
+    if (missing.length > 0) {
+      throw anchorError(`stellar.toml for ${this.homeDomain} is missing ${missing.join(', ')}`);
+    }
+
+    this._toml = {
+      transferServer: toml.TRANSFER_SERVER_SEP0024.replace(/\/$/, ''),
+      webAuthEndpoint: toml.WEB_AUTH_ENDPOINT,
+      signingKey: toml.SIGNING_KEY,
+      networkPassphrase: toml.NETWORK_PASSPHRASE || this.networkPassphrase,
+    };
+    return this._toml;
+  }
+
+  /**
+   * Get a SEP-10 token from the anchor, reusing the cached one while valid.
+   * @returns {Promise<string>}
+   */
+  async authenticate() {
+    if (this._token && Date.now() < this._tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this._token;
+    }
+
+    const { webAuthEndpoint, signingKey, networkPassphrase } = await this.discover();
+    const challenge = await this._request('GET', `${webAuthEndpoint}?account=${encodeURIComponent(this.account)}`);
+    if (!challenge || !challenge.transaction) {
+      throw anchorError(`${this.homeDomain} did not return a challenge transaction`);
+    }
+
+    const signed = SEP10Service.signServerChallenge(challenge.transaction, {
+      serverSigningKey: signingKey,
+      networkPassphrase: challenge.network_passphrase || networkPassphrase,
+      homeDomain: this.homeDomain,
+      webAuthDomain: new URL(webAuthEndpoint).host,
+      clientSecret: this.keypair.secret(),
+    });
+
+    const { token } = await this._request('POST', webAuthEndpoint, { body: { transaction: signed } });
+    if (!token) {
+      throw anchorError(`${this.homeDomain} did not return a token`);
+    }
+
+    this._token = token;
+    this._tokenExpiresAt = Sep24Client._tokenExpiry(token);
+    log.info('SEP24', 'Authenticated with anchor', { homeDomain: this.homeDomain });
+    return token;
+  }
+
+  /**
+   * GET /info from the transfer server.
+   * @returns {Promise<Object>}
+   */
+  async info() {
+    const { transferServer } = await this.discover();
+    return this._request('GET', `${transferServer}/info`);
+  }
+
+  /**
+   * Start an interactive deposit. The donor completes KYC and payment at the
+   * returned URL; the anchor then pays `account` with `memo`.
+   *
+   * @param {Object} params
+   * @param {string} params.assetCode
+   * @param {string|number} [params.amount]
+   * @param {string} params.account - Stellar account the anchor pays
+   * @param {string} [params.memo]
+   * @param {string} [params.memoType='text']
+   * @param {string} [params.lang]
+   * @returns {Promise<{ id: string, url: string, type: string }>}
+   * @throws {ValidationError} ASSET_NOT_SUPPORTED when the anchor does not take deposits of the asset
+   */
+  async startInteractiveDeposit({ assetCode, amount, account, memo, memoType = 'text', lang }) {
+    const info = await this.info();
+    const asset = info && info.deposit && info.deposit[assetCode];
+    if (!asset || asset.enabled === false) {
+      throw new ValidationError(`${this.homeDomain} does not accept deposits of ${assetCode}`, null, 'ASSET_NOT_SUPPORTED');
+    }
+
+    const { transferServer } = await this.discover();
+    const token = await this.authenticate();
+    const body = { asset_code: assetCode, account };
+    if (amount !== undefined && amount !== null) body.amount = String(amount);
+    if (memo) {
+      body.memo = memo;
+      body.memo_type = memoType;
+    }
+    if (lang) body.lang = lang;
+
+    const result = await this._request('POST', `${transferServer}/transactions/deposit/interactive`, { body, token });
+    if (!result || !result.id || !result.url) {
+      throw anchorError(`${this.homeDomain} returned an invalid interactive deposit response`);
+    }
+    return result;
+  }
+
+  /**
+   * GET /transaction?id= from the transfer server.
+   * @param {string} id - Anchor transaction ID
+   * @returns {Promise<Object>} The SEP-24 transaction object
+   */
+  async getTransaction(id) {
+    const { transferServer } = await this.discover();
+    const token = await this.authenticate();
+    const result = await this._request('GET', `${transferServer}/transaction?id=${encodeURIComponent(id)}`, { token });
+    if (!result || !result.transaction) {
+      throw anchorError(`${this.homeDomain} returned an invalid transaction response`);
+    }
+    return result.transaction;
+  }
+
+  /**
+   * @private
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Object} [options.body] - Sent as JSON
+   * @param {string} [options.token] - Bearer token
+   * @returns {Promise<Object>}
+   */
+  async _request(method, url, { body, token } = {}) {
+    if (!this.allowHttp) {
+      await assertSafeOutboundUrl(url);
+    }
+
+    const headers = { Accept: 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        redirect: 'error',
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw anchorError(`Request to ${this.homeDomain} failed: ${error.message}`);
+    }
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      const message = (payload && payload.error) || `HTTP ${response.status}`;
+      log.warn('SEP24', 'Anchor request failed', { homeDomain: this.homeDomain, method, status: response.status, message });
+      throw anchorError(`${this.homeDomain}: ${message}`, { status: response.status });
+    }
+    return payload;
+  }
+
+  /**
+   * Expiry of a JWT from its `exp` claim; five minutes when it has none.
+   * @private
+   * @param {string} token
+   * @returns {number} Epoch milliseconds
+   */
+  static _tokenExpiry(token) {
+    try {
+      const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+      if (Number.isFinite(exp)) return exp * 1000;
+    } catch (_) { /* opaque token */ }
+    return Date.now() + 5 * 60 * 1000;
+  }
+}
+
+module.exports = Sep24Client;
+module.exports.FAILED_STATUSES = FAILED_STATUSES;
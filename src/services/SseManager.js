@@ -123,6 +123,21 @@ class SseManager {
     this.broadcast('transaction.confirmed', transaction);
   }
 
+  /**
+   * Broadcast a campaign or fundraiser progress event to the progress streams.
+   * campaignId/fundraiserId are added as strings so they match the route-param
+   * filters of GET /campaigns/:id/progress/stream and its fundraiser variant.
+   * @param {object} data - Payload with campaign_id and, for a fundraiser, fundraiser_id
+   * @param {string} [event='milestone_reached']
+   */
+  broadcastCampaignProgress(data, event = 'milestone_reached') {
+    this.broadcast(event, {
+      ...data,
+      campaignId: String(data.campaign_id),
+      ...(data.fundraiser_id !== undefined && { fundraiserId: String(data.fundraiser_id) }),
+    });
+  }
+
   /**
    * Return total number of connected clients (all keys).
    */
@@ -250,6 +265,10 @@ class SseManager {
       return false;
     }
 
+    if (filters.fundraiserId && data.fundraiserId !== filters.fundraiserId) {
+      return false;
+    }
+
     if (filters.status && data.status !== filters.status) {
       return false;
     }
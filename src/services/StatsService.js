@@ -3,7 +3,7 @@
  *
  * RESPONSIBILITY: Donation statistics aggregation and analytics calculations
  * OWNER: Analytics Team
- * DEPENDENCIES: Transaction model, Database
+ * DEPENDENCIES: Transaction model, Database, PriceOracleService
  *
  * Provides statistical analysis of donation data including daily/weekly aggregations,
  * donor/recipient analytics, and summary reports for business intelligence.
@@ -12,6 +12,8 @@
 const Transaction = require('../models/transaction');
 const { generatePseudonymousId, isPseudonymousId } = require('../utils/anonymization');
 const { toStroops, fromStroops, addStroops } = require('../utils/money');
+const priceOracle = require('./PriceOracleService');
+const { ValidationError } = require('../utils/errors');
 
 class StatsService {
   /**
@@ -148,6 +150,8 @@ class StatsService {
       averageTransactionAmount: '0.0000000',
       maxTransactionAmount: '0.0000000',
       minTransactionAmount: '0.0000000',
+      // Value of fiat-denominated donations at the rate each executed at, e.g. { USD: '120.00' }
+      fiatVolume: {},
       dateRange: {
         start: startDate.toISOString(),
         end: endDate.toISOString()
@@ -158,6 +162,16 @@ class StatsService {
       return summary;
     }
 
+    const fiatCents = {};
+    transactions.forEach(tx => {
+      if (tx.originalCurrency && tx.originalCurrency !== 'XLM' && tx.originalAmount != null) {
+        fiatCents[tx.originalCurrency] = (fiatCents[tx.originalCurrency] || 0) + Math.round(Number(tx.originalAmount) * 100);
+      }
+    });
+    for (const [currency, cents] of Object.entries(fiatCents)) {
+      summary.fiatVolume[currency] = (cents / 100).toFixed(2);
+    }
+
     let totalStroops = 0n;
     let maxStroops = 0n;
     let minStroops = null;
@@ -178,6 +192,67 @@ class StatsService {
     return summary;
   }
 
+  /**
+   * Value of the donations in a date range in one fiat currency, each at the
+   * rate recorded for the hour it was made. Donations made in that currency
+   * count at their original amount. Donations with no recorded rate are
+   * counted in unpricedCount and left out of totalValue.
+   *
+   * @param {Date} startDate - Start date for aggregation
+   * @param {Date} endDate - End date for aggregation
+   * @param {string} currency - e.g. "USD"
+   * @returns {Promise<Object>} { currency, totalValue, pricedCount, unpricedCount, dateRange }
+   * @throws {ValidationError} UNSUPPORTED_CURRENCY
+   */
+  static async getValueStats(startDate, endDate, currency) {
+    const code = String(currency).toUpperCase();
+    if (!priceOracle.SUPPORTED_CURRENCIES.includes(code.toLowerCase())) {
+      throw new ValidationError(
+        `currency must be one of: ${priceOracle.SUPPORTED_CURRENCIES.map(c => c.toUpperCase()).join(', ')}`,
+        null,
+        'UNSUPPORTED_CURRENCY'
+      );
+    }
+    const transactions = Transaction.getByDateRange(startDate, endDate);
+    const ratesByHour = new Map();
+    let totalCents = 0;
+    let pricedCount = 0;
+    let unpricedCount = 0;
+
+    for (const tx of transactions) {
+      let value = null;
+      if (tx.originalCurrency === code && tx.originalAmount != null) {
+        value = Number(tx.originalAmount);
+      } else {
+        const at = new Date(tx.timestamp);
+        const hour = Number.isNaN(at.getTime()) ? null : at.toISOString().slice(0, 13);
+        if (hour && !ratesByHour.has(hour)) {
+          ratesByHour.set(hour, await priceOracle.getRateAt(code, at));
+        }
+        const rate = hour ? ratesByHour.get(hour) : null;
+        if (rate) value = Number(tx.amount || 0) * rate.rate;
+      }
+
+      if (value === null) {
+        unpricedCount += 1;
+      } else {
+        totalCents += Math.round(value * 100);
+        pricedCount += 1;
+      }
+    }
+
+    return {
+      currency: code,
+      totalValue: (totalCents / 100).toFixed(2),
+      pricedCount,
+      unpricedCount,
+      dateRange: {
+        start: startDate.toISOString(),
+        end: endDate.toISOString()
+      }
+    };
+  }
+
   /**
    * Get stats by donor.
    * Anonymous donations are excluded so that pseudonymous IDs do not pollute
@@ -0,0 +1,693 @@
+/**
+ * Tax Statement Service - Compliance Layer
+ *
+ * RESPONSIBILITY: Annual consolidated tax statements per donor and jurisdiction,
+ *                 rendered as JSON, CSV or PDF, and the batch job that generates
+ *                 every statement of a tax year
+ * OWNER: Compliance Team
+ * DEPENDENCIES: Database, Transaction model, PriceOracleService, tax statement templates, config
+ *
+ * A statement lists every confirmed donation a donor made in the tax year with
+ * its fair market value at the rate recorded for the hour it was made, less
+ * completed refunds, with totals per receiving organisation. Sponsor matches
+ * are shown but not counted: the sponsor made that gift, not the donor.
+ *
+ * The jurisdiction template (see taxStatementTemplates/) picks the currency,
+ * the dates the tax year covers, the organisation details that are required
+ * and the jurisdiction's title, notices and fields.
+ *
+ * Statements generated by a run are stored, and are what donors and admins
+ * download afterwards; a statement nobody has generated yet is built on the fly.
+ */
+
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const Database = require('../utils/database');
+const Transaction = require('../models/transaction');
+const config = require('../config');
+const log = require('../utils/log');
+const { serialize: csvSerialize } = require('../utils/csvSerializer');
+const { TRANSACTION_STATES } = require('../utils/transactionStateMachine');
+const { getTemplate } = require('./taxStatementTemplates');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const RUN_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed',
+});
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+// Refunded donations stay on the statement with a refund adjustment
+const STATEMENT_STATUSES = new Set([TRANSACTION_STATES.CONFIRMED, 'refunded']);
+
+const FIRST_TAX_YEAR = 2000;
+const MAX_RUN_ERRORS = 50;
+// Stay below SQLite's bound-parameter limit
+const QUERY_CHUNK_SIZE = 500;
+
+const CSV_HEADERS = [
+  'donationId',
+  'date',
+  'organization',
+  'transactionHash',
+  'xlmAmount',
+  'currency',
+  'rate',
+  'rateSource',
+  'fairMarketValue',
+  'refundedXlm',
+  'refundAdjustment',
+  'matchedXlm',
+  'deductibleValue',
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round7 = (n) => Math.round(n * 1e7) / 1e7;
+
+class TaxStatementService {
+  /**
+   * @param {*} value
+   * @returns {number}
+   * @throws {ValidationError} INVALID_TAX_YEAR
+   */
+  static parseTaxYear(value) {
+    const year = Number(value);
+    const current = new Date().getUTCFullYear();
+    if (!Number.isInteger(year) || year < FIRST_TAX_YEAR || year > current) {
+      throw new ValidationError(
+        `taxYear must be a year between ${FIRST_TAX_YEAR} and ${current}`,
+        null,
+        'INVALID_TAX_YEAR'
+      );
+    }
+    return year;
+  }
+
+  /**
+   * Build a statement from the donations of the given wallets.
+   *
+   * @param {Object} params
+   * @param {string} params.subject - "donor:<id>" or "wallet:<publicKey>"
+   * @param {string[]} params.wallets - Wallets whose donations are included
+   * @param {number} params.taxYear
+   * @param {string} [params.jurisdiction] - Defaults to TAX_STATEMENT_JURISDICTION
+   * @param {Object} [params.donor] - { id, displayName } for donor subjects
+   * @returns {Promise<Object>} Statement
+   * @throws {ValidationError} For an unsupported jurisdiction, an invalid year or
+   *   missing organisation settings
+   */
+  static async build({ subject, wallets, taxYear, jurisdiction, donor = null }) {
+    const template = getTemplate(jurisdiction || config.taxReceipt.statementJurisdiction);
+    const year = this.parseTaxYear(taxYear);
+    const organization = template.organization(config.taxReceipt);
+    const { start, end } = template.period(year);
+
+    const keys = new Set(wallets);
+    const donations = Transaction.getAll()
+      .filter((t) => keys.has(t.donor) && STATEMENT_STATUSES.has(t.status))
+      .filter((t) => {
+        const at = new Date(t.timestamp);
+        return at >= start && at < end;
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const ids = donations.map((d) => d.id);
+    const refunded = await this._sumByDonation(
+      `SELECT original_donation_id AS donationId, SUM(amount) AS amount FROM refunds
+       WHERE status = 'completed' AND original_donation_id IN (%s) GROUP BY original_donation_id`,
+      ids
+    );
+    const matched = await this._sumByDonation(
+      `SELECT original_donation_id AS donationId, SUM(matched_amount) AS amount FROM matching_donations
+       WHERE original_donation_id IN (%s) GROUP BY original_donation_id`,
+      ids
+    );
+
+    const rateAt = this._rateLookup(template.currency);
+    const lines = [];
+    for (const donation of donations) {
+      lines.push(await this._line(donation, template.currency, rateAt, {
+        refundedXlm: donation.status === 'refunded' ? donation.amount : (refunded.get(String(donation.id)) || 0),
+        matchedXlm: matched.get(String(donation.id)) || 0,
+      }));
+    }
+
+    const statement = {
+      statementNumber: `${template.code}-${year}-${subject.replace(':', '-')}`,
+      jurisdiction: template.code,
+      template: template.name,
+      taxYear: year,
+      period: { start: start.toISOString(), end: end.toISOString() },
+      // A statement for a year that has not ended yet is year-to-date
+      final: end <= new Date(),
+      currency: template.currency.toUpperCase(),
+      organization,
+      donor: {
+        subject,
+        id: donor ? donor.id : null,
+        displayName: donor ? donor.displayName || null : null,
+        wallets: [...keys],
+      },
+      lines,
+      byOrganization: this._byOrganization(lines),
+      totals: this._totals(lines),
+      generatedAt: new Date().toISOString(),
+    };
+    statement.jurisdictionDetails = template.details(statement);
+    return statement;
+  }
+
+  /**
+   * A donor's statement: the one a run stored, or one built now from the
+   * wallets currently linked to the donor.
+   *
+   * @param {number} donorId
+   * @param {number} taxYear
+   * @param {string} [jurisdiction]
+   * @returns {Promise<Object>}
+   */
+  static async forDonor(donorId, taxYear, jurisdiction) {
+    const code = getTemplate(jurisdiction || config.taxReceipt.statementJurisdiction).code;
+    const year = this.parseTaxYear(taxYear);
+    const subject = `donor:${donorId}`;
+
+    const stored = await Database.get(
+      'SELECT data FROM tax_statements WHERE subject = ? AND taxYear = ? AND jurisdiction = ?',
+      [subject, year, code]
+    );
+    if (stored) return JSON.parse(stored.data);
+
+    const donor = await Database.get('SELECT id, displayName FROM donors WHERE id = ?', [donorId]);
+    const wallets = await Database.query('SELECT publicKey FROM donor_wallets WHERE donorId = ?', [donorId]);
+    return this.build({ subject, wallets: wallets.map((w) => w.publicKey), taxYear: year, jurisdiction: code, donor });
+  }
+
+  /**
+   * Stored statements of a donor, newest year first (without their lines).
+   * @param {number} donorId
+   * @returns {Promise<Object[]>}
+   */
+  static async listForDonor(donorId) {
+    return Database.query(
+      `SELECT id, taxYear, jurisdiction, currency, donationCount, deductibleValue, generatedAt
+       FROM tax_statements WHERE donorId = ? ORDER BY taxYear DESC, jurisdiction`,
+      [donorId]
+    );
+  }
+
+  /**
+   * Render a statement as a downloadable file.
+   * @param {Object} statement
+   * @param {string} format - 'csv' | 'pdf'
+   * @returns {Promise<{contentType: string, filename: string, body: string|Buffer}>}
+   */
+  static async render(statement, format) {
+    const filename = `tax-statement-${statement.statementNumber}.${format}`;
+    if (format === 'csv') {
+      return { contentType: 'text/csv', filename, body: this.toCSV(statement) };
+    }
+    if (format === 'pdf') {
+      return { contentType: 'application/pdf', filename, body: await this.toPDF(statement) };
+    }
+    throw new ValidationError(`Invalid format: ${format}. Must be one of: ${STATEMENT_FORMATS.join(', ')}`);
+  }
+
+  /**
+   * One row per donation followed by a TOTAL row.
+   * @param {Object} statement
+   * @returns {string}
+   */
+  static toCSV(statement) {
+    const rows = statement.lines.map((line) => ({ ...line, currency: statement.currency }));
+    rows.push({
+      donationId: 'TOTAL',
+      xlmAmount: statement.totals.xlmAmount,
+      currency: statement.currency,
+      fairMarketValue: statement.totals.fairMarketValue,
+      refundedXlm: statement.totals.refundedXlm,
+      refundAdjustment: statement.totals.refundAdjustment,
+      matchedXlm: statement.totals.matchedXlm,
+      deductibleValue: statement.totals.deductibleValue,
+    });
+    return csvSerialize(CSV_HEADERS, rows);
+  }
+
+  /**
+   * @param {Object} statement
+   * @returns {Promise<Buffer>}
+   */
+  static toPDF(statement) {
+    const { organization, donor, totals, currency, jurisdictionDetails: details } = statement;
+    const money = (value) => (value === null || value === undefined ? 'not priced' : `${value.toFixed(2)} ${currency}`);
+    const mask = (key) => (key && key.length > 12 ? `${key.slice(0, 8)}...${key.slice(-4)}` : key || 'N/A');
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `${details.title} ${statement.statementNumber}`,
+          Author: organization.legalName,
+          Subject: `Tax year ${statement.taxYear}`,
+        },
+      });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const field = (label, value) => {
+        doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, { continued: true })
+          .font('Helvetica').text(`  ${value === null || value === undefined ? 'N/A' : value}`);
+      };
+      const heading = (text) => {
+        doc.moveDown(1).font('Helvetica-Bold').fontSize(12).text(text).moveDown(0.3);
+      };
+
+      doc.font('Helvetica-Bold').fontSize(18).text(details.title, { align: 'center' });
+      if (!statement.final) {
+        doc.font('Helvetica').fontSize(10).fillColor('#aa0000')
+          .text('YEAR TO DATE — the tax year has not ended', { align: 'center' }).fillColor('#000000');
+      }
+      doc.moveDown(1);
+
+      field('Statement Number', statement.statementNumber);
+      field('Tax Year', `${statement.period.start.slice(0, 10)} to ${new Date(new Date(statement.period.end) - 1).toISOString().slice(0, 10)}`);
+      if (details.formType) field('Form', details.formType);
+
+      heading('Organization');
+      field('Legal Name', organization.legalName);
+      for (const [key, value] of Object.entries(details.fields)) {
+        if (value === null || typeof value === 'object') continue;
+        const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase());
+        field(label, typeof value === 'number' ? money(value) : value);
+      }
+      const address = [organization.address, organization.city, organization.state, organization.zipCode].filter(Boolean).join(', ');
+      if (address) field('Address', address);
+
+      heading('Donor');
+      if (donor.displayName) field('Name', donor.displayName);
+      field('Wallets', donor.wallets.map(mask).join(', '));
+
+      heading('Donations');
+      if (statement.lines.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No eligible donations in this tax year.');
+      }
+      for (const line of statement.lines) {
+        const adjustments = [
+          line.refundedXlm > 0 ? `refunded ${line.refundedXlm} XLM (${money(line.refundAdjustment)})` : null,
+          line.matchedXlm > 0 ? `matched ${line.matchedXlm} XLM by a sponsor` : null,
+        ].filter(Boolean).join('; ');
+        doc.font('Helvetica').fontSize(9).text(
+          `${line.date.slice(0, 10)}  ${mask(line.organization)}  ${line.xlmAmount} XLM  ${money(line.fairMarketValue)}` +
+          (adjustments ? `  — ${adjustments}` : '')
+        );
+      }
+
+      heading('Totals by Organization');
+      for (const org of statement.byOrganization) {
+        doc.font('Helvetica').fontSize(9).text(
+          `${mask(org.organization)}  ${org.donationCount} donation(s)  ${org.xlmAmount} XLM  deductible ${money(org.deductibleValue)}`
+        );
+      }
+
+      heading('Totals');
+      field('Donations', totals.donationCount);
+      field('XLM Donated', totals.xlmAmount);
+      field('Fair Market Value', money(totals.fairMarketValue));
+      field('Refund Adjustments', money(totals.refundAdjustment));
+      field('Deductible Value', money(totals.deductibleValue));
+      if (totals.matchedXlm > 0) field('Matched by Sponsors (not deductible by the donor)', `${totals.matchedXlm} XLM`);
+
+      doc.moveDown(1);
+      for (const notice of details.notices) {
+        doc.font('Helvetica-Oblique').fontSize(9).text(notice).moveDown(0.3);
+      }
+      doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text(`Generated ${statement.generatedAt}`).fillColor('#000000');
+
+      doc.end();
+    });
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Batch runs
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Queue a run that generates and stores every statement of a tax year.
+   *
+   * @param {Object} params
+   * @param {number} params.taxYear
+   * @param {string} [params.jurisdiction]
+   * @param {string} [params.requestedBy]
+   * @returns {Promise<Object>} The queued run
+   * @throws {ValidationError|ConflictError} RUN_IN_PROGRESS
+   */
+  static async startRun({ taxYear, jurisdiction, requestedBy = null } = {}) {
+    const template = getTemplate(jurisdiction || config.taxReceipt.statementJurisdiction);
+    const year = this.parseTaxYear(taxYear);
+    // Fail now rather than once per statement
+    template.organization(config.taxReceipt);
+
+    const active = await Database.get(
+      'SELECT id FROM tax_statement_runs WHERE taxYear = ? AND jurisdiction = ? AND status IN (?, ?)',
+      [year, template.code, RUN_STATUS.QUEUED, RUN_STATUS.RUNNING]
+    );
+    if (active) {
+      throw new ConflictError(`Run ${active.id} for ${template.code} ${year} is still in progress`, 'RUN_IN_PROGRESS');
+    }
+
+    const { id } = await Database.run(
+      'INSERT INTO tax_statement_runs (taxYear, jurisdiction, status, requestedBy) VALUES (?, ?, ?, ?)',
+      [year, template.code, RUN_STATUS.QUEUED, requestedBy]
+    );
+
+    setImmediate(async () => {
+      try {
+        await this.processRun(id);
+      } catch (err) {
+        log.error('TAX_STATEMENT_SERVICE', 'Tax statement run failed', { runId: id, error: err.message });
+      }
+    });
+
+    return this.getRun(id);
+  }
+
+  /**
+   * Generate and store the statements of a run: one per donor account with
+   * donations in the year, and one per donating wallet no donor has linked.
+   * A statement that fails is recorded on the run and the others continue.
+   *
+   * @param {number} runId
+   * @returns {Promise<Object>} The finished run
+   */
+  static async processRun(runId) {
+    const run = await this.getRun(runId);
+    await Database.run(
+      'UPDATE tax_statement_runs SET status = ?, startedAt = ? WHERE id = ?',
+      [RUN_STATUS.RUNNING, new Date().toISOString(), runId]
+    );
+
+    try {
+      const subjects = await this._subjects(run.taxYear, run.jurisdiction);
+      await Database.run('UPDATE tax_statement_runs SET subjectCount = ? WHERE id = ?', [subjects.length, runId]);
+
+      let generated = 0;
+      const errors = [];
+      for (const subject of subjects) {
+        try {
+          const statement = await this.build({ ...subject, taxYear: run.taxYear, jurisdiction: run.jurisdiction });
+          await this._store(runId, subject, statement);
+          generated += 1;
+        } catch (err) {
+          errors.push({ subject: subject.subject, error: err.message });
+        }
+      }
+
+      const status = errors.length > 0 ? RUN_STATUS.COMPLETED_WITH_ERRORS : RUN_STATUS.COMPLETED;
+      await Database.run(
+        `UPDATE tax_statement_runs
+         SET status = ?, generatedCount = ?, failedCount = ?, errors = ?, completedAt = ? WHERE id = ?`,
+        [status, generated, errors.length, errors.length ? JSON.stringify(errors.slice(0, MAX_RUN_ERRORS)) : null,
+          new Date().toISOString(), runId]
+      );
+      log.info('TAX_STATEMENT_SERVICE', 'Tax statement run finished', {
+        runId, taxYear: run.taxYear, jurisdiction: run.jurisdiction, generated, failed: errors.length,
+      });
+    } catch (err) {
+      await Database.run(
+        'UPDATE tax_statement_runs SET status = ?, errors = ?, completedAt = ? WHERE id = ?',
+        [RUN_STATUS.FAILED, JSON.stringify([{ error: err.message }]), new Date().toISOString(), runId]
+      );
+      throw err;
+    }
+
+    return this.getRun(runId);
+  }
+
+  /**
+   * @param {number} runId
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} RUN_NOT_FOUND
+   */
+  static async getRun(runId) {
+    const row = await Database.get('SELECT * FROM tax_statement_runs WHERE id = ?', [runId]);
+    if (!row) {
+      throw new NotFoundError('Tax statement run not found', 'RUN_NOT_FOUND');
+    }
+    return { ...row, errors: row.errors ? JSON.parse(row.errors) : [] };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object[]>} Newest first
+   */
+  static async listRuns({ limit = 20 } = {}) {
+    const rows = await Database.query('SELECT * FROM tax_statement_runs ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map((row) => ({ ...row, errors: row.errors ? JSON.parse(row.errors) : [] }));
+  }
+
+  /**
+   * Stored statements without their lines.
+   *
+   * @param {Object} [filters]
+   * @param {number} [filters.taxYear]
+   * @param {string} [filters.jurisdiction]
+   * @param {number} [filters.runId]
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   * @returns {Promise<{statements: Object[], total: number}>}
+   */
+  static async listStatements({ taxYear, jurisdiction, runId, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (taxYear !== undefined) { where.push('taxYear = ?'); params.push(Number(taxYear)); }
+    if (jurisdiction) { where.push('jurisdiction = ?'); params.push(String(jurisdiction).toUpperCase()); }
+    if (runId !== undefined) { where.push('runId = ?'); params.push(Number(runId)); }
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const { total } = await Database.get(`SELECT COUNT(*) AS total FROM tax_statements ${clause}`, params);
+    const statements = await Database.query(
+      `SELECT id, runId, subject, donorId, taxYear, jurisdiction, currency, donationCount, deductibleValue, generatedAt
+       FROM tax_statements ${clause} ORDER BY id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { statements, total };
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Object>} The statement as it was generated
+   * @throws {NotFoundError} STATEMENT_NOT_FOUND
+   */
+  static async getStoredStatement(id) {
+    const row = await Database.get('SELECT data FROM tax_statements WHERE id = ?', [id]);
+    if (!row) {
+      throw new NotFoundError('Tax statement not found', 'STATEMENT_NOT_FOUND');
+    }
+    return JSON.parse(row.data);
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Helpers
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Statement subjects of a tax year, from the wallets that donated in it.
+   * @private
+   * @param {number} taxYear
+   * @param {string} jurisdiction
+   * @returns {Promise<Object[]>} { subject, wallets, donor } for build()
+   */
+  static async _subjects(taxYear, jurisdiction) {
+    const { start, end } = getTemplate(jurisdiction).period(taxYear);
+    const donating = new Set(
+      Transaction.getAll()
+        .filter((t) => t.donor && STATEMENT_STATUSES.has(t.status))
+        .filter((t) => {
+          const at = new Date(t.timestamp);
+          return at >= start && at < end;
+        })
+        .map((t) => t.donor)
+    );
+
+    const linked = new Map(); // publicKey -> donorId
+    const keys = [...donating];
+    for (let i = 0; i < keys.length; i += QUERY_CHUNK_SIZE) {
+      const chunk = keys.slice(i, i + QUERY_CHUNK_SIZE);
+      const rows = await Database.query(
+        `SELECT publicKey, donorId FROM donor_wallets WHERE publicKey IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      );
+      rows.forEach((row) => linked.set(row.publicKey, row.donorId));
+    }
+
+    const subjects = [];
+    for (const donorId of new Set(linked.values())) {
+      const donor = await Database.get('SELECT id, displayName FROM donors WHERE id = ?', [donorId]);
+      const wallets = await Database.query('SELECT publicKey FROM donor_wallets WHERE donorId = ?', [donorId]);
+      subjects.push({ subject: `donor:${donorId}`, donor, wallets: wallets.map((w) => w.publicKey) });
+    }
+    for (const key of keys.filter((k) => !linked.has(k))) {
+      subjects.push({ subject: `wallet:${key}`, wallets: [key] });
+    }
+    return subjects;
+  }
+
+  /**
+   * @private
+   */
+  static async _store(runId, subject, statement) {
+    await Database.run(
+      `INSERT INTO tax_statements
+         (runId, subject, donorId, taxYear, jurisdiction, currency, donationCount, deductibleValue, data, generatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (subject, taxYear, jurisdiction) DO UPDATE SET
+         runId = excluded.runId, donorId = excluded.donorId, currency = excluded.currency,
+         donationCount = excluded.donationCount, deductibleValue = excluded.deductibleValue,
+         data = excluded.data, generatedAt = excluded.generatedAt`,
+      [
+        runId,
+        subject.subject,
+        subject.donor ? subject.donor.id : null,
+        statement.taxYear,
+        statement.jurisdiction,
+        statement.currency,
+        statement.totals.donationCount,
+        statement.totals.deductibleValue,
+        JSON.stringify(statement),
+        statement.generatedAt,
+      ]
+    );
+  }
+
+  /**
+   * Run a "... IN (%s) ..." sum query for donation ids.
+   * @private
+   * @returns {Promise<Map<string, number>>} donationId -> amount
+   */
+  static async _sumByDonation(sql, ids) {
+    const sums = new Map();
+    for (let i = 0; i < ids.length; i += QUERY_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + QUERY_CHUNK_SIZE);
+      try {
+        const rows = await Database.query(sql.replace('%s', chunk.map(() => '?').join(', ')), chunk);
+        rows.forEach((row) => sums.set(String(row.donationId), Number(row.amount) || 0));
+      } catch (_err) {
+        // Refunds / matching tables may not exist on this deployment; nothing to adjust
+      }
+    }
+    return sums;
+  }
+
+  /**
+   * Memoized per hour: getRateAt() answers for the hour a timestamp falls in.
+   * @private
+   * @param {string} currency
+   * @returns {function(string): Promise<Object|null>}
+   */
+  static _rateLookup(currency) {
+    // Required lazily, like ReceiptService: the oracle pulls in its providers on load
+    const priceOracle = require('./PriceOracleService');
+    const cache = new Map();
+    return (timestamp) => {
+      const hour = new Date(timestamp);
+      hour.setUTCMinutes(0, 0, 0);
+      const key = hour.toISOString();
+      if (!cache.has(key)) {
+        cache.set(key, priceOracle.getRateAt(currency, timestamp));
+      }
+      return cache.get(key);
+    };
+  }
+
+  /**
+   * @private
+   */
+  static async _line(donation, currency, rateAt, { refundedXlm, matchedXlm }) {
+    const xlmAmount = Number(donation.amount);
+    let rate = null;
+    let rateSource = null;
+    let fairMarketValue = null;
+
+    if (donation.originalCurrency && donation.originalCurrency.toLowerCase() === currency && donation.originalAmount != null) {
+      // Made in the statement currency: the donor gave exactly this value
+      fairMarketValue = round2(Number(donation.originalAmount));
+      rate = xlmAmount > 0 ? fairMarketValue / xlmAmount : null;
+      rateSource = 'donation';
+    } else {
+      const recorded = await rateAt(donation.timestamp);
+      if (recorded) {
+        rate = recorded.rate;
+        rateSource = recorded.source;
+        fairMarketValue = round2(xlmAmount * recorded.rate);
+      }
+    }
+
+    const refunded = Math.min(refundedXlm, xlmAmount);
+    const refundAdjustment = fairMarketValue === null || refunded === 0
+      ? 0
+      : -round2(fairMarketValue * (refunded / xlmAmount));
+
+    return {
+      donationId: donation.id,
+      date: new Date(donation.timestamp).toISOString(),
+      organization: donation.recipient,
+      transactionHash: donation.stellarTxId || null,
+      xlmAmount,
+      rate,
+      rateSource,
+      fairMarketValue,
+      refundedXlm: round7(refunded),
+      refundAdjustment,
+      matchedXlm: round7(matchedXlm),
+      deductibleValue: fairMarketValue === null ? null : round2(fairMarketValue + refundAdjustment),
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _totals(lines) {
+    const sum = (field) => lines.reduce((total, line) => total + (line[field] || 0), 0);
+    return {
+      donationCount: lines.length,
+      xlmAmount: round7(sum('xlmAmount')),
+      fairMarketValue: round2(sum('fairMarketValue')),
+      refundedXlm: round7(sum('refundedXlm')),
+      refundAdjustment: round2(sum('refundAdjustment')),
+      deductibleValue: round2(sum('deductibleValue')),
+      matchedXlm: round7(sum('matchedXlm')),
+      unpricedCount: lines.filter((line) => line.fairMarketValue === null).length,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _byOrganization(lines) {
+    const groups = new Map();
+    for (const line of lines) {
+      if (!groups.has(line.organization)) groups.set(line.organization, []);
+      groups.get(line.organization).push(line);
+    }
+    return [...groups.entries()]
+      .map(([organization, orgLines]) => {
+        const totals = this._totals(orgLines);
+        delete totals.unpricedCount;
+        return { organization, ...totals };
+      })
+      .sort((a, b) => b.deductibleValue - a.deductibleValue);
+  }
+}
+
+module.exports = TaxStatementService;
+module.exports.RUN_STATUS = RUN_STATUS;
+module.exports.STATEMENT_FORMATS = STATEMENT_FORMATS;
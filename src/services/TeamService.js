@@ -0,0 +1,423 @@
+/**
+ * Team Service - Business Logic Layer
+ *
+ * RESPONSIBILITY: Organizations, teams and team membership, and rolling donations up the hierarchy
+ * OWNER: Backend Team
+ * DEPENDENCIES: Database, TeamTotalsRepository
+ *
+ * Organizations (companies, schools) are set up by admins; donor accounts
+ * create and join teams within them, and fundraisers can run for a team.
+ * A donation rolls up fundraiser → team → organization: through the
+ * fundraiser it is attributed to, or else through the team the donor's
+ * wallet belongs to. The totals are kept incrementally in
+ * TeamTotalsRepository, per campaign and day, for the hierarchy leaderboards.
+ */
+
+'use strict';
+
+const Database = require('../utils/database');
+const log = require('../utils/log');
+const TeamTotalsRepository = require('./TeamTotalsRepository');
+const { STROOPS_PER_XLM } = require('../constants');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  BusinessLogicError,
+  DuplicateError,
+} = require('../utils/errors');
+
+const ORGANIZATION_TYPES = Object.freeze(['company', 'school', 'nonprofit', 'community', 'other']);
+const TEAM_ROLES = Object.freeze({
+  CAPTAIN: 'captain',
+  MEMBER: 'member',
+});
+
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const LEVELS = TeamTotalsRepository.LEVELS;
+const totalsRepo = new TeamTotalsRepository();
+
+class TeamService {
+  // ───────────────────────────────────────────────────────────────────────────
+  // Organizations
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {{ name: string, type?: string }} input
+   * @returns {Promise<Object>} The organization
+   * @throws {ValidationError} Invalid input or ORGANIZATION_EXISTS
+   */
+  static async createOrganization(input = {}) {
+    const { name, type } = this._validateOrganization(input, { partial: false });
+    try {
+      const result = await Database.run(
+        'INSERT INTO organizations (name, type) VALUES (?, ?)',
+        [name, type]
+      );
+      log.info('TEAMS', 'Organization created', { organizationId: result.id });
+      return this.getOrganization(result.id);
+    } catch (err) {
+      if (err instanceof DuplicateError) {
+        throw new ValidationError('An organization with this name already exists', null, 'ORGANIZATION_EXISTS');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {number} organizationId
+   * @returns {Promise<Object>} The organization with its team count and all-time totals
+   * @throws {NotFoundError} ORGANIZATION_NOT_FOUND
+   */
+  static async getOrganization(organizationId) {
+    const row = await this._organization(organizationId);
+    const [teams, totals] = await Promise.all([
+      Database.get('SELECT COUNT(*) AS count FROM teams WHERE organization_id = ?', [row.id]),
+      totalsRepo.getTotals(LEVELS.ORGANIZATION, { entityId: row.id }),
+    ]);
+    return { ...row, team_count: teams.count, ...this._totals(totals[0]) };
+  }
+
+  /** @returns {Promise<Object[]>} Organizations by name */
+  static async listOrganizations() {
+    return Database.query('SELECT * FROM organizations ORDER BY name ASC');
+  }
+
+  /**
+   * @param {number} organizationId
+   * @param {{ name?: string, type?: string }} changes
+   * @returns {Promise<Object>} The updated organization
+   * @throws {ValidationError|NotFoundError}
+   */
+  static async updateOrganization(organizationId, changes = {}) {
+    const row = await this._organization(organizationId);
+    const updates = this._validateOrganization(changes, { partial: true });
+    const columns = Object.keys(updates);
+    if (columns.length === 0) {
+      throw new ValidationError('Nothing to update');
+    }
+
+    try {
+      await Database.run(
+        `UPDATE organizations SET ${columns.map((c) => `${c} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...Object.values(updates), row.id]
+      );
+    } catch (err) {
+      if (err instanceof DuplicateError) {
+        throw new ValidationError('An organization with this name already exists', null, 'ORGANIZATION_EXISTS');
+      }
+      throw err;
+    }
+    return this.getOrganization(row.id);
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Teams
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Create a team; its creator joins it as captain (leaving any other team).
+   * @param {number} donorId - Donor account creating the team
+   * @param {{ name: string, description?: string, organization_id?: number }} input
+   * @returns {Promise<Object>} The team
+   * @throws {ValidationError|NotFoundError}
+   */
+  static async createTeam(donorId, input = {}) {
+    const { name, description } = this._validateTeam(input);
+    let organizationId = null;
+    if (input.organization_id !== undefined && input.organization_id !== null) {
+      organizationId = (await this._organization(input.organization_id)).id;
+    }
+
+    const teamId = await Database.runTransaction(async (tx) => {
+      const result = await tx.run(
+        'INSERT INTO teams (organization_id, name, description, created_by) VALUES (?, ?, ?, ?)',
+        [organizationId, name, description, donorId]
+      );
+      await tx.run('DELETE FROM team_members WHERE donor_id = ?', [donorId]);
+      await tx.run(
+        'INSERT INTO team_members (donor_id, team_id, role) VALUES (?, ?, ?)',
+        [donorId, result.id, TEAM_ROLES.CAPTAIN]
+      );
+      return result.id;
+    });
+
+    log.info('TEAMS', 'Team created', { teamId, organizationId, donorId });
+    return this.getTeam(teamId);
+  }
+
+  /**
+   * @param {number} teamId
+   * @returns {Promise<Object>} The team with its organization, member count and all-time totals
+   * @throws {NotFoundError} TEAM_NOT_FOUND
+   */
+  static async getTeam(teamId) {
+    const row = await this._team(teamId);
+    const [members, totals] = await Promise.all([
+      Database.get('SELECT COUNT(*) AS count FROM team_members WHERE team_id = ?', [row.id]),
+      totalsRepo.getTotals(LEVELS.TEAM, { entityId: row.id }),
+    ]);
+    return this._formatTeam(row, { member_count: members.count, ...this._totals(totals[0]) });
+  }
+
+  /**
+   * @param {{ organizationId?: number }} [filters]
+   * @returns {Promise<Object[]>} Teams by name
+   * @throws {NotFoundError} When the organization does not exist
+   */
+  static async listTeams({ organizationId } = {}) {
+    const params = [];
+    let sql = `SELECT t.*, o.name AS organization_name,
+                      (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) AS member_count
+               FROM teams t LEFT JOIN organizations o ON o.id = t.organization_id`;
+    if (organizationId !== undefined) {
+      await this._organization(organizationId);
+      sql += ' WHERE t.organization_id = ?';
+      params.push(organizationId);
+    }
+    sql += ' ORDER BY t.name ASC, t.id ASC';
+
+    const rows = await Database.query(sql, params);
+    return rows.map((row) => this._formatTeam(row, { member_count: row.member_count }));
+  }
+
+  /**
+   * Join a team. A donor is on at most one team, so joining moves them from
+   * their current one. Donations already made stay with the team they were
+   * rolled up to.
+   * @param {number} teamId
+   * @param {number} donorId
+   * @returns {Promise<Object>} The team
+   * @throws {NotFoundError}
+   */
+  static async joinTeam(teamId, donorId) {
+    const team = await this._team(teamId);
+    await Database.run(
+      `INSERT INTO team_members (donor_id, team_id, role) VALUES (?, ?, ?)
+       ON CONFLICT(donor_id) DO UPDATE SET
+         team_id = excluded.team_id,
+         role = CASE WHEN team_members.team_id = excluded.team_id THEN team_members.role ELSE excluded.role END,
+         joinedAt = CASE WHEN team_members.team_id = excluded.team_id THEN team_members.joinedAt ELSE CURRENT_TIMESTAMP END`,
+      [donorId, team.id, TEAM_ROLES.MEMBER]
+    );
+    log.info('TEAMS', 'Donor joined team', { teamId: team.id, donorId });
+    return this.getTeam(team.id);
+  }
+
+  /**
+   * @param {number} teamId
+   * @param {number} donorId
+   * @returns {Promise<void>}
+   * @throws {NotFoundError|BusinessLogicError} NOT_TEAM_MEMBER
+   */
+  static async leaveTeam(teamId, donorId) {
+    const team = await this._team(teamId);
+    const result = await Database.run(
+      'DELETE FROM team_members WHERE donor_id = ? AND team_id = ?',
+      [donorId, team.id]
+    );
+    if (result.changes === 0) {
+      throw new BusinessLogicError('NOT_TEAM_MEMBER', 'Donor is not a member of this team');
+    }
+    log.info('TEAMS', 'Donor left team', { teamId: team.id, donorId });
+  }
+
+  /**
+   * Check that a donor may run a fundraiser for a team: they must be on it.
+   * @param {number|string} teamId
+   * @param {number} donorId
+   * @returns {Promise<number>} The team id
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  static async assertMember(teamId, donorId) {
+    const team = await this._team(teamId);
+    const member = await Database.get(
+      'SELECT 1 FROM team_members WHERE donor_id = ? AND team_id = ?',
+      [donorId, team.id]
+    );
+    if (!member) {
+      throw new ForbiddenError('Only members of a team can fundraise for it', 'NOT_TEAM_MEMBER');
+    }
+    return team.id;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Roll-ups
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Roll a donation up the hierarchy: the fundraiser it is attributed to and
+   * that fundraiser's team, or else the team of the donor's wallet; then the
+   * team's organization. Donations reaching neither are not recorded.
+   * Recording the same donation twice has no effect.
+   *
+   * @param {Object} donation
+   * @param {string|number} donation.id
+   * @param {string} donation.donor - Donor wallet
+   * @param {number|string} donation.amount - XLM
+   * @param {number} [donation.campaignId]
+   * @param {{ id: number, team_id?: number }} [donation.fundraiser]
+   * @param {Date|string} [donation.createdAt]
+   * @returns {Promise<{ fundraiserId: number|null, teamId: number|null, organizationId: number|null }|null>}
+   *   Where it rolled up to, or null when it reached no level or was already recorded
+   */
+  static async recordDonation({ id, donor, amount, campaignId, fundraiser, createdAt } = {}) {
+    let teamId = fundraiser ? fundraiser.team_id || null : null;
+    if (!fundraiser && donor) {
+      const member = await Database.get(
+        `SELECT m.team_id FROM donor_wallets w JOIN team_members m ON m.donor_id = w.donorId
+         WHERE w.publicKey = ?`,
+        [donor]
+      );
+      teamId = member ? member.team_id : null;
+    }
+
+    const team = teamId ? await Database.get('SELECT id, organization_id FROM teams WHERE id = ?', [teamId]) : null;
+    const rollup = {
+      fundraiserId: fundraiser ? fundraiser.id : null,
+      teamId: team ? team.id : null,
+      organizationId: team ? team.organization_id : null,
+    };
+    if (!rollup.fundraiserId && !rollup.teamId) return null;
+
+    const recorded = await totalsRepo.recordDonation({
+      ...rollup,
+      donationId: id,
+      campaignId: campaignId ? Number(campaignId) : 0,
+      amountStroops: BigInt(Math.round(parseFloat(amount) * STROOPS_PER_XLM)),
+      day: new Date(createdAt || Date.now()).toISOString().slice(0, 10),
+    });
+    if (!recorded) return null;
+
+    // Lazy require: the leaderboard service reads through this one
+    require('./LeaderboardStatsService').invalidateHierarchyCache();
+    return rollup;
+  }
+
+  /**
+   * Ranked roll-up totals for one level of the hierarchy, with names.
+   * @param {string} level - organization | team | fundraiser
+   * @param {Object} [scope] - See TeamTotalsRepository#getTotals
+   * @returns {Promise<Array<{ id: number, name: string, parent: {id: number, name: string}|null,
+   *   totalStroops: bigint, donationCount: number }>>}
+   */
+  static async getRankedTotals(level, scope = {}) {
+    const totals = await totalsRepo.getTotals(level, scope);
+    if (totals.length === 0) return [];
+
+    const ids = totals.map((t) => t.entityId);
+    const placeholders = ids.map(() => '?').join(', ');
+    const NAMES = {
+      [LEVELS.ORGANIZATION]: `SELECT id, name, NULL AS parent_id, NULL AS parent_name
+                              FROM organizations WHERE id IN (${placeholders})`,
+      [LEVELS.TEAM]: `SELECT t.id, t.name, o.id AS parent_id, o.name AS parent_name
+                      FROM teams t LEFT JOIN organizations o ON o.id = t.organization_id
+                      WHERE t.id IN (${placeholders})`,
+      [LEVELS.FUNDRAISER]: `SELECT f.id, f.title AS name, t.id AS parent_id, t.name AS parent_name
+                            FROM campaign_fundraisers f LEFT JOIN teams t ON t.id = f.team_id
+                            WHERE f.id IN (${placeholders})`,
+    };
+    const rows = await Database.query(NAMES[level], ids);
+    const byId = new Map(rows.map((row) => [row.id, row]));
+
+    return totals.map((t) => {
+      const row = byId.get(t.entityId) || {};
+      return {
+        id: t.entityId,
+        name: row.name || null,
+        parent: row.parent_id ? { id: row.parent_id, name: row.parent_name } : null,
+        totalStroops: t.totalStroops,
+        donationCount: t.donationCount,
+      };
+    });
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Helpers
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /** @throws {NotFoundError} ORGANIZATION_NOT_FOUND */
+  static async _organization(organizationId) {
+    const row = await Database.get('SELECT * FROM organizations WHERE id = ?', [organizationId]);
+    if (!row) {
+      throw new NotFoundError('Organization not found', 'ORGANIZATION_NOT_FOUND');
+    }
+    return row;
+  }
+
+  /** @throws {NotFoundError} TEAM_NOT_FOUND */
+  static async _team(teamId) {
+    const row = await Database.get(
+      `SELECT t.*, o.name AS organization_name
+       FROM teams t LEFT JOIN organizations o ON o.id = t.organization_id
+       WHERE t.id = ?`,
+      [teamId]
+    );
+    if (!row) {
+      throw new NotFoundError('Team not found', 'TEAM_NOT_FOUND');
+    }
+    return row;
+  }
+
+  static _validateOrganization(input, { partial }) {
+    const values = {};
+    if (!partial || input.name !== undefined) {
+      values.name = this._name(input.name);
+    }
+    if (input.type !== undefined) {
+      if (!ORGANIZATION_TYPES.includes(input.type)) {
+        throw new ValidationError(`type must be one of: ${ORGANIZATION_TYPES.join(', ')}`);
+      }
+      values.type = input.type;
+    } else if (!partial) {
+      values.type = 'other';
+    }
+    return values;
+  }
+
+  static _validateTeam(input) {
+    const values = { name: this._name(input.name), description: null };
+    if (input.description !== undefined && input.description !== null) {
+      if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new ValidationError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+      values.description = input.description.trim() || null;
+    }
+    return values;
+  }
+
+  static _name(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw new ValidationError(`name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    return name.trim();
+  }
+
+  static _totals(total) {
+    return {
+      total_raised: total ? total.totalStroops.toString() : '0',
+      donation_count: total ? total.donationCount : 0,
+    };
+  }
+
+  static _formatTeam(row, extra) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      organization: row.organization_id ? { id: row.organization_id, name: row.organization_name } : null,
+      created_by: row.created_by,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      ...extra,
+    };
+  }
+}
+
+TeamService.ORGANIZATION_TYPES = ORGANIZATION_TYPES;
+TeamService.TEAM_ROLES = TEAM_ROLES;
+TeamService.LEVELS = LEVELS;
+
+module.exports = TeamService;
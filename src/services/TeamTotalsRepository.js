@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * TeamTotalsRepository - Data Access Layer
+ *
+ * RESPONSIBILITY: Maintain and query organization/team/fundraiser donation roll-ups.
+ *
+ * Each donation that reaches a fundraiser, team or organization is recorded
+ * once in `team_rollup_donations`, and the pre-aggregated `team_rollups`
+ * buckets of every level it reached are incremented in the same DB
+ * transaction. Buckets are per level, entity, parent (the team of a
+ * fundraiser, the organization of a team), campaign and UTC day, so a
+ * campaign- or window-scoped total is a sum over a few buckets. A periodic
+ * reconciliation recomputes the buckets from `team_rollup_donations` and
+ * corrects any drift.
+ *
+ * Amounts are stroops stored as TEXT, as in DonationTotalsRepository.
+ */
+
+const Database = require('../utils/database');
+const log = require('../utils/log');
+
+const LEVELS = Object.freeze({
+  ORGANIZATION: 'organization',
+  TEAM: 'team',
+  FUNDRAISER: 'fundraiser',
+});
+
+/** Drift metric counter, as for donation totals. */
+const driftMetrics = {
+  lastRunAt: null,
+  driftCorrectionCount: 0,
+  lastDriftDetectedAt: null,
+};
+
+/**
+ * The buckets a donation's roll-up increments, one per level it reached.
+ * @param {{ fundraiserId?: number, teamId?: number, organizationId?: number }} rollup
+ * @returns {Array<{ level: string, entityId: number, parentId: number }>}
+ */
+function levelsFor({ fundraiserId, teamId, organizationId }) {
+  const levels = [];
+  if (fundraiserId) levels.push({ level: LEVELS.FUNDRAISER, entityId: fundraiserId, parentId: teamId || 0 });
+  if (teamId) levels.push({ level: LEVELS.TEAM, entityId: teamId, parentId: organizationId || 0 });
+  if (organizationId) levels.push({ level: LEVELS.ORGANIZATION, entityId: organizationId, parentId: 0 });
+  return levels;
+}
+
+const bucketKey = (b) => `${b.level}:${b.entity_id}:${b.parent_id}:${b.campaign_id}:${b.day}`;
+
+class TeamTotalsRepository {
+  /**
+   * Record a donation's roll-up and increment the buckets of every level it
+   * reached, atomically. Recording the same donation twice has no effect.
+   *
+   * @param {Object} rollup
+   * @param {string} rollup.donationId
+   * @param {bigint|number|string} rollup.amountStroops
+   * @param {string} rollup.day - UTC day of the donation, YYYY-MM-DD
+   * @param {number} [rollup.campaignId]
+   * @param {number} [rollup.fundraiserId]
+   * @param {number} [rollup.teamId]
+   * @param {number} [rollup.organizationId]
+   * @returns {Promise<boolean>} false when the donation was already recorded
+   */
+  async recordDonation(rollup) {
+    const stroops = String(BigInt(rollup.amountStroops));
+    const campaignId = rollup.campaignId || 0;
+    const levels = levelsFor(rollup);
+    if (levels.length === 0) return false;
+
+    return Database.runTransaction(async (tx) => {
+      const inserted = await tx.run(
+        `INSERT OR IGNORE INTO team_rollup_donations
+           (donation_id, campaign_id, fundraiser_id, team_id, organization_id, amount_stroops, day)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [String(rollup.donationId), campaignId, rollup.fundraiserId || null, rollup.teamId || null,
+          rollup.organizationId || null, stroops, rollup.day]
+      );
+      if (!inserted || inserted.changes === 0) return false;
+
+      for (const { level, entityId, parentId } of levels) {
+        await tx.run(
+          `INSERT INTO team_rollups (level, entity_id, parent_id, campaign_id, day, total_stroops, donation_count, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+           ON CONFLICT(level, entity_id, parent_id, campaign_id, day) DO UPDATE SET
+             total_stroops = CAST(CAST(total_stroops AS INTEGER) + CAST(? AS INTEGER) AS TEXT),
+             donation_count = donation_count + 1,
+             updated_at = CURRENT_TIMESTAMP`,
+          [level, entityId, parentId, campaignId, rollup.day, stroops, stroops]
+        );
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Ranked totals for one level.
+   *
+   * @param {string} level - organization | team | fundraiser
+   * @param {Object} [scope]
+   * @param {number} [scope.campaignId] - Only donations to this campaign
+   * @param {number} [scope.parentId] - Only what was raised under this parent
+   *   (the organization of a team, the team of a fundraiser)
+   * @param {number} [scope.entityId] - Only this entity
+   * @param {string} [scope.sinceDay] - Only buckets from this UTC day on (YYYY-MM-DD)
+   * @param {number} [scope.limit]
+   * @returns {Promise<Array<{ entityId: number, totalStroops: bigint, donationCount: number }>>}
+   */
+  async getTotals(level, { campaignId, parentId, entityId, sinceDay, limit } = {}) {
+    const where = ['level = ?'];
+    const params = [level];
+    if (campaignId) {
+      where.push('campaign_id = ?');
+      params.push(campaignId);
+    }
+    if (parentId) {
+      where.push('parent_id = ?');
+      params.push(parentId);
+    }
+    if (entityId) {
+      where.push('entity_id = ?');
+      params.push(entityId);
+    }
+    if (sinceDay) {
+      where.push('day >= ?');
+      params.push(sinceDay);
+    }
+
+    // SUM of the INTEGER casts stays exact; deliver it as TEXT for BigInt
+    let sql = `SELECT entity_id,
+                      CAST(SUM(CAST(total_stroops AS INTEGER)) AS TEXT) AS total,
+                      SUM(donation_count) AS donation_count
+               FROM team_rollups
+               WHERE ${where.join(' AND ')}
+               GROUP BY entity_id
+               ORDER BY SUM(CAST(total_stroops AS INTEGER)) DESC, entity_id ASC`;
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    const rows = await Database.all(sql, params);
+    return rows.map((row) => ({
+      entityId: row.entity_id,
+      totalStroops: BigInt(row.total || '0'),
+      donationCount: Number(row.donation_count) || 0,
+    }));
+  }
+
+  /**
+   * Recompute the buckets from `team_rollup_donations` and correct any drift
+   * in `team_rollups`, including buckets no recorded donation accounts for.
+   *
+   * @returns {Promise<{ checked: number, corrected: number }>}
+   */
+  async reconcile() {
+    driftMetrics.lastRunAt = new Date().toISOString();
+
+    const expectedRows = await Database.all(
+      `SELECT '${LEVELS.FUNDRAISER}' AS level, fundraiser_id AS entity_id, COALESCE(team_id, 0) AS parent_id,
+              campaign_id, day, CAST(SUM(CAST(amount_stroops AS INTEGER)) AS TEXT) AS total, COUNT(*) AS count
+       FROM team_rollup_donations WHERE fundraiser_id IS NOT NULL
+       GROUP BY fundraiser_id, COALESCE(team_id, 0), campaign_id, day
+       UNION ALL
+       SELECT '${LEVELS.TEAM}', team_id, COALESCE(organization_id, 0),
+              campaign_id, day, CAST(SUM(CAST(amount_stroops AS INTEGER)) AS TEXT), COUNT(*)
+       FROM team_rollup_donations WHERE team_id IS NOT NULL
+       GROUP BY team_id, COALESCE(organization_id, 0), campaign_id, day
+       UNION ALL
+       SELECT '${LEVELS.ORGANIZATION}', organization_id, 0,
+              campaign_id, day, CAST(SUM(CAST(amount_stroops AS INTEGER)) AS TEXT), COUNT(*)
+       FROM team_rollup_donations WHERE organization_id IS NOT NULL
+       GROUP BY organization_id, campaign_id, day`
+    );
+    const cachedRows = await Database.all(
+      'SELECT level, entity_id, parent_id, campaign_id, day, total_stroops, donation_count FROM team_rollups'
+    );
+    const cached = new Map(cachedRows.map((row) => [bucketKey(row), row]));
+
+    let corrected = 0;
+    const noteDrift = (bucket, cachedTotal, trueTotal) => {
+      driftMetrics.driftCorrectionCount += 1;
+      driftMetrics.lastDriftDetectedAt = new Date().toISOString();
+      log.warn('TEAM_TOTALS', 'Drift detected — correcting roll-up bucket', {
+        bucket, cachedTotal, trueTotal,
+      });
+      corrected += 1;
+    };
+
+    for (const row of expectedRows) {
+      const key = bucketKey(row);
+      const existing = cached.get(key);
+      cached.delete(key);
+
+      const trueTotal = BigInt(row.total || '0');
+      const trueCount = Number(row.count);
+      if (existing && BigInt(existing.total_stroops || '0') === trueTotal && existing.donation_count === trueCount) {
+        continue;
+      }
+
+      noteDrift(key, existing ? existing.total_stroops : null, trueTotal.toString());
+      await Database.run(
+        `INSERT INTO team_rollups (level, entity_id, parent_id, campaign_id, day, total_stroops, donation_count, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(level, entity_id, parent_id, campaign_id, day) DO UPDATE SET
+           total_stroops = excluded.total_stroops,
+           donation_count = excluded.donation_count,
+           updated_at = excluded.updated_at`,
+        [row.level, row.entity_id, row.parent_id, row.campaign_id, row.day, trueTotal.toString(), trueCount]
+      );
+    }
+
+    // Buckets left over have no recorded donations behind them
+    for (const [key, row] of cached) {
+      noteDrift(key, row.total_stroops, '0');
+      await Database.run(
+        'DELETE FROM team_rollups WHERE level = ? AND entity_id = ? AND parent_id = ? AND campaign_id = ? AND day = ?',
+        [row.level, row.entity_id, row.parent_id, row.campaign_id, row.day]
+      );
+    }
+
+    if (corrected > 0) {
+      log.warn('TEAM_TOTALS', 'Reconciliation corrected drift', {
+        corrected,
+        totalDriftCorrections: driftMetrics.driftCorrectionCount,
+      });
+    }
+
+    return { checked: expectedRows.length, corrected };
+  }
+
+  /** Return a snapshot of reconciliation metrics for observability. */
+  getMetrics() {
+    return { ...driftMetrics };
+  }
+}
+
+TeamTotalsRepository.LEVELS = LEVELS;
+
+module.exports = TeamTotalsRepository;
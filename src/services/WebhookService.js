@@ -4,7 +4,7 @@
  * RESPONSIBILITY: Sends HTTP webhook notifications for events, with persistent
  *                 retry queue and dead-letter store for failed deliveries.
  * OWNER: Backend Team
- * DEPENDENCIES: https (Node built-in), log utility, database
+ * DEPENDENCIES: https (Node built-in), log utility, database, webhook event catalog
  */
 
 'use strict';
@@ -16,6 +16,7 @@ const { URL } = require('url');
 const log = require('../utils/log');
 const EncryptionService = require('./EncryptionService');
 const { assertSafeOutboundUrl } = require('../utils/ssrf');
+const webhookEvents = require('../config/webhookEvents');
 
 const MAX_RETRIES = 3;
 const MAX_CONSECUTIVE_FAILURES = 5;
@@ -44,6 +45,60 @@ const RETRY_DELAYS_MS = [
 ];
 const RETRY_MAX_ATTEMPTS = 5;
 
+/** Most deliveries a single time-window redelivery may queue. */
+const MAX_REDELIVERY_BATCH = parseInt(process.env.WEBHOOK_MAX_REDELIVERY_BATCH || '1000', 10);
+
+/** Columns added by migration 043_webhook_delivery_attempts. */
+const DELIVERY_TRACKING_COLUMNS = [
+  ['webhook_delivery_history', 'message_id TEXT'],
+  ['webhook_delivery_history', 'redelivery_of TEXT'],
+  ['webhook_delivery_history', 'request_body TEXT'],
+  ['webhook_delivery_history', 'request_headers TEXT'],
+  ['webhook_delivery_history', 'latency_ms INTEGER'],
+  ['webhook_retries', 'message_id TEXT'],
+  ['webhook_retries', 'redelivery_of TEXT'],
+  ['webhook_dead_letters', 'message_id TEXT'],
+  ['webhook_dead_letters', 'redelivery_of TEXT'],
+];
+
+/**
+ * Parse a stored JSON column, falling back to the raw value.
+ * @param {string|null} value
+ * @returns {*}
+ */
+function parseJson(value) {
+  if (value == null) return null;
+  try { return JSON.parse(value); } catch { return value; }
+}
+
+/**
+ * Shape a webhook_delivery_history row for API responses.
+ * @param {Object} r
+ * @param {{ includeRequest?: boolean }} [opts] - Include the signed request body and headers
+ * @returns {Object}
+ */
+function toDeliveryAttempt(r, { includeRequest = false } = {}) {
+  const attempt = {
+    id: r.id,
+    webhookId: r.webhook_id,
+    messageId: r.message_id || null,
+    redeliveryOf: r.redelivery_of || null,
+    event: r.event,
+    payload: parseJson(r.payload),
+    attempt: r.attempt,
+    status: r.status,
+    statusCode: r.status_code,
+    latencyMs: r.latency_ms != null ? r.latency_ms : null,
+    errorMessage: r.error_message,
+    deliveredAt: r.delivered_at,
+  };
+  if (includeRequest) {
+    attempt.requestBody = parseJson(r.request_body);
+    attempt.requestHeaders = parseJson(r.request_headers);
+  }
+  return attempt;
+}
+
 class WebhookService {
   /**
    * Create the webhooks, webhook_retries, and webhook_dead_letters tables if absent.
@@ -61,9 +116,14 @@ class WebhookService {
         is_active INTEGER NOT NULL DEFAULT 1,
         consecutive_failures INTEGER NOT NULL DEFAULT 0,
         owner_email TEXT,
+        payload_version INTEGER NOT NULL DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    // Tables created before migration 042 lack the pinned payload version
+    try {
+      await Database.run(`ALTER TABLE webhooks ADD COLUMN payload_version INTEGER NOT NULL DEFAULT 1`);
+    } catch (_) { /* column already exists */ }
     await Database.run(`
       CREATE TABLE IF NOT EXISTS webhook_retries (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -73,6 +133,8 @@ class WebhookService {
         attempt INTEGER NOT NULL DEFAULT 0,
         next_retry_at DATETIME NOT NULL,
         last_error TEXT,
+        message_id TEXT,
+        redelivery_of TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -84,6 +146,8 @@ class WebhookService {
         payload TEXT NOT NULL,
         attempts INTEGER NOT NULL,
         last_error TEXT,
+        message_id TEXT,
+        redelivery_of TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -97,24 +161,47 @@ class WebhookService {
         status TEXT NOT NULL,
         status_code INTEGER,
         error_message TEXT,
+        message_id TEXT,
+        redelivery_of TEXT,
+        request_body TEXT,
+        request_headers TEXT,
+        latency_ms INTEGER,
         delivered_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    // Tables created before migration 043 lack the per-attempt columns
+    for (const [table, column] of DELIVERY_TRACKING_COLUMNS) {
+      try {
+        await Database.run(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      } catch (_) { /* column already exists */ }
+    }
+    await Database.run(
+      'CREATE INDEX IF NOT EXISTS idx_webhook_delivery_history_webhook ON webhook_delivery_history(webhook_id, delivered_at)'
+    );
   }
 
   /**
    * Register a new webhook endpoint.
    * @param {Object} params
    * @param {string} params.url
-   * @param {string[]} params.events
+   * @param {string[]} params.events - Catalogued event types, `category.*` or `*`
+   * @param {number} [params.payloadVersion] - Pinned payload version (defaults to the latest)
    * @param {string} [params.secret]
    * @param {number|null} [params.apiKeyId]
    * @param {string} [params.ownerEmail]
    * @returns {Promise<Object>}
    */
-  async register({ url, events, apiKeyId = null, ownerEmail = null, tlsSkipVerify = false, requestId = null, ipAddress = null }) {
+  async register({ url, events, payloadVersion = webhookEvents.LATEST_PAYLOAD_VERSION, apiKeyId = null, ownerEmail = null, tlsSkipVerify = false, requestId = null, ipAddress = null }) {
     if (!url) { const e = new Error('url is required'); e.status = 400; throw e; }
-    if (!events || events.length === 0) { const e = new Error('events must be a non-empty array'); e.status = 400; throw e; }
+    if (!Array.isArray(events) || events.length === 0) { const e = new Error('events must be a non-empty array'); e.status = 400; throw e; }
+
+    const unknownEvents = webhookEvents.findInvalidPatterns(events);
+    if (unknownEvents.length > 0) {
+      const e = new Error(`Unknown webhook event type(s): ${unknownEvents.join(', ')}. See GET /webhooks/events`); e.status = 400; throw e;
+    }
+    if (!Number.isInteger(payloadVersion) || payloadVersion < 1 || payloadVersion > webhookEvents.LATEST_PAYLOAD_VERSION) {
+      const e = new Error(`payloadVersion must be an integer between 1 and ${webhookEvents.LATEST_PAYLOAD_VERSION}`); e.status = 400; throw e;
+    }
 
     let parsedUrl;
     try { parsedUrl = new URL(url); } catch { const e = new Error('Invalid webhook URL'); e.status = 400; throw e; }
@@ -185,11 +272,11 @@ class WebhookService {
 
     const Database = require('../utils/database');
     const result = await Database.run(
-      `INSERT INTO webhooks (url, events, secret, api_key_id, owner_email, tls_skip_verify) VALUES (?, ?, ?, ?, ?, ?)`,
-      [url, eventsStr, encryptedSecret, apiKeyId, ownerEmail, tlsSkipVerify ? 1 : 0]
+      `INSERT INTO webhooks (url, events, secret, api_key_id, owner_email, tls_skip_verify, payload_version) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [url, eventsStr, encryptedSecret, apiKeyId, ownerEmail, tlsSkipVerify ? 1 : 0, payloadVersion]
     );
     // Return plaintext secret once — it cannot be retrieved again, only rotated
-    return { id: result.id, url, events, secret: plaintextSecret, isActive: true, ownerEmail, tlsSkipVerify: !!tlsSkipVerify };
+    return { id: result.id, url, events, payloadVersion, secret: plaintextSecret, isActive: true, ownerEmail, tlsSkipVerify: !!tlsSkipVerify };
   }
 
   /**
@@ -227,7 +314,7 @@ class WebhookService {
     });
 
     const rows = await Database.all(
-      `SELECT id, url, events, is_active, created_at FROM webhooks WHERE is_active = 1${clause} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      `SELECT id, url, events, payload_version, is_active, created_at FROM webhooks WHERE is_active = 1${clause} ORDER BY created_at DESC, id DESC LIMIT ?`,
       [...cursorParams, limit + 1]
     );
 
@@ -236,6 +323,7 @@ class WebhookService {
       id: r.id,
       url: r.url,
       events: (() => { try { return JSON.parse(r.events); } catch { return r.events; } })(),
+      payloadVersion: r.payload_version || 1,
       isActive: Boolean(r.is_active),
       createdAt: r.created_at,
     }));
@@ -279,23 +367,19 @@ class WebhookService {
    * @param {Object} params.payload
    * @param {number} [params.attempt=0]
    * @param {string} [params.lastError]
+   * @param {string} [params.messageId] - Delivery being retried (kept across attempts)
+   * @param {string} [params.redeliveryOf] - Original delivery when this is a redelivery
    * @returns {Promise<void>}
    */
-  static async scheduleRetry({ webhookId, event, payload, attempt = 0, lastError = null }) {
+  static async scheduleRetry({ webhookId, event, payload, attempt = 0, lastError = null, messageId = null, redeliveryOf = null }) {
     const Database = require('../utils/database');
 
-    // Log delivery attempt
-    await Database.run(
-      `INSERT INTO webhook_delivery_history (webhook_id, event, payload, attempt, status, error_message)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [webhookId, event, JSON.stringify(payload), attempt + 1, 'failed', lastError]
-    );
-
+    // Individual HTTP attempts are recorded in webhook_delivery_history by _deliverWithRetry
     if (attempt >= RETRY_MAX_ATTEMPTS) {
       await Database.run(
-        `INSERT INTO webhook_dead_letters (webhook_id, event, payload, attempts, last_error)
-         VALUES (?, ?, ?, ?, ?)`,
-        [webhookId, event, JSON.stringify(payload), attempt, lastError]
+        `INSERT INTO webhook_dead_letters (webhook_id, event, payload, attempts, last_error, message_id, redelivery_of)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [webhookId, event, JSON.stringify(payload), attempt, lastError, messageId, redeliveryOf]
       );
       dlqEntriesTotal += 1;
       log.warn('WEBHOOK_SERVICE', 'Delivery moved to dead-letter', { webhookId, event, attempt, dlqEntriesTotal });
@@ -313,9 +397,9 @@ class WebhookService {
     const nextRetryAt = new Date(Date.now() + delayMs).toISOString();
 
     await Database.run(
-      `INSERT INTO webhook_retries (webhook_id, event, payload, attempt, next_retry_at, last_error)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [webhookId, event, JSON.stringify(payload), attempt, nextRetryAt, lastError]
+      `INSERT INTO webhook_retries (webhook_id, event, payload, attempt, next_retry_at, last_error, message_id, redelivery_of)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [webhookId, event, JSON.stringify(payload), attempt, nextRetryAt, lastError, messageId, redeliveryOf]
     );
     log.info('WEBHOOK_SERVICE', 'Retry scheduled', { webhookId, event, attempt, nextRetryAt });
   }
@@ -344,9 +428,10 @@ class WebhookService {
       if (!webhook || !webhook.is_active) continue;
 
       const payload = (() => { try { return JSON.parse(entry.payload); } catch { return {}; } })();
+      const delivery = { messageId: entry.message_id || crypto.randomUUID(), redeliveryOf: entry.redelivery_of || null };
 
       try {
-        await WebhookService._deliverWithRetry(webhook, entry.event, payload, 0);
+        await WebhookService._deliverWithRetry(webhook, entry.event, payload, 0, delivery);
         succeeded++;
       } catch (err) {
         failed++;
@@ -356,6 +441,7 @@ class WebhookService {
           payload,
           attempt: entry.attempt + 1,
           lastError: err.message,
+          ...delivery,
         });
       }
     }
@@ -381,6 +467,7 @@ class WebhookService {
       payload: (() => { try { return JSON.parse(r.payload); } catch { return r.payload; } })(),
       attempts: r.attempts,
       lastError: r.last_error,
+      messageId: r.message_id || null,
       createdAt: r.created_at,
     }));
   }
@@ -398,10 +485,134 @@ class WebhookService {
     }
 
     const payload = (() => { try { return JSON.parse(entry.payload); } catch { return {}; } })();
-    await WebhookService.scheduleRetry({ webhookId: entry.webhook_id, event: entry.event, payload, attempt: 0 });
+    await WebhookService.scheduleRetry({
+      webhookId: entry.webhook_id,
+      event: entry.event,
+      payload,
+      attempt: 0,
+      messageId: entry.message_id,
+      redeliveryOf: entry.redelivery_of,
+    });
     await Database.run(`DELETE FROM webhook_dead_letters WHERE id = ?`, [deadLetterId]);
   }
 
+  /**
+   * Look up one recorded delivery attempt, including the signed request.
+   * @param {number} deliveryId - webhook_delivery_history id
+   * @returns {Promise<Object|null>}
+   */
+  static async getDeliveryAttempt(deliveryId) {
+    const Database = require('../utils/database');
+    const row = await Database.get(`SELECT * FROM webhook_delivery_history WHERE id = ?`, [deliveryId]);
+    return row ? toDeliveryAttempt(row, { includeRequest: true }) : null;
+  }
+
+  /**
+   * Queue a recorded delivery to be sent again. The event payload is re-sent as
+   * it was originally delivered, with a fresh timestamp and signature, on the
+   * next retry-queue run.
+   * @param {number} deliveryId - webhook_delivery_history id
+   * @returns {Promise<{ messageId: string, redeliveryOf: string, webhookId: number, event: string }>}
+   */
+  static async redeliver(deliveryId) {
+    const Database = require('../utils/database');
+    const row = await Database.get(`SELECT * FROM webhook_delivery_history WHERE id = ?`, [deliveryId]);
+    if (!row) {
+      const e = new Error(`Delivery ${deliveryId} not found`); e.status = 404; throw e;
+    }
+    const [queued] = await WebhookService._queueRedeliveries([row]);
+    return queued;
+  }
+
+  /**
+   * Queue every delivery made to a webhook within a time window to be sent again.
+   * Attempts of the same delivery (and earlier redeliveries of it) are sent once.
+   *
+   * @param {number} webhookId
+   * @param {Object} params
+   * @param {string} params.from - ISO 8601 start of the window (inclusive)
+   * @param {string} params.to - ISO 8601 end of the window (exclusive)
+   * @param {'all'|'failed'} [params.status='all'] - 'failed' only re-sends deliveries that never succeeded
+   * @param {string[]} [params.events] - Only event types matching these patterns
+   * @returns {Promise<{ webhookId: number, queued: number, deliveries: Object[] }>}
+   */
+  static async redeliverRange(webhookId, { from, to, status = 'all', events = null } = {}) {
+    const Database = require('../utils/database');
+    const fromMs = Date.parse(from);
+    const toMs = Date.parse(to);
+    if (!from || !to || isNaN(fromMs) || isNaN(toMs)) {
+      const e = new Error('from and to must be ISO 8601 timestamps'); e.status = 400; throw e;
+    }
+    if (fromMs >= toMs) {
+      const e = new Error('from must be before to'); e.status = 400; throw e;
+    }
+    if (!['all', 'failed'].includes(status)) {
+      const e = new Error("status must be 'all' or 'failed'"); e.status = 400; throw e;
+    }
+    if (events != null && (!Array.isArray(events) || events.length === 0 || webhookEvents.findInvalidPatterns(events).length > 0)) {
+      const e = new Error('events must be a non-empty array of webhook event types'); e.status = 400; throw e;
+    }
+
+    const webhook = await Database.get(`SELECT id FROM webhooks WHERE id = ?`, [webhookId]);
+    if (!webhook) {
+      const e = new Error(`Webhook ${webhookId} not found`); e.status = 404; throw e;
+    }
+
+    // One row per original delivery: its latest attempt within the window
+    const rows = await Database.all(
+      `SELECT h.* FROM webhook_delivery_history h
+       JOIN (
+         SELECT MAX(id) AS last_id, MAX(status = 'success') AS delivered
+         FROM webhook_delivery_history
+         WHERE webhook_id = ? AND datetime(delivered_at) >= datetime(?) AND datetime(delivered_at) < datetime(?)
+         GROUP BY COALESCE(redelivery_of, message_id, 'attempt:' || id)
+       ) g ON h.id = g.last_id
+       WHERE (? = 'all' OR g.delivered = 0)
+       ORDER BY h.id ASC`,
+      [webhookId, new Date(fromMs).toISOString(), new Date(toMs).toISOString(), status]
+    );
+    const matching = events ? rows.filter((r) => webhookEvents.matchesAny(events, r.event)) : rows;
+
+    if (matching.length > MAX_REDELIVERY_BATCH) {
+      const e = new Error(`Window contains ${matching.length} deliveries; narrow it to at most ${MAX_REDELIVERY_BATCH}`); e.status = 400; throw e;
+    }
+
+    const deliveries = await WebhookService._queueRedeliveries(matching);
+    log.info('WEBHOOK_SERVICE', 'Redelivery queued for time window', { webhookId, from, to, status, queued: deliveries.length });
+    return { webhookId, queued: deliveries.length, deliveries };
+  }
+
+  /**
+   * Put recorded deliveries on the retry queue, due immediately.
+   * @private
+   * @param {Object[]} rows - webhook_delivery_history rows
+   * @returns {Promise<Object[]>}
+   */
+  static async _queueRedeliveries(rows) {
+    const Database = require('../utils/database');
+    const now = new Date().toISOString();
+    const queued = rows.map((row) => ({
+      messageId: crypto.randomUUID(),
+      // Point at the first delivery so repeated redeliveries group together
+      redeliveryOf: row.redelivery_of || row.message_id || `attempt:${row.id}`,
+      webhookId: row.webhook_id,
+      event: row.event,
+      payload: row.payload,
+    }));
+    if (queued.length === 0) return [];
+
+    await Database.runTransaction(async (tx) => {
+      for (const q of queued) {
+        await tx.run(
+          `INSERT INTO webhook_retries (webhook_id, event, payload, attempt, next_retry_at, message_id, redelivery_of)
+           VALUES (?, ?, ?, 0, ?, ?, ?)`,
+          [q.webhookId, q.event, q.payload, now, q.messageId, q.redeliveryOf]
+        );
+      }
+    });
+    return queued.map(({ payload: _payload, ...q }) => q);
+  }
+
   /**
    * Get delivery history for a specific webhook.
    * @param {number} webhookId
@@ -428,17 +639,7 @@ class WebhookService {
     );
 
     const hasMore = rows.length > limit;
-    const items = (hasMore ? rows.slice(0, limit) : rows).map(r => ({
-      id: r.id,
-      webhookId: r.webhook_id,
-      event: r.event,
-      payload: (() => { try { return JSON.parse(r.payload); } catch { return r.payload; } })(),
-      attempt: r.attempt,
-      status: r.status,
-      statusCode: r.status_code,
-      errorMessage: r.error_message,
-      deliveredAt: r.delivered_at,
-    }));
+    const items = (hasMore ? rows.slice(0, limit) : rows).map(r => toDeliveryAttempt(r));
 
     const meta = buildCursorMeta({
       items,
@@ -488,9 +689,10 @@ class WebhookService {
    *
    * @param {string} webhookUrl - Target URL (http or https)
    * @param {Object} payload - Notification payload
+   * @param {string} [event='recurring_donation.persistent_failure'] - Event name sent in the body and X-Stella-Event
    * @returns {Promise<{delivered: boolean, statusCode?: number, error?: string}>}
    */
-  async sendFailureNotification(webhookUrl, payload) {
+  async sendFailureNotification(webhookUrl, payload, event = 'recurring_donation.persistent_failure') {
     if (!webhookUrl) {
       return { delivered: false, error: 'No webhook URL configured' };
     }
@@ -505,7 +707,7 @@ class WebhookService {
 
     const timestamp = new Date().toISOString();
     const body = JSON.stringify({
-      event: 'recurring_donation.persistent_failure',
+      event,
       ...payload,
       timestamp,
       correlationContext: {
@@ -529,7 +731,7 @@ class WebhookService {
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(body),
           'User-Agent': 'Stella-Donation-API/1.0',
-          'X-Stella-Event': 'recurring_donation.persistent_failure',
+          'X-Stella-Event': event,
           'X-Signature-Timestamp': timestamp,
           ...correlationHeaders,
         },
@@ -551,35 +753,45 @@ class WebhookService {
 
   /**
    * Deliver an event to all active webhooks subscribed to it.
+   * Each subscription receives the payload shaped for its pinned payload version.
    * Fires-and-forgets retries; does not block the caller.
    * @param {string} event - Event type e.g. 'transaction.confirmed'
-   * @param {object} payload - Event data
+   * @param {object} payload - Event data (latest version)
    */
   async deliver(event, payload) {
     // Capture correlation context from current request
     const parentContext = getCorrelationContext();
+    if (!webhookEvents.isKnownEvent(event)) {
+      log.warn('WEBHOOK_SERVICE', 'Delivering event missing from the webhook event catalog', { event });
+    }
     let interested = [];
     try {
       const Database = require('../utils/database');
-      interested = await Database.query(
-        `SELECT * FROM webhooks WHERE is_active = 1 AND (events IS NULL OR events LIKE ?)`,
-        [`%${event}%`]
-      );
+      const active = await Database.query(`SELECT * FROM webhooks WHERE is_active = 1`, []);
+      interested = active.filter((webhook) => {
+        if (!webhook.events) return true;
+        let patterns;
+        try { patterns = JSON.parse(webhook.events); } catch { return false; }
+        return webhookEvents.matchesAny(patterns, event);
+      });
     } catch {
       // webhooks table may not exist in all environments
     }
 
     for (const webhook of interested) {
+      const versioned = webhookEvents.formatPayload(event, payload, webhook.payload_version || 1);
+      const delivery = { messageId: crypto.randomUUID() };
       withAsyncContext('webhook_delivery', async () => {
         try {
-          await WebhookService._deliverWithRetry(webhook, event, payload, 0);
+          await WebhookService._deliverWithRetry(webhook, event, versioned, 0, delivery);
         } catch (err) {
           await WebhookService.scheduleRetry({
             webhookId: webhook.id,
             event,
-            payload,
+            payload: versioned,
             attempt: 0,
             lastError: err.message,
+            ...delivery,
           }).catch(() => {});
         }
       }, {
@@ -591,14 +803,26 @@ class WebhookService {
   }
 
   /**
-   * Attempt delivery with exponential backoff retry.
+   * Attempt delivery with exponential backoff retry. Every HTTP attempt is
+   * recorded in webhook_delivery_history with the signed request, response
+   * code and latency.
    * @private
+   * @param {Object} webhook - webhooks row
+   * @param {string} event
+   * @param {Object} payload
+   * @param {number} attempt
+   * @param {{ messageId?: string, redeliveryOf?: string|null }} [delivery] - Identifies the delivery across attempts
    */
-  static async _deliverWithRetry(webhook, event, payload, attempt) {
+  static async _deliverWithRetry(webhook, event, payload, attempt, delivery = {}) {
+    const tracking = {
+      messageId: delivery.messageId || crypto.randomUUID(),
+      redeliveryOf: delivery.redeliveryOf || null,
+    };
     const correlationHeaders = generateCorrelationHeaders();
     const timestamp = new Date().toISOString();
     const body = JSON.stringify({
       event,
+      version: webhook.payload_version || 1,
       data: payload,
       timestamp,
       correlationContext: {
@@ -612,55 +836,67 @@ class WebhookService {
       : '';
     const signature = WebhookService._sign(body, plaintextSecret, timestamp);
 
+    const startedAt = Date.now();
+    let result = null;
+    let error = null;
     try {
-      const result = await WebhookService._httpPost(webhook.url, body, signature, correlationHeaders, !!webhook.tls_skip_verify, webhook.id, timestamp);
-
+      result = await WebhookService._httpPost(webhook.url, body, signature, correlationHeaders, !!webhook.tls_skip_verify, webhook.id, timestamp);
       // A non-2xx response is a delivery failure: it must drive the retry /
       // dead-letter path rather than being recorded as success.
       if (!result.delivered) {
-        throw new Error(`Webhook endpoint responded with HTTP ${result.statusCode}`);
+        error = new Error(`Webhook endpoint responded with HTTP ${result.statusCode}`);
       }
+    } catch (err) {
+      error = err;
+    }
 
-      // Log successful delivery
-      const Database = require('../utils/database');
-      await Database.run(
-        `INSERT INTO webhook_delivery_history (webhook_id, event, payload, attempt, status, status_code)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [webhook.id, event, JSON.stringify(payload), attempt + 1, 'success', result.statusCode]
-      ).catch(() => {});
-      
+    const Database = require('../utils/database');
+    await Database.run(
+      `INSERT INTO webhook_delivery_history
+         (webhook_id, event, payload, attempt, status, status_code, error_message,
+          message_id, redelivery_of, request_body, request_headers, latency_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        webhook.id, event, JSON.stringify(payload), attempt + 1,
+        error ? 'failed' : 'success', result ? result.statusCode : null, error ? error.message : null,
+        tracking.messageId, tracking.redeliveryOf, body,
+        JSON.stringify(WebhookService._signatureHeaders(signature, timestamp)), Date.now() - startedAt,
+      ]
+    ).catch(() => {});
+
+    if (!error) {
       await Database.run(
         `UPDATE webhooks SET consecutive_failures = 0 WHERE id = ?`,
         [webhook.id]
       ).catch(() => {});
       log.debug('WEBHOOK', 'Delivered', { id: webhook.id, event, attempt });
-    } catch (err) {
-      const failures = (webhook.consecutive_failures || 0) + 1;
-      log.warn('WEBHOOK', 'Delivery failed', { id: webhook.id, event, attempt, error: err.message });
+      return;
+    }
 
-      const Database = require('../utils/database');
-      if (failures >= MAX_CONSECUTIVE_FAILURES) {
-        await Database.run(
-          `UPDATE webhooks SET is_active = 0, consecutive_failures = ? WHERE id = ?`,
-          [failures, webhook.id]
-        ).catch(() => {});
-        return;
-      }
+    const failures = (webhook.consecutive_failures || 0) + 1;
+    log.warn('WEBHOOK', 'Delivery failed', { id: webhook.id, event, attempt, error: error.message });
 
+    if (failures >= MAX_CONSECUTIVE_FAILURES) {
       await Database.run(
-        `UPDATE webhooks SET consecutive_failures = ? WHERE id = ?`,
+        `UPDATE webhooks SET is_active = 0, consecutive_failures = ? WHERE id = ?`,
         [failures, webhook.id]
       ).catch(() => {});
+      return;
+    }
 
-      webhook.consecutive_failures = failures;
+    await Database.run(
+      `UPDATE webhooks SET consecutive_failures = ? WHERE id = ?`,
+      [failures, webhook.id]
+    ).catch(() => {});
 
-      if (attempt < MAX_RETRIES - 1) {
-        const delay = BASE_BACKOFF_MS * Math.pow(2, attempt);
-        await new Promise((r) => setTimeout(r, delay)); // eslint-disable-line local/no-bare-timers
-        return WebhookService._deliverWithRetry(webhook, event, payload, attempt + 1);
-      }
-      throw err;
+    webhook.consecutive_failures = failures;
+
+    if (attempt < MAX_RETRIES - 1) {
+      const delay = BASE_BACKOFF_MS * Math.pow(2, attempt);
+      await new Promise((r) => setTimeout(r, delay)); // eslint-disable-line local/no-bare-timers
+      return WebhookService._deliverWithRetry(webhook, event, payload, attempt + 1, tracking);
     }
+    throw error;
   }
 
   /**
@@ -676,6 +912,21 @@ class WebhookService {
     return crypto.createHmac('sha256', secret).update(payload).digest('hex');
   }
 
+  /**
+   * Signature headers sent with a delivery.
+   * @param {string} signature - Hex HMAC from _sign
+   * @param {string} timestamp
+   * @returns {Object}
+   */
+  static _signatureHeaders(signature, timestamp) {
+    return {
+      'X-Signature': `sha256=${signature}`,
+      'X-Signature-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signature}`,
+      'X-Webhook-Timestamp': timestamp,
+    };
+  }
+
   /**
    * POST a JSON body to a URL with a timeout.
    * Validates the URL against SSRF rules before every request (DNS rebinding protection).
@@ -719,10 +970,7 @@ class WebhookService {
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(body),
           'User-Agent': 'Stella-Donation-API/1.0',
-          'X-Signature': `sha256=${signature}`,
-          'X-Signature-Timestamp': timestamp,
-          'X-Webhook-Signature': `sha256=${signature}`,
-          'X-Webhook-Timestamp': timestamp,
+          ...WebhookService._signatureHeaders(signature, timestamp),
           ...correlationHeaders,
         },
         rejectUnauthorized: !tlsSkipVerify,
@@ -55,6 +55,33 @@ class StellarServiceInterface {
     throw new Error('submitSignedTransaction() must be implemented');
   }
 
+  /**
+   * Build an unsigned payment envelope for the source account to sign elsewhere.
+   * @param {string} _sourcePublicKey
+   * @param {string} _destinationPublicKey
+   * @param {string|number} _amount
+   * @param {{ fee?: string, memo?: string, timeout?: number }} [_options]
+   * @returns {Promise<{ xdr: string, hash: string, fee: string, sequence: string, timeBounds: Object }>}
+   */
+  async buildUnsignedPayment(_sourcePublicKey, _destinationPublicKey, _amount, _options = {}) {
+    void _sourcePublicKey;
+    void _destinationPublicKey;
+    void _amount;
+    void _options;
+    throw new Error('buildUnsignedPayment() must be implemented');
+  }
+
+  /**
+   * Decode a transaction envelope (source, fee, memo, time bounds, operations,
+   * signature count and body hash) without submitting it.
+   * @param {string} _xdr - Base64-encoded transaction envelope XDR
+   * @returns {Object}
+   */
+  decodeTransaction(_xdr) {
+    void _xdr;
+    throw new Error('decodeTransaction() must be implemented');
+  }
+
   async buildAndSubmitFeeBumpTransaction(envelopeXdr, newFeeStroops, feeSourceSecret) {
     throw new Error('buildAndSubmitFeeBumpTransaction() must be implemented');
   }
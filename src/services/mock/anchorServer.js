@@ -0,0 +1,249 @@
+/**
+ * Mock SEP-24 Anchor
+ *
+ * RESPONSIBILITY: Offline stand-in for a SEP-24 anchor in tests and local
+ *                 development
+ * OWNER: Backend Team
+ * DEPENDENCIES: express, stellar-sdk (WebAuth), MockStellarService
+ *
+ * Serves stellar.toml, SEP-10 web auth and the SEP-24 deposit endpoints over
+ * plain HTTP (clients need SEP24_ALLOW_HTTP=true). There is no interactive
+ * UI: tests drive a deposit with completeDeposit() / failDeposit(), and
+ * completeDeposit() pays the deposit's account through the mock Stellar
+ * network, so the payment reaches PaymentStreamService like a real one.
+ *
+ * Usage:
+ *   const anchor = createMockAnchor({ stellarService, distributionSecret });
+ *   const { domain } = await anchor.listen();   // e.g. "127.0.0.1:54321"
+ *   ...
+ *   await anchor.close();
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const StellarSdk = require('stellar-sdk');
+
+const TOKEN_TTL_SECONDS = 3600;
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.stellarService - MockStellarService the anchor pays through
+ * @param {string} options.distributionSecret - Funded mock wallet the anchor pays from
+ * @param {string} [options.networkPassphrase=Networks.TESTNET]
+ * @param {string[]} [options.assets=['native']] - Asset codes open for deposit
+ * @param {number} [options.feeFixed=0] - Fee deducted from amount_in
+ * @returns {{ app: Object, transactions: Map, listen: Function, close: Function,
+ *             completeDeposit: Function, failDeposit: Function, setStatus: Function }}
+ */
+function createMockAnchor({
+  stellarService,
+  distributionSecret,
+  networkPassphrase = StellarSdk.Networks.TESTNET,
+  assets = ['native'],
+  feeFixed = 0,
+}) {
+  const signingKeypair = StellarSdk.Keypair.random();
+  const tokenSecret = crypto.randomBytes(32);
+  /** @type {Map<string, Object>} SEP-24 transactions by ID */
+  const transactions = new Map();
+  const app = express();
+  let server = null;
+  let domain = null;
+
+  app.use(express.json());
+
+  const baseUrl = () => `http://${domain}`;
+
+  const issueToken = (account) => {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ iss: baseUrl(), sub: account, iat: now, exp: now + TOKEN_TTL_SECONDS })}`;
+    return `${unsigned}.${crypto.createHmac('sha256', tokenSecret).update(unsigned).digest('base64url')}`;
+  };
+
+  const requireToken = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const [header, payload, signature] = (token || '').split('.');
+    const expected = header && payload
+      ? crypto.createHmac('sha256', tokenSecret).update(`${header}.${payload}`).digest('base64url')
+      : null;
+    if (scheme !== 'Bearer' || !signature || signature !== expected) {
+      return res.status(403).json({ type: 'authentication_required' });
+    }
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp * 1000 < Date.now()) {
+      return res.status(403).json({ type: 'authentication_required' });
+    }
+    req.account = claims.sub;
+    return next();
+  };
+
+  app.get('/.well-known/stellar.toml', (req, res) => {
+    res.type('text/plain').send([
+      `NETWORK_PASSPHRASE="${networkPassphrase}"`,
+      `SIGNING_KEY="${signingKeypair.publicKey()}"`,
+      `WEB_AUTH_ENDPOINT="${baseUrl()}/auth"`,
+      `TRANSFER_SERVER_SEP0024="${baseUrl()}/sep24"`,
+      '',
+    ].join('\n'));
+  });
+
+  app.get('/auth', (req, res) => {
+    if (!req.query.account) {
+      return res.status(400).json({ error: 'account is required' });
+    }
+    try {
+      const transaction = StellarSdk.WebAuth.buildChallengeTx(
+        signingKeypair, req.query.account, domain, 300, networkPassphrase, domain
+      );
+      return res.json({ transaction, network_passphrase: networkPassphrase });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/auth', (req, res) => {
+    try {
+      const { clientAccountID } = StellarSdk.WebAuth.readChallengeTx(
+        req.body.transaction, signingKeypair.publicKey(), networkPassphrase, domain, domain
+      );
+      StellarSdk.WebAuth.verifyChallengeTxSigners(
+        req.body.transaction, signingKeypair.publicKey(), networkPassphrase, [clientAccountID], domain, domain
+      );
+      return res.json({ token: issueToken(clientAccountID) });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/sep24/info', (req, res) => {
+    const deposit = {};
+    for (const code of assets) {
+      deposit[code] = { enabled: true, fee_fixed: feeFixed };
+    }
+    res.json({ deposit, withdraw: {}, fee: { enabled: false } });
+  });
+
+  app.post('/sep24/transactions/deposit/interactive', requireToken, (req, res) => {
+    const { asset_code: assetCode, amount, account, memo, memo_type: memoType } = req.body;
+    if (!assets.includes(assetCode)) {
+      return res.status(400).json({ error: `${assetCode} is not supported` });
+    }
+
+    const id = crypto.randomUUID();
+    transactions.set(id, {
+      id,
+      kind: 'deposit',
+      status: 'incomplete',
+      asset_code: assetCode,
+      amount_in: amount || null,
+      amount_out: null,
+      amount_fee: null,
+      to: account || req.account,
+      deposit_memo: memo || null,
+      deposit_memo_type: memoType || null,
+      stellar_transaction_id: null,
+      started_at: new Date().toISOString(),
+      completed_at: null,
+      more_info_url: `${baseUrl()}/sep24/transactions/${id}`,
+    });
+
+    return res.json({ type: 'interactive_customer_info_needed', url: `${baseUrl()}/sep24/interactive/${id}`, id });
+  });
+
+  app.get('/sep24/transaction', requireToken, (req, res) => {
+    const transaction = transactions.get(req.query.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'transaction not found' });
+    }
+    return res.json({ transaction });
+  });
+
+  /**
+   * Move a deposit to any SEP-24 status without paying.
+   * @param {string} id
+   * @param {string} status
+   * @returns {Object}
+   */
+  function setStatus(id, status) {
+    const transaction = transactions.get(id);
+    if (!transaction) throw new Error(`Unknown anchor transaction ${id}`);
+    transaction.status = status;
+    return transaction;
+  }
+
+  /**
+   * Finish a deposit: pay amount_in minus the fee to the deposit's account
+   * with its memo, then mark it completed.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string|number} [options.amount] - Overrides the amount the donor entered
+   * @returns {Promise<Object>} The completed SEP-24 transaction
+   */
+  async function completeDeposit(id, { amount } = {}) {
+    const transaction = setStatus(id, 'pending_anchor');
+    const amountIn = Number(amount !== undefined ? amount : transaction.amount_in);
+    const amountOut = (amountIn - feeFixed).toFixed(7);
+
+    const result = await stellarService.sendDonation({
+      sourceSecret: distributionSecret,
+      destinationPublic: transaction.to,
+      amount: amountOut,
+      memo: transaction.deposit_memo || undefined,
+    });
+
+    Object.assign(transaction, {
+      status: 'completed',
+      amount_in: amountIn.toFixed(7),
+      amount_out: amountOut,
+      amount_fee: Number(feeFixed).toFixed(7),
+      stellar_transaction_id: result.transactionId,
+      completed_at: new Date().toISOString(),
+    });
+    return transaction;
+  }
+
+  /**
+   * End a deposit without paying.
+   * @param {string} id
+   * @param {string} [status='error']
+   * @returns {Object}
+   */
+  function failDeposit(id, status = 'error') {
+    return setStatus(id, status);
+  }
+
+  /**
+   * Listen on an ephemeral port on 127.0.0.1.
+   * @returns {Promise<{ domain: string, url: string }>}
+   */
+  function listen() {
+    return new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        domain = `127.0.0.1:${server.address().port}`;
+        resolve({ domain, url: baseUrl() });
+      });
+    });
+  }
+
+  /** @returns {Promise<void>} */
+  function close() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    app,
+    transactions,
+    signingKey: signingKeypair.publicKey(),
+    listen,
+    close,
+    setStatus,
+    completeDeposit,
+    failDeposit,
+  };
+}
+
+module.exports = { createMockAnchor };
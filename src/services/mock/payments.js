@@ -5,6 +5,11 @@ const { isSameAsset, serializeAsset } = require('../../utils/stellarAsset');
 
 const NATIVE_ASSET = { type: 'native', code: 'XLM', issuer: null };
 
+/** Mock transaction hash: SHA-256 of the envelope body (signatures excluded). */
+function mockEnvelopeHash(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
 class MockPayments {
   constructor(service) {
     this.service = service;
@@ -38,6 +43,63 @@ class MockPayments {
     }], options);
   }
 
+  /**
+   * Build an unsigned mock payment envelope. The "XDR" is base64-encoded JSON
+   * so tests can inspect and sign it by appending to `signatures`.
+   */
+  async buildUnsignedPayment(sourcePublicKey, destinationPublicKey, amount, options = {}) {
+    if (!this.service.isValidAddress(sourcePublicKey) || !this.service.isValidAddress(destinationPublicKey)) {
+      throw new ValidationError('Invalid source or destination public key');
+    }
+    const body = {
+      source: sourcePublicKey,
+      fee: String(options.fee || 100),
+      sequence: String(Date.now()),
+      memo: options.memo ? { type: 'text', value: options.memo } : { type: 'none', value: null },
+      timeBounds: {
+        minTime: '0',
+        maxTime: String(Math.floor(Date.now() / 1000) + (options.timeout || 30)),
+      },
+      operations: [{
+        type: 'payment',
+        destination: destinationPublicKey,
+        amount: Number(amount).toFixed(7),
+        asset: options.asset || NATIVE_ASSET,
+      }],
+    };
+    return {
+      xdr: Buffer.from(JSON.stringify({ ...body, signatures: [] })).toString('base64'),
+      hash: mockEnvelopeHash(body),
+      fee: body.fee,
+      sequence: body.sequence,
+      timeBounds: body.timeBounds,
+    };
+  }
+
+  /** Decode an envelope produced by buildUnsignedPayment(). */
+  decodeTransaction(xdr) {
+    let envelope;
+    try {
+      envelope = JSON.parse(Buffer.from(String(xdr), 'base64').toString('utf8'));
+    } catch (_) {
+      envelope = null;
+    }
+    if (!envelope || typeof envelope !== 'object' || !Array.isArray(envelope.operations)) {
+      throw new ValidationError('signedXDR is not a valid transaction envelope for this network', null, 'INVALID_XDR');
+    }
+    const { signatures = [], ...body } = envelope;
+    return {
+      hash: mockEnvelopeHash(body),
+      source: body.source,
+      fee: body.fee,
+      sequence: body.sequence,
+      memo: body.memo || { type: 'none', value: null },
+      timeBounds: body.timeBounds || null,
+      operations: body.operations,
+      signatureCount: Array.isArray(signatures) ? signatures.length : 0,
+    };
+  }
+
   async signTransaction(transaction, secretKey) {
     if (!transaction || typeof transaction !== 'object') {
       throw new ValidationError('Invalid transaction');
@@ -108,7 +170,7 @@ class MockPayments {
     return { transactionId, hash, ledger, offerId: Math.floor(Math.random() * 100000) + 1 };
   }
 
-  async sendDonation({ sourceSecret, destinationPublic, amount, memo, memoType = 'text', asset = NATIVE_ASSET, validAfter = 0, validBefore = 0 }) {
+  async sendDonation({ sourceSecret, destinationPublic, amount, memo, memoType = 'text', asset = NATIVE_ASSET, validAfter = 0, validBefore = 0, onSigned = null }) {
     return this.service._executeWithRetry(async () => {
       await this.service._simulateNetworkDelay();
       this.service._checkRateLimit();
@@ -166,6 +228,11 @@ class MockPayments {
 
       this.service._ensureDestinationFunded(destWallet);
 
+      const transactionId = `mock_${crypto.randomBytes(16).toString('hex')}`;
+      if (onSigned) {
+        await onSigned(transactionId);
+      }
+
       this.service._applyAssetTransfer({
         sourceWallet,
         destWallet,
@@ -176,7 +243,7 @@ class MockPayments {
       sourceWallet.sequence = (parseInt(sourceWallet.sequence, 10) + 1).toString();
 
       const transaction = this.service._storeTransaction({
-        transactionId: `mock_${crypto.randomBytes(16).toString('hex')}`,
+        transactionId,
         source: sourceWallet.publicKey,
         destination: destinationPublic,
         amount: Number(amount).toFixed(7),
@@ -331,7 +398,12 @@ class MockPayments {
     });
   }
 
-  async sendBatchDonations(sourceSecret, payments) {
+  async sendBatchDonations(sourceSecret, payments, { onSigned = null } = {}) {
+    // The payments share one hash, like the single transaction they stand for
+    const hash = `mock_${crypto.randomBytes(16).toString('hex')}`;
+    if (onSigned) {
+      await onSigned(hash);
+    }
     let lastResult;
     for (const payment of payments) {
       lastResult = await this.sendDonation({
@@ -340,8 +412,9 @@ class MockPayments {
         amount: payment.amount,
         memo: payment.memo,
       });
+      (await this.getTransaction(lastResult.transactionId)).hash = hash;
     }
-    return { transactionId: lastResult.transactionId, ledger: lastResult.ledger };
+    return { transactionId: hash, ledger: lastResult.ledger };
   }
 
   async getTransactionHistory(publicKey, limit = 10) {
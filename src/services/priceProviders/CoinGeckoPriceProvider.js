@@ -0,0 +1,56 @@
+/**
+ * CoinGecko Price Provider
+ *
+ * RESPONSIBILITY: Fetch XLM/fiat rates from the CoinGecko simple price API
+ * OWNER: Backend Team
+ * DEPENDENCIES: https (built-in)
+ */
+
+const https = require('https');
+const PriceProvider = require('./PriceProvider');
+
+const COINGECKO_BASE_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=stellar&vs_currencies=';
+
+class CoinGeckoPriceProvider extends PriceProvider {
+  get name() {
+    return 'coingecko';
+  }
+
+  /**
+   * Raw HTTP, no extra deps. Sends the COINGECKO_API_KEY demo-plan header when
+   * configured; without a key CoinGecko still answers but with stricter public
+   * rate limits.
+   * @param {string[]} currencies
+   * @returns {Promise<{rates: Object, timestamp: null}>}
+   */
+  fetchRates(currencies) {
+    const options = { timeout: 5000 };
+    if (process.env.COINGECKO_API_KEY) {
+      options.headers = { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY };
+    }
+    return new Promise((resolve, reject) => {
+      https
+        .get(COINGECKO_BASE_URL + currencies.join(','), options, (res) => {
+          let body = '';
+          res.on('data', (chunk) => (body += chunk));
+          res.on('end', () => {
+            try {
+              const json = JSON.parse(body);
+              if (!json.stellar) {
+                return reject(new Error('Unexpected CoinGecko response shape'));
+              }
+              resolve({ rates: json.stellar, timestamp: null }); // { usd: ..., eur: ..., gbp: ... }
+            } catch (e) {
+              reject(e);
+            }
+          });
+        })
+        .on('error', reject)
+        .on('timeout', function () {
+          this.destroy(new Error('CoinGecko request timed out'));
+        });
+    });
+  }
+}
+
+module.exports = CoinGeckoPriceProvider;
@@ -0,0 +1,75 @@
+/**
+ * File Price Provider
+ *
+ * RESPONSIBILITY: Read XLM/fiat rates from a local JSON file
+ * OWNER: Backend Team
+ * DEPENDENCIES: fs (built-in)
+ *
+ * Lets the API run offline (local development, air-gapped deployments,
+ * tests). The file is re-read on every fetch, so an operator or a cron job
+ * can update rates without a restart:
+ *
+ *   { "asOf": "2026-10-01T12:00:00Z", "rates": { "usd": 0.12, "eur": 0.11, "gbp": 0.09 } }
+ *
+ * A bare `{ "usd": 0.12, ... }` map is accepted as well; without `asOf` the
+ * file's modification time is used as the rate timestamp.
+ */
+
+const fs = require('fs');
+const PriceProvider = require('./PriceProvider');
+
+class FilePriceProvider extends PriceProvider {
+  /**
+   * @param {string} filePath - Path to the rates file
+   */
+  constructor(filePath) {
+    super();
+    if (!filePath) {
+      throw new Error('FilePriceProvider requires a file path (PRICE_ORACLE_FILE)');
+    }
+    this.filePath = filePath;
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  /**
+   * @param {string[]} currencies
+   * @returns {Promise<{rates: Object, timestamp: string}>}
+   */
+  async fetchRates(currencies) {
+    const [content, stats] = await Promise.all([
+      fs.promises.readFile(this.filePath, 'utf8'),
+      fs.promises.stat(this.filePath),
+    ]);
+
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid price file ${this.filePath}: ${err.message}`);
+    }
+
+    const source = json && typeof json.rates === 'object' && json.rates !== null ? json.rates : json;
+    const rates = {};
+    for (const [code, price] of Object.entries(source || {})) {
+      const key = code.toLowerCase();
+      if (currencies.includes(key) && typeof price === 'number' && price > 0) {
+        rates[key] = price;
+      }
+    }
+    if (Object.keys(rates).length === 0) {
+      throw new Error(`Price file ${this.filePath} has no rates for ${currencies.join(', ')}`);
+    }
+
+    const asOf = json.asOf ? new Date(json.asOf) : stats.mtime;
+    if (Number.isNaN(asOf.getTime())) {
+      throw new Error(`Invalid asOf timestamp in price file ${this.filePath}`);
+    }
+
+    return { rates, timestamp: asOf.toISOString() };
+  }
+}
+
+module.exports = FilePriceProvider;
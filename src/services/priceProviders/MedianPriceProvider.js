@@ -0,0 +1,105 @@
+/**
+ * Median Price Provider
+ *
+ * RESPONSIBILITY: Combine several price providers into one rate per currency
+ * OWNER: Backend Team
+ * DEPENDENCIES: PriceProvider implementations, log utility
+ *
+ * All providers are asked in parallel. For each currency, prices more than
+ * maxDeviation away from the median of all answers are rejected as outliers
+ * and the rate is the median of what is left. A currency is dropped when fewer
+ * than minSources prices survive; two sources that disagree by more than the
+ * threshold therefore cancel each other out rather than one of them winning.
+ */
+
+const PriceProvider = require('./PriceProvider');
+const log = require('../../utils/log');
+
+/**
+ * @param {number[]} values - Non-empty
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+class MedianPriceProvider extends PriceProvider {
+  /**
+   * @param {PriceProvider[]} providers
+   * @param {Object} [options]
+   * @param {number} [options.maxDeviation=0.05] - Largest accepted |price - median| / median
+   * @param {number} [options.minSources=1] - Prices that must survive for a currency to be quoted
+   */
+  constructor(providers, { maxDeviation = 0.05, minSources = 1 } = {}) {
+    super();
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error('MedianPriceProvider requires at least one provider');
+    }
+    this.providers = providers;
+    this.maxDeviation = maxDeviation;
+    this.minSources = minSources;
+  }
+
+  get name() {
+    return `median(${this.providers.map(p => p.name).join(',')})`;
+  }
+
+  /**
+   * @param {string[]} currencies
+   * @returns {Promise<{rates: Object, timestamp: null, sources: Object}>} sources maps
+   *   each currency to a label naming the providers its rate was taken from
+   */
+  async fetchRates(currencies) {
+    const results = await Promise.allSettled(this.providers.map(p => p.fetchRates(currencies)));
+
+    const answers = {}; // currency -> [{ source, price }]
+    const failures = [];
+    results.forEach((result, i) => {
+      const source = this.providers[i].name;
+      if (result.status === 'rejected') {
+        failures.push(`${source}: ${result.reason && result.reason.message}`);
+        return;
+      }
+      for (const currency of currencies) {
+        const price = Number(result.value.rates && result.value.rates[currency]);
+        if (price > 0 && Number.isFinite(price)) {
+          (answers[currency] = answers[currency] || []).push({ source, price });
+        }
+      }
+    });
+    if (failures.length > 0) {
+      log.warn('PRICE_ORACLE', 'Price providers failed', { failures });
+    }
+
+    const rates = {};
+    const sources = {};
+    for (const [currency, quotes] of Object.entries(answers)) {
+      const center = median(quotes.map(q => q.price));
+      const accepted = quotes.filter(q => Math.abs(q.price - center) / center <= this.maxDeviation);
+      const rejected = quotes.filter(q => !accepted.includes(q));
+      if (rejected.length > 0) {
+        log.warn('PRICE_ORACLE', 'Rejected outlier prices', { currency, median: center, rejected });
+      }
+      if (accepted.length < this.minSources) {
+        log.warn('PRICE_ORACLE', 'Not enough agreeing prices', {
+          currency, accepted: accepted.length, required: this.minSources,
+        });
+        continue;
+      }
+      rates[currency] = median(accepted.map(q => q.price));
+      sources[currency] = accepted.length === 1
+        ? accepted[0].source
+        : `median(${accepted.map(q => q.source).join(',')})`;
+    }
+
+    if (Object.keys(rates).length === 0) {
+      throw new Error(`No agreed price for ${currencies.join(', ')}${failures.length ? ` (${failures.join('; ')})` : ''}`);
+    }
+    return { rates, timestamp: null, sources };
+  }
+}
+
+module.exports = MedianPriceProvider;
+module.exports.median = median;
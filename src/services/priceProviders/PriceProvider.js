@@ -0,0 +1,37 @@
+/**
+ * PriceProvider Interface
+ *
+ * RESPONSIBILITY: Define interface for XLM/fiat exchange rate sources
+ * OWNER: Backend Team
+ *
+ * Provides pluggable architecture for rate sources (CoinGecko, a local
+ * file for offline deployments, etc.). PriceOracleService owns caching;
+ * providers only fetch.
+ */
+
+/**
+ * Base price provider interface
+ * All price providers must implement these methods
+ */
+class PriceProvider {
+  /**
+   * Short identifier recorded as the rate source on quotes and donations
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('PriceProvider.name must be implemented by subclass');
+  }
+
+  /**
+   * Fetch current XLM prices
+   * @param {string[]} currencies - Lowercase currency codes, e.g. ['usd', 'eur']
+   * @returns {Promise<{rates: Object, timestamp: string|null}>} rates maps each
+   *   currency to the price of 1 XLM in it; timestamp is when the source
+   *   observed the rates, or null when the fetch time should be used
+   */
+  async fetchRates(currencies) {
+    throw new Error('PriceProvider.fetchRates() must be implemented by subclass');
+  }
+}
+
+module.exports = PriceProvider;
@@ -0,0 +1,98 @@
+/**
+ * Stellar DEX Price Provider
+ *
+ * RESPONSIBILITY: Derive XLM/fiat rates from the mid-price of Stellar DEX order books
+ * OWNER: Backend Team
+ * DEPENDENCIES: StellarService (getOrderBook)
+ *
+ * Each currency is priced against a fiat-backed Stellar asset, configured as
+ * PRICE_ORACLE_DEX_ASSETS, e.g. "usd=USDC:GA5Z...,eur=EURC:GDHU...". The rate
+ * is the midpoint of the best bid and best ask of the XLM/asset book. Books
+ * with one empty side or a spread wider than PRICE_ORACLE_DEX_MAX_SPREAD are
+ * skipped: a thin book is easy to move and should not set a donation's value.
+ */
+
+const PriceProvider = require('./PriceProvider');
+
+const DEFAULT_MAX_SPREAD = 0.05;
+
+/**
+ * Parse "usd=USDC:ISSUER,eur=EURC:ISSUER" into { usd: 'USDC:ISSUER', ... }.
+ * @param {string} value
+ * @returns {Object}
+ * @throws {Error} For an entry that is not "currency=CODE:ISSUER"
+ */
+function parseAssets(value) {
+  const assets = {};
+  for (const entry of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [currency, asset] = entry.split('=').map(s => (s || '').trim());
+    if (!currency || !asset || !/^[^:]+:[^:]+$/.test(asset)) {
+      throw new Error(`Invalid PRICE_ORACLE_DEX_ASSETS entry "${entry}". Use currency=CODE:ISSUER`);
+    }
+    assets[currency.toLowerCase()] = asset;
+  }
+  return assets;
+}
+
+class StellarDexPriceProvider extends PriceProvider {
+  /**
+   * @param {Object} assets - Currency code → "CODE:ISSUER" of the asset that tracks it
+   * @param {Object} [options]
+   * @param {number} [options.maxSpread=0.05] - Widest (ask - bid) / mid accepted
+   * @param {Object} [options.stellarService] - Defaults to the configured StellarService
+   */
+  constructor(assets, { maxSpread = DEFAULT_MAX_SPREAD, stellarService = null } = {}) {
+    super();
+    if (!assets || Object.keys(assets).length === 0) {
+      throw new Error('StellarDexPriceProvider requires at least one asset (PRICE_ORACLE_DEX_ASSETS)');
+    }
+    this.assets = assets;
+    this.maxSpread = maxSpread;
+    this.stellarService = stellarService;
+  }
+
+  get name() {
+    return 'stellar-dex';
+  }
+
+  /**
+   * @param {string[]} currencies
+   * @returns {Promise<{rates: Object, timestamp: null}>}
+   */
+  async fetchRates(currencies) {
+    // Required lazily: config/stellar builds the service on first use
+    const service = this.stellarService || require('../../config/stellar').getStellarService();
+    const rates = {};
+    const problems = [];
+
+    for (const currency of currencies) {
+      const asset = this.assets[currency];
+      if (!asset) continue;
+      try {
+        const book = await service.getOrderBook('XLM', asset, 1);
+        const bid = book.bids && book.bids[0] ? Number(book.bids[0].price) : NaN;
+        const ask = book.asks && book.asks[0] ? Number(book.asks[0].price) : NaN;
+        if (!(bid > 0) || !(ask > 0)) {
+          problems.push(`${currency}: empty order book`);
+          continue;
+        }
+        const mid = (bid + ask) / 2;
+        if ((ask - bid) / mid > this.maxSpread) {
+          problems.push(`${currency}: spread too wide`);
+          continue;
+        }
+        rates[currency] = mid;
+      } catch (err) {
+        problems.push(`${currency}: ${err.message}`);
+      }
+    }
+
+    if (Object.keys(rates).length === 0) {
+      throw new Error(`No usable DEX prices for ${currencies.join(', ')}${problems.length ? ` (${problems.join('; ')})` : ''}`);
+    }
+    return { rates, timestamp: null };
+  }
+}
+
+module.exports = StellarDexPriceProvider;
+module.exports.parseAssets = parseAssets;
@@ -0,0 +1,71 @@
+'use strict';
+
+const CoinGeckoPriceProvider = require('./CoinGeckoPriceProvider');
+const FilePriceProvider = require('./FilePriceProvider');
+const StellarDexPriceProvider = require('./StellarDexPriceProvider');
+const MedianPriceProvider = require('./MedianPriceProvider');
+const PriceProvider = require('./PriceProvider');
+
+const PROVIDER_TYPES = ['coingecko', 'file', 'dex'];
+
+/**
+ * @param {string} providerType
+ * @returns {PriceProvider}
+ */
+function createProvider(providerType) {
+  if (providerType === 'coingecko') {
+    return new CoinGeckoPriceProvider();
+  }
+
+  if (providerType === 'file') {
+    return new FilePriceProvider(process.env.PRICE_ORACLE_FILE);
+  }
+
+  if (providerType === 'dex') {
+    const maxSpread = process.env.PRICE_ORACLE_DEX_MAX_SPREAD;
+    return new StellarDexPriceProvider(
+      StellarDexPriceProvider.parseAssets(process.env.PRICE_ORACLE_DEX_ASSETS),
+      maxSpread !== undefined ? { maxSpread: parseFloat(maxSpread) } : {}
+    );
+  }
+
+  // Unknown provider — fail loudly rather than quoting from the wrong source.
+  throw new Error(
+    `Unknown PRICE_ORACLE_PROVIDER value: "${providerType}". ` +
+    `Valid values: ${PROVIDER_TYPES.map(t => `"${t}"`).join(', ')}.`
+  );
+}
+
+/**
+ * Return the configured price provider.
+ * PRICE_ORACLE_PROVIDER env var: 'coingecko' (default) | 'file' | 'dex', or a
+ * comma-separated list of them, which are combined by median with outlier
+ * rejection (PRICE_ORACLE_MAX_DEVIATION, PRICE_ORACLE_MIN_SOURCES).
+ * The file provider reads PRICE_ORACLE_FILE; the DEX provider reads
+ * PRICE_ORACLE_DEX_ASSETS.
+ */
+function getPriceProvider() {
+  const providerTypes = (process.env.PRICE_ORACLE_PROVIDER || 'coingecko')
+    .split(',')
+    .map(t => t.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = providerTypes.map(createProvider);
+  if (providers.length === 1) {
+    return providers[0];
+  }
+
+  return new MedianPriceProvider(providers, {
+    maxDeviation: parseFloat(process.env.PRICE_ORACLE_MAX_DEVIATION || '0.05'),
+    minSources: parseInt(process.env.PRICE_ORACLE_MIN_SOURCES || '1', 10),
+  });
+}
+
+module.exports = {
+  getPriceProvider,
+  PriceProvider,
+  CoinGeckoPriceProvider,
+  FilePriceProvider,
+  StellarDexPriceProvider,
+  MedianPriceProvider,
+};
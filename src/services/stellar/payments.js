@@ -1,6 +1,7 @@
 const StellarSdk = require('stellar-sdk');
 const StellarErrorHandler = require('../../utils/stellarErrorHandler');
 const log = require('../../utils/log');
+const { ValidationError } = require('../../utils/errors');
 const { withTimeout } = require('../../utils/timeoutHandler');
 const { toStellarSdkAsset, serializeAsset, isSameAsset, normalizeHorizonAsset } = require('../../utils/stellarAsset');
 
@@ -47,6 +48,77 @@ class StellarPayments {
     }], options);
   }
 
+  /**
+   * Build an unsigned payment for the source account to sign elsewhere.
+   * options.fee (stroops), options.memo (text) and options.timeout (seconds)
+   * are locked into the envelope.
+   * @returns {Promise<{ xdr: string, hash: string, fee: string, sequence: string, timeBounds: { minTime: string, maxTime: string } }>}
+   */
+  async buildUnsignedPayment(sourcePublicKey, destinationPublicKey, amount, options = {}) {
+    const transaction = await this.buildPaymentTransaction(sourcePublicKey, destinationPublicKey, amount, options);
+    return {
+      xdr: transaction.toXDR(),
+      hash: transaction.hash().toString('hex'),
+      fee: transaction.fee,
+      sequence: transaction.sequence,
+      timeBounds: transaction.timeBounds,
+    };
+  }
+
+  /**
+   * Decode a transaction envelope so it can be checked before submission.
+   * The hash covers the transaction body only, so it is the same before and
+   * after signing. Fee-bump envelopes are described by their inner transaction.
+   * @param {string} xdr - Base64 transaction envelope
+   * @returns {{ hash: string, source: string, fee: string, sequence: string,
+   *   memo: { type: string, value: string|null }, timeBounds: Object|null,
+   *   operations: Object[], signatureCount: number }}
+   * @throws {ValidationError} INVALID_XDR when the envelope cannot be parsed
+   */
+  decodeTransaction(xdr) {
+    let transaction;
+    try {
+      transaction = StellarSdk.TransactionBuilder.fromXDR(xdr, this.service.networkPassphrase);
+    } catch (_) {
+      throw new ValidationError('signedXDR is not a valid transaction envelope for this network', null, 'INVALID_XDR');
+    }
+    if (transaction instanceof StellarSdk.FeeBumpTransaction) {
+      transaction = transaction.innerTransaction;
+    }
+
+    const memo = transaction.memo;
+    let memoValue = null;
+    if (memo && memo.value !== null && memo.value !== undefined) {
+      if (Buffer.isBuffer(memo.value)) {
+        memoValue = memo.type === 'text' ? memo.value.toString('utf8') : memo.value.toString('hex');
+      } else {
+        memoValue = String(memo.value);
+      }
+    }
+
+    return {
+      hash: transaction.hash().toString('hex'),
+      source: transaction.source,
+      fee: transaction.fee,
+      sequence: transaction.sequence,
+      memo: { type: memo ? memo.type : 'none', value: memoValue },
+      timeBounds: transaction.timeBounds || null,
+      operations: transaction.operations.map((op) => ({
+        type: op.type,
+        // Set only when the operation overrides the transaction source
+        source: op.source || null,
+        destination: op.destination || null,
+        amount: op.amount || null,
+        asset: op.asset
+          ? normalizeHorizonAsset(op.asset.isNative()
+            ? { asset_type: 'native' }
+            : { asset_type: 'credit_alphanum', asset_code: op.asset.getCode(), asset_issuer: op.asset.getIssuer() })
+          : null,
+      })),
+      signatureCount: transaction.signatures.length,
+    };
+  }
+
   async signTransaction(transaction, secretKey) {
     return StellarErrorHandler.wrap(async () => {
       const keypair = StellarSdk.Keypair.fromSecret(secretKey);
@@ -86,7 +158,13 @@ class StellarPayments {
     }, 'submitSignedTransaction');
   }
 
-  async sendDonation({ sourceSecret, destinationPublic, amount, memo = '', memoType = 'text', asset = null, validAfter = 0, validBefore = 0 }) {
+  /**
+   * Pay a donation from a custodial wallet.
+   * @param {Object} params
+   * @param {Function} [params.onSigned] - Awaited with the transaction hash before it is submitted;
+   *   if it throws, nothing is submitted
+   */
+  async sendDonation({ sourceSecret, destinationPublic, amount, memo = '', memoType = 'text', asset = null, validAfter = 0, validBefore = 0, onSigned = null }) {
     return StellarErrorHandler.wrap(async () => {
       const sourceKeypair = StellarSdk.Keypair.fromSecret(sourceSecret);
       const sourceAccount = await this.service._executeWithRetry(
@@ -147,6 +225,9 @@ class StellarPayments {
       builtTx.sign(sourceKeypair);
 
       const envelopeXdr = builtTx.toEnvelope().toXDR('base64');
+      if (onSigned) {
+        await onSigned(builtTx.hash().toString('hex'));
+      }
       const result = await this.service._submitTransactionWithNetworkSafety(builtTx);
       return {
         transactionId: result.hash,
@@ -304,7 +385,15 @@ class StellarPayments {
     }, 'pathPayment');
   }
 
-  async sendBatchDonations(sourceSecret, payments) {
+  /**
+   * Pay several destinations in one transaction.
+   * @param {string} sourceSecret
+   * @param {Array<{ destinationPublic: string, amount: string|number }>} payments
+   * @param {Object} [options]
+   * @param {Function} [options.onSigned] - Awaited with the transaction hash before it is submitted;
+   *   if it throws, nothing is submitted
+   */
+  async sendBatchDonations(sourceSecret, payments, { onSigned = null } = {}) {
     return StellarErrorHandler.wrap(async () => {
       const sourceKeypair = StellarSdk.Keypair.fromSecret(sourceSecret);
       const sourceAccount = await this.service._executeWithRetry(
@@ -329,6 +418,9 @@ class StellarPayments {
       builtTx.sign(sourceKeypair);
 
       const envelopeXdr = builtTx.toEnvelope().toXDR('base64');
+      if (onSigned) {
+        await onSigned(builtTx.hash().toString('hex'));
+      }
       const result = await this.service._submitTransactionWithNetworkSafety(builtTx);
       return {
         transactionId: result.hash,
@@ -607,11 +699,18 @@ class StellarPayments {
 
   async getTransaction(transactionHash) {
     return StellarErrorHandler.wrap(async () => {
-      const tx = await this.service._executeWithRetry(
-        () => this.service.server.transaction(transactionHash).call(),
-        'getTransaction'
-      );
-      return tx;
+      try {
+        return await this.service._executeWithRetry(
+          () => this.service.server.transaction(transactionHash).call(),
+          'getTransaction'
+        );
+      } catch (error) {
+        // Classified as TRANSACTION_NOT_FOUND (404) rather than a generic Stellar error
+        if (error.response && error.response.status === 404) {
+          throw new Error('Transaction not found');
+        }
+        throw error;
+      }
     }, 'getTransaction');
   }
 
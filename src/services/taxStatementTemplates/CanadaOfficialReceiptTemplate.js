@@ -0,0 +1,56 @@
+/**
+ * Canada Official Donation Receipt Template
+ *
+ * RESPONSIBILITY: Annual official receipt for income tax purposes for Canadian donors
+ * OWNER: Compliance Team
+ * DEPENDENCIES: TaxStatementTemplate
+ *
+ * Carries the fields the CRA requires on an official receipt for a gift in
+ * kind: the registration number, place of issue, a description of the
+ * property, the eligible amount and the advantage (always nil here), and the
+ * CRA website. Values are stated in CAD, so PRICE_ORACLE_CURRENCIES must
+ * include cad.
+ */
+
+const TaxStatementTemplate = require('./TaxStatementTemplate');
+
+class CanadaOfficialReceiptTemplate extends TaxStatementTemplate {
+  get code() {
+    return 'CA';
+  }
+
+  get name() {
+    return 'Canadian official donation receipt';
+  }
+
+  get currency() {
+    return 'cad';
+  }
+
+  get requiredSettings() {
+    return [...super.requiredSettings, { field: 'caRegistrationNumber', env: 'ORGANIZATION_CA_REGISTRATION_NUMBER' }];
+  }
+
+  organization(settings = {}) {
+    return { ...super.organization(settings), registrationNumber: settings.caRegistrationNumber };
+  }
+
+  details(statement) {
+    const { organization, totals } = statement;
+    return {
+      title: 'Official Receipt for Income Tax Purposes',
+      formType: null,
+      notices: ['Canada Revenue Agency: canada.ca/charities-giving'],
+      fields: {
+        registrationNumber: organization.registrationNumber,
+        placeOfIssue: [organization.city, organization.state].filter(Boolean).join(', ') || null,
+        giftInKind: 'Stellar Lumens (XLM), cryptocurrency, valued at the exchange rate recorded for the hour of each donation',
+        amountOfGift: totals.deductibleValue,
+        advantage: 0,
+        eligibleAmount: totals.deductibleValue,
+      },
+    };
+  }
+}
+
+module.exports = CanadaOfficialReceiptTemplate;
@@ -0,0 +1,92 @@
+/**
+ * TaxStatementTemplate Interface
+ *
+ * RESPONSIBILITY: Define what a jurisdiction contributes to an annual tax statement
+ * OWNER: Compliance Team
+ * DEPENDENCIES: errors utility
+ *
+ * TaxStatementService computes the donations, fair market values, refund and
+ * match adjustments and totals; a template decides the currency values are
+ * stated in, the dates a tax year covers, the organisation details that must
+ * be printed and the jurisdiction's own title, notices and fields.
+ */
+
+const { ValidationError } = require('../../utils/errors');
+
+class TaxStatementTemplate {
+  /**
+   * Jurisdiction code used in the API, e.g. 'US'
+   * @returns {string}
+   */
+  get code() {
+    throw new Error('TaxStatementTemplate.code must be implemented by subclass');
+  }
+
+  /** @returns {string} Human-readable name of the template */
+  get name() {
+    throw new Error('TaxStatementTemplate.name must be implemented by subclass');
+  }
+
+  /** @returns {string} Lowercase currency values are stated in, e.g. 'usd' */
+  get currency() {
+    throw new Error('TaxStatementTemplate.currency must be implemented by subclass');
+  }
+
+  /**
+   * Organisation settings the statement cannot be issued without, as
+   * { field, env } pairs of config.taxReceipt keys and their variables.
+   * @returns {Array<{field: string, env: string}>}
+   */
+  get requiredSettings() {
+    return [{ field: 'legalName', env: 'ORGANIZATION_LEGAL_NAME' }];
+  }
+
+  /**
+   * Period a tax year covers. Calendar year (UTC) unless overridden.
+   * @param {number} year
+   * @returns {{start: Date, end: Date}} end is exclusive
+   */
+  period(year) {
+    return {
+      start: new Date(Date.UTC(year, 0, 1)),
+      end: new Date(Date.UTC(year + 1, 0, 1)),
+    };
+  }
+
+  /**
+   * Organisation block of the statement.
+   * @param {Object} settings - config.taxReceipt
+   * @returns {Object}
+   * @throws {ValidationError} CONFIGURATION_ERROR when a required setting is missing
+   */
+  organization(settings = {}) {
+    const missing = this.requiredSettings.filter(s => !settings[s.field]).map(s => s.env);
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `${this.name} statements require ${missing.join(', ')}`,
+        { jurisdiction: this.code, missing },
+        'CONFIGURATION_ERROR'
+      );
+    }
+    return {
+      legalName: settings.legalName,
+      address: settings.address || null,
+      city: settings.city || null,
+      state: settings.state || null,
+      zipCode: settings.zipCode || null,
+      email: settings.email || null,
+      website: settings.website || null,
+    };
+  }
+
+  /**
+   * Jurisdiction-specific part of a statement.
+   * @param {Object} statement - Statement built so far (lines, totals, organization, donor)
+   * @returns {{title: string, formType: string|null, notices: string[], fields: Object}}
+   */
+  details(statement) {
+    throw new Error('TaxStatementTemplate.details() must be implemented by subclass');
+  }
+}
+
+module.exports = TaxStatementTemplate;
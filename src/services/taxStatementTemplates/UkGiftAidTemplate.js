@@ -0,0 +1,64 @@
+/**
+ * UK Gift Aid Statement Template
+ *
+ * RESPONSIBILITY: Annual donation statement for UK donors with the Gift Aid declaration wording
+ * OWNER: Compliance Team
+ * DEPENDENCIES: TaxStatementTemplate
+ *
+ * UK tax years run from 6 April to 5 April, and a statement for "2025" covers
+ * 6 April 2025 – 5 April 2026. Values are stated in GBP. The declaration text
+ * is HMRC's model wording; the donor's name and home address must be on a
+ * declaration for the charity to claim.
+ */
+
+const TaxStatementTemplate = require('./TaxStatementTemplate');
+
+const GIFT_AID_DECLARATION =
+  'I want to Gift Aid my donation and any donations I make in the future or have made in the past 4 years. ' +
+  'I am a UK taxpayer and understand that if I pay less Income Tax and/or Capital Gains Tax than the amount ' +
+  'of Gift Aid claimed on all my donations in that tax year it is my responsibility to pay any difference.';
+
+class UkGiftAidTemplate extends TaxStatementTemplate {
+  get code() {
+    return 'UK';
+  }
+
+  get name() {
+    return 'UK Gift Aid donation statement';
+  }
+
+  get currency() {
+    return 'gbp';
+  }
+
+  get requiredSettings() {
+    return [...super.requiredSettings, { field: 'ukCharityNumber', env: 'ORGANIZATION_UK_CHARITY_NUMBER' }];
+  }
+
+  period(year) {
+    return {
+      start: new Date(Date.UTC(year, 3, 6)),
+      end: new Date(Date.UTC(year + 1, 3, 6)),
+    };
+  }
+
+  organization(settings = {}) {
+    return { ...super.organization(settings), charityNumber: settings.ukCharityNumber };
+  }
+
+  details(statement) {
+    return {
+      title: 'Gift Aid Donation Statement',
+      formType: null,
+      notices: [GIFT_AID_DECLARATION],
+      fields: {
+        charityNumber: statement.organization.charityNumber,
+        taxYear: `${statement.taxYear}-${String(statement.taxYear + 1).slice(-2)}`,
+        declarationRequires: ['full name', 'house name or number', 'postcode'],
+      },
+    };
+  }
+}
+
+module.exports = UkGiftAidTemplate;
+module.exports.GIFT_AID_DECLARATION = GIFT_AID_DECLARATION;
@@ -0,0 +1,68 @@
+/**
+ * US Form 8283 Statement Template
+ *
+ * RESPONSIBILITY: Annual contribution statement for US donors of noncash property
+ * OWNER: Compliance Team
+ * DEPENDENCIES: TaxStatementTemplate
+ *
+ * The IRS treats cryptocurrency as noncash property: a donor deducting more
+ * than $500 of it files Form 8283 Section A, and more than $5,000 needs a
+ * qualified appraisal (Section B). The statement says which applies so the
+ * donor's preparer does not have to work it out from the totals.
+ */
+
+const TaxStatementTemplate = require('./TaxStatementTemplate');
+
+const SECTION_A_THRESHOLD = 500;
+const SECTION_B_THRESHOLD = 5000;
+
+class UsForm8283Template extends TaxStatementTemplate {
+  get code() {
+    return 'US';
+  }
+
+  get name() {
+    return 'US Form 8283 contribution statement';
+  }
+
+  get currency() {
+    return 'usd';
+  }
+
+  get requiredSettings() {
+    return [...super.requiredSettings, { field: 'ein', env: 'ORGANIZATION_EIN' }];
+  }
+
+  organization(settings = {}) {
+    return { ...super.organization(settings), ein: settings.ein };
+  }
+
+  details(statement) {
+    const deductible = statement.totals.deductibleValue || 0;
+    let section = null;
+    if (deductible > SECTION_B_THRESHOLD) section = 'B';
+    else if (deductible > SECTION_A_THRESHOLD) section = 'A';
+
+    const notices = ['No goods or services were provided in exchange for these contributions.'];
+    if (section === 'B') {
+      notices.push('Noncash contributions over $5,000 require a qualified appraisal (Form 8283, Section B).');
+    }
+    if (statement.totals.unpricedCount > 0) {
+      notices.push('Some donations have no recorded exchange rate; their fair market value must be determined separately.');
+    }
+
+    return {
+      title: 'Annual Contribution Statement',
+      formType: '8283',
+      notices,
+      fields: {
+        ein: statement.organization.ein,
+        propertyDescription: 'Stellar Lumens (XLM), cryptocurrency',
+        valuationMethod: 'Exchange rate recorded for the hour of each donation',
+        form8283Section: section,
+      },
+    };
+  }
+}
+
+module.exports = UsForm8283Template;
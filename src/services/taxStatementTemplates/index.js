@@ -0,0 +1,58 @@
+'use strict';
+
+const TaxStatementTemplate = require('./TaxStatementTemplate');
+const UsForm8283Template = require('./UsForm8283Template');
+const UkGiftAidTemplate = require('./UkGiftAidTemplate');
+const CanadaOfficialReceiptTemplate = require('./CanadaOfficialReceiptTemplate');
+const { ValidationError } = require('../../utils/errors');
+
+const templates = new Map();
+
+/**
+ * Add a jurisdiction, or replace the template of an existing one.
+ * @param {TaxStatementTemplate} template
+ */
+function registerTemplate(template) {
+  if (!(template instanceof TaxStatementTemplate)) {
+    throw new Error('registerTemplate() expects a TaxStatementTemplate');
+  }
+  templates.set(template.code.toUpperCase(), template);
+}
+
+/**
+ * @param {string} code - Jurisdiction code, case-insensitive
+ * @returns {TaxStatementTemplate}
+ * @throws {ValidationError} UNSUPPORTED_JURISDICTION
+ */
+function getTemplate(code) {
+  const template = templates.get(String(code || '').toUpperCase());
+  if (!template) {
+    throw new ValidationError(
+      `Unsupported jurisdiction: ${code}. Supported: ${[...templates.keys()].join(', ')}`,
+      null,
+      'UNSUPPORTED_JURISDICTION'
+    );
+  }
+  return template;
+}
+
+/**
+ * @returns {Array<{code: string, name: string, currency: string}>}
+ */
+function listTemplates() {
+  return [...templates.values()].map(t => ({ code: t.code, name: t.name, currency: t.currency.toUpperCase() }));
+}
+
+registerTemplate(new UsForm8283Template());
+registerTemplate(new UkGiftAidTemplate());
+registerTemplate(new CanadaOfficialReceiptTemplate());
+
+module.exports = {
+  registerTemplate,
+  getTemplate,
+  listTemplates,
+  TaxStatementTemplate,
+  UsForm8283Template,
+  UkGiftAidTemplate,
+  CanadaOfficialReceiptTemplate,
+};
@@ -0,0 +1,130 @@
+/**
+ * Campaign State Machine
+ *
+ * RESPONSIBILITY: Define campaign lifecycle states and the transitions allowed between them
+ * OWNER: Backend Team
+ * DEPENDENCIES: errors
+ *
+ *   draft     → submitted | archived
+ *   submitted → approved | draft (changes requested)
+ *   approved  → live | archived
+ *   live      → paused | closed
+ *   paused    → live | closed
+ *   closed    → archived
+ *
+ * Only live campaigns accept donations. Archived is terminal.
+ */
+
+'use strict';
+
+const { ValidationError, ConflictError, BusinessLogicError } = require('./errors');
+
+const CAMPAIGN_STATES = Object.freeze({
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  LIVE: 'live',
+  PAUSED: 'paused',
+  CLOSED: 'closed',
+  ARCHIVED: 'archived',
+});
+
+/**
+ * Statuses written before the lifecycle existed. Crowdfunding settlement
+ * still closes all-or-nothing campaigns as released or refunded.
+ */
+const LEGACY_STATE_ALIASES = Object.freeze({
+  active: CAMPAIGN_STATES.LIVE,
+  completed: CAMPAIGN_STATES.CLOSED,
+  cancelled: CAMPAIGN_STATES.CLOSED,
+  expired: CAMPAIGN_STATES.CLOSED,
+  released: CAMPAIGN_STATES.CLOSED,
+  refunded: CAMPAIGN_STATES.CLOSED,
+});
+
+const VALID_TRANSITIONS = Object.freeze({
+  [CAMPAIGN_STATES.DRAFT]: new Set([CAMPAIGN_STATES.SUBMITTED, CAMPAIGN_STATES.ARCHIVED]),
+  [CAMPAIGN_STATES.SUBMITTED]: new Set([CAMPAIGN_STATES.APPROVED, CAMPAIGN_STATES.DRAFT]),
+  [CAMPAIGN_STATES.APPROVED]: new Set([CAMPAIGN_STATES.LIVE, CAMPAIGN_STATES.ARCHIVED]),
+  [CAMPAIGN_STATES.LIVE]: new Set([CAMPAIGN_STATES.PAUSED, CAMPAIGN_STATES.CLOSED]),
+  [CAMPAIGN_STATES.PAUSED]: new Set([CAMPAIGN_STATES.LIVE, CAMPAIGN_STATES.CLOSED]),
+  [CAMPAIGN_STATES.CLOSED]: new Set([CAMPAIGN_STATES.ARCHIVED]),
+  [CAMPAIGN_STATES.ARCHIVED]: new Set(),
+});
+
+const normalizeState = (state) => {
+  // The status column defaults to the legacy 'active'
+  if (!state) {
+    return CAMPAIGN_STATES.LIVE;
+  }
+  const normalized = String(state).toLowerCase().trim();
+  return LEGACY_STATE_ALIASES[normalized] || normalized;
+};
+
+/**
+ * Every stored status that means `state`, legacy names included, for SQL filters.
+ * @param {string} state
+ * @returns {string[]}
+ */
+const storedStatusesFor = (state) => [
+  state,
+  ...Object.keys(LEGACY_STATE_ALIASES).filter((legacy) => LEGACY_STATE_ALIASES[legacy] === state),
+];
+
+const isValidState = (state) => Object.values(CAMPAIGN_STATES).includes(state);
+
+const isTerminal = (state) => VALID_TRANSITIONS[state] !== undefined && VALID_TRANSITIONS[state].size === 0;
+
+const isLive = (status) => normalizeState(status) === CAMPAIGN_STATES.LIVE;
+
+const assertValidState = (state) => {
+  if (!isValidState(state)) {
+    throw new ValidationError(
+      `Status must be one of: ${Object.values(CAMPAIGN_STATES).join(', ')}`,
+      null,
+      'INVALID_STATUS'
+    );
+  }
+};
+
+const canTransition = (fromState, toState) =>
+  Boolean(VALID_TRANSITIONS[fromState] && VALID_TRANSITIONS[fromState].has(toState));
+
+const assertValidTransition = (fromState, toState) => {
+  if (!canTransition(fromState, toState)) {
+    const allowed = Array.from(VALID_TRANSITIONS[fromState] || []);
+    throw new ConflictError(
+      `Cannot move a campaign from ${fromState} to ${toState}` +
+        (allowed.length ? `; allowed: ${allowed.join(', ')}` : '; the campaign is archived'),
+      'INVALID_CAMPAIGN_TRANSITION'
+    );
+  }
+};
+
+/**
+ * @param {{ status: string }} campaign
+ * @throws {BusinessLogicError} CAMPAIGN_NOT_ACTIVE when the campaign is not live
+ */
+const assertAcceptsDonations = (campaign) => {
+  if (!isLive(campaign.status)) {
+    throw new BusinessLogicError('CAMPAIGN_NOT_ACTIVE', `Campaign is ${normalizeState(campaign.status)}`, {
+      campaignId: campaign.id,
+      status: normalizeState(campaign.status),
+    });
+  }
+};
+
+module.exports = {
+  CAMPAIGN_STATES,
+  LEGACY_STATE_ALIASES,
+  VALID_TRANSITIONS,
+  normalizeState,
+  storedStatusesFor,
+  isValidState,
+  isTerminal,
+  isLive,
+  assertValidState,
+  canTransition,
+  assertValidTransition,
+  assertAcceptsDonations,
+};
@@ -0,0 +1,108 @@
+/**
+ * Dispute State Machine
+ *
+ * RESPONSIBILITY: Define dispute states and the transitions allowed between them
+ * OWNER: Backend Team
+ * DEPENDENCIES: errors
+ *
+ *   open                    → awaiting_donor_response | under_review
+ *   awaiting_donor_response → under_review
+ *   under_review            → awaiting_donor_response | resolved_refund | resolved_partial_refund
+ *
+ * Any non-terminal dispute may also be closed as resolved_rejected. Resolved
+ * states are terminal.
+ */
+
+'use strict';
+
+const { ValidationError, ConflictError } = require('./errors');
+
+const DISPUTE_STATES = Object.freeze({
+  OPEN: 'open',
+  AWAITING_DONOR_RESPONSE: 'awaiting_donor_response',
+  UNDER_REVIEW: 'under_review',
+  RESOLVED_REFUND: 'resolved_refund',
+  RESOLVED_PARTIAL_REFUND: 'resolved_partial_refund',
+  RESOLVED_REJECTED: 'resolved_rejected',
+});
+
+/** Names used before the full lifecycle existed. */
+const LEGACY_STATE_ALIASES = Object.freeze({
+  resolved_no_action: DISPUTE_STATES.RESOLVED_REJECTED,
+});
+
+const VALID_TRANSITIONS = Object.freeze({
+  [DISPUTE_STATES.OPEN]: new Set([
+    DISPUTE_STATES.AWAITING_DONOR_RESPONSE,
+    DISPUTE_STATES.UNDER_REVIEW,
+    DISPUTE_STATES.RESOLVED_REJECTED,
+  ]),
+  [DISPUTE_STATES.AWAITING_DONOR_RESPONSE]: new Set([
+    DISPUTE_STATES.UNDER_REVIEW,
+    DISPUTE_STATES.RESOLVED_REJECTED,
+  ]),
+  [DISPUTE_STATES.UNDER_REVIEW]: new Set([
+    DISPUTE_STATES.AWAITING_DONOR_RESPONSE,
+    DISPUTE_STATES.RESOLVED_REFUND,
+    DISPUTE_STATES.RESOLVED_PARTIAL_REFUND,
+    DISPUTE_STATES.RESOLVED_REJECTED,
+  ]),
+  [DISPUTE_STATES.RESOLVED_REFUND]: new Set(),
+  [DISPUTE_STATES.RESOLVED_PARTIAL_REFUND]: new Set(),
+  [DISPUTE_STATES.RESOLVED_REJECTED]: new Set(),
+});
+
+/** States that move money back to the donor. */
+const REFUND_STATES = Object.freeze([
+  DISPUTE_STATES.RESOLVED_REFUND,
+  DISPUTE_STATES.RESOLVED_PARTIAL_REFUND,
+]);
+
+const normalizeState = (state) => {
+  if (!state) {
+    return DISPUTE_STATES.OPEN;
+  }
+  const normalized = String(state).toLowerCase().trim();
+  return LEGACY_STATE_ALIASES[normalized] || normalized;
+};
+
+const isValidState = (state) => Object.values(DISPUTE_STATES).includes(state);
+
+const isTerminal = (state) => VALID_TRANSITIONS[state] !== undefined && VALID_TRANSITIONS[state].size === 0;
+
+const assertValidState = (state) => {
+  if (!isValidState(state)) {
+    throw new ValidationError(
+      `Status must be one of: ${Object.values(DISPUTE_STATES).join(', ')}`,
+      null,
+      'INVALID_STATUS'
+    );
+  }
+};
+
+const canTransition = (fromState, toState) =>
+  Boolean(VALID_TRANSITIONS[fromState] && VALID_TRANSITIONS[fromState].has(toState));
+
+const assertValidTransition = (fromState, toState) => {
+  if (!canTransition(fromState, toState)) {
+    const allowed = Array.from(VALID_TRANSITIONS[fromState] || []);
+    throw new ConflictError(
+      `Cannot move a dispute from ${fromState} to ${toState}` +
+        (allowed.length ? `; allowed: ${allowed.join(', ')}` : '; the dispute is closed'),
+      'INVALID_DISPUTE_TRANSITION'
+    );
+  }
+};
+
+module.exports = {
+  DISPUTE_STATES,
+  LEGACY_STATE_ALIASES,
+  VALID_TRANSITIONS,
+  REFUND_STATES,
+  normalizeState,
+  isValidState,
+  isTerminal,
+  assertValidState,
+  canTransition,
+  assertValidTransition,
+};
@@ -192,6 +192,38 @@ const horizonPoolAcquireDuration = new client.Histogram({
   registers: [registry],
 });
 
+/**
+ * Counter: leaderboard cache lookups, labelled by result (hit | miss).
+ * @type {client.Counter}
+ */
+const leaderboardCacheLookupsTotal = new client.Counter({
+  name: 'leaderboard_cache_lookups_total',
+  help: 'Total number of leaderboard cache lookups',
+  labelNames: ['result'],
+  registers: [registry],
+});
+
+/**
+ * Histogram: time spent computing a leaderboard on a cache miss.
+ * @type {client.Histogram}
+ */
+const leaderboardComputeDuration = new client.Histogram({
+  name: 'leaderboard_compute_duration_seconds',
+  help: 'Time spent computing a leaderboard on a cache miss',
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5],
+  registers: [registry],
+});
+
+/** Increment the leaderboard cache hit counter. */
+function recordLeaderboardCacheHit() {
+  leaderboardCacheLookupsTotal.inc({ result: 'hit' });
+}
+
+/** Increment the leaderboard cache miss counter. */
+function recordLeaderboardCacheMiss() {
+  leaderboardCacheLookupsTotal.inc({ result: 'miss' });
+}
+
 /**
  * Update the Horizon pool gauges from a pool status snapshot.
  * @param {{ size: number, healthy: number, unhealthy: number }} status
@@ -272,4 +304,9 @@ module.exports = {
   recordHorizonPoolStatus,
   recordHorizonPoolCooldownEvent,
   recordHorizonPoolRecoveryEvent,
+  // Leaderboard cache metrics
+  leaderboardCacheLookupsTotal,
+  leaderboardComputeDuration,
+  recordLeaderboardCacheHit,
+  recordLeaderboardCacheMiss,
 };
@@ -0,0 +1,519 @@
+/**
+ * Recurrence Rule Utility
+ *
+ * RESPONSIBILITY: Parse iCalendar (RFC 5545) RRULE strings and expand them into
+ *                 execution dates for recurring donation schedules
+ * OWNER: Backend Team
+ * DEPENDENCIES: errors
+ *
+ * Supported rule parts:
+ *   FREQ       DAILY | WEEKLY | MONTHLY | YEARLY
+ *   INTERVAL   every N periods (default 1)
+ *   COUNT      stop after N occurrences (counted from the schedule start)
+ *   UNTIL      last allowed occurrence (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ *   BYDAY      MO..SU, with an ordinal for MONTHLY/YEARLY (1FR, -1SU)
+ *   BYMONTHDAY 1..31 or -31..-1 (from the end of the month)
+ *   BYMONTH    1..12
+ *   BYSETPOS   pick the Nth candidate of each period (-1 = last)
+ *   WKST       first day of the week for WEEKLY intervals (default MO)
+ *
+ * Examples:
+ *   FREQ=MONTHLY;BYDAY=1FR               first Friday of each month
+ *   FREQ=MONTHLY;BYMONTHDAY=15,-1        the 15th and the last day
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO      every 2 weeks on Monday
+ *   FREQ=MONTHLY;BYMONTHDAY=1;COUNT=12   the 1st, twelve times
+ *
+ * Occurrences are evaluated on the wall clock of the schedule's IANA timezone:
+ * the time of day is taken from the start date in that timezone and kept across
+ * DST changes. Local times skipped by a DST transition are moved forward by the
+ * length of the gap.
+ */
+
+'use strict';
+
+const { ValidationError } = require('./errors');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Upper bound on periods scanned, so rules that never match cannot loop forever. */
+const MAX_PERIODS = 10000;
+
+/** Maximum number of dates a preview may return. */
+const MAX_PREVIEW = 100;
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a comma-separated list of integers within a range.
+ * @param {string} name
+ * @param {string} value
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} [allowNegative]
+ * @returns {number[]}
+ */
+function parseIntList(name, value, min, max, allowNegative = false) {
+  return value.split(',').map((token) => {
+    if (!/^[+-]?\d+$/.test(token)) {
+      throw new ValidationError(`${name} must be a list of integers`);
+    }
+    const n = parseInt(token, 10);
+    const abs = Math.abs(n);
+    if (abs < min || abs > max || (n < 0 && !allowNegative)) {
+      throw new ValidationError(`${name} value ${token} is out of range`);
+    }
+    return n;
+  });
+}
+
+/**
+ * Parse an RRULE UNTIL value.
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseUntil(value) {
+  const dateOnly = /^\d{8}$/.test(value);
+  if (!dateOnly && !/^\d{8}T\d{6}Z$/.test(value) && !/^\d{8}T\d{6}$/.test(value)) {
+    throw new ValidationError('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+  const num = (from, to) => parseInt(value.slice(from, to), 10);
+  const d = num(6, 8);
+  const until = dateOnly
+    ? new Date(Date.UTC(num(0, 4), num(4, 6) - 1, d, 23, 59, 59))
+    : new Date(Date.UTC(num(0, 4), num(4, 6) - 1, d, num(9, 11), num(11, 13), num(13, 15)));
+  if (isNaN(until.getTime()) || until.getUTCDate() !== d) {
+    throw new ValidationError('UNTIL is not a valid date');
+  }
+  return until;
+}
+
+/**
+ * Parse and validate an RRULE string. A leading `RRULE:` is accepted.
+ *
+ * @param {string} text
+ * @returns {{ freq: string, interval: number, count: number|null, until: Date|null,
+ *             byDay: Array<{ weekday: number, ordinal: number|null }>|null,
+ *             byMonthDay: number[]|null, byMonth: number[]|null,
+ *             bySetPos: number[]|null, wkst: number, text: string }}
+ * @throws {ValidationError} when the rule is malformed or uses unsupported parts
+ */
+function parseRule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ValidationError('rrule must be a non-empty string');
+  }
+  const body = text.trim().replace(/^RRULE:/i, '');
+  const parts = {};
+  for (const segment of body.split(';')) {
+    const [rawKey, value, ...rest] = segment.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    if (!key || value === undefined || value === '' || rest.length > 0) {
+      throw new ValidationError(`Malformed rrule segment: ${segment}`);
+    }
+    if (!SUPPORTED_PARTS.includes(key)) {
+      throw new ValidationError(`Unsupported rrule part: ${key}`);
+    }
+    if (Object.prototype.hasOwnProperty.call(parts, key)) {
+      throw new ValidationError(`Duplicate rrule part: ${key}`);
+    }
+    parts[key] = value.trim().toUpperCase();
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new ValidationError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  const freq = parts.FREQ;
+
+  if (parts.COUNT && parts.UNTIL) {
+    throw new ValidationError('COUNT and UNTIL cannot both be set');
+  }
+
+  const byDay = parts.BYDAY
+    ? parts.BYDAY.split(',').map((token) => {
+      const weekday = WEEKDAYS.indexOf(token.slice(-2));
+      const prefix = token.slice(0, -2);
+      if (weekday === -1 || (prefix && !/^[+-]?\d{1,2}$/.test(prefix))) {
+        throw new ValidationError(`Invalid BYDAY value: ${token}`);
+      }
+      const ordinal = prefix ? parseInt(prefix, 10) : null;
+      if (ordinal !== null) {
+        if (freq !== 'MONTHLY' && freq !== 'YEARLY') {
+          throw new ValidationError('BYDAY ordinals are only allowed with FREQ=MONTHLY or FREQ=YEARLY');
+        }
+        if (ordinal === 0 || Math.abs(ordinal) > 5) {
+          throw new ValidationError(`BYDAY ordinal out of range: ${token}`);
+        }
+      }
+      return { weekday, ordinal };
+    })
+    : null;
+
+  const byMonthDay = parts.BYMONTHDAY ? parseIntList('BYMONTHDAY', parts.BYMONTHDAY, 1, 31, true) : null;
+  if (byMonthDay && freq === 'WEEKLY') {
+    throw new ValidationError('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+  const byMonth = parts.BYMONTH ? parseIntList('BYMONTH', parts.BYMONTH, 1, 12) : null;
+  if (freq === 'YEARLY' && byDay && !byMonth) {
+    throw new ValidationError('BYDAY with FREQ=YEARLY requires BYMONTH');
+  }
+
+  const bySetPos = parts.BYSETPOS ? parseIntList('BYSETPOS', parts.BYSETPOS, 1, 366, true) : null;
+  if (bySetPos && !byDay && !byMonthDay) {
+    throw new ValidationError('BYSETPOS requires BYDAY or BYMONTHDAY');
+  }
+
+  let wkst = 1;
+  if (parts.WKST) {
+    wkst = WEEKDAYS.indexOf(parts.WKST);
+    if (wkst === -1) {
+      throw new ValidationError(`Invalid WKST value: ${parts.WKST}`);
+    }
+  }
+
+  return {
+    freq,
+    interval: parts.INTERVAL ? parseIntList('INTERVAL', parts.INTERVAL, 1, 1000)[0] : 1,
+    count: parts.COUNT ? parseIntList('COUNT', parts.COUNT, 1, 100000)[0] : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+    byDay,
+    byMonthDay,
+    byMonth,
+    bySetPos,
+    wkst,
+    text: body.toUpperCase(),
+  };
+}
+
+// ─── Timezones ────────────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter that renders wall-clock parts in a timezone.
+ * @param {string} timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Whether a string is an IANA timezone this runtime knows.
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function wallClock(ms, timezone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timezone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds.
+ * @param {number} ms
+ * @param {string} timezone
+ * @returns {number}
+ */
+function offsetAt(ms, timezone) {
+  const w = wallClock(ms, timezone);
+  return Date.UTC(w.year, w.month, w.day, w.hour, w.minute, w.second) - (ms - (ms % 1000));
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date.
+ * @param {number} localMs - Wall-clock time encoded as if it were UTC
+ * @param {string} timezone
+ * @returns {Date}
+ */
+function zonedToUtc(localMs, timezone) {
+  const firstGuess = localMs - offsetAt(localMs, timezone);
+  const secondOffset = offsetAt(firstGuess, timezone);
+  return new Date(localMs - secondOffset);
+}
+
+// ─── Expansion ────────────────────────────────────────────────────────────────
+
+/**
+ * Days in a month of a civil date.
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Candidate days (epoch-day numbers) of one month matching BYMONTHDAY/BYDAY.
+ * @param {Object} rule
+ * @param {number} year
+ * @param {number} month
+ * @param {number} defaultDay - Day of month used when neither BYMONTHDAY nor BYDAY is set
+ * @returns {number[]}
+ */
+function expandMonth(rule, year, month, defaultDay) {
+  const length = daysInMonth(year, month);
+  const first = Date.UTC(year, month, 1) / DAY_MS;
+  let days = null;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map((d) => (d > 0 ? d : length + d + 1))
+      .filter((d) => d >= 1 && d <= length);
+  }
+
+  if (rule.byDay) {
+    const matches = new Set();
+    for (const { weekday, ordinal } of rule.byDay) {
+      const all = [];
+      for (let d = 1; d <= length; d++) {
+        if (new Date((first + d - 1) * DAY_MS).getUTCDay() === weekday) all.push(d);
+      }
+      if (ordinal === null) {
+        all.forEach((d) => matches.add(d));
+      } else {
+        const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+        if (picked !== undefined) matches.add(picked);
+      }
+    }
+    days = days ? days.filter((d) => matches.has(d)) : [...matches];
+  }
+
+  if (!days) {
+    days = defaultDay <= length ? [defaultDay] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map((d) => first + d - 1);
+}
+
+/**
+ * Candidate days (epoch-day numbers) of the nth period of a rule.
+ * @param {Object} rule
+ * @param {{ day: number, weekday: number, month: number, year: number, dayOfMonth: number }} start
+ * @param {number} n - Period index from the start
+ * @returns {number[]}
+ */
+function expandPeriod(rule, start, n) {
+  const step = n * rule.interval;
+  let days;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      days = [start.day + step];
+      break;
+    case 'WEEKLY': {
+      const weekStart = start.day - ((start.weekday - rule.wkst + 7) % 7) + step * 7;
+      const weekdays = rule.byDay ? rule.byDay.map((b) => b.weekday) : [start.weekday];
+      days = [];
+      for (let i = 0; i < 7; i++) {
+        const day = weekStart + i;
+        if (weekdays.includes(new Date(day * DAY_MS).getUTCDay())) days.push(day);
+      }
+      break;
+    }
+    case 'MONTHLY': {
+      const total = start.year * 12 + start.month + step;
+      days = expandMonth(rule, Math.floor(total / 12), total % 12, start.dayOfMonth);
+      break;
+    }
+    case 'YEARLY': {
+      const year = start.year + step;
+      const months = rule.byMonth || [start.month + 1];
+      days = months
+        .slice()
+        .sort((a, b) => a - b)
+        .flatMap((m) => expandMonth(rule, year, m - 1, start.dayOfMonth));
+      break;
+    }
+    default:
+      days = [];
+  }
+
+  if (rule.byMonth && rule.freq !== 'YEARLY') {
+    days = days.filter((day) => rule.byMonth.includes(new Date(day * DAY_MS).getUTCMonth() + 1));
+  }
+  if (rule.byDay && rule.freq === 'DAILY') {
+    const weekdays = rule.byDay.map((b) => b.weekday);
+    days = days.filter((day) => weekdays.includes(new Date(day * DAY_MS).getUTCDay()));
+  }
+  if (rule.byMonthDay && rule.freq === 'DAILY') {
+    days = days.filter((day) => {
+      const date = new Date(day * DAY_MS);
+      const length = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+      return rule.byMonthDay.some((d) => (d > 0 ? d : length + d + 1) === date.getUTCDate());
+    });
+  }
+  if (rule.bySetPos) {
+    days = rule.bySetPos
+      .map((pos) => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+      .filter((day) => day !== undefined);
+    days = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  return days;
+}
+
+/**
+ * Iterate the occurrences of a rule from its start date, in order.
+ *
+ * @param {Object|string} rule - Parsed rule or RRULE string
+ * @param {Object} options
+ * @param {Date|string} options.start    - First possible occurrence; also fixes the time of day
+ * @param {string}      [options.timezone='UTC'] - IANA timezone the rule is evaluated in
+ * @yields {Date}
+ */
+function* iterate(rule, { start, timezone = 'UTC' }) {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+  if (!isValidTimezone(timezone)) {
+    throw new ValidationError(`Unknown timezone: ${timezone}`);
+  }
+  const startMs = new Date(start).getTime();
+  if (isNaN(startMs)) {
+    throw new ValidationError('start must be a valid date');
+  }
+
+  const local = wallClock(startMs, timezone);
+  const startDay = Date.UTC(local.year, local.month, local.day) / DAY_MS;
+  const timeOfDay = ((local.hour * 60 + local.minute) * 60 + local.second) * 1000;
+  const anchor = {
+    day: startDay,
+    weekday: new Date(startDay * DAY_MS).getUTCDay(),
+    month: local.month,
+    year: local.year,
+    dayOfMonth: local.day,
+  };
+
+  let emitted = 0;
+  for (let n = 0; n < MAX_PERIODS; n++) {
+    for (const day of expandPeriod(parsed, anchor, n)) {
+      const occurrence = zonedToUtc(day * DAY_MS + timeOfDay, timezone);
+      if (occurrence.getTime() < startMs - 999) continue;
+      if (parsed.until && occurrence > parsed.until) return;
+      yield occurrence;
+      emitted += 1;
+      if (parsed.count && emitted >= parsed.count) return;
+    }
+  }
+}
+
+/**
+ * The first occurrence of a rule strictly after a reference date.
+ *
+ * @param {Object|string} rule
+ * @param {Date} after
+ * @param {{ start: Date|string, timezone?: string }} options
+ * @returns {Date|null} null once the rule is exhausted (COUNT/UNTIL reached)
+ */
+function nextOccurrence(rule, after, options) {
+  for (const occurrence of iterate(rule, options)) {
+    if (occurrence > after) return occurrence;
+  }
+  return null;
+}
+
+/**
+ * Upcoming occurrences of a rule.
+ *
+ * @param {Object|string} rule
+ * @param {{ start: Date|string, timezone?: string, after?: Date, limit?: number }} options
+ * @returns {Date[]}
+ */
+function preview(rule, { start, timezone, after = null, limit = 10 }) {
+  const max = Math.min(Math.max(parseInt(limit, 10) || 1, 1), MAX_PREVIEW);
+  const dates = [];
+  for (const occurrence of iterate(rule, { start, timezone })) {
+    if (after && occurrence <= after) continue;
+    dates.push(occurrence);
+    if (dates.length >= max) break;
+  }
+  return dates;
+}
+
+/**
+ * Validate the recurrence fields of a schedule request and find its first execution.
+ *
+ * @param {Object}  input
+ * @param {string}  input.rrule
+ * @param {string}  [input.timezone='UTC']
+ * @param {string}  [input.startDate]  - Rule start; defaults to now
+ * @param {boolean} [input.allowPast]  - Accept a start date in the past (previews)
+ * @returns {{ rule: string, timezone: string, start: Date, firstExecution: Date }}
+ * @throws {ValidationError}
+ */
+function resolveSchedule({ rrule, timezone, startDate, allowPast = false }) {
+  let parsed;
+  try {
+    parsed = parseRule(rrule);
+  } catch (err) {
+    throw new ValidationError(`Invalid rrule: ${err.message}`);
+  }
+
+  const tz = timezone || 'UTC';
+  if (!isValidTimezone(tz)) {
+    throw new ValidationError(`Invalid timezone: ${tz}`);
+  }
+
+  const start = startDate ? new Date(startDate) : new Date();
+  if (isNaN(start.getTime())) {
+    throw new ValidationError('Invalid startDate format');
+  }
+  if (startDate && !allowPast && start.getTime() < Date.now() + 60000) {
+    throw new ValidationError('Start date must be in the future');
+  }
+
+  const [firstExecution] = preview(parsed, { start, timezone: tz, limit: 1 });
+  if (!firstExecution) {
+    throw new ValidationError('rrule has no occurrences after the start date');
+  }
+
+  return { rule: parsed.text, timezone: tz, start, firstExecution };
+}
+
+module.exports = {
+  MAX_PREVIEW,
+  parseRule,
+  isValidTimezone,
+  iterate,
+  nextOccurrence,
+  preview,
+  resolveSchedule,
+};
@@ -0,0 +1,134 @@
+/**
+ * SEP-7 URI Utility
+ *
+ * RESPONSIBILITY: Build, sign, parse and verify SEP-0007 `web+stellar:pay` URIs
+ * OWNER: Backend Team
+ * DEPENDENCIES: stellar-sdk (Keypair)
+ *
+ * Spec: https://github.com/stellar/stellar-protocol/blob/master/ecosystem/sep-0007.md
+ *
+ * A signed URI carries `origin_domain` and a `signature` over the rest of the
+ * URI. Wallets verify it against URI_REQUEST_SIGNING_KEY in the origin
+ * domain's stellar.toml, so `signature` is always the last parameter.
+ */
+
+'use strict';
+
+const StellarSdk = require('stellar-sdk');
+
+const PAY_URI_PREFIX = 'web+stellar:pay?';
+
+/** Signed payload prefix: 35 zero bytes followed by 0x04, then the scheme name. */
+const SIGNATURE_PREFIX = Buffer.concat([
+  Buffer.alloc(35, 0),
+  Buffer.from([4]),
+  Buffer.from('stellar.sep.7 - URI Scheme'),
+]);
+
+/** SEP-7 memo_type values keyed by the memo types used elsewhere in the API. */
+const MEMO_TYPES = {
+  text: 'MEMO_TEXT',
+  id: 'MEMO_ID',
+  hash: 'MEMO_HASH',
+  return: 'MEMO_RETURN',
+};
+
+/**
+ * Build an unsigned `web+stellar:pay` URI. Parameters that are null or
+ * undefined are left out; `asset_code`/`asset_issuer` are only set for
+ * non-native assets.
+ *
+ * @param {Object} params
+ * @param {string} params.destination - Recipient account
+ * @param {string|number} [params.amount] - Omit to let the donor choose
+ * @param {{ type: string, code: string, issuer: string|null }} [params.asset]
+ * @param {string} [params.memo]
+ * @param {string} [params.memoType='text'] - text | id | hash | return
+ * @param {string} [params.callback] - URL the wallet posts the signed XDR to
+ * @param {string} [params.msg] - Message shown to the donor (max 300 chars)
+ * @param {string} [params.networkPassphrase] - Only needed off the public network
+ * @param {string} [params.originDomain] - Requires signing with signUri()
+ * @returns {string}
+ */
+function buildPayUri({ destination, amount, asset, memo, memoType = 'text', callback, msg, networkPassphrase, originDomain }) {
+  const params = [['destination', destination]];
+
+  if (amount !== null && amount !== undefined) params.push(['amount', String(amount)]);
+  if (asset && asset.type !== 'native') {
+    params.push(['asset_code', asset.code]);
+    params.push(['asset_issuer', asset.issuer]);
+  }
+  if (memo) {
+    params.push(['memo', memo]);
+    params.push(['memo_type', MEMO_TYPES[memoType] || MEMO_TYPES.text]);
+  }
+  if (callback) params.push(['callback', `url:${callback}`]);
+  if (msg) params.push(['msg', msg]);
+  if (networkPassphrase && networkPassphrase !== StellarSdk.Networks.PUBLIC) {
+    params.push(['network_passphrase', networkPassphrase]);
+  }
+  if (originDomain) params.push(['origin_domain', originDomain]);
+
+  return PAY_URI_PREFIX + params
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * Append a `signature` parameter signed with the given secret key.
+ * @param {string} uri - Unsigned URI
+ * @param {string} secretKey - Stellar secret key (S...)
+ * @returns {string}
+ */
+function signUri(uri, secretKey) {
+  const keypair = StellarSdk.Keypair.fromSecret(secretKey);
+  const signature = keypair.sign(Buffer.concat([SIGNATURE_PREFIX, Buffer.from(uri)])).toString('base64');
+  return `${uri}&signature=${encodeURIComponent(signature)}`;
+}
+
+/**
+ * Verify the `signature` parameter of a URI against a public key.
+ * @param {string} uri - Signed URI
+ * @param {string} publicKey - Expected URI_REQUEST_SIGNING_KEY
+ * @returns {boolean}
+ */
+function verifyUriSignature(uri, publicKey) {
+  const marker = uri.lastIndexOf('&signature=');
+  if (marker === -1) return false;
+
+  const unsigned = uri.slice(0, marker);
+  const signature = Buffer.from(decodeURIComponent(uri.slice(marker + '&signature='.length)), 'base64');
+  try {
+    return StellarSdk.Keypair.fromPublicKey(publicKey)
+      .verify(Buffer.concat([SIGNATURE_PREFIX, Buffer.from(unsigned)]), signature);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Parse a `web+stellar:pay` URI into its decoded parameters.
+ * @param {string} uri
+ * @returns {Object<string, string>}
+ * @throws {Error} When the URI is not a SEP-7 pay request
+ */
+function parsePayUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(PAY_URI_PREFIX)) {
+    throw new Error('Not a web+stellar:pay URI');
+  }
+  const params = {};
+  for (const pair of uri.slice(PAY_URI_PREFIX.length).split('&')) {
+    const [key, value = ''] = pair.split('=');
+    params[decodeURIComponent(key)] = decodeURIComponent(value);
+  }
+  return params;
+}
+
+module.exports = {
+  PAY_URI_PREFIX,
+  MEMO_TYPES,
+  buildPayUri,
+  signUri,
+  verifyUriSignature,
+  parsePayUri,
+};
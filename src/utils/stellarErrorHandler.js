@@ -11,6 +11,22 @@
 
 const log = require('./log');
 
+/** Codes produced by classify(); an error already carrying one is passed through. */
+const KNOWN_CODES = new Set([
+  'NETWORK_ERROR',
+  'NETWORK_TIMEOUT',
+  'INSUFFICIENT_BALANCE',
+  'NO_TRUSTLINE',
+  'ACCOUNT_NOT_FUNDED',
+  'WALLET_NOT_FOUND',
+  'TRANSACTION_NOT_FOUND',
+  'INVALID_DESTINATION',
+  'INVALID_CREDENTIALS',
+  'TRANSACTION_FAILED',
+  'INVALID_TRANSACTION',
+  'STELLAR_ERROR',
+]);
+
 class StellarErrorHandler {
   /**
    * Handle Stellar SDK errors and return user-friendly response
@@ -27,8 +43,25 @@ class StellarErrorHandler {
       timestamp: new Date().toISOString()
     });
 
+    return this.classify(error);
+  }
+
+  /**
+   * Map an error to its status, code and user-facing message without logging.
+   * Accepts raw SDK errors as well as responses already produced by handle()
+   * (which is what wrap() throws), so callers can classify either.
+   * @param {Error|Object} error
+   * @returns {{ status: number, code: string, message: string }}
+   */
+  static classify(error) {
+    if (error && KNOWN_CODES.has(error.code) && typeof error.status === 'number') {
+      return { status: error.status, code: error.code, message: error.message };
+    }
+
+    const message = String(error?.message || '').toLowerCase();
+
     // Network errors
-    if (error.message?.includes('ENOTFOUND') || error.message?.includes('ECONNREFUSED')) {
+    if (message.includes('enotfound') || message.includes('econnrefused') || message.includes('connection refused')) {
       return {
         status: 503,
         code: 'NETWORK_ERROR',
@@ -36,7 +69,7 @@ class StellarErrorHandler {
       };
     }
 
-    if (error.message?.includes('timeout') || error.message?.includes('ETIMEDOUT')) {
+    if (message.includes('timeout') || message.includes('etimedout')) {
       return {
         status: 504,
         code: 'NETWORK_TIMEOUT',
@@ -45,7 +78,7 @@ class StellarErrorHandler {
     }
 
     // Insufficient balance
-    if (error.message?.includes('insufficient') || error.message?.includes('underfunded')) {
+    if (message.includes('underfunded') || (message.includes('insufficient') && !message.includes('insufficient_fee'))) {
       return {
         status: 400,
         code: 'INSUFFICIENT_BALANCE',
@@ -53,17 +86,17 @@ class StellarErrorHandler {
       };
     }
 
-    // Invalid destination
-    if (error.message?.includes('destination') || error.message?.includes('not found')) {
+    // Missing trustline for a non-native asset
+    if (message.includes('op_no_trust') || message.includes('trustline')) {
       return {
         status: 400,
-        code: 'INVALID_DESTINATION',
-        message: 'Destination account does not exist or is invalid.'
+        code: 'NO_TRUSTLINE',
+        message: 'The account has no trustline for this asset.'
       };
     }
 
     // Account not funded
-    if (error.message?.includes('not funded') || error.message?.includes('op_no_destination')) {
+    if (message.includes('not funded') || message.includes('op_no_destination')) {
       return {
         status: 400,
         code: 'ACCOUNT_NOT_FUNDED',
@@ -71,8 +104,17 @@ class StellarErrorHandler {
       };
     }
 
+    // Invalid destination
+    if (message.includes('destination') || message.includes('not found')) {
+      return {
+        status: 400,
+        code: 'INVALID_DESTINATION',
+        message: 'Destination account does not exist or is invalid.'
+      };
+    }
+
     // Invalid secret key
-    if (error.message?.includes('Invalid source') || error.message?.includes('secret key')) {
+    if (message.includes('invalid source') || message.includes('secret key')) {
       return {
         status: 400,
         code: 'INVALID_CREDENTIALS',
@@ -81,7 +123,7 @@ class StellarErrorHandler {
     }
 
     // Transaction failed
-    if (error.message?.includes('tx_failed') || error.message?.includes('transaction failed')) {
+    if (message.includes('tx_failed') || message.includes('transaction failed')) {
       return {
         status: 400,
         code: 'TRANSACTION_FAILED',
@@ -90,7 +132,7 @@ class StellarErrorHandler {
     }
 
     // Wallet not found (from mock service)
-    if (error.message?.includes('Wallet not found')) {
+    if (message.includes('wallet not found')) {
       return {
         status: 404,
         code: 'WALLET_NOT_FOUND',
@@ -99,7 +141,7 @@ class StellarErrorHandler {
     }
 
     // Same sender/recipient
-    if (error.message?.includes('must be different')) {
+    if (message.includes('must be different')) {
       return {
         status: 400,
         code: 'INVALID_TRANSACTION',
@@ -108,7 +150,7 @@ class StellarErrorHandler {
     }
 
     // Transaction not found
-    if (error.message?.includes('Transaction not found')) {
+    if (message.includes('transaction not found')) {
       return {
         status: 404,
         code: 'TRANSACTION_NOT_FOUND',
@@ -1,7 +1,11 @@
 const { ValidationError, ERROR_CODES } = require('./errors');
 
 const TRANSACTION_STATES = Object.freeze({
+  // Non-custodial donation prepared by the API, waiting for the donor's signature
+  PENDING_SIGNATURE: 'pending_signature',
   PENDING: 'pending',
+  // Large donation paid into the KYC hold account, waiting for donor identity review
+  HELD_FOR_KYC: 'held_for_kyc',
   SUBMITTED: 'submitted',
   CONFIRMED: 'confirmed',
   FAILED: 'failed',
@@ -13,11 +17,22 @@ const LEGACY_STATE_ALIASES = Object.freeze({
 });
 
 const VALID_TRANSITIONS = Object.freeze({
+  // pending_signature → failed covers both rejected and expired signatures
+  [TRANSACTION_STATES.PENDING_SIGNATURE]: new Set([
+    TRANSACTION_STATES.SUBMITTED,
+    TRANSACTION_STATES.CONFIRMED,
+    TRANSACTION_STATES.FAILED,
+  ]),
   [TRANSACTION_STATES.PENDING]: new Set([
     TRANSACTION_STATES.SUBMITTED,
     TRANSACTION_STATES.CONFIRMED,
     TRANSACTION_STATES.FAILED,
   ]),
+  // held_for_kyc → confirmed when released to the recipient, → failed when refunded
+  [TRANSACTION_STATES.HELD_FOR_KYC]: new Set([
+    TRANSACTION_STATES.CONFIRMED,
+    TRANSACTION_STATES.FAILED,
+  ]),
   [TRANSACTION_STATES.SUBMITTED]: new Set([
     TRANSACTION_STATES.CONFIRMED,
     TRANSACTION_STATES.FAILED,
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Anchor deposit poll worker — runs every 30 s and refreshes SEP-24 deposits
+ * the anchor has not finished (see AnchorDepositService.pollPending). This is
+ * the fallback for payments the stream missed, and it fails donations whose
+ * deposit the anchor abandoned. Uses the timer registry so the handle is
+ * cleared at shutdown, and the leader-election lease so only one instance in
+ * the cluster runs each tick.
+ */
+
+const AnchorDepositService = require('../services/AnchorDepositService');
+const serviceContainer = require('../config/serviceContainer');
+const { getStellarService } = require('../config/stellar');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.SEP24_POLL_INTERVAL_MS || '30000', 10);
+const LOCK_NAME = 'anchor_deposit_poll_worker';
+
+let _handle = null;
+
+function start() {
+  if (_handle) return;
+  const service = new AnchorDepositService(getStellarService(), serviceContainer.getPaymentStreamService());
+  _handle = timerRegistry.createInterval(async () => {
+    try {
+      const isLeader = await leaderElection.acquireLease(LOCK_NAME, INTERVAL_MS * 2);
+      if (!isLeader) return;
+
+      const { checked, completed, failed } = await service.pollPending();
+      if (completed > 0 || failed > 0) {
+        log.info('ANCHOR_DEPOSIT_WORKER', `Checked ${checked} deposits: ${completed} completed, ${failed} failed`, { instanceId: leaderElection.instanceId });
+      }
+    } catch (err) {
+      log.error('ANCHOR_DEPOSIT_WORKER', 'Error during anchor deposit poll', { error: err.message });
+    }
+  }, INTERVAL_MS, 'anchor-deposit-poll');
+  _handle.unref();
+  log.info('ANCHOR_DEPOSIT_WORKER', `Anchor deposit poll worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop };
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Campaign lifecycle worker — runs every minute and applies scheduled
+ * campaign transitions: approved campaigns go live at their start date and
+ * live or paused campaigns close at their end date. Uses the timer registry
+ * so the handle is cleared at shutdown, and the leader-election lease so only
+ * one instance in the cluster runs each tick.
+ */
+
+const CampaignLifecycleService = require('../services/CampaignLifecycleService');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.CAMPAIGN_LIFECYCLE_INTERVAL_MS || '60000', 10);
+const LOCK_NAME = 'campaign_lifecycle_worker';
+
+let _handle = null;
+
+function start() {
+  if (_handle) return;
+  _handle = timerRegistry.createInterval(async () => {
+    try {
+      const isLeader = await leaderElection.acquireLease(LOCK_NAME, INTERVAL_MS * 2);
+      if (!isLeader) return;
+
+      const { launched, closed } = await CampaignLifecycleService.runScheduledTransitions();
+      if (launched > 0 || closed > 0) {
+        log.info('CAMPAIGN_LIFECYCLE_WORKER', `Launched ${launched} campaigns, closed ${closed}`, {
+          instanceId: leaderElection.instanceId,
+        });
+      }
+    } catch (err) {
+      log.error('CAMPAIGN_LIFECYCLE_WORKER', 'Error during campaign lifecycle run', { error: err.message });
+    }
+  }, INTERVAL_MS, 'campaign-lifecycle');
+  _handle.unref();
+  log.info('CAMPAIGN_LIFECYCLE_WORKER', `Campaign lifecycle worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop };
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Dispute SLA worker — runs every 5 min and applies passed dispute SLA
+ * deadlines (see DisputeService.enforceSlas). Uses the timer registry so the
+ * handle is cleared at shutdown, and the leader-election lease so only one
+ * instance in the cluster runs each tick.
+ */
+
+const DisputeService = require('../services/DisputeService');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.DISPUTE_SLA_INTERVAL_MS || '300000', 10);
+const LOCK_NAME = 'dispute_sla_worker';
+
+let _handle = null;
+
+function start() {
+  if (_handle) return;
+  _handle = timerRegistry.createInterval(async () => {
+    try {
+      const isLeader = await leaderElection.acquireLease(LOCK_NAME, INTERVAL_MS * 2);
+      if (!isLeader) return;
+
+      const { advanced, breached } = await DisputeService.enforceSlas();
+      if (advanced > 0 || breached > 0) {
+        log.info('DISPUTE_SLA_WORKER', `Advanced ${advanced} disputes, flagged ${breached} SLA breaches`, {
+          instanceId: leaderElection.instanceId,
+        });
+      }
+    } catch (err) {
+      log.error('DISPUTE_SLA_WORKER', 'Error during dispute SLA run', { error: err.message });
+    }
+  }, INTERVAL_MS, 'dispute-sla');
+  _handle.unref();
+  log.info('DISPUTE_SLA_WORKER', `Dispute SLA worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop };
@@ -1,12 +1,14 @@
 'use strict';
 
 /**
- * Expiry worker — runs every 60 s and marks overdue pledges as expired.
+ * Expiry worker — runs every 60 s, marks overdue pledges as expired, sends
+ * reminders for upcoming pledge installments and collects those that are due.
  * Uses the timer registry so the handle is cleared at shutdown, and the
  * leader-election lease so only one instance in the cluster runs each tick.
  */
 
 const { expireOverdue } = require('../services/PledgeFulfillmentService');
+const PledgeInstallmentService = require('../services/PledgeInstallmentService');
 const log = require('../utils/log');
 const timerRegistry = require('../utils/timerRegistry');
 const leaderElection = require('../utils/leaderElection');
@@ -25,6 +27,9 @@ function start() {
 
       const { expired } = await expireOverdue();
       if (expired > 0) log.info('EXPIRY_WORKER', `Expired ${expired} pledges`, { instanceId: leaderElection.instanceId });
+
+      await PledgeInstallmentService.sendReminders();
+      await PledgeInstallmentService.collectDue();
     } catch (err) {
       log.error('EXPIRY_WORKER', 'Error during expiry run', { error: err.message });
     }
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Outbox relay worker — drains the transactional event outbox into webhooks,
+ * SSE and GraphQL subscriptions. Only the instance holding the leader-election
+ * lease relays, so each event is handed to each subscriber by one process.
+ */
+
+const OutboxService = require('../services/OutboxService');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS || '1000', 10);
+const LOCK_NAME = 'outbox_relay';
+/** Lease outlives a tick so a slow batch does not let a second instance take over mid-run. */
+const LEASE_TTL_MS = Math.max(INTERVAL_MS * 2, 30000);
+
+let _handle = null;
+let _running = false;
+
+async function tick() {
+  // Ticks never overlap: a slow batch must not be picked up twice
+  if (_running) return;
+  _running = true;
+  try {
+    const isLeader = await leaderElection.acquireLease(LOCK_NAME, LEASE_TTL_MS);
+    if (!isLeader) return;
+
+    const { processed, retried, failed } = await OutboxService.relay();
+    if (retried > 0 || failed > 0) {
+      log.warn('OUTBOX_RELAY', 'Some outbox events could not be delivered', { processed, retried, failed });
+    }
+  } catch (err) {
+    log.error('OUTBOX_RELAY', 'Error during outbox relay run', { error: err.message });
+  } finally {
+    _running = false;
+  }
+}
+
+function start() {
+  if (_handle) return;
+  _handle = timerRegistry.createInterval(tick, INTERVAL_MS, 'outbox-relay');
+  _handle.unref();
+  log.info('OUTBOX_RELAY', `Outbox relay worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop, tick };
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Rate history worker — runs hourly and makes sure exchange_rate_history has a
+ * row for every supported currency even when no donation asked for a rate
+ * (see PriceOracleService.recordCurrentRates). Uses the timer registry so the
+ * handle is cleared at shutdown, and the leader-election lease so only one
+ * instance in the cluster fetches each tick.
+ */
+
+const priceOracle = require('../services/PriceOracleService');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.PRICE_HISTORY_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const LOCK_NAME = 'rate_history_worker';
+
+let _handle = null;
+
+async function tick() {
+  try {
+    const isLeader = await leaderElection.acquireLease(LOCK_NAME, INTERVAL_MS * 2);
+    if (!isLeader) return;
+
+    await priceOracle.recordCurrentRates();
+  } catch (err) {
+    log.error('RATE_HISTORY_WORKER', 'Error recording exchange rates', { error: err.message });
+  }
+}
+
+function start() {
+  if (_handle) return;
+  _handle = timerRegistry.createInterval(tick, INTERVAL_MS, 'rate-history');
+  _handle.unref();
+  tick();
+  log.info('RATE_HISTORY_WORKER', `Rate history worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop };
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Signature expiry worker — runs every 60 s and fails non-custodial donations
+ * whose prepared transaction was not signed and submitted before it expired
+ * (see NonCustodialDonationService.expireStale). Uses the timer registry so
+ * the handle is cleared at shutdown, and the leader-election lease so only one
+ * instance in the cluster runs each tick.
+ */
+
+const NonCustodialDonationService = require('../services/NonCustodialDonationService');
+const { getStellarService } = require('../config/stellar');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.SIGNATURE_EXPIRY_INTERVAL_MS || '60000', 10);
+const LOCK_NAME = 'signature_expiry_worker';
+
+let _handle = null;
+
+function start() {
+  if (_handle) return;
+  const service = new NonCustodialDonationService(getStellarService());
+  _handle = timerRegistry.createInterval(async () => {
+    try {
+      const isLeader = await leaderElection.acquireLease(LOCK_NAME, INTERVAL_MS * 2);
+      if (!isLeader) return;
+
+      const { expired } = service.expireStale();
+      if (expired > 0) {
+        log.info('SIGNATURE_EXPIRY_WORKER', `Expired ${expired} unsigned donations`, { instanceId: leaderElection.instanceId });
+      }
+    } catch (err) {
+      log.error('SIGNATURE_EXPIRY_WORKER', 'Error during signature expiry run', { error: err.message });
+    }
+  }, INTERVAL_MS, 'signature-expiry');
+  _handle.unref();
+  log.info('SIGNATURE_EXPIRY_WORKER', `Signature expiry worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop };
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Webhook retry worker — drains the webhook retry queue, which holds failed
+ * deliveries waiting for their next attempt, replayed dead letters and queued
+ * redeliveries. Only the instance holding the leader-election lease processes
+ * the queue, so each entry is sent by one process.
+ */
+
+const { WebhookService } = require('../services/WebhookService');
+const log = require('../utils/log');
+const timerRegistry = require('../utils/timerRegistry');
+const leaderElection = require('../utils/leaderElection');
+
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS || '60000', 10);
+const LOCK_NAME = 'webhook_retry';
+/** Lease outlives a tick: each entry can take several backoff delays to send. */
+const LEASE_TTL_MS = Math.max(INTERVAL_MS * 2, 30000);
+
+let _handle = null;
+let _running = false;
+
+async function tick() {
+  // Ticks never overlap: an entry must not be sent twice
+  if (_running) return;
+  _running = true;
+  try {
+    const isLeader = await leaderElection.acquireLease(LOCK_NAME, LEASE_TTL_MS);
+    if (!isLeader) return;
+
+    const { processed, succeeded, failed } = await WebhookService.processRetryQueue();
+    if (processed > 0) {
+      log.info('WEBHOOK_RETRY', 'Processed webhook retry queue', { processed, succeeded, failed });
+    }
+  } catch (err) {
+    log.error('WEBHOOK_RETRY', 'Error during webhook retry run', { error: err.message });
+  } finally {
+    _running = false;
+  }
+}
+
+function start() {
+  if (_handle) return;
+  _handle = timerRegistry.createInterval(tick, INTERVAL_MS, 'webhook-retry');
+  _handle.unref();
+  log.info('WEBHOOK_RETRY', `Webhook retry worker started (interval: ${INTERVAL_MS}ms)`);
+}
+
+function stop() {
+  if (_handle) {
+    _handle.clear();
+    _handle = null;
+  }
+}
+
+module.exports = { start, stop, tick };
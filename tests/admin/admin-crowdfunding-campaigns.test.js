@@ -181,7 +181,7 @@ describe('Admin Crowdfunding Campaign Management', () => {
       expect(res.body.data).toHaveProperty('id');
       expect(res.body.data.name).toBe('Simple Campaign');
       expect(res.body.data.goal_amount).toBe(500);
-      expect(res.body.data.status).toBe('active');
+      expect(res.body.data.status).toBe('draft');
       expect(Array.isArray(res.body.data.milestones)).toBe(true);
       expect(res.body.data.milestones).toHaveLength(0);
     });
@@ -13,8 +13,8 @@
 // ── Mocks ─────────────────────────────────────────────────────────────────────
 
 jest.mock('../../src/utils/database');
-jest.mock('../../src/services/WebhookService', () => ({
-  deliver: jest.fn().mockResolvedValue(undefined),
+jest.mock('../../src/services/OutboxService', () => ({
+  enqueue: jest.fn().mockResolvedValue('event-1'),
 }));
 jest.mock('../../src/utils/log', () => ({
   info: jest.fn(),
@@ -52,7 +52,7 @@ jest.mock('../../src/middleware/apiKey', () => (req, res, next) => {
 // ── Test helpers ──────────────────────────────────────────────────────────────
 
 const Database = require('../../src/utils/database');
-const WebhookService = require('../../src/services/WebhookService');
+const OutboxService = require('../../src/services/OutboxService');
 
 // In-memory pledge store
 let _pledges = [];
@@ -156,6 +156,9 @@ function mockDb() {
   });
 
   Database.all = Database.query;
+  Database.runTransaction.mockImplementation(async (callback) =>
+    callback({ run: Database.run, get: Database.get, all: Database.query })
+  );
 }
 
 // ── App setup ─────────────────────────────────────────────────────────────────
@@ -296,11 +299,11 @@ describe('PATCH /admin/pledges/:id/fulfil', () => {
     expect(res.body.error.code).toBe('INVALID_STATE');
   });
 
-  it('fires a pledge.fulfilled webhook', async () => {
+  it('records a pledge.fulfilled outbox event', async () => {
     await request(app).patch('/admin/pledges/p-pending/fulfil');
-    expect(WebhookService.deliver).toHaveBeenCalledWith(
-      'pledge.fulfilled',
-      expect.objectContaining({ pledge: expect.any(Object) })
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'pledge.fulfilled', payload: { pledge: expect.any(Object) } })
     );
   });
 });
@@ -365,13 +368,13 @@ describe('PATCH /admin/pledges/:id/cancel', () => {
     expect(res.body.error.code).toBe('INVALID_STATE');
   });
 
-  it('fires a pledge.cancelled webhook', async () => {
+  it('records a pledge.cancelled outbox event', async () => {
     await request(app)
       .patch('/admin/pledges/p-pending/cancel')
       .send({ reason: 'Test' });
-    expect(WebhookService.deliver).toHaveBeenCalledWith(
-      'pledge.cancelled',
-      expect.objectContaining({ pledge: expect.any(Object) })
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'pledge.cancelled', payload: { pledge: expect.any(Object) } })
     );
   });
 });
@@ -410,12 +413,12 @@ describe('Automatic pledge expiry (background job)', () => {
     expect(result).toEqual({ expired: 0 });
   });
 
-  it('fires pledge.expired webhooks for each expired pledge', async () => {
+  it('records pledge.expired outbox events for each expired pledge', async () => {
     const { expireOverdue } = require('../../src/services/PledgeFulfillmentService');
     await expireOverdue('2026-01-01T00:00:00.000Z');
-    expect(WebhookService.deliver).toHaveBeenCalledWith(
-      'pledge.expired',
-      expect.any(Object)
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'pledge.expired' })
     );
   });
 
@@ -0,0 +1,336 @@
+/**
+ * Dispute Lifecycle Tests
+ *
+ * Covers:
+ *  - The dispute state machine and legacy status aliases
+ *  - Evidence items with SHA-256 content hashes, from either party or an admin
+ *  - Donor responses moving a dispute to review
+ *  - Refund and partial-refund resolutions calling DonationService.refundDonation
+ *  - SLA deadlines enforced by DisputeService.enforceSlas
+ *  - Transition history and audit entries for every step
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => {
+    req.user = req.user || { id: 'admin-1', role: 'admin' };
+    if (req.headers['x-public-key']) {
+      req.apiKey = { publicKey: req.headers['x-public-key'], role: 'user' };
+    }
+    next();
+  },
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const AuditLogService = require('../../src/services/AuditLogService');
+const DonationService = require('../../src/services/DonationService');
+const DisputeService = require('../../src/services/DisputeService');
+const disputesRouter = require('../../src/routes/disputes');
+const {
+  DISPUTE_STATES,
+  normalizeState,
+  canTransition,
+  isTerminal,
+} = require('../../src/utils/disputeStateMachine');
+
+const DONOR = 'GDISPUTEDONOR0000000000000000000000000000000000000000000';
+const RECIPIENT = 'GDISPUTERECIPIENT000000000000000000000000000000000000000';
+const STRANGER = 'GDISPUTESTRANGER0000000000000000000000000000000000000000';
+
+const HOUR = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.id = 'test-req-id';
+  next();
+});
+app.use('/donations', disputesRouter);
+app.use('/admin/disputes', disputesRouter);
+
+async function userId(publicKey) {
+  await Database.run('INSERT OR IGNORE INTO users (publicKey) VALUES (?)', [publicKey]);
+  const row = await Database.get('SELECT id FROM users WHERE publicKey = ?', [publicKey]);
+  return row.id;
+}
+
+async function createDonation(amount = 20) {
+  const result = await Database.run(
+    'INSERT INTO transactions (senderId, receiverId, amount, timestamp) VALUES (?, ?, ?, ?)',
+    [await userId(DONOR), await userId(RECIPIENT), amount, new Date().toISOString()]
+  );
+  return result.id;
+}
+
+async function openDispute(body = {}) {
+  const donationId = await createDonation();
+  const res = await request(app)
+    .post(`/donations/${donationId}/dispute`)
+    .set('x-public-key', RECIPIENT)
+    .send({ reason: 'Donation was sent by mistake', ...body });
+  return { donationId, res };
+}
+
+const patch = (id, body) => request(app).patch(`/admin/disputes/${id}`).send(body);
+
+let auditSpy;
+let refundSpy;
+
+beforeEach(() => {
+  auditSpy = jest.spyOn(AuditLogService, 'log').mockResolvedValue(undefined);
+  refundSpy = jest.spyOn(DonationService.prototype, 'refundDonation')
+    .mockImplementation(async (donationId, { amount }) => ({
+      refundId: 77,
+      originalDonationId: donationId,
+      amount: amount === undefined ? 20 : amount,
+      status: 'completed',
+    }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const auditActions = () => auditSpy.mock.calls.map(([entry]) => entry.action);
+
+describe('disputeStateMachine', () => {
+  test('follows open → awaiting donor response → under review → resolved', () => {
+    expect(canTransition(DISPUTE_STATES.OPEN, DISPUTE_STATES.AWAITING_DONOR_RESPONSE)).toBe(true);
+    expect(canTransition(DISPUTE_STATES.AWAITING_DONOR_RESPONSE, DISPUTE_STATES.UNDER_REVIEW)).toBe(true);
+    expect(canTransition(DISPUTE_STATES.UNDER_REVIEW, DISPUTE_STATES.RESOLVED_PARTIAL_REFUND)).toBe(true);
+    expect(canTransition(DISPUTE_STATES.OPEN, DISPUTE_STATES.RESOLVED_REFUND)).toBe(false);
+    expect(canTransition(DISPUTE_STATES.RESOLVED_REJECTED, DISPUTE_STATES.UNDER_REVIEW)).toBe(false);
+  });
+
+  test('maps resolved_no_action to resolved_rejected', () => {
+    expect(normalizeState('resolved_no_action')).toBe(DISPUTE_STATES.RESOLVED_REJECTED);
+    expect(isTerminal(DISPUTE_STATES.RESOLVED_REJECTED)).toBe(true);
+  });
+});
+
+describe('opening a dispute', () => {
+  test('stores evidence items with content hashes and an SLA deadline', async () => {
+    const file = Buffer.from('%PDF-1.4 receipt');
+    const { res } = await openDispute({
+      evidence: 'See the attached receipt',
+      evidenceItems: [
+        { kind: 'file', content: file.toString('base64'), mimeType: 'application/pdf', contentHash: sha256(file) },
+        { kind: 'url', content: 'https://example.org/ticket/1', description: 'Support ticket' },
+      ],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe(DISPUTE_STATES.OPEN);
+    const hoursToDeadline = (new Date(res.body.data.slaDeadline) - Date.now()) / HOUR;
+    expect(hoursToDeadline).toBeGreaterThan(47);
+    expect(hoursToDeadline).toBeLessThanOrEqual(48);
+
+    const details = await DisputeService.getDetails(res.body.data.id);
+    expect(details.donorPublicKey).toBe(DONOR);
+    expect(details.evidence.map((e) => e.kind)).toEqual(['text', 'file', 'url']);
+    expect(details.evidence[1].contentHash).toBe(sha256(file));
+    expect(details.evidence[1].sizeBytes).toBe(file.length);
+    expect(details.evidence.every((e) => e.submittedBy === 'recipient')).toBe(true);
+    expect(details.transitions).toEqual([
+      expect.objectContaining({ fromStatus: null, toStatus: DISPUTE_STATES.OPEN, actor: RECIPIENT }),
+    ]);
+    expect(auditActions()).toContain('DISPUTE_OPENED');
+  });
+
+  test('rejects evidence whose contentHash does not match', async () => {
+    const { res } = await openDispute({
+      evidenceItems: [{ kind: 'text', content: 'hello', contentHash: sha256('goodbye') }],
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('EVIDENCE_HASH_MISMATCH');
+  });
+});
+
+describe('evidence and donor responses', () => {
+  test('both parties can add evidence; strangers cannot', async () => {
+    const { donationId } = await openDispute();
+
+    const fromDonor = await request(app)
+      .post(`/donations/${donationId}/dispute/evidence`)
+      .set('x-public-key', DONOR)
+      .send({ evidence: [{ kind: 'text', content: 'I meant to send it' }] });
+    expect(fromDonor.status).toBe(201);
+    expect(fromDonor.body.data[0]).toMatchObject({ submittedBy: 'donor', contentHash: sha256('I meant to send it') });
+
+    const fromStranger = await request(app)
+      .post(`/donations/${donationId}/dispute/evidence`)
+      .set('x-public-key', STRANGER)
+      .send({ evidence: [{ kind: 'text', content: 'nope' }] });
+    expect(fromStranger.status).toBe(403);
+
+    const view = await request(app).get(`/donations/${donationId}/dispute`).set('x-public-key', DONOR);
+    expect(view.status).toBe(200);
+    expect(view.body.data.evidence).toHaveLength(1);
+    expect(auditActions()).toContain('DISPUTE_EVIDENCE_ADDED');
+  });
+
+  test('a donor response moves the dispute to review', async () => {
+    const { donationId, res } = await openDispute();
+    const id = res.body.data.id;
+    await patch(id, { status: DISPUTE_STATES.AWAITING_DONOR_RESPONSE }).expect(200);
+
+    const response = await request(app)
+      .post(`/donations/${donationId}/dispute/response`)
+      .set('x-public-key', DONOR)
+      .send({ response: 'The donation was intentional', evidence: [{ kind: 'text', content: 'Bank statement' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe(DISPUTE_STATES.UNDER_REVIEW);
+    expect(response.body.data.donorResponse).toBe('The donation was intentional');
+
+    const details = await DisputeService.getDetails(id);
+    expect(details.transitions.map((t) => t.toStatus)).toEqual([
+      DISPUTE_STATES.OPEN,
+      DISPUTE_STATES.AWAITING_DONOR_RESPONSE,
+      DISPUTE_STATES.UNDER_REVIEW,
+    ]);
+    expect(details.evidence[0].submittedBy).toBe('donor');
+  });
+
+  test('only a dispute awaiting the donor accepts a response', async () => {
+    const { donationId } = await openDispute();
+
+    const response = await request(app)
+      .post(`/donations/${donationId}/dispute/response`)
+      .set('x-public-key', DONOR)
+      .send({ response: 'Too early' });
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('resolution', () => {
+  test('rejects transitions the state machine does not allow', async () => {
+    const { res } = await openDispute();
+
+    const jump = await patch(res.body.data.id, { status: DISPUTE_STATES.RESOLVED_REFUND });
+
+    expect(jump.status).toBe(409);
+    expect(jump.body.error.code).toBe('INVALID_DISPUTE_TRANSITION');
+    expect(refundSpy).not.toHaveBeenCalled();
+  });
+
+  test('a refund resolution refunds the donation and records it', async () => {
+    const { donationId, res } = await openDispute();
+    const id = res.body.data.id;
+    await patch(id, { status: DISPUTE_STATES.UNDER_REVIEW }).expect(200);
+
+    const resolved = await patch(id, { status: DISPUTE_STATES.RESOLVED_REFUND, resolutionNotes: 'Confirmed duplicate' });
+
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data).toMatchObject({ status: DISPUTE_STATES.RESOLVED_REFUND, refundId: 77, refundAmount: 20, slaDeadline: null });
+    expect(resolved.body.data.resolvedAt).toBeTruthy();
+    expect(refundSpy).toHaveBeenCalledWith(donationId, expect.objectContaining({
+      idempotencyKey: `dispute-${id}`,
+      enforceRefundWindow: false,
+      amount: undefined,
+    }));
+    expect(auditActions()).toEqual(expect.arrayContaining(['DISPUTE_STATUS_CHANGED', 'DISPUTE_RESOLVED']));
+  });
+
+  test('a partial refund requires and passes on refundAmount', async () => {
+    const { res } = await openDispute();
+    const id = res.body.data.id;
+    await patch(id, { status: DISPUTE_STATES.UNDER_REVIEW }).expect(200);
+
+    const missing = await patch(id, { status: DISPUTE_STATES.RESOLVED_PARTIAL_REFUND });
+    expect(missing.status).toBe(400);
+    expect(missing.body.error.code).toBe('INVALID_REFUND_AMOUNT');
+
+    const resolved = await patch(id, { status: DISPUTE_STATES.RESOLVED_PARTIAL_REFUND, refundAmount: 5 });
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data.refundAmount).toBe(5);
+    expect(refundSpy).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ amount: 5 }));
+  });
+
+  test('a failed refund leaves the dispute under review', async () => {
+    refundSpy.mockRejectedValue(new Error('Stellar unavailable'));
+    const { res } = await openDispute();
+    const id = res.body.data.id;
+    await patch(id, { status: DISPUTE_STATES.UNDER_REVIEW }).expect(200);
+
+    const resolved = await patch(id, { status: DISPUTE_STATES.RESOLVED_REFUND });
+
+    expect(resolved.status).toBe(500);
+    const dispute = await DisputeService.getById(id);
+    expect(dispute.status).toBe(DISPUTE_STATES.UNDER_REVIEW);
+    expect(dispute.resolvedAt).toBeNull();
+    expect(auditActions()).toContain('DISPUTE_REFUND_FAILED');
+  });
+
+  test('the legacy resolved_no_action status still closes a dispute', async () => {
+    const { res } = await openDispute();
+
+    const resolved = await patch(res.body.data.id, { status: 'resolved_no_action' });
+
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data.status).toBe(DISPUTE_STATES.RESOLVED_REJECTED);
+  });
+});
+
+describe('SLA enforcement', () => {
+  test('moves disputes past the donor response deadline to review', async () => {
+    const { res } = await openDispute();
+    const id = res.body.data.id;
+    await patch(id, { status: DISPUTE_STATES.AWAITING_DONOR_RESPONSE }).expect(200);
+
+    const { advanced } = await DisputeService.enforceSlas(new Date(Date.now() + 73 * HOUR));
+
+    expect(advanced).toBeGreaterThanOrEqual(1);
+    const details = await DisputeService.getDetails(id);
+    expect(details.status).toBe(DISPUTE_STATES.UNDER_REVIEW);
+    expect(details.transitions[details.transitions.length - 1]).toMatchObject({
+      actor: 'system',
+      note: 'Donor response deadline passed',
+    });
+  });
+
+  test('does not overwrite a dispute that changed after it was read', async () => {
+    const { res } = await openDispute();
+    const id = res.body.data.id;
+    await patch(id, { status: DISPUTE_STATES.AWAITING_DONOR_RESPONSE }).expect(200);
+    const stale = await DisputeService.getById(id);
+    await patch(id, { status: DISPUTE_STATES.UNDER_REVIEW }).expect(200);
+    await patch(id, { status: DISPUTE_STATES.RESOLVED_REJECTED }).expect(200);
+
+    await expect(DisputeService._transition(stale, DISPUTE_STATES.UNDER_REVIEW, { actor: 'system' }))
+      .rejects.toMatchObject({ errorCode: 'DISPUTE_STATUS_CHANGED' });
+
+    const details = await DisputeService.getDetails(id);
+    expect(details.status).toBe(DISPUTE_STATES.RESOLVED_REJECTED);
+    expect(details.transitions).toHaveLength(4);
+  });
+
+  test('flags overdue open disputes once', async () => {
+    const { res } = await openDispute();
+    const id = res.body.data.id;
+    const later = new Date(Date.now() + 49 * HOUR);
+
+    await DisputeService.enforceSlas(later);
+    const dispute = await DisputeService.getById(id);
+    expect(dispute.status).toBe(DISPUTE_STATES.OPEN);
+    expect(dispute.slaBreachedAt).toBe(later.toISOString());
+
+    auditSpy.mockClear();
+    await DisputeService.enforceSlas(new Date(later.getTime() + HOUR));
+    expect(auditSpy.mock.calls.filter(([e]) => e.details.disputeId === id)).toHaveLength(0);
+
+    const list = await request(app).get('/admin/disputes').query({ slaBreached: 'true' });
+    expect(list.body.data.map((d) => d.id)).toContain(id);
+  });
+});
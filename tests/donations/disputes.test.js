@@ -21,7 +21,7 @@ const request = require('supertest');
 
 jest.mock('../../src/utils/database');
 jest.mock('../../src/services/AuditLogService');
-jest.mock('../../src/services/WebhookService');
+jest.mock('../../src/services/OutboxService');
 jest.mock('../../src/middleware/payloadSizeLimiter', () => ({
   payloadSizeLimiter: () => (req, res, next) => next(),
   ENDPOINT_LIMITS: { donation: 1024, admin: 1024 },
@@ -54,15 +54,18 @@ jest.mock('../../src/middleware/rbac', () => {
 
 const Database = require('../../src/utils/database');
 const AuditLogService = require('../../src/services/AuditLogService');
-const WebhookService = require('../../src/services/WebhookService');
+const OutboxService = require('../../src/services/OutboxService');
 
 // Silence audit log calls
 AuditLogService.log = jest.fn().mockResolvedValue(undefined);
 AuditLogService.CATEGORY = { DONATION: 'DONATION' };
 AuditLogService.SEVERITY = { MEDIUM: 'MEDIUM' };
 
-// Silence webhook calls
-WebhookService.deliver = jest.fn().mockResolvedValue(undefined);
+// Outbox writes share the (mocked) transaction handle
+OutboxService.enqueue = jest.fn().mockResolvedValue('event-1');
+Database.runTransaction.mockImplementation(async (callback) =>
+  callback({ run: Database.run, get: Database.get, all: Database.all })
+);
 
 const disputesRouter = require('../../src/routes/disputes');
 
@@ -345,7 +348,7 @@ describe('POST /donations/:id/dispute', () => {
     expect(res.body.data.evidence).toBe('screenshot at https://example.com');
   });
 
-  it('fires a webhook after opening a dispute', async () => {
+  it('records a donation.disputed outbox event after opening a dispute', async () => {
     const testApp = buildApp();
     const newDisputeId = 44;
 
@@ -365,9 +368,12 @@ describe('POST /donations/:id/dispute', () => {
 
     await request(testApp).post('/donations/1/dispute').send({ reason: 'fraud' });
 
-    expect(WebhookService.deliver).toHaveBeenCalledWith(
-      'donation.disputed',
-      expect.objectContaining({ donationId: '1', disputeId: newDisputeId })
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        eventType: 'donation.disputed',
+        payload: expect.objectContaining({ donationId: '1', disputeId: newDisputeId }),
+      })
     );
   });
 });
@@ -452,7 +458,7 @@ describe('PATCH /admin/disputes/:id', () => {
     }
   );
 
-  it('fires a refund webhook when resolving as refund', async () => {
+  it('records a refund_requested outbox event when resolving as refund', async () => {
     const existingDispute = { id: '1', donationId: '10', status: 'under_review', reason: 'fraud' };
     const updatedDispute = { ...existingDispute, status: 'resolved_refund', resolvedAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
 
@@ -466,13 +472,16 @@ describe('PATCH /admin/disputes/:id', () => {
       .patch('/admin/disputes/1')
       .send({ status: 'resolved_refund' });
 
-    expect(WebhookService.deliver).toHaveBeenCalledWith(
-      'donation.refund_requested',
-      expect.objectContaining({ donationId: '10', disputeId: '1' })
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        eventType: 'donation.refund_requested',
+        payload: expect.objectContaining({ donationId: '10', disputeId: '1' }),
+      })
     );
   });
 
-  it('does not fire a refund webhook for resolved_no_action', async () => {
+  it('does not record a refund_requested event for resolved_no_action', async () => {
     const existingDispute = { id: '1', donationId: '10', status: 'under_review', reason: 'fraud' };
     const updatedDispute = { ...existingDispute, status: 'resolved_no_action', resolvedAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
 
@@ -485,9 +494,9 @@ describe('PATCH /admin/disputes/:id', () => {
       .patch('/admin/disputes/1')
       .send({ status: 'resolved_no_action' });
 
-    expect(WebhookService.deliver).not.toHaveBeenCalledWith(
-      'donation.refund_requested',
-      expect.anything()
+    expect(OutboxService.enqueue).not.toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'donation.refund_requested' })
     );
   });
 
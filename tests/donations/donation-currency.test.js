@@ -9,6 +9,10 @@ const mockConvertToXLM = jest.fn();
 
 jest.mock('../../src/services/PriceOracleService', () => ({
   convertToXLM: (...args) => mockConvertToXLM(...args),
+  quote: async (amount, currency) => {
+    const xlm = await mockConvertToXLM(amount, currency);
+    return { xlm, rateXLMperUnit: xlm / amount, rateSource: 'test', rateTimestamp: '2026-01-01T00:00:00.000Z' };
+  },
   getRates: jest.fn(),
   SUPPORTED_CURRENCIES: ['usd', 'eur', 'gbp'],
   invalidateCache: jest.fn(),
@@ -20,6 +24,7 @@ jest.mock('../../src/models/transaction', () => ({
   getById: jest.fn(),
   getDailyTotalByDonor: jest.fn(() => 0),
   updateStatus: jest.fn(),
+  persisted: jest.fn().mockResolvedValue(undefined),
 }));
 
 describe('DonationService – currency conversion', () => {
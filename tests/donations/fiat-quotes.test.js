@@ -0,0 +1,328 @@
+/**
+ * Fiat Donation Quote Tests
+ *
+ * Covers:
+ *  - The file price provider and provider selection
+ *  - PriceOracleService.quote() reporting the rate source and timestamp
+ *  - Locking, scoping, claiming, releasing and expiry of donation quotes
+ *  - Custodial and non-custodial donations executing at a quote's locked amount
+ *    and persisting the fiat value, rate and source; a failed payment gives
+ *    the quote back
+ *  - POST /quotes and GET /quotes/:id
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => {
+  req.apiKey = { id: Number(req.get('x-test-key-id') || 7), role: 'user' };
+  next();
+});
+
+// Recipient velocity limits are covered by their own suite and need tables this one does not create
+jest.mock('../../src/services/DonationVelocityService', () => ({
+  checkVelocityLimits: jest.fn().mockResolvedValue(undefined),
+  recordDonation: jest.fn().mockResolvedValue(undefined),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const encryption = require('../../src/utils/encryption');
+const { getStellarService } = require('../../src/config/stellar');
+const priceOracle = require('../../src/services/PriceOracleService');
+const { getPriceProvider, FilePriceProvider } = require('../../src/services/priceProviders');
+const DonationQuoteService = require('../../src/services/DonationQuoteService');
+const DonationService = require('../../src/services/DonationService');
+const StatsService = require('../../src/services/StatsService');
+const quotesRouter = require('../../src/routes/quotes');
+
+const app = express();
+app.use(express.json());
+app.use('/quotes', quotesRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-oracle-'));
+const ratesFile = path.join(tmpDir, 'rates.json');
+const AS_OF = '2026-10-01T12:00:00.000Z';
+
+/** 1 XLM = `usd` USD, i.e. 1 USD buys 1 / usd XLM. */
+const writeRates = (usd, extra = {}) => {
+  fs.writeFileSync(ratesFile, JSON.stringify({ asOf: AS_OF, rates: { usd, eur: 0.2, ...extra } }));
+  priceOracle.invalidateCache();
+};
+
+beforeAll(async () => {
+  // Other suites in this worker may rebuild `transactions`; the migration only adds missing columns
+  await require('../../src/migrations/052_donation_quotes').up(Database);
+  priceOracle.setProvider(new FilePriceProvider(ratesFile));
+});
+
+beforeEach(() => writeRates(0.1));
+
+afterAll(() => {
+  priceOracle.setProvider(null);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('price providers', () => {
+  const envBackup = { ...process.env };
+  afterEach(() => {
+    process.env.PRICE_ORACLE_PROVIDER = envBackup.PRICE_ORACLE_PROVIDER;
+    process.env.PRICE_ORACLE_FILE = envBackup.PRICE_ORACLE_FILE;
+    if (envBackup.PRICE_ORACLE_PROVIDER === undefined) delete process.env.PRICE_ORACLE_PROVIDER;
+    if (envBackup.PRICE_ORACLE_FILE === undefined) delete process.env.PRICE_ORACLE_FILE;
+  });
+
+  test('the file provider reads the requested currencies and the asOf time', async () => {
+    const result = await new FilePriceProvider(ratesFile).fetchRates(['usd', 'gbp']);
+    expect(result).toEqual({ rates: { usd: 0.1 }, timestamp: AS_OF });
+  });
+
+  test('the file provider accepts a bare rates map and falls back to the file time', async () => {
+    const bare = path.join(tmpDir, 'bare.json');
+    fs.writeFileSync(bare, JSON.stringify({ USD: 0.125 }));
+
+    const result = await new FilePriceProvider(bare).fetchRates(['usd']);
+    expect(result.rates).toEqual({ usd: 0.125 });
+    expect(result.timestamp).toBe(fs.statSync(bare).mtime.toISOString());
+  });
+
+  test('the file provider rejects a file with no usable rates', async () => {
+    const empty = path.join(tmpDir, 'empty.json');
+    fs.writeFileSync(empty, JSON.stringify({ rates: { jpy: 15 } }));
+    await expect(new FilePriceProvider(empty).fetchRates(['usd'])).rejects.toThrow('has no rates');
+  });
+
+  test('PRICE_ORACLE_PROVIDER selects the provider and rejects unknown values', () => {
+    process.env.PRICE_ORACLE_PROVIDER = 'file';
+    process.env.PRICE_ORACLE_FILE = ratesFile;
+    expect(getPriceProvider()).toBeInstanceOf(FilePriceProvider);
+
+    process.env.PRICE_ORACLE_PROVIDER = 'oracle-of-delphi';
+    expect(() => getPriceProvider()).toThrow('Unknown PRICE_ORACLE_PROVIDER');
+  });
+
+  test('quote() reports the rate, its source and when it was observed', async () => {
+    const conversion = await priceOracle.quote(25, 'USD');
+    expect(conversion).toMatchObject({
+      xlm: 250,
+      rateXLMperUnit: 10,
+      rateSource: 'file',
+      rateTimestamp: AS_OF,
+    });
+    await expect(priceOracle.convertToXLM(25, 'usd')).resolves.toBe(250);
+  });
+});
+
+describe('DonationQuoteService', () => {
+  test('a quote keeps its rate when the market moves', async () => {
+    const quote = await DonationQuoteService.create({ amount: 10, currency: 'usd', apiKeyId: 7 });
+    expect(quote).toMatchObject({ amount: 10, currency: 'USD', xlmAmount: 100, rateSource: 'file', status: 'open' });
+
+    writeRates(0.5);
+    const resolved = await DonationQuoteService.resolve(quote.id, { apiKeyId: 7 });
+    expect(resolved.xlmAmount).toBe(100);
+    expect(resolved.fiat).toMatchObject({ originalAmount: 10, originalCurrency: 'USD', rateXLMperUnit: 10, quoteId: quote.id });
+  });
+
+  test('validates the currency and lock window', async () => {
+    await expect(DonationQuoteService.create({ amount: 10, currency: 'JPY' }))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'UNSUPPORTED_CURRENCY' });
+    await expect(DonationQuoteService.create({ amount: 10, currency: 'USD', lockSeconds: DonationQuoteService.QUOTE_MAX_TTL_SECONDS + 1 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('is only visible to the API key that requested it', async () => {
+    const quote = await DonationQuoteService.create({ amount: 10, currency: 'USD', apiKeyId: 7 });
+    await expect(DonationQuoteService.resolve(quote.id, { apiKeyId: 8 }))
+      .rejects.toMatchObject({ statusCode: 404, errorCode: 'QUOTE_NOT_FOUND' });
+  });
+
+  test('refuses an amount or currency other than the quoted one', async () => {
+    const quote = await DonationQuoteService.create({ amount: 10, currency: 'USD' });
+    await expect(DonationQuoteService.resolve(quote.id, { amount: 11 }))
+      .rejects.toMatchObject({ errorCode: 'QUOTE_MISMATCH' });
+    await expect(DonationQuoteService.resolve(quote.id, { amount: 10, currency: 'EUR' }))
+      .rejects.toMatchObject({ errorCode: 'QUOTE_MISMATCH' });
+  });
+
+  test('can be claimed once', async () => {
+    const quote = await DonationQuoteService.create({ amount: 10, currency: 'USD' });
+    await DonationQuoteService.claim(quote.id);
+    await expect(DonationQuoteService.claim(quote.id))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'QUOTE_ALREADY_USED' });
+  });
+
+  test('a released quote is open again, or expired once its lock has run out', async () => {
+    const quote = await DonationQuoteService.create({ amount: 10, currency: 'USD' });
+    await DonationQuoteService.claim(quote.id);
+    await DonationQuoteService.release(quote.id);
+    expect((await DonationQuoteService.getById(quote.id)).status).toBe('open');
+
+    await DonationQuoteService.claim(quote.id);
+    await Database.run('UPDATE donation_quotes SET expiresAt = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), quote.id]);
+    await DonationQuoteService.release(quote.id);
+    expect((await DonationQuoteService.getById(quote.id)).status).toBe('expired');
+  });
+
+  test('cannot be used after the lock runs out', async () => {
+    const quote = await DonationQuoteService.create({ amount: 10, currency: 'USD' });
+    await Database.run('UPDATE donation_quotes SET expiresAt = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), quote.id]);
+
+    expect((await DonationQuoteService.getById(quote.id)).status).toBe('expired');
+    await expect(DonationQuoteService.resolve(quote.id)).rejects.toMatchObject({ statusCode: 422, errorCode: 'QUOTE_EXPIRED' });
+    await expect(DonationQuoteService.claim(quote.id)).rejects.toMatchObject({ errorCode: 'QUOTE_EXPIRED' });
+  });
+});
+
+describe('fiat donations', () => {
+  let stellarService;
+  let donationService;
+
+  const createUser = async () => {
+    const wallet = await stellarService.createWallet();
+    await stellarService.fundTestnetWallet(wallet.publicKey);
+    const { id } = await Database.run(
+      'INSERT INTO users (publicKey, encryptedSecret) VALUES (?, ?)',
+      [wallet.publicKey, encryption.encrypt(wallet.secretKey)]
+    );
+    return { id, publicKey: wallet.publicKey };
+  };
+
+  beforeAll(() => {
+    stellarService = getStellarService();
+    donationService = new DonationService(stellarService);
+  });
+
+  test('a custodial donation with a quote pays the locked amount and records the fiat value', async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    const quote = await DonationQuoteService.create({ amount: 2, currency: 'USD', apiKeyId: 7 });
+    writeRates(0.05);
+    const sendSpy = jest.spyOn(stellarService, 'sendDonation');
+
+    const result = await donationService.sendCustodialDonation({
+      senderId: donor.id,
+      receiverId: recipient.id,
+      quoteId: quote.id,
+      apiKeyId: 7,
+      idempotencyKey: `quote-${Date.now()}`,
+    });
+
+    expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({ amount: 20 }));
+    sendSpy.mockRestore();
+
+    const row = await Database.get('SELECT * FROM transactions WHERE id = ?', [result.id]);
+    expect(row).toMatchObject({
+      originalAmount: 2,
+      originalCurrency: 'USD',
+      rateXLMperUnit: 10,
+      rateSource: 'file',
+      rateTimestamp: AS_OF,
+      quoteId: quote.id,
+    });
+    expect(Transaction.getById(String(result.id))).toMatchObject({ originalAmount: 2, originalCurrency: 'USD', rateSource: 'file' });
+    expect(await DonationQuoteService.getById(quote.id)).toMatchObject({ status: 'used', donationId: String(result.id) });
+
+    await expect(donationService.sendCustodialDonation({
+      senderId: donor.id,
+      receiverId: recipient.id,
+      quoteId: quote.id,
+      apiKeyId: 7,
+      idempotencyKey: `quote-again-${Date.now()}`,
+    })).rejects.toMatchObject({ errorCode: 'QUOTE_ALREADY_USED' });
+  });
+
+  test('a donation whose payment fails gives its quote back', async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    const quote = await DonationQuoteService.create({ amount: 2, currency: 'USD', apiKeyId: 7 });
+    const sendSpy = jest.spyOn(stellarService, 'sendDonation').mockRejectedValueOnce(new Error('tx_failed'));
+
+    await expect(donationService.sendCustodialDonation({
+      senderId: donor.id,
+      receiverId: recipient.id,
+      quoteId: quote.id,
+      apiKeyId: 7,
+      idempotencyKey: `quote-failed-${Date.now()}`,
+    })).rejects.toThrow('tx_failed');
+    sendSpy.mockRestore();
+
+    expect(await DonationQuoteService.getById(quote.id)).toMatchObject({ status: 'open', usedAt: null });
+    const result = await donationService.sendCustodialDonation({
+      senderId: donor.id,
+      receiverId: recipient.id,
+      quoteId: quote.id,
+      apiKeyId: 7,
+      idempotencyKey: `quote-retry-${Date.now()}`,
+    });
+    expect(await DonationQuoteService.getById(quote.id)).toMatchObject({ status: 'used', donationId: String(result.id) });
+  });
+
+  test('a fiat donation without a quote converts at the current rate and keeps it', async () => {
+    const tx = await donationService.createDonationRecord({
+      amount: 3,
+      currency: 'eur',
+      donor: 'DONOR_FIAT',
+      recipient: 'RECIPIENT_FIAT',
+    });
+
+    expect(tx).toMatchObject({
+      amount: 15,
+      originalAmount: 3,
+      originalCurrency: 'EUR',
+      rateXLMperUnit: 5,
+      rateSource: 'file',
+      rateTimestamp: AS_OF,
+    });
+  });
+
+  test('summary stats report the fiat value donations were made for', async () => {
+    const start = new Date(Date.now() - 60000);
+    await donationService.createDonationRecord({ amount: 1.5, currency: 'USD', donor: 'DONOR_STATS', recipient: 'RECIPIENT_STATS' });
+    await donationService.createDonationRecord({ amount: 2.25, currency: 'USD', donor: 'DONOR_STATS', recipient: 'RECIPIENT_STATS' });
+
+    const summary = StatsService.getSummaryStats(start, new Date(Date.now() + 60000));
+    expect(Number(summary.fiatVolume.USD)).toBeGreaterThanOrEqual(3.75);
+  });
+});
+
+describe('quote routes', () => {
+  test('POST /quotes locks a rate and GET /quotes/:id returns it to the same key', async () => {
+    const created = await request(app).post('/quotes').send({ amount: 5, currency: 'USD', lockSeconds: 30 });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ amount: 5, currency: 'USD', xlmAmount: 50, status: 'open' });
+    const lockMs = new Date(created.body.data.expiresAt) - Date.now();
+    expect(lockMs).toBeGreaterThan(25000);
+    expect(lockMs).toBeLessThanOrEqual(30000);
+
+    const fetched = await request(app).get(`/quotes/${created.body.data.id}`);
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.data.id).toBe(created.body.data.id);
+
+    const otherKey = await request(app).get(`/quotes/${created.body.data.id}`).set('x-test-key-id', '99');
+    expect(otherKey.status).toBe(404);
+  });
+
+  test('POST /quotes requires an amount and currency', async () => {
+    const res = await request(app).post('/quotes').send({ amount: 5 });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,560 @@
+/**
+ * KYC Hold Tests
+ *
+ * Covers:
+ *  - KYC_THRESHOLDS parsing and per-asset / per-country lookup
+ *  - The SEP-12 style customer store (partial updates, status, encryption at rest)
+ *  - Custodial, recorded and batch donations above the threshold are paid
+ *    into the hold account and sit in held_for_kyc, keeping a quoted fiat value
+ *  - Admin approval releases the donation to the recipient; rejection refunds
+ *    the donor; a decision payment with an unknown outcome is settled from the
+ *    network by the next decision
+ *  - Non-custodial and recurring donations above the threshold are refused
+ *    until the donor is accepted
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS = 'test-key-1';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => {
+    req.user = req.user || { id: 'admin-1', role: 'admin' };
+    next();
+  },
+}));
+
+// Recipient velocity limits are covered by their own suite and need tables this one does not create
+jest.mock('../../src/services/DonationVelocityService', () => ({
+  checkVelocityLimits: jest.fn().mockResolvedValue(undefined),
+  recordDonation: jest.fn().mockResolvedValue(undefined),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const encryption = require('../../src/utils/encryption');
+const donationEvents = require('../../src/events/donationEvents');
+const { getStellarService } = require('../../src/config/stellar');
+const { loadKycThresholds, getKycThreshold } = require('../../src/config/kycThresholds');
+const { geoBlockMiddleware } = require('../../src/middleware/geoBlock');
+const DonationService = require('../../src/services/DonationService');
+const KycService = require('../../src/services/KycService');
+const NonCustodialDonationService = require('../../src/services/NonCustodialDonationService');
+const RecurringDonationScheduler = require('../../src/services/RecurringDonationScheduler');
+const kycRouter = require('../../src/routes/kyc');
+const kycHoldsRouter = require('../../src/routes/admin/kycHolds');
+
+const app = express();
+app.use(express.json());
+app.use('/kyc', kycRouter);
+app.use('/admin/kyc-holds', kycHoldsRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const FULL_CUSTOMER = {
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  email_address: 'ada@example.com',
+  address: '12 St James Square, London',
+  address_country_code: 'gbr',
+  birth_date: '1990-12-10',
+  id_type: 'passport',
+  id_number: 'P1234567',
+};
+
+let idempotencyCounter = 0;
+const nextKey = () => `kyc-idem-${++idempotencyCounter}-${Date.now()}`;
+
+describe('KYC thresholds', () => {
+  afterEach(() => {
+    delete process.env.KYC_THRESHOLDS;
+  });
+
+  test('parses per-asset, per-country thresholds and drops invalid entries', () => {
+    expect(loadKycThresholds('{"xlm": {"default": 1000, "us": "3000", "GB": -5}}')).toEqual({
+      XLM: { default: 1000, US: 3000 },
+    });
+    expect(loadKycThresholds('not json')).toEqual({});
+    expect(loadKycThresholds(undefined)).toEqual({});
+  });
+
+  test('falls back to the default for unknown countries', () => {
+    process.env.KYC_THRESHOLDS = '{"XLM": {"default": 1000, "US": 3000}}';
+
+    expect(getKycThreshold('XLM', 'US')).toBe(3000);
+    expect(getKycThreshold('XLM', 'FR')).toBe(1000);
+    expect(getKycThreshold('XLM', null)).toBe(1000);
+    expect(getKycThreshold('USDC', 'US')).toBeNull();
+  });
+
+  test('applies no threshold when unset', () => {
+    expect(getKycThreshold('XLM', 'US')).toBeNull();
+  });
+});
+
+describe('KYC holds', () => {
+  let stellarService;
+  let donationService;
+  let kycService;
+  let hold;
+  let recipient;
+
+  /** A donor wallet and user with a funded mock account. */
+  const createDonor = async () => {
+    const wallet = await stellarService.createWallet();
+    await stellarService.fundTestnetWallet(wallet.publicKey);
+    const { id } = await Database.run(
+      'INSERT INTO users (publicKey, encryptedSecret) VALUES (?, ?)',
+      [wallet.publicKey, encryption.encrypt(wallet.secretKey)]
+    );
+    return { id, publicKey: wallet.publicKey, secretKey: wallet.secretKey };
+  };
+
+  const donate = (donor, amount, extra = {}) => donationService.sendCustodialDonation({
+    senderId: donor.id,
+    receiverId: recipient.id,
+    amount,
+    memo: 'kyc test',
+    idempotencyKey: nextKey(),
+    ipAddress: '203.0.113.7',
+    ...extra,
+  });
+
+  const balanceOf = async (publicKey) => Number((await stellarService.getBalance(publicKey)).balance);
+
+  beforeAll(async () => {
+    stellarService = getStellarService();
+    donationService = new DonationService(stellarService);
+    kycService = new KycService(stellarService);
+
+    // The hold account's public key is derived from its secret, so it needs a real keypair
+    const holdKeypair = StellarSdk.Keypair.random();
+    hold = { publicKey: holdKeypair.publicKey(), secretKey: holdKeypair.secret() };
+    stellarService.wallets.set(hold.publicKey, {
+      ...hold,
+      balance: '0.0000000',
+      assetBalances: { native: '0.0000000' },
+      sequence: '0',
+    });
+    stellarService.transactions.set(hold.publicKey, []);
+    await stellarService.fundTestnetWallet(hold.publicKey);
+    process.env.KYC_HOLD_SECRET_KEY = hold.secretKey;
+    process.env.KYC_THRESHOLDS = '{"XLM": {"default": 100, "US": 300}}';
+
+    const wallet = await stellarService.createWallet();
+    await stellarService.fundTestnetWallet(wallet.publicKey);
+    const { id } = await Database.run('INSERT INTO users (publicKey) VALUES (?)', [wallet.publicKey]);
+    recipient = { id, publicKey: wallet.publicKey };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    delete process.env.KYC_HOLD_SECRET_KEY;
+    delete process.env.KYC_THRESHOLDS;
+    Transaction._clearAllData();
+  });
+
+  describe('customer store', () => {
+    test('stores fields encrypted and reports what is still needed', async () => {
+      const donor = await createDonor();
+
+      const put = await request(app)
+        .put('/kyc/customer')
+        .set('X-API-Key', 'test-key-1')
+        .send({ account: donor.publicKey, first_name: 'Ada', last_name: 'Lovelace' });
+      expect(put.status).toBe(202);
+
+      const res = await request(app).get(`/kyc/customer?account=${donor.publicKey}`).set('X-API-Key', 'test-key-1');
+      expect(res.body).toMatchObject({ id: put.body.id, status: 'NEEDS_INFO' });
+      expect(Object.keys(res.body.provided_fields)).toEqual(['first_name', 'last_name']);
+      expect(res.body.fields.email_address).toEqual({ type: 'string', description: 'Email address' });
+      expect(res.body.fields.tax_id.optional).toBe(true);
+      expect(JSON.stringify(res.body)).not.toContain('Lovelace');
+
+      const row = await Database.get('SELECT encryptedFields FROM kyc_customers WHERE account = ?', [donor.publicKey]);
+      expect(row.encryptedFields).not.toContain('Lovelace');
+      expect(JSON.parse(await encryption.decryptWithDEK(row.encryptedFields))).toEqual({ first_name: 'Ada', last_name: 'Lovelace' });
+    });
+
+    test('merges partial updates and moves to PROCESSING once complete', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: { first_name: 'Ada' } });
+      const { first_name: _, ...rest } = FULL_CUSTOMER;
+      await kycService.putCustomer({ account: donor.publicKey, fields: rest });
+
+      const customer = await kycService.getCustomer(donor.publicKey);
+
+      expect(customer.status).toBe('PROCESSING');
+      expect(customer.provided_fields.first_name.status).toBe('PROCESSING');
+      expect(customer.provided_fields.address_country_code).toBeDefined();
+    });
+
+    test('returns NEEDS_INFO for an unknown account', async () => {
+      const { publicKey } = await stellarService.createWallet();
+
+      const customer = await kycService.getCustomer(publicKey);
+
+      expect(customer.status).toBe('NEEDS_INFO');
+      expect(customer.id).toBeUndefined();
+    });
+
+    test('validates fields', async () => {
+      const donor = await createDonor();
+      const put = (body) => request(app).put('/kyc/customer').set('X-API-Key', 'test-key-1').send({ account: donor.publicKey, ...body });
+
+      expect((await put({ favourite_colour: 'blue' })).body.error.code).toBe('UNKNOWN_KYC_FIELD');
+      expect((await put({ email_address: 'nope' })).body.error.code).toBe('INVALID_KYC_FIELD');
+      expect((await put({ birth_date: '10/12/1990' })).body.error.code).toBe('INVALID_KYC_FIELD');
+      expect((await put({ id_type: 'library_card' })).body.error.code).toBe('INVALID_KYC_FIELD');
+      expect((await request(app).put('/kyc/customer').set('X-API-Key', 'test-key-1').send({ account: 'GNOPE', first_name: 'A' })).body.error.code)
+        .toBe('INVALID_ACCOUNT');
+    });
+
+    test('deletes a customer', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: { first_name: 'Ada' } });
+
+      const res = await request(app).delete(`/kyc/customer/${donor.publicKey}`).set('X-API-Key', 'test-key-1');
+      const missing = await request(app).delete(`/kyc/customer/${donor.publicKey}`).set('X-API-Key', 'test-key-1');
+
+      expect(res.status).toBe(200);
+      expect(await Database.get('SELECT id FROM kyc_customers WHERE account = ?', [donor.publicKey])).toBeUndefined();
+      expect(missing.body.error.code).toBe('KYC_CUSTOMER_NOT_FOUND');
+    });
+  });
+
+  describe('holding donations', () => {
+    test('sends donations at or below the threshold straight to the recipient', async () => {
+      const donor = await createDonor();
+
+      const result = await donate(donor, 100);
+
+      expect(result.status).not.toBe('held_for_kyc');
+      expect(result.kycHold).toBeUndefined();
+    });
+
+    test('holds donations above the threshold in the hold account', async () => {
+      const donor = await createDonor();
+      const recipientBefore = await balanceOf(recipient.publicKey);
+      const holdBefore = await balanceOf(hold.publicKey);
+
+      const result = await donate(donor, 150);
+
+      expect(result).toMatchObject({ status: 'held_for_kyc', sender: donor.publicKey, receiver: recipient.publicKey });
+      expect(result.kycHold).toMatchObject({ threshold: 100, countryCode: null });
+      expect(Transaction.getById(result.id)).toMatchObject({ status: 'held_for_kyc', kycHoldId: result.kycHold.id });
+      expect(await balanceOf(hold.publicKey)).toBeCloseTo(holdBefore + 150);
+      expect(await balanceOf(recipient.publicKey)).toBeCloseTo(recipientBefore);
+      expect(await Database.get('SELECT id FROM transactions WHERE stellar_tx_id = ?', [result.stellarTxId])).toBeUndefined();
+    });
+
+    test('uses the threshold for the donor country', async () => {
+      jest.spyOn(geoBlockMiddleware, 'getCountryCode').mockReturnValue('US');
+      const donor = await createDonor();
+
+      const below = await donate(donor, 150);
+      const above = await donate(donor, 350);
+
+      expect(below.status).not.toBe('held_for_kyc');
+      expect(above.kycHold).toMatchObject({ threshold: 300, countryCode: 'US' });
+      expect(geoBlockMiddleware.getCountryCode).toHaveBeenCalledWith('203.0.113.7');
+    });
+
+    test('replays a held donation for the same idempotency key', async () => {
+      const donor = await createDonor();
+      const idempotencyKey = nextKey();
+
+      const first = await donate(donor, 150, { idempotencyKey });
+      const second = await donate(donor, 150, { idempotencyKey });
+
+      expect(second).toMatchObject({ id: first.id, replayed: true, status: 'held_for_kyc' });
+    });
+
+    test('keeps a quoted fiat donation\'s value through the hold and release', async () => {
+      const donor = await createDonor();
+      const quoteId = `quote-kyc-${Date.now()}`;
+      await Database.run(
+        `INSERT INTO donation_quotes
+           (id, amount, currency, xlmAmount, rateXLMperUnit, rateSource, rateTimestamp, status, expiresAt)
+         VALUES (?, 40, 'USD', 400, 10, 'file', ?, 'open', ?)`,
+        [quoteId, new Date().toISOString(), new Date(Date.now() + 60000).toISOString()]
+      );
+
+      const idempotencyKey = nextKey();
+      const held = await donate(donor, undefined, { quoteId, idempotencyKey });
+      expect(Transaction.getById(held.id)).toMatchObject({ amount: 400, originalAmount: 40, originalCurrency: 'USD', quoteId });
+      expect(await Database.get('SELECT status, donationId FROM donation_quotes WHERE id = ?', [quoteId]))
+        .toEqual({ status: 'used', donationId: held.id });
+
+      await kycService.putCustomer({ account: donor.publicKey, fields: FULL_CUSTOMER });
+      await kycService.approve(held.kycHold.id);
+
+      const row = await Database.get('SELECT * FROM transactions WHERE idempotencyKey = ?', [idempotencyKey]);
+      expect(row).toMatchObject({ originalAmount: 40, originalCurrency: 'USD', rateXLMperUnit: 10, quoteId });
+    });
+
+    test('does not hold donors that have been accepted', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: FULL_CUSTOMER });
+      const held = await donate(donor, 150);
+      await kycService.approve(held.kycHold.id);
+
+      const next = await donate(donor, 150);
+
+      expect(next.status).not.toBe('held_for_kyc');
+    });
+
+    test('fails with 503 when no hold account is configured', async () => {
+      const donor = await createDonor();
+      delete process.env.KYC_HOLD_SECRET_KEY;
+      // The service account is never used as the hold account
+      process.env.SERVICE_SECRET_KEY = hold.secretKey;
+      try {
+        await expect(donate(donor, 150)).rejects.toMatchObject({ statusCode: 503 });
+      } finally {
+        process.env.KYC_HOLD_SECRET_KEY = hold.secretKey;
+        delete process.env.SERVICE_SECRET_KEY;
+      }
+    });
+
+    test('holds recorded donations the API pays', async () => {
+      const donor = await createDonor();
+      jest.spyOn(donationService, 'resolvePaymentSourceSecret').mockReturnValue(donor.secretKey);
+      const recipientBefore = await balanceOf(recipient.publicKey);
+
+      const result = await donationService.createDonationRecord({
+        amount: 150,
+        donor: donor.publicKey,
+        recipient: recipient.publicKey,
+        memo: 'kyc test',
+        idempotencyKey: nextKey(),
+      });
+
+      expect(result).toMatchObject({ status: 'held_for_kyc', sender: donor.publicKey });
+      expect(await balanceOf(recipient.publicKey)).toBeCloseTo(recipientBefore);
+      const row = await Database.get('SELECT senderId, receiverId FROM kyc_holds WHERE id = ?', [result.kycHold.id]);
+      expect(row).toMatchObject({ senderId: donor.id, receiverId: recipient.id });
+    });
+
+    test('holds batch donations above the threshold and batches the rest', async () => {
+      const donor = await createDonor();
+      jest.spyOn(donationService, 'getUserById').mockResolvedValue({
+        id: donor.id,
+        publicKey: donor.publicKey,
+        encryptedSecret: encryption.encrypt(donor.secretKey),
+      });
+      const batchSpy = jest.spyOn(stellarService, 'sendBatchDonations');
+
+      const results = await donationService.processBatch([
+        { amount: 150, donor: donor.publicKey, recipient: recipient.publicKey, idempotencyKey: nextKey() },
+        { amount: 20, donor: donor.publicKey, recipient: recipient.publicKey, idempotencyKey: nextKey() },
+      ]);
+
+      expect(results[0]).toMatchObject({ success: true, data: { status: 'held_for_kyc' } });
+      expect(results[1]).toMatchObject({ success: true });
+      expect(results[1].data.status).not.toBe('held_for_kyc');
+      expect(batchSpy).toHaveBeenCalledWith(expect.any(String), [expect.objectContaining({ amount: '20' })]);
+    });
+  });
+
+  describe('payments the API cannot hold', () => {
+    const accept = (account) => Database.run(
+      "INSERT INTO kyc_customers (id, account, status) VALUES (?, ?, 'ACCEPTED')",
+      [`kyc-accepted-${account}`, account]
+    );
+
+    test('non-custodial donations above the threshold need an accepted donor', async () => {
+      const donor = await createDonor();
+      const nonCustodial = new NonCustodialDonationService(stellarService);
+      const prepare = () => nonCustodial.prepare({
+        donor: donor.publicKey, recipient: recipient.publicKey, amount: 150, idempotencyKey: nextKey(),
+      });
+
+      await expect(prepare()).rejects.toMatchObject({ errorCode: 'KYC_REQUIRED', details: { threshold: 100 } });
+      await accept(donor.publicKey);
+      expect((await prepare()).status).toBe('pending_signature');
+    });
+
+    test('a recurring cycle above the threshold fails without paying', async () => {
+      const donor = await createDonor();
+      const scheduler = new RecurringDonationScheduler.Class(stellarService);
+      const sendSpy = jest.spyOn(stellarService, 'sendPayment');
+
+      await expect(scheduler.executeSchedule({
+        id: 9001,
+        donorId: donor.id,
+        recipientId: recipient.id,
+        donorPublicKey: donor.publicKey,
+        recipientPublicKey: recipient.publicKey,
+        amount: '150',
+        frequency: 'monthly',
+        nextExecutionDate: new Date().toISOString(),
+      })).rejects.toMatchObject({ errorCode: 'KYC_REQUIRED' });
+      expect(sendSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('admin review', () => {
+    test('lists holds and shows the donor information', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: FULL_CUSTOMER });
+      const held = await donate(donor, 150);
+
+      const list = await request(app).get('/admin/kyc-holds?status=held');
+      const detail = await request(app).get(`/admin/kyc-holds/${held.kycHold.id}`);
+
+      expect(list.body.data.find((h) => h.id === held.kycHold.id)).toMatchObject({
+        donationId: held.id,
+        donationStatus: 'held_for_kyc',
+        customerStatus: 'PROCESSING',
+      });
+      expect(detail.body.data.customer.values).toMatchObject({ last_name: 'Lovelace', address_country_code: 'GBR' });
+      expect((await request(app).get('/admin/kyc-holds?status=bogus')).status).toBe(400);
+    });
+
+    test('approval releases the donation to the recipient', async () => {
+      const { id: campaignId } = await Database.run(
+        "INSERT INTO campaigns (name, goal_amount, current_amount, status) VALUES ('KYC Drive', 5000, 0, 'active')"
+      );
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: FULL_CUSTOMER });
+      const held = await donate(donor, 150, { campaign_id: campaignId });
+      const recipientBefore = await balanceOf(recipient.publicKey);
+      const emitSpy = jest.spyOn(donationEvents, 'emitLifecycleEvent');
+
+      const res = await request(app).post(`/admin/kyc-holds/${held.kycHold.id}/approve`).send({ reason: 'ID verified' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ status: 'released', donationStatus: 'confirmed', decidedBy: 'admin-1', decisionReason: 'ID verified' });
+      expect(await balanceOf(recipient.publicKey)).toBeCloseTo(recipientBefore + 150);
+      expect(Transaction.getById(held.id)).toMatchObject({ status: 'confirmed', stellarTxId: res.body.data.releaseTxId });
+
+      const row = await Database.get('SELECT receiverId, memo FROM transactions WHERE stellar_tx_id = ?', [res.body.data.releaseTxId]);
+      expect(row).toMatchObject({ receiverId: recipient.id, memo: 'kyc test' });
+      const campaign = await Database.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaignId]);
+      expect(campaign.current_amount).toBeCloseTo(150);
+      expect((await kycService.getCustomer(donor.publicKey)).status).toBe('ACCEPTED');
+
+      // donation.created reaches subscribers through the outbox only
+      expect(emitSpy.mock.calls.map(([event]) => event)).not.toContain('donation.created');
+
+      const again = await request(app).post(`/admin/kyc-holds/${held.kycHold.id}/approve`);
+      expect(again.body.error.code).toBe('KYC_HOLD_ALREADY_DECIDED');
+    });
+
+    test('approval requires the donor information', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: { first_name: 'Ada' } });
+      const held = await donate(donor, 150);
+
+      const res = await request(app).post(`/admin/kyc-holds/${held.kycHold.id}/approve`);
+
+      expect(res.status).toBe(422);
+      expect(res.body.error.code).toBe('KYC_INFO_REQUIRED');
+      expect(Transaction.getById(held.id).status).toBe('held_for_kyc');
+    });
+
+    test('rejection refunds the donor', async () => {
+      const donor = await createDonor();
+      const held = await donate(donor, 150);
+      const donorBefore = await balanceOf(donor.publicKey);
+
+      const missingReason = await request(app).post(`/admin/kyc-holds/${held.kycHold.id}/reject`).send({});
+      const res = await request(app).post(`/admin/kyc-holds/${held.kycHold.id}/reject`).send({ reason: 'Could not verify identity' });
+
+      expect(missingReason.status).toBe(400);
+      expect(res.body.data).toMatchObject({ status: 'refunded', donationStatus: 'failed' });
+      expect(res.body.data.refundTxId).toBeTruthy();
+      expect(await balanceOf(donor.publicKey)).toBeCloseTo(donorBefore + 150);
+      expect(Transaction.getById(held.id).failureReason).toBe('kyc_rejected');
+      expect(await kycService.getCustomer(donor.publicKey)).toMatchObject({ status: 'REJECTED', message: 'Could not verify identity' });
+    });
+
+    test('settles a release whose payment outcome was lost from the network', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: FULL_CUSTOMER });
+      const held = await donate(donor, 150);
+      const recipientBefore = await balanceOf(recipient.publicKey);
+      const send = stellarService.sendDonation.bind(stellarService);
+      jest.spyOn(stellarService, 'sendDonation').mockImplementationOnce(async (params) => {
+        await send(params);
+        throw new Error('Horizon timeout');
+      });
+
+      await expect(kycService.approve(held.kycHold.id)).rejects.toThrow('Horizon timeout');
+      const pending = await Database.get('SELECT status, releaseTxId FROM kyc_holds WHERE id = ?', [held.kycHold.id]);
+      expect(pending.status).toBe('releasing');
+      expect(pending.releaseTxId).toBeTruthy();
+
+      const res = await request(app).post(`/admin/kyc-holds/${held.kycHold.id}/approve`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ status: 'released', donationStatus: 'confirmed', releaseTxId: pending.releaseTxId });
+      expect(await balanceOf(recipient.publicKey)).toBeCloseTo(recipientBefore + 150);
+    });
+
+    test('finishes a release whose recording failed without paying again', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: FULL_CUSTOMER });
+      const held = await donate(donor, 150);
+      const recipientBefore = await balanceOf(recipient.publicKey);
+      jest.spyOn(Database, 'runTransaction').mockRejectedValueOnce(new Error('database is locked'));
+
+      await expect(kycService.approve(held.kycHold.id)).rejects.toThrow('database is locked');
+      expect((await kycService.approve(held.kycHold.id)).status).toBe('released');
+
+      expect(await balanceOf(recipient.publicKey)).toBeCloseTo(recipientBefore + 150);
+      expect(Transaction.getById(held.id).status).toBe('confirmed');
+    });
+
+    test('puts the hold back when the payment was never submitted or expired', async () => {
+      const donor = await createDonor();
+      const held = await donate(donor, 150);
+      jest.spyOn(stellarService, 'sendDonation').mockRejectedValueOnce(new Error('tx_bad_seq'));
+
+      await expect(kycService.reject(held.kycHold.id, { reason: 'No ID' })).rejects.toThrow('tx_bad_seq');
+      expect((await Database.get('SELECT status FROM kyc_holds WHERE id = ?', [held.kycHold.id])).status).toBe('held');
+
+      // A signed refund Horizon never saw, long past its time bounds
+      await Database.run(
+        "UPDATE kyc_holds SET status = 'refunding', refundTxId = 'never-submitted', updatedAt = datetime('now', '-1 hour') WHERE id = ?",
+        [held.kycHold.id]
+      );
+      const refunded = await kycService.reject(held.kycHold.id, { reason: 'No ID' });
+
+      expect(refunded.status).toBe('refunded');
+      expect(refunded.refundTxId).not.toBe('never-submitted');
+    });
+
+    test('keeps customer data while a donation is held', async () => {
+      const donor = await createDonor();
+      await kycService.putCustomer({ account: donor.publicKey, fields: { first_name: 'Ada' } });
+      await donate(donor, 150);
+
+      const res = await request(app).delete(`/kyc/customer/${donor.publicKey}`).set('X-API-Key', 'test-key-1');
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('KYC_HOLD_PENDING');
+    });
+
+    test('returns 404 for an unknown hold', async () => {
+      const res = await request(app).post('/admin/kyc-holds/missing/approve');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('KYC_HOLD_NOT_FOUND');
+    });
+  });
+});
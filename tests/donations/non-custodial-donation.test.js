@@ -0,0 +1,226 @@
+/**
+ * Non-Custodial Donation Tests
+ * Tests for POST /donations/prepare and POST /donations/:id/submit:
+ * unsigned XDR with locked memo, fee and time bounds, the pending_signature
+ * record and its expiry, and intent checks on the donor-signed envelope.
+ */
+
+process.env.MOCK_STELLAR = 'true';
+process.env.API_KEYS = 'test-key-1';
+
+const request = require('supertest');
+const express = require('express');
+const donationRouter = require('../../src/routes/donation');
+const Transaction = require('../../src/models/transaction');
+const NonCustodialDonationService = require('../../src/services/NonCustodialDonationService');
+const { getStellarService } = require('../../src/config/stellar');
+const { attachUserRole } = require('../../src/middleware/rbac');
+const { resetMockStellarService } = require('../helpers/testIsolation');
+
+// ─── Test App ─────────────────────────────────────────────────────────────────
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(attachUserRole());
+  app.use('/donations', donationRouter);
+  app.use((err, req, res, next) => {
+    void next;
+    res.status(err.status || err.statusCode || 500).json({
+      success: false,
+      error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message || 'Internal server error' },
+    });
+  });
+  return app;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+let idempotencyCounter = 0;
+function nextKey() {
+  return `non-custodial-idem-${++idempotencyCounter}-${Date.now()}`;
+}
+
+/** Decode a mock envelope, apply changes, add a signature and re-encode it. */
+function signMockXdr(xdr, { signer = 'donor', changes = (e) => e } = {}) {
+  const envelope = changes(JSON.parse(Buffer.from(xdr, 'base64').toString('utf8')));
+  envelope.signatures = signer ? [...envelope.signatures, signer] : envelope.signatures;
+  return Buffer.from(JSON.stringify(envelope)).toString('base64');
+}
+
+// ─── Suite ────────────────────────────────────────────────────────────────────
+
+describe('Non-custodial prepare → sign → submit', () => {
+  let app;
+  let stellarService;
+  let donor;
+  let recipient;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    stellarService = getStellarService();
+    donor = await stellarService.createWallet();
+    recipient = await stellarService.createWallet();
+  });
+
+  beforeEach(() => {
+    Transaction._clearAllData();
+    stellarService.disableFailureSimulation();
+  });
+
+  afterAll(() => {
+    Transaction._clearAllData();
+    resetMockStellarService(stellarService);
+  });
+
+  const prepare = (body) => request(app)
+    .post('/donations/prepare')
+    .set('X-API-Key', 'test-key-1')
+    .set('X-Idempotency-Key', nextKey())
+    .send({ donor: donor.publicKey, recipient: recipient.publicKey, amount: 12.5, memo: 'thanks', ...body });
+
+  const submit = (id, signedXdr) => request(app)
+    .post(`/donations/${id}/submit`)
+    .set('X-API-Key', 'test-key-1')
+    .send({ signedXdr });
+
+  describe('POST /donations/prepare', () => {
+    test('returns an unsigned XDR with memo, fee and time bounds locked', async () => {
+      const res = await prepare();
+
+      expect(res.status).toBe(201);
+      const data = res.body.data;
+      expect(data.status).toBe('pending_signature');
+      expect(data.unsignedXdr).toEqual(expect.any(String));
+      expect(data.fee.stroops).toEqual(expect.any(String));
+      expect(Number(data.timeBounds.maxTime)).toBeGreaterThan(Math.floor(Date.now() / 1000));
+      expect(new Date(data.expiresAt).getTime()).toBe(Number(data.timeBounds.maxTime) * 1000);
+
+      const decoded = stellarService.decodeTransaction(data.unsignedXdr);
+      expect(decoded.source).toBe(donor.publicKey);
+      expect(decoded.memo).toEqual({ type: 'text', value: 'thanks' });
+      expect(decoded.operations[0]).toMatchObject({ destination: recipient.publicKey, amount: '12.5000000' });
+      expect(decoded.signatureCount).toBe(0);
+      expect(decoded.hash).toBe(data.hash);
+    });
+
+    test('records the donation as pending_signature', async () => {
+      const res = await prepare();
+
+      const record = Transaction.getById(res.body.data.donationId);
+      expect(record.status).toBe('pending_signature');
+      expect(record.paymentMethod).toBe('non_custodial');
+      expect(record.envelopeXdr).toBe(res.body.data.unsignedXdr);
+    });
+
+    test('replays the same donation for a reused idempotency key and refuses a different one', async () => {
+      const service = new NonCustodialDonationService(stellarService);
+      const params = { donor: donor.publicKey, recipient: recipient.publicKey, amount: 12.5, idempotencyKey: nextKey() };
+
+      const first = await service.prepare(params);
+      const replay = await service.prepare({ ...params, amount: '12.5000000' });
+      expect(replay.donationId).toBe(first.donationId);
+
+      for (const changed of [{ amount: 13 }, { recipient: donor.publicKey, donor: recipient.publicKey }]) {
+        await expect(service.prepare({ ...params, ...changed }))
+          .rejects.toMatchObject({ statusCode: 409, errorCode: 'IDEMPOTENCY_KEY_MISMATCH' });
+      }
+      expect(Transaction.getAll()).toHaveLength(1);
+    });
+
+    test('rejects an invalid donor key', async () => {
+      const res = await prepare({ donor: 'not-a-key' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('rejects a missing recipient', async () => {
+      const res = await prepare({ recipient: undefined });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /donations/:id/submit', () => {
+    test('submits the signed envelope and confirms the donation', async () => {
+      const { body } = await prepare();
+
+      const res = await submit(body.data.donationId, signMockXdr(body.data.unsignedXdr));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ donationId: body.data.donationId, status: 'confirmed' });
+      expect(res.body.data.transactionHash).toEqual(expect.any(String));
+      expect(Transaction.getById(body.data.donationId).status).toBe('confirmed');
+    });
+
+    test('refuses an unsigned envelope', async () => {
+      const { body } = await prepare();
+
+      const res = await submit(body.data.donationId, body.data.unsignedXdr);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('TRANSACTION_NOT_SIGNED');
+    });
+
+    test.each([
+      ['amount', (e) => { e.operations[0].amount = '1.0000000'; return e; }],
+      ['destination', (e) => { e.operations[0].destination = 'G' + 'X'.repeat(55); return e; }],
+      ['memo', (e) => { e.memo = { type: 'text', value: 'changed' }; return e; }],
+      ['source', (e) => { e.source = 'G' + 'Y'.repeat(55); return e; }],
+      ['operation source', (e) => { e.operations[0].source = 'G' + 'Z'.repeat(55); return e; }],
+      ['timeBounds.maxTime', (e) => { e.timeBounds.maxTime = String(Number(e.timeBounds.maxTime) + 3600); return e; }],
+    ])('rejects an envelope whose %s differs from the prepared donation', async (field, changes) => {
+      const { body } = await prepare();
+
+      const res = await submit(body.data.donationId, signMockXdr(body.data.unsignedXdr, { changes }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INTENT_MISMATCH');
+      expect(res.body.error.message).toContain(field);
+      expect(Transaction.getById(body.data.donationId).status).toBe('pending_signature');
+    });
+
+    test('refuses a second submission', async () => {
+      const { body } = await prepare();
+      const signed = signMockXdr(body.data.unsignedXdr);
+      await submit(body.data.donationId, signed).expect(200);
+
+      const res = await submit(body.data.donationId, signed);
+
+      expect(res.status).toBe(409);
+    });
+
+    test('fails an expired donation instead of submitting it', async () => {
+      const { body } = await prepare();
+      const record = Transaction.getById(body.data.donationId);
+      record.signatureExpiresAt = new Date(Date.now() - 1000).toISOString();
+
+      const res = await submit(body.data.donationId, signMockXdr(body.data.unsignedXdr));
+
+      expect(res.status).toBe(422);
+      expect(res.body.error.code).toBe('SIGNATURE_EXPIRED');
+      const updated = Transaction.getById(body.data.donationId);
+      expect(updated.status).toBe('failed');
+      expect(updated.failureReason).toBe('signature_expired');
+    });
+
+    test('returns 404 for a donation that was not prepared', async () => {
+      const res = await submit('does-not-exist', 'AAAA');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('expireStale()', () => {
+    test('fails only prepared donations past their expiry', async () => {
+      const service = new NonCustodialDonationService(stellarService);
+      const stale = (await prepare()).body.data.donationId;
+      const fresh = (await prepare()).body.data.donationId;
+      Transaction.getById(stale).signatureExpiresAt = new Date(Date.now() - 1000).toISOString();
+
+      expect(service.expireStale()).toEqual({ expired: 1 });
+      expect(Transaction.getById(stale).status).toBe('failed');
+      expect(Transaction.getById(fresh).status).toBe('pending_signature');
+    });
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Recurring Donation Change Tests
+ *
+ * Covers:
+ *  - Pausing until a date and automatic resume by the scheduler
+ *  - Resume logging occurrences missed during the pause as SKIPPED
+ *  - Skipping the next occurrence
+ *  - Amount and cadence changes going forward
+ *  - Versioned change history with who made each change
+ *  - recurring_donation.* outbox events for every change
+ *  - Ownership checks
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+  requireAdmin: () => (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const RecurringScheduleService = require('../../src/services/RecurringScheduleService');
+const scheduler = require('../../src/services/RecurringDonationScheduler');
+const recurringRoutes = require('../../src/routes/recurringDonation');
+
+const DONOR = 'GCHANGEDONOR000000000000000000000000000000000000000000';
+const OTHER = 'GCHANGEOTHER000000000000000000000000000000000000000000';
+const RECIPIENT = 'GCHANGERECIPIENT00000000000000000000000000000000000000';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ADMIN = { isAdmin: true };
+
+let caller = { subject: DONOR, role: 'user' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = caller;
+  next();
+});
+app.use('/donations/recurring', recurringRoutes);
+
+async function userId(publicKey) {
+  await Database.run('INSERT OR IGNORE INTO users (publicKey) VALUES (?)', [publicKey]);
+  const row = await Database.get('SELECT id FROM users WHERE publicKey = ?', [publicKey]);
+  return row.id;
+}
+
+async function createSchedule(overrides = {}) {
+  const fields = {
+    donorId: await userId(DONOR),
+    recipientId: await userId(RECIPIENT),
+    amount: 10,
+    frequency: 'weekly',
+    nextExecutionDate: new Date(Date.now() + DAY).toISOString(),
+    status: 'active',
+    ...overrides,
+  };
+  const columns = Object.keys(fields);
+  const result = await Database.run(
+    `INSERT INTO recurring_donations (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => fields[c])
+  );
+  return result.id;
+}
+
+const getSchedule = (id) => Database.get('SELECT * FROM recurring_donations WHERE id = ?', [id]);
+
+const outboxEvents = (id) => Database.all(
+  "SELECT event_type, payload FROM event_outbox WHERE aggregate_type = 'recurring_donation' AND aggregate_id = ? ORDER BY id",
+  [String(id)]
+);
+
+beforeAll(async () => {
+  await Database.initialize();
+  await userId(OTHER);
+});
+
+beforeEach(() => {
+  caller = { subject: DONOR, role: 'user' };
+});
+
+// ─── Pause / resume ───────────────────────────────────────────────────────────
+
+describe('POST /donations/recurring/:id/pause', () => {
+  test('pauses until a date and records version 1', async () => {
+    const id = await createSchedule();
+    const until = new Date(Date.now() + 30 * DAY).toISOString();
+
+    const res = await request(app)
+      .post(`/donations/recurring/${id}/pause`)
+      .send({ until, reason: 'On holiday' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'paused', pausedUntil: until, version: 1 });
+
+    const row = await getSchedule(id);
+    expect(row.status).toBe('paused');
+    expect(row.pausedUntil).toBe(until);
+
+    const history = await RecurringScheduleService.getHistory(id, { requester: ADMIN });
+    expect(history.items[0]).toMatchObject({
+      version: 1,
+      changeType: 'paused',
+      changedBy: DONOR,
+      reason: 'On holiday',
+      changes: { status: { from: 'active', to: 'paused' }, pausedUntil: { from: null, to: until } },
+    });
+  });
+
+  test('rejects an until date in the past', async () => {
+    const id = await createSchedule();
+    const res = await request(app)
+      .post(`/donations/recurring/${id}/pause`)
+      .send({ until: new Date(Date.now() - DAY).toISOString() });
+
+    expect(res.status).toBe(400);
+    expect((await getSchedule(id)).status).toBe('active');
+  });
+
+  test('returns 409 when the schedule is already paused', async () => {
+    const id = await createSchedule({ status: 'paused' });
+    const res = await request(app).post(`/donations/recurring/${id}/pause`).send({});
+    expect(res.status).toBe(409);
+  });
+
+  test('returns 409 and records nothing when the schedule was cancelled after it was read', async () => {
+    const id = await createSchedule();
+    const read = await RecurringScheduleService.getSchedule(id, ADMIN);
+    await Database.run("UPDATE recurring_donations SET status = 'cancelled' WHERE id = ?", [id]);
+    const spy = jest.spyOn(RecurringScheduleService, 'getSchedule').mockResolvedValueOnce(read);
+
+    try {
+      const res = await request(app).post(`/donations/recurring/${id}/pause`).send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('SCHEDULE_CHANGED');
+      expect((await getSchedule(id)).status).toBe('cancelled');
+      expect((await RecurringScheduleService.getHistory(id, { requester: ADMIN })).total).toBe(0);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('returns 403 for a donor who does not own the schedule', async () => {
+    const id = await createSchedule();
+    caller = { subject: OTHER, role: 'user' };
+
+    const res = await request(app).post(`/donations/recurring/${id}/pause`).send({});
+    expect(res.status).toBe(403);
+  });
+
+  test('returns 403 for a non-admin caller with no public key', async () => {
+    const id = await createSchedule();
+    caller = { id: 'key-7', role: 'user' };
+
+    for (const [method, path, body] of [
+      ['post', `/donations/recurring/${id}/pause`, {}],
+      ['post', `/donations/recurring/${id}/skip`, {}],
+      ['patch', `/donations/recurring/${id}`, { amount: 20 }],
+      ['get', `/donations/recurring/${id}/changes`],
+    ]) {
+      const res = await request(app)[method](path).send(body);
+      expect(res.status).toBe(403);
+    }
+    expect((await getSchedule(id)).status).toBe('active');
+  });
+
+  test('lets an admin pause any schedule', async () => {
+    const id = await createSchedule();
+    caller = { id: 'admin-1', role: 'admin' };
+
+    const res = await request(app).post(`/donations/recurring/${id}/pause`).send({});
+    expect(res.status).toBe(200);
+
+    const history = await RecurringScheduleService.getHistory(id, { requester: ADMIN });
+    expect(history.items[0].changedBy).toBe('user:admin-1');
+  });
+});
+
+describe('POST /donations/recurring/:id/resume', () => {
+  test('logs occurrences missed during the pause as SKIPPED and keeps the cadence', async () => {
+    // Weekly schedule whose next run was 10 days ago: that run and the one 3 days ago were missed
+    const next = new Date(Date.now() - 10 * DAY);
+    const id = await createSchedule({ status: 'paused', nextExecutionDate: next.toISOString() });
+
+    const res = await request(app).post(`/donations/recurring/${id}/resume`).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('active');
+    expect(res.body.data.skippedOccurrences).toEqual([
+      next.toISOString(),
+      new Date(next.getTime() + 7 * DAY).toISOString(),
+    ]);
+    expect(res.body.data.nextExecutionDate).toBe(new Date(next.getTime() + 14 * DAY).toISOString());
+
+    const logs = await scheduler.getExecutionLogs(id);
+    expect(logs.filter((l) => l.status === 'SKIPPED').map((l) => l.scheduledFor).sort())
+      .toEqual(res.body.data.skippedOccurrences);
+  });
+
+  test('returns 409 when the schedule is not paused', async () => {
+    const id = await createSchedule();
+    const res = await request(app).post(`/donations/recurring/${id}/resume`).send({});
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('RecurringScheduleService.resumeExpiredPauses', () => {
+  test('resumes schedules whose pause has ended, recorded as a system change', async () => {
+    const id = await createSchedule({
+      status: 'paused',
+      pausedUntil: new Date(Date.now() - 1000).toISOString(),
+    });
+    const stillPaused = await createSchedule({
+      status: 'paused',
+      pausedUntil: new Date(Date.now() + DAY).toISOString(),
+    });
+
+    await RecurringScheduleService.resumeExpiredPauses(new Date());
+
+    const row = await getSchedule(id);
+    expect(row.status).toBe('active');
+    expect(row.pausedUntil).toBeNull();
+    expect((await getSchedule(stillPaused)).status).toBe('paused');
+
+    const history = await RecurringScheduleService.getHistory(id, { requester: ADMIN });
+    expect(history.items[0]).toMatchObject({ changeType: 'resumed', changedBy: 'system' });
+  });
+});
+
+// ─── Skip ─────────────────────────────────────────────────────────────────────
+
+describe('POST /donations/recurring/:id/skip', () => {
+  test('skips the next occurrence and logs it', async () => {
+    const next = new Date(Date.now() + DAY);
+    const id = await createSchedule({ frequency: 'monthly', nextExecutionDate: next.toISOString() });
+
+    const res = await request(app).post(`/donations/recurring/${id}/skip`).send({ reason: 'Tight month' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.skippedOccurrences).toEqual([next.toISOString()]);
+    const expected = scheduler.calculateNextExecutionDate(next, 'monthly').toISOString();
+    expect(res.body.data.nextExecutionDate).toBe(expected);
+
+    const logs = await scheduler.getExecutionLogs(id);
+    expect(logs[0]).toMatchObject({ status: 'SKIPPED', scheduledFor: next.toISOString(), errorMessage: 'Tight month' });
+  });
+
+  test('completes an rrule schedule when the skipped occurrence was its last', async () => {
+    const start = new Date(Date.now() + DAY);
+    const id = await createSchedule({
+      frequency: 'rrule',
+      recurrenceRule: 'FREQ=DAILY;COUNT=1',
+      recurrenceTimezone: 'UTC',
+      recurrenceStart: start.toISOString(),
+      nextExecutionDate: start.toISOString(),
+    });
+
+    const res = await request(app).post(`/donations/recurring/${id}/skip`).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('completed');
+  });
+
+  test('returns 409 for a paused schedule', async () => {
+    const id = await createSchedule({ status: 'paused' });
+    const res = await request(app).post(`/donations/recurring/${id}/skip`).send({});
+    expect(res.status).toBe(409);
+  });
+});
+
+// ─── Update ───────────────────────────────────────────────────────────────────
+
+describe('PATCH /donations/recurring/:id', () => {
+  test('changes the amount without touching the next execution', async () => {
+    const id = await createSchedule();
+    const before = await getSchedule(id);
+
+    const res = await request(app).patch(`/donations/recurring/${id}`).send({ amount: 25 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ amount: 25, nextExecutionDate: before.nextExecutionDate });
+    const history = await RecurringScheduleService.getHistory(id, { requester: ADMIN });
+    expect(history.items[0].changes).toEqual({ amount: { from: 10, to: 25 } });
+  });
+
+  test('changes the frequency from now', async () => {
+    const id = await createSchedule();
+    const res = await request(app).patch(`/donations/recurring/${id}`).send({ frequency: 'daily' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.frequency).toBe('daily');
+    const next = new Date(res.body.data.nextExecutionDate).getTime();
+    expect(next).toBeGreaterThan(Date.now() + DAY - 60000);
+    expect(next).toBeLessThanOrEqual(Date.now() + DAY);
+  });
+
+  test('switches to an rrule', async () => {
+    const id = await createSchedule();
+    const res = await request(app)
+      .patch(`/donations/recurring/${id}`)
+      .send({ rrule: 'FREQ=MONTHLY;BYDAY=1FR', timezone: 'Europe/London' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ frequency: 'rrule', rrule: 'FREQ=MONTHLY;BYDAY=1FR', timezone: 'Europe/London' });
+  });
+
+  test.each([
+    [{}, 400],
+    [{ amount: -1 }, 400],
+    [{ frequency: 'hourly' }, 400],
+    [{ frequency: 'daily', rrule: 'FREQ=DAILY' }, 400],
+    [{ rrule: 'FREQ=SECONDLY' }, 400],
+    [{ amount: 5, reason: 'x'.repeat(501) }, 400],
+  ])('rejects %j', async (body, status) => {
+    const id = await createSchedule();
+    const res = await request(app).patch(`/donations/recurring/${id}`).send(body);
+    expect(res.status).toBe(status);
+  });
+
+  test('returns 409 for a cancelled schedule and 404 for an unknown one', async () => {
+    const id = await createSchedule({ status: 'cancelled' });
+    expect((await request(app).patch(`/donations/recurring/${id}`).send({ amount: 5 })).status).toBe(409);
+    expect((await request(app).patch('/donations/recurring/999999').send({ amount: 5 })).status).toBe(404);
+  });
+});
+
+// ─── History and events ───────────────────────────────────────────────────────
+
+describe('GET /donations/recurring/:id/changes', () => {
+  test('lists every change newest first with incrementing versions and emits an event for each', async () => {
+    const id = await createSchedule();
+    await request(app).patch(`/donations/recurring/${id}`).send({ amount: 12 }).expect(200);
+    await request(app).post(`/donations/recurring/${id}/skip`).send({}).expect(200);
+    await request(app).post(`/donations/recurring/${id}/pause`).send({}).expect(200);
+    await request(app).post(`/donations/recurring/${id}/resume`).send({}).expect(200);
+
+    const res = await request(app).get(`/donations/recurring/${id}/changes`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(4);
+    expect(res.body.data.map((c) => [c.version, c.changeType])).toEqual([
+      [4, 'resumed'],
+      [3, 'paused'],
+      [2, 'skipped'],
+      [1, 'updated'],
+    ]);
+    expect(res.body.data.every((c) => c.changedBy === DONOR && c.createdAt)).toBe(true);
+
+    const events = await outboxEvents(id);
+    expect(events.map((e) => e.event_type)).toEqual([
+      'recurring_donation.updated',
+      'recurring_donation.skipped',
+      'recurring_donation.paused',
+      'recurring_donation.resumed',
+    ]);
+    expect(JSON.parse(events[1].payload)).toMatchObject({ scheduleId: id, version: 2, changeType: 'skipped' });
+  });
+
+  test('returns 404 for an unknown schedule', async () => {
+    const res = await request(app).get('/donations/recurring/999999/changes');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Recurring Donation Dunning Tests
+ *
+ * Covers:
+ *  - Failure classification and DUNNING_POLICY overrides
+ *  - In-cycle retries only for network failures
+ *  - Retries spread over the policy delays, reusing the occurrence's idempotency key
+ *  - Donor notification by webhook and email between attempts
+ *  - Suspension once the policy is exhausted, and resuming a suspended schedule
+ *  - Recovery keeping the original cadence
+ *  - GET /admin/scheduler/dunning
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+  requireAdmin: () => (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const DunningService = require('../../src/services/DunningService');
+const WebhookService = require('../../src/services/WebhookService');
+const { Class: RecurringDonationScheduler } = require('../../src/services/RecurringDonationScheduler');
+const recurringRoutes = require('../../src/routes/recurringDonation');
+const adminSchedulerRoutes = require('../../src/routes/admin/scheduler');
+const { loadDunningPolicy, FAILURE_CLASSES } = require('../../src/config/dunningPolicy');
+
+const DONOR = 'GDUNNINGDONOR00000000000000000000000000000000000000000';
+const RECIPIENT = 'GDUNNINGRECIPIENT0000000000000000000000000000000000000';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { subject: DONOR, role: 'admin' };
+  next();
+});
+app.use('/donations/recurring', recurringRoutes);
+app.use('/admin/scheduler', adminSchedulerRoutes);
+
+async function userId(publicKey) {
+  await Database.run('INSERT OR IGNORE INTO users (publicKey) VALUES (?)', [publicKey]);
+  const row = await Database.get('SELECT id FROM users WHERE publicKey = ?', [publicKey]);
+  return row.id;
+}
+
+async function createSchedule(overrides = {}) {
+  const fields = {
+    donorId: await userId(DONOR),
+    recipientId: await userId(RECIPIENT),
+    amount: 10,
+    frequency: 'weekly',
+    nextExecutionDate: new Date(Date.now() - HOUR).toISOString(),
+    status: 'active',
+    ...overrides,
+  };
+  const columns = Object.keys(fields);
+  const result = await Database.run(
+    `INSERT INTO recurring_donations (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => fields[c])
+  );
+  return result.id;
+}
+
+/** Schedule row as the scheduler selects it. */
+const dueRow = (id) => Database.get(
+  `SELECT rd.*, donor.publicKey AS donorPublicKey, recipient.publicKey AS recipientPublicKey
+   FROM recurring_donations rd
+   JOIN users donor ON rd.donorId = donor.id
+   JOIN users recipient ON rd.recipientId = recipient.id
+   WHERE rd.id = ?`,
+  [id]
+);
+
+const outboxEvents = (id) => Database.all(
+  "SELECT event_type, payload FROM event_outbox WHERE aggregate_type = 'recurring_donation' AND aggregate_id = ? ORDER BY id",
+  [String(id)]
+);
+
+function schedulerFailingWith(message) {
+  const sendPayment = jest.fn().mockRejectedValue(new Error(message));
+  const scheduler = new RecurringDonationScheduler({ sendPayment });
+  scheduler.sleep = async () => {};
+  return { scheduler, sendPayment };
+}
+
+beforeAll(async () => {
+  await Database.initialize();
+});
+
+beforeEach(() => {
+  DunningService.reloadPolicy('');
+  jest.spyOn(WebhookService, 'sendFailureNotification').mockResolvedValue({ delivered: true, statusCode: 200 });
+  jest.spyOn(DunningService, '_sendEmail').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ─── Policy ───────────────────────────────────────────────────────────────────
+
+describe('DunningService.classify', () => {
+  test.each([
+    ['Insufficient balance: account has 1 XLM', FAILURE_CLASSES.INSUFFICIENT_FUNDS],
+    ['op_underfunded', FAILURE_CLASSES.INSUFFICIENT_FUNDS],
+    ['op_no_trust', FAILURE_CLASSES.MISSING_TRUSTLINE],
+    ['Destination account is not funded', FAILURE_CLASSES.RECIPIENT_UNAVAILABLE],
+    ['connect ECONNREFUSED 127.0.0.1:8000', FAILURE_CLASSES.NETWORK],
+    ['Request timeout', FAILURE_CLASSES.NETWORK],
+    ['tx_insufficient_fee', FAILURE_CLASSES.NETWORK],
+    ['Something unexpected', FAILURE_CLASSES.NETWORK],
+  ])('%s → %s', (message, failureClass) => {
+    expect(DunningService.classify(new Error(message)).failureClass).toBe(failureClass);
+  });
+
+  test('keeps the code of an error already handled by StellarErrorHandler', () => {
+    const handled = { status: 400, code: 'NO_TRUSTLINE', message: 'Trustline missing' };
+    expect(DunningService.classify(handled)).toMatchObject({ code: 'NO_TRUSTLINE', failureClass: 'missing_trustline' });
+  });
+});
+
+describe('loadDunningPolicy', () => {
+  test('merges overrides onto the defaults and ignores malformed fields', () => {
+    const policy = loadDunningPolicy(JSON.stringify({
+      insufficient_funds: { retryDelaysHours: [12, 48], notifyDonor: false },
+      network: { retryDelaysHours: [-1], retryInCycle: 'yes' },
+      unknown_class: { retryDelaysHours: [1] },
+    }));
+
+    expect(policy.insufficient_funds).toEqual({ retryInCycle: false, retryDelaysHours: [12, 48], notifyDonor: false });
+    expect(policy.network).toEqual({ retryInCycle: true, retryDelaysHours: [1, 6, 24], notifyDonor: false });
+    expect(policy.unknown_class).toBeUndefined();
+  });
+
+  test('rejects a value that is not a JSON object', () => {
+    expect(() => loadDunningPolicy('[1,2]')).toThrow('JSON object');
+    expect(() => loadDunningPolicy('{')).toThrow();
+  });
+});
+
+// ─── Scheduler ────────────────────────────────────────────────────────────────
+
+describe('Scheduler dunning', () => {
+  test('an underfunded wallet is not retried in-cycle and is retried a day later', async () => {
+    const occurrence = new Date(Date.now() - HOUR).toISOString();
+    const id = await createSchedule({
+      nextExecutionDate: occurrence,
+      webhookUrl: 'https://donor.example/hooks',
+      notificationEmail: 'donor@example.com',
+    });
+    const { scheduler, sendPayment } = schedulerFailingWith('Insufficient balance: account has 1 XLM');
+
+    const before = Date.now();
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+
+    expect(sendPayment).toHaveBeenCalledTimes(1);
+    const row = await dueRow(id);
+    expect(row).toMatchObject({
+      status: 'active',
+      dunningAttempt: 1,
+      dunningFailureClass: 'insufficient_funds',
+      dunningScheduledFor: occurrence,
+      failureCount: 1,
+    });
+    expect(row.nextExecutionDate).toBe(row.dunningNextRetryAt);
+    expect(new Date(row.nextExecutionDate).getTime()).toBeGreaterThanOrEqual(before + 24 * HOUR);
+
+    const events = await outboxEvents(id);
+    const retry = events.find((e) => e.event_type === 'recurring_donation.retry_scheduled');
+    expect(JSON.parse(retry.payload)).toMatchObject({
+      scheduleId: id,
+      failureClass: 'insufficient_funds',
+      errorCode: 'INSUFFICIENT_BALANCE',
+      attempt: 1,
+      maxAttempts: 3,
+      nextRetryAt: row.nextExecutionDate,
+    });
+
+    expect(WebhookService.sendFailureNotification).toHaveBeenCalledWith(
+      'https://donor.example/hooks',
+      expect.objectContaining({ attempt: 1, failureClass: 'insufficient_funds' }),
+      'recurring_donation.retry_scheduled'
+    );
+    expect(DunningService._sendEmail).toHaveBeenCalledWith(
+      'donor@example.com',
+      'recurring_donation.retry_scheduled',
+      expect.objectContaining({ scheduleId: id })
+    );
+  });
+
+  test('network failures keep the in-cycle retries and do not notify the donor', async () => {
+    const id = await createSchedule({ webhookUrl: 'https://donor.example/hooks' });
+    const { scheduler, sendPayment } = schedulerFailingWith('connect ECONNREFUSED horizon');
+
+    const before = Date.now();
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+
+    expect(sendPayment).toHaveBeenCalledTimes(3);
+    const row = await dueRow(id);
+    expect(row.dunningFailureClass).toBe('network');
+    const delay = new Date(row.dunningNextRetryAt).getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(HOUR);
+    expect(delay).toBeLessThan(2 * HOUR);
+
+    const dunningCalls = WebhookService.sendFailureNotification.mock.calls.filter((c) => c[2]);
+    expect(dunningCalls).toHaveLength(0);
+  });
+
+  test('a retry reuses the idempotency key of the occurrence it retries', async () => {
+    const scheduledFor = new Date(Date.now() - 2 * DAY).toISOString();
+    const id = await createSchedule({
+      nextExecutionDate: new Date(Date.now() - HOUR).toISOString(),
+      dunningAttempt: 1,
+      dunningStartedAt: scheduledFor,
+      dunningScheduledFor: scheduledFor,
+    });
+    const { scheduler } = schedulerFailingWith('Insufficient balance');
+
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+
+    const row = await dueRow(id);
+    expect(row.dunningAttempt).toBe(2);
+    expect(row.dunningScheduledFor).toBe(scheduledFor);
+    const delay = new Date(row.dunningNextRetryAt).getTime() - Date.now();
+    expect(delay).toBeGreaterThan(71 * HOUR);
+  });
+
+  test('suspends the schedule once the policy is exhausted', async () => {
+    const id = await createSchedule({
+      dunningAttempt: 3,
+      dunningStartedAt: new Date(Date.now() - 10 * DAY).toISOString(),
+      dunningScheduledFor: new Date(Date.now() - 10 * DAY).toISOString(),
+      webhookUrl: 'https://donor.example/hooks',
+    });
+    const { scheduler } = schedulerFailingWith('Insufficient balance');
+
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+
+    const row = await dueRow(id);
+    expect(row).toMatchObject({
+      status: 'suspended',
+      suspendReason: 'dunning:insufficient_funds',
+      dunningNextRetryAt: null,
+    });
+
+    const events = await outboxEvents(id);
+    const suspended = events.find((e) => e.event_type === 'recurring_donation.suspended');
+    expect(JSON.parse(suspended.payload)).toMatchObject({ attempt: 3, maxAttempts: 3, nextRetryAt: null });
+    expect(WebhookService.sendFailureNotification).toHaveBeenCalledWith(
+      'https://donor.example/hooks',
+      expect.any(Object),
+      'recurring_donation.suspended'
+    );
+  });
+
+  test('permanent failures suspend immediately', async () => {
+    const id = await createSchedule();
+    const { scheduler, sendPayment } = schedulerFailingWith('Invalid secret key');
+
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+
+    expect(sendPayment).toHaveBeenCalledTimes(1);
+    expect((await dueRow(id)).status).toBe('suspended');
+  });
+
+  test('recovery clears dunning and keeps the cadence of the retried occurrence', async () => {
+    const scheduledFor = new Date(Date.now() - 2 * DAY).toISOString();
+    const id = await createSchedule({
+      nextExecutionDate: new Date(Date.now() - HOUR).toISOString(),
+      dunningAttempt: 1,
+      dunningFailureClass: 'insufficient_funds',
+      dunningStartedAt: scheduledFor,
+      dunningNextRetryAt: new Date(Date.now() - HOUR).toISOString(),
+      dunningScheduledFor: scheduledFor,
+    });
+    const scheduler = new RecurringDonationScheduler({ sendPayment: async () => ({ hash: 'recovered-tx' }) });
+
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+
+    const row = await dueRow(id);
+    expect(row).toMatchObject({
+      status: 'active',
+      dunningAttempt: 0,
+      dunningFailureClass: null,
+      dunningStartedAt: null,
+      dunningScheduledFor: null,
+      executionCount: 1,
+    });
+    expect(row.nextExecutionDate).toBe(new Date(new Date(scheduledFor).getTime() + 7 * DAY).toISOString());
+
+    const tx = await Database.get('SELECT memo FROM transactions WHERE memo = ?', [
+      `recurring-${id}-${scheduledFor.split('T')[0]}`,
+    ]);
+    expect(tx).toBeDefined();
+
+    const events = await outboxEvents(id);
+    const recovered = events.find((e) => e.event_type === 'recurring_donation.recovered');
+    expect(JSON.parse(recovered.payload)).toMatchObject({
+      failureClass: 'insufficient_funds',
+      attempts: 1,
+      transactionHash: 'recovered-tx',
+    });
+  });
+
+  test('honours a DUNNING_POLICY override', async () => {
+    DunningService.reloadPolicy(JSON.stringify({ insufficient_funds: { retryDelaysHours: [2] } }));
+    const id = await createSchedule();
+    const { scheduler } = schedulerFailingWith('Insufficient balance');
+
+    const before = Date.now();
+    await scheduler.executeScheduleWithRetry(await dueRow(id));
+    const first = await dueRow(id);
+    expect(new Date(first.dunningNextRetryAt).getTime() - before).toBeLessThan(3 * HOUR);
+
+    await scheduler.executeScheduleWithRetry(first);
+    expect((await dueRow(id)).status).toBe('suspended');
+  });
+});
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+describe('Dunning routes', () => {
+  test('POST /donations/recurring/:id/resume restarts a suspended schedule', async () => {
+    const id = await createSchedule({
+      status: 'suspended',
+      suspendReason: 'dunning:insufficient_funds',
+      dunningAttempt: 3,
+      dunningFailureClass: 'insufficient_funds',
+      dunningStartedAt: new Date(Date.now() - 10 * DAY).toISOString(),
+      nextExecutionDate: new Date(Date.now() - 3 * DAY).toISOString(),
+    });
+
+    const res = await request(app).post(`/donations/recurring/${id}/resume`).send({ reason: 'Topped up' });
+
+    expect(res.status).toBe(200);
+    const row = await dueRow(id);
+    expect(row).toMatchObject({
+      status: 'active',
+      suspendReason: null,
+      dunningAttempt: 0,
+      dunningStartedAt: null,
+    });
+    expect(new Date(row.nextExecutionDate).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('GET /admin/scheduler/dunning lists schedules in dunning by next retry', async () => {
+    const later = await createSchedule({
+      dunningAttempt: 1,
+      dunningFailureClass: 'missing_trustline',
+      dunningStartedAt: new Date().toISOString(),
+      dunningNextRetryAt: new Date(Date.now() + 50 * DAY).toISOString(),
+      nextExecutionDate: new Date(Date.now() + 50 * DAY).toISOString(),
+    });
+    const sooner = await createSchedule({
+      dunningAttempt: 2,
+      dunningFailureClass: 'insufficient_funds',
+      dunningStartedAt: new Date().toISOString(),
+      dunningNextRetryAt: new Date(Date.now() + 40 * DAY).toISOString(),
+      nextExecutionDate: new Date(Date.now() + 40 * DAY).toISOString(),
+    });
+    const suspended = await createSchedule({
+      status: 'suspended',
+      suspendReason: 'dunning:permanent',
+      dunningStartedAt: new Date().toISOString(),
+    });
+
+    const res = await request(app).get('/admin/scheduler/dunning').query({ limit: 200 });
+    expect(res.status).toBe(200);
+    const ids = res.body.data.map((item) => item.scheduleId);
+    expect(ids.indexOf(sooner)).toBeLessThan(ids.indexOf(later));
+    expect(ids).not.toContain(suspended);
+    expect(res.body.data.find((item) => item.scheduleId === sooner)).toMatchObject({
+      donorPublicKey: DONOR,
+      failureClass: 'insufficient_funds',
+      attempt: 2,
+      maxAttempts: 3,
+    });
+
+    const withSuspended = await request(app).get('/admin/scheduler/dunning').query({ includeSuspended: 'true', limit: 200 });
+    expect(withSuspended.body.data.map((item) => item.scheduleId)).toContain(suspended);
+    expect(withSuspended.body.total).toBeGreaterThan(res.body.total);
+  });
+
+  test('POST /donations/recurring stores and validates notificationEmail', async () => {
+    await userId(DONOR);
+    await userId(RECIPIENT);
+    const base = { donorPublicKey: DONOR, recipientPublicKey: RECIPIENT, amount: 5, frequency: 'monthly' };
+
+    const bad = await request(app).post('/donations/recurring').send({ ...base, notificationEmail: 'not-an-email' });
+    expect(bad.status).toBe(400);
+
+    const res = await request(app).post('/donations/recurring').send({ ...base, notificationEmail: 'donor@example.com' });
+    expect(res.status).toBe(201);
+    expect(res.body.data.notificationEmail).toBe('donor@example.com');
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Recurring Donation RRULE Tests
+ *
+ * Covers:
+ *  - RRULE parsing and validation
+ *  - Expansion of the common donor patterns (nth weekday, multiple month days,
+ *    bi-weekly, COUNT/UNTIL)
+ *  - Timezone-aware evaluation across DST changes
+ *  - Scheduler advancing and completing RRULE schedules
+ *  - POST /donations/recurring/preview and RRULE schedule creation
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+  requireAdmin: () => (req, res, next) => next(),
+}));
+
+jest.mock('../../src/config/serviceContainer', () => {
+  const Scheduler = require('../../src/services/RecurringDonationScheduler').Class;
+  const scheduler = new Scheduler({ sendPayment: async () => ({ hash: 'tx' }) });
+  return { getRecurringDonationScheduler: () => scheduler };
+});
+
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const recurrenceRule = require('../../src/utils/recurrenceRule');
+const { Class: RecurringDonationScheduler } = require('../../src/services/RecurringDonationScheduler');
+const recurringRoutes = require('../../src/routes/recurringDonation');
+
+const DONOR = 'GRRULEDONOR0000000000000000000000000000000000000000000';
+const RECIPIENT = 'GRRULERECIPIENT00000000000000000000000000000000000000';
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+describe('recurrenceRule.parseRule', () => {
+  test('parses a rule with an RRULE: prefix', () => {
+    const rule = recurrenceRule.parseRule('RRULE:FREQ=MONTHLY;BYDAY=1FR,-1SU;COUNT=6');
+    expect(rule).toMatchObject({
+      freq: 'MONTHLY',
+      interval: 1,
+      count: 6,
+      byDay: [{ weekday: 5, ordinal: 1 }, { weekday: 0, ordinal: -1 }],
+      text: 'FREQ=MONTHLY;BYDAY=1FR,-1SU;COUNT=6',
+    });
+  });
+
+  test.each([
+    ['FREQ=HOURLY', /FREQ/],
+    ['FREQ=DAILY;BYHOUR=9', /Unsupported/],
+    ['FREQ=WEEKLY;BYDAY=1MO', /ordinals/],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', /out of range/],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20270101', /COUNT and UNTIL/],
+    ['FREQ=DAILY;UNTIL=20270231', /UNTIL/],
+    ['FREQ=DAILY;INTERVAL=0', /out of range/],
+    ['FREQ=MONTHLY;;', /Malformed/],
+  ])('rejects %s', (text, message) => {
+    expect(() => recurrenceRule.parseRule(text)).toThrow(message);
+  });
+});
+
+// ─── Expansion ────────────────────────────────────────────────────────────────
+
+describe('recurrenceRule.preview', () => {
+  test('first Friday of each month', () => {
+    const dates = recurrenceRule.preview('FREQ=MONTHLY;BYDAY=1FR', { start: '2026-01-01T10:00:00Z', limit: 3 });
+    expect(iso(dates)).toEqual(['2026-01-02T10:00:00.000Z', '2026-02-06T10:00:00.000Z', '2026-03-06T10:00:00.000Z']);
+  });
+
+  test('on the 15th and the last day of the month', () => {
+    const dates = recurrenceRule.preview('FREQ=MONTHLY;BYMONTHDAY=15,-1', { start: '2026-01-20T10:00:00Z', limit: 4 });
+    expect(iso(dates)).toEqual([
+      '2026-01-31T10:00:00.000Z',
+      '2026-02-15T10:00:00.000Z',
+      '2026-02-28T10:00:00.000Z',
+      '2026-03-15T10:00:00.000Z',
+    ]);
+  });
+
+  test('every 2 weeks on Monday', () => {
+    // Weeks are counted from the start's week (Mon 12 Oct), so the week of 19 Oct is skipped
+    const dates = recurrenceRule.preview('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', { start: '2026-10-14T09:00:00Z', limit: 3 });
+    expect(iso(dates)).toEqual(['2026-10-26T09:00:00.000Z', '2026-11-09T09:00:00.000Z', '2026-11-23T09:00:00.000Z']);
+  });
+
+  test('last weekday of the month via BYSETPOS', () => {
+    const dates = recurrenceRule.preview('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', { start: '2026-01-01T12:00:00Z', limit: 2 });
+    expect(iso(dates)).toEqual(['2026-01-30T12:00:00.000Z', '2026-02-27T12:00:00.000Z']);
+  });
+
+  test('ends after COUNT occurrences and at UNTIL', () => {
+    expect(recurrenceRule.preview('FREQ=MONTHLY;COUNT=3', { start: '2026-01-31T00:00:00Z', limit: 10 })).toHaveLength(3);
+    expect(iso(recurrenceRule.preview('FREQ=DAILY;UNTIL=20260102', { start: '2026-01-01T08:00:00Z', limit: 10 })))
+      .toEqual(['2026-01-01T08:00:00.000Z', '2026-01-02T08:00:00.000Z']);
+  });
+
+  test('keeps the local time of day across a DST change', () => {
+    const dates = recurrenceRule.preview('FREQ=WEEKLY;BYDAY=MO', {
+      start: '2026-03-02T14:00:00Z', // 09:00 in New York (EST)
+      timezone: 'America/New_York',
+      limit: 2,
+    });
+    // 8 March 2026 is the switch to EDT, so 09:00 local becomes 13:00 UTC
+    expect(iso(dates)).toEqual(['2026-03-02T14:00:00.000Z', '2026-03-09T13:00:00.000Z']);
+  });
+
+  test('returns nothing for a rule that never matches', () => {
+    expect(recurrenceRule.preview('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', { start: '2026-01-01T00:00:00Z' })).toEqual([]);
+  });
+
+  test('rejects unknown timezones', () => {
+    expect(() => recurrenceRule.preview('FREQ=DAILY', { start: new Date(), timezone: 'Mars/Olympus' }))
+      .toThrow('Unknown timezone');
+  });
+});
+
+// ─── Scheduler ────────────────────────────────────────────────────────────────
+
+describe('RecurringDonationScheduler with RRULE schedules', () => {
+  const scheduler = new RecurringDonationScheduler({ sendPayment: async () => ({ hash: 'tx' }) });
+  const recurrence = { rule: 'FREQ=MONTHLY;BYMONTHDAY=1;COUNT=3', timezone: 'UTC', start: '2026-01-01T09:00:00Z' };
+
+  test('calculateNextExecutionDate returns the next occurrence of the rule', () => {
+    const next = scheduler.calculateNextExecutionDate(new Date('2026-01-01T09:00:00Z'), 'rrule', null, recurrence);
+    expect(next.toISOString()).toBe('2026-02-01T09:00:00.000Z');
+  });
+
+  test('calculateNextExecutionDate returns null once the rule is exhausted', () => {
+    expect(scheduler.calculateNextExecutionDate(new Date('2026-03-01T09:00:00Z'), 'rrule', null, recurrence)).toBeNull();
+  });
+
+  test('calculateNextExecutionDate requires a rule for rrule frequency', () => {
+    expect(() => scheduler.calculateNextExecutionDate(new Date(), 'rrule')).toThrow('recurrence rule');
+  });
+
+  test('recurrenceOf reads the rule from a schedule row', () => {
+    expect(RecurringDonationScheduler.recurrenceOf({ frequency: 'daily' })).toBeNull();
+    expect(RecurringDonationScheduler.recurrenceOf({
+      recurrenceRule: 'FREQ=DAILY',
+      recurrenceTimezone: null,
+      recurrenceStart: '2026-01-01T00:00:00Z',
+    })).toEqual({ rule: 'FREQ=DAILY', timezone: 'UTC', start: '2026-01-01T00:00:00Z' });
+  });
+});
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+describe('RRULE schedule routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/donations/recurring', recurringRoutes);
+
+  beforeAll(async () => {
+    for (const publicKey of [DONOR, RECIPIENT]) {
+      await Database.run('INSERT OR IGNORE INTO users (publicKey) VALUES (?)', [publicKey]);
+    }
+  });
+
+  test('POST /preview returns the next N dates of an rrule', async () => {
+    const res = await request(app)
+      .post('/donations/recurring/preview')
+      .send({ rrule: 'FREQ=MONTHLY;BYDAY=1FR', timezone: 'Europe/London', startDate: '2026-01-01T09:00:00Z', limit: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(3);
+    expect(res.body.data).toMatchObject({ frequency: 'rrule', rrule: 'FREQ=MONTHLY;BYDAY=1FR', timezone: 'Europe/London' });
+    expect(res.body.data.occurrences).toEqual([
+      '2026-01-02T09:00:00.000Z',
+      '2026-02-06T09:00:00.000Z',
+      '2026-03-06T09:00:00.000Z',
+    ]);
+  });
+
+  test('POST /preview also previews fixed frequencies', async () => {
+    const res = await request(app)
+      .post('/donations/recurring/preview')
+      .send({ frequency: 'weekly', startDate: '2026-01-05T12:00:00Z', limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.occurrences).toEqual(['2026-01-05T12:00:00.000Z', '2026-01-12T12:00:00.000Z']);
+  });
+
+  test('POST /preview rejects invalid rules, timezones and limits', async () => {
+    const bad = [
+      { rrule: 'FREQ=SECONDLY' },
+      { rrule: 'FREQ=DAILY', timezone: 'Nowhere/City' },
+      { rrule: 'FREQ=DAILY', frequency: 'weekly' },
+      { rrule: 'FREQ=DAILY', limit: 500 },
+    ];
+    for (const body of bad) {
+      const res = await request(app).post('/donations/recurring/preview').send(body);
+      expect(res.status).toBe(400);
+    }
+  });
+
+  test('POST / creates an rrule schedule starting at the first occurrence', async () => {
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const res = await request(app)
+      .post('/donations/recurring')
+      .send({
+        donorPublicKey: DONOR,
+        recipientPublicKey: RECIPIENT,
+        amount: 5,
+        rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=4',
+        timezone: 'America/New_York',
+        startDate: start.toISOString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      frequency: 'rrule',
+      rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=4',
+      timezone: 'America/New_York',
+    });
+    const [first] = recurrenceRule.preview(res.body.data.rrule, { start, timezone: 'America/New_York', limit: 1 });
+    expect(res.body.data.nextExecutionDate).toBe(first.toISOString());
+
+    const row = await Database.get('SELECT recurrenceStart FROM recurring_donations WHERE id = ?', [res.body.data.id]);
+    expect(row.recurrenceStart).toBe(start.toISOString());
+  });
+
+  test('POST / rejects a malformed rrule', async () => {
+    const res = await request(app)
+      .post('/donations/recurring')
+      .send({ donorPublicKey: DONOR, recipientPublicKey: RECIPIENT, amount: 5, rrule: 'FREQ=MONTHLY;BYDAY=9FR' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Invalid rrule/);
+  });
+});
@@ -0,0 +1,482 @@
+/**
+ * Sanctions Screening Tests
+ *
+ * Covers:
+ *  - Name normalisation and Jaro-Winkler similarity
+ *  - CSV / JSON list imports, validation and versioned snapshots with rollback
+ *  - Matching on addresses, federation names, home domains and (fuzzy) names
+ *  - Audit entries carrying the matching list version
+ *  - Blocking and flagging in DonationService (single and batch), the
+ *    non-custodial prepare step, SEP-7 callbacks, anchor deposits and the
+ *    recurring scheduler
+ *  - Admin import / rollback routes
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS = 'test-key-1';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => {
+    req.user = req.user || { id: 'admin-1', role: 'admin' };
+    next();
+  },
+}));
+
+// Recipient velocity limits are covered by their own suite and need tables this one does not create
+jest.mock('../../src/services/DonationVelocityService', () => ({
+  checkVelocityLimits: jest.fn().mockResolvedValue(undefined),
+  recordDonation: jest.fn().mockResolvedValue(undefined),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const encryption = require('../../src/utils/encryption');
+const { getStellarService } = require('../../src/config/stellar');
+const { normalizeName, nameSimilarity } = require('../../src/utils/nameMatcher');
+const AuditLogService = require('../../src/services/AuditLogService');
+const ScreeningService = require('../../src/services/ScreeningService');
+const DonationService = require('../../src/services/DonationService');
+const KycService = require('../../src/services/KycService');
+const NonCustodialDonationService = require('../../src/services/NonCustodialDonationService');
+const PaymentRequestService = require('../../src/services/PaymentRequestService');
+const AnchorDepositService = require('../../src/services/AnchorDepositService');
+const { RecurringDonationScheduler } = require('../../src/services/RecurringDonationScheduler');
+const screeningRouter = require('../../src/routes/admin/screening');
+
+const app = express();
+app.use(express.json());
+app.use('/admin/screening', screeningRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message, details: err.details },
+  });
+});
+
+let listCounter = 0;
+const nextListName = () => `test-list-${++listCounter}-${Date.now()}`;
+
+/** Random well-formed public key (not a real account). */
+const randomAddress = () => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let key = 'G';
+  for (let i = 0; i < 55; i++) key += alphabet[Math.floor(Math.random() * alphabet.length)];
+  return key;
+};
+
+const importCsv = (name, rows, options = {}) => ScreeningService.importList(name, {
+  content: ['type,value,reference', ...rows].join('\n'),
+  format: 'csv',
+  ...options,
+});
+
+afterAll(async () => {
+  await Database.run("DELETE FROM screening_entries WHERE listId IN (SELECT id FROM screening_lists WHERE name LIKE 'test-list-%')");
+  await Database.run("DELETE FROM screening_list_versions WHERE listId IN (SELECT id FROM screening_lists WHERE name LIKE 'test-list-%')");
+  await Database.run("DELETE FROM screening_lists WHERE name LIKE 'test-list-%'");
+  ScreeningService.invalidateCache();
+});
+
+describe('nameMatcher', () => {
+  test('normalises accents, punctuation, case and word order', () => {
+    expect(normalizeName('  Doe,  JÖHN ')).toBe('doe john');
+    expect(normalizeName('John Doe')).toBe('doe john');
+    expect(normalizeName('!!!')).toBe('');
+  });
+
+  test('scores near-identical names above different ones', () => {
+    expect(nameSimilarity('Jöhn Doe', 'john doe')).toBe(1);
+    expect(nameSimilarity('Vladimir Petrovsky', 'Vladimir Petrovski')).toBeGreaterThan(0.9);
+    expect(nameSimilarity('Vladimir Petrovsky', 'Alice Smith')).toBeLessThan(0.7);
+  });
+});
+
+describe('ScreeningService lists', () => {
+  beforeEach(() => ScreeningService.invalidateCache());
+
+  test('parses the grouped JSON format', () => {
+    const address = randomAddress();
+    const items = ScreeningService.parseListFile(JSON.stringify({
+      addresses: [address],
+      homeDomains: [{ value: 'bad.example', reference: 'R-1' }],
+      names: ['Ivan Blocked'],
+    }), 'json');
+
+    expect(items).toEqual([
+      { type: 'address', value: address, reference: null },
+      { type: 'home_domain', value: 'bad.example', reference: 'R-1' },
+      { type: 'name', value: 'Ivan Blocked', reference: null },
+    ]);
+  });
+
+  test('rejects an import with invalid entries and reports them', async () => {
+    const name = nextListName();
+    await expect(importCsv(name, ['address,GNOTAKEY,', 'federation,nobody,', `address,${randomAddress()},`]))
+      .rejects.toMatchObject({
+        errorCode: 'INVALID_SCREENING_ENTRIES',
+        details: { invalidCount: 2 },
+      });
+
+    const list = await Database.get('SELECT * FROM screening_lists WHERE name = ?', [name]);
+    expect(list).toBeUndefined();
+  });
+
+  test('each import is a new version; identical imports are not', async () => {
+    const name = nextListName();
+    const first = randomAddress();
+    const second = randomAddress();
+
+    const v1 = await importCsv(name, [`address,${first},SDN-1`]);
+    expect(v1).toMatchObject({ version: 1, entryCount: 1, unchanged: false });
+
+    const again = await importCsv(name, [`address,${first.toLowerCase()},SDN-1`]);
+    expect(again).toMatchObject({ version: 1, unchanged: true });
+
+    const v2 = await importCsv(name, [`address,${first},SDN-1`, `address,${second},SDN-2`]);
+    expect(v2).toMatchObject({ version: 2, entryCount: 2 });
+
+    const list = await ScreeningService.getList(name);
+    expect(list.currentVersion).toBe(2);
+    expect(list.versions.map((v) => [v.version, v.entryCount, v.active])).toEqual([[2, 2, true], [1, 1, false]]);
+
+    const { entries, total } = await ScreeningService.getEntries(name, 1);
+    expect(total).toBe(1);
+    expect(entries[0]).toEqual({ type: 'address', value: first, reference: 'SDN-1' });
+  });
+
+  test('activating an earlier version rolls screening back to it', async () => {
+    const name = nextListName();
+    const address = randomAddress();
+    await importCsv(name, [`name,Someone Else,`]);
+    await importCsv(name, [`address,${address},`]);
+
+    expect((await ScreeningService.screen([{ role: 'donor', address }], { audit: false })).outcome).toBe('blocked');
+
+    await ScreeningService.activateVersion(name, 1);
+    expect((await ScreeningService.screen([{ role: 'donor', address }], { audit: false })).outcome).toBe('clear');
+
+    await expect(ScreeningService.activateVersion(name, 9)).rejects.toMatchObject({
+      errorCode: 'SCREENING_VERSION_NOT_FOUND',
+    });
+  });
+});
+
+describe('ScreeningService.screen', () => {
+  let auditSpy;
+
+  beforeEach(() => {
+    ScreeningService.invalidateCache();
+    auditSpy = jest.spyOn(AuditLogService, 'log').mockResolvedValue({});
+  });
+
+  afterEach(() => auditSpy.mockRestore());
+
+  test('records each match in the audit log with the list version', async () => {
+    const name = nextListName();
+    const address = randomAddress();
+    await importCsv(name, [`address,${randomAddress()},`]);
+    await importCsv(name, [`address,${address},OFAC-42`]);
+
+    const result = await ScreeningService.screen(
+      [{ role: 'recipient', address }],
+      { context: { requestId: 'req-1' } }
+    );
+
+    expect(result.outcome).toBe('blocked');
+    expect(result.matches).toEqual([expect.objectContaining({
+      list: name,
+      listVersion: 2,
+      role: 'recipient',
+      entryType: 'address',
+      reference: 'OFAC-42',
+      matchType: 'exact',
+    })]);
+
+    const matchAudit = auditSpy.mock.calls.map(([entry]) => entry).find((e) => e.action === 'SCREENING_MATCH');
+    expect(matchAudit).toMatchObject({
+      severity: 'HIGH',
+      requestId: 'req-1',
+      details: { list: name, listVersion: 2, outcome: 'blocked' },
+    });
+  });
+
+  test('matches federation names and their domain, including subdomains', async () => {
+    const name = nextListName();
+    await importCsv(name, ['federation,evil*pay.example,', 'home_domain,shady.example,']);
+
+    const federation = await ScreeningService.screen([{ role: 'recipient', federation: 'Evil*pay.example' }]);
+    expect(federation.matches.map((m) => m.entryType)).toEqual(['federation']);
+
+    const domain = await ScreeningService.screen([{ role: 'recipient', federation: 'bob*wallet.shady.example' }]);
+    expect(domain.matches).toEqual([expect.objectContaining({ entryType: 'home_domain', entry: 'shady.example' })]);
+  });
+
+  test("looks up an account's home domain when a list has domains", async () => {
+    const name = nextListName();
+    await importCsv(name, ['home_domain,shady-anchor.example,']);
+    const stellarService = { getHomeDomain: jest.fn().mockResolvedValue('shady-anchor.example') };
+
+    const result = await ScreeningService.screen([{ role: 'donor', address: randomAddress() }], { stellarService });
+    expect(result.outcome).toBe('blocked');
+    expect(stellarService.getHomeDomain).toHaveBeenCalled();
+  });
+
+  test('fuzzy name matches only flag, even on a blocking list', async () => {
+    const name = nextListName();
+    await importCsv(name, ['name,Vladimir Petrovsky,']);
+
+    const fuzzy = await ScreeningService.screen([{ role: 'donor', name: 'Vladimir Petrovski' }]);
+    expect(fuzzy.outcome).toBe('flagged');
+    expect(fuzzy.matches[0]).toMatchObject({ matchType: 'fuzzy', action: 'flag' });
+    expect(fuzzy.matches[0].score).toBeGreaterThanOrEqual(0.9);
+
+    const exact = await ScreeningService.screen([{ role: 'donor', name: 'PETROVSKY, Vladimir' }]);
+    expect(exact.outcome).toBe('blocked');
+
+    const other = await ScreeningService.screen([{ role: 'donor', name: 'Grace Hopper' }]);
+    expect(other.outcome).toBe('clear');
+  });
+
+  test('a flag list never blocks', async () => {
+    const name = nextListName();
+    const address = randomAddress();
+    await importCsv(name, [`address,${address},`], { action: 'flag' });
+
+    const result = await ScreeningService.screenDonation([{ role: 'donor', address }]);
+    expect(result.outcome).toBe('flagged');
+  });
+});
+
+describe('donation hooks', () => {
+  let stellarService;
+  let donationService;
+  let auditSpy;
+
+  const createUser = async () => {
+    const wallet = await stellarService.createWallet();
+    await stellarService.fundTestnetWallet(wallet.publicKey);
+    const { id } = await Database.run(
+      'INSERT INTO users (publicKey, encryptedSecret) VALUES (?, ?)',
+      [wallet.publicKey, encryption.encrypt(wallet.secretKey)]
+    );
+    return { id, publicKey: wallet.publicKey };
+  };
+
+  beforeAll(() => {
+    stellarService = getStellarService();
+    donationService = new DonationService(stellarService);
+  });
+
+  beforeEach(() => {
+    ScreeningService.invalidateCache();
+    auditSpy = jest.spyOn(AuditLogService, 'log').mockResolvedValue({});
+  });
+
+  afterEach(() => auditSpy.mockRestore());
+
+  test('a custodial donation to a blocked recipient is refused before payment', async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    await importCsv(nextListName(), [`address,${recipient.publicKey},`]);
+    const sendSpy = jest.spyOn(stellarService, 'sendDonation');
+
+    await expect(donationService.sendCustodialDonation({
+      senderId: donor.id,
+      receiverId: recipient.id,
+      amount: '5',
+      idempotencyKey: `screen-${Date.now()}`,
+    })).rejects.toMatchObject({ statusCode: 403, errorCode: 'SCREENING_BLOCKED' });
+
+    expect(sendSpy).not.toHaveBeenCalled();
+    sendSpy.mockRestore();
+  });
+
+  test("a custodial donor whose KYC name is close to a listed name is flagged and sent", async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    await new KycService(stellarService).putCustomer({
+      account: donor.publicKey,
+      fields: { first_name: 'Ivanna', last_name: 'Sanctionova' },
+    });
+    await importCsv(nextListName(), ['name,Ivana Sanctionova,']);
+
+    const result = await donationService.sendCustodialDonation({
+      senderId: donor.id,
+      receiverId: recipient.id,
+      amount: '5',
+      idempotencyKey: `screen-${Date.now()}`,
+    });
+
+    expect(Transaction.getById(String(result.id)).screeningFlagged).toBe(true);
+    const matchAudit = auditSpy.mock.calls.map(([entry]) => entry).find((e) => e.action === 'SCREENING_MATCH');
+    expect(matchAudit.details).toMatchObject({ role: 'donor', matchType: 'fuzzy', senderId: donor.id });
+  });
+
+  test('createDonationRecord screens the federation name the recipient came from', async () => {
+    await importCsv(nextListName(), ['federation,blocked*charity.example,']);
+
+    await expect(donationService.createDonationRecord({
+      amount: 1,
+      donor: randomAddress(),
+      recipient: randomAddress(),
+      recipientFederation: 'blocked*charity.example',
+    })).rejects.toMatchObject({ errorCode: 'SCREENING_BLOCKED' });
+  });
+
+  test('the non-custodial prepare step refuses a blocked donor', async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    await importCsv(nextListName(), [`address,${donor.publicKey},`]);
+
+    await expect(new NonCustodialDonationService(stellarService).prepare({
+      donor: donor.publicKey,
+      recipient: recipient.publicKey,
+      amount: 5,
+    })).rejects.toMatchObject({ errorCode: 'SCREENING_BLOCKED' });
+  });
+
+  test('a batch drops blocked donations before anything is submitted', async () => {
+    const donor = await createUser();
+    const blocked = await createUser();
+    const allowed = await createUser();
+    await importCsv(nextListName(), [`address,${blocked.publicKey},`]);
+    // processBatch looks donors up by ID; the batch itself is what is under test
+    const userSpy = jest.spyOn(donationService, 'getUserById')
+      .mockResolvedValue(await Database.get('SELECT * FROM users WHERE id = ?', [donor.id]));
+    const batchSpy = jest.spyOn(stellarService, 'sendBatchDonations');
+
+    const results = await donationService.processBatch([
+      { amount: 2, donor: donor.publicKey, recipient: blocked.publicKey, idempotencyKey: `screen-batch-a-${Date.now()}` },
+      { amount: 3, donor: donor.publicKey, recipient: allowed.publicKey, idempotencyKey: `screen-batch-b-${Date.now()}` },
+    ]);
+
+    expect(results[0]).toMatchObject({ success: false, error: { code: 'SCREENING_BLOCKED' } });
+    expect(results[1]).toMatchObject({ success: true });
+    expect(batchSpy).toHaveBeenCalledTimes(1);
+    expect(batchSpy.mock.calls[0][1].map((payment) => payment.destinationPublic)).toEqual([allowed.publicKey]);
+    userSpy.mockRestore();
+    batchSpy.mockRestore();
+  });
+
+  test('a SEP-7 callback from a blocked donor is refused before submission', async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    await importCsv(nextListName(), [`address,${donor.publicKey},`]);
+    const service = new PaymentRequestService(stellarService);
+    const paymentRequest = await service.create({ destination: recipient.publicKey, amount: 5 });
+    const built = await stellarService.buildUnsignedPayment(donor.publicKey, recipient.publicKey, 5, { memo: paymentRequest.memo });
+    const envelope = JSON.parse(Buffer.from(built.xdr, 'base64').toString('utf8'));
+    envelope.signatures.push('donor');
+    const submitSpy = jest.spyOn(stellarService, 'submitSignedTransaction');
+
+    await expect(service.handleCallback(paymentRequest.id, {
+      xdr: Buffer.from(JSON.stringify(envelope)).toString('base64'),
+    })).rejects.toMatchObject({ errorCode: 'SCREENING_BLOCKED' });
+
+    expect(submitSpy).not.toHaveBeenCalled();
+    submitSpy.mockRestore();
+  });
+
+  test('an anchor deposit whose recipient was blocked meanwhile is not confirmed', async () => {
+    const recipient = await createUser();
+    const service = new AnchorDepositService(stellarService, null);
+    const donation = Transaction.create({ amount: 25, donor: 'Jo Donor', recipient: recipient.publicKey, status: 'pending' });
+    const memo = `dep-${Date.now().toString(16).slice(-10)}`;
+    await Database.run(
+      `INSERT INTO anchor_deposits (id, donationId, anchorDomain, anchorTransactionId, assetCode, account, memo, amount, interactiveUrl)
+       VALUES (?, ?, 'anchor.example', 'anchor-tx', 'native', ?, ?, '25.0000000', 'https://anchor.example/deposit')`,
+      [`screen-${donation.id}`, donation.id, recipient.publicKey, memo]
+    );
+    await importCsv(nextListName(), [`address,${recipient.publicKey},`]);
+
+    await service.handleIncomingPayment(recipient.publicKey, { memo, hash: `hash-${donation.id}`, amount: '25' });
+
+    expect(Transaction.getById(donation.id)).toMatchObject({ status: 'failed', failureReason: 'screening_blocked' });
+    expect(auditSpy.mock.calls.map(([entry]) => entry.action)).toContain('ANCHOR_DEPOSIT_BLOCKED');
+  });
+
+  test('the recurring scheduler suspends a schedule whose recipient is blocked', async () => {
+    const donor = await createUser();
+    const recipient = await createUser();
+    await importCsv(nextListName(), [`address,${recipient.publicKey},`]);
+
+    const { id } = await Database.run(
+      `INSERT INTO recurring_donations (donorId, recipientId, amount, frequency, nextExecutionDate, status)
+       VALUES (?, ?, ?, 'daily', ?, 'active')`,
+      [donor.id, recipient.id, 5, new Date().toISOString()]
+    );
+    const payments = { sendPayment: jest.fn() };
+    const scheduler = new RecurringDonationScheduler(payments);
+
+    await scheduler.executeScheduleWithRetry({
+      id,
+      donorId: donor.id,
+      recipientId: recipient.id,
+      donorPublicKey: donor.publicKey,
+      recipientPublicKey: recipient.publicKey,
+      amount: 5,
+      frequency: 'daily',
+      nextExecutionDate: new Date().toISOString(),
+    });
+
+    expect(payments.sendPayment).not.toHaveBeenCalled();
+    const row = await Database.get('SELECT status, lastFailureReason FROM recurring_donations WHERE id = ?', [id]);
+    expect(row).toEqual({ status: 'suspended', lastFailureReason: 'Blocked by compliance screening' });
+    const log = await Database.get('SELECT status FROM recurring_donation_logs WHERE scheduleId = ? ORDER BY id DESC', [id]);
+    expect(log.status).toBe('BLOCKED');
+  });
+});
+
+describe('admin screening routes', () => {
+  beforeEach(() => ScreeningService.invalidateCache());
+
+  test('imports a CSV upload, lists it and rolls back', async () => {
+    const name = nextListName();
+    const address = randomAddress();
+
+    const first = await request(app)
+      .post(`/admin/screening/lists/${name}/import`)
+      .field('source', 'https://lists.example/sdn.csv')
+      .attach('file', Buffer.from(`type,value,reference\naddress,${address},SDN-7\n`), 'sdn.csv');
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ version: 1, entryCount: 1, list: { name, action: 'block' } });
+
+    const second = await request(app)
+      .post(`/admin/screening/lists/${name}/import`)
+      .attach('file', Buffer.from(JSON.stringify({ names: ['Someone Listed'] })), 'sdn.json');
+    expect(second.status).toBe(201);
+    expect(second.body.data.version).toBe(2);
+
+    const lists = await request(app).get('/admin/screening/lists');
+    expect(lists.body.data.find((l) => l.name === name)).toMatchObject({ currentVersion: 2, entryCount: 1 });
+
+    const entries = await request(app).get(`/admin/screening/lists/${name}/versions/1/entries`);
+    expect(entries.body.data).toEqual([{ type: 'address', value: address, reference: 'SDN-7' }]);
+
+    const rollback = await request(app).post(`/admin/screening/lists/${name}/versions/1/activate`);
+    expect(rollback.status).toBe(200);
+    expect(rollback.body.data.currentVersion).toBe(1);
+
+    const check = await request(app).post('/admin/screening/check').send({ address });
+    expect(check.body.data.outcome).toBe('blocked');
+  });
+
+  test('rejects an upload without a file or with an unknown format', async () => {
+    const name = nextListName();
+    const missing = await request(app).post(`/admin/screening/lists/${name}/import`);
+    expect(missing.status).toBe(400);
+    expect(missing.body.error.code).toBe('MISSING_FILE');
+
+    const unknown = await request(app)
+      .post(`/admin/screening/lists/${name}/import`)
+      .attach('file', Buffer.from('whatever'), 'list.txt');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.code).toBe('INVALID_SCREENING_FILE');
+  });
+});
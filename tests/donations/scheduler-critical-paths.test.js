@@ -267,6 +267,16 @@ describe('RecurringDonationScheduler — core logic', () => {
 
       expect(WebhookService.sendFailureNotification).not.toHaveBeenCalled();
     });
+
+    it('records a persistent_failure event for webhook subscriptions', async () => {
+      const schedule = makeSchedule({ webhookUrl: null });
+
+      await scheduler.handlePersistentFailure(schedule, new Error('outbox test'));
+
+      const insert = mockDb.run.mock.calls.find(c => c[0].includes('INSERT INTO event_outbox'));
+      expect(insert[1][1]).toBe('recurring_donation.persistent_failure');
+      expect(JSON.parse(insert[1][4])).toMatchObject({ scheduleId: schedule.id, errorMessage: 'outbox test', failureCount: 1 });
+    });
   });
 
   // ── processSchedules ───────────────────────────────────────────────────
@@ -0,0 +1,340 @@
+/**
+ * SEP-24 Anchor Deposit Tests
+ *
+ * Covers:
+ *  - Sep24Client against the bundled mock anchor (stellar.toml discovery,
+ *    SEP-10 authentication, interactive deposits, /transaction)
+ *  - Starting a deposit links it to a pending donation, and above the KYC
+ *    threshold only for an accepted donor account
+ *  - The anchor's payment arriving on the payment stream confirms the
+ *    donation and credits the campaign once the anchor reports it, and a
+ *    payment with the deposit memo from anyone else confirms nothing
+ *  - Polling completes deposits the stream missed and fails abandoned ones
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS = 'test-key-1';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => {
+    req.user = req.user || { id: 'admin-1', role: 'admin' };
+    next();
+  },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const serviceContainer = require('../../src/config/serviceContainer');
+const { getStellarService } = require('../../src/config/stellar');
+const Sep24Client = require('../../src/services/Sep24Client');
+const AnchorDepositService = require('../../src/services/AnchorDepositService');
+const anchorDepositsRouter = require('../../src/routes/anchorDeposits');
+const { createMockAnchor } = require('../../src/services/mock/anchorServer');
+
+const app = express();
+app.use(express.json());
+app.use('/anchor-deposits', anchorDepositsRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+let idempotencyCounter = 0;
+const nextKey = () => `sep24-idem-${++idempotencyCounter}-${Date.now()}`;
+
+/** Let stream handlers and their database writes settle. */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+describe('SEP-24 anchor deposits', () => {
+  const serviceKeypair = StellarSdk.Keypair.random();
+  let stellarService;
+  let anchor;
+  let domain;
+  let recipient;
+  let service;
+
+  beforeAll(async () => {
+    process.env.SERVICE_SECRET_KEY = serviceKeypair.secret();
+    process.env.SEP24_ALLOW_HTTP = 'true';
+
+    stellarService = getStellarService();
+    const distribution = await stellarService.createWallet();
+    await stellarService.fundTestnetWallet(distribution.publicKey);
+    recipient = (await stellarService.createWallet()).publicKey;
+    await stellarService.fundTestnetWallet(recipient);
+
+    anchor = createMockAnchor({ stellarService, distributionSecret: distribution.secretKey });
+    ({ domain } = await anchor.listen());
+    process.env.SEP24_ANCHOR_DOMAINS = domain;
+
+    service = new AnchorDepositService(stellarService, serviceContainer.getPaymentStreamService());
+  });
+
+  afterAll(async () => {
+    const stream = serviceContainer.getPaymentStreamService();
+    stream.getActiveStreams().forEach((key) => stream.unsubscribe(key));
+    await anchor.close();
+    delete process.env.SERVICE_SECRET_KEY;
+    delete process.env.SEP24_ALLOW_HTTP;
+    delete process.env.SEP24_ANCHOR_DOMAINS;
+    Transaction._clearAllData();
+  });
+
+  const startDeposit = (body = {}) => request(app)
+    .post('/anchor-deposits')
+    .set('X-API-Key', 'test-key-1')
+    .set('X-Idempotency-Key', nextKey())
+    .send({ assetCode: 'native', amount: 25, recipient, donor: 'Jo Donor', ...body });
+
+  describe('Sep24Client', () => {
+    let client;
+
+    beforeAll(() => {
+      client = new Sep24Client({ homeDomain: domain, clientSecret: serviceKeypair.secret(), allowHttp: true });
+    });
+
+    test('discovers the anchor endpoints from stellar.toml', async () => {
+      const toml = await client.discover();
+
+      expect(toml).toEqual({
+        transferServer: `http://${domain}/sep24`,
+        webAuthEndpoint: `http://${domain}/auth`,
+        signingKey: anchor.signingKey,
+        networkPassphrase: StellarSdk.Networks.TESTNET,
+      });
+    });
+
+    test('authenticates with SEP-10 and reuses the token', async () => {
+      const token = await client.authenticate();
+
+      expect(token.split('.')).toHaveLength(3);
+      expect(await client.authenticate()).toBe(token);
+    });
+
+    test('starts an interactive deposit and reads its status', async () => {
+      const started = await client.startInteractiveDeposit({ assetCode: 'native', amount: '5', account: recipient, memo: 'dep-client' });
+      const transaction = await client.getTransaction(started.id);
+
+      expect(started.url).toContain(started.id);
+      expect(transaction).toMatchObject({ id: started.id, status: 'incomplete', to: recipient, deposit_memo: 'dep-client' });
+    });
+
+    test('rejects assets the anchor does not take', async () => {
+      await expect(client.startInteractiveDeposit({ assetCode: 'EURT', account: recipient }))
+        .rejects.toMatchObject({ errorCode: 'ASSET_NOT_SUPPORTED' });
+    });
+
+    test('rejects a challenge signed by a key other than the toml SIGNING_KEY', () => {
+      const challenge = StellarSdk.WebAuth.buildChallengeTx(
+        StellarSdk.Keypair.random(), serviceKeypair.publicKey(), domain, 300, StellarSdk.Networks.TESTNET, domain
+      );
+
+      expect(() => require('../../src/services/SEP10Service').signServerChallenge(challenge, {
+        serverSigningKey: anchor.signingKey,
+        networkPassphrase: StellarSdk.Networks.TESTNET,
+        homeDomain: domain,
+        webAuthDomain: domain,
+        clientSecret: serviceKeypair.secret(),
+      })).toThrow(/Invalid challenge transaction/);
+    });
+
+    test('surfaces anchor errors as 502s', async () => {
+      await expect(client.getTransaction('missing')).rejects.toMatchObject({ statusCode: 502, errorCode: 'EXTERNAL_SERVICE_ERROR' });
+    });
+
+    test('refuses plain HTTP in production', () => {
+      const previous = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => new Sep24Client({ homeDomain: domain, clientSecret: serviceKeypair.secret(), allowHttp: true }))
+          .toThrow(/not permitted in production/);
+      } finally {
+        process.env.NODE_ENV = previous;
+      }
+    });
+  });
+
+  describe('POST /anchor-deposits', () => {
+    test('starts a deposit linked to a pending donation', async () => {
+      const res = await startDeposit();
+
+      expect(res.status).toBe(201);
+      const deposit = res.body.data;
+      expect(deposit).toMatchObject({
+        anchorDomain: domain,
+        assetCode: 'native',
+        recipient,
+        amount: '25.0000000',
+        status: 'incomplete',
+        donationStatus: 'pending',
+      });
+      expect(deposit.memo).toMatch(/^dep-[0-9a-f]{10}$/);
+      expect(deposit.interactiveUrl).toContain(deposit.anchorTransactionId);
+
+      const donation = Transaction.getById(deposit.donationId);
+      expect(donation).toMatchObject({ status: 'pending', paymentMethod: 'sep24', anchorDepositId: deposit.id, memo: deposit.memo });
+      expect(anchor.transactions.get(deposit.anchorTransactionId)).toMatchObject({ to: recipient, deposit_memo: deposit.memo });
+    });
+
+    test('validates the request', async () => {
+      const missing = await startDeposit({ assetCode: undefined });
+      const badRecipient = await startDeposit({ recipient: 'GNOTAKEY' });
+      const badAmount = await startDeposit({ amount: -1 });
+
+      expect(missing.status).toBe(400);
+      expect(badRecipient.body.error.code).toBe('INVALID_RECIPIENT');
+      expect(badAmount.body.error.code).toBe('INVALID_AMOUNT');
+    });
+
+    test('only uses allowed anchors', async () => {
+      const res = await startDeposit({ anchorDomain: 'anchor.example.com' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('ANCHOR_NOT_ALLOWED');
+    });
+
+    test('rejects assets the anchor does not take', async () => {
+      const res = await startDeposit({ assetCode: 'EURT' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('ASSET_NOT_SUPPORTED');
+    });
+
+    test('requires an accepted donor account above the KYC threshold', async () => {
+      process.env.KYC_THRESHOLDS = '{"XLM": {"default": 5}}';
+      try {
+        const donorAccount = StellarSdk.Keypair.random().publicKey();
+        const started = anchor.transactions.size;
+        const refused = await startDeposit({ donorAccount });
+
+        expect(refused.status).toBe(422);
+        expect(refused.body.error.code).toBe('KYC_REQUIRED');
+        expect(anchor.transactions.size).toBe(started);
+
+        await Database.run(
+          "INSERT INTO kyc_customers (id, account, status) VALUES (?, ?, 'ACCEPTED')",
+          [`kyc-accepted-${donorAccount}`, donorAccount]
+        );
+        const accepted = await startDeposit({ donorAccount });
+
+        expect(accepted.status).toBe(201);
+      } finally {
+        delete process.env.KYC_THRESHOLDS;
+      }
+    });
+
+    test('returns 404 for an unknown deposit', async () => {
+      const res = await request(app).get('/anchor-deposits/missing').set('X-API-Key', 'test-key-1');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('ANCHOR_DEPOSIT_NOT_FOUND');
+    });
+  });
+
+  describe('completion', () => {
+    test('confirms the donation when the anchor payment arrives on the stream', async () => {
+      const { body: { data: deposit } } = await startDeposit({ amount: 12 });
+      expect(serviceContainer.getPaymentStreamService().getActiveStreams()).toContain(recipient);
+
+      const paid = await anchor.completeDeposit(deposit.anchorTransactionId);
+      await settle();
+
+      const donation = Transaction.getById(deposit.donationId);
+      expect(donation).toMatchObject({ status: 'confirmed', stellarTxId: paid.stellar_transaction_id, amount: 12 });
+
+      const res = await request(app).get(`/anchor-deposits/${deposit.id}`).set('X-API-Key', 'test-key-1');
+      expect(res.body.data).toMatchObject({
+        status: 'completed',
+        donationStatus: 'confirmed',
+        stellarTransactionId: paid.stellar_transaction_id,
+        amountOut: '12.0000000',
+      });
+    });
+
+    test('does not confirm a deposit on a payment with its memo that the anchor has not reported', async () => {
+      const { body: { data: deposit } } = await startDeposit({ amount: 15 });
+      const stranger = await stellarService.createWallet();
+      await stellarService.fundTestnetWallet(stranger.publicKey);
+
+      await stellarService.sendDonation({
+        sourceSecret: stranger.secretKey,
+        destinationPublic: recipient,
+        amount: '0.0000001',
+        memo: deposit.memo,
+      });
+      await settle();
+
+      expect(Transaction.getById(deposit.donationId).status).toBe('pending');
+      const refreshed = await service.getById(deposit.id);
+      expect(refreshed.stellarTransactionId).toBeNull();
+    });
+
+    test('does not record the claimed payment as a generic stream transaction', async () => {
+      const { body: { data: deposit } } = await startDeposit({ amount: 3 });
+      const paid = await anchor.completeDeposit(deposit.anchorTransactionId);
+      await settle();
+
+      const records = Transaction.getAll().filter((t) => t.stellarTxId === paid.stellar_transaction_id);
+      expect(records).toHaveLength(1);
+      expect(records[0].id).toBe(deposit.donationId);
+    });
+
+    test('credits the campaign with the settled amount', async () => {
+      const { id: campaignId } = await Database.run(
+        "INSERT INTO campaigns (name, goal_amount, current_amount, status) VALUES ('Anchor Drive', 500, 0, 'active')"
+      );
+      const { body: { data: deposit } } = await startDeposit({ amount: 40, campaignId });
+
+      await anchor.completeDeposit(deposit.anchorTransactionId, { amount: 38 });
+      await settle();
+
+      const campaign = await Database.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaignId]);
+      expect(campaign.current_amount).toBeCloseTo(38);
+      expect(Transaction.getById(deposit.donationId).amount).toBe(38);
+    });
+
+    test('polling completes a deposit whose payment the stream missed', async () => {
+      const { body: { data: deposit } } = await startDeposit({ amount: 8 });
+      const stream = serviceContainer.getPaymentStreamService();
+      stream.unsubscribe(recipient);
+
+      const paid = await anchor.completeDeposit(deposit.anchorTransactionId);
+      await settle();
+      expect(Transaction.getById(deposit.donationId).status).toBe('pending');
+
+      const summary = await service.pollPending();
+
+      expect(summary.completed).toBeGreaterThanOrEqual(1);
+      expect(Transaction.getById(deposit.donationId)).toMatchObject({ status: 'confirmed', stellarTxId: paid.stellar_transaction_id });
+      expect(stream.getActiveStreams()).toContain(recipient);
+    });
+
+    test('fails the donation when the anchor abandons the deposit', async () => {
+      const { body: { data: deposit } } = await startDeposit({ amount: 6 });
+      anchor.failDeposit(deposit.anchorTransactionId, 'expired');
+
+      const res = await request(app).get(`/anchor-deposits/${deposit.id}?refresh=true`).set('X-API-Key', 'test-key-1');
+
+      expect(res.body.data).toMatchObject({ status: 'expired', donationStatus: 'failed' });
+      expect(Transaction.getById(deposit.donationId).failureReason).toBe('anchor_expired');
+    });
+
+    test('tracks intermediate anchor statuses without touching the donation', async () => {
+      const { body: { data: deposit } } = await startDeposit({ amount: 2 });
+      anchor.setStatus(deposit.anchorTransactionId, 'pending_user_transfer_start');
+
+      const refreshed = await service.refreshDeposit(deposit.id);
+
+      expect(refreshed).toMatchObject({ status: 'pending_user_transfer_start', donationStatus: 'pending' });
+    });
+  });
+});
@@ -0,0 +1,476 @@
+/**
+ * SEP-7 Payment Request Tests
+ *
+ * Covers:
+ *  - Building, signing and verifying web+stellar:pay URIs (src/utils/sep7.js)
+ *  - One-off and campaign payment requests with PNG/SVG QR codes
+ *  - The wallet callback matching the signed payment to the request,
+ *    creating the donation and crediting the campaign
+ *  - One payment per one-off request, and campaign requests paying the
+ *    campaign creator's wallet
+ *  - Campaign requests refused, and expired, once the campaign is not live
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS = 'test-key-1';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => {
+    req.user = req.user || { id: 'admin-1', role: 'admin' };
+    next();
+  },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const { getStellarService } = require('../../src/config/stellar');
+const paymentRequestsRouter = require('../../src/routes/paymentRequests');
+const campaignsRouter = require('../../src/routes/campaigns');
+const { buildPayUri, signUri, verifyUriSignature, parsePayUri } = require('../../src/utils/sep7');
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use('/payment-requests', paymentRequestsRouter);
+app.use('/campaigns', campaignsRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+let idempotencyCounter = 0;
+const nextKey = () => `sep7-idem-${++idempotencyCounter}-${Date.now()}`;
+
+/** Build the payment a wallet would make for a request, and sign it. */
+async function walletPayment(stellarService, donor, paymentRequest, overrides = {}) {
+  const built = await stellarService.buildUnsignedPayment(
+    donor,
+    overrides.destination || paymentRequest.destination,
+    overrides.amount || paymentRequest.amount || '5',
+    { memo: overrides.memo === undefined ? paymentRequest.memo : overrides.memo }
+  );
+  const envelope = JSON.parse(Buffer.from(built.xdr, 'base64').toString('utf8'));
+  if (overrides.operationSource) envelope.operations[0].source = overrides.operationSource;
+  if (overrides.unsigned !== true) envelope.signatures.push('donor');
+  return Buffer.from(JSON.stringify(envelope)).toString('base64');
+}
+
+describe('SEP-7 URIs', () => {
+  const destination = StellarSdk.Keypair.random().publicKey();
+
+  test('builds a pay URI with the callback and a text memo', () => {
+    const uri = buildPayUri({
+      destination,
+      amount: '10.0000000',
+      memo: 'pr-abc',
+      callback: 'https://api.example.org/api/v1/payment-requests/1/callback',
+      msg: 'Thank you!',
+      networkPassphrase: StellarSdk.Networks.TESTNET,
+    });
+
+    expect(uri.startsWith('web+stellar:pay?destination=')).toBe(true);
+    expect(parsePayUri(uri)).toEqual({
+      destination,
+      amount: '10.0000000',
+      memo: 'pr-abc',
+      memo_type: 'MEMO_TEXT',
+      callback: 'url:https://api.example.org/api/v1/payment-requests/1/callback',
+      msg: 'Thank you!',
+      network_passphrase: StellarSdk.Networks.TESTNET,
+    });
+  });
+
+  test('adds asset_code and asset_issuer for non-native assets only', () => {
+    const issuer = StellarSdk.Keypair.random().publicKey();
+    const credit = parsePayUri(buildPayUri({ destination, asset: { type: 'credit_alphanum4', code: 'USDC', issuer } }));
+    const native = parsePayUri(buildPayUri({ destination, asset: { type: 'native', code: 'XLM', issuer: null } }));
+
+    expect(credit).toMatchObject({ asset_code: 'USDC', asset_issuer: issuer });
+    expect(native.asset_code).toBeUndefined();
+  });
+
+  test('signs the URI so it verifies against the signing public key', () => {
+    const keypair = StellarSdk.Keypair.random();
+    const signed = signUri(buildPayUri({ destination, originDomain: 'donate.example.org' }), keypair.secret());
+
+    expect(parsePayUri(signed).signature).toEqual(expect.any(String));
+    expect(verifyUriSignature(signed, keypair.publicKey())).toBe(true);
+    expect(verifyUriSignature(signed, StellarSdk.Keypair.random().publicKey())).toBe(false);
+    expect(verifyUriSignature(signed.replace('donate.example.org', 'evil.example.org'), keypair.publicKey())).toBe(false);
+  });
+});
+
+describe('Payment requests', () => {
+  let stellarService;
+  let donor;
+  let recipient;
+  const signingKey = StellarSdk.Keypair.random();
+
+  beforeAll(async () => {
+    process.env.SERVICE_SECRET_KEY = signingKey.secret();
+    process.env.FEDERATION_DOMAIN = 'donate.example.org';
+    process.env.API_BASE_URL = 'https://api.example.org';
+    stellarService = getStellarService();
+    donor = (await stellarService.createWallet()).publicKey;
+    recipient = (await stellarService.createWallet()).publicKey;
+  });
+
+  afterAll(() => {
+    delete process.env.SERVICE_SECRET_KEY;
+    delete process.env.FEDERATION_DOMAIN;
+    delete process.env.API_BASE_URL;
+    Transaction._clearAllData();
+  });
+
+  const createRequest = (body = {}) => request(app)
+    .post('/payment-requests')
+    .set('X-API-Key', 'test-key-1')
+    .set('X-Idempotency-Key', nextKey())
+    .send({ destination: recipient, amount: 7.5, message: 'Support our work', ...body });
+
+  test('creates a signed URI pointing at the callback', async () => {
+    const res = await createRequest();
+
+    expect(res.status).toBe(201);
+    const data = res.body.data;
+    expect(data).toMatchObject({ status: 'open', amount: '7.5000000', reusable: false, donationCount: 0 });
+    expect(data.memo).toMatch(/^pr-[0-9a-f]{10}$/);
+
+    const params = parsePayUri(data.uri);
+    expect(params).toMatchObject({
+      destination: recipient,
+      amount: '7.5000000',
+      memo: data.memo,
+      memo_type: 'MEMO_TEXT',
+      callback: `url:https://api.example.org/api/v1/payment-requests/${data.id}/callback`,
+      msg: 'Support our work',
+      origin_domain: 'donate.example.org',
+    });
+    expect(verifyUriSignature(data.uri, signingKey.publicKey())).toBe(true);
+  });
+
+  test('rejects an invalid destination', async () => {
+    const res = await createRequest({ destination: 'not-a-key' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('renders the URI as PNG and SVG QR codes', async () => {
+    const { body } = await createRequest();
+
+    const png = await request(app).get(`/payment-requests/${body.data.id}/qr`);
+    expect(png.status).toBe(200);
+    expect(png.headers['content-type']).toBe('image/png');
+    expect(png.body.subarray(1, 4).toString()).toBe('PNG');
+
+    const svg = await request(app).get(`/payment-requests/${body.data.id}/qr?format=svg`).buffer(true);
+    expect(svg.status).toBe(200);
+    expect(svg.headers['content-type']).toContain('image/svg+xml');
+    expect(svg.body.toString()).toContain('<svg');
+
+    const bad = await request(app).get(`/payment-requests/${body.data.id}/qr?format=gif`);
+    expect(bad.status).toBe(400);
+  });
+
+  describe('callback', () => {
+    test('creates the donation from a matching signed payment and completes the request', async () => {
+      const { body } = await createRequest();
+      const xdr = await walletPayment(stellarService, donor, body.data);
+
+      const res = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .type('form')
+        .send({ xdr });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ paymentRequestId: body.data.id, status: 'confirmed', duplicate: false });
+
+      const donation = Transaction.getById(res.body.data.donationId);
+      expect(donation).toMatchObject({
+        donor,
+        recipient,
+        amount: 7.5,
+        memo: body.data.memo,
+        paymentMethod: 'sep7',
+        paymentRequestId: body.data.id,
+      });
+
+      const stored = await request(app).get(`/payment-requests/${body.data.id}`).set('X-API-Key', 'test-key-1');
+      expect(stored.body.data).toMatchObject({ status: 'completed', donationCount: 1, lastDonationId: donation.id });
+    });
+
+    test('refuses a payment above the KYC threshold until the donor is accepted', async () => {
+      process.env.KYC_THRESHOLDS = '{"XLM": {"default": 5}}';
+      try {
+        const { body } = await createRequest();
+        const submit = jest.spyOn(stellarService, 'submitSignedTransaction');
+
+        const res = await request(app)
+          .post(`/payment-requests/${body.data.id}/callback`)
+          .send({ xdr: await walletPayment(stellarService, donor, body.data) });
+
+        expect(res.status).toBe(422);
+        expect(res.body.error.code).toBe('KYC_REQUIRED');
+        expect(submit).not.toHaveBeenCalled();
+        const stored = await request(app).get(`/payment-requests/${body.data.id}`).set('X-API-Key', 'test-key-1');
+        expect(stored.body.data.status).toBe('open');
+      } finally {
+        delete process.env.KYC_THRESHOLDS;
+        jest.restoreAllMocks();
+      }
+    });
+
+    test('returns the existing donation when the same payment is posted again', async () => {
+      const { body } = await createRequest();
+      const xdr = await walletPayment(stellarService, donor, body.data);
+      const first = await request(app).post(`/payment-requests/${body.data.id}/callback`).send({ xdr });
+
+      const again = await request(app).post(`/payment-requests/${body.data.id}/callback`).send({ xdr });
+
+      expect(again.status).toBe(200);
+      expect(again.body.data).toMatchObject({ donationId: first.body.data.donationId, duplicate: true });
+    });
+
+    test('submits only one of two payments posted at the same time for a one-off request', async () => {
+      const { body } = await createRequest();
+      const original = stellarService.submitSignedTransaction.bind(stellarService);
+      const submit = jest.spyOn(stellarService, 'submitSignedTransaction');
+      let release;
+      let submitting;
+      const started = new Promise((resolve) => { submitting = resolve; });
+      submit.mockImplementationOnce(async (xdr) => {
+        submitting();
+        await new Promise((resolve) => { release = resolve; });
+        return original(xdr);
+      });
+
+      const first = request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data) })
+        .then((res) => res);
+      await started;
+
+      const second = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data, { amount: '7.5000000' }) });
+      expect(second.status).toBe(409);
+      expect(second.body.error.code).toBe('SUBMISSION_IN_PROGRESS');
+
+      release();
+      expect((await first).status).toBe(201);
+      expect(submit).toHaveBeenCalledTimes(1);
+      submit.mockRestore();
+    });
+
+    test('refuses a second payment on a completed one-off request', async () => {
+      const { body } = await createRequest();
+      await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data) })
+        .expect(201);
+
+      const res = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data, { amount: '7.5000000' }) });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('PAYMENT_REQUEST_CLOSED');
+    });
+
+    test.each([
+      ['amount', { amount: '1' }],
+      ['memo', { memo: 'something-else' }],
+    ['operation source', { operationSource: StellarSdk.Keypair.random().publicKey() }],
+    ])('rejects a payment whose %s does not match the request', async (field, overrides) => {
+      const { body } = await createRequest();
+
+      const res = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data, overrides) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INTENT_MISMATCH');
+      expect(res.body.error.message).toContain(field);
+    });
+
+    test('rejects a payment to another destination', async () => {
+      const { body } = await createRequest();
+      const other = (await stellarService.createWallet()).publicKey;
+
+      const res = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data, { destination: other }) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INTENT_MISMATCH');
+    });
+
+    test('rejects an unsigned transaction', async () => {
+      const { body } = await createRequest();
+
+      const res = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data, { unsigned: true }) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('TRANSACTION_NOT_SIGNED');
+    });
+
+    test('expires a request past its expiry', async () => {
+      const { body } = await createRequest();
+      await Database.run('UPDATE payment_requests SET expiresAt = ? WHERE id = ?', [
+        new Date(Date.now() - 1000).toISOString(),
+        body.data.id,
+      ]);
+
+      const res = await request(app)
+        .post(`/payment-requests/${body.data.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, body.data) });
+
+      expect(res.status).toBe(422);
+      expect(res.body.error.code).toBe('PAYMENT_REQUEST_EXPIRED');
+    });
+
+    test('returns 404 for an unknown request', async () => {
+      const res = await request(app).post('/payment-requests/unknown/callback').send({ xdr: 'AAAA' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('campaign payment requests', () => {
+    let campaignId;
+
+    let creatorId;
+
+    beforeAll(async () => {
+      ({ id: creatorId } = await Database.run('INSERT INTO users (publicKey) VALUES (?)', [recipient]));
+      const result = await Database.run(
+        "INSERT INTO campaigns (name, goal_amount, current_amount, status, created_by) VALUES ('Clean Water', 1000, 0, 'active', ?)",
+        [creatorId]
+      );
+      campaignId = result.id;
+    });
+
+    test('accepts any amount, stays open and credits the campaign', async () => {
+      const res = await request(app)
+        .post(`/campaigns/${campaignId}/payment-requests`)
+        .set('X-API-Key', 'test-key-1')
+        .send({ destination: recipient });
+
+      expect(res.status).toBe(201);
+      const paymentRequest = res.body.data;
+      expect(paymentRequest).toMatchObject({ campaignId, reusable: true, amount: null, expiresAt: null });
+      expect(parsePayUri(paymentRequest.uri)).toMatchObject({ msg: 'Donation to Clean Water' });
+      expect(parsePayUri(paymentRequest.uri).amount).toBeUndefined();
+
+      for (const amount of ['3', '4.5']) {
+        await request(app)
+          .post(`/payment-requests/${paymentRequest.id}/callback`)
+          .send({ xdr: await walletPayment(stellarService, donor, paymentRequest, { amount }) })
+          .expect(201);
+      }
+
+      const stored = await Database.get('SELECT status, donationCount FROM payment_requests WHERE id = ?', [paymentRequest.id]);
+      expect(stored).toEqual({ status: 'open', donationCount: 2 });
+
+      const campaign = await Database.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaignId]);
+      expect(campaign.current_amount).toBeCloseTo(7.5);
+    });
+
+    test('pays the campaign creator\'s wallet and rejects any other destination', async () => {
+      const derived = await request(app)
+        .post(`/campaigns/${campaignId}/payment-requests`)
+        .set('X-API-Key', 'test-key-1')
+        .send({});
+      expect(derived.status).toBe(201);
+      expect(derived.body.data.destination).toBe(recipient);
+
+      const other = await request(app)
+        .post(`/campaigns/${campaignId}/payment-requests`)
+        .set('X-API-Key', 'test-key-1')
+        .send({ destination: donor });
+      expect(other.status).toBe(400);
+      expect(other.body.error.code).toBe('DESTINATION_MISMATCH');
+    });
+
+    const liveCampaignRequest = async () => {
+      const { id } = await Database.run(
+        "INSERT INTO campaigns (name, goal_amount, current_amount, status, created_by) VALUES ('Library', 1000, 0, 'live', ?)",
+        [creatorId]
+      );
+      const res = await request(app)
+        .post(`/campaigns/${id}/payment-requests`)
+        .set('X-API-Key', 'test-key-1')
+        .send({ destination: recipient });
+      expect(res.status).toBe(201);
+      return { id, paymentRequest: res.body.data };
+    };
+
+    test('refuses a callback once the campaign is no longer live', async () => {
+      const { id, paymentRequest } = await liveCampaignRequest();
+      await Database.run("UPDATE campaigns SET status = 'paused' WHERE id = ?", [id]);
+      const submit = jest.spyOn(stellarService, 'submitSignedTransaction');
+
+      const res = await request(app)
+        .post(`/payment-requests/${paymentRequest.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, paymentRequest, { amount: '2' }) });
+
+      expect(res.status).toBe(422);
+      expect(res.body.error.code).toBe('CAMPAIGN_NOT_ACTIVE');
+      expect(submit).not.toHaveBeenCalled();
+      submit.mockRestore();
+
+      const created = await request(app)
+        .post(`/campaigns/${id}/payment-requests`)
+        .set('X-API-Key', 'test-key-1')
+        .send({ destination: recipient });
+      expect(created.status).toBe(422);
+      expect(created.body.error.code).toBe('CAMPAIGN_NOT_ACTIVE');
+    });
+
+    test('expires the campaign\'s open requests when it closes, but not when it pauses', async () => {
+      const { id, paymentRequest } = await liveCampaignRequest();
+      const statusOf = async () =>
+        (await Database.get('SELECT status FROM payment_requests WHERE id = ?', [paymentRequest.id])).status;
+
+      const paused = await request(app)
+        .post(`/campaigns/${id}/status`)
+        .set('X-API-Key', 'test-key-1')
+        .send({ status: 'paused' });
+      expect(paused.status).toBe(200);
+      expect(await statusOf()).toBe('open');
+
+      const closed = await request(app)
+        .post(`/campaigns/${id}/status`)
+        .set('X-API-Key', 'test-key-1')
+        .send({ status: 'closed' });
+      expect(closed.status).toBe(200);
+      expect(await statusOf()).toBe('expired');
+
+      const res = await request(app)
+        .post(`/payment-requests/${paymentRequest.id}/callback`)
+        .send({ xdr: await walletPayment(stellarService, donor, paymentRequest, { amount: '2' }) });
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('PAYMENT_REQUEST_CLOSED');
+    });
+
+    test('returns 404 for an unknown campaign', async () => {
+      const res = await request(app)
+        .post('/campaigns/999999/payment-requests')
+        .set('X-API-Key', 'test-key-1')
+        .send({ destination: recipient });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,381 @@
+/**
+ * GraphQL Fundraising Types Tests
+ *
+ * Covers:
+ *  - Campaign, milestone, pledge, recurring schedule, dispute, matching program
+ *    and webhook queries/mutations
+ *  - RBAC parity with the REST routes (admin-only, stream:* and donations:* fields)
+ *  - Service errors mapped to GraphQL error codes
+ *  - Missing services reported as INTERNAL_ERROR
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+const { buildSchema } = require('../../src/graphql/schema');
+const pubsub = require('../../src/graphql/pubsub');
+const { graphql } = require('graphql');
+const { createLoaders } = require('../../src/graphql/loaders');
+const { NotFoundError, ConflictError } = require('../../src/utils/errors');
+
+// ─── Service stubs ────────────────────────────────────────────────────────────
+
+const campaignRow = {
+  id: 1,
+  name: 'Clean Water',
+  description: 'Wells',
+  goal_amount: 1000,
+  current_amount: 250,
+  status: 'active',
+  funding_model: 'all-or-nothing',
+  recipient_public_key: 'GRECIPIENT',
+  end_date: '2030-01-01T00:00:00.000Z',
+};
+
+const milestoneRows = [
+  { id: 10, campaign_id: 1, title: 'First well', target_amount: 200, status: 'pending', reached: true },
+  { id: 11, campaign_id: 1, title: 'Second well', target_amount: 800, status: 'pending', reached: false },
+];
+
+const pledgeRow = {
+  id: 'p-1',
+  campaign_id: 1,
+  donor_wallet_id: 'GDONOR',
+  amount: 100000000,
+  status: 'pending',
+  expires_at: '2030-01-01T00:00:00.000Z',
+};
+
+const scheduleRow = {
+  id: 5,
+  donorPublicKey: 'GDONOR',
+  recipientPublicKey: 'GRECIPIENT',
+  amount: 2,
+  frequency: 'weekly',
+  status: 'active',
+  executionCount: 1,
+};
+
+const disputeRow = { id: 3, donationId: 7, reason: 'Wrong amount', status: 'open' };
+
+const campaignService = {
+  listCampaigns: jest.fn(async () => [campaignRow]),
+  getCampaign: jest.fn(async (id) => {
+    if (id !== 1) throw new NotFoundError('Campaign not found');
+    return campaignRow;
+  }),
+  createCampaign: jest.fn(async (input) => ({ ...campaignRow, id: 2, name: input.name, milestones: [] })),
+  updateCampaign: jest.fn(async (id, input) => ({ ...campaignRow, id, ...input })),
+  closeCampaign: jest.fn(async () => ({ campaign: { ...campaignRow, status: 'closed' }, milestonesTriggered: 1 })),
+  pledge: jest.fn(async (campaignId, donorId, amount) => ({ pledgeId: 9, campaignId, donorId, amount, status: 'held', stellarTxHash: 'tx' })),
+  settle: jest.fn(async (campaignId) => ({ outcome: 'refunded', campaignId, totalAmount: 0, count: 0 })),
+};
+
+const pledgeService = {
+  listPledges: jest.fn(async () => [pledgeRow]),
+  getPledge: jest.fn(async () => pledgeRow),
+  fulfill: jest.fn(async () => ({ ...pledgeRow, status: 'fulfilled' })),
+  cancel: jest.fn(async () => {
+    throw new ConflictError('Pledge cannot be cancelled', 'INVALID_STATE');
+  }),
+};
+
+const recurringService = {
+  listSchedules: jest.fn(async () => [scheduleRow]),
+  getSchedule: jest.fn(async () => scheduleRow),
+  getExecutions: jest.fn(async () => [{ id: 1, scheduleId: 5, status: 'SUCCESS', transactionHash: 'h1' }]),
+  createSchedule: jest.fn(async (input) => ({ ...scheduleRow, ...input, id: 6 })),
+  cancelSchedule: jest.fn(async () => ({ ...scheduleRow, status: 'cancelled' })),
+};
+
+const disputeService = {
+  list: jest.fn(async () => [disputeRow]),
+  getById: jest.fn(async () => disputeRow),
+  open: jest.fn(async ({ donationId, reason }) => ({ ...disputeRow, donationId, reason })),
+  updateStatus: jest.fn(async (id, { status }) => ({ ...disputeRow, id, status })),
+};
+
+const matchingProgramService = {
+  getAll: jest.fn(async () => [{ id: 1, sponsor_wallet_id: 'GSPONSOR', match_ratio: 1, max_match_amount: 500, remaining_match_amount: 400, status: 'active' }]),
+  getById: jest.fn(),
+  create: jest.fn(async (p) => ({ id: 2, ...p, remaining_match_amount: p.max_match_amount, status: 'active' })),
+  updateStatus: jest.fn(),
+};
+
+const webhookService = {
+  list: jest.fn(async () => ({ items: [{ id: 1, url: 'https://example.com/hook', events: ['donation.created'], isActive: true }], meta: {} })),
+  register: jest.fn(async ({ url, events }) => ({ id: 2, url, events, secret: 'whsec', isActive: true })),
+  remove: jest.fn(async () => undefined),
+};
+
+const coreServices = {
+  donationService: {},
+  walletService: {},
+  statsService: {},
+  pubsub,
+};
+
+const schema = buildSchema({
+  ...coreServices,
+  campaignService,
+  pledgeService,
+  recurringService,
+  disputeService,
+  matchingProgramService,
+  webhookService,
+});
+
+const loaderSource = {
+  getUsersByIds: jest.fn(async (ids) => (ids.includes(2) ? [{ id: 2, publicKey: 'GDONOR' }] : [])),
+  getWalletsByAddresses: jest.fn(async () => []),
+  getCampaignsByIds: jest.fn(async (ids) => (ids.includes(1) ? [campaignRow] : [])),
+  getMilestonesByCampaignIds: jest.fn(async () => milestoneRows),
+  getDonationsBySenders: jest.fn(async () => []),
+};
+
+const guestContext = { apiKey: { role: 'guest' } };
+const userContext = { apiKey: { role: 'user', isLegacy: true } };
+const adminContext = { apiKey: { role: 'admin', id: 42 } };
+
+/**
+ * Execute a document against the schema under test.
+ * @param {string} source
+ * @param {object} [contextValue]
+ * @param {object} [variableValues]
+ */
+function run(source, contextValue = userContext, variableValues) {
+  return graphql({
+    schema,
+    source,
+    contextValue: { ...contextValue, loaders: createLoaders(loaderSource) },
+    variableValues,
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ─── Campaigns ────────────────────────────────────────────────────────────────
+
+describe('campaigns', () => {
+  test('lists campaigns with camelCased fields and progress', async () => {
+    const result = await run('{ campaigns { id name goalAmount currentAmount progressPercent fundingModel } }');
+    expect(result.errors).toBeUndefined();
+    expect(result.data.campaigns[0]).toEqual({
+      id: 1,
+      name: 'Clean Water',
+      goalAmount: 1000,
+      currentAmount: 250,
+      progressPercent: 25,
+      fundingModel: 'all-or-nothing',
+    });
+    expect(campaignService.listCampaigns).toHaveBeenCalledWith({ status: 'all', limit: 20, offset: 0 });
+  });
+
+  test('clamps the list limit to the maximum page size', async () => {
+    await run('{ campaigns(limit: 5000) { id } }');
+    expect(campaignService.listCampaigns).toHaveBeenCalledWith(expect.objectContaining({ limit: 100 }));
+  });
+
+  test('resolves nested milestones', async () => {
+    const result = await run('{ campaign(id: 1) { name milestones { title targetAmount reached } } }');
+    expect(result.errors).toBeUndefined();
+    expect(result.data.campaign.milestones).toHaveLength(2);
+    expect(result.data.campaign.milestones[0]).toEqual({ title: 'First well', targetAmount: 200, reached: true });
+    expect(loaderSource.getMilestonesByCampaignIds).toHaveBeenCalledWith([1]);
+  });
+
+  test('maps NotFoundError to a NOT_FOUND error code', async () => {
+    const result = await run('{ campaign(id: 404) { id } }');
+    expect(result.errors[0].extensions.code).toBe('NOT_FOUND');
+    expect(result.errors[0].extensions.status).toBe(404);
+  });
+
+  test('requires an authenticated key', async () => {
+    const result = await run('{ campaigns { id } }', {});
+    expect(result.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+  });
+
+  test('createCampaign is admin only', async () => {
+    const mutation = `mutation {
+      createCampaign(input: { name: "New", goal: 100, deadline: "2030-01-01", recipientPublicKey: "GR" }) { id name }
+    }`;
+    const denied = await run(mutation, userContext);
+    expect(denied.errors[0].extensions.code).toBe('FORBIDDEN');
+    expect(campaignService.createCampaign).not.toHaveBeenCalled();
+
+    const result = await run(mutation, adminContext);
+    expect(result.errors).toBeUndefined();
+    expect(result.data.createCampaign).toEqual({ id: 2, name: 'New' });
+    expect(campaignService.createCampaign).toHaveBeenCalledWith(expect.objectContaining({ createdBy: 42, milestones: [] }));
+  });
+
+  test('pledgeToCampaign rejects non-positive amounts before calling the service', async () => {
+    const result = await run('mutation { pledgeToCampaign(campaignId: 1, donorId: 2, amount: 0) { pledgeId } }');
+    expect(result.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    expect(campaignService.pledge).not.toHaveBeenCalled();
+  });
+
+  test('pledgeToCampaign escrows a pledge', async () => {
+    const donorContext = { apiKey: { role: 'user', publicKey: 'GDONOR' } };
+    const result = await run('mutation { pledgeToCampaign(campaignId: 1, donorId: 2, amount: 15) { pledgeId amount status } }', donorContext);
+    expect(result.errors).toBeUndefined();
+    expect(result.data.pledgeToCampaign).toEqual({ pledgeId: 9, amount: 15, status: 'held' });
+  });
+
+  test('pledgeToCampaign only lets the donor\'s own key or an admin pledge', async () => {
+    const mutation = 'mutation { pledgeToCampaign(campaignId: 1, donorId: 2, amount: 15) { pledgeId } }';
+    const otherWallet = await run(mutation, { apiKey: { role: 'user', publicKey: 'GOTHER' } });
+    expect(otherWallet.errors[0].extensions.code).toBe('FORBIDDEN');
+    const noWallet = await run(mutation, userContext);
+    expect(noWallet.errors[0].extensions.code).toBe('FORBIDDEN');
+    expect(campaignService.pledge).not.toHaveBeenCalled();
+
+    const result = await run(mutation, adminContext);
+    expect(result.errors).toBeUndefined();
+    expect(campaignService.pledge).toHaveBeenCalledWith(1, 2, 15);
+  });
+
+  test('settleCampaign is admin only', async () => {
+    const denied = await run('mutation { settleCampaign(campaignId: 1) { outcome } }');
+    expect(denied.errors[0].extensions.code).toBe('FORBIDDEN');
+
+    const result = await run('mutation { settleCampaign(campaignId: 1) { outcome } }', adminContext);
+    expect(result.data.settleCampaign.outcome).toBe('refunded');
+  });
+});
+
+// ─── Pledges ──────────────────────────────────────────────────────────────────
+
+describe('pledges', () => {
+  test('are admin only', async () => {
+    const result = await run('{ pledges { id } }');
+    expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+  });
+
+  test('expose the stored stroop amount as a string', async () => {
+    const result = await run('{ pledges(campaignId: 1) { id amountStroops status } }', adminContext);
+    expect(result.errors).toBeUndefined();
+    expect(result.data.pledges).toEqual([{ id: 'p-1', amountStroops: '100000000', status: 'pending' }]);
+    expect(pledgeService.listPledges).toHaveBeenCalledWith({ campaignId: 1, status: undefined });
+  });
+
+  test('fulfillPledge returns the updated pledge', async () => {
+    const result = await run('mutation { fulfillPledge(id: "p-1") { status } }', adminContext);
+    expect(result.data.fulfillPledge.status).toBe('fulfilled');
+  });
+
+  test('cancelPledge surfaces the service error code', async () => {
+    const result = await run('mutation { cancelPledge(id: "p-1", reason: "dup") { status } }', adminContext);
+    expect(result.errors[0].extensions.code).toBe('INVALID_STATE');
+    expect(result.errors[0].extensions.status).toBe(409);
+  });
+});
+
+// ─── Recurring schedules ──────────────────────────────────────────────────────
+
+describe('recurring schedules', () => {
+  test('guest keys lack stream:read', async () => {
+    const result = await run('{ recurringSchedules { id } }', guestContext);
+    expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+  });
+
+  test('lists schedules with executions', async () => {
+    const result = await run('{ recurringSchedules { id frequency executions(limit: 5) { status transactionHash } } }');
+    expect(result.errors).toBeUndefined();
+    expect(result.data.recurringSchedules[0].executions).toEqual([{ status: 'SUCCESS', transactionHash: 'h1' }]);
+    expect(recurringService.getExecutions).toHaveBeenCalledWith(5, 5);
+  });
+
+  test('creates and cancels a schedule', async () => {
+    const created = await run(`mutation {
+      createRecurringSchedule(input: { donorPublicKey: "GDONOR", recipientPublicKey: "GRECIPIENT", amount: 3, frequency: "monthly" }) { id frequency }
+    }`);
+    expect(created.errors).toBeUndefined();
+    expect(created.data.createRecurringSchedule).toEqual({ id: 6, frequency: 'monthly' });
+
+    const cancelled = await run('mutation { cancelRecurringSchedule(id: 5) { status } }');
+    expect(cancelled.data.cancelRecurringSchedule.status).toBe('cancelled');
+  });
+});
+
+// ─── Disputes ─────────────────────────────────────────────────────────────────
+
+describe('disputes', () => {
+  test('listing is admin only', async () => {
+    const denied = await run('{ disputes { id } }');
+    expect(denied.errors[0].extensions.code).toBe('FORBIDDEN');
+
+    const result = await run('{ disputes(status: "open") { id status } }', adminContext);
+    expect(result.data.disputes).toEqual([{ id: 3, status: 'open' }]);
+    expect(disputeService.list).toHaveBeenCalledWith({ status: 'open', limit: 20, offset: 0 });
+  });
+
+  test('openDispute passes the caller API key for the recipient check', async () => {
+    const result = await run('mutation { openDispute(donationId: 7, reason: "Wrong amount") { donationId status } }');
+    expect(result.errors).toBeUndefined();
+    expect(disputeService.open).toHaveBeenCalledWith(expect.objectContaining({
+      donationId: 7,
+      apiKey: userContext.apiKey,
+    }));
+  });
+
+  test('resolveDispute is admin only', async () => {
+    const denied = await run('mutation { resolveDispute(id: 3, status: "under_review") { status } }');
+    expect(denied.errors[0].extensions.code).toBe('FORBIDDEN');
+
+    const result = await run('mutation { resolveDispute(id: 3, status: "under_review") { status } }', adminContext);
+    expect(result.data.resolveDispute.status).toBe('under_review');
+  });
+});
+
+// ─── Matching programs & webhooks ─────────────────────────────────────────────
+
+describe('matching programs', () => {
+  test('are admin only and map snake_case columns', async () => {
+    const denied = await run('{ matchingPrograms { id } }');
+    expect(denied.errors[0].extensions.code).toBe('FORBIDDEN');
+
+    const result = await run('{ matchingPrograms { sponsorWalletId matchRatio remainingMatchAmount } }', adminContext);
+    expect(result.data.matchingPrograms).toEqual([{ sponsorWalletId: 'GSPONSOR', matchRatio: 1, remainingMatchAmount: 400 }]);
+  });
+
+  test('createMatchingProgram translates input to service params', async () => {
+    const result = await run(`mutation {
+      createMatchingProgram(input: { sponsorWalletId: "GS", matchRatio: 0.5, maxMatchAmount: 100 }) { id maxMatchAmount }
+    }`, adminContext);
+    expect(result.errors).toBeUndefined();
+    expect(matchingProgramService.create).toHaveBeenCalledWith({
+      sponsor_wallet_id: 'GS',
+      match_ratio: 0.5,
+      max_match_amount: 100,
+      campaign_id: undefined,
+    });
+  });
+});
+
+describe('webhooks', () => {
+  test('lists, registers and removes webhooks for any authenticated key', async () => {
+    const listed = await run('{ webhooks { id url events } }');
+    expect(listed.data.webhooks[0].events).toEqual(['donation.created']);
+
+    const registered = await run('mutation { registerWebhook(url: "https://example.com/h", events: ["donation.created"]) { id secret } }');
+    expect(registered.data.registerWebhook).toEqual({ id: 2, secret: 'whsec' });
+
+    const removed = await run('mutation { removeWebhook(id: 2) }');
+    expect(removed.data.removeWebhook).toBe(true);
+  });
+});
+
+// ─── Missing services ─────────────────────────────────────────────────────────
+
+describe('schema without fundraising services', () => {
+  test('reports INTERNAL_ERROR when an unconfigured service is queried', async () => {
+    const coreOnly = buildSchema(coreServices);
+    const result = await graphql({ schema: coreOnly, source: '{ disputes { id } }', contextValue: adminContext });
+    expect(result.errors[0].extensions.code).toBe('INTERNAL_ERROR');
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * GraphQL Loaders and Query Cost Tests
+ *
+ * Covers:
+ *  - BatchLoader coalescing, caching, chunking and error eviction
+ *  - Nested resolvers issuing one batch call per level instead of one per row
+ *  - Static complexity analysis (list multipliers, variables, fragments)
+ *  - QUERY_TOO_COMPLEX rejection against per-tier budgets
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+const { graphql, parse, validate, specifiedRules } = require('graphql');
+const { buildSchema } = require('../../src/graphql/schema');
+const pubsub = require('../../src/graphql/pubsub');
+const { BatchLoader, createLoaders } = require('../../src/graphql/loaders');
+const {
+  analyzeQuery,
+  getApiKeyTier,
+  getCostBudget,
+  checkQueryCost,
+  createQueryCostRule,
+} = require('../../src/graphql/queryCost');
+
+// ─── Fixtures ─────────────────────────────────────────────────────────────────
+
+const donations = Array.from({ length: 10 }, (_, i) => ({
+  id: i + 1,
+  senderId: (i % 3) + 1,
+  receiverId: 9,
+  donor: `GSENDER${(i % 3) + 1}`,
+  recipient: 'GRECIPIENT',
+  amount: 1,
+  campaign_id: i % 2 === 0 ? 1 : null,
+  timestamp: new Date(2026, 0, i + 1).toISOString(),
+}));
+
+const source = {
+  getUsersByIds: jest.fn(async (ids) => ids.map((id) => ({ id, publicKey: id === 9 ? 'GRECIPIENT' : `GSENDER${id}` }))),
+  getWalletsByAddresses: jest.fn(async (addresses) => addresses.map((address) => ({ address, label: address }))),
+  getCampaignsByIds: jest.fn(async (ids) => ids.map((id) => ({ id, name: `Campaign ${id}`, goal_amount: 100, current_amount: 50 }))),
+  getMilestonesByCampaignIds: jest.fn(async (ids) => ids.map((id) => ({ id: 100 + id, campaign_id: id, target_amount: 10 }))),
+  getDonationsBySenders: jest.fn(async (addresses) => donations.filter((d) => addresses.includes(d.donor))),
+};
+
+const schema = buildSchema({
+  donationService: { getAllDonations: jest.fn(async () => donations) },
+  walletService: {},
+  statsService: {},
+  pubsub,
+});
+
+/**
+ * Execute a document with a fresh set of loaders, as the /graphql handler does.
+ * @param {string} query
+ */
+function run(query) {
+  return graphql({
+    schema,
+    source: query,
+    contextValue: { apiKey: { role: 'user', isLegacy: true }, loaders: createLoaders(source) },
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.GRAPHQL_MAX_COST_FREE;
+});
+
+// ─── BatchLoader ──────────────────────────────────────────────────────────────
+
+describe('BatchLoader', () => {
+  test('coalesces loads from the same tick into one batch of unique keys', async () => {
+    const batchFn = jest.fn(async (keys) => keys.map((k) => k * 2));
+    const loader = new BatchLoader(batchFn);
+
+    const results = await Promise.all([loader.load(1), loader.load(2), loader.load(1), loader.load(3)]);
+
+    expect(results).toEqual([2, 4, 2, 6]);
+    expect(batchFn).toHaveBeenCalledTimes(1);
+    expect(batchFn).toHaveBeenCalledWith([1, 2, 3]);
+  });
+
+  test('serves repeated keys from cache in later ticks', async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn);
+
+    await loader.load('a');
+    await loader.load('a');
+
+    expect(batchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves null keys without calling the batch function', async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn);
+
+    await expect(loader.load(null)).resolves.toBeNull();
+    expect(batchFn).not.toHaveBeenCalled();
+  });
+
+  test('splits large batches by maxBatchSize', async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn, { maxBatchSize: 2 });
+
+    await loader.loadMany([1, 2, 3, 4, 5]);
+
+    expect(batchFn.mock.calls.map(([keys]) => keys)).toEqual([[1, 2], [3, 4], [5]]);
+  });
+
+  test('rejects and evicts keys when the batch fails', async () => {
+    const batchFn = jest.fn()
+      .mockRejectedValueOnce(new Error('db down'))
+      .mockResolvedValueOnce(['ok']);
+    const loader = new BatchLoader(batchFn);
+
+    await expect(loader.load('k')).rejects.toThrow('db down');
+    await expect(loader.load('k')).resolves.toBe('ok');
+    expect(batchFn).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ─── Nested resolution ────────────────────────────────────────────────────────
+
+describe('nested resolvers', () => {
+  test('resolve related users, wallets and campaigns with one batch call each', async () => {
+    const result = await run(`{
+      donations(limit: 10) {
+        id
+        sender { publicKey }
+        recipient { publicKey }
+        senderWallet { address }
+        campaign { name milestones { id } }
+      }
+    }`);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.donations).toHaveLength(10);
+    expect(result.data.donations[0].sender.publicKey).toBe('GSENDER1');
+    expect(result.data.donations[0].campaign.name).toBe('Campaign 1');
+    expect(result.data.donations[1].campaign).toBeNull();
+
+    expect(source.getUsersByIds).toHaveBeenCalledTimes(1);
+    expect(source.getUsersByIds.mock.calls[0][0].sort()).toEqual([1, 2, 3, 9]);
+    expect(source.getWalletsByAddresses).toHaveBeenCalledTimes(1);
+    expect(source.getCampaignsByIds).toHaveBeenCalledTimes(1);
+    expect(source.getCampaignsByIds).toHaveBeenCalledWith([1]);
+    expect(source.getMilestonesByCampaignIds).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves wallet → recentDonations with one batch call per level', async () => {
+    const result = await run(`{
+      donations(limit: 10) {
+        senderWallet { address recentDonations(limit: 2) { id } }
+      }
+    }`);
+
+    expect(result.errors).toBeUndefined();
+    const recent = result.data.donations[0].senderWallet.recentDonations;
+    expect(recent).toHaveLength(2);
+    expect(source.getWalletsByAddresses).toHaveBeenCalledTimes(1);
+    expect(source.getDonationsBySenders).toHaveBeenCalledTimes(1);
+    expect(source.getDonationsBySenders.mock.calls[0][0].sort()).toEqual(['GSENDER1', 'GSENDER2', 'GSENDER3']);
+  });
+});
+
+// ─── Complexity analysis ──────────────────────────────────────────────────────
+
+describe('analyzeQuery', () => {
+  test('counts scalar fields once and multiplies list children by the page size', () => {
+    expect(analyzeQuery(schema, parse('{ donations(limit: 10) { id amount } }')).complexity).toBe(1 + 10 * 2);
+  });
+
+  test('uses the argument default when no limit is given', () => {
+    expect(analyzeQuery(schema, parse('{ donations { id } }')).complexity).toBe(1 + 20);
+  });
+
+  test('clamps the limit to the maximum page size', () => {
+    expect(analyzeQuery(schema, parse('{ donations(limit: 5000) { id } }')).complexity).toBe(1 + 100);
+  });
+
+  test('reads limits supplied as variables', () => {
+    const doc = parse('query Q($n: Int) { donations(limit: $n) { id } }');
+    expect(analyzeQuery(schema, doc, { variables: { n: 3 } }).complexity).toBe(1 + 3);
+  });
+
+  test('multiplies nested lists', () => {
+    const doc = parse('{ donations(limit: 10) { senderWallet { recentDonations(limit: 5) { id } } } }');
+    // donations(1) + 10 × (senderWallet(1) + recentDonations(1) + 5 × id(1))
+    expect(analyzeQuery(schema, doc).complexity).toBe(1 + 10 * (1 + 1 + 5));
+  });
+
+  test('resolves fragment spreads and ignores introspection fields', () => {
+    const doc = parse(`
+      { __typename donations(limit: 2) { ...D } }
+      fragment D on Donation { id amount }
+    `);
+    expect(analyzeQuery(schema, doc).complexity).toBe(1 + 2 * 2);
+  });
+
+  test('only counts the selected operation when operationName is given', () => {
+    const doc = parse('query Small { donations(limit: 1) { id } } query Big { donations(limit: 100) { id } }');
+    expect(analyzeQuery(schema, doc, { operationName: 'Small' }).complexity).toBe(2);
+    expect(analyzeQuery(schema, doc).complexity).toBe(101);
+  });
+});
+
+// ─── Tier budgets ─────────────────────────────────────────────────────────────
+
+describe('query cost budgets', () => {
+  const fanOut = parse('{ wallets(limit: 100) { recentDonations(limit: 100) { id } } }');
+
+  test('derives the tier from the API key, defaulting to free', () => {
+    expect(getApiKeyTier(null)).toBe('free');
+    expect(getApiKeyTier({ role: 'user', isLegacy: true })).toBe('free');
+    expect(getApiKeyTier({ role: 'user', tier: 'pro' })).toBe('pro');
+    expect(getApiKeyTier({ role: 'admin', tier: 'free' })).toBe('enterprise');
+  });
+
+  test('budgets increase with tier', () => {
+    expect(getCostBudget('free')).toBeLessThan(getCostBudget('basic'));
+    expect(getCostBudget('basic')).toBeLessThan(getCostBudget('pro'));
+    expect(getCostBudget('pro')).toBeLessThan(getCostBudget('enterprise'));
+  });
+
+  test('budgets can be overridden per tier via the environment', () => {
+    process.env.GRAPHQL_MAX_COST_FREE = '7';
+    expect(getCostBudget('free')).toBe(7);
+  });
+
+  test('rejects a fan-out query with QUERY_TOO_COMPLEX', () => {
+    const error = checkQueryCost(schema, fanOut, { apiKey: { role: 'user', tier: 'enterprise' } });
+    expect(error).not.toBeNull();
+    expect(error.extensions).toMatchObject({ code: 'QUERY_TOO_COMPLEX', tier: 'enterprise', budget: getCostBudget('enterprise') });
+    expect(error.extensions.complexity).toBe(1 + 100 * (1 + 100));
+  });
+
+  test('applies the caller tier budget to mid-sized queries', () => {
+    // 1 + 30 × (1 + 20) = 631: over the free budget, within basic
+    const doc = parse('{ wallets(limit: 30) { recentDonations { id } } }');
+    expect(checkQueryCost(schema, doc, { apiKey: { role: 'user', tier: 'free' } }).extensions.code).toBe('QUERY_TOO_COMPLEX');
+    expect(checkQueryCost(schema, doc, { apiKey: { role: 'user', tier: 'basic' } })).toBeNull();
+  });
+
+  test('validation rule reports the error through graphql.validate', () => {
+    const rule = createQueryCostRule({ apiKey: { role: 'user', tier: 'free' } });
+    const errors = validate(schema, fanOut, [...specifiedRules, rule]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+
+    expect(validate(schema, parse('{ donations { id } }'), [...specifiedRules, rule])).toHaveLength(0);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * GraphQL Persisted Queries Tests
+ *
+ * Covers:
+ *  - Registration by SHA-256 hash (validation, hash mismatch, idempotency)
+ *  - Listing and removal in SQLite
+ *  - Executing by hash over POST /graphql
+ *  - Allow-list mode: ad-hoc documents rejected for non-admin keys only
+ *  - Admin endpoints under /admin/graphql/persisted-queries
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+// Authenticate from a test header instead of real API keys
+jest.mock('../../src/middleware/apiKey', () =>
+  jest.fn((req, res, next) => {
+    req.apiKey = { id: 7, role: req.headers['x-test-role'] || 'user', tier: 'free' };
+    next();
+  })
+);
+
+jest.mock('../../src/middleware/rbac', () => {
+  const actual = jest.requireActual('../../src/middleware/rbac');
+  return {
+    ...actual,
+    requireAdmin: () => (req, res, next) => {
+      if (req.apiKey && req.apiKey.role === 'admin') return next();
+      return res.status(403).json({ success: false, error: { code: 'ACCESS_DENIED', message: 'Forbidden' } });
+    },
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const persistedQueries = require('../../src/graphql/persistedQueries');
+const { createGraphQLRouter, schema } = require('../../src/graphql/index');
+const adminRouter = require('../../src/routes/admin/graphqlPersistedQueries');
+
+const QUERY = '{ __typename }';
+const HASH = persistedQueries.hashQuery(QUERY);
+const AD_HOC = 'query AdHoc { __typename }';
+
+const app = express();
+app.use(express.json());
+app.use('/graphql', createGraphQLRouter());
+app.use('/admin/graphql/persisted-queries', adminRouter);
+app.use((err, req, res, _next) => {
+  res.status(err.statusCode || 500).json({ success: false, error: { code: err.errorCode || 'INTERNAL_ERROR', message: err.message } });
+});
+
+/**
+ * POST a GraphQL request body.
+ * @param {object} body
+ * @param {string} [role]
+ */
+function postGraphQL(body, role = 'user') {
+  return request(app).post('/graphql').set('x-test-role', role).send(body);
+}
+
+beforeEach(async () => {
+  delete process.env.GRAPHQL_PERSISTED_QUERIES_ONLY;
+  persistedQueries.clearCache();
+  await Database.run('DELETE FROM graphql_persisted_queries', []);
+});
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+
+describe('persistedQueries store', () => {
+  test('registers a document under its SHA-256 hex digest', async () => {
+    const { record, created } = await persistedQueries.register({ schema, query: QUERY, operationName: null, createdBy: 7 });
+    expect(created).toBe(true);
+    expect(record.hash).toBe(HASH);
+    expect(record.query).toBe(QUERY);
+    expect(record.createdBy).toBe('7');
+  });
+
+  test('re-registering identical text is idempotent', async () => {
+    await persistedQueries.register({ schema, query: QUERY });
+    const { created } = await persistedQueries.register({ schema, query: QUERY });
+    expect(created).toBe(false);
+    expect((await persistedQueries.list()).total).toBe(1);
+  });
+
+  test('rejects a hash that does not match the text', async () => {
+    await expect(persistedQueries.register({ schema, query: QUERY, hash: 'a'.repeat(64) }))
+      .rejects.toMatchObject({ errorCode: 'PERSISTED_QUERY_HASH_MISMATCH', statusCode: 400 });
+  });
+
+  test('rejects documents that do not validate against the schema', async () => {
+    await expect(persistedQueries.register({ schema, query: '{ noSuchField }' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(persistedQueries.register({ schema, query: '{ broken' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('removes documents and reports unknown hashes', async () => {
+    await persistedQueries.register({ schema, query: QUERY });
+    await persistedQueries.remove(HASH);
+    expect(await persistedQueries.getByHash(HASH)).toBeNull();
+    await expect(persistedQueries.remove(HASH)).rejects.toMatchObject({ errorCode: 'PERSISTED_QUERY_NOT_FOUND' });
+  });
+});
+
+// ─── Execution ────────────────────────────────────────────────────────────────
+
+describe('POST /graphql with persisted queries', () => {
+  const byHash = (hash) => ({ extensions: { persistedQuery: { version: 1, sha256Hash: hash } } });
+
+  test('executes a registered document by hash', async () => {
+    await persistedQueries.register({ schema, query: QUERY });
+    const res = await postGraphQL(byHash(HASH));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ __typename: 'Query' });
+  });
+
+  test('returns PERSISTED_QUERY_NOT_FOUND for an unknown hash', async () => {
+    const res = await postGraphQL(byHash('b'.repeat(64)));
+    expect(res.status).toBe(404);
+    expect(res.body.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_FOUND');
+  });
+
+  test('rejects a hash that does not match the supplied query', async () => {
+    const res = await postGraphQL({ query: AD_HOC, ...byHash(HASH) });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].extensions.code).toBe('PERSISTED_QUERY_HASH_MISMATCH');
+  });
+
+  test('accepts ad-hoc documents when allow-list mode is off', async () => {
+    const res = await postGraphQL({ query: AD_HOC });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ __typename: 'Query' });
+  });
+
+  describe('allow-list mode', () => {
+    beforeEach(() => {
+      process.env.GRAPHQL_PERSISTED_QUERIES_ONLY = 'true';
+    });
+
+    test('rejects ad-hoc documents from non-admin keys', async () => {
+      const res = await postGraphQL({ query: AD_HOC });
+      expect(res.status).toBe(403);
+      expect(res.body.errors[0].extensions.code).toBe('PERSISTED_QUERY_REQUIRED');
+    });
+
+    test('accepts registered documents by hash or by identical text', async () => {
+      await persistedQueries.register({ schema, query: QUERY });
+      expect((await postGraphQL(byHash(HASH))).body.data).toEqual({ __typename: 'Query' });
+      expect((await postGraphQL({ query: QUERY })).body.data).toEqual({ __typename: 'Query' });
+    });
+
+    test('lets admin keys run ad-hoc documents', async () => {
+      const res = await postGraphQL({ query: AD_HOC }, 'admin');
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ __typename: 'Query' });
+    });
+  });
+});
+
+// ─── Admin endpoints ──────────────────────────────────────────────────────────
+
+describe('/admin/graphql/persisted-queries', () => {
+  const admin = (req) => req.set('x-test-role', 'admin');
+
+  test('POST registers a document and returns 201, then 200 on repeat', async () => {
+    const first = await admin(request(app).post('/admin/graphql/persisted-queries')).send({ query: QUERY, hash: HASH });
+    expect(first.status).toBe(201);
+    expect(first.body.data.hash).toBe(HASH);
+
+    const second = await admin(request(app).post('/admin/graphql/persisted-queries')).send({ query: QUERY });
+    expect(second.status).toBe(200);
+  });
+
+  test('POST rejects an invalid document', async () => {
+    const res = await admin(request(app).post('/admin/graphql/persisted-queries')).send({ query: '{ noSuchField }' });
+    expect(res.status).toBe(400);
+  });
+
+  test('GET lists registered documents with the allow-list state', async () => {
+    await persistedQueries.register({ schema, query: QUERY });
+    const res = await admin(request(app).get('/admin/graphql/persisted-queries'));
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((r) => r.hash)).toEqual([HASH]);
+    expect(res.body.meta).toMatchObject({ total: 1, allowListEnabled: false });
+  });
+
+  test('GET /:hash and DELETE /:hash manage a single document', async () => {
+    await persistedQueries.register({ schema, query: QUERY });
+    expect((await admin(request(app).get(`/admin/graphql/persisted-queries/${HASH}`))).body.data.query).toBe(QUERY);
+    expect((await admin(request(app).delete(`/admin/graphql/persisted-queries/${HASH}`))).status).toBe(200);
+    expect((await admin(request(app).get(`/admin/graphql/persisted-queries/${HASH}`))).status).toBe(404);
+  });
+
+  test('non-admin keys are rejected', async () => {
+    const res = await request(app).post('/admin/graphql/persisted-queries').send({ query: QUERY });
+    expect(res.status).toBe(403);
+  });
+});
@@ -58,7 +58,13 @@ module.exports = async function createTestTables(Database) {
     is_orphan INTEGER NOT NULL DEFAULT 0,
     campaign_id INTEGER,
     validAfter INTEGER DEFAULT 0,
-    validBefore INTEGER DEFAULT 0
+    validBefore INTEGER DEFAULT 0,
+    originalAmount REAL,
+    originalCurrency TEXT,
+    rateXLMperUnit REAL,
+    rateSource TEXT,
+    rateTimestamp TEXT,
+    quoteId TEXT
   )`);
   await Database.run(`CREATE TABLE IF NOT EXISTS api_keys (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -175,7 +181,21 @@ module.exports = async function createTestTables(Database) {
     tenant_id TEXT NOT NULL DEFAULT 'default',
     notified_milestones TEXT DEFAULT '[]',
     last_milestone_notification DATETIME,
-    closed_at DATETIME
+    closed_at DATETIME,
+    submitted_at DATETIME,
+    approved_at DATETIME,
+    launched_at DATETIME,
+    archived_at DATETIME
+  )`);
+  // Campaign lifecycle transitions (migration 061)
+  await Database.run(`CREATE TABLE IF NOT EXISTS campaign_transitions (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    from_status TEXT,
+    to_status   TEXT NOT NULL,
+    actor       TEXT,
+    comment     TEXT,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
   await Database.run(`CREATE TABLE IF NOT EXISTS campaign_milestones (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -244,6 +264,488 @@ module.exports = async function createTestTables(Database) {
   try {
     await Database.run(`ALTER TABLE recurring_donations ADD COLUMN resumedAt DATETIME`);
   } catch (_) {}
+  // RRULE schedules (migration 044)
+  for (const column of ['recurrenceRule TEXT', 'recurrenceTimezone TEXT', 'recurrenceStart DATETIME']) {
+    try {
+      await Database.run(`ALTER TABLE recurring_donations ADD COLUMN ${column}`);
+    } catch (_) {}
+  }
+  // Pause-until, skipped occurrences and versioned schedule changes (migration 045)
+  try {
+    await Database.run(`ALTER TABLE recurring_donations ADD COLUMN pausedUntil DATETIME`);
+  } catch (_) {}
+  await Database.run(`CREATE TABLE IF NOT EXISTS recurring_donation_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scheduleId INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    transactionHash TEXT,
+    errorMessage TEXT,
+    attemptNumber INTEGER DEFAULT 1,
+    scheduledFor DATETIME,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    correlationId TEXT,
+    traceId TEXT
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS recurring_donation_changes (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    scheduleId  INTEGER NOT NULL,
+    version     INTEGER NOT NULL,
+    changeType  TEXT NOT NULL,
+    changes     TEXT NOT NULL,
+    changedBy   TEXT,
+    reason      TEXT,
+    createdAt   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (scheduleId, version)
+  )`);
+
+  // Dunning for failed recurring donations (migration 046)
+  for (const column of [
+    'lastFailureReason TEXT',
+    'dunningAttempt INTEGER DEFAULT 0',
+    'dunningFailureClass TEXT',
+    'dunningStartedAt DATETIME',
+    'dunningNextRetryAt DATETIME',
+    'dunningScheduledFor DATETIME',
+    'suspendReason TEXT',
+    'notificationEmail TEXT',
+  ]) {
+    try {
+      await Database.run(`ALTER TABLE recurring_donations ADD COLUMN ${column}`);
+    } catch (_) {}
+  }
+
+  // Disputes and their lifecycle (migrations 023 + 047)
+  await Database.run(`CREATE TABLE IF NOT EXISTS disputes (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    donationId         INTEGER NOT NULL UNIQUE,
+    recipientPublicKey TEXT NOT NULL,
+    reason             TEXT NOT NULL,
+    evidence           TEXT,
+    status             TEXT DEFAULT 'open',
+    createdAt          DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt          DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolvedAt         DATETIME,
+    resolutionNotes    TEXT,
+    donorPublicKey     TEXT,
+    stateEnteredAt     DATETIME,
+    slaDeadline        DATETIME,
+    slaBreachedAt      DATETIME,
+    donorResponse      TEXT,
+    donorRespondedAt   DATETIME,
+    refundAmount       REAL,
+    refundId           INTEGER
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS dispute_evidence (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    disputeId          INTEGER NOT NULL,
+    submittedBy        TEXT NOT NULL,
+    submitterPublicKey TEXT,
+    kind               TEXT NOT NULL,
+    description        TEXT,
+    content            TEXT NOT NULL,
+    mimeType           TEXT,
+    contentHash        TEXT NOT NULL,
+    sizeBytes          INTEGER NOT NULL,
+    createdAt          DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS dispute_transitions (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    disputeId  INTEGER NOT NULL,
+    fromStatus TEXT,
+    toStatus   TEXT NOT NULL,
+    actor      TEXT,
+    note       TEXT,
+    createdAt  DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Transaction model store (migrations 033 + 062)
+  await Database.run(`CREATE TABLE IF NOT EXISTS donations_store (
+    id                TEXT PRIMARY KEY,
+    donor             TEXT,
+    recipient         TEXT,
+    amount_stroops    INTEGER,
+    amount_text       TEXT NOT NULL,
+    status            TEXT NOT NULL DEFAULT 'pending',
+    idempotency_key   TEXT UNIQUE,
+    stellar_tx_id     TEXT UNIQUE,
+    timestamp         TEXT NOT NULL,
+    status_updated_at TEXT,
+    deleted_at        TEXT,
+    data              TEXT NOT NULL
+  )`);
+
+  // GraphQL persisted queries (migration 040)
+  await Database.run(`CREATE TABLE IF NOT EXISTS graphql_persisted_queries (
+    hash          TEXT PRIMARY KEY,
+    query         TEXT NOT NULL,
+    operationName TEXT,
+    description   TEXT,
+    createdBy     TEXT,
+    createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Transactional event outbox (migration 041)
+  await Database.run(`CREATE TABLE IF NOT EXISTS event_outbox (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id        TEXT NOT NULL UNIQUE,
+    event_type      TEXT NOT NULL,
+    aggregate_type  TEXT,
+    aggregate_id    TEXT,
+    payload         TEXT NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    last_error      TEXT,
+    next_attempt_at DATETIME,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    dispatched_at   DATETIME
+  )`);
+  await Database.run('CREATE INDEX IF NOT EXISTS idx_event_outbox_pending ON event_outbox(status, next_attempt_at, id)');
+  await Database.run(`CREATE TABLE IF NOT EXISTS event_outbox_deliveries (
+    event_id     TEXT NOT NULL,
+    subscriber   TEXT NOT NULL,
+    delivered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, subscriber)
+  )`);
+
+  // SEP-7 payment requests (migration 048)
+  await Database.run(`CREATE TABLE IF NOT EXISTS payment_requests (
+    id             TEXT PRIMARY KEY,
+    campaignId     INTEGER,
+    destination    TEXT NOT NULL,
+    amount         TEXT,
+    assetCode      TEXT NOT NULL DEFAULT 'XLM',
+    assetIssuer    TEXT,
+    memo           TEXT,
+    memoType       TEXT NOT NULL DEFAULT 'text',
+    message        TEXT,
+    reusable       INTEGER NOT NULL DEFAULT 0,
+    status         TEXT NOT NULL DEFAULT 'open',
+    uri            TEXT NOT NULL,
+    expiresAt      DATETIME,
+    donationCount  INTEGER NOT NULL DEFAULT 0,
+    lastDonationId TEXT,
+    apiKeyId       INTEGER,
+    createdAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completedAt    DATETIME
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS anchor_deposits (
+    id                   TEXT PRIMARY KEY,
+    donationId           TEXT NOT NULL,
+    anchorDomain         TEXT NOT NULL,
+    anchorTransactionId  TEXT NOT NULL,
+    assetCode            TEXT NOT NULL,
+    account              TEXT NOT NULL,
+    memo                 TEXT NOT NULL UNIQUE,
+    amount               TEXT,
+    amountIn             TEXT,
+    amountOut            TEXT,
+    amountFee            TEXT,
+    status               TEXT NOT NULL DEFAULT 'incomplete',
+    interactiveUrl       TEXT NOT NULL,
+    stellarTransactionId TEXT,
+    message              TEXT,
+    campaignId           INTEGER,
+    apiKeyId             INTEGER,
+    createdAt            DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt            DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completedAt          DATETIME,
+    UNIQUE (anchorDomain, anchorTransactionId)
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS kyc_customers (
+    id              TEXT PRIMARY KEY,
+    account         TEXT NOT NULL UNIQUE,
+    status          TEXT NOT NULL DEFAULT 'NEEDS_INFO',
+    encryptedFields TEXT,
+    providedFields  TEXT NOT NULL DEFAULT '[]',
+    statusMessage   TEXT,
+    createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt       DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS kyc_holds (
+    id             TEXT PRIMARY KEY,
+    donationId     TEXT NOT NULL UNIQUE,
+    account        TEXT NOT NULL,
+    recipient      TEXT NOT NULL,
+    senderId       INTEGER,
+    receiverId     INTEGER,
+    amount         TEXT NOT NULL,
+    assetCode      TEXT NOT NULL DEFAULT 'XLM',
+    countryCode    TEXT,
+    threshold      TEXT NOT NULL,
+    memo           TEXT,
+    campaignId     INTEGER,
+    idempotencyKey TEXT,
+    holdAccount    TEXT NOT NULL,
+    holdTxId       TEXT NOT NULL,
+    status         TEXT NOT NULL DEFAULT 'held',
+    releaseTxId    TEXT,
+    refundTxId     TEXT,
+    decidedBy      TEXT,
+    decisionReason TEXT,
+    createdAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    decidedAt      DATETIME
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS screening_lists (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    name           TEXT NOT NULL UNIQUE,
+    source         TEXT,
+    action         TEXT NOT NULL DEFAULT 'block',
+    currentVersion INTEGER,
+    createdAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt      DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS screening_list_versions (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    listId     INTEGER NOT NULL,
+    version    INTEGER NOT NULL,
+    entryCount INTEGER NOT NULL DEFAULT 0,
+    checksum   TEXT NOT NULL,
+    importedBy TEXT,
+    importedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (listId, version)
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS screening_entries (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    listId    INTEGER NOT NULL,
+    version   INTEGER NOT NULL,
+    type      TEXT NOT NULL,
+    value     TEXT NOT NULL,
+    label     TEXT NOT NULL,
+    reference TEXT
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS donation_quotes (
+    id             TEXT PRIMARY KEY,
+    amount         REAL NOT NULL,
+    currency       TEXT NOT NULL,
+    xlmAmount      REAL NOT NULL,
+    rateXLMperUnit REAL NOT NULL,
+    rateSource     TEXT NOT NULL,
+    rateTimestamp  TEXT NOT NULL,
+    status         TEXT NOT NULL DEFAULT 'open',
+    apiKeyId       INTEGER,
+    donationId     TEXT,
+    createdAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expiresAt      DATETIME NOT NULL,
+    usedAt         DATETIME
+  )`);
+
+  // Hourly exchange rate history (migration 053)
+  await Database.run(`CREATE TABLE IF NOT EXISTS exchange_rate_history (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    currency   TEXT NOT NULL,
+    hour       TEXT NOT NULL,
+    rate       REAL NOT NULL,
+    source     TEXT,
+    observedAt TEXT NOT NULL,
+    recordedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (currency, hour)
+  )`);
+
+  // Donor accounts (migration 054)
+  await Database.run(`CREATE TABLE IF NOT EXISTS donors (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    displayName    TEXT,
+    encryptedEmail TEXT,
+    preferences    TEXT NOT NULL DEFAULT '{}',
+    createdAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt      DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS donor_wallets (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    donorId    INTEGER NOT NULL,
+    publicKey  TEXT NOT NULL UNIQUE,
+    label      TEXT,
+    verifiedAt DATETIME NOT NULL,
+    createdAt  DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS tax_statement_runs (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    taxYear        INTEGER NOT NULL,
+    jurisdiction   TEXT NOT NULL,
+    status         TEXT NOT NULL DEFAULT 'queued',
+    subjectCount   INTEGER NOT NULL DEFAULT 0,
+    generatedCount INTEGER NOT NULL DEFAULT 0,
+    failedCount    INTEGER NOT NULL DEFAULT 0,
+    errors         TEXT,
+    requestedBy    TEXT,
+    createdAt      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    startedAt      DATETIME,
+    completedAt    DATETIME
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS tax_statements (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    runId           INTEGER,
+    subject         TEXT NOT NULL,
+    donorId         INTEGER,
+    taxYear         INTEGER NOT NULL,
+    jurisdiction    TEXT NOT NULL,
+    currency        TEXT NOT NULL,
+    donationCount   INTEGER NOT NULL,
+    deductibleValue REAL,
+    data            TEXT NOT NULL,
+    generatedAt     DATETIME NOT NULL,
+    UNIQUE (subject, taxYear, jurisdiction)
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS gift_aid_charities (
+    recipient     TEXT PRIMARY KEY,
+    name          TEXT NOT NULL,
+    hmrcReference TEXT NOT NULL,
+    createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS gift_aid_declarations (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    donorId            INTEGER NOT NULL,
+    encryptedDonor     TEXT NOT NULL,
+    declarationDate    TEXT NOT NULL,
+    scope              TEXT NOT NULL,
+    donationId         TEXT,
+    status             TEXT NOT NULL DEFAULT 'active',
+    cancelledAt        DATETIME,
+    cancellationReason TEXT,
+    createdAt          DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS gift_aid_claims (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipient     TEXT NOT NULL,
+    periodStart   TEXT,
+    periodEnd     TEXT,
+    format        TEXT NOT NULL,
+    exportId      INTEGER,
+    donationCount INTEGER NOT NULL DEFAULT 0,
+    totalAmount   REAL NOT NULL DEFAULT 0,
+    requestedBy   TEXT,
+    createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS gift_aid_donations (
+    donationId    TEXT PRIMARY KEY,
+    declarationId INTEGER NOT NULL,
+    donorId       INTEGER NOT NULL,
+    recipient     TEXT NOT NULL,
+    donationDate  DATETIME NOT NULL,
+    xlmAmount     REAL NOT NULL,
+    amountGbp     REAL,
+    rateSource    TEXT,
+    status        TEXT NOT NULL DEFAULT 'eligible',
+    claimId       INTEGER,
+    createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS campaign_fundraisers (
+    id                          INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id                 INTEGER NOT NULL,
+    donor_id                    INTEGER NOT NULL,
+    code                        TEXT NOT NULL UNIQUE,
+    title                       TEXT NOT NULL,
+    story                       TEXT,
+    goal_amount                 REAL NOT NULL,
+    current_amount              REAL NOT NULL DEFAULT 0,
+    donation_count              INTEGER NOT NULL DEFAULT 0,
+    status                      TEXT NOT NULL DEFAULT 'active',
+    notified_milestones         TEXT DEFAULT '[]',
+    last_milestone_notification DATETIME,
+    closed_at                   DATETIME,
+    team_id                     INTEGER,
+    createdAt                   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt                   DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS fundraiser_donations (
+    donation_id   TEXT PRIMARY KEY,
+    fundraiser_id INTEGER NOT NULL,
+    donor         TEXT NOT NULL,
+    amount        REAL NOT NULL,
+    anonymous     INTEGER NOT NULL DEFAULT 0,
+    createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS organizations (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    name      TEXT NOT NULL UNIQUE,
+    type      TEXT NOT NULL DEFAULT 'other',
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS teams (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER,
+    name            TEXT NOT NULL,
+    description     TEXT,
+    created_by      INTEGER NOT NULL,
+    createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt       DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS team_members (
+    donor_id INTEGER PRIMARY KEY,
+    team_id  INTEGER NOT NULL,
+    role     TEXT NOT NULL DEFAULT 'member',
+    joinedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS team_rollup_donations (
+    donation_id     TEXT PRIMARY KEY,
+    campaign_id     INTEGER NOT NULL DEFAULT 0,
+    fundraiser_id   INTEGER,
+    team_id         INTEGER,
+    organization_id INTEGER,
+    amount_stroops  TEXT NOT NULL,
+    day             TEXT NOT NULL,
+    createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS team_rollups (
+    level          TEXT NOT NULL,
+    entity_id      INTEGER NOT NULL,
+    parent_id      INTEGER NOT NULL DEFAULT 0,
+    campaign_id    INTEGER NOT NULL DEFAULT 0,
+    day            TEXT NOT NULL,
+    total_stroops  TEXT NOT NULL DEFAULT '0',
+    donation_count INTEGER NOT NULL DEFAULT 0,
+    updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (level, entity_id, parent_id, campaign_id, day)
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS qf_rounds (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    name                TEXT NOT NULL,
+    pool_wallet         TEXT NOT NULL,
+    matching_pool       REAL NOT NULL,
+    project_cap_percent REAL,
+    starts_at           DATETIME NOT NULL,
+    ends_at             DATETIME NOT NULL,
+    status              TEXT NOT NULL DEFAULT 'open',
+    finalized_at        DATETIME,
+    paid_at             DATETIME,
+    createdAt           DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt           DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS qf_projects (
+    id               INTEGER PRIMARY KEY AUTOINCREMENT,
+    round_id         INTEGER NOT NULL,
+    name             TEXT NOT NULL,
+    recipient_wallet TEXT NOT NULL,
+    createdAt        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (round_id, recipient_wallet)
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS qf_contributions (
+    donation_id  TEXT NOT NULL,
+    round_id     INTEGER NOT NULL,
+    project_id   INTEGER NOT NULL,
+    donor_wallet TEXT NOT NULL,
+    amount       REAL NOT NULL,
+    createdAt    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (donation_id, round_id)
+  )`);
+  await Database.run(`CREATE TABLE IF NOT EXISTS qf_distributions (
+    round_id            INTEGER NOT NULL,
+    project_id          INTEGER NOT NULL,
+    contributor_count   INTEGER NOT NULL,
+    total_contributions REAL NOT NULL,
+    ideal_match         REAL NOT NULL,
+    match_amount        REAL NOT NULL,
+    capped              INTEGER NOT NULL DEFAULT 0,
+    payout_status       TEXT NOT NULL DEFAULT 'pending',
+    payout_tx_id        TEXT,
+    payout_submitted_at DATETIME,
+    paid_at             DATETIME,
+    PRIMARY KEY (round_id, project_id)
+  )`);
 
   // Smart donation routing tables (migration 005 + 006)
   await Database.run(`CREATE TABLE IF NOT EXISTS recipient_pools (
@@ -158,10 +158,10 @@ describe('Webhook delivery — end-to-end', () => {
 
   test('retries transient 5xx failures with exponential backoff up to the capped attempt count', async () => {
     sink.status = 500; // permanently failing endpoint
-    const { row } = await registerWebhook(['evt.retry']);
+    const { row } = await registerWebhook(['donation.refunded']);
 
     await expect(
-      WebhookService._deliverWithRetry(row, 'evt.retry', { n: 1 }, 0)
+      WebhookService._deliverWithRetry(row, 'donation.refunded', { n: 1 }, 0)
     ).rejects.toBeDefined();
 
     // Capped at MAX_RETRIES total attempts.
@@ -176,21 +176,21 @@ describe('Webhook delivery — end-to-end', () => {
   }, 20000);
 
   test('promotes a permanently failed delivery to the dead-letter queue with full context', async () => {
-    const { reg } = await registerWebhook(['evt.dlq']);
+    const { reg } = await registerWebhook(['pledge.expired']);
     const payload = { orderId: 'o_99', note: 'permanent failure' };
 
     // Drive the queue to its final attempt — scheduleRetry promotes to DLQ
     // once RETRY_MAX_ATTEMPTS is reached.
     await WebhookService.scheduleRetry({
       webhookId: reg.id,
-      event: 'evt.dlq',
+      event: 'pledge.expired',
       payload,
       attempt: RETRY_MAX_ATTEMPTS,
       lastError: 'HTTP 500 (permanent)',
     });
 
     const deadLetters = await WebhookService.listDeadLetters({ limit: 50 });
-    const entry = deadLetters.find((e) => e.webhookId === reg.id && e.event === 'evt.dlq');
+    const entry = deadLetters.find((e) => e.webhookId === reg.id && e.event === 'pledge.expired');
 
     expect(entry).toBeDefined();
     expect(entry.payload).toEqual(payload); // full context preserved
@@ -199,19 +199,19 @@ describe('Webhook delivery — end-to-end', () => {
   });
 
   test('replaying a dead-letter re-delivers successfully once the sink is healthy', async () => {
-    const { reg } = await registerWebhook(['evt.replay']);
+    const { reg } = await registerWebhook(['quota.reset']);
     const payload = { invoiceId: 'inv_7', amount: '3.2500000' };
 
     // Land it in the DLQ first.
     await WebhookService.scheduleRetry({
       webhookId: reg.id,
-      event: 'evt.replay',
+      event: 'quota.reset',
       payload,
       attempt: RETRY_MAX_ATTEMPTS,
       lastError: 'gone',
     });
     const before = await WebhookService.listDeadLetters({ limit: 50 });
-    const entry = before.find((e) => e.event === 'evt.replay');
+    const entry = before.find((e) => e.event === 'quota.reset');
     expect(entry).toBeDefined();
 
     // Sink is now healthy; replay re-queues the delivery.
@@ -229,7 +229,7 @@ describe('Webhook delivery — end-to-end', () => {
     expect(result.succeeded).toBeGreaterThanOrEqual(1);
 
     // The replayed payload reached the healthy sink...
-    const delivered = sink.bodies().find((b) => b.event === 'evt.replay');
+    const delivered = sink.bodies().find((b) => b.event === 'quota.reset');
     expect(delivered).toBeDefined();
     expect(delivered.data).toEqual(payload);
 
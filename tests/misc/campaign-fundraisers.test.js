@@ -0,0 +1,297 @@
+/**
+ * Peer-to-Peer Fundraiser Tests
+ *
+ * Covers:
+ *  - Opening, listing and updating fundraisers under a campaign
+ *  - Attributing donations by fundraiser_id or a memo code, rolled up into
+ *    the campaign's totals
+ *  - Fundraiser milestones through the outbox, and SSE progress events
+ *  - The fundraiser donor leaderboard and progress stream
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const { issueAccessToken } = require('../../src/services/JwtService');
+const DonationService = require('../../src/services/DonationService');
+const FundraiserService = require('../../src/services/FundraiserService');
+const MockStellarService = require('../../src/services/MockStellarService');
+const SseManager = require('../../src/services/SseManager');
+const WebhookService = require('../../src/services/WebhookService');
+const campaignsRouter = require('../../src/routes/campaigns');
+
+const app = express();
+app.use(express.json());
+app.use('/campaigns', campaignsRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const newWallet = () => StellarSdk.Keypair.random().publicKey();
+const auth = (publicKey) => ({
+  Authorization: `Bearer ${issueAccessToken({ sub: publicKey, auth_method: 'sep10', role: 'user' })}`,
+});
+
+const donationService = new DonationService(new MockStellarService());
+const RECIPIENT = newWallet();
+
+const createCampaign = async (goal = 1000, status = 'active') => {
+  const { id } = await Database.run(
+    `INSERT INTO campaigns (name, goal_amount, current_amount, status, notified_milestones)
+     VALUES (?, ?, 0, ?, '[]')`,
+    ['Clean Water', goal, status]
+  );
+  return id;
+};
+
+const openFundraiser = async (campaignId, owner, body = {}) => {
+  const res = await request(app)
+    .post(`/campaigns/${campaignId}/fundraisers`)
+    .set(auth(owner))
+    .send({ title: "Alice's marathon", story: 'Running 42km for clean water', goal_amount: 200, ...body });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const donate = (extra) => donationService.createDonationRecord({
+  amount: 50,
+  donor: newWallet(),
+  recipient: RECIPIENT,
+  ...extra,
+});
+
+// SSE responses never end; collect output for `ms`, then drop the connection
+const collectSse = (path, ms, during = async () => {}) => new Promise((resolve, reject) => {
+  const server = http.createServer(app);
+  server.listen(0, () => {
+    const req = http.request({ port: server.address().port, path }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      setTimeout(async () => {
+        await during();
+        setTimeout(() => {
+          req.destroy();
+          server.close(() => resolve({ status: res.statusCode, body }));
+        }, ms);
+      }, 50);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+});
+
+beforeAll(async () => {
+  await Database.initialize();
+  await require('../../src/migrations/054_donor_accounts').up(Database);
+});
+
+beforeEach(() => {
+  jest.spyOn(WebhookService, 'deliver').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fundraiser pages', () => {
+  it('opens a fundraiser with a memo code under an active campaign', async () => {
+    const campaignId = await createCampaign();
+    const fundraiser = await openFundraiser(campaignId, newWallet());
+
+    expect(fundraiser).toMatchObject({
+      campaign_id: campaignId,
+      title: "Alice's marathon",
+      goal_amount: 200,
+      current_amount: 0,
+      progress_percentage: 0,
+      status: 'active',
+    });
+    expect(fundraiser.code).toMatch(/^FR-[A-HJ-NP-Z2-9]{6}$/);
+  });
+
+  it('requires a donor token, a known active campaign and valid details', async () => {
+    const campaignId = await createCampaign();
+    const closedId = await createCampaign(1000, 'closed');
+    const owner = newWallet();
+
+    const anonymous = await request(app).post(`/campaigns/${campaignId}/fundraisers`).send({ title: 'x', goal_amount: 5 });
+    expect(anonymous.status).toBe(401);
+
+    const missing = await request(app).post('/campaigns/999999/fundraisers').set(auth(owner)).send({ title: 'x', goal_amount: 5 });
+    expect(missing.status).toBe(404);
+
+    const closed = await request(app).post(`/campaigns/${closedId}/fundraisers`).set(auth(owner)).send({ title: 'x', goal_amount: 5 });
+    expect(closed.status).toBe(422);
+    expect(closed.body.error.code).toBe('CAMPAIGN_NOT_ACTIVE');
+
+    const invalid = await request(app).post(`/campaigns/${campaignId}/fundraisers`).set(auth(owner)).send({ title: ' ', goal_amount: -1 });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('lets only the owner update or close a fundraiser', async () => {
+    const campaignId = await createCampaign();
+    const owner = newWallet();
+    const fundraiser = await openFundraiser(campaignId, owner);
+    const path = `/campaigns/${campaignId}/fundraisers/${fundraiser.id}`;
+
+    const stranger = await request(app).patch(path).set(auth(newWallet())).send({ title: 'Mine now' });
+    expect(stranger.status).toBe(403);
+
+    const updated = await request(app).patch(path).set(auth(owner)).send({ story: 'Now a half marathon', goal_amount: 100 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ story: 'Now a half marathon', goal_amount: 100 });
+
+    const closed = await request(app).patch(path).set(auth(owner)).send({ status: 'closed' });
+    expect(closed.body.data.status).toBe('closed');
+    expect(closed.body.data.closed_at).toBeTruthy();
+
+    const reopen = await request(app).patch(path).set(auth(owner)).send({ status: 'active' });
+    expect(reopen.status).toBe(400);
+  });
+});
+
+describe('donation attribution', () => {
+  it('credits a fundraiser by fundraiser_id and rolls the amount up into its campaign', async () => {
+    const campaignId = await createCampaign();
+    const fundraiser = await openFundraiser(campaignId, newWallet());
+
+    const donation = await donate({ amount: 60, fundraiser_id: fundraiser.id });
+    expect(donation.campaign_id).toBe(campaignId);
+    expect(donation.fundraiser_id).toBe(fundraiser.id);
+
+    const campaign = await Database.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaignId]);
+    expect(campaign.current_amount).toBe(60);
+    const page = await FundraiserService.getFundraiser(campaignId, fundraiser.id);
+    expect(page).toMatchObject({ current_amount: 60, donation_count: 1, progress_percentage: 30 });
+  });
+
+  it('credits a fundraiser by the code in the memo and ignores unknown codes', async () => {
+    const campaignId = await createCampaign();
+    const fundraiser = await openFundraiser(campaignId, newWallet());
+
+    await donate({ amount: 20, memo: `go ${fundraiser.code.toLowerCase()}` });
+    const unknown = await donate({ amount: 20, memo: 'FR-ZZZZZZ' });
+    expect(unknown.fundraiser_id).toBeNull();
+
+    const page = await FundraiserService.getFundraiser(campaignId, fundraiser.id);
+    expect(page.current_amount).toBe(20);
+  });
+
+  it('rejects an explicit fundraiser_id that is closed or belongs to another campaign', async () => {
+    const campaignId = await createCampaign();
+    const otherCampaignId = await createCampaign();
+    const owner = newWallet();
+    const fundraiser = await openFundraiser(campaignId, owner);
+
+    await expect(donate({ fundraiser_id: fundraiser.id, campaign_id: otherCampaignId }))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'FUNDRAISER_CAMPAIGN_MISMATCH' });
+    await expect(donate({ fundraiser_id: 999999 })).rejects.toMatchObject({ statusCode: 404 });
+
+    await FundraiserService.updateFundraiser(campaignId, fundraiser.id, fundraiser.donor_id, { status: 'closed' });
+    await expect(donate({ fundraiser_id: fundraiser.id }))
+      .rejects.toMatchObject({ statusCode: 422, errorCode: 'FUNDRAISER_CLOSED' });
+  });
+
+  it('counts a donation for a fundraiser only once', async () => {
+    const campaignId = await createCampaign();
+    const fundraiser = await openFundraiser(campaignId, newWallet());
+    const donation = { id: 'dup-1', donor: newWallet(), amount: 10 };
+
+    const row = await Database.get('SELECT * FROM campaign_fundraisers WHERE id = ?', [fundraiser.id]);
+    await donationService.processCampaignContribution(campaignId, 10, { fundraiser: row, donation });
+    await donationService.processCampaignContribution(campaignId, 10, { fundraiser: row, donation });
+
+    const page = await FundraiserService.getFundraiser(campaignId, fundraiser.id);
+    expect(page).toMatchObject({ current_amount: 10, donation_count: 1 });
+  });
+});
+
+describe('fundraiser progress', () => {
+  it('announces fundraiser milestones through the outbox and SSE, once each', async () => {
+    const campaignId = await createCampaign(10000);
+    const fundraiser = await openFundraiser(campaignId, newWallet(), { goal_amount: 100 });
+    const broadcast = jest.spyOn(SseManager, 'broadcast');
+
+    await donate({ amount: 50, fundraiser_id: fundraiser.id });
+    await donate({ amount: 10, fundraiser_id: fundraiser.id });
+
+    const events = (await Database.all(
+      "SELECT payload FROM event_outbox WHERE event_type = 'campaign.fundraiser_milestone' AND aggregate_type = 'fundraiser' AND aggregate_id = ? ORDER BY id",
+      [String(fundraiser.id)]
+    )).map(row => JSON.parse(row.payload));
+    expect(events.map(data => data.milestone_percentage)).toEqual([25, 50]);
+    expect(events[0]).toMatchObject({ campaign_id: campaignId, fundraiser_id: fundraiser.id });
+
+    const milestones = broadcast.mock.calls.filter(([event, data]) => event === 'milestone_reached' && data.fundraiser_id);
+    expect(milestones).toHaveLength(2);
+    expect(milestones[0][1]).toMatchObject({ campaignId: String(campaignId), fundraiserId: String(fundraiser.id) });
+
+    const page = await FundraiserService.getFundraiser(campaignId, fundraiser.id);
+    expect(page.notified_milestones).toEqual([0.25, 0.5]);
+  });
+
+  it('ranks fundraisers by amount raised and their donors on the leaderboard', async () => {
+    const campaignId = await createCampaign();
+    const first = await openFundraiser(campaignId, newWallet(), { title: 'First' });
+    const second = await openFundraiser(campaignId, newWallet(), { title: 'Second' });
+    const loyal = newWallet();
+
+    await donate({ amount: 5, fundraiser_id: first.id });
+    await donate({ amount: 30, fundraiser_id: second.id, donor: loyal });
+    await donate({ amount: 15, fundraiser_id: second.id, donor: loyal });
+    await donate({ amount: 40, fundraiser_id: second.id });
+
+    const list = await request(app).get(`/campaigns/${campaignId}/fundraisers`);
+    expect(list.body.data.map((f) => [f.rank, f.title, f.current_amount])).toEqual([[1, 'Second', 85], [2, 'First', 5]]);
+
+    const board = await request(app).get(`/campaigns/${campaignId}/fundraisers/${second.id}/leaderboard?limit=1`);
+    expect(board.body.data).toEqual([
+      { rank: 1, donor: loyal, total_amount: 45, donation_count: 2, anonymous: false },
+    ]);
+  });
+
+  it('streams the fundraiser state and its progress updates', async () => {
+    const campaignId = await createCampaign();
+    const fundraiser = await openFundraiser(campaignId, newWallet());
+    const other = await openFundraiser(campaignId, newWallet());
+
+    const { status, body } = await collectSse(
+      `/campaigns/${campaignId}/fundraisers/${fundraiser.id}/progress/stream`,
+      100,
+      async () => {
+        await donate({ amount: 40, fundraiser_id: other.id });
+        await donate({ amount: 20, fundraiser_id: fundraiser.id });
+      }
+    );
+
+    expect(status).toBe(200);
+    const [initial] = body.split('\n\n');
+    expect(JSON.parse(initial.replace('data: ', ''))).toMatchObject({
+      fundraiser_title: "Alice's marathon",
+      current_amount: 0,
+      goal_amount: 200,
+    });
+    const updates = body.split('\n\n').filter((chunk) => chunk.includes('event: progress_update'));
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toContain('"current_amount":20');
+
+    const missing = await request(app).get(`/campaigns/${campaignId}/fundraisers/999999/progress/stream`);
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Campaign Lifecycle Tests
+ *
+ * Covers:
+ *  - Creating campaigns as drafts, submitting them and reviewing them, with
+ *    reviewer comments when changes are requested
+ *  - Rejecting transitions the state machine does not allow
+ *  - Scheduled launches at the start date and closing at the end date
+ *  - Rejecting donations to campaigns that are not live
+ *  - The webhook and audit entry recorded for every transition
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const AuditLogService = require('../../src/services/AuditLogService');
+const CampaignLifecycleService = require('../../src/services/CampaignLifecycleService');
+const DonationService = require('../../src/services/DonationService');
+const MockStellarService = require('../../src/services/MockStellarService');
+const WebhookService = require('../../src/services/WebhookService');
+const { normalizeState, canTransition } = require('../../src/utils/campaignStateMachine');
+
+const app = express();
+app.use(express.json());
+app.use('/campaigns', require('../../src/routes/campaigns'));
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const newWallet = () => StellarSdk.Keypair.random().publicKey();
+const donationService = new DonationService(new MockStellarService());
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createDraft = async (body = {}) => {
+  const res = await request(app).post('/campaigns').send({ name: 'School roof', goal_amount: 500, ...body });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const insertCampaign = async (status, { startDate = null, endDate = null, goal = 500 } = {}) => {
+  const { id } = await Database.run(
+    `INSERT INTO campaigns (name, goal_amount, current_amount, status, start_date, end_date, notified_milestones)
+     VALUES ('Scheduled', ?, 0, ?, ?, ?, '[]')`,
+    [goal, status, startDate, endDate]
+  );
+  return id;
+};
+
+const statusOf = async (id) => (await Database.get('SELECT status FROM campaigns WHERE id = ?', [id])).status;
+
+const donate = (campaignId, amount = 5) => donationService.createDonationRecord({
+  amount,
+  donor: newWallet(),
+  recipient: newWallet(),
+  campaign_id: campaignId,
+});
+
+const outboxEvents = (campaignId) => Database.all(
+  "SELECT payload FROM event_outbox WHERE aggregate_type = 'campaign' AND aggregate_id = ? AND event_type = 'campaign.status_changed' ORDER BY id ASC",
+  [String(campaignId)]
+).then((rows) => rows.map((row) => JSON.parse(row.payload)));
+
+beforeAll(async () => {
+  await Database.initialize();
+});
+
+beforeEach(() => {
+  jest.spyOn(WebhookService, 'deliver').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('campaignStateMachine', () => {
+  it('reads legacy statuses as lifecycle states', () => {
+    expect(normalizeState('active')).toBe('live');
+    expect(normalizeState('expired')).toBe('closed');
+    expect(normalizeState('released')).toBe('closed');
+    expect(normalizeState('draft')).toBe('draft');
+  });
+
+  it('only allows review between submission and approval', () => {
+    expect(canTransition('draft', 'submitted')).toBe(true);
+    expect(canTransition('draft', 'approved')).toBe(false);
+    expect(canTransition('submitted', 'draft')).toBe(true);
+    expect(canTransition('approved', 'live')).toBe(true);
+    expect(canTransition('closed', 'live')).toBe(false);
+    expect(canTransition('archived', 'draft')).toBe(false);
+  });
+});
+
+describe('review workflow', () => {
+  it('takes a draft through review, changes requested and approval', async () => {
+    const audit = jest.spyOn(AuditLogService, 'log').mockResolvedValue();
+    const campaign = await createDraft({ start_date: new Date(Date.now() - 1000).toISOString() });
+    expect(campaign.status).toBe('draft');
+
+    let res = await request(app).post(`/campaigns/${campaign.id}/submit`).send({ comment: 'Ready for review' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'submitted' });
+    expect(res.body.data.submitted_at).toBeTruthy();
+
+    // Details are locked while under review
+    res = await request(app).patch(`/campaigns/${campaign.id}`).send({ description: 'Sneaky edit' });
+    expect(res.status).toBe(409);
+
+    res = await request(app).post(`/campaigns/${campaign.id}/review`).send({ decision: 'request_changes' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('COMMENT_REQUIRED');
+
+    res = await request(app).post(`/campaigns/${campaign.id}/review`)
+      .send({ decision: 'request_changes', comment: 'Add a budget breakdown' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('draft');
+
+    res = await request(app).patch(`/campaigns/${campaign.id}`).send({ description: 'Budget: 300 XLM roof, 200 XLM labour' });
+    expect(res.status).toBe(200);
+
+    await request(app).post(`/campaigns/${campaign.id}/submit`).send({});
+    res = await request(app).post(`/campaigns/${campaign.id}/review`).send({ decision: 'approve' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'approved' });
+
+    // Approved is not live yet
+    await expect(donate(campaign.id)).rejects.toMatchObject({ errorCode: 'CAMPAIGN_NOT_ACTIVE' });
+
+    res = await request(app).get(`/campaigns/${campaign.id}/transitions`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((t) => `${t.from_status}>${t.to_status}`)).toEqual([
+      'draft>submitted', 'submitted>draft', 'draft>submitted', 'submitted>approved',
+    ]);
+    expect(res.body.data[1].comment).toBe('Add a budget breakdown');
+
+    const events = await outboxEvents(campaign.id);
+    expect(events).toHaveLength(4);
+    expect(events[1]).toMatchObject({ campaign_id: campaign.id, from_status: 'submitted', to_status: 'draft', comment: 'Add a budget breakdown' });
+    expect(audit.mock.calls.filter(([entry]) => entry.action === 'CAMPAIGN_STATUS_CHANGED')).toHaveLength(4);
+  });
+
+  it('rejects transitions the lifecycle does not allow', async () => {
+    const campaign = await createDraft();
+
+    let res = await request(app).post(`/campaigns/${campaign.id}/status`).send({ status: 'live' });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('INVALID_CAMPAIGN_TRANSITION');
+
+    res = await request(app).post(`/campaigns/${campaign.id}/status`).send({ status: 'approved' });
+    expect(res.status).toBe(400);
+
+    res = await request(app).post(`/campaigns/${campaign.id}/review`).send({ decision: 'approve' });
+    expect(res.status).toBe(409);
+
+    res = await request(app).post('/campaigns/999999/submit').send({});
+    expect(res.status).toBe(404);
+
+    expect(await statusOf(campaign.id)).toBe('draft');
+  });
+
+  it('hides unlaunched campaigns from the default listing', async () => {
+    const draft = await createDraft({ name: 'Hidden draft' });
+    const live = await insertCampaign('live');
+
+    let res = await request(app).get('/campaigns?limit=100');
+    const ids = res.body.data.map((c) => c.id);
+    expect(ids).toContain(live);
+    expect(ids).not.toContain(draft.id);
+
+    res = await request(app).get('/campaigns?status=draft&limit=100');
+    expect(res.body.data.map((c) => c.id)).toContain(draft.id);
+  });
+});
+
+describe('live campaigns', () => {
+  it('only accepts donations while live, through pause and resume', async () => {
+    const id = await insertCampaign('approved');
+    let res = await request(app).post(`/campaigns/${id}/status`).send({ status: 'live' });
+    expect(res.status).toBe(200);
+    const launchedAt = res.body.data.launched_at;
+    expect(launchedAt).toBeTruthy();
+    await donate(id, 10);
+
+    res = await request(app).post(`/campaigns/${id}/status`).send({ status: 'paused', comment: 'Verifying the recipient' });
+    expect(res.status).toBe(200);
+    await expect(donate(id)).rejects.toMatchObject({ errorCode: 'CAMPAIGN_NOT_ACTIVE' });
+
+    // PATCH with a status goes through the same transition
+    res = await request(app).patch(`/campaigns/${id}`).send({ status: 'live' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('live');
+    expect(res.body.data.launched_at).toBe(launchedAt);
+    await donate(id, 10);
+
+    const campaign = await Database.get('SELECT current_amount FROM campaigns WHERE id = ?', [id]);
+    expect(campaign.current_amount).toBe(20);
+  });
+
+  it('closes a campaign through the lifecycle when its goal is reached', async () => {
+    const id = await insertCampaign('active', { goal: 10 });
+    await donate(id, 10);
+
+    expect(await statusOf(id)).toBe('closed');
+    const [transition] = await CampaignLifecycleService.listTransitions(id);
+    expect(transition).toMatchObject({ from_status: 'live', to_status: 'closed', actor: 'system', comment: 'Goal reached' });
+    await expect(donate(id)).rejects.toMatchObject({ errorCode: 'CAMPAIGN_NOT_ACTIVE' });
+  });
+});
+
+describe('runScheduledTransitions', () => {
+  it('launches approved campaigns at their start date and closes running ones at their end date', async () => {
+    const now = new Date();
+    const due = await insertCampaign('approved', { startDate: new Date(now - DAY).toISOString() });
+    const later = await insertCampaign('approved', { startDate: new Date(now.getTime() + DAY).toISOString() });
+    const ended = await insertCampaign('live', { endDate: new Date(now - 1000).toISOString() });
+    const endedPaused = await insertCampaign('paused', { endDate: new Date(now - 1000).toISOString() });
+    const legacy = await insertCampaign('active', { endDate: new Date(now - 1000).toISOString() });
+    const running = await insertCampaign('live', { endDate: new Date(now.getTime() + DAY).toISOString() });
+
+    const result = await CampaignLifecycleService.runScheduledTransitions(now);
+    expect(result.launched).toBeGreaterThanOrEqual(1);
+    expect(result.closed).toBeGreaterThanOrEqual(3);
+
+    expect(await statusOf(due)).toBe('live');
+    expect(await statusOf(later)).toBe('approved');
+    expect(await statusOf(ended)).toBe('closed');
+    expect(await statusOf(endedPaused)).toBe('closed');
+    expect(await statusOf(legacy)).toBe('closed');
+    expect(await statusOf(running)).toBe('live');
+
+    const [launch] = await outboxEvents(due);
+    expect(launch).toMatchObject({ from_status: 'approved', to_status: 'live', actor: 'system', comment: 'Start date reached' });
+
+    // A second run has nothing left to do for these campaigns
+    await CampaignLifecycleService.runScheduledTransitions(now);
+    expect(await outboxEvents(ended)).toHaveLength(1);
+  });
+
+  it('archives closed campaigns only', async () => {
+    const id = await insertCampaign('expired');
+
+    const res = await request(app).post(`/campaigns/${id}/status`).send({ status: 'archived' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'archived' });
+    expect(res.body.data.archived_at).toBeTruthy();
+
+    const again = await request(app).post(`/campaigns/${id}/status`).send({ status: 'live' });
+    expect(again.status).toBe(409);
+  });
+});
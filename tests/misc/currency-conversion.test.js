@@ -147,12 +147,19 @@ describe('DonationService – currency conversion', () => {
     jest.resetModules();
 
     // Stub PriceOracleService
-    jest.mock('../../src/services/PriceOracleService', () => ({
-      convertToXLM: jest.fn(),
-      getRates: jest.fn(),
-      getCacheInfo: jest.fn(),
-      _clearCache: jest.fn(),
-    }));
+    jest.mock('../../src/services/PriceOracleService', () => {
+      const convertToXLM = jest.fn();
+      return {
+        convertToXLM,
+        quote: jest.fn(async (amount, currency) => {
+          const xlm = await convertToXLM(amount, currency);
+          return { xlm, rateXLMperUnit: xlm / amount, rateSource: 'test', rateTimestamp: '2026-01-01T00:00:00.000Z' };
+        }),
+        getRates: jest.fn(),
+        getCacheInfo: jest.fn(),
+        _clearCache: jest.fn(),
+      };
+    });
 
     priceOracle = require('../../src/services/PriceOracleService');
     DonationService = require('../../src/services/DonationService');
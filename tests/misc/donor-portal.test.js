@@ -0,0 +1,270 @@
+/**
+ * Donor Portal Tests
+ *
+ * Covers:
+ *  - SEP-10 bearer authentication for /me (API-key tokens are rejected)
+ *  - A donor profile is created on first sign-in with an unlinked wallet
+ *  - Profile, email encryption at rest and communication preferences
+ *  - Linking wallets with a signed challenge, taking over an unused sign-in
+ *    profile, and unlinking them
+ *  - Donation history, receipts and recurring schedules across linked wallets
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const { issueAccessToken } = require('../../src/services/JwtService');
+const SEP10Service = require('../../src/services/SEP10Service');
+const meRouter = require('../../src/routes/me');
+
+const app = express();
+app.use(express.json());
+app.use('/me', meRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const RECIPIENT = StellarSdk.Keypair.random().publicKey();
+
+const tokenFor = (publicKey) => issueAccessToken({ sub: publicKey, auth_method: 'sep10', role: 'user' });
+const auth = (publicKey) => ({ Authorization: `Bearer ${tokenFor(publicKey)}` });
+
+async function userId(publicKey) {
+  await Database.run('INSERT OR IGNORE INTO users (publicKey) VALUES (?)', [publicKey]);
+  const row = await Database.get('SELECT id FROM users WHERE publicKey = ?', [publicKey]);
+  return row.id;
+}
+
+async function createSchedule(donorPublicKey) {
+  const { id } = await Database.run(
+    `INSERT INTO recurring_donations (donorId, recipientId, amount, frequency, nextExecutionDate, status)
+     VALUES (?, ?, 10, 'weekly', ?, 'active')`,
+    [await userId(donorPublicKey), await userId(RECIPIENT), new Date(Date.now() + DAY).toISOString()]
+  );
+  return id;
+}
+
+/** Stand-in for the configured SEP-10 service: every challenge verifies as `account`. */
+function stubSep10(account) {
+  const service = {
+    generateChallenge: jest.fn().mockResolvedValue('challenge-xdr'),
+    verifyChallenge: jest.fn().mockResolvedValue(account),
+  };
+  jest.spyOn(SEP10Service, 'getConfigured').mockReturnValue(service);
+  return service;
+}
+
+beforeAll(async () => {
+  await Database.initialize();
+  await require('../../src/migrations/054_donor_accounts').up(Database);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authentication', () => {
+  it('requires a SEP-10 token', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+
+    await request(app).get('/me').expect(401);
+    const apiKeyToken = issueAccessToken({ sub: 'api-key-1', role: 'user' });
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${apiKeyToken}`).expect(401);
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+
+    await request(app).get('/me').set('Authorization', `Bearer ${issueAccessToken({ sub: wallet, role: 'user' })}`).expect(401);
+  });
+
+  it('creates a profile on first sign-in and reuses it afterwards', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+
+    const first = await request(app).get('/me').set(auth(wallet)).expect(200);
+    expect(first.body.data).toMatchObject({
+      displayName: null,
+      email: null,
+      preferences: { receiptEmails: true, taxStatementEmails: true, campaignUpdates: false },
+    });
+    expect(first.body.data.wallets).toEqual([expect.objectContaining({ publicKey: wallet })]);
+
+    const second = await request(app).get('/me').set(auth(wallet)).expect(200);
+    expect(second.body.data.id).toBe(first.body.data.id);
+  });
+});
+
+describe('profile and preferences', () => {
+  it('updates the profile and stores the email encrypted', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+
+    const res = await request(app).patch('/me').set(auth(wallet))
+      .send({ displayName: ' Ada ', email: 'ada@example.com' })
+      .expect(200);
+    expect(res.body.data).toMatchObject({ displayName: 'Ada', email: 'ada@example.com' });
+
+    const row = await Database.get('SELECT encryptedEmail FROM donors WHERE id = ?', [res.body.data.id]);
+    expect(row.encryptedEmail).not.toContain('ada@example.com');
+
+    const bad = await request(app).patch('/me').set(auth(wallet)).send({ email: 'not-an-email' }).expect(400);
+    expect(bad.body.error.code).toBe('INVALID_EMAIL');
+  });
+
+  it('changes some preferences and keeps the rest', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+
+    const res = await request(app).patch('/me/preferences').set(auth(wallet))
+      .send({ campaignUpdates: true })
+      .expect(200);
+    expect(res.body.data).toEqual({ receiptEmails: true, taxStatementEmails: true, campaignUpdates: true });
+
+    await request(app).patch('/me/preferences').set(auth(wallet)).send({ smsUpdates: true }).expect(400);
+    await request(app).patch('/me/preferences').set(auth(wallet)).send({ receiptEmails: 'no' }).expect(400);
+  });
+});
+
+describe('wallets', () => {
+  it('links a wallet proved by a signed challenge', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+    const second = StellarSdk.Keypair.random().publicKey();
+    const sep10 = stubSep10(second);
+
+    const challenge = await request(app).post('/me/wallets/challenge').set(auth(wallet))
+      .send({ account: second })
+      .expect(200);
+    expect(challenge.body.data.transaction).toBe('challenge-xdr');
+    expect(sep10.generateChallenge).toHaveBeenCalledWith(second);
+
+    const res = await request(app).post('/me/wallets').set(auth(wallet))
+      .send({ transaction: 'signed-xdr', label: 'Savings' })
+      .expect(201);
+    expect(res.body.data.map(w => w.publicKey)).toEqual([wallet, second]);
+    expect(res.body.data[1].label).toBe('Savings');
+
+    // Signing in with the new wallet reaches the same donor
+    const viaSecond = await request(app).get('/me').set(auth(second)).expect(200);
+    const viaFirst = await request(app).get('/me').set(auth(wallet)).expect(200);
+    expect(viaSecond.body.data.id).toBe(viaFirst.body.data.id);
+  });
+
+  it('rejects an invalid signature and a wallet owned by another donor', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+    const other = StellarSdk.Keypair.random().publicKey();
+    await request(app).patch('/me').set(auth(other)).send({ displayName: 'Other' }).expect(200);
+
+    const sep10 = stubSep10(other);
+    sep10.verifyChallenge.mockRejectedValueOnce(new Error('Missing client signature'));
+    await request(app).post('/me/wallets').set(auth(wallet)).send({ transaction: 'bad' }).expect(401);
+
+    const res = await request(app).post('/me/wallets').set(auth(wallet)).send({ transaction: 'signed-xdr' }).expect(409);
+    expect(res.body.error.code).toBe('WALLET_ALREADY_LINKED');
+  });
+
+  it('takes over a wallet whose sign-in profile was never used', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+    const second = StellarSdk.Keypair.random().publicKey();
+    const me = await request(app).get('/me').set(auth(wallet)).expect(200);
+    const abandoned = await request(app).get('/me').set(auth(second)).expect(200);
+    stubSep10(second);
+
+    const res = await request(app).post('/me/wallets').set(auth(wallet)).send({ transaction: 'signed-xdr' }).expect(201);
+
+    expect(res.body.data.map(w => w.publicKey)).toEqual([wallet, second]);
+    expect(await Database.get('SELECT id FROM donors WHERE id = ?', [abandoned.body.data.id])).toBeUndefined();
+    const viaSecond = await request(app).get('/me').set(auth(second)).expect(200);
+    expect(viaSecond.body.data.id).toBe(me.body.data.id);
+  });
+
+  it('returns 503 when SEP-10 is not configured', async () => {
+    jest.spyOn(SEP10Service, 'getConfigured').mockReturnValue(null);
+    const wallet = StellarSdk.Keypair.random().publicKey();
+    const res = await request(app).post('/me/wallets/challenge').set(auth(wallet))
+      .send({ account: wallet })
+      .expect(503);
+    expect(res.body.error.code).toBe('SEP10_NOT_CONFIGURED');
+  });
+
+  it('unlinks a wallet but not the one signed in with', async () => {
+    const wallet = StellarSdk.Keypair.random().publicKey();
+    const second = StellarSdk.Keypair.random().publicKey();
+    stubSep10(second);
+    await request(app).post('/me/wallets').set(auth(wallet)).send({ transaction: 'signed-xdr' }).expect(201);
+
+    const current = await request(app).delete(`/me/wallets/${wallet}`).set(auth(wallet)).expect(422);
+    expect(current.body.error.code).toBe('CURRENT_WALLET');
+
+    const res = await request(app).delete(`/me/wallets/${second}`).set(auth(wallet)).expect(200);
+    expect(res.body.data.map(w => w.publicKey)).toEqual([wallet]);
+    await request(app).delete(`/me/wallets/${second}`).set(auth(wallet)).expect(404);
+  });
+});
+
+describe('donations, receipts and schedules', () => {
+  let wallet;
+  let second;
+  let stranger;
+
+  beforeEach(async () => {
+    wallet = StellarSdk.Keypair.random().publicKey();
+    second = StellarSdk.Keypair.random().publicKey();
+    stranger = StellarSdk.Keypair.random().publicKey();
+    stubSep10(second);
+    await request(app).post('/me/wallets').set(auth(wallet)).send({ transaction: 'signed-xdr' }).expect(201);
+  });
+
+  it('lists donations from every linked wallet, newest first', async () => {
+    const older = Transaction.create({ amount: 5, donor: wallet, recipient: RECIPIENT, timestamp: '2025-01-01T00:00:00.000Z' });
+    const newer = Transaction.create({ amount: 7, donor: second, recipient: RECIPIENT, timestamp: '2025-02-01T00:00:00.000Z' });
+    Transaction.create({ amount: 9, donor: stranger, recipient: RECIPIENT });
+
+    const res = await request(app).get('/me/donations').set(auth(wallet)).expect(200);
+    expect(res.body.data.map(d => d.id)).toEqual([newer.id, older.id]);
+    expect(res.body.meta).toEqual({ total: 2, limit: 20, offset: 0 });
+
+    const page = await request(app).get('/me/donations?limit=1&offset=1').set(auth(wallet)).expect(200);
+    expect(page.body.data.map(d => d.id)).toEqual([older.id]);
+
+    await request(app).get('/me/donations?limit=0').set(auth(wallet)).expect(400);
+  });
+
+  it('serves receipts only for the donor\'s own donations', async () => {
+    const own = Transaction.create({ amount: 5, donor: second, recipient: RECIPIENT, timestamp: '2025-01-01T00:00:00.000Z' });
+    const theirs = Transaction.create({ amount: 5, donor: stranger, recipient: RECIPIENT });
+
+    const json = await request(app).get(`/me/donations/${own.id}/receipt?format=json`).set(auth(wallet)).expect(200);
+    expect(json.body.data).toMatchObject({
+      donationId: own.id,
+      donorPublicKey: second,
+      confirmationStatus: 'PENDING CONFIRMATION',
+    });
+
+    const pdf = await request(app).get(`/me/donations/${own.id}/receipt`).set(auth(wallet)).expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+
+    const res = await request(app).get(`/me/donations/${theirs.id}/receipt`).set(auth(wallet)).expect(404);
+    expect(res.body.error.code).toBe('DONATION_NOT_FOUND');
+  });
+
+  it('lists and pauses the donor\'s recurring schedules', async () => {
+    const own = await createSchedule(second);
+    const theirs = await createSchedule(stranger);
+
+    const list = await request(app).get('/me/recurring').set(auth(wallet)).expect(200);
+    expect(list.body.data.map(s => s.id)).toEqual([own]);
+
+    const paused = await request(app).post(`/me/recurring/${own}/pause`).set(auth(wallet)).send({ reason: 'Holiday' }).expect(200);
+    expect(paused.body.data).toMatchObject({ id: own, status: 'paused' });
+    await request(app).post(`/me/recurring/${own}/resume`).set(auth(wallet)).send({}).expect(200);
+
+    await request(app).post(`/me/recurring/${theirs}/pause`).set(auth(wallet)).send({}).expect(404);
+  });
+});
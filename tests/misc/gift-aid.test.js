@@ -0,0 +1,303 @@
+/**
+ * UK Gift Aid Tests
+ *
+ * Covers:
+ *  - Declarations: validation, encrypted storage, scopes and the donations
+ *    they cover, cancellation from the moment it is made
+ *  - Marking donations to registered charities when they are created, valued in GBP
+ *  - Claims: confirmed donations only, voiding refunds, and the HMRC
+ *    Charities Online schedule exported through ExportService
+ *  - The /me/gift-aid and /admin/gift-aid endpoints
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+const fs = require('fs/promises');
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const { issueAccessToken } = require('../../src/services/JwtService');
+const DonorService = require('../../src/services/DonorService');
+const ExportService = require('../../src/services/ExportService');
+const GiftAidService = require('../../src/services/GiftAidService');
+const meRouter = require('../../src/routes/me');
+const adminRouter = require('../../src/routes/admin/giftAid');
+
+const app = express();
+app.use(express.json());
+app.use('/me', meRouter);
+app.use('/admin/gift-aid', adminRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const CHARITY = StellarSdk.Keypair.random().publicKey();
+const OTHER_CHARITY = StellarSdk.Keypair.random().publicKey();
+const newWallet = () => StellarSdk.Keypair.random().publicKey();
+const auth = (publicKey) => ({
+  Authorization: `Bearer ${issueAccessToken({ sub: publicKey, auth_method: 'sep10', role: 'user' })}`,
+});
+
+const DECLARATION = {
+  title: 'Ms',
+  firstName: 'Jane',
+  lastName: "O'Brien",
+  houseNumber: '12',
+  postcode: 'sw1a1aa',
+  scope: 'past_and_future',
+  ukTaxpayer: true,
+};
+
+const donate = (donor, recipient, amount, timestamp, extra = {}) =>
+  Transaction.create({ amount, donor, recipient, timestamp, status: 'confirmed', ...extra });
+
+const refund = (donationId, amount) => Database.run(
+  'INSERT INTO refunds (original_donation_id, reverse_transaction_id, amount, refunded_at) VALUES (?, ?, ?, ?)',
+  [donationId, `reverse-${donationId}`, amount, new Date().toISOString()]
+);
+
+const waitForExport = async (exportId) => {
+  for (let i = 0; i < 50; i += 1) {
+    const job = await Database.get('SELECT * FROM export_jobs WHERE id = ?', [exportId]);
+    if (job && job.status !== 'pending') return job;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Export ${exportId} did not finish`);
+};
+
+beforeAll(async () => {
+  await Database.initialize();
+  // Without the foreign keys to transactions: this suite's donations live in the in-memory model
+  await Database.run(`CREATE TABLE IF NOT EXISTS refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    original_donation_id TEXT NOT NULL,
+    reverse_transaction_id TEXT NOT NULL UNIQUE,
+    amount REAL NOT NULL,
+    refunded_at DATETIME NOT NULL,
+    status TEXT DEFAULT 'completed'
+  )`);
+  await require('../../src/migrations/053_exchange_rate_history').up(Database);
+  await require('../../src/migrations/054_donor_accounts').up(Database);
+  await require('../../src/migrations/056_gift_aid').up(Database);
+  await Database.run(
+    'INSERT OR REPLACE INTO exchange_rate_history (currency, hour, rate, source, observedAt) VALUES (?, ?, ?, ?, ?)',
+    ['gbp', '2024-05-01T10:00:00.000Z', 0.1, 'file', '2024-05-01T10:00:00.000Z']
+  );
+  await GiftAidService.upsertCharity(CHARITY, { name: 'Riverside Food Bank', hmrcReference: 'ab12345' });
+});
+
+describe('declarations', () => {
+  it('validates the details HMRC needs', async () => {
+    const donor = await DonorService.resolveForWallet(newWallet());
+    await expect(GiftAidService.createDeclaration(donor.id, {
+      ...DECLARATION,
+      firstName: '=HYPERLINK("x")',
+      postcode: '12345',
+      scope: 'forever',
+      ukTaxpayer: false,
+    })).rejects.toMatchObject({
+      statusCode: 400,
+      details: {
+        errors: expect.arrayContaining([
+          expect.stringContaining('firstName'),
+          expect.stringContaining('postcode'),
+          expect.stringContaining('scope'),
+          expect.stringContaining('ukTaxpayer'),
+        ]),
+      },
+    });
+  });
+
+  it('stores the name and address encrypted and normalizes the postcode', async () => {
+    const donor = await DonorService.resolveForWallet(newWallet());
+    const declaration = await GiftAidService.createDeclaration(donor.id, DECLARATION);
+
+    expect(declaration).toMatchObject({ firstName: 'Jane', lastName: "O'Brien", postcode: 'SW1A 1AA', status: 'active' });
+    expect(declaration.wording).toContain('past 4 years');
+
+    const row = await Database.get('SELECT encryptedDonor FROM gift_aid_declarations WHERE id = ?', [declaration.id]);
+    expect(row.encryptedDonor).not.toContain('Brien');
+  });
+
+  it('marks the past four years of donations to registered charities for past_and_future', async () => {
+    const wallet = newWallet();
+    const donor = await DonorService.resolveForWallet(wallet);
+    donate(wallet, CHARITY, 100, '2024-05-01T10:30:00.000Z');
+    donate(wallet, CHARITY, 100, '2015-01-01T00:00:00.000Z');
+    donate(wallet, OTHER_CHARITY, 100, '2024-05-01T10:30:00.000Z');
+
+    const declaration = await GiftAidService.createDeclaration(donor.id, { ...DECLARATION, declarationDate: '2025-01-10' });
+
+    expect(declaration.markedDonations).toBe(1);
+    const [marked] = await GiftAidService.listDonations({ donorId: donor.id });
+    expect(marked).toMatchObject({ recipient: CHARITY, amountGbp: 10, rateSource: 'file', status: 'eligible' });
+  });
+
+  it('covers only its own donation when single, and nothing earlier when future', async () => {
+    const wallet = newWallet();
+    const donor = await DonorService.resolveForWallet(wallet);
+    const first = donate(wallet, CHARITY, 10, '2024-05-01T10:30:00.000Z', { originalAmount: 5, originalCurrency: 'gbp' });
+    donate(wallet, CHARITY, 10, '2024-05-01T11:30:00.000Z');
+
+    const single = await GiftAidService.createDeclaration(donor.id, { ...DECLARATION, scope: 'single', donationId: first.id });
+    expect(single.markedDonations).toBe(1);
+    const future = await GiftAidService.createDeclaration(donor.id, { ...DECLARATION, scope: 'future' });
+    expect(future.markedDonations).toBe(0);
+
+    const donations = await GiftAidService.listDonations({ donorId: donor.id });
+    expect(donations).toEqual([expect.objectContaining({ donationId: first.id, amountGbp: 5, rateSource: 'donation' })]);
+
+    await expect(GiftAidService.createDeclaration(donor.id, { ...DECLARATION, scope: 'single', donationId: 'nope' }))
+      .rejects.toMatchObject({ errorCode: 'DONATION_NOT_FOUND' });
+  });
+});
+
+describe('marking donations at creation', () => {
+  it('marks a new donation covered by a declaration and stops after cancellation', async () => {
+    const wallet = newWallet();
+    const donor = await DonorService.resolveForWallet(wallet);
+    const declaration = await GiftAidService.createDeclaration(donor.id, { ...DECLARATION, scope: 'future' });
+
+    const covered = donate(wallet, CHARITY, 50, new Date().toISOString(), { originalAmount: 8, originalCurrency: 'GBP' });
+    await expect(GiftAidService.markDonation(covered)).resolves.toEqual({ declarationId: declaration.id, amountGbp: 8 });
+    await expect(GiftAidService.markDonation(donate(wallet, OTHER_CHARITY, 50, new Date().toISOString()))).resolves.toBeNull();
+    await expect(GiftAidService.markDonation(donate(newWallet(), CHARITY, 50, new Date().toISOString()))).resolves.toBeNull();
+
+    const cancelled = await GiftAidService.cancelDeclaration(donor.id, declaration.id, { reason: 'No longer a taxpayer' });
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancellationReason: 'No longer a taxpayer' });
+    await expect(GiftAidService.cancelDeclaration(donor.id, declaration.id))
+      .rejects.toMatchObject({ errorCode: 'DECLARATION_ALREADY_CANCELLED' });
+
+    const later = donate(wallet, CHARITY, 50, new Date(Date.now() + 1000).toISOString(), { originalAmount: 8, originalCurrency: 'gbp' });
+    await expect(GiftAidService.markDonation(later)).resolves.toBeNull();
+    // The donation made before the cancellation stays claimable
+    expect(await GiftAidService.listDonations({ donorId: donor.id })).toEqual([
+      expect.objectContaining({ donationId: covered.id, status: 'eligible' }),
+    ]);
+  });
+});
+
+describe('claims', () => {
+  it('claims confirmed donations less refunds and exports the HMRC schedule', async () => {
+    const charity = StellarSdk.Keypair.random().publicKey();
+    await GiftAidService.upsertCharity(charity, { name: 'Hilltop Hospice', hmrcReference: 'XR9999' });
+    const wallet = newWallet();
+    const donor = await DonorService.resolveForWallet(wallet);
+    const gbp = { originalCurrency: 'gbp' };
+    const partlyRefunded = donate(wallet, charity, 100, '2024-05-02T09:00:00.000Z', { ...gbp, originalAmount: 40 });
+    donate(wallet, charity, 100, '2024-05-01T09:00:00.000Z', { ...gbp, originalAmount: 12.5 });
+    const refunded = donate(wallet, charity, 100, '2024-05-03T09:00:00.000Z', { ...gbp, originalAmount: 40 });
+    donate(wallet, charity, 100, '2024-05-04T09:00:00.000Z', { ...gbp, originalAmount: 40, status: 'pending' });
+    await refund(partlyRefunded.id, 50);
+    await refund(refunded.id, 100);
+    await GiftAidService.createDeclaration(donor.id, { ...DECLARATION, declarationDate: '2024-05-01' });
+
+    const claim = await GiftAidService.createClaim({ recipient: charity, endDate: '2024-05-31', requestedBy: 'admin-1' });
+    expect(claim).toMatchObject({
+      donationCount: 2,
+      totalAmount: 32.5,
+      giftAidAmount: 8.13,
+      charity: { name: 'Hilltop Hospice', hmrcReference: 'XR9999' },
+      skipped: { voided: 1, unpriced: 0 },
+    });
+
+    const job = await waitForExport(claim.exportId);
+    expect(job.status).toBe('completed');
+    const csv = await fs.readFile(job.filePath, 'utf8');
+    const lines = csv.split('\n');
+    expect(lines[0]).toBe(GiftAidService.CLAIM_SCHEDULE_HEADERS.join(','));
+    expect(lines.slice(1)).toEqual([
+      "1,Ms,Jane,O'Brien,12,SW1A 1AA,,,01/05/24,12.50",
+      "2,Ms,Jane,O'Brien,12,SW1A 1AA,,,02/05/24,20.00",
+    ]);
+
+    const statuses = Object.fromEntries((await GiftAidService.listDonations({ recipient: charity }))
+      .map((d) => [d.donationId, d.status]));
+    expect(statuses[refunded.id]).toBe('void');
+    expect(Object.values(statuses).sort()).toEqual(['claimed', 'claimed', 'eligible', 'void']);
+
+    // The pending donation waits; nothing else is left to claim
+    await expect(GiftAidService.createClaim({ recipient: charity }))
+      .rejects.toMatchObject({ errorCode: 'NO_ELIGIBLE_DONATIONS' });
+
+    await fs.unlink(job.filePath);
+  });
+
+  it('exports the same schedule as JSON again', async () => {
+    const [claim] = await GiftAidService.listClaims();
+    const again = await GiftAidService.exportClaim(claim.id, { format: 'json' });
+    expect(again.exportId).not.toBe(claim.exportId);
+
+    const job = await waitForExport(again.exportId);
+    const rows = JSON.parse(await fs.readFile(job.filePath, 'utf8'));
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ 'Last name': "O'Brien", 'Donation date': '01/05/24', 'Amount': '12.50' });
+    await fs.unlink(job.filePath);
+  });
+
+  it('is an export type ExportService knows', () => {
+    expect(() => ExportService.validateTypeAndFormat('gift_aid_claim', 'csv')).not.toThrow();
+    expect(() => ExportService.registerExportType('donations', {})).toThrow();
+  });
+});
+
+describe('/me/gift-aid', () => {
+  it('makes, lists and cancels the donor\'s declarations', async () => {
+    const wallet = newWallet();
+
+    const created = await request(app).post('/me/gift-aid/declarations').set(auth(wallet)).send(DECLARATION);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ scope: 'past_and_future', postcode: 'SW1A 1AA' });
+
+    const invalid = await request(app).post('/me/gift-aid/declarations').set(auth(wallet)).send({ scope: 'future' });
+    expect(invalid.status).toBe(400);
+
+    const list = await request(app).get('/me/gift-aid/declarations').set(auth(wallet));
+    expect(list.body.data).toHaveLength(1);
+
+    // Another donor cannot cancel it
+    const other = await request(app)
+      .post(`/me/gift-aid/declarations/${created.body.data.id}/cancel`).set(auth(newWallet())).send({});
+    expect(other.status).toBe(404);
+
+    const cancelled = await request(app)
+      .post(`/me/gift-aid/declarations/${created.body.data.id}/cancel`).set(auth(wallet)).send({ reason: 'Moved abroad' });
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.status).toBe('cancelled');
+
+    const donations = await request(app).get('/me/gift-aid/donations').set(auth(wallet));
+    expect(donations.body).toMatchObject({ success: true, count: 0 });
+  });
+});
+
+describe('/admin/gift-aid', () => {
+  it('registers charities and validates claims', async () => {
+    const charity = StellarSdk.Keypair.random().publicKey();
+    const put = await request(app).put(`/admin/gift-aid/charities/${charity}`).send({ name: 'Canal Trust', hmrcReference: 'CT1' });
+    expect(put.status).toBe(200);
+    expect(put.body.data.hmrcReference).toBe('CT1');
+
+    expect((await request(app).put('/admin/gift-aid/charities/not-a-key').send({ name: 'x', hmrcReference: 'AB1' })).status).toBe(400);
+    expect((await request(app).post('/admin/gift-aid/claims').send({})).body.error.code).toBe('MISSING_REQUIRED_FIELD');
+    expect((await request(app).post('/admin/gift-aid/claims').send({ recipient: charity, format: 'xml' })).status).toBe(400);
+    expect((await request(app).post('/admin/gift-aid/claims').send({ recipient: charity })).status).toBe(422);
+    expect((await request(app).get('/admin/gift-aid/claims/999999')).status).toBe(404);
+
+    expect((await request(app).delete(`/admin/gift-aid/charities/${charity}`)).status).toBe(200);
+    expect((await request(app).post('/admin/gift-aid/claims').send({ recipient: charity })).body.error.code)
+      .toBe('CHARITY_NOT_REGISTERED');
+  });
+});
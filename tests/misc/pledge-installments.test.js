@@ -0,0 +1,342 @@
+/**
+ * Pledge Installment Tests
+ *
+ * Covers:
+ *  - Installment plans: upfront part, equal split, expiry bound
+ *  - Collecting due installments from custodial wallets and recording
+ *    payments for other wallets, fulfilling the pledge on the last one
+ *  - Claiming an installment before its payment is sent, and recording a
+ *    donor's transaction against one installment only
+ *  - Reminders ahead of due dates
+ *  - Goal-reached fulfillment of a partly paid pledge
+ *  - Conversion into a recurring donation schedule
+ *  - The aging report under /admin/pledges
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+const mockStellar = { sendDonation: jest.fn() };
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+jest.mock('../../src/config/stellar', () => ({
+  ...jest.requireActual('../../src/config/stellar'),
+  getStellarService: () => mockStellar,
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const encryption = require('../../src/utils/encryption');
+const Pledge = require('../../src/models/Pledge');
+const PledgeFulfillmentService = require('../../src/services/PledgeFulfillmentService');
+const PledgeInstallmentService = require('../../src/services/PledgeInstallmentService');
+
+const app = express();
+app.use(express.json());
+app.use('/admin/pledges', require('../../src/routes/admin/pledges'));
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const XLM = 10000000;
+let txSeq = 0;
+let pledgeSeq = 0;
+
+const createUser = async (custodial = true) => {
+  const keypair = StellarSdk.Keypair.random();
+  const { id } = await Database.run(
+    'INSERT INTO users (publicKey, encryptedSecret) VALUES (?, ?)',
+    [keypair.publicKey(), custodial ? encryption.encrypt(keypair.secret()) : null]
+  );
+  return { id, publicKey: keypair.publicKey() };
+};
+
+const createCampaign = async () => {
+  const recipient = await createUser();
+  const { id } = await Database.run(
+    `INSERT INTO campaigns (name, goal_amount, current_amount, status, created_by)
+     VALUES ('School roof', 1000, 0, 'active', ?)`,
+    [recipient.id]
+  );
+  return { id, recipient };
+};
+
+const insertPledge = async (campaignId, donorWallet, amount, expiresInDays = 120) => {
+  const id = `pledge-${++pledgeSeq}-${Date.now()}`;
+  await Database.run(
+    'INSERT INTO pledges (id, campaign_id, donor_wallet_id, amount, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [id, campaignId, donorWallet, amount * XLM, new Date(Date.now() + expiresInDays * DAY).toISOString()]
+  );
+  return Pledge.findById(id);
+};
+
+const createPledge = async ({ amount = 100, custodial = true, expiresInDays = 120 } = {}) => {
+  const campaign = await createCampaign();
+  const donor = custodial ? await createUser() : { publicKey: StellarSdk.Keypair.random().publicKey() };
+  const pledge = await insertPledge(campaign.id, donor.publicKey, amount, expiresInDays);
+  return { pledge, campaign, donor };
+};
+
+const outboxEvents = async (pledgeId, eventType) => Database.all(
+  'SELECT * FROM event_outbox WHERE aggregate_id = ? AND event_type = ?',
+  [pledgeId, eventType]
+);
+
+beforeAll(async () => {
+  await Database.initialize();
+  await Pledge.initTable();
+  await require('../../src/migrations/060_pledge_installments').up(Database);
+});
+
+beforeEach(() => {
+  mockStellar.sendDonation.mockReset();
+  mockStellar.sendDonation.mockImplementation(async () => ({ transactionId: `tx-${++txSeq}`, ledger: 1 }));
+});
+
+describe('installment plans', () => {
+  it('collects the upfront part now and splits the rest into equal installments', async () => {
+    const { pledge, campaign } = await createPledge({ amount: 100 });
+
+    const res = await request(app)
+      .post(`/admin/pledges/${pledge.id}/installments`)
+      .send({ upfront_amount: 10, installments: 3, frequency: 'monthly' });
+
+    expect(res.status).toBe(201);
+    const plan = res.body.data;
+    expect(plan.installments.map((i) => [i.sequence, i.amount, i.status])).toEqual([
+      [1, 10 * XLM, 'paid'],
+      [2, 30 * XLM, 'scheduled'],
+      [3, 30 * XLM, 'scheduled'],
+      [4, 30 * XLM, 'scheduled'],
+    ]);
+    expect(plan).toMatchObject({ status: 'pending', paid_amount: 10 * XLM, outstanding: 90 * XLM });
+    expect(mockStellar.sendDonation).toHaveBeenCalledWith(expect.objectContaining({
+      destinationPublic: campaign.recipient.publicKey,
+      amount: '10.0000000',
+      memo: `Pledge ${pledge.id} #1`,
+    }));
+    expect(await outboxEvents(pledge.id, 'pledge.installment_paid')).toHaveLength(1);
+
+    const again = await request(app)
+      .post(`/admin/pledges/${pledge.id}/installments`)
+      .send({ installments: 2, frequency: 'weekly' });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('PLEDGE_PLAN_EXISTS');
+  });
+
+  it('gives the leftover stroops of an uneven split to the last installment', async () => {
+    const { pledge } = await createPledge({ amount: 10, custodial: false });
+    const plan = await PledgeInstallmentService.createPlan(pledge.id, { installments: 3, frequency: 'weekly' });
+    expect(plan.installments.map((i) => i.amount)).toEqual([33333333, 33333333, 33333334]);
+  });
+
+  it('rejects a plan that runs past the pledge expiry', async () => {
+    const { pledge } = await createPledge({ expiresInDays: 30 });
+    const res = await request(app)
+      .post(`/admin/pledges/${pledge.id}/installments`)
+      .send({ installments: 6, frequency: 'monthly' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('PLEDGE_PLAN_PAST_EXPIRY');
+  });
+});
+
+describe('collection and reminders', () => {
+  it('reminds once before each due date and fulfils the pledge with the last installment', async () => {
+    const { pledge } = await createPledge({ amount: 60 });
+    const plan = await PledgeInstallmentService.createPlan(pledge.id, { installments: 2, frequency: 'weekly' });
+    const [first, second] = plan.installments.map((i) => new Date(i.due_date));
+
+    await PledgeInstallmentService.sendReminders(new Date(first.getTime() - 5 * DAY), 3);
+    expect(await outboxEvents(pledge.id, 'pledge.installment_due')).toHaveLength(0);
+    await PledgeInstallmentService.sendReminders(new Date(first.getTime() - 2 * DAY), 3);
+    await PledgeInstallmentService.sendReminders(new Date(first.getTime() - 1 * DAY), 3);
+    const reminders = await outboxEvents(pledge.id, 'pledge.installment_due');
+    expect(reminders).toHaveLength(1);
+    expect(JSON.parse(reminders[0].payload)).toMatchObject({ sequence: 1, amount: 30 * XLM, outstanding: 60 * XLM });
+
+    await PledgeInstallmentService.collectDue(new Date(first.getTime() + 1000));
+    expect((await Pledge.findById(pledge.id)).paid_amount).toBe(30 * XLM);
+
+    await PledgeInstallmentService.collectDue(new Date(second.getTime() + 1000));
+    const paid = await PledgeInstallmentService.getPledge(pledge.id);
+    expect(paid).toMatchObject({ status: 'fulfilled', paid_amount: 60 * XLM, outstanding: 0 });
+    expect(await outboxEvents(pledge.id, 'pledge.fulfilled')).toHaveLength(1);
+  });
+
+  it('marks a failed collection and lets an admin retry it', async () => {
+    const { pledge } = await createPledge({ amount: 20 });
+    const plan = await PledgeInstallmentService.createPlan(pledge.id, { installments: 1, frequency: 'daily' });
+
+    // Earlier tests' pledges are due by now too; only this one's payment fails
+    mockStellar.sendDonation.mockImplementation(async ({ memo }) => {
+      if (memo.startsWith(`Pledge ${pledge.id} `)) throw new Error('op_underfunded');
+      return { transactionId: `tx-${++txSeq}` };
+    });
+
+    const due = new Date(new Date(plan.installments[0].due_date).getTime() + 1000);
+    await PledgeInstallmentService.collectDue(due);
+    let [installment] = (await PledgeInstallmentService.getPledge(pledge.id)).installments;
+    expect(installment).toMatchObject({ status: 'failed', failure_reason: 'op_underfunded' });
+
+    // Failed installments are not retried automatically
+    mockStellar.sendDonation.mockClear();
+    await PledgeInstallmentService.collectDue(due);
+    expect(mockStellar.sendDonation).not.toHaveBeenCalled();
+
+    mockStellar.sendDonation.mockImplementation(async () => ({ transactionId: `tx-${++txSeq}` }));
+
+    const res = await request(app).post(`/admin/pledges/${pledge.id}/installments/1/pay`);
+    expect(res.status).toBe(200);
+    [installment] = res.body.data.installments;
+    expect(installment).toMatchObject({ status: 'paid', failure_reason: null });
+    expect(res.body.data.status).toBe('fulfilled');
+  });
+
+  it('records payments from non-custodial wallets given their transaction', async () => {
+    const { pledge } = await createPledge({ amount: 40, custodial: false });
+    const plan = await PledgeInstallmentService.createPlan(pledge.id, { upfront_amount: 10, installments: 1, frequency: 'weekly' });
+    expect(plan.installments[0].status).toBe('scheduled');
+    expect(mockStellar.sendDonation).not.toHaveBeenCalled();
+
+    const due = new Date(new Date(plan.installments[1].due_date).getTime() + 1000);
+    await PledgeInstallmentService.collectDue(due);
+    expect((await PledgeInstallmentService.getPledge(pledge.id)).paid_amount).toBe(0);
+
+    let res = await request(app).post(`/admin/pledges/${pledge.id}/installments/1/pay`);
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('PLEDGE_DONOR_NOT_CUSTODIAL');
+
+    res = await request(app).post(`/admin/pledges/${pledge.id}/installments/1/pay`).send({ stellar_tx_id: 'donor-tx-1' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.installments[0]).toMatchObject({ status: 'paid', stellar_tx_id: 'donor-tx-1' });
+    expect(res.body.data).toMatchObject({ status: 'pending', paid_amount: 10 * XLM });
+
+    res = await request(app).post(`/admin/pledges/${pledge.id}/installments/1/pay`).send({ stellar_tx_id: 'donor-tx-1' });
+    expect(res.status).toBe(409);
+
+    // The same transaction cannot pay a second installment
+    res = await request(app).post(`/admin/pledges/${pledge.id}/installments/2/pay`).send({ stellar_tx_id: 'donor-tx-1' });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('STELLAR_TX_ALREADY_RECORDED');
+    expect((await PledgeInstallmentService.getPledge(pledge.id)).installments[1].status).toBe('scheduled');
+  });
+
+  it('sends an installment payment once when it is collected twice at the same time', async () => {
+    const { pledge } = await createPledge({ amount: 20 });
+    await PledgeInstallmentService.createPlan(pledge.id, { installments: 1, frequency: 'daily' });
+
+    let release;
+    let sending;
+    const sent = new Promise((resolve) => { sending = resolve; });
+    mockStellar.sendDonation.mockImplementation(() => new Promise((resolve) => {
+      release = () => resolve({ transactionId: `tx-${++txSeq}`, ledger: 1 });
+      sending();
+    }));
+
+    const first = PledgeInstallmentService.payInstallment(pledge.id, 1);
+    await sent;
+    expect((await PledgeInstallmentService.getPledge(pledge.id)).installments[0].status).toBe('collecting');
+
+    await expect(PledgeInstallmentService.payInstallment(pledge.id, 1)).rejects.toMatchObject({ errorCode: 'INVALID_STATE' });
+    release();
+    const paid = await first;
+
+    expect(mockStellar.sendDonation).toHaveBeenCalledTimes(1);
+    expect(paid).toMatchObject({ status: 'fulfilled', paid_amount: 20 * XLM });
+  });
+
+  it('collects only the outstanding balance when the campaign goal fulfils a partly paid pledge', async () => {
+    const { pledge } = await createPledge({ amount: 50 });
+    await PledgeInstallmentService.createPlan(pledge.id, { upfront_amount: 20, installments: 2, frequency: 'weekly' });
+    mockStellar.sendDonation.mockClear();
+
+    const result = await PledgeFulfillmentService.fulfillSinglePledge(pledge.id);
+
+    expect(result.success).toBe(true);
+    expect(mockStellar.sendDonation).toHaveBeenCalledTimes(1);
+    expect(mockStellar.sendDonation.mock.calls[0][0].amount).toBe('30.0000000');
+    const fulfilled = await PledgeInstallmentService.getPledge(pledge.id);
+    expect(fulfilled).toMatchObject({ status: 'fulfilled', paid_amount: 50 * XLM });
+    expect(fulfilled.installments.every((i) => i.status === 'paid')).toBe(true);
+  });
+});
+
+describe('conversion to a recurring donation', () => {
+  it('turns the outstanding balance into equal recurring executions', async () => {
+    const { pledge, campaign } = await createPledge({ amount: 100 });
+    await PledgeInstallmentService.createPlan(pledge.id, { upfront_amount: 10, installments: 2, frequency: 'monthly' });
+
+    let res = await request(app).post(`/admin/pledges/${pledge.id}/convert`).send({ frequency: 'weekly', executions: 7 });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('PLEDGE_UNEVEN_SPLIT');
+
+    res = await request(app).post(`/admin/pledges/${pledge.id}/convert`).send({ frequency: 'weekly', executions: 3 });
+    expect(res.status).toBe(200);
+    const converted = res.body.data;
+    expect(converted.status).toBe('converted');
+    expect(converted.installments.map((i) => i.status)).toEqual(['paid', 'cancelled', 'cancelled']);
+
+    const schedule = await Database.get('SELECT * FROM recurring_donations WHERE id = ?', [converted.recurring_schedule_id]);
+    expect(schedule).toMatchObject({ amount: 30, frequency: 'weekly', maxExecutions: 3, status: 'active', recipientId: campaign.recipient.id });
+    expect(await outboxEvents(pledge.id, 'pledge.converted')).toHaveLength(1);
+
+    res = await request(app).post(`/admin/pledges/${pledge.id}/convert`).send({ frequency: 'weekly', executions: 3 });
+    expect(res.status).toBe(409);
+  });
+
+  it('requires a custodial donor wallet', async () => {
+    const { pledge } = await createPledge({ custodial: false });
+    const res = await request(app).post(`/admin/pledges/${pledge.id}/convert`).send({ frequency: 'monthly', executions: 2 });
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('PLEDGE_DONOR_NOT_CUSTODIAL');
+  });
+});
+
+describe('aging report', () => {
+  it('reports pledged, collected, outstanding and overdue amounts for a campaign', async () => {
+    const { pledge, campaign } = await createPledge({ amount: 90, custodial: false });
+    const plan = await PledgeInstallmentService.createPlan(pledge.id, { installments: 3, frequency: 'weekly' });
+    await PledgeInstallmentService.payInstallment(pledge.id, 1, { stellarTxId: 'donor-tx-2' });
+    const converted = await insertPledge(campaign.id, (await createUser()).publicKey, 40);
+    const { recurring_schedule_id: scheduleId } = await PledgeInstallmentService.convertToRecurring(converted.id, { frequency: 'weekly', executions: 4 });
+    await Database.run('UPDATE recurring_donations SET executionCount = 1 WHERE id = ?', [scheduleId]);
+
+    // 40 days after the second installment was due, and 33 after the third
+    const asOf = new Date(new Date(plan.installments[1].due_date).getTime() + 40 * DAY);
+    const res = await request(app).get('/admin/pledges/aging').query({ campaign_id: campaign.id, as_of: asOf.toISOString() });
+
+    expect(res.status).toBe(200);
+    const report = res.body.data;
+    expect(report.totals).toEqual({
+      count: 2,
+      pledged: 130 * XLM,
+      collected: 40 * XLM,
+      outstanding: 90 * XLM,
+      overdue: 60 * XLM,
+    });
+    expect(report.by_status.converted).toEqual({ count: 1, pledged: 40 * XLM, collected: 10 * XLM, outstanding: 30 * XLM });
+    expect(report.overdue_aging).toEqual([
+      { bucket: '0-30', count: 0, amount: 0 },
+      { bucket: '31-60', count: 2, amount: 60 * XLM },
+      { bucket: '61-90', count: 0, amount: 0 },
+      { bucket: '90+', count: 0, amount: 0 },
+    ]);
+  });
+
+  it('rejects invalid report parameters', async () => {
+    const res = await request(app).get('/admin/pledges/aging').query({ as_of: 'yesterday' });
+    expect(res.status).toBe(400);
+  });
+});
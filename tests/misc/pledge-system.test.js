@@ -8,17 +8,18 @@
  *  - Pledge.fulfillAll / expireOverdue
  *  - PledgeFulfillmentService.checkAndFulfill (goal reached → atomic fulfillment)
  *  - PledgeFulfillmentService.expireOverdue (clock-injectable)
+ *  - pledge.fulfilled / pledge.expired events written to the outbox
  *  - expiryWorker start/stop
  *  - POST /campaigns/:id/pledges — active vs inactive campaign
  *  - GET  /campaigns/:id/pledges
  */
 
 jest.mock('../../src/utils/database');
-jest.mock('../../src/services/WebhookService', () => ({ deliver: jest.fn().mockResolvedValue(undefined) }));
+jest.mock('../../src/services/OutboxService', () => ({ enqueue: jest.fn().mockResolvedValue('event-1') }));
 jest.mock('../../src/utils/log', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }));
 
 const Database = require('../../src/utils/database');
-const WebhookService = require('../../src/services/WebhookService');
+const OutboxService = require('../../src/services/OutboxService');
 
 // ── Database mock helpers ─────────────────────────────────────────────────────
 
@@ -51,6 +52,9 @@ function mockDb() {
     return [];
   });
   Database.all = Database.query;
+  Database.runTransaction.mockImplementation(async (callback) =>
+    callback({ run: Database.run, get: Database.get, all: Database.query })
+  );
 }
 
 // ── Pledge model ──────────────────────────────────────────────────────────────
@@ -157,11 +161,23 @@ describe('PledgeFulfillmentService.checkAndFulfill', () => {
     );
   });
 
-  it('fires pledge.fulfilled webhook for each fulfilled pledge', async () => {
+  it('records a pledge.fulfilled outbox event for each fulfilled pledge', async () => {
     Database.get.mockResolvedValueOnce({ id: 1, goal_amount: 50, current_amount: 50 });
+    Database.run.mockResolvedValue({ changes: 1 });
     _store.pledges = [{ id: 'p1', campaign_id: 1, status: 'pending' }];
     await checkAndFulfill(1);
-    expect(WebhookService.deliver).toHaveBeenCalledWith('pledge.fulfilled', expect.any(Object));
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'pledge.fulfilled', aggregateId: 'p1' })
+    );
+    expect(Database.run).toHaveBeenCalledWith(expect.stringContaining('webhook_sent_at'), ['p1']);
+  });
+
+  it('does not record an event when the pledge was fulfilled concurrently', async () => {
+    Database.get.mockResolvedValueOnce({ id: 1, goal_amount: 50, current_amount: 50 });
+    _store.pledges = [{ id: 'p1', campaign_id: 1, status: 'pending' }];
+    await checkAndFulfill(1);
+    expect(OutboxService.enqueue).not.toHaveBeenCalled();
   });
 
   it('is idempotent — second call finds no pending pledges left', async () => {
@@ -190,7 +206,7 @@ describe('PledgeFulfillmentService.expireOverdue', () => {
     expect(result).toEqual({ expired: 0 });
   });
 
-  it('expires overdue pledges and fires webhooks', async () => {
+  it('expires overdue pledges and records outbox events in the same transaction', async () => {
     Database.run.mockResolvedValueOnce({ changes: 2 });
     _store.pledges = [
       { id: 'e1', status: 'expired' },
@@ -198,7 +214,12 @@ describe('PledgeFulfillmentService.expireOverdue', () => {
     ];
     const result = await expireOverdue('2026-01-01T00:00:00.000Z');
     expect(result).toEqual({ expired: 2 });
-    expect(WebhookService.deliver).toHaveBeenCalledWith('pledge.expired', expect.any(Object));
+    expect(Database.runTransaction).toHaveBeenCalledTimes(1);
+    expect(OutboxService.enqueue).toHaveBeenCalledTimes(2);
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'pledge.expired', aggregateId: 'e1' })
+    );
   });
 
   it('uses injected clock — future timestamp expires nothing', async () => {
@@ -290,9 +311,13 @@ describe('POST /campaigns/:id/pledges — route logic', () => {
   it('fulfills pledges when campaign goal is reached', async () => {
     Database.get.mockResolvedValueOnce({ id: 1, goal_amount: 10, current_amount: 10 });
     _store.pledges = [{ id: 'p1', campaign_id: 1, status: 'pending' }];
+    Database.run.mockResolvedValue({ changes: 1 });
     const result = await checkAndFulfill(1);
     expect(result.fulfilled).toBe(1);
-    expect(WebhookService.deliver).toHaveBeenCalledWith('pledge.fulfilled', expect.any(Object));
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ eventType: 'pledge.fulfilled' })
+    );
   });
 });
 
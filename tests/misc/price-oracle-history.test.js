@@ -0,0 +1,264 @@
+/**
+ * Price Oracle Aggregation and Rate History Tests
+ *
+ * Covers:
+ *  - Median-of-N aggregation with outlier rejection across price providers
+ *  - Stellar DEX mid-price provider
+ *  - Provider selection from a comma-separated PRICE_ORACLE_PROVIDER
+ *  - Hourly exchange_rate_history recording and getRateAt() / getPriceAtTime()
+ *  - Date-of-donation valuation in exports and /stats/value
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const priceOracle = require('../../src/services/PriceOracleService');
+const {
+  getPriceProvider,
+  PriceProvider,
+  MedianPriceProvider,
+  StellarDexPriceProvider,
+} = require('../../src/services/priceProviders');
+const DonationExportService = require('../../src/services/DonationExportService');
+const StatsService = require('../../src/services/StatsService');
+const TaxReceiptService = require('../../src/services/TaxReceiptService');
+
+class StubProvider extends PriceProvider {
+  constructor(name, rates) {
+    super();
+    this._name = name;
+    this.rates = rates;
+    this.calls = 0;
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  async fetchRates() {
+    this.calls += 1;
+    if (this.rates instanceof Error) throw this.rates;
+    return { rates: { ...this.rates }, timestamp: null };
+  }
+}
+
+const hourOf = (date) => {
+  const d = new Date(date);
+  d.setUTCMinutes(0, 0, 0);
+  return d.toISOString();
+};
+
+const insertHistory = (currency, hour, rate, source = 'file') => Database.run(
+  'INSERT INTO exchange_rate_history (currency, hour, rate, source, observedAt) VALUES (?, ?, ?, ?, ?)',
+  [currency, hour, rate, source, hour]
+);
+
+beforeAll(async () => {
+  await require('../../src/migrations/053_exchange_rate_history').up(Database);
+});
+
+beforeEach(async () => {
+  await Database.run('DELETE FROM exchange_rate_history');
+  priceOracle.setProvider(null);
+});
+
+afterAll(() => {
+  priceOracle.setProvider(null);
+  jest.restoreAllMocks();
+});
+
+describe('MedianPriceProvider', () => {
+  it('takes the median of the providers that agree and rejects outliers', async () => {
+    const provider = new MedianPriceProvider([
+      new StubProvider('a', { usd: 0.100 }),
+      new StubProvider('b', { usd: 0.102 }),
+      new StubProvider('c', { usd: 0.150 }),
+    ], { maxDeviation: 0.05 });
+
+    const { rates, sources } = await provider.fetchRates(['usd']);
+    expect(rates.usd).toBeCloseTo(0.101, 6);
+    expect(sources.usd).toBe('median(a,b)');
+    expect(provider.name).toBe('median(a,b,c)');
+  });
+
+  it('keeps answering when one provider fails', async () => {
+    const provider = new MedianPriceProvider([
+      new StubProvider('a', new Error('down')),
+      new StubProvider('b', { usd: 0.1, eur: 0.09 }),
+    ]);
+
+    const { rates, sources } = await provider.fetchRates(['usd', 'eur']);
+    expect(rates).toEqual({ usd: 0.1, eur: 0.09 });
+    expect(sources.usd).toBe('b');
+  });
+
+  it('does not quote a currency when two sources disagree', async () => {
+    const provider = new MedianPriceProvider([
+      new StubProvider('a', { usd: 0.10, eur: 0.09 }),
+      new StubProvider('b', { usd: 0.20, eur: 0.09 }),
+    ]);
+
+    const { rates } = await provider.fetchRates(['usd', 'eur']);
+    expect(rates).toEqual({ eur: 0.09 });
+  });
+
+  it('requires minSources agreeing prices', async () => {
+    const provider = new MedianPriceProvider([
+      new StubProvider('a', { usd: 0.10 }),
+      new StubProvider('b', new Error('down')),
+    ], { minSources: 2 });
+
+    await expect(provider.fetchRates(['usd'])).rejects.toThrow('No agreed price');
+  });
+});
+
+describe('StellarDexPriceProvider', () => {
+  const book = (bid, ask) => ({
+    bids: bid ? [{ price: String(bid) }] : [],
+    asks: ask ? [{ price: String(ask) }] : [],
+  });
+
+  it('uses the order book mid-price of each configured asset', async () => {
+    const stellarService = {
+      getOrderBook: jest.fn(async (base, counter) => (counter.startsWith('USDC') ? book(0.099, 0.101) : book(0.08, 0.12))),
+    };
+    const provider = new StellarDexPriceProvider(
+      StellarDexPriceProvider.parseAssets('usd=USDC:GISSUER1,eur=EURC:GISSUER2'),
+      { stellarService }
+    );
+
+    const { rates } = await provider.fetchRates(['usd', 'eur', 'gbp']);
+    expect(stellarService.getOrderBook).toHaveBeenCalledWith('XLM', 'USDC:GISSUER1', 1);
+    expect(rates.usd).toBeCloseTo(0.1, 6);
+    // eur spread is 40% of mid; gbp has no asset configured
+    expect(rates).not.toHaveProperty('eur');
+    expect(rates).not.toHaveProperty('gbp');
+  });
+
+  it('fails when no book is usable', async () => {
+    const provider = new StellarDexPriceProvider({ usd: 'USDC:GISSUER1' }, {
+      stellarService: { getOrderBook: jest.fn().mockResolvedValue(book(null, 0.1)) },
+    });
+    await expect(provider.fetchRates(['usd'])).rejects.toThrow('empty order book');
+  });
+
+  it('rejects malformed asset configuration', () => {
+    expect(() => StellarDexPriceProvider.parseAssets('usd=USDC')).toThrow('PRICE_ORACLE_DEX_ASSETS');
+    expect(() => new StellarDexPriceProvider({})).toThrow('requires at least one asset');
+  });
+});
+
+describe('getPriceProvider()', () => {
+  const saved = { ...process.env };
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  it('combines a comma-separated list with a median provider', () => {
+    process.env.PRICE_ORACLE_PROVIDER = 'coingecko, dex';
+    process.env.PRICE_ORACLE_DEX_ASSETS = 'usd=USDC:GISSUER1';
+    process.env.PRICE_ORACLE_MIN_SOURCES = '2';
+
+    const provider = getPriceProvider();
+    expect(provider).toBeInstanceOf(MedianPriceProvider);
+    expect(provider.name).toBe('median(coingecko,stellar-dex)');
+    expect(provider.minSources).toBe(2);
+  });
+
+  it('fails loudly for the dex provider without assets', () => {
+    process.env.PRICE_ORACLE_PROVIDER = 'dex';
+    delete process.env.PRICE_ORACLE_DEX_ASSETS;
+    expect(() => getPriceProvider()).toThrow('PRICE_ORACLE_DEX_ASSETS');
+  });
+});
+
+describe('rate history', () => {
+  it('records the first rate of each hour and reports per-currency sources', async () => {
+    const stub = new StubProvider('stub', { usd: 0.1, eur: 0.09, gbp: 0.08 });
+    priceOracle.setProvider(new MedianPriceProvider([stub]));
+
+    const quote = await priceOracle.quote(10, 'USD');
+    expect(quote.rateSource).toBe('stub');
+
+    stub.rates = { usd: 0.2, eur: 0.18, gbp: 0.16 };
+    priceOracle.invalidateCache();
+    await priceOracle.getRates();
+
+    const rows = await Database.all('SELECT * FROM exchange_rate_history WHERE currency = ?', ['usd']);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ rate: 0.1, source: 'stub', hour: hourOf(new Date()) });
+  });
+
+  it('getRateAt() returns the recorded hour, or the nearest earlier one within the gap', async () => {
+    await insertHistory('usd', '2025-03-01T10:00:00.000Z', 0.3);
+    await insertHistory('usd', '2025-03-01T12:00:00.000Z', 0.32);
+
+    expect(await priceOracle.getRateAt('USD', '2025-03-01T10:45:00Z')).toMatchObject({ rate: 0.3, hour: '2025-03-01T10:00:00.000Z' });
+    expect(await priceOracle.getRateAt('usd', '2025-03-01T11:59:59Z')).toMatchObject({ rate: 0.3 });
+    expect(await priceOracle.getRateAt('usd', '2025-03-01T12:00:00Z')).toMatchObject({ rate: 0.32 });
+    // Before the first recorded hour, and more than 24 hours after the last
+    expect(await priceOracle.getRateAt('usd', '2025-03-01T09:59:59Z')).toBeNull();
+    expect(await priceOracle.getRateAt('usd', '2025-03-02T13:00:00Z')).toBeNull();
+  });
+
+  it('getRateAt() does not fetch live rates for past timestamps', async () => {
+    const stub = new StubProvider('stub', { usd: 0.1 });
+    priceOracle.setProvider(stub);
+
+    expect(await priceOracle.getRateAt('usd', '2025-03-01T10:00:00Z')).toBeNull();
+    expect(stub.calls).toBe(0);
+
+    expect(await priceOracle.getRateAt('usd', new Date())).toMatchObject({ rate: 0.1, source: 'stub' });
+    expect(stub.calls).toBe(1);
+  });
+
+  it('getRateAt() rejects unsupported currencies', async () => {
+    await expect(priceOracle.getRateAt('jpy', new Date())).rejects.toThrow('Unsupported currency');
+    expect(await priceOracle.getRateAt('xlm', new Date())).toMatchObject({ rate: 1 });
+  });
+
+  it('getPriceAtTime() feeds tax receipts the historical rate', async () => {
+    await insertHistory('usd', '2025-03-01T10:00:00.000Z', 0.3);
+
+    expect(await TaxReceiptService.getExchangeRateAtTime('2025-03-01T10:30:00Z')).toBe(0.3);
+    await expect(TaxReceiptService.getExchangeRateAtTime('2024-01-01T00:00:00Z')).rejects.toThrow('Unable to retrieve exchange rate');
+  });
+});
+
+describe('date-of-donation valuation', () => {
+  beforeEach(async () => {
+    await insertHistory('usd', '2025-03-01T10:00:00.000Z', 0.3);
+    await insertHistory('usd', '2025-06-01T10:00:00.000Z', 0.5);
+  });
+
+  it('exports value each donation at the rate of its hour', async () => {
+    const donations = await DonationExportService.addUsdValues([
+      { amount: 10, timestamp: '2025-03-01T10:10:00Z' },
+      { amount: 10, timestamp: '2025-06-01T10:10:00Z' },
+      { amount: 10, timestamp: '2024-01-01T00:00:00Z' },
+      { amount: 25, timestamp: '2025-06-01T10:10:00Z', fiatAmount: 12.5, fiatCurrency: 'USD' },
+    ]);
+
+    expect(donations.map(d => d.usdValue)).toEqual([3, 5, null, 12.5]);
+    expect(DonationExportService.convertToCSV(donations).split('\n')[0]).toContain('usdValue');
+  });
+
+  it('StatsService.getValueStats() sums values and counts unpriced donations', async () => {
+    jest.spyOn(Transaction, 'getByDateRange').mockReturnValue([
+      { amount: 10, timestamp: '2025-03-01T10:10:00Z' },
+      { amount: 4, timestamp: '2025-06-01T10:59:00Z' },
+      { amount: 100, timestamp: '2024-01-01T00:00:00Z' },
+      { amount: 30, timestamp: '2025-06-01T10:30:00Z', originalAmount: 15, originalCurrency: 'USD' },
+    ]);
+
+    const stats = await StatsService.getValueStats(new Date('2024-01-01'), new Date('2025-12-31'), 'usd');
+    expect(stats).toMatchObject({ currency: 'USD', totalValue: '20.00', pricedCount: 3, unpricedCount: 1 });
+
+    await expect(StatsService.getValueStats(new Date('2024-01-01'), new Date('2025-12-31'), 'jpy'))
+      .rejects.toMatchObject({ errorCode: 'UNSUPPORTED_CURRENCY' });
+  });
+});
@@ -0,0 +1,432 @@
+/**
+ * Quadratic Funding Round Tests
+ *
+ * Covers:
+ *  - The quadratic funding distribution, with and without a per-project cap
+ *  - Counting donations during a round's window per SEP-10 verified donor,
+ *    resolved when the match is calculated, with one donor's wallets counted
+ *    once and unlinked wallets earning no match
+ *  - Only donations paid on the Stellar network counting, and refunded or
+ *    disputed donations no longer counting while the round is open
+ *  - Live estimates, finalizing and the batched payout
+ *  - Storing each batch's hash before it is submitted, settling batches with
+ *    an unknown outcome from the network, and taking over a crashed payout
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const encryption = require('../../src/utils/encryption');
+const { NotFoundError } = require('../../src/utils/errors');
+const DonationService = require('../../src/services/DonationService');
+const DonorService = require('../../src/services/DonorService');
+const MockStellarService = require('../../src/services/MockStellarService');
+const QuadraticFundingService = require('../../src/services/QuadraticFundingService');
+
+const app = express();
+app.use(express.json());
+app.use('/quadratic-funding', require('../../src/routes/quadraticFunding'));
+app.use('/admin/quadratic-funding', require('../../src/routes/admin/quadraticFunding'));
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const newWallet = () => StellarSdk.Keypair.random().publicKey();
+
+// Donors whose secret the service knows pay on the mock network; any other
+// donor's donation is only recorded
+const stellarService = new MockStellarService();
+const secrets = new Map();
+stellarService.getSecretForPublicKey = (publicKey) => secrets.get(publicKey) || null;
+const donationService = new DonationService(stellarService);
+
+const fundedWallet = async () => {
+  const { publicKey, secretKey } = await stellarService.createWallet();
+  await stellarService.fundTestnetWallet(publicKey);
+  secrets.set(publicKey, secretKey);
+  return publicKey;
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const createRound = async (body = {}) => {
+  const res = await request(app).post('/admin/quadratic-funding/rounds').send({
+    name: 'Ecosystem grants Q4',
+    pool_wallet: newWallet(),
+    matching_pool: 100,
+    starts_at: new Date(Date.now() - HOUR).toISOString(),
+    ends_at: new Date(Date.now() + HOUR).toISOString(),
+    ...body,
+  });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const addProject = async (roundId, name) => {
+  const res = await request(app)
+    .post(`/admin/quadratic-funding/rounds/${roundId}/projects`)
+    .send({ name, recipient_wallet: await fundedWallet() });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const verifiedWallet = async () => {
+  const wallet = await fundedWallet();
+  await DonorService.resolveForWallet(wallet);
+  return wallet;
+};
+
+const donate = async (recipient, amount, donor) => donationService.createDonationRecord({
+  amount,
+  donor: donor || await verifiedWallet(),
+  recipient,
+});
+
+const endRound = (roundId) => Database.run(
+  'UPDATE qf_rounds SET ends_at = ? WHERE id = ?',
+  [new Date(Date.now() - 1000).toISOString(), roundId]
+);
+
+beforeAll(async () => {
+  await Database.initialize();
+  await require('../../src/migrations/054_donor_accounts').up(Database);
+});
+
+describe('calculateDistribution', () => {
+  it('shares the pool in proportion to (Σ√c)² − Σc, favouring many small contributors', () => {
+    const [broad, single, pair] = QuadraticFundingService.calculateDistribution([
+      { contributions: [1, 1, 1, 1] },
+      { contributions: [4] },
+      { contributions: [1, 1] },
+    ], 10);
+
+    expect(broad).toMatchObject({ contributor_count: 4, total_contributions: 4, ideal_match: 12, capped: false });
+    expect(single).toMatchObject({ contributor_count: 1, ideal_match: 0, match_amount: 0 });
+    expect(broad.match_amount).toBeCloseTo(8.5714285, 7);
+    expect(pair.match_amount).toBeCloseTo(1.4285714, 7);
+    expect(broad.match_amount + pair.match_amount).toBeLessThanOrEqual(10);
+  });
+
+  it('caps a project and shares the excess among the others', () => {
+    const [broad, single, pair] = QuadraticFundingService.calculateDistribution([
+      { contributions: [1, 1, 1, 1] },
+      { contributions: [4] },
+      { contributions: [1, 1] },
+    ], 10, 60);
+
+    expect(broad).toMatchObject({ match_amount: 6, capped: true });
+    expect(single.match_amount).toBe(0);
+    expect(pair).toMatchObject({ match_amount: 4, capped: false });
+  });
+
+  it('leaves the pool unallocated when every project is capped', () => {
+    const results = QuadraticFundingService.calculateDistribution([
+      { contributions: [1, 1] },
+    ], 10, 25);
+    expect(results[0]).toMatchObject({ match_amount: 2.5, capped: true });
+  });
+});
+
+describe('rounds', () => {
+  it('validates a new round', async () => {
+    const res = await request(app).post('/admin/quadratic-funding/rounds').send({
+      name: 'Bad', pool_wallet: newWallet(), matching_pool: 10,
+      starts_at: new Date().toISOString(), ends_at: new Date(Date.now() - HOUR).toISOString(),
+    });
+    expect(res.status).toBe(400);
+  });
+
+  it('counts verified donors, with one donor\'s linked wallets counted once', async () => {
+    const round = await createRound();
+    const linked = await addProject(round.id, 'Wallet SDK');
+    const separate = await addProject(round.id, 'Block explorer');
+
+    // One donor, two wallets linked with SEP-10
+    const walletA = await fundedWallet();
+    const walletB = await fundedWallet();
+    const donor = await DonorService.resolveForWallet(walletA);
+    await Database.run(
+      'INSERT INTO donor_wallets (donorId, publicKey, verifiedAt) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [donor.id, walletB]
+    );
+    await donate(linked.recipient_wallet, 1, walletA);
+    await donate(linked.recipient_wallet, 1, walletB);
+
+    // Two other donors, and a wallet not linked to any donor
+    await donate(separate.recipient_wallet, 1);
+    await donate(separate.recipient_wallet, 1);
+    await donate(separate.recipient_wallet, 50, await fundedWallet());
+
+    const res = await request(app).get(`/quadratic-funding/rounds/${round.id}`);
+    expect(res.status).toBe(200);
+    const byName = Object.fromEntries(res.body.data.projects.map((p) => [p.name, p]));
+    expect(byName['Wallet SDK']).toMatchObject({ contributor_count: 1, total_contributions: 2, match_amount: 0 });
+    expect(byName['Block explorer']).toMatchObject({ contributor_count: 2, total_contributions: 2, ideal_match: 2, match_amount: 100 });
+    expect(res.body.data).toMatchObject({ accepting_contributions: true, allocated: 100, unallocated: 0 });
+  });
+
+  it('resolves donors when the match is calculated, not when the donation is made', async () => {
+    const round = await createRound();
+    const project = await addProject(round.id, 'Translations');
+    const wallet = await fundedWallet();
+    await donate(project.recipient_wallet, 1, wallet);
+    await donate(project.recipient_wallet, 1);
+
+    let [estimate] = await QuadraticFundingService.estimateMatches(round.id);
+    expect(estimate).toMatchObject({ contributor_count: 1, total_contributions: 1, match_amount: 0 });
+
+    // Linking the wallet with SEP-10 later counts its donation
+    await DonorService.resolveForWallet(wallet);
+    [estimate] = await QuadraticFundingService.estimateMatches(round.id);
+    expect(estimate).toMatchObject({ contributor_count: 2, total_contributions: 2, match_amount: 100 });
+  });
+
+  it('gives no match for a donation that is only recorded, not paid', async () => {
+    const round = await createRound();
+    const project = await addProject(round.id, 'Unpaid');
+    const unpaid = newWallet();
+    await DonorService.resolveForWallet(unpaid);
+
+    const record = await donate(project.recipient_wallet, 1, unpaid);
+    expect(record.stellarTxId).toBeFalsy();
+    await donate(project.recipient_wallet, 1);
+
+    const [estimate] = await QuadraticFundingService.estimateMatches(round.id);
+    expect(estimate).toMatchObject({ contributor_count: 1, total_contributions: 1, match_amount: 0 });
+  });
+
+  it('stops counting a refunded or disputed donation until the round is finalized', async () => {
+    const round = await createRound();
+    const project = await addProject(round.id, 'Refunds');
+    const kept = await donate(project.recipient_wallet, 1);
+    const refunded = await donate(project.recipient_wallet, 1);
+    await donate(project.recipient_wallet, 1);
+
+    expect(await QuadraticFundingService.removeDonation(refunded.id)).toBe(1);
+    let [estimate] = await QuadraticFundingService.estimateMatches(round.id);
+    expect(estimate).toMatchObject({ contributor_count: 2, total_contributions: 2 });
+
+    await endRound(round.id);
+    await QuadraticFundingService.finalizeRound(round.id);
+    expect(await QuadraticFundingService.removeDonation(kept.id)).toBe(0);
+    [estimate] = (await QuadraticFundingService.getRound(round.id)).projects;
+    expect(estimate).toMatchObject({ contributor_count: 2, total_contributions: 2 });
+  });
+
+  it('ignores donations outside the window and to non-projects', async () => {
+    const round = await createRound({
+      starts_at: new Date(Date.now() + HOUR).toISOString(),
+      ends_at: new Date(Date.now() + 2 * HOUR).toISOString(),
+    });
+    const project = await addProject(round.id, 'Later');
+    await donate(project.recipient_wallet, 5);
+    await donate(await fundedWallet(), 5);
+
+    const counted = await Database.get('SELECT COUNT(*) AS n FROM qf_contributions WHERE round_id = ?', [round.id]);
+    expect(counted.n).toBe(0);
+    expect((await QuadraticFundingService.getRound(round.id)).accepting_contributions).toBe(false);
+  });
+
+  it('only finalizes after the round ends, then fixes the distribution', async () => {
+    const round = await createRound({ matching_pool: 50 });
+    const project = await addProject(round.id, 'Docs');
+    await donate(project.recipient_wallet, 2);
+    await donate(project.recipient_wallet, 8);
+
+    let res = await request(app).post(`/admin/quadratic-funding/rounds/${round.id}/finalize`);
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('QF_ROUND_NOT_ENDED');
+
+    await endRound(round.id);
+    res = await request(app).post(`/admin/quadratic-funding/rounds/${round.id}/finalize`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('finalized');
+    expect(res.body.data.projects[0]).toMatchObject({ contributor_count: 2, match_amount: 50, payout_status: 'pending' });
+
+    // Donations after finalizing no longer change it
+    await donate(project.recipient_wallet, 100);
+    res = await request(app).get(`/quadratic-funding/rounds/${round.id}`);
+    expect(res.body.data.projects[0].total_contributions).toBe(10);
+
+    res = await request(app).post(`/admin/quadratic-funding/rounds/${round.id}/projects`)
+      .send({ name: 'Too late', recipient_wallet: newWallet() });
+    expect(res.status).toBe(422);
+  });
+});
+
+describe('payout', () => {
+  const finalizedRound = async (poolWallet, projectCount) => {
+    const round = await createRound({ pool_wallet: poolWallet, matching_pool: 90 });
+    for (let i = 0; i < projectCount; i++) {
+      const project = await addProject(round.id, `Project ${i}`);
+      await donate(project.recipient_wallet, 1);
+      await donate(project.recipient_wallet, 1);
+    }
+    await endRound(round.id);
+    await QuadraticFundingService.finalizeRound(round.id);
+    return round;
+  };
+
+  const custodialPool = async () => {
+    const pool = StellarSdk.Keypair.random();
+    await Database.run('INSERT INTO users (publicKey, encryptedSecret) VALUES (?, ?)',
+      [pool.publicKey(), encryption.encrypt(pool.secret())]);
+    return pool;
+  };
+
+  const markSubmitting = (roundId, transactionId, age) => Database.run(
+    `UPDATE qf_distributions SET payout_status = 'submitting', payout_tx_id = ?, payout_submitted_at = datetime('now', ?)
+     WHERE round_id = ?`,
+    [transactionId, age, roundId]
+  );
+
+  const notFound = () => new NotFoundError('Transaction not found', 'TRANSACTION_NOT_FOUND');
+
+  it('refuses a pool wallet that is not custodial', async () => {
+    const round = await finalizedRound(newWallet(), 1);
+    const res = await request(app).post(`/admin/quadratic-funding/rounds/${round.id}/payout`);
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('QF_POOL_WALLET_NOT_CUSTODIAL');
+  });
+
+  it('pays the matches in one batch and marks the round paid', async () => {
+    const pool = await custodialPool();
+    const round = await finalizedRound(pool.publicKey(), 3);
+    const stellarService = { sendBatchDonations: jest.fn().mockResolvedValue({ transactionId: 'tx-qf-1', ledger: 1 }) };
+
+    const result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+
+    expect(stellarService.sendBatchDonations).toHaveBeenCalledTimes(1);
+    const [secret, payments] = stellarService.sendBatchDonations.mock.calls[0];
+    expect(secret).toBe(pool.secret());
+    expect(payments).toHaveLength(3);
+    expect(payments[0]).toMatchObject({ amount: '30.0000000', memo: `QF round ${round.id}` });
+    expect(result).toMatchObject({ failed: 0, transactions: [{ transactionId: 'tx-qf-1', payments: 3 }] });
+    expect(result.round.status).toBe('paid');
+    expect(result.round.projects.every((p) => p.payout_status === 'paid' && p.payout_tx_id === 'tx-qf-1')).toBe(true);
+
+    await expect(QuadraticFundingService.payoutRound(round.id, { stellarService }))
+      .rejects.toMatchObject({ errorCode: 'QF_ROUND_ALREADY_PAID' });
+  });
+
+  it('keeps failed payments for a retry', async () => {
+    const pool = await custodialPool();
+    const round = await finalizedRound(pool.publicKey(), 2);
+    const stellarService = {
+      sendBatchDonations: jest.fn()
+        .mockRejectedValueOnce(new Error('tx_insufficient_balance'))
+        .mockResolvedValueOnce({ transactionId: 'tx-qf-retry', ledger: 2 }),
+    };
+
+    let result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+    expect(result.failed).toBe(2);
+    expect(result.round.status).toBe('finalized');
+    expect(result.round.projects.map((p) => p.payout_status)).toEqual(['failed', 'failed']);
+
+    result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+    expect(result.failed).toBe(0);
+    expect(result.round.status).toBe('paid');
+  });
+
+  it('stores the hash before submitting and does not resubmit a batch it could not mark paid', async () => {
+    const pool = await custodialPool();
+    const round = await finalizedRound(pool.publicKey(), 2);
+    let beforeSubmit;
+    const stellarService = {
+      sendBatchDonations: jest.fn(async (secret, payments, { onSigned }) => {
+        await onSigned('tx-qf-signed');
+        beforeSubmit = await Database.all(
+          'SELECT payout_status, payout_tx_id FROM qf_distributions WHERE round_id = ?', [round.id]
+        );
+        return { transactionId: 'tx-qf-signed', ledger: 3 };
+      }),
+      getTransaction: jest.fn().mockResolvedValue({ hash: 'tx-qf-signed', successful: true }),
+    };
+
+    const run = Database.run.bind(Database);
+    const runSpy = jest.spyOn(Database, 'run').mockImplementation((sql, params) => (
+      sql.includes('UPDATE qf_distributions SET payout_status = ?, payout_tx_id = ?, paid_at')
+        ? Promise.reject(new Error('SQLITE_BUSY: database is locked'))
+        : run(sql, params)
+    ));
+    let result;
+    try {
+      result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+    } finally {
+      runSpy.mockRestore();
+    }
+
+    expect(beforeSubmit).toEqual([
+      { payout_status: 'submitting', payout_tx_id: 'tx-qf-signed' },
+      { payout_status: 'submitting', payout_tx_id: 'tx-qf-signed' },
+    ]);
+    expect(result).toMatchObject({ failed: 0, unconfirmed: 2, transactions: [] });
+    expect(result.round.status).toBe('finalized');
+    expect(result.round.projects.map((p) => p.payout_status)).toEqual(['submitting', 'submitting']);
+
+    // The next payout confirms the batch on the network instead of sending it again
+    result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+    expect(stellarService.sendBatchDonations).toHaveBeenCalledTimes(1);
+    expect(stellarService.getTransaction).toHaveBeenCalledWith('tx-qf-signed');
+    expect(result).toMatchObject({ failed: 0, unconfirmed: 0 });
+    expect(result.round.status).toBe('paid');
+    expect(result.round.projects.every((p) => p.payout_status === 'paid' && p.payout_tx_id === 'tx-qf-signed')).toBe(true);
+  });
+
+  it('leaves a recent batch that is not on the network yet for a later payout', async () => {
+    const pool = await custodialPool();
+    const round = await finalizedRound(pool.publicKey(), 2);
+    await markSubmitting(round.id, 'tx-qf-recent', '-5 seconds');
+    const stellarService = {
+      sendBatchDonations: jest.fn(),
+      getTransaction: jest.fn().mockRejectedValue(notFound()),
+    };
+
+    const result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+
+    expect(stellarService.sendBatchDonations).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ failed: 0, unconfirmed: 2 });
+    expect(result.round.status).toBe('finalized');
+    expect(result.round.projects.every((p) => p.payout_tx_id === 'tx-qf-recent')).toBe(true);
+  });
+
+  it('takes over a payout left by a crash and retries a batch that expired off the network', async () => {
+    const pool = await custodialPool();
+    const round = await finalizedRound(pool.publicKey(), 2);
+    await markSubmitting(round.id, 'tx-qf-lost', '-1 hour');
+    await Database.run("UPDATE qf_rounds SET status = 'paying', updatedAt = datetime('now', '-1 minute') WHERE id = ?", [round.id]);
+    const stellarService = {
+      sendBatchDonations: jest.fn(async (secret, payments, { onSigned }) => {
+        await onSigned('tx-qf-retry');
+        return { transactionId: 'tx-qf-retry', ledger: 4 };
+      }),
+      getTransaction: jest.fn().mockRejectedValue(notFound()),
+    };
+
+    // A payout that may still be running is not taken over
+    await expect(QuadraticFundingService.payoutRound(round.id, { stellarService }))
+      .rejects.toMatchObject({ errorCode: 'QF_PAYOUT_IN_PROGRESS' });
+
+    await Database.run("UPDATE qf_rounds SET updatedAt = datetime('now', '-1 hour') WHERE id = ?", [round.id]);
+    const result = await QuadraticFundingService.payoutRound(round.id, { stellarService });
+
+    expect(stellarService.getTransaction).toHaveBeenCalledWith('tx-qf-lost');
+    expect(result).toMatchObject({ failed: 0, unconfirmed: 0, transactions: [{ transactionId: 'tx-qf-retry', payments: 2 }] });
+    expect(result.round.status).toBe('paid');
+  });
+});
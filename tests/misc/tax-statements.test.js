@@ -0,0 +1,319 @@
+/**
+ * Annual Tax Statement Tests
+ *
+ * Covers:
+ *  - Jurisdiction templates: registry, tax-year periods, required organisation settings
+ *  - Fair market value at the rate of each donation's hour, refund adjustments,
+ *    sponsor matches and per-organisation totals
+ *  - CSV and PDF rendering
+ *  - The batch run that stores every statement of a tax year
+ *  - GET /me/tax-statements and the admin endpoints
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const Transaction = require('../../src/models/transaction');
+const config = require('../../src/config');
+const { issueAccessToken } = require('../../src/services/JwtService');
+const DonorService = require('../../src/services/DonorService');
+const TaxStatementService = require('../../src/services/TaxStatementService');
+const { getTemplate, listTemplates } = require('../../src/services/taxStatementTemplates');
+const meRouter = require('../../src/routes/me');
+const adminRouter = require('../../src/routes/admin/taxStatements');
+
+const app = express();
+app.use(express.json());
+app.use('/me', meRouter);
+app.use('/admin/tax-statements', adminRouter);
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const ORG_A = StellarSdk.Keypair.random().publicKey();
+const ORG_B = StellarSdk.Keypair.random().publicKey();
+const newWallet = () => StellarSdk.Keypair.random().publicKey();
+const auth = (publicKey) => ({
+  Authorization: `Bearer ${issueAccessToken({ sub: publicKey, auth_method: 'sep10', role: 'user' })}`,
+});
+
+const insertRate = (hour, rate, currency = 'usd') => Database.run(
+  'INSERT OR REPLACE INTO exchange_rate_history (currency, hour, rate, source, observedAt) VALUES (?, ?, ?, ?, ?)',
+  [currency, hour, rate, 'file', hour]
+);
+
+const donate = (donor, recipient, amount, timestamp, extra = {}) =>
+  Transaction.create({ amount, donor, recipient, timestamp, status: 'confirmed', ...extra });
+
+const waitForRun = async (id) => {
+  for (let i = 0; i < 50; i += 1) {
+    const run = await TaxStatementService.getRun(id);
+    if (!['queued', 'running'].includes(run.status)) return run;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Run ${id} did not finish`);
+};
+
+const originalTaxConfig = config.taxReceipt;
+
+beforeAll(async () => {
+  await Database.initialize();
+  // Without the foreign keys to transactions: this suite's donations live in the in-memory model
+  await Database.run(`CREATE TABLE IF NOT EXISTS refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    original_donation_id TEXT NOT NULL,
+    reverse_transaction_id TEXT NOT NULL UNIQUE,
+    amount REAL NOT NULL,
+    refunded_at DATETIME NOT NULL,
+    status TEXT DEFAULT 'completed'
+  )`);
+  await require('../../src/migrations/053_exchange_rate_history').up(Database);
+  await require('../../src/migrations/054_donor_accounts').up(Database);
+  await require('../../src/migrations/055_tax_statements').up(Database);
+  await Database.run(`CREATE TABLE IF NOT EXISTS matching_donations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    matching_program_id INTEGER NOT NULL,
+    original_donation_id INTEGER NOT NULL,
+    matched_amount REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await insertRate('2024-03-01T10:00:00.000Z', 0.1);
+  await insertRate('2024-06-01T10:00:00.000Z', 0.2);
+  await insertRate('2024-09-01T10:00:00.000Z', 0.5);
+  await insertRate('2024-03-01T10:00:00.000Z', 0.08, 'gbp');
+});
+
+beforeEach(async () => {
+  config.taxReceipt = {
+    ...originalTaxConfig,
+    legalName: 'Helping Hands Foundation',
+    ein: '12-3456789',
+    ukCharityNumber: '1234567',
+    caRegistrationNumber: '123456789RR0001',
+    city: 'Toronto',
+    state: 'ON',
+    statementJurisdiction: 'US',
+  };
+  await Database.run('DELETE FROM tax_statements');
+  await Database.run('DELETE FROM tax_statement_runs');
+});
+
+afterAll(() => {
+  config.taxReceipt = originalTaxConfig;
+});
+
+describe('jurisdiction templates', () => {
+  it('registers the US, UK and Canadian templates', () => {
+    expect(listTemplates().map((t) => t.code)).toEqual(['US', 'UK', 'CA']);
+    expect(getTemplate('uk').currency).toBe('gbp');
+    expect(() => getTemplate('FR')).toThrow(expect.objectContaining({ errorCode: 'UNSUPPORTED_JURISDICTION' }));
+  });
+
+  it('uses the 6 April – 5 April year in the UK', () => {
+    expect(getTemplate('UK').period(2024)).toEqual({
+      start: new Date('2024-04-06T00:00:00.000Z'),
+      end: new Date('2025-04-06T00:00:00.000Z'),
+    });
+    expect(getTemplate('US').period(2024).start).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+  });
+
+  it('requires the organisation settings of the jurisdiction', async () => {
+    config.taxReceipt = { ...config.taxReceipt, caRegistrationNumber: null };
+    await expect(TaxStatementService.build({ subject: 'wallet:x', wallets: [], taxYear: 2024, jurisdiction: 'CA' }))
+      .rejects.toMatchObject({ errorCode: 'CONFIGURATION_ERROR', message: expect.stringContaining('ORGANIZATION_CA_REGISTRATION_NUMBER') });
+  });
+});
+
+describe('TaxStatementService.build()', () => {
+  it('values donations at the rate of their hour and adjusts for refunds', async () => {
+    const wallet = newWallet();
+    const first = donate(wallet, ORG_A, 100, '2024-03-01T10:30:00.000Z');
+    const refundedPart = donate(wallet, ORG_A, 50, '2024-06-01T10:05:00.000Z');
+    const matched = donate(wallet, ORG_B, 40, '2024-09-01T10:59:00.000Z');
+    donate(wallet, ORG_A, 999, '2023-12-31T23:59:59.000Z');
+    donate(wallet, ORG_A, 999, '2024-05-01T00:00:00.000Z', { status: 'pending' });
+    donate(newWallet(), ORG_A, 999, '2024-03-01T10:30:00.000Z');
+
+    await Database.run(
+      `INSERT INTO refunds (original_donation_id, reverse_transaction_id, amount, refunded_at, status)
+       VALUES (?, ?, ?, ?, 'completed')`,
+      [refundedPart.id, `rev-${refundedPart.id}`, 20, '2024-06-02T00:00:00.000Z']
+    );
+    await Database.run(
+      'INSERT INTO matching_donations (matching_program_id, original_donation_id, matched_amount) VALUES (1, ?, ?)',
+      [matched.id, 40]
+    );
+
+    const statement = await TaxStatementService.build({ subject: `wallet:${wallet}`, wallets: [wallet], taxYear: 2024 });
+
+    expect(statement).toMatchObject({ jurisdiction: 'US', currency: 'USD', taxYear: 2024, final: true });
+    expect(statement.lines.map((l) => l.donationId)).toEqual([first.id, refundedPart.id, matched.id]);
+    expect(statement.lines[0]).toMatchObject({ rate: 0.1, fairMarketValue: 10, deductibleValue: 10 });
+    expect(statement.lines[1]).toMatchObject({ fairMarketValue: 10, refundedXlm: 20, refundAdjustment: -4, deductibleValue: 6 });
+    expect(statement.lines[2]).toMatchObject({ fairMarketValue: 20, matchedXlm: 40, deductibleValue: 20 });
+
+    expect(statement.totals).toMatchObject({
+      donationCount: 3,
+      xlmAmount: 190,
+      fairMarketValue: 40,
+      refundAdjustment: -4,
+      deductibleValue: 36,
+      matchedXlm: 40,
+      unpricedCount: 0,
+    });
+    expect(statement.byOrganization).toEqual([
+      expect.objectContaining({ organization: ORG_B, donationCount: 1, deductibleValue: 20, matchedXlm: 40 }),
+      expect.objectContaining({ organization: ORG_A, donationCount: 2, deductibleValue: 16, refundAdjustment: -4 }),
+    ]);
+    expect(statement.jurisdictionDetails).toMatchObject({ formType: '8283', fields: { ein: '12-3456789', form8283Section: null } });
+  });
+
+  it('flags Form 8283 sections and unpriced donations', async () => {
+    const wallet = newWallet();
+    donate(wallet, ORG_A, 20000, '2024-09-01T10:00:00.000Z');
+    donate(wallet, ORG_A, 5, '2024-11-15T00:00:00.000Z');
+
+    const statement = await TaxStatementService.build({ subject: `wallet:${wallet}`, wallets: [wallet], taxYear: 2024 });
+    expect(statement.totals).toMatchObject({ deductibleValue: 10000, unpricedCount: 1 });
+    expect(statement.jurisdictionDetails.fields.form8283Section).toBe('B');
+    expect(statement.jurisdictionDetails.notices.join(' ')).toMatch(/qualified appraisal/);
+    expect(statement.jurisdictionDetails.notices.join(' ')).toMatch(/no recorded exchange rate/);
+  });
+
+  it('states UK statements in GBP with the Gift Aid declaration', async () => {
+    const wallet = newWallet();
+    donate(wallet, ORG_A, 100, '2024-03-01T10:15:00.000Z'); // 2023-24 UK tax year
+    donate(wallet, ORG_A, 10, '2024-04-06T00:00:00.000Z', { originalAmount: 7.5, originalCurrency: 'GBP' });
+
+    const statement = await TaxStatementService.build({
+      subject: `wallet:${wallet}`, wallets: [wallet], taxYear: 2024, jurisdiction: 'UK',
+    });
+    expect(statement.currency).toBe('GBP');
+    expect(statement.lines).toHaveLength(1);
+    expect(statement.lines[0]).toMatchObject({ fairMarketValue: 7.5, rateSource: 'donation' });
+    expect(statement.jurisdictionDetails.fields).toMatchObject({ charityNumber: '1234567', taxYear: '2024-25' });
+    expect(statement.jurisdictionDetails.notices[0]).toMatch(/I want to Gift Aid my donation/);
+
+    const earlier = await TaxStatementService.build({
+      subject: `wallet:${wallet}`, wallets: [wallet], taxYear: 2023, jurisdiction: 'UK',
+    });
+    expect(earlier.lines[0]).toMatchObject({ rate: 0.08, fairMarketValue: 8 });
+  });
+
+  it('renders CSV with a total row, and PDF', async () => {
+    const wallet = newWallet();
+    donate(wallet, ORG_A, 100, '2024-03-01T10:30:00.000Z');
+    const statement = await TaxStatementService.build({ subject: `wallet:${wallet}`, wallets: [wallet], taxYear: 2024 });
+
+    const csv = await TaxStatementService.render(statement, 'csv');
+    const rows = csv.body.split('\n');
+    expect(rows[0]).toBe('donationId,date,organization,transactionHash,xlmAmount,currency,rate,rateSource,fairMarketValue,refundedXlm,refundAdjustment,matchedXlm,deductibleValue');
+    expect(rows[rows.length - 1]).toMatch(/^TOTAL,,,,100,USD,,,10,0,0,0,10$/);
+
+    const pdf = await TaxStatementService.render(statement, 'pdf');
+    expect(pdf.contentType).toBe('application/pdf');
+    expect(pdf.body.slice(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('rejects years outside the supported range', async () => {
+    await expect(TaxStatementService.build({ subject: 'wallet:x', wallets: [], taxYear: 1999 }))
+      .rejects.toMatchObject({ errorCode: 'INVALID_TAX_YEAR' });
+    expect(() => TaxStatementService.parseTaxYear(new Date().getUTCFullYear() + 1)).toThrow('taxYear must be');
+  });
+});
+
+describe('batch runs', () => {
+  it('stores one statement per donor account and per unlinked wallet', async () => {
+    const first = newWallet();
+    const second = newWallet();
+    const loner = newWallet();
+    const profile = await DonorService.resolveForWallet(first);
+    await DonorService.linkWallet(profile.id, second);
+    donate(first, ORG_A, 100, '2024-03-01T10:30:00.000Z');
+    donate(second, ORG_B, 40, '2024-09-01T10:30:00.000Z');
+    donate(loner, ORG_A, 10, '2024-06-01T10:30:00.000Z');
+
+    const run = await TaxStatementService.startRun({ taxYear: 2024, requestedBy: 'admin-1' });
+    expect(run.status).toBe('queued');
+    const done = await waitForRun(run.id);
+    expect(done).toMatchObject({ status: 'completed', failedCount: 0 });
+    expect(done.generatedCount).toBe(done.subjectCount);
+
+    const { statements } = await TaxStatementService.listStatements({ runId: run.id });
+    const donorRow = statements.find((s) => s.subject === `donor:${profile.id}`);
+    expect(donorRow).toMatchObject({ donorId: profile.id, donationCount: 2, deductibleValue: 30, currency: 'USD' });
+    expect(statements.find((s) => s.subject === `wallet:${loner}`)).toMatchObject({ donorId: null, deductibleValue: 2 });
+
+    const stored = await TaxStatementService.getStoredStatement(donorRow.id);
+    expect(stored.donor.wallets.sort()).toEqual([first, second].sort());
+  });
+
+  it('refuses a second run of the same year while one is in progress', async () => {
+    await Database.run(
+      "INSERT INTO tax_statement_runs (taxYear, jurisdiction, status) VALUES (2024, 'US', 'running')"
+    );
+    await expect(TaxStatementService.startRun({ taxYear: 2024 })).rejects.toMatchObject({ errorCode: 'RUN_IN_PROGRESS' });
+  });
+});
+
+describe('routes', () => {
+  it('GET /me/tax-statements/:year builds the statement across linked wallets', async () => {
+    const wallet = newWallet();
+    donate(wallet, ORG_A, 100, '2024-03-01T10:30:00.000Z');
+
+    const res = await request(app).get('/me/tax-statements/2024').set(auth(wallet)).expect(200);
+    expect(res.body.data).toMatchObject({ jurisdiction: 'US', totals: { deductibleValue: 10 } });
+    expect(res.body.data.donor.subject).toMatch(/^donor:/);
+
+    const csv = await request(app).get('/me/tax-statements/2024?format=csv').set(auth(wallet)).expect(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+
+    await request(app).get('/me/tax-statements/2024?jurisdiction=FR').set(auth(wallet)).expect(400);
+    await request(app).get('/me/tax-statements/2024?format=xml').set(auth(wallet)).expect(400);
+  });
+
+  it('serves the stored statement once a run has generated it', async () => {
+    const wallet = newWallet();
+    donate(wallet, ORG_A, 100, '2024-03-01T10:30:00.000Z');
+    await request(app).get('/me').set(auth(wallet)).expect(200);
+
+    const started = await request(app).post('/admin/tax-statements/runs').send({ taxYear: 2024 }).expect(202);
+    await waitForRun(started.body.data.id);
+
+    const listed = await request(app).get('/me/tax-statements').set(auth(wallet)).expect(200);
+    expect(listed.body.data).toEqual([expect.objectContaining({ taxYear: 2024, jurisdiction: 'US' })]);
+
+    // A donation recorded after the run does not change the stored statement
+    donate(wallet, ORG_A, 100, '2024-03-01T10:45:00.000Z');
+    const res = await request(app).get('/me/tax-statements/2024').set(auth(wallet)).expect(200);
+    expect(res.body.data.totals.donationCount).toBe(1);
+
+    const pdf = await request(app).get(`/admin/tax-statements/${listed.body.data[0].id}?format=pdf`).expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+  });
+
+  it('validates admin run requests', async () => {
+    await request(app).post('/admin/tax-statements/runs').send({}).expect(400);
+    const res = await request(app).post('/admin/tax-statements/runs').send({ taxYear: 2024, jurisdiction: 'FR' }).expect(400);
+    expect(res.body.error.code).toBe('UNSUPPORTED_JURISDICTION');
+    await request(app).get('/admin/tax-statements/runs/99999').expect(404);
+
+    const jurisdictions = await request(app).get('/admin/tax-statements/jurisdictions').expect(200);
+    expect(jurisdictions.body.data).toContainEqual({ code: 'CA', name: 'Canadian official donation receipt', currency: 'CAD' });
+  });
+});
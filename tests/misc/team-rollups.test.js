@@ -0,0 +1,280 @@
+/**
+ * Team and Organization Roll-up Tests
+ *
+ * Covers:
+ *  - Organizations (admin), teams and membership
+ *  - Rolling donations up fundraiser → team → organization, through a team
+ *    fundraiser or the donor's team membership
+ *  - Hierarchy leaderboards scoped per campaign, parent and period
+ *  - Idempotent roll-ups and drift reconciliation
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+jest.mock('../../src/middleware/rbac', () => ({
+  checkPermission: () => (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const StellarSdk = require('stellar-sdk');
+const Database = require('../../src/utils/database');
+const { issueAccessToken } = require('../../src/services/JwtService');
+const DonationService = require('../../src/services/DonationService');
+const MockStellarService = require('../../src/services/MockStellarService');
+const TeamService = require('../../src/services/TeamService');
+const TeamTotalsRepository = require('../../src/services/TeamTotalsRepository');
+const StatsService = require('../../src/services/LeaderboardStatsService');
+const WebhookService = require('../../src/services/WebhookService');
+
+const app = express();
+app.use(express.json());
+app.use('/campaigns', require('../../src/routes/campaigns'));
+app.use('/teams', require('../../src/routes/teams'));
+app.use('/leaderboard', require('../../src/routes/leaderboard'));
+app.use('/admin/organizations', require('../../src/routes/admin/organizations'));
+app.use((err, req, res, next) => {
+  void next;
+  res.status(err.statusCode || err.status || 500).json({
+    success: false,
+    error: { code: err.errorCode || err.code || 'INTERNAL_ERROR', message: err.message },
+  });
+});
+
+const newWallet = () => StellarSdk.Keypair.random().publicKey();
+const auth = (publicKey) => ({
+  Authorization: `Bearer ${issueAccessToken({ sub: publicKey, auth_method: 'sep10', role: 'user' })}`,
+});
+
+const donationService = new DonationService(new MockStellarService());
+const RECIPIENT = newWallet();
+let orgSeq = 0;
+
+const createCampaign = async () => {
+  const { id } = await Database.run(
+    `INSERT INTO campaigns (name, goal_amount, current_amount, status, notified_milestones)
+     VALUES ('Library books', 1000, 0, 'active', '[]')`
+  );
+  return id;
+};
+
+const createOrganization = async (type = 'school') => {
+  const res = await request(app)
+    .post('/admin/organizations')
+    .send({ name: `Org ${++orgSeq} ${Date.now()}`, type });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const createTeam = async (captain, body) => {
+  const res = await request(app).post('/teams').set(auth(captain)).send(body);
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const donate = (extra) => donationService.createDonationRecord({
+  amount: 10,
+  donor: newWallet(),
+  recipient: RECIPIENT,
+  ...extra,
+});
+
+beforeAll(async () => {
+  await Database.initialize();
+  await require('../../src/migrations/054_donor_accounts').up(Database);
+});
+
+beforeEach(() => {
+  jest.spyOn(WebhookService, 'deliver').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('organizations and teams', () => {
+  it('lets admins create and rename organizations, rejecting duplicate names', async () => {
+    const org = await createOrganization('company');
+    expect(org).toMatchObject({ type: 'company', team_count: 0, total_raised: '0', donation_count: 0 });
+
+    const dup = await request(app).post('/admin/organizations').send({ name: org.name });
+    expect(dup.status).toBe(400);
+    expect(dup.body.error.code).toBe('ORGANIZATION_EXISTS');
+
+    const bad = await request(app).post('/admin/organizations').send({ name: 'X', type: 'club' });
+    expect(bad.status).toBe(400);
+
+    const renamed = await request(app).patch(`/admin/organizations/${org.id}`).send({ name: `${org.name} Ltd` });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.data.name).toBe(`${org.name} Ltd`);
+  });
+
+  it('makes the creator captain and moves a donor who joins another team', async () => {
+    const org = await createOrganization();
+    const captain = newWallet();
+    const member = newWallet();
+    const first = await createTeam(captain, { name: 'Year 5', organization_id: org.id });
+    const second = await createTeam(newWallet(), { name: 'Year 6', organization_id: org.id });
+
+    expect(first).toMatchObject({ organization: { id: org.id, name: org.name }, member_count: 1 });
+
+    let res = await request(app).post(`/teams/${first.id}/join`).set(auth(member));
+    expect(res.body.data.member_count).toBe(2);
+    res = await request(app).post(`/teams/${second.id}/join`).set(auth(member));
+    expect(res.body.data.member_count).toBe(2);
+    expect((await TeamService.getTeam(first.id)).member_count).toBe(1);
+
+    res = await request(app).get('/teams').query({ organization_id: org.id });
+    expect(res.body.data.map((t) => t.name)).toEqual(['Year 5', 'Year 6']);
+
+    res = await request(app).post(`/teams/${first.id}/leave`).set(auth(member));
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('NOT_TEAM_MEMBER');
+
+    res = await request(app).post(`/teams/${second.id}/leave`).set(auth(member));
+    expect(res.status).toBe(200);
+    expect((await TeamService.getTeam(second.id)).member_count).toBe(1);
+  });
+
+  it('requires a donor token to create or join a team', async () => {
+    const res = await request(app).post('/teams').send({ name: 'No auth' });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('roll-ups', () => {
+  it('rolls a team member\'s donation up to the team and its organization', async () => {
+    const org = await createOrganization();
+    const member = newWallet();
+    const team = await createTeam(member, { name: 'Blue', organization_id: org.id });
+
+    await donate({ donor: member, amount: 12.5 });
+    await donate({ amount: 99 }); // not on a team
+
+    expect(await TeamService.getTeam(team.id)).toMatchObject({ total_raised: '125000000', donation_count: 1 });
+    expect(await TeamService.getOrganization(org.id)).toMatchObject({ total_raised: '125000000', donation_count: 1 });
+  });
+
+  it('rolls a team fundraiser\'s donations up through the team, and only members can run one', async () => {
+    const org = await createOrganization();
+    const captain = newWallet();
+    const team = await createTeam(captain, { name: 'Red', organization_id: org.id });
+    const campaignId = await createCampaign();
+
+    const outsider = await request(app)
+      .post(`/campaigns/${campaignId}/fundraisers`)
+      .set(auth(newWallet()))
+      .send({ title: 'Not mine', goal_amount: 100, team_id: team.id });
+    expect(outsider.status).toBe(403);
+    expect(outsider.body.error.code).toBe('NOT_TEAM_MEMBER');
+
+    const res = await request(app)
+      .post(`/campaigns/${campaignId}/fundraisers`)
+      .set(auth(captain))
+      .send({ title: 'Read-a-thon', goal_amount: 100, team_id: team.id });
+    expect(res.status).toBe(201);
+    const fundraiser = res.body.data;
+    expect(fundraiser.team_id).toBe(team.id);
+
+    await donate({ campaign_id: campaignId, fundraiser_id: fundraiser.id, amount: 20 });
+    await donate({ campaign_id: campaignId, fundraiser_id: fundraiser.id, amount: 5 });
+
+    const board = await request(app).get('/leaderboard/fundraisers').query({ team_id: team.id });
+    expect(board.status).toBe(200);
+    expect(board.body.data).toEqual([expect.objectContaining({
+      rank: 1,
+      id: fundraiser.id,
+      name: 'Read-a-thon',
+      level: 'fundraiser',
+      parent: { id: team.id, name: 'Red' },
+      totalRaised: '250000000',
+      donationCount: 2,
+    })]);
+    expect(await TeamService.getOrganization(org.id)).toMatchObject({ total_raised: '250000000', donation_count: 2 });
+  });
+
+  it('records a donation once however often it is rolled up', async () => {
+    const org = await createOrganization();
+    const member = newWallet();
+    const team = await createTeam(member, { name: 'Green', organization_id: org.id });
+
+    const donation = { id: `dup-${Date.now()}`, donor: member, amount: 3 };
+    expect(await TeamService.recordDonation(donation)).toEqual({
+      fundraiserId: null, teamId: team.id, organizationId: org.id,
+    });
+    expect(await TeamService.recordDonation(donation)).toBeNull();
+    expect((await TeamService.getTeam(team.id)).donation_count).toBe(1);
+  });
+});
+
+describe('hierarchy leaderboards', () => {
+  it('ranks teams within an organization, per campaign and period', async () => {
+    const org = await createOrganization();
+    const alice = newWallet();
+    const bob = newWallet();
+    const teamA = await createTeam(alice, { name: 'Alpha', organization_id: org.id });
+    const teamB = await createTeam(bob, { name: 'Beta', organization_id: org.id });
+    const campaignId = await createCampaign();
+
+    await donate({ donor: alice, amount: 5, campaign_id: campaignId });
+    await donate({ donor: bob, amount: 8, campaign_id: campaignId });
+    await donate({ donor: alice, amount: 10 }); // no campaign
+    // An old donation, outside the weekly window
+    await TeamService.recordDonation({ id: `old-${Date.now()}`, donor: bob, amount: 50, createdAt: '2020-01-01T12:00:00Z' });
+
+    let res = await request(app).get('/leaderboard/teams').query({ organization_id: org.id });
+    expect(res.body.data.map((e) => [e.name, e.totalRaised])).toEqual([['Beta', '580000000'], ['Alpha', '150000000']]);
+    expect(res.body.data[0]).toMatchObject({ rank: 1, parent: { id: org.id, name: org.name }, period: 'all' });
+    expect(res.body.metadata).toMatchObject({ period: 'all', parentId: org.id, campaignId: null, totalEntries: 2 });
+
+    res = await request(app).get('/leaderboard/teams').query({ organization_id: org.id, period: 'weekly' });
+    expect(res.body.data.map((e) => [e.id, e.totalRaised])).toEqual([[teamA.id, '150000000'], [teamB.id, '80000000']]);
+
+    res = await request(app).get('/leaderboard/teams').query({ organization_id: org.id, campaign_id: campaignId });
+    expect(res.body.data.map((e) => [e.id, e.totalRaised])).toEqual([[teamB.id, '80000000'], [teamA.id, '50000000']]);
+
+    res = await request(app).get('/leaderboard/organizations').query({ campaign_id: campaignId });
+    expect(res.body.data).toEqual([expect.objectContaining({ id: org.id, level: 'organization', totalRaised: '130000000', campaignId })]);
+  });
+
+  it('rejects invalid scope parameters', async () => {
+    let res = await request(app).get('/leaderboard/teams').query({ organization_id: 'abc' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_PARAMETER');
+
+    res = await request(app).get('/leaderboard/organizations').query({ period: 'yearly' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('reconciliation', () => {
+  it('corrects drifted and orphaned roll-up buckets from the recorded donations', async () => {
+    const org = await createOrganization();
+    const member = newWallet();
+    const team = await createTeam(member, { name: 'Drift', organization_id: org.id });
+    await donate({ donor: member, amount: 4 });
+
+    const repo = new TeamTotalsRepository();
+    await repo.reconcile();
+    await Database.run(
+      "UPDATE team_rollups SET total_stroops = '1', donation_count = 7 WHERE level = 'team' AND entity_id = ?",
+      [team.id]
+    );
+    await Database.run(
+      "INSERT INTO team_rollups (level, entity_id, parent_id, campaign_id, day, total_stroops, donation_count) VALUES ('team', ?, 0, 0, '2020-01-01', '5', 1)",
+      [team.id]
+    );
+
+    const result = await repo.reconcile();
+    expect(result.corrected).toBe(2);
+    expect(repo.getMetrics().driftCorrectionCount).toBeGreaterThanOrEqual(2);
+
+    StatsService.invalidateHierarchyCache();
+    expect(await TeamService.getTeam(team.id)).toMatchObject({ total_raised: '40000000', donation_count: 1 });
+    expect((await repo.reconcile()).corrected).toBe(0);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Transactional Outbox Tests
+ *
+ * Covers:
+ *  - Outbox rows commit and roll back with the producing transaction
+ *  - Transaction.create writing donation events alongside the record
+ *  - Relay delivery to every subscriber, with per-subscriber bookkeeping
+ *  - Retry with backoff, and abandoning after MAX_ATTEMPTS
+ *  - Default subscribers (webhooks, SSE, GraphQL subscriptions)
+ *  - Relay worker gated by the leader-election lease
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/services/WebhookService', () => ({ deliver: jest.fn().mockResolvedValue(undefined) }));
+jest.mock('../../src/services/SseManager', () => ({ broadcast: jest.fn() }));
+
+const Database = require('../../src/utils/database');
+const OutboxService = require('../../src/services/OutboxService');
+const Transaction = require('../../src/models/transaction');
+const WebhookService = require('../../src/services/WebhookService');
+const SseManager = require('../../src/services/SseManager');
+const pubsub = require('../../src/graphql/pubsub');
+const leaderElection = require('../../src/utils/leaderElection');
+const outboxRelayWorker = require('../../src/workers/outboxRelayWorker');
+const donationsStoreMigration = require('../../src/migrations/033_donations_store');
+
+const DONOR = `G${'D'.repeat(55)}`;
+const RECIPIENT = `G${'R'.repeat(55)}`;
+
+/**
+ * Poll until the predicate resolves truthy (fire-and-forget writes).
+ * @param {Function} predicate
+ */
+async function waitFor(predicate) {
+  for (let i = 0; i < 50; i++) {
+    const value = await predicate();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('condition not met');
+}
+
+/** Replace the default subscribers with the given handlers. */
+function useSubscribers(handlers) {
+  for (const name of OutboxService.getSubscriberNames()) {
+    OutboxService.unregisterSubscriber(name);
+  }
+  for (const [name, handler] of Object.entries(handlers)) {
+    OutboxService.registerSubscriber(name, handler);
+  }
+}
+
+beforeAll(async () => {
+  await donationsStoreMigration.up(Database);
+  await Database.run('CREATE TABLE IF NOT EXISTS outbox_test_state (id INTEGER PRIMARY KEY, value TEXT)', []);
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await Database.run('DELETE FROM event_outbox_deliveries', []);
+  await Database.run('DELETE FROM event_outbox', []);
+  await Database.run('DELETE FROM outbox_test_state', []);
+});
+
+afterAll(() => {
+  OutboxService.resetSubscribers();
+});
+
+// ─── Enqueue ──────────────────────────────────────────────────────────────────
+
+describe('OutboxService.enqueue', () => {
+  test('commits the event with the state change', async () => {
+    const eventId = await Database.runTransaction(async (tx) => {
+      await tx.run('INSERT INTO outbox_test_state (id, value) VALUES (1, ?)', ['a']);
+      return OutboxService.enqueue(tx, { eventType: 'test.changed', aggregateType: 'test', aggregateId: 1, payload: { value: 'a' } });
+    });
+
+    const event = await OutboxService.getEvent(eventId);
+    expect(event).toMatchObject({
+      eventType: 'test.changed',
+      aggregateType: 'test',
+      aggregateId: '1',
+      payload: { value: 'a' },
+      status: 'pending',
+      attempts: 0,
+    });
+  });
+
+  test('rolls the event back when the transaction fails', async () => {
+    let eventId;
+    await expect(Database.runTransaction(async (tx) => {
+      await tx.run('INSERT INTO outbox_test_state (id, value) VALUES (1, ?)', ['a']);
+      eventId = await OutboxService.enqueue(tx, { eventType: 'test.changed', payload: {} });
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await OutboxService.getEvent(eventId)).toBeNull();
+    expect(await Database.get('SELECT * FROM outbox_test_state WHERE id = 1', [])).toBeUndefined();
+  });
+
+  test('Transaction.create writes donation events with the record', async () => {
+    const tx = Transaction.create(
+      { amount: 5, donor: DONOR, recipient: RECIPIENT, status: 'confirmed' },
+      { outboxEvents: ['donation.created', 'donation.confirmed'] }
+    );
+
+    const rows = await waitFor(async () => {
+      const found = await Database.query('SELECT * FROM event_outbox WHERE aggregate_id = ? ORDER BY id', [tx.id]);
+      return found.length === 2 ? found : null;
+    });
+    expect(rows.map((r) => r.event_type)).toEqual(['donation.created', 'donation.confirmed']);
+    expect(JSON.parse(rows[0].payload)).toMatchObject({ id: tx.id, donor: DONOR, amount: 5, status: 'confirmed' });
+    expect(await Database.get('SELECT id FROM donations_store WHERE id = ?', [tx.id])).toBeDefined();
+  });
+
+  test('Transaction.persisted rejects and puts the record back when the write fails', async () => {
+    const tx = Transaction.create({ amount: 5, donor: DONOR, recipient: RECIPIENT, status: 'pending' });
+    await waitFor(() => Database.get('SELECT id FROM donations_store WHERE id = ?', [tx.id]));
+
+    const spy = jest.spyOn(Database, 'runTransaction').mockRejectedValueOnce(new Error('disk full'));
+    try {
+      Transaction.updateStatus(tx.id, 'confirmed', {}, { outboxEvents: ['donation.confirmed'] });
+      await expect(Transaction.persisted(tx.id)).rejects.toThrow('disk full');
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(Transaction.getById(tx.id).status).toBe('pending');
+    expect(await Database.query('SELECT * FROM event_outbox WHERE aggregate_id = ?', [tx.id])).toHaveLength(0);
+  });
+});
+
+// ─── Relay ────────────────────────────────────────────────────────────────────
+
+describe('OutboxService.relay', () => {
+  afterEach(() => {
+    OutboxService.resetSubscribers();
+  });
+
+  test('hands each event to every subscriber once and marks it dispatched', async () => {
+    const a = jest.fn();
+    const b = jest.fn();
+    useSubscribers({ a, b });
+    const eventId = await OutboxService.enqueue(Database, { eventType: 'test.changed', payload: { n: 1 } });
+
+    expect(await OutboxService.relay()).toEqual({ processed: 1, dispatched: 1, retried: 0, failed: 0 });
+    expect(a).toHaveBeenCalledWith(expect.objectContaining({ eventId, eventType: 'test.changed', payload: { n: 1 } }));
+    expect(b).toHaveBeenCalledTimes(1);
+
+    const event = await OutboxService.getEvent(eventId);
+    expect(event.status).toBe('dispatched');
+    expect(event.deliveries.map((d) => d.subscriber)).toEqual(['a', 'b']);
+
+    await OutboxService.relay();
+    expect(a).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries only the subscribers that failed', async () => {
+    const ok = jest.fn();
+    const flaky = jest.fn().mockRejectedValueOnce(new Error('unavailable')).mockResolvedValueOnce(undefined);
+    useSubscribers({ ok, flaky });
+    const eventId = await OutboxService.enqueue(Database, { eventType: 'test.changed', payload: {} });
+
+    expect(await OutboxService.relay()).toMatchObject({ retried: 1 });
+    let event = await OutboxService.getEvent(eventId);
+    expect(event).toMatchObject({ status: 'pending', attempts: 1, lastError: 'flaky: unavailable' });
+    expect(event.deliveries.map((d) => d.subscriber)).toEqual(['ok']);
+
+    // Not due until the backoff elapses
+    expect((await OutboxService.relay()).processed).toBe(0);
+
+    await Database.run('UPDATE event_outbox SET next_attempt_at = ? WHERE event_id = ?', [new Date(0).toISOString(), eventId]);
+    expect(await OutboxService.relay()).toMatchObject({ dispatched: 1 });
+    expect(ok).toHaveBeenCalledTimes(1);
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    event = await OutboxService.getEvent(eventId);
+    expect(event.status).toBe('dispatched');
+    expect(event.lastError).toBeNull();
+  });
+
+  test('marks the event failed after MAX_ATTEMPTS', async () => {
+    useSubscribers({ broken: jest.fn().mockRejectedValue(new Error('down')) });
+    const eventId = await OutboxService.enqueue(Database, { eventType: 'test.changed', payload: {} });
+    await Database.run('UPDATE event_outbox SET attempts = ? WHERE event_id = ?', [OutboxService.MAX_ATTEMPTS - 1, eventId]);
+
+    expect(await OutboxService.relay()).toMatchObject({ failed: 1 });
+    expect((await OutboxService.getEvent(eventId)).status).toBe('failed');
+  });
+
+  test('default subscribers feed webhooks, SSE and GraphQL subscriptions', async () => {
+    const iterator = pubsub.asyncIterator(pubsub.TOPICS.DONATION_CREATED);
+    const next = iterator.next();
+    const payload = { id: 'd-1', donor: 'GA', recipient: 'GB', amount: 1 };
+    await OutboxService.enqueue(Database, { eventType: 'donation.created', payload });
+
+    await OutboxService.relay();
+
+    expect(WebhookService.deliver).toHaveBeenCalledWith('donation.created', payload);
+    expect(SseManager.broadcast).toHaveBeenCalledWith('transaction.created', payload);
+    await expect(next).resolves.toEqual({ value: payload, done: false });
+    await iterator.return();
+  });
+
+  test('only donation events reach the SSE transaction feed', async () => {
+    await OutboxService.enqueue(Database, { eventType: 'pledge.created', payload: { id: 'p-1' } });
+
+    await OutboxService.relay();
+
+    expect(WebhookService.deliver).toHaveBeenCalledWith('pledge.created', { id: 'p-1' });
+    expect(SseManager.broadcast).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Worker ───────────────────────────────────────────────────────────────────
+
+describe('outboxRelayWorker', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('relays only while holding the lease', async () => {
+    const relay = jest.spyOn(OutboxService, 'relay').mockResolvedValue({ processed: 0, dispatched: 0, retried: 0, failed: 0 });
+    const lease = jest.spyOn(leaderElection, 'acquireLease').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    await outboxRelayWorker.tick();
+    expect(relay).not.toHaveBeenCalled();
+
+    await outboxRelayWorker.tick();
+    expect(lease).toHaveBeenLastCalledWith('outbox_relay', expect.any(Number));
+    expect(relay).toHaveBeenCalledTimes(1);
+  });
+
+  test('start/stop is idempotent', () => {
+    expect(() => {
+      outboxRelayWorker.start();
+      outboxRelayWorker.start();
+      outboxRelayWorker.stop();
+      outboxRelayWorker.stop();
+    }).not.toThrow();
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Webhook Event Catalog Tests
+ *
+ * Covers:
+ *  - Every catalogued schema is a valid JSON Schema
+ *  - Pattern matching (exact, category wildcard, *) and validation
+ *  - Payload projection to a pinned payload version
+ *  - Registration with event filters and a pinned payloadVersion
+ *  - Delivery filtering and per-subscription payload shapes
+ *  - GET /webhooks/events discovery endpoints
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+
+const Ajv = require('ajv');
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const webhookService = require('../../src/services/WebhookService');
+const { WebhookService } = webhookService;
+const webhookEvents = require('../../src/config/webhookEvents');
+const webhooksRouter = require('../../src/routes/webhooks');
+
+const DONATION = {
+  id: 'd-1',
+  donor: 'GDONOR',
+  recipient: 'GRECIPIENT',
+  amount: 10,
+  status: 'confirmed',
+  stellarTxId: 'abc123',
+  campaign_id: 7,
+  timestamp: '2026-01-01T00:00:00.000Z',
+};
+
+/** Wait for fire-and-forget deliveries to be scheduled. */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeAll(async () => {
+  await WebhookService.initTable();
+  try {
+    await Database.run('ALTER TABLE webhooks ADD COLUMN tls_skip_verify INTEGER NOT NULL DEFAULT 0', []);
+  } catch (_) { /* column already exists */ }
+});
+
+beforeEach(async () => {
+  await Database.run('DELETE FROM webhooks', []);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ─── Catalog ──────────────────────────────────────────────────────────────────
+
+describe('webhook event catalog', () => {
+  test('every schema version compiles and the latest version is defined', () => {
+    const ajv = new Ajv({ strict: false });
+    for (const type of webhookEvents.getEventTypes()) {
+      const { versions, schemas } = webhookEvents.describeEvent(type);
+      expect(versions[0]).toBe(1);
+      expect(Math.max(...versions)).toBeLessThanOrEqual(webhookEvents.LATEST_PAYLOAD_VERSION);
+      for (const version of versions) {
+        expect(() => ajv.compile(schemas[version])).not.toThrow();
+      }
+    }
+  });
+
+  test('matches exact types, category wildcards and *', () => {
+    expect(webhookEvents.matchesAny(['donation.created'], 'donation.created')).toBe(true);
+    expect(webhookEvents.matchesAny(['donation.*'], 'donation.refunded')).toBe(true);
+    expect(webhookEvents.matchesAny(['donation.*'], 'pledge.expired')).toBe(false);
+    expect(webhookEvents.matchesAny(['*'], 'quota.reset')).toBe(true);
+  });
+
+  test('rejects malformed patterns and patterns that match no event', () => {
+    expect(webhookEvents.findInvalidPatterns(['donation.*', '*', 'pledge.cancelled'])).toEqual([]);
+    expect(webhookEvents.findInvalidPatterns(['donation.deleted', 'nothing.*', 'donation*', 5]))
+      .toEqual(['donation.deleted', 'nothing.*', 'donation*', 5]);
+  });
+
+  test('projects payloads to the schema of the pinned version', () => {
+    const v1 = webhookEvents.formatPayload('donation.created', { ...DONATION, internal: true }, 1);
+    expect(v1).toEqual({ id: 'd-1', donor: 'GDONOR', recipient: 'GRECIPIENT', amount: 10, status: 'confirmed', timestamp: DONATION.timestamp });
+
+    const v2 = webhookEvents.formatPayload('donation.created', { ...DONATION, internal: true }, 2);
+    expect(v2).toEqual(DONATION);
+
+    // Events without a v2 schema keep their v1 shape for v2 subscribers
+    expect(webhookEvents.getSchema('quota.reset', 2).version).toBe(1);
+    expect(webhookEvents.formatPayload('quota.reset', { keysReset: 3, resetAt: 'x', extra: 1 }, 2))
+      .toEqual({ keysReset: 3, resetAt: 'x' });
+  });
+
+  test('passes uncatalogued events through unchanged', () => {
+    expect(webhookEvents.formatPayload('custom.event', { a: 1 }, 1)).toEqual({ a: 1 });
+  });
+});
+
+// ─── Registration and delivery ────────────────────────────────────────────────
+
+describe('WebhookService subscriptions', () => {
+  test('registers with the latest payload version by default', async () => {
+    const wh = await webhookService.register({ url: 'http://localhost/hook', events: ['donation.*'] });
+    expect(wh.payloadVersion).toBe(webhookEvents.LATEST_PAYLOAD_VERSION);
+
+    const { items } = await webhookService.list();
+    expect(items[0]).toMatchObject({ id: wh.id, events: ['donation.*'], payloadVersion: webhookEvents.LATEST_PAYLOAD_VERSION });
+  });
+
+  test('rejects unknown event types and out-of-range payload versions', async () => {
+    await expect(webhookService.register({ url: 'http://localhost/hook', events: ['donation.deleted'] }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('donation.deleted') });
+    await expect(webhookService.register({ url: 'http://localhost/hook', events: ['*'], payloadVersion: 99 }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(webhookService.register({ url: 'http://localhost/hook', events: ['*'], payloadVersion: '1' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('delivers only to matching subscriptions, shaped for each pinned version', async () => {
+    const spy = jest.spyOn(WebhookService, '_deliverWithRetry').mockResolvedValue(undefined);
+    const v1 = await webhookService.register({ url: 'http://localhost/v1', events: ['donation.created'], payloadVersion: 1 });
+    const v2 = await webhookService.register({ url: 'http://localhost/v2', events: ['donation.*'], payloadVersion: 2 });
+    await webhookService.register({ url: 'http://localhost/pledges', events: ['pledge.*'] });
+
+    await webhookService.deliver('donation.created', DONATION);
+    await flush();
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    const byId = Object.fromEntries(spy.mock.calls.map(([webhook, , payload]) => [webhook.id, payload]));
+    expect(byId[v1.id]).not.toHaveProperty('stellarTxId');
+    expect(byId[v2.id]).toEqual(DONATION);
+  });
+
+  test('states the payload version in the delivered body', async () => {
+    const post = jest.spyOn(WebhookService, '_httpPost').mockResolvedValue({ delivered: true, statusCode: 200 });
+    const wh = await webhookService.register({ url: 'http://localhost/hook', events: ['*'], payloadVersion: 1 });
+    const row = await Database.get('SELECT * FROM webhooks WHERE id = ?', [wh.id]);
+
+    await WebhookService._deliverWithRetry(row, 'quota.reset', { keysReset: 1, resetAt: 'now' }, 0);
+
+    expect(JSON.parse(post.mock.calls[0][1])).toMatchObject({ event: 'quota.reset', version: 1 });
+  });
+});
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+describe('GET /webhooks/events', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhooks', webhooksRouter);
+
+  test('lists the catalog with the latest schema of each event', async () => {
+    const res = await request(app).get('/webhooks/events');
+
+    expect(res.status).toBe(200);
+    expect(res.body.latestPayloadVersion).toBe(webhookEvents.LATEST_PAYLOAD_VERSION);
+    expect(res.body.count).toBe(webhookEvents.getEventTypes().length);
+    const created = res.body.data.find((e) => e.type === 'donation.created');
+    expect(created).toMatchObject({ category: 'donation', versions: [1, 2] });
+    expect(created.schema.properties).toHaveProperty('stellarTxId');
+  });
+
+  test('returns every schema version of one event', async () => {
+    const res = await request(app).get('/webhooks/events/donation.created');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.data.schemas)).toEqual(['1', '2']);
+    expect(res.body.data.schemas['1'].properties).not.toHaveProperty('stellarTxId');
+  });
+
+  test('returns 404 for an unknown event', async () => {
+    const res = await request(app).get('/webhooks/events/donation.deleted');
+    expect(res.status).toBe(404);
+  });
+
+  test('POST /webhooks pins the requested payload version', async () => {
+    const res = await request(app)
+      .post('/webhooks')
+      .send({ url: 'http://localhost/hook', events: ['donation.*', 'pledge.cancelled'], payloadVersion: 1 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ events: ['donation.*', 'pledge.cancelled'], payloadVersion: 1 });
+  });
+
+  test('POST /webhooks rejects unknown event types', async () => {
+    const res = await request(app)
+      .post('/webhooks')
+      .send({ url: 'http://localhost/hook', events: ['donations'] });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Webhook Delivery Records and Redelivery Tests
+ *
+ * Covers:
+ *  - Every HTTP attempt recorded with request body, signature headers, response code and latency
+ *  - Attempts, retries and dead letters of one delivery sharing a message id
+ *  - Redelivery of a single delivery and of a time window (deduplicated, filtered)
+ *  - /admin/webhooks delivery listing, detail and redelivery endpoints
+ *  - Retry worker gated by the leader-election lease
+ */
+
+'use strict';
+
+process.env.MOCK_STELLAR = 'true';
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../src/middleware/rbac', () => ({
+  requireAdmin: () => (req, res, next) => next(),
+}));
+jest.mock('../../src/middleware/apiKey', () => (req, res, next) => next());
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const Database = require('../../src/utils/database');
+const webhookService = require('../../src/services/WebhookService');
+const { WebhookService } = webhookService;
+const leaderElection = require('../../src/utils/leaderElection');
+const webhookRetryWorker = require('../../src/workers/webhookRetryWorker');
+const adminWebhooksRouter = require('../../src/routes/admin/webhooks');
+
+let webhook;
+let secret;
+
+/** Insert a delivery history row directly. */
+async function recordAttempt({ event = 'donation.created', status = 'success', messageId, redeliveryOf = null, at, payload = {} }) {
+  const { id } = await Database.run(
+    `INSERT INTO webhook_delivery_history (webhook_id, event, payload, attempt, status, message_id, redelivery_of, delivered_at)
+     VALUES (?, ?, ?, 1, ?, ?, ?, ?)`,
+    [webhook.id, event, JSON.stringify(payload), status, messageId, redeliveryOf, at]
+  );
+  return id;
+}
+
+beforeAll(async () => {
+  await WebhookService.initTable();
+  try {
+    await Database.run('ALTER TABLE webhooks ADD COLUMN tls_skip_verify INTEGER NOT NULL DEFAULT 0', []);
+  } catch (_) { /* column already exists */ }
+});
+
+beforeEach(async () => {
+  for (const table of ['webhooks', 'webhook_retries', 'webhook_dead_letters', 'webhook_delivery_history']) {
+    await Database.run(`DELETE FROM ${table}`, []);
+  }
+  const registered = await webhookService.register({ url: 'http://localhost/hook', events: ['*'] });
+  secret = registered.secret;
+  webhook = await Database.get('SELECT * FROM webhooks WHERE id = ?', [registered.id]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ─── Attempt records ──────────────────────────────────────────────────────────
+
+describe('delivery attempt records', () => {
+  test('records the signed request, response code and latency of each attempt', async () => {
+    jest.spyOn(WebhookService, '_httpPost').mockResolvedValue({ delivered: true, statusCode: 204 });
+
+    await WebhookService._deliverWithRetry(webhook, 'quota.reset', { keysReset: 1 }, 0, { messageId: 'msg-1' });
+
+    const row = await Database.get('SELECT * FROM webhook_delivery_history WHERE webhook_id = ?', [webhook.id]);
+    const attempt = await WebhookService.getDeliveryAttempt(row.id);
+    expect(attempt).toMatchObject({ messageId: 'msg-1', event: 'quota.reset', status: 'success', statusCode: 204, attempt: 1 });
+    expect(attempt.latencyMs).toEqual(expect.any(Number));
+    expect(attempt.requestBody).toMatchObject({ event: 'quota.reset', data: { keysReset: 1 } });
+
+    const timestamp = attempt.requestHeaders['X-Signature-Timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${row.request_body}`).digest('hex');
+    expect(attempt.requestHeaders['X-Signature']).toBe(`sha256=${expected}`);
+  });
+
+  test('records failed attempts, keeping the message id across inline retries', async () => {
+    jest.spyOn(WebhookService, '_httpPost')
+      .mockResolvedValueOnce({ delivered: false, statusCode: 503 })
+      .mockResolvedValueOnce({ delivered: true, statusCode: 200 });
+
+    await WebhookService._deliverWithRetry(webhook, 'quota.reset', {}, 0);
+
+    const rows = await Database.query('SELECT * FROM webhook_delivery_history ORDER BY id', []);
+    expect(rows.map((r) => [r.attempt, r.status, r.status_code])).toEqual([[1, 'failed', 503], [2, 'success', 200]]);
+    expect(rows[0].error_message).toBe('Webhook endpoint responded with HTTP 503');
+    expect(rows[1].message_id).toBe(rows[0].message_id);
+  });
+
+  test('records network errors without a response code', async () => {
+    jest.spyOn(WebhookService, '_httpPost').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(WebhookService._deliverWithRetry(webhook, 'quota.reset', {}, 2, { messageId: 'msg-2' })).rejects.toThrow('ECONNREFUSED');
+
+    const row = await Database.get('SELECT * FROM webhook_delivery_history WHERE message_id = ?', ['msg-2']);
+    expect(row).toMatchObject({ status: 'failed', status_code: null, error_message: 'ECONNREFUSED' });
+  });
+
+  test('dead letters keep the message id and replay continues it', async () => {
+    await WebhookService.scheduleRetry({ webhookId: webhook.id, event: 'quota.reset', payload: {}, attempt: 5, lastError: 'down', messageId: 'msg-3' });
+    expect(await Database.get('SELECT COUNT(*) AS n FROM webhook_delivery_history', [])).toEqual({ n: 0 });
+
+    const [entry] = await WebhookService.listDeadLetters();
+    expect(entry.messageId).toBe('msg-3');
+
+    await WebhookService.replayDeadLetter(entry.id);
+    expect(await Database.get('SELECT message_id FROM webhook_retries', [])).toEqual({ message_id: 'msg-3' });
+  });
+});
+
+// ─── Redelivery ───────────────────────────────────────────────────────────────
+
+describe('WebhookService.redeliver', () => {
+  test('queues the delivery for the next retry run and links it to the original', async () => {
+    const id = await recordAttempt({ messageId: 'orig-1', payload: { keysReset: 2 }, event: 'quota.reset', at: '2026-03-01 10:00:00' });
+
+    const queued = await WebhookService.redeliver(id);
+    expect(queued).toMatchObject({ redeliveryOf: 'orig-1', webhookId: webhook.id, event: 'quota.reset' });
+    expect(queued.messageId).not.toBe('orig-1');
+
+    const post = jest.spyOn(WebhookService, '_httpPost').mockResolvedValue({ delivered: true, statusCode: 200 });
+    expect(await WebhookService.processRetryQueue()).toMatchObject({ processed: 1, succeeded: 1 });
+    expect(JSON.parse(post.mock.calls[0][1]).data).toEqual({ keysReset: 2 });
+
+    const sent = await Database.get('SELECT * FROM webhook_delivery_history WHERE message_id = ?', [queued.messageId]);
+    expect(sent).toMatchObject({ redelivery_of: 'orig-1', status: 'success' });
+  });
+
+  test('throws 404 for an unknown delivery', async () => {
+    await expect(WebhookService.redeliver(999999)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('WebhookService.redeliverRange', () => {
+  const window = { from: '2026-03-01T00:00:00.000Z', to: '2026-03-02T00:00:00.000Z' };
+
+  beforeEach(async () => {
+    // a: failed twice then succeeded; b: never succeeded; c: pledge event; d: outside the window
+    await recordAttempt({ messageId: 'a', status: 'failed', at: '2026-03-01 08:00:00' });
+    await recordAttempt({ messageId: 'a', status: 'failed', at: '2026-03-01 08:00:01' });
+    await recordAttempt({ messageId: 'a', status: 'success', at: '2026-03-01 08:05:00' });
+    await recordAttempt({ messageId: 'b', status: 'failed', at: '2026-03-01 09:00:00' });
+    await recordAttempt({ messageId: 'c', status: 'success', event: 'pledge.expired', at: '2026-03-01 10:00:00' });
+    await recordAttempt({ messageId: 'd', status: 'failed', at: '2026-03-02 00:00:00' });
+  });
+
+  test('queues each delivery in the window once', async () => {
+    const result = await WebhookService.redeliverRange(webhook.id, window);
+    expect(result.queued).toBe(3);
+    expect(result.deliveries.map((d) => d.redeliveryOf)).toEqual(['a', 'b', 'c']);
+    expect(await Database.get('SELECT COUNT(*) AS n FROM webhook_retries', [])).toEqual({ n: 3 });
+  });
+
+  test('filters to deliveries that never succeeded, and by event pattern', async () => {
+    expect((await WebhookService.redeliverRange(webhook.id, { ...window, status: 'failed' })).deliveries.map((d) => d.redeliveryOf))
+      .toEqual(['b']);
+    expect((await WebhookService.redeliverRange(webhook.id, { ...window, events: ['pledge.*'] })).deliveries.map((d) => d.redeliveryOf))
+      .toEqual(['c']);
+  });
+
+  test('groups redeliveries with the delivery they repeat', async () => {
+    await recordAttempt({ messageId: 'b-2', redeliveryOf: 'b', status: 'success', at: '2026-03-01 12:00:00' });
+
+    const result = await WebhookService.redeliverRange(webhook.id, { ...window, status: 'failed' });
+    expect(result.queued).toBe(0);
+  });
+
+  test('validates the window and the webhook', async () => {
+    await expect(WebhookService.redeliverRange(webhook.id, { from: 'yesterday', to: window.to })).rejects.toMatchObject({ status: 400 });
+    await expect(WebhookService.redeliverRange(webhook.id, { from: window.to, to: window.from })).rejects.toMatchObject({ status: 400 });
+    await expect(WebhookService.redeliverRange(webhook.id, { ...window, events: ['nope.event'] })).rejects.toMatchObject({ status: 400 });
+    await expect(WebhookService.redeliverRange(999999, window)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+// ─── Admin routes ─────────────────────────────────────────────────────────────
+
+describe('/admin/webhooks delivery endpoints', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/webhooks', adminWebhooksRouter);
+
+  test('lists attempts with latency and filters by window and status', async () => {
+    await Database.run(
+      `INSERT INTO webhook_delivery_history (webhook_id, event, payload, attempt, status, status_code, latency_ms, message_id, delivered_at)
+       VALUES (?, 'quota.reset', '{}', 1, 'failed', 500, 120, 'm1', '2026-03-01 08:00:00'),
+              (?, 'quota.reset', '{}', 2, 'success', 200, 80, 'm1', '2026-03-01 08:01:00'),
+              (?, 'quota.reset', '{}', 1, 'success', 200, 90, 'm2', '2026-03-03 08:00:00')`,
+      [webhook.id, webhook.id, webhook.id]
+    );
+
+    const res = await request(app)
+      .get(`/admin/webhooks/${webhook.id}/deliveries`)
+      .query({ from: '2026-03-01T00:00:00Z', to: '2026-03-02T00:00:00Z', status: 'failed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ messageId: 'm1', responseCode: 500, responseTimeMs: 120, attemptCount: 1 })]);
+
+    expect((await request(app).get(`/admin/webhooks/${webhook.id}/deliveries`).query({ status: 'pending' })).status).toBe(400);
+  });
+
+  test('returns one attempt with its request', async () => {
+    jest.spyOn(WebhookService, '_httpPost').mockResolvedValue({ delivered: true, statusCode: 200 });
+    await WebhookService._deliverWithRetry(webhook, 'quota.reset', { keysReset: 4 }, 0);
+    const { id } = await Database.get('SELECT id FROM webhook_delivery_history', []);
+
+    const res = await request(app).get(`/admin/webhooks/deliveries/${id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.requestBody.data).toEqual({ keysReset: 4 });
+    expect(res.body.data.requestHeaders).toHaveProperty('X-Webhook-Signature');
+
+    expect((await request(app).get('/admin/webhooks/deliveries/999999')).status).toBe(404);
+  });
+
+  test('redelivers a single delivery', async () => {
+    const id = await recordAttempt({ messageId: 'one', at: '2026-03-01 08:00:00' });
+
+    const res = await request(app).post(`/admin/webhooks/deliveries/${id}/redeliver`);
+    expect(res.status).toBe(202);
+    expect(res.body.data.redeliveryOf).toBe('one');
+  });
+
+  test('redelivers a time window', async () => {
+    await recordAttempt({ messageId: 'w1', status: 'failed', at: '2026-03-01 08:00:00' });
+
+    const res = await request(app)
+      .post(`/admin/webhooks/${webhook.id}/redeliver`)
+      .send({ from: '2026-03-01T00:00:00Z', to: '2026-03-02T00:00:00Z', status: 'failed' });
+    expect(res.status).toBe(202);
+    expect(res.body.data.queued).toBe(1);
+
+    const invalid = await request(app).post(`/admin/webhooks/${webhook.id}/redeliver`).send({ from: '2026-03-01T00:00:00Z' });
+    expect(invalid.status).toBe(422);
+  });
+});
+
+// ─── Worker ───────────────────────────────────────────────────────────────────
+
+describe('webhookRetryWorker', () => {
+  test('processes the retry queue only while holding the lease', async () => {
+    const processQueue = jest.spyOn(WebhookService, 'processRetryQueue').mockResolvedValue({ processed: 0, succeeded: 0, failed: 0 });
+    jest.spyOn(leaderElection, 'acquireLease').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    await webhookRetryWorker.tick();
+    expect(processQueue).not.toHaveBeenCalled();
+
+    await webhookRetryWorker.tick();
+    expect(processQueue).toHaveBeenCalledTimes(1);
+  });
+});
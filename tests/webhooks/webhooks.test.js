@@ -293,7 +293,7 @@ describe('WebhookService HMAC signing', () => {
 
 describe('WebhookService.deliver()', () => {
   it('skips delivery when no webhooks match the event', async () => {
-    await WebhookService.register({ url: 'https://a.com/hook', events: ['transaction.failed'] });
+    await WebhookService.register({ url: 'https://a.com/hook', events: ['donation.refunded'] });
     await expect(WebhookService.deliver('transaction.confirmed', { id: '1' })).resolves.toBeUndefined();
   });
 
@@ -317,7 +317,7 @@ describe('WebhookService.deliver()', () => {
 
   it('does not deliver to non-matching event subscribers', async () => {
     const spy = jest.spyOn(WebhookService, '_deliverWithRetry').mockResolvedValue(undefined);
-    await WebhookService.register({ url: 'https://a.com/hook', events: ['transaction.failed'] });
+    await WebhookService.register({ url: 'https://a.com/hook', events: ['donation.refunded'] });
     await WebhookService.deliver('transaction.confirmed', { id: '1' });
     await new Promise(r => setImmediate(r));
     expect(spy).not.toHaveBeenCalled();